@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Reconcile Token Ledger Script
+ * Compares every user's wallet against their token ledger and reports drift.
+ *
+ * Usage:
+ *   node scripts/reconcileLedger.js              # report only
+ *   node scripts/reconcileLedger.js --opening    # also record opening balances for wallets older than the ledger
+ *   node scripts/reconcileLedger.js --fix        # all of the above, release stale holds and recompute wallets from the ledger
+ *   node scripts/reconcileLedger.js --user <id>  # a single user
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { reconcileUser, reconcileAll } = require('../src/services/ledgerReconciliation');
+
+const args = process.argv.slice(2);
+const fix = args.includes('--fix');
+const recordOpening = fix || args.includes('--opening');
+const userIndex = args.indexOf('--user');
+const userId = userIndex !== -1 ? args[userIndex + 1] : null;
+
+async function run() {
+  try {
+    console.log('🔧 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    console.log(fix ? '🛠️  Running in fix mode' : '🔍 Running in report mode (pass --fix to apply corrections)');
+
+    if (userId) {
+      const report = await reconcileUser(userId, { fix, recordOpening });
+      if (!report) {
+        console.log('❌ User not found');
+        return;
+      }
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    const summary = await reconcileAll({ fix, recordOpening });
+    summary.reports.forEach(report => {
+      console.log(`⚠️  ${report.email}: wallet ${report.wallet.balance}/${report.wallet.reserved} vs ledger ${report.ledger.balance}/${report.ledger.reserved} (balance/reserved), ${report.staleReservations.length} stale holds`);
+    });
+    if (summary.openingsRecorded > 0) {
+      console.log(`📒 Recorded opening balances for ${summary.openingsRecorded} users`);
+    }
+    console.log(`🎉 Checked ${summary.checked} users, ${summary.outOfSync} out of sync${fix ? ' and fixed' : ''}`);
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+run();
@@ -7,10 +7,14 @@
 
 require('dotenv').config();
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const fetch = require('node-fetch');
 
 const BASE_URL = process.env.WEBHOOK_TEST_URL || 'http://localhost:5000';
 const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || process.env.RAZORPAY_KEY_SECRET;
+// Recorded Razorpay subscription events, replayed with --fixture
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'razorpay');
 
 // Generate webhook signature
 function generateWebhookSignature(body, secret) {
@@ -117,26 +121,57 @@ const TEST_PAYLOADS = {
   }
 };
 
-// Send webhook test
-async function sendWebhookTest(eventType = 'payment_captured', url = null) {
+function listFixtures() {
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''))
+    .sort();
+}
+
+// Load a recorded fixture, pointing its subscription notes at a local user and plan when given
+function loadFixture(name, { userId, planId } = {}) {
+  const file = path.join(FIXTURES_DIR, `${name.replace(/\.json$/, '')}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  const payload = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const subscription = payload.payload?.subscription?.entity;
+  if (subscription) {
+    subscription.notes = {
+      ...subscription.notes,
+      ...(userId && { userId }),
+      ...(planId && { planId })
+    };
+  }
+  return payload;
+}
+
+// Send webhook test; options.fixture replays a recorded payload instead of a built-in one
+async function sendWebhookTest(eventType = 'payment_captured', url = null, options = {}) {
   try {
     if (!WEBHOOK_SECRET) {
       console.error('❌ No webhook secret found. Set RAZORPAY_WEBHOOK_SECRET or RAZORPAY_KEY_SECRET');
       return false;
     }
 
-    const payload = TEST_PAYLOADS[eventType];
+    const payload = options.fixture ? loadFixture(options.fixture, options) : TEST_PAYLOADS[eventType];
     if (!payload) {
-      console.error(`❌ Unknown event type: ${eventType}`);
-      console.log('Available event types:', Object.keys(TEST_PAYLOADS).join(', '));
+      if (options.fixture) {
+        console.error(`❌ Unknown fixture: ${options.fixture}`);
+        console.log('Available fixtures:', listFixtures().join(', '));
+      } else {
+        console.error(`❌ Unknown event type: ${eventType}`);
+        console.log('Available event types:', Object.keys(TEST_PAYLOADS).join(', '));
+      }
       return false;
     }
 
     const webhookUrl = url || `${BASE_URL}/api/webhooks/razorpay`;
     const bodyString = JSON.stringify(payload);
     const signature = generateWebhookSignature(bodyString, WEBHOOK_SECRET);
+    // Reuse an event id (--event-id) to simulate Razorpay redelivering the same event
+    const eventId = options.eventId || `evt_test${Date.now()}`;
 
-    console.log(`🧪 Testing webhook: ${eventType}`);
+    console.log(`🧪 Testing webhook: ${options.fixture || eventType}`);
     console.log(`📡 URL: ${webhookUrl}`);
     console.log(`🔐 Signature: ${signature.substring(0, 20)}...`);
 
@@ -144,7 +179,8 @@ async function sendWebhookTest(eventType = 'payment_captured', url = null) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'X-Razorpay-Signature': signature
+        'X-Razorpay-Signature': signature,
+        'X-Razorpay-Event-Id': eventId
       },
       body: bodyString
     });
@@ -210,6 +246,11 @@ async function main() {
     console.log('Usage: node test-webhooks.js [options]\n');
     console.log('Options:');
     console.log('  --event <type>     Event type to test (payment_captured, payment_failed, order_paid)');
+    console.log('  --fixture <name>   Replay a recorded event from scripts/fixtures/razorpay');
+    console.log(`                     (${listFixtures().join(', ')})`);
+    console.log('  --user <id>        User id to put in a fixture\'s subscription notes');
+    console.log('  --plan <id>        Plan id to put in a fixture\'s subscription notes');
+    console.log('  --event-id <id>    Event id to send (repeat one to test redelivery)');
     console.log('  --url <url>        Webhook URL to test (default: http://localhost:5000/api/webhooks/razorpay)');
     console.log('  --signature        Test signature verification only');
     console.log('  --all              Test all event types');
@@ -222,6 +263,8 @@ async function main() {
     console.log('  node test-webhooks.js --event payment_captured');
     console.log('  node test-webhooks.js --url https://yourdomain.com/api/webhooks/razorpay');
     console.log('  node test-webhooks.js --all');
+    console.log('  node test-webhooks.js --fixture subscription.charged --user <userId> --plan <planId>');
+    console.log('  node test-webhooks.js --fixture subscription.updated --user <userId> --plan <upgradePlanId>');
     return;
   }
 
@@ -235,6 +278,16 @@ async function main() {
   
   const eventType = eventIndex !== -1 ? args[eventIndex + 1] : 'payment_captured';
   const url = urlIndex !== -1 ? args[urlIndex + 1] : null;
+  const option = (flag) => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+  const options = {
+    fixture: option('--fixture'),
+    userId: option('--user'),
+    planId: option('--plan'),
+    eventId: option('--event-id')
+  };
 
   if (args.includes('--all')) {
     console.log('🧪 Testing all webhook event types...\n');
@@ -247,7 +300,7 @@ async function main() {
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
   } else {
-    await sendWebhookTest(eventType, url);
+    await sendWebhookTest(eventType, url, options);
   }
 }
 
@@ -259,5 +312,6 @@ module.exports = {
   sendWebhookTest,
   testSignatureVerification,
   generateWebhookSignature,
+  loadFixture,
   TEST_PAYLOADS
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+// Per-provider circuit breaker: after `failureThreshold` consecutive upstream failures the circuit
+// opens and requests fail fast for `cooldownMs`. Then a single probe request is let through
+// (half-open); success closes the circuit, failure re-opens it for another cooldown.
+
+const CIRCUIT_CONFIG = {
+  failureThreshold: parseInt(process.env.PROVIDER_CIRCUIT_FAILURES, 10) || 5,
+  cooldownMs: parseInt(process.env.PROVIDER_CIRCUIT_COOLDOWN_MS, 10) || 30 * 1000
+};
+
+class CircuitBreaker {
+  constructor(name, { failureThreshold = CIRCUIT_CONFIG.failureThreshold, cooldownMs = CIRCUIT_CONFIG.cooldownMs } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  // Whether a request may be sent now
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      this.probeInFlight = false;
+    }
+
+    if (this.state === 'half-open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  // Milliseconds until the circuit lets a probe through
+  retryInMs() {
+    return this.state === 'open' ? Math.max(0, this.cooldownMs - (Date.now() - this.openedAt)) : 0;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`🟢 Circuit for ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.probeInFlight = false;
+  }
+
+  // A request that ended without an outcome (the caller aborted it) lets the next probe through
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`🔴 Circuit for ${this.name} opened after ${this.failures} failures; pausing for ${this.cooldownMs}ms`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.probeInFlight = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      retryInMs: this.retryInMs()
+    };
+  }
+}
+
+const breakers = new Map();
+
+const getCircuitBreaker = (name) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+};
+
+const getCircuitStatus = () => [...breakers.values()].map(breaker => breaker.getStatus());
+
+module.exports = {
+  CIRCUIT_CONFIG,
+  CircuitBreaker,
+  getCircuitBreaker,
+  getCircuitStatus
+};
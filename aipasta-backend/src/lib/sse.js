@@ -0,0 +1,32 @@
+// Helpers for writing Server-Sent Events responses
+
+// Returns true when the client asked for an SSE response (stream flag or Accept header)
+const wantsEventStream = (req) => {
+  if (req.body && (req.body.stream === true || req.body.stream === 'true')) return true;
+  const accept = req.headers.accept || '';
+  return accept.includes('text/event-stream');
+};
+
+const initEventStream = (res) => {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering (nginx / Render) so chunks reach the browser immediately
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+};
+
+const sendEvent = (res, event, data) => {
+  if (res.writableEnded) return;
+  if (event) res.write(`event: ${event}\n`);
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  // compression() buffers writes unless flushed explicitly
+  if (typeof res.flush === 'function') res.flush();
+};
+
+module.exports = {
+  wantsEventStream,
+  initEventStream,
+  sendEvent
+};
@@ -1,9 +1,18 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { AppError } = require('./errorHandler');
+const { isSessionActive } = require('../services/sessionService');
 
 const authenticateToken = async (req, res, next) => {
   try {
+    // API keys are for the completion endpoints only; account and history routes need a signed-in session
+    if (req.apiKey) {
+      const error = new AppError('API keys can only be used for chat completions and model listings. Sign in to use this endpoint.', 403);
+      error.code = 'API_KEY_NOT_ALLOWED';
+      return next(error);
+    }
+
     // 1) Getting token and check if it exists
     let token;
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
@@ -14,8 +23,11 @@ const authenticateToken = async (req, res, next) => {
       return next(new AppError('You are not logged in! Please log in to get access.', 401));
     }
 
-    // 2) Verification token
+    // 2) Verification token (challenge tokens from the two-factor step are not sessions)
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) {
+      return next(new AppError('Invalid token. Please log in again!', 401));
+    }
 
     // 3) Check if user still exists
     const currentUser = await User.findById(decoded.id).select('-password');
@@ -33,8 +45,14 @@ const authenticateToken = async (req, res, next) => {
       return next(new AppError('User recently changed password! Please log in again.', 401));
     }
 
+    // 6) Check the device session was not signed out
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return next(new AppError('Your session has ended. Please log in again.', 401));
+    }
+
     // Grant access to protected route
     req.user = currentUser;
+    req.auth = { twoFactor: Boolean(decoded.mfa), sessionId: decoded.sid || null };
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -59,6 +77,9 @@ const optionalAuth = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) {
+      return next(); // Continue without authentication
+    }
 
     // Check if user still exists
     const currentUser = await User.findById(decoded.id).select('-password');
@@ -71,7 +92,12 @@ const optionalAuth = async (req, res, next) => {
       return next(); // Continue without authentication
     }
 
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return next(); // Continue without authentication
+    }
+
     req.user = currentUser;
+    req.auth = { twoFactor: Boolean(decoded.mfa), sessionId: decoded.sid || null };
     next();
   } catch (error) {
     // If token is invalid, continue without authentication
@@ -95,30 +121,125 @@ const requireAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') {
     return next(new AppError('Admin access required', 403));
   }
+  // Admin sessions must have passed the two-factor step
+  if (!req.auth?.twoFactor) {
+    const mfaErr = new AppError(
+      req.user.twoFactor?.enabled
+        ? 'Please sign in again with your authentication code to use admin tools'
+        : 'Admin accounts must turn on two-factor authentication in Settings',
+      403
+    );
+    mfaErr.code = 'TWO_FACTOR_REQUIRED';
+    return next(mfaErr);
+  }
   next();
 };
 
-const checkApiKeyOrAuth = async (req, res, next) => {
-  try {
-    // Check for API key first
-    const apiKey = req.headers['x-api-key'];
-    if (apiKey) {
-      const user = await User.findOne({ 
-        'apiKeys.key': apiKey, 
-        'apiKeys.isActive': true 
-      }).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
-        return next();
-      }
-    }
+const API_KEY_PREFIX = 'aipasta_';
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60;
+const API_KEY_RATE_WINDOW_MS = parseInt(process.env.API_KEY_RATE_WINDOW_MS, 10) || 60 * 1000;
+const apiKeyRequests = new Map();
+let apiKeyWindowsSweptAt = 0;
 
-    // Fall back to JWT authentication
-    return authenticateToken(req, res, next);
-  } catch (error) {
-    return next(error);
+// Keys are stored as the SHA-256 of the random part (without the aipasta_ prefix)
+const hashApiKey = (apiKey) => {
+  const raw = apiKey.startsWith(API_KEY_PREFIX) ? apiKey.slice(API_KEY_PREFIX.length) : apiKey;
+  return crypto.createHash('sha256').update(raw).digest('hex');
+};
+
+// API keys arrive as `X-API-Key: aipasta_...` or `Authorization: Bearer aipasta_...`
+const getApiKeyFromRequest = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith(`Bearer ${API_KEY_PREFIX}`)) {
+    return authHeader.split(' ')[1];
   }
+  return null;
+};
+
+// Fixed-window limit per API key, independent of the per-user chat limit
+const checkApiKeyRateLimit = (keyId, res) => {
+  const now = Date.now();
+
+  // Drop expired windows (at most once per window) so keys that stopped calling are not kept forever
+  if (now - apiKeyWindowsSweptAt >= API_KEY_RATE_WINDOW_MS) {
+    apiKeyWindowsSweptAt = now;
+    apiKeyRequests.forEach((entry, id) => {
+      if (now > entry.resetTime) apiKeyRequests.delete(id);
+    });
+  }
+
+  let window = apiKeyRequests.get(keyId);
+  if (!window || now > window.resetTime) {
+    window = { count: 0, resetTime: now + API_KEY_RATE_WINDOW_MS };
+    apiKeyRequests.set(keyId, window);
+  }
+
+  res.setHeader('X-RateLimit-Limit', API_KEY_RATE_LIMIT);
+  res.setHeader('X-RateLimit-Reset', Math.ceil(window.resetTime / 1000));
+
+  if (window.count >= API_KEY_RATE_LIMIT) {
+    res.setHeader('X-RateLimit-Remaining', 0);
+    return Math.ceil((window.resetTime - now) / 1000);
+  }
+
+  window.count++;
+  res.setHeader('X-RateLimit-Remaining', API_KEY_RATE_LIMIT - window.count);
+  return 0;
+};
+
+// Accept an API key with the given permission ('chat' or 'models'); without a key,
+// fall through to `fallback` (JWT auth by default, or optionalAuth for public routes)
+const checkApiKeyOrAuth = (permission, fallback = authenticateToken) => {
+  return async (req, res, next) => {
+    try {
+      const apiKey = getApiKeyFromRequest(req);
+      if (!apiKey) {
+        return fallback(req, res, next);
+      }
+
+      const hashedKey = hashApiKey(apiKey);
+      const user = await User.findOne({ 'apiKeys.key': hashedKey }).select('-password');
+      const keyDoc = user && user.apiKeys.find(key => key.key === hashedKey);
+
+      if (!keyDoc || !keyDoc.isActive) {
+        return next(new AppError('Invalid API key.', 401));
+      }
+      if (keyDoc.expiresAt && keyDoc.expiresAt < new Date()) {
+        return next(new AppError('This API key has expired. Please generate a new one.', 401));
+      }
+      if (!user.isActive) {
+        return next(new AppError('Your account has been deactivated. Please contact support.', 401));
+      }
+      if (permission && !(keyDoc.permissions || []).includes(permission)) {
+        return next(new AppError(`This API key does not have the '${permission}' permission.`, 403));
+      }
+
+      const retryAfter = checkApiKeyRateLimit(keyDoc._id.toString(), res);
+      if (retryAfter) {
+        res.setHeader('Retry-After', retryAfter);
+        return next(new AppError(`API key rate limit exceeded. Try again in ${retryAfter} seconds.`, 429));
+      }
+
+      // Track usage without holding up the request
+      User.updateOne(
+        { _id: user._id, 'apiKeys._id': keyDoc._id },
+        { $set: { 'apiKeys.$.lastUsed': new Date() } }
+      ).catch(err => console.warn('Failed to update API key lastUsed:', err.message));
+
+      req.user = user;
+      req.apiKey = {
+        id: keyDoc._id,
+        name: keyDoc.name,
+        permissions: keyDoc.permissions
+      };
+      next();
+    } catch (error) {
+      return next(error);
+    }
+  };
 };
 
 const rateLimitByUser = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
@@ -163,5 +284,6 @@ module.exports = {
   restrictTo,
   requireAdmin,
   checkApiKeyOrAuth,
+  hashApiKey,
   rateLimitByUser
 };
\ No newline at end of file
@@ -66,68 +66,794 @@ const validatePasswordChange = [
   handleValidationErrors
 ];
 
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+// Tokens from emailed links are 32 random bytes in hex
+const emailLinkToken = () => param('token')
+  .matches(/^[a-f0-9]{64}$/)
+  .withMessage('Invalid or malformed link');
+
+const validatePasswordReset = [
+  emailLinkToken(),
+  
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'),
+  
+  handleValidationErrors
+];
+
+const validateEmailVerification = [
+  emailLinkToken(),
+  
+  handleValidationErrors
+];
+
+// Two-factor codes: six digits from the authenticator app, or a recovery code
+const twoFactorCode = (optional = false) => {
+  const rule = body('code');
+  return (optional ? rule.optional({ nullable: true }) : rule)
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits');
+};
+
+const secondFactor = () => [
+  twoFactorCode(true),
+  
+  body('recoveryCode')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+  
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Provide an authentication code or a recovery code')
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  ...secondFactor(),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorCode = [
+  twoFactorCode(),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorDisable = [
+  body('password')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Password must be a string'),
+  
+  ...secondFactor(),
+  
+  handleValidationErrors
+];
+
+// Refresh tokens are <session id>.<secret>
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .matches(/^[a-f0-9]{24}\.[A-Za-z0-9_-]{43}$/)
+    .withMessage('Invalid refresh token'),
+  
+  handleValidationErrors
+];
+
+const validateAuthSessionId = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+  
+  handleValidationErrors
+];
+
 // Chat validation rules
 const validateChatMessage = [
   body('message')
     .trim()
-    .isLength({ min: 1, max: 10000 })
-    .withMessage('Message must be between 1 and 10000 characters'),
-  
-  body('modelId')
-    .notEmpty()
-    .withMessage('Model ID is required'),
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Message must be between 1 and 10000 characters'),
+  
+  body('modelId')
+    .notEmpty()
+    .withMessage('Model ID is required'),
+  
+  body('sessionId')
+    .optional()
+    .custom((value) => {
+      // Allow MongoDB ObjectId format OR local session format
+      if (!value) return true; // Optional field
+      
+      // Check if it's a valid MongoDB ObjectId
+      if (value.match(/^[0-9a-fA-F]{24}$/)) return true;
+      
+      // Check if it's a local session format (local_session_* or chat_*)
+      if (value.match(/^(local_session_|chat_)[0-9a-zA-Z_]+$/)) return true;
+      
+      throw new Error('Invalid session ID format');
+    })
+    .withMessage('Invalid session ID format'),
+  
+  body('stream')
+    .optional()
+    .isBoolean()
+    .withMessage('Stream must be a boolean'),
+  
+  body('parentMessageId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('parentMessageId must be a message ID or null'),
+  
+  body('idempotencyKey')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('idempotencyKey must be a string of at most 128 characters'),
+  
+  body('attachments')
+    .optional()
+    .isArray({ max: parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 5 })
+    .withMessage('attachments must be an array of uploaded attachment IDs'),
+  
+  body('attachments.*')
+    .isMongoId()
+    .withMessage('Each attachment must be an uploaded attachment ID'),
+  
+  body('options')
+    .optional()
+    .isObject()
+    .withMessage('Options must be an object'),
+  
+  body('options.temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+  
+  body('options.max_tokens')
+    .optional()
+    .isInt({ min: 1, max: 4000 })
+    .withMessage('Max tokens must be between 1 and 4000'),
+  
+  body('options.top_p')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Top P must be between 0 and 1'),
+  
+  handleValidationErrors
+];
+
+// Multi-model comparison validation rules
+const validateCompareRequest = [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Message must be between 1 and 10000 characters'),
+  
+  body('modelIds')
+    .isArray({ min: 1 })
+    .withMessage('modelIds must be a non-empty array'),
+  
+  body('modelIds.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each model ID must be a non-empty string'),
+  
+  body('sessionId')
+    .optional()
+    .custom((value) => {
+      if (!value) return true;
+      if (value.match(/^[0-9a-fA-F]{24}$/)) return true;
+      if (value.match(/^(local_session_|chat_)[0-9a-zA-Z_]+$/)) return true;
+      throw new Error('Invalid session ID format');
+    })
+    .withMessage('Invalid session ID format'),
+  
+  body('timeoutMs')
+    .optional()
+    .isInt({ min: 1000, max: 120000 })
+    .withMessage('timeoutMs must be between 1000 and 120000'),
+  
+  body('stream')
+    .optional()
+    .isBoolean()
+    .withMessage('Stream must be a boolean'),
+  
+  body('parentMessageId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('parentMessageId must be a message ID or null'),
+  
+  body('idempotencyKey')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('idempotencyKey must be a string of at most 128 characters'),
+  
+  body('attachments')
+    .optional()
+    .isArray({ max: parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 5 })
+    .withMessage('attachments must be an array of uploaded attachment IDs'),
+  
+  body('attachments.*')
+    .isMongoId()
+    .withMessage('Each attachment must be an uploaded attachment ID'),
+  
+  body('options')
+    .optional()
+    .isObject()
+    .withMessage('Options must be an object'),
+  
+  body('options.temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+  
+  body('options.max_tokens')
+    .optional()
+    .isInt({ min: 1, max: 4000 })
+    .withMessage('Max tokens must be between 1 and 4000'),
+  
+  body('options.top_p')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Top P must be between 0 and 1'),
+  
+  handleValidationErrors
+];
+
+// Token quote validation rules
+const validateTokenQuote = [
+  body('modelIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('modelIds must be an array of 1 to 20 model IDs'),
+  
+  body('modelIds.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each model ID must be a non-empty string'),
+  
+  body('message')
+    .optional()
+    .isString()
+    .isLength({ max: 10000 })
+    .withMessage('Message must be at most 10000 characters'),
+  
+  body('promptTokens')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('promptTokens must be a non-negative integer'),
+  
+  body('completionTokens')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('completionTokens must be a non-negative integer'),
+  
+  body('maxTokens')
+    .optional()
+    .isInt({ min: 1, max: 4000 })
+    .withMessage('maxTokens must be between 1 and 4000'),
+  
+  body('imageCount')
+    .optional()
+    .isInt({ min: 0, max: 20 })
+    .withMessage('imageCount must be between 0 and 20'),
+  
+  body('documentTokens')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('documentTokens must be a non-negative integer'),
+  
+  handleValidationErrors
+];
+
+// Session document validation rules (POST /api/chat/sessions/:sessionId/documents)
+const validateSessionDocuments = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid sessionId format'),
+  
+  body('attachmentIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('attachmentIds must be an array of 1 to 20 attachment IDs'),
+  
+  body('attachmentIds.*')
+    .isMongoId()
+    .withMessage('Each attachment ID must be a valid ID'),
+  
+  handleValidationErrors
+];
+
+// Knowledge base validation rules
+const validateKnowledgeBase = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  
+  body('attachmentIds')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('attachmentIds must be an array of at most 100 attachment IDs'),
+  
+  body('attachmentIds.*')
+    .isMongoId()
+    .withMessage('Each attachment ID must be a valid ID'),
+  
+  handleValidationErrors
+];
+
+const validateKnowledgeBaseUpdate = [
+  param('knowledgeBaseId')
+    .isMongoId()
+    .withMessage('Invalid knowledgeBaseId format'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  
+  handleValidationErrors
+];
+
+const validateKnowledgeDocuments = [
+  param('knowledgeBaseId')
+    .isMongoId()
+    .withMessage('Invalid knowledgeBaseId format'),
+  
+  body('attachmentIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('attachmentIds must be an array of 1 to 100 attachment IDs'),
+  
+  body('attachmentIds.*')
+    .isMongoId()
+    .withMessage('Each attachment ID must be a valid ID'),
+  
+  handleValidationErrors
+];
+
+const validateKnowledgeSearch = [
+  param('knowledgeBaseId')
+    .isMongoId()
+    .withMessage('Invalid knowledgeBaseId format'),
+  
+  body('query')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Query must be between 1 and 2000 characters'),
+  
+  body('topK')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('topK must be between 1 and 20'),
+  
+  handleValidationErrors
+];
+
+// Chat thread validation rules
+// OpenAI-compatible chat completion validation rules (POST /v1/chat/completions)
+const validateOpenAIChatCompletion = [
+  body('model')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('model is required'),
+  
+  body('messages')
+    .isArray({ min: 1 })
+    .withMessage('messages must be a non-empty array'),
+  
+  body('messages.*.role')
+    .isIn(['system', 'developer', 'user', 'assistant', 'tool'])
+    .withMessage('Each message role must be system, developer, user, assistant or tool'),
+  
+  body('stream')
+    .optional()
+    .isBoolean()
+    .withMessage('stream must be a boolean'),
+  
+  body('n')
+    .optional()
+    .isInt({ min: 1, max: 1 })
+    .withMessage('Only n=1 is supported'),
+  
+  body('temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('temperature must be between 0 and 2'),
+  
+  body('top_p')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('top_p must be between 0 and 1'),
+  
+  body(['max_tokens', 'max_completion_tokens'])
+    .optional()
+    .isInt({ min: 1, max: 4000 })
+    .withMessage('max_tokens must be between 1 and 4000'),
+  
+  body('tools')
+    .optional()
+    .isArray()
+    .withMessage('tools must be an array'),
+  
+  handleValidationErrors
+];
+
+const validateChatThread = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  body('modelId')
+    .optional()
+    .notEmpty()
+    .withMessage('Model ID cannot be empty if provided'),
+  
+  handleValidationErrors
+];
+
+// Default generation options (camelCase, as stored on sessions and prompts) under `field`
+const generationSettingsRules = (field) => [
+  body(field)
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage(`${field} must be an object`),
+  
+  body(`${field}.temperature`)
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+  
+  body(`${field}.maxTokens`)
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 4000 })
+    .withMessage('Max tokens must be between 1 and 4000'),
+  
+  body(`${field}.topP`)
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Top P must be between 0 and 1')
+];
+
+// Chat session options: knowledge base, system prompt (text or a library prompt) and default
+// generation settings. null detaches the knowledge base or clears the system prompt.
+const sessionOptionsRules = [
+  body('knowledgeBaseId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid knowledgeBaseId format'),
+  
+  body('systemPrompt')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 20000 })
+    .withMessage('systemPrompt must be text of at most 20000 characters'),
+  
+  body('promptId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid promptId format'),
+  
+  body('variables')
+    .optional()
+    .isObject()
+    .withMessage('variables must be an object of variable values'),
+  
+  body('variables.*')
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Variable values must be text of at most 2000 characters'),
+  
+  ...generationSettingsRules('settings')
+];
+
+const validateSessionOptions = [
+  ...sessionOptionsRules,
+  handleValidationErrors
+];
+
+// Tags are stored lowercase; `field` is the tags array (tags, addTags or removeTags)
+const tagRules = (field) => [
+  body(field)
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage(`${field} must be an array of at most 20 tags`),
+  
+  body(`${field}.*`)
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tags must be between 1 and 30 characters')
+];
+
+// Where a session is filed in the history sidebar. folderId null takes it out of its folder.
+const sessionOrganisationRules = [
+  body('folderId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid folderId format'),
+  
+  body(['pinned', 'archived'])
+    .optional()
+    .isBoolean()
+    .withMessage('pinned and archived must be true or false')
+    .toBoolean()
+];
+
+// PATCH /api/chat/sessions/:sessionId: session options, title and organisation
+const validateSessionUpdate = [
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  ...sessionOptionsRules,
+  ...tagRules('tags'),
+  ...sessionOrganisationRules,
+  
+  handleValidationErrors
+];
+
+const sessionIdsRules = [
+  body('sessionIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('sessionIds must be an array of 1 to 100 session IDs'),
+  
+  body('sessionIds.*')
+    .isMongoId()
+    .withMessage('Invalid session ID format')
+];
+
+// Bulk changes to sessions: move (folderId), addTags / removeTags, pinned and archived
+const validateSessionBulkUpdate = [
+  ...sessionIdsRules,
+  ...tagRules('addTags'),
+  ...tagRules('removeTags'),
+  ...sessionOrganisationRules,
+  
+  handleValidationErrors
+];
+
+const validateSessionBulkDelete = [
+  ...sessionIdsRules,
+  handleValidationErrors
+];
+
+// Chat folder (name unique per user)
+const validateChatFolder = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Folder name must be between 1 and 50 characters'),
+  
+  handleValidationErrors
+];
+
+// Saved prompt for the user's library
+const validatePrompt = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
   
-  body('sessionId')
+  body('description')
     .optional()
-    .custom((value) => {
-      // Allow MongoDB ObjectId format OR local session format
-      if (!value) return true; // Optional field
-      
-      // Check if it's a valid MongoDB ObjectId
-      if (value.match(/^[0-9a-fA-F]{24}$/)) return true;
-      
-      // Check if it's a local session format (local_session_* or chat_*)
-      if (value.match(/^(local_session_|chat_)[0-9a-zA-Z_]+$/)) return true;
-      
-      throw new Error('Invalid session ID format');
-    })
-    .withMessage('Invalid session ID format'),
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
   
-  body('options')
+  body('content')
+    .isString()
+    .isLength({ min: 1, max: 20000 })
+    .withMessage('Content must be between 1 and 20000 characters'),
+  
+  body('defaults')
     .optional()
     .isObject()
-    .withMessage('Options must be an object'),
+    .withMessage('defaults must be an object of variable values'),
   
-  body('options.temperature')
+  body('defaults.*')
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Variable values must be text of at most 2000 characters'),
+  
+  ...generationSettingsRules('options'),
+  
+  body('shareWithWorkspace')
     .optional()
-    .isFloat({ min: 0, max: 2 })
-    .withMessage('Temperature must be between 0 and 2'),
+    .isBoolean()
+    .withMessage('shareWithWorkspace must be true or false'),
   
-  body('options.max_tokens')
+  handleValidationErrors
+];
+
+const validatePromptUpdate = [
+  param('promptId')
+    .isMongoId()
+    .withMessage('Invalid promptId format'),
+  
+  body('name')
     .optional()
-    .isInt({ min: 1, max: 4000 })
-    .withMessage('Max tokens must be between 1 and 4000'),
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
   
-  body('options.top_p')
+  body('description')
     .optional()
-    .isFloat({ min: 0, max: 1 })
-    .withMessage('Top P must be between 0 and 1'),
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  
+  body('content')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 20000 })
+    .withMessage('Content must be between 1 and 20000 characters'),
+  
+  body('defaults')
+    .optional()
+    .isObject()
+    .withMessage('defaults must be an object of variable values'),
+  
+  body('defaults.*')
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Variable values must be text of at most 2000 characters'),
+  
+  ...generationSettingsRules('options'),
   
   handleValidationErrors
 ];
 
-// Chat thread validation rules
-const validateChatThread = [
-  body('title')
+// Users (by email) a prompt is shared with; replaces the current list
+const validatePromptShare = [
+  param('promptId')
+    .isMongoId()
+    .withMessage('Invalid promptId format'),
+  
+  body('emails')
+    .isArray({ max: 50 })
+    .withMessage('emails must be an array of at most 50 email addresses'),
+  
+  body('emails.*')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Each entry must be a valid email address'),
+  
+  handleValidationErrors
+];
+
+const validatePromptRender = [
+  param('promptId')
+    .isMongoId()
+    .withMessage('Invalid promptId format'),
+  
+  body('variables')
     .optional()
-    .trim()
-    .isLength({ min: 1, max: 200 })
-    .withMessage('Title must be between 1 and 200 characters'),
+    .isObject()
+    .withMessage('variables must be an object of variable values'),
   
-  body('modelId')
+  body('variables.*')
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Variable values must be text of at most 2000 characters'),
+  
+  handleValidationErrors
+];
+
+// Pin or unpin a chat message
+const validateMessageUpdate = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid messageId format'),
+  
+  body('pinned')
+    .isBoolean()
+    .withMessage('pinned must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Rate an answer: thumbs up or down and a 1-5 score; null clears either
+const validateMessageRating = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid messageId format'),
+  
+  body('thumbs')
+    .optional({ nullable: true })
+    .isIn(['up', 'down'])
+    .withMessage('thumbs must be up, down or null'),
+  
+  body('score')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 5 })
+    .withMessage('score must be an integer between 1 and 5 or null')
+    .toInt(),
+  
+  body()
+    .custom(value => value && (value.thumbs !== undefined || value.score !== undefined))
+    .withMessage('Provide thumbs, score or both'),
+  
+  handleValidationErrors
+];
+
+// Vote on a comparison: the winning answer, or null for a tie
+const validateComparisonVote = [
+  param('comparisonId')
+    .matches(/^cmp_\w+$/)
+    .withMessage('Invalid comparisonId format'),
+  
+  body('winnerMessageId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('winnerMessageId must be a message ID or null for a tie'),
+  
+  body('blind')
     .optional()
-    .notEmpty()
-    .withMessage('Model ID cannot be empty if provided'),
+    .isBoolean()
+    .withMessage('blind must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Regenerating an answer validation rules
+const validateRegenerate = [
+  param('messageId')
+    .isMongoId()
+    .withMessage('Invalid messageId format'),
+  
+  body('stream')
+    .optional()
+    .isBoolean()
+    .withMessage('Stream must be a boolean'),
+  
+  body('options')
+    .optional()
+    .isObject()
+    .withMessage('Options must be an object'),
   
   handleValidationErrors
 ];
@@ -163,6 +889,18 @@ const validateProfileUpdate = [
     .isLength({ min: 2, max: 5 })
     .withMessage('Language code must be 2-5 characters'),
   
+  body('preferences.autoTitle')
+    .optional()
+    .isBoolean()
+    .withMessage('autoTitle must be true or false')
+    .toBoolean(),
+  
+  body('preferences.lowBalanceEmails')
+    .optional()
+    .isBoolean()
+    .withMessage('lowBalanceEmails must be true or false')
+    .toBoolean(),
+  
   handleValidationErrors
 ];
 
@@ -190,6 +928,138 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+// Session list filters: folderId ('none' for sessions outside folders), tag, pinned and archived
+const validateSessionList = [
+  query('folderId')
+    .optional()
+    .matches(/^([a-f\d]{24}|none)$/i)
+    .withMessage('folderId must be a folder ID or none'),
+  
+  query('tag')
+    .optional()
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('tag must be between 1 and 30 characters'),
+  
+  query(['pinned', 'archived'])
+    .optional()
+    .isBoolean()
+    .withMessage('pinned and archived must be true or false'),
+  
+  ...validatePagination
+];
+
+// Chat history search validation rules
+const validateChatSearch = [
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
+  
+  query('model')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('model must be a model ID'),
+  
+  query('provider')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('provider must be a provider name'),
+  
+  query('role')
+    .optional()
+    .isIn(['user', 'assistant'])
+    .withMessage('role must be user or assistant'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be ISO 8601 dates'),
+  
+  query('rating')
+    .optional()
+    .isIn(['up', 'down'])
+    .withMessage('rating must be up or down'),
+  
+  query('minScore')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('minScore must be an integer between 1 and 5')
+    .toInt(),
+  
+  ...validatePagination
+];
+
+// Model leaderboard filters: blind votes only, and a date range
+const validateModelLeaderboard = [
+  query('blind')
+    .optional()
+    .isBoolean()
+    .withMessage('blind must be true or false')
+    .toBoolean(),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be ISO 8601 dates'),
+  
+  handleValidationErrors
+];
+
+// Share link validation: a session, or one of its turns (messageId of the question or an answer)
+const validateShareLink = [
+  body('sessionId')
+    .isMongoId()
+    .withMessage('sessionId must be a valid session ID'),
+  
+  body('messageId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('messageId must be a valid message ID'),
+  
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  body('password')
+    .optional({ checkFalsy: true })
+    .isString()
+    .isLength({ min: 4, max: 100 })
+    .withMessage('Password must be between 4 and 100 characters'),
+  
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('expiresInDays must be a positive number of days')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Chat export validation (?format=, and for bulk exports an optional comma-separated sessionIds list)
+const validateChatExport = [
+  query('format')
+    .optional()
+    .isIn(['json', 'markdown', 'html', 'pdf'])
+    .withMessage('format must be json, markdown, html or pdf'),
+  
+  query('sessionIds')
+    .optional()
+    .matches(/^[a-f\d]{24}(,[a-f\d]{24})*$/i)
+    .withMessage('sessionIds must be comma-separated session IDs'),
+  
+  handleValidationErrors
+];
+
 // Models pagination validation (allows higher limits for OpenRouter models)
 const validateModelsPagination = [
   query('page')
@@ -235,6 +1105,146 @@ const validateUserUpdate = [
   handleValidationErrors
 ];
 
+// Organizations (team workspaces)
+const validateOrganization = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Workspace name must be between 1 and 60 characters'),
+  
+  body('defaultMonthlyTokenCap')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('defaultMonthlyTokenCap must be a whole number of tokens, or null for no cap')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+const validateOrganizationUpdate = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organizationId format'),
+  
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Workspace name must be between 1 and 60 characters'),
+  
+  body('defaultMonthlyTokenCap')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('defaultMonthlyTokenCap must be a whole number of tokens, or null for no cap')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+const validateOrganizationInvite = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organizationId format'),
+  
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  body('role')
+    .optional()
+    .isIn(['admin', 'member'])
+    .withMessage('Role must be admin or member'),
+  
+  handleValidationErrors
+];
+
+const validateOrganizationMemberUpdate = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organizationId format'),
+  
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid userId format'),
+  
+  body('role')
+    .optional()
+    .isIn(['owner', 'admin', 'member'])
+    .withMessage('Role must be owner, admin or member'),
+  
+  body('monthlyTokenCap')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('monthlyTokenCap must be a whole number of tokens, or null for no cap')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+const validateInviteToken = [
+  param('token')
+    .matches(/^[A-Za-z0-9_-]{43}$/)
+    .withMessage('Invalid invitation link'),
+  
+  handleValidationErrors
+];
+
+// Plan purchases: organizationId buys the plan for that organization instead of the user
+const validatePlanPurchase = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid plan id format'),
+  
+  body('organizationId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid organizationId format'),
+  
+  handleValidationErrors
+];
+
+// Razorpay Checkout result for a subscription's first payment
+const validateSubscriptionVerify = [
+  body('razorpay_payment_id')
+    .isString()
+    .notEmpty()
+    .withMessage('razorpay_payment_id is required'),
+  
+  body('razorpay_subscription_id')
+    .isString()
+    .notEmpty()
+    .withMessage('razorpay_subscription_id is required'),
+  
+  body('razorpay_signature')
+    .isString()
+    .notEmpty()
+    .withMessage('razorpay_signature is required'),
+  
+  handleValidationErrors
+];
+
+const validateSubscriptionChange = [
+  body('planId')
+    .isMongoId()
+    .withMessage('Invalid planId format'),
+  
+  handleValidationErrors
+];
+
+// atPeriodEnd defaults to true: the subscription runs until the paid period ends
+const validateSubscriptionCancel = [
+  body('atPeriodEnd')
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage('atPeriodEnd must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
 // API Key validation
 const validateApiKeyGeneration = [
   body('name')
@@ -244,8 +1254,12 @@ const validateApiKeyGeneration = [
   
   body('permissions')
     .optional()
-    .isArray()
-    .withMessage('Permissions must be an array'),
+    .isArray({ min: 1 })
+    .withMessage('Permissions must be a non-empty array'),
+  
+  body('permissions.*')
+    .isIn(['chat', 'models'])
+    .withMessage('Permissions must be chat or models'),
   
   body('expiresIn')
     .optional()
@@ -286,8 +1300,51 @@ module.exports = {
   validateRegister,
   validateLogin,
   validatePasswordChange,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateRefreshToken,
+  validateAuthSessionId,
   validateChatMessage,
+  validateCompareRequest,
+  validateTokenQuote,
+  validateOpenAIChatCompletion,
   validateChatThread,
+  validateSessionDocuments,
+  validateSessionOptions,
+  validateSessionUpdate,
+  validateSessionBulkUpdate,
+  validateSessionBulkDelete,
+  validateSessionList,
+  validateChatFolder,
+  validatePrompt,
+  validatePromptUpdate,
+  validatePromptShare,
+  validatePromptRender,
+  validateMessageUpdate,
+  validateMessageRating,
+  validateComparisonVote,
+  validateRegenerate,
+  validateChatSearch,
+  validateModelLeaderboard,
+  validateChatExport,
+  validateShareLink,
+  validateOrganization,
+  validateOrganizationUpdate,
+  validateOrganizationInvite,
+  validateOrganizationMemberUpdate,
+  validateInviteToken,
+  validatePlanPurchase,
+  validateSubscriptionVerify,
+  validateSubscriptionChange,
+  validateSubscriptionCancel,
+  validateKnowledgeBase,
+  validateKnowledgeBaseUpdate,
+  validateKnowledgeDocuments,
+  validateKnowledgeSearch,
   validateProfileUpdate,
   validateModelId,
   validatePagination,
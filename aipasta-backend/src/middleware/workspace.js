@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
+const { AppError } = require('./errorHandler');
+
+// Set req.workspace = { organization, membership } from the X-Workspace-Id header, for requests made in a
+// team workspace; null (the personal workspace) without the header. Runs after authentication.
+const resolveWorkspace = async (req, res, next) => {
+  try {
+    req.workspace = null;
+    const organizationId = req.get('X-Workspace-Id');
+    if (!organizationId || !req.user) {
+      return next();
+    }
+
+    const notFoundErr = new AppError('Workspace not found. Switch to another workspace and try again.', 404);
+    notFoundErr.code = 'WORKSPACE_NOT_FOUND';
+    if (!mongoose.isValidObjectId(organizationId)) {
+      return next(notFoundErr);
+    }
+
+    const [organization, membership] = await Promise.all([
+      Organization.findById(organizationId).populate('currentPlan'),
+      OrganizationMember.findOne({ organizationId, userId: req.user._id })
+    ]);
+    if (!organization || !membership) {
+      return next(notFoundErr);
+    }
+
+    req.workspace = { organization, membership };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  resolveWorkspace
+};
@@ -52,12 +52,12 @@ const aiModelSchema = new mongoose.Schema({
     input: {
       type: Number,
       required: true,
-      default: 0 // per 1K tokens
+      default: 0 // USD per token
     },
     output: {
       type: Number,
       required: true,
-      default: 0 // per 1K tokens
+      default: 0 // USD per token
     },
     image: {
       type: Number,
@@ -108,6 +108,8 @@ const aiModelSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Model ids to try, in order, when this model's provider fails (see completionService)
+  fallbacks: [String],
   isFree: {
     type: Boolean,
     default: function() {
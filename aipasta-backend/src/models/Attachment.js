@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A file uploaded via POST /api/attachments. The bytes live in attachment storage (local disk or S3);
+// `messageId` is set once the file has been sent with a chat message.
+const attachmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['image', 'audio', 'document', 'video'],
+    required: true
+  },
+  originalName: String,
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: String,
+  // Where the bytes are stored and under which key
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  // Text extraction for document attachments (chunks are stored as DocumentChunk)
+  document: {
+    status: {
+      type: String,
+      enum: ['ready', 'failed']
+    },
+    characters: Number,
+    tokens: Number,
+    chunkCount: Number,
+    error: String
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.url = `/api/attachments/${ret._id}/content`;
+      delete ret.storageKey;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+attachmentSchema.index({ userId: 1, createdAt: -1 });
+attachmentSchema.index({ messageId: 1 });
+
+// Embedded copy stored on the ChatMessage the attachment was sent with
+attachmentSchema.methods.toMessageAttachment = function() {
+  return {
+    type: this.type,
+    filename: this.storageKey.split('/').pop(),
+    originalName: this.originalName,
+    size: this.size,
+    mimeType: this.mimeType,
+    url: `/api/attachments/${this._id}/content`,
+    metadata: { attachmentId: this._id }
+  };
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
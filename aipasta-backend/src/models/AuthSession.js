@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Each sign-in starts a session holding a family of refresh tokens: every refresh
+// replaces the token, and presenting one that was already replaced revokes the whole session.
+const authSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token's secret part; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // The token it replaced, still honoured briefly for requests that raced the rotation
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: Date,
+  // Number of refreshes so far
+  generation: {
+    type: Number,
+    default: 0
+  },
+  // The sign-in passed the two-factor step; refreshed access tokens keep the mfa claim
+  twoFactor: {
+    type: Boolean,
+    default: false
+  },
+  // e.g. "Chrome on Windows", from the user agent
+  device: String,
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'signed-out', 'signed-out-everywhere', 'password-changed', 'reuse-detected', 'replaced', 'account-unavailable']
+  }
+}, {
+  timestamps: true,
+  collection: 'auth_sessions'
+});
+
+authSessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are removed by MongoDB
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
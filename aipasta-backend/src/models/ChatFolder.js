@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A folder in the user's chat history. Sessions point at their folder (ChatSession.folderId).
+// Folders of a team workspace (organizationId) are shared: every member sees them and the chats filed in
+// them; userId is the member who created it.
+const chatFolderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique per user (shared folder names are also checked across the workspace, see routes/folders)
+chatFolderSchema.index({ userId: 1, name: 1 }, { unique: true });
+chatFolderSchema.index({ organizationId: 1, name: 1 });
+
+module.exports = mongoose.model('ChatFolder', chatFolderSchema);
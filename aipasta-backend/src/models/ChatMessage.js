@@ -28,6 +28,46 @@ const chatMessageSchema = new mongoose.Schema({
     name: String,
     provider: String
   },
+  // Conversation tree (see branchService): a user message points at the user message of the turn before it
+  // (null for the first turn), an answer at the user message it answers. Edits and regenerations add siblings.
+  parentMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    default: null
+  },
+  // Among the versions of an answer (same parent and model), the one shown and sent with the history
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Pinned messages are always sent with the history, however long the conversation gets
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  // The user's verdict on an answer (assistant messages only)
+  rating: {
+    thumbs: {
+      type: String,
+      enum: ['up', 'down', null],
+      default: null
+    },
+    score: {
+      type: Number,
+      min: 1,
+      max: 5,
+      default: null
+    },
+    ratedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Shared by the user message and every model answer of one POST /api/chat/compare turn
+  comparisonId: {
+    type: String,
+    default: null
+  },
   attachments: [{
     type: {
       type: String,
@@ -40,6 +80,23 @@ const chatMessageSchema = new mongoose.Schema({
     url: String,
     metadata: mongoose.Schema.Types.Mixed
   }],
+  // Knowledge base passages the answer was given with, numbered as the model was asked to cite them
+  citations: [{
+    _id: false,
+    index: Number,
+    attachmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attachment'
+    },
+    chunkId: mongoose.Schema.Types.ObjectId,
+    documentName: String,
+    chunkIndex: Number,
+    chunkCount: Number,
+    score: Number,
+    excerpt: String,
+    // Whether the answer refers to this source
+    cited: Boolean
+  }],
   usage: {
     inputTokens: {
       type: Number,
@@ -76,6 +133,15 @@ const chatMessageSchema = new mongoose.Schema({
       default: 'USD'
     }
   },
+  // Wallet tokens charged for this response and the pool they were billed against
+  tokensDeducted: {
+    type: Number,
+    default: 0
+  },
+  modelType: {
+    type: String,
+    enum: ['free', 'paid', 'premium']
+  },
   responseTime: {
     type: Number, // in milliseconds
     default: 0
@@ -97,7 +163,20 @@ const chatMessageSchema = new mongoose.Schema({
     maxTokens: Number,
     topP: Number,
     userAgent: String,
-    ipAddress: String
+    ipAddress: String,
+    // Set when a fallback model answered instead of the one requested
+    requestedModelId: String,
+    fallback: Boolean,
+    // Prompt tokens of session document passages sent with the request
+    documentTokens: Number,
+    knowledgeBaseId: mongoose.Schema.Types.ObjectId,
+    // How the session history was fitted to the model's context window (see contextService)
+    context: {
+      includedMessages: Number,
+      summarizedMessages: Number,
+      droppedMessages: Number,
+      historyTokens: Number
+    }
   }
 }, {
   timestamps: true
@@ -110,6 +189,10 @@ chatMessageSchema.index({ messageId: 1 }, { unique: true });
 chatMessageSchema.index({ role: 1 });
 chatMessageSchema.index({ 'model.provider': 1 });
 chatMessageSchema.index({ status: 1 });
+chatMessageSchema.index({ comparisonId: 1 }, { sparse: true });
+chatMessageSchema.index({ sessionId: 1, parentMessageId: 1 });
+chatMessageSchema.index({ userId: 1, 'rating.ratedAt': 1 }); // GET /api/chat/stats/models
+chatMessageSchema.index({ content: 'text' }); // GET /api/chat/search
 
 // Virtual for total cost in INR
 chatMessageSchema.virtual('costInINR').get(function() {
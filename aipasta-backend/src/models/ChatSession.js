@@ -10,15 +10,47 @@ const chatSessionSchema = new mongoose.Schema({
     ref: 'User',
     required: true // Require userId for all authenticated chat sessions
   },
+  // Team workspace the session was started in (null for the personal workspace); its requests draw from
+  // the organization's shared balance
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
   title: {
     type: String,
     trim: true,
     maxlength: 200
   },
+  // Set when the title was written by the title model after the first exchange (see titleService)
+  titleGeneratedAt: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Organisation in the history sidebar; archived sessions are left out of the default list
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatFolder',
+    default: null
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 30
+  }],
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
   messageCount: {
     type: Number,
     default: 0
@@ -40,6 +72,59 @@ const chatSessionSchema = new mongoose.Schema({
       default: 0
     }
   }],
+  // System prompt sent first with every request; promptId is the library prompt it was rendered from
+  systemPrompt: {
+    content: {
+      type: String,
+      maxlength: 20000
+    },
+    promptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prompt'
+    },
+    variables: {
+      type: Map,
+      of: String
+    }
+  },
+  // Default generation options; options sent with a request override them
+  settings: {
+    temperature: Number,
+    maxTokens: Number,
+    topP: Number
+  },
+  // Document attachments whose relevant passages are added to every request in this session
+  documents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  }],
+  // Knowledge base searched for every message in this session
+  knowledgeBaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KnowledgeBase',
+    default: null
+  },
+  // Last user message of the branch being shown; history is built along this branch (see branchService)
+  activeMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    default: null
+  },
+  // Summaries of earlier turns that no longer fit a model's context window, newest first.
+  // scope is the model id the history was built for ('*' when shared); throughMessageId is the last message covered.
+  historySummaries: [{
+    _id: false,
+    scope: String,
+    throughMessageId: String,
+    messageCount: Number,
+    content: String,
+    model: String,
+    usageTokens: Number,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   metadata: {
     userAgent: String,
     ipAddress: String,
@@ -61,6 +146,10 @@ const chatSessionSchema = new mongoose.Schema({
 chatSessionSchema.index({ userId: 1, createdAt: -1 });
 chatSessionSchema.index({ sessionId: 1 });
 chatSessionSchema.index({ lastMessageAt: -1 });
+chatSessionSchema.index({ userId: 1, archived: 1, pinned: -1, lastMessageAt: -1 }); // GET /api/chat/sessions
+chatSessionSchema.index({ userId: 1, tags: 1 });
+chatSessionSchema.index({ organizationId: 1, folderId: 1, lastMessageAt: -1 }); // Shared folders of a workspace
+chatSessionSchema.index({ title: 'text' }); // GET /api/chat/search
 chatSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 module.exports = mongoose.model('ChatSession', chatSessionSchema);
\ No newline at end of file
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// The user's verdict on one POST /api/chat/compare turn: which answer won, or a tie (winnerModelId null).
+// Kept apart from the messages so leaderboards (see ratingService) read one small collection.
+const comparisonVoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // ChatSession.sessionId of the comparison, like ChatMessage.sessionId
+  sessionId: {
+    type: String,
+    required: true
+  },
+  comparisonId: {
+    type: String,
+    required: true
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    required: true
+  },
+  // The answers that were compared, as shown when the user voted
+  models: [{
+    _id: false,
+    id: String,
+    name: String,
+    provider: String,
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ChatMessage'
+    }
+  }],
+  winnerModelId: {
+    type: String,
+    default: null
+  },
+  winnerMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    default: null
+  },
+  // Whether the model names were hidden until the vote
+  blind: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+comparisonVoteSchema.index({ userId: 1, comparisonId: 1 }, { unique: true });
+comparisonVoteSchema.index({ userId: 1, createdAt: 1 });
+comparisonVoteSchema.index({ userId: 1, sessionId: 1 });
+
+module.exports = mongoose.model('ComparisonVote', comparisonVoteSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A slice of text extracted from a document attachment, sized to fit into a model's context
+const documentChunkSchema = new mongoose.Schema({
+  attachmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  tokens: {
+    type: Number,
+    default: 0
+  },
+  // Set when the document is indexed into a knowledge base (see services/vectorStore.js)
+  embedding: {
+    model: String,
+    vector: {
+      type: [Number],
+      default: undefined
+    }
+  }
+}, {
+  timestamps: true
+});
+
+documentChunkSchema.index({ attachmentId: 1, index: 1 }, { unique: true });
+documentChunkSchema.index({ attachmentId: 1, 'embedding.model': 1 });
+
+module.exports = mongoose.model('DocumentChunk', documentChunkSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One document per email the app tried to send (see services/mailService.js), kept for auditing:
+// which template went to whom, through which transport, and every failed attempt before it went out
+const emailLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  subject: String,
+  transport: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: [{
+    at: { type: Date, default: Date.now },
+    error: String
+  }],
+  messageId: String,
+  sentAt: Date,
+  // Set for emails that must go out at most once (e.g. receipt:<paymentId>)
+  dedupeKey: String
+}, {
+  timestamps: true,
+  collection: 'email_logs'
+});
+
+emailLogSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+emailLogSchema.index({ template: 1, createdAt: -1 });
+emailLogSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
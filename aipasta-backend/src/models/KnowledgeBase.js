@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A named set of the user's uploaded documents, embedded for retrieval. A chat session with a
+// knowledgeBaseId gets the passages most similar to each message added to every model's context.
+const knowledgeBaseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  documents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  }],
+  // Embedding model the chunks were indexed with; queries must use the same one
+  embeddingModel: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['empty', 'ready', 'failed'],
+    default: 'empty'
+  },
+  error: String,
+  chunkCount: {
+    type: Number,
+    default: 0
+  },
+  tokens: {
+    type: Number,
+    default: 0
+  },
+  // Tokens sent to the embeddings endpoint while indexing
+  embeddingTokens: {
+    type: Number,
+    default: 0
+  },
+  indexedAt: Date
+}, {
+  timestamps: true
+});
+
+knowledgeBaseSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('KnowledgeBase', knowledgeBaseSchema);
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const TokenLedger = require('./TokenLedger');
+
+const PLAN_RANK = { free: 0, paid: 1, premium: 2 };
+
+// A team workspace. Members (OrganizationMember) draw from one shared token balance, which plans bought
+// for the organization top up. Chat requests made in the workspace hold and charge these tokens through
+// the TokenLedger (entries with organizationId), within each member's monthly cap.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shared wallet. Every organization token was bought, so there is a single pool.
+  tokens: {
+    balance: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Tokens held for in-flight requests (see reserveTokens / releaseTokens)
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    totalUsed: {
+      type: Number,
+      default: 0
+    },
+    totalPurchased: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Highest plan bought for the organization; decides which model types members can use
+  currentPlan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    default: null
+  },
+  planHistory: [{
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Plan'
+    },
+    purchasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    purchasedAt: {
+      type: Date,
+      default: Date.now
+    },
+    tokensReceived: Number,
+    amountPaid: Number,
+    paymentId: String, // Razorpay payment ID
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed', 'refunded'],
+      default: 'completed'
+    }
+  }],
+  // Monthly cap given to members when they join (null for no cap); each member's own cap can be changed later
+  defaultMonthlyTokenCap: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ ownerId: 1 });
+organizationSchema.index({ 'planHistory.paymentId': 1 });
+
+// Atomically hold tokens for in-flight requests. Resolves to the updated organization, or null when the
+// available balance (balance minus existing reservations) cannot cover the amount.
+organizationSchema.statics.reserveTokens = function(organizationId, amount) {
+  return this.findOneAndUpdate(
+    {
+      _id: organizationId,
+      $expr: {
+        $gte: [{ $subtract: ['$tokens.balance', { $ifNull: ['$tokens.reserved', 0] }] }, amount]
+      }
+    },
+    { $inc: { 'tokens.reserved': amount } },
+    { new: true }
+  );
+};
+
+// Drop a reservation made with reserveTokens once the requests have been settled
+organizationSchema.statics.releaseTokens = function(organizationId, amount) {
+  return this.findOneAndUpdate(
+    { _id: organizationId },
+    { $inc: { 'tokens.reserved': -amount } },
+    { new: true }
+  );
+};
+
+// Credit a purchased plan. paymentInfo is { amount, paymentId, status }. Each payment is credited once:
+// resolves to the new balance, or null when the payment was already credited.
+organizationSchema.methods.addTokens = async function(amount, plan, paymentInfo, purchasedBy) {
+  const amt = parseInt(amount, 10) || 0;
+  const Organization = this.constructor;
+
+  const updated = await Organization.findOneAndUpdate(
+    { _id: this._id, 'planHistory.paymentId': { $ne: paymentInfo.paymentId } },
+    {
+      $inc: { 'tokens.balance': amt, 'tokens.totalPurchased': amt },
+      $push: {
+        planHistory: {
+          planId: plan._id,
+          purchasedBy,
+          tokensReceived: amt,
+          amountPaid: paymentInfo.amount,
+          paymentId: paymentInfo.paymentId,
+          status: paymentInfo.status || 'completed'
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    console.log('⚠️ Payment already credited to organization:', paymentInfo.paymentId);
+    return null;
+  }
+
+  // Move up to the plan's model access; a cheaper plan never downgrades it
+  const Plan = mongoose.model('Plan');
+  const current = updated.currentPlan ? await Plan.findById(updated.currentPlan).select('modelType') : null;
+  if (!current || PLAN_RANK[plan.modelType] > PLAN_RANK[current.modelType]) {
+    updated.currentPlan = plan._id;
+    await updated.save();
+  }
+  this.set({ tokens: updated.tokens, planHistory: updated.planHistory, currentPlan: updated.currentPlan });
+
+  try {
+    await TokenLedger.record({
+      userId: purchasedBy,
+      organizationId: this._id,
+      type: 'topup',
+      balanceDelta: amt,
+      pool: 'paid',
+      idempotencyKey: `payment:${paymentInfo.paymentId}`,
+      description: 'Purchased tokens for organization',
+      metadata: { planId: plan._id, paymentId: paymentInfo.paymentId, amount: paymentInfo.amount }
+    });
+  } catch (err) {
+    console.error('Failed to write token ledger entry:', err?.message || err, { organizationId: this._id, type: 'topup' });
+  }
+
+  return updated.tokens.balance;
+};
+
+// Free models are open to every workspace, paid models need tokens, premium models a premium plan.
+// Expects currentPlan to be populated for the premium check.
+organizationSchema.methods.canUseModel = function(modelType) {
+  if (modelType === 'free') return true;
+  if (modelType === 'premium') return Boolean(this.currentPlan && this.currentPlan.modelType === 'premium');
+  return (this.tokens.balance || 0) > 0;
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
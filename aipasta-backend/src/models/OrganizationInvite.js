@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// An emailed invitation to join an organization. The link carries a random token; only its hash is stored.
+const organizationInviteSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Role given on joining; ownership is only ever transferred, never invited
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  // SHA-256 of the token in the invitation link
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'organization_invites'
+});
+
+organizationInviteSchema.index({ tokenHash: 1 }, { unique: true });
+organizationInviteSchema.index({ organizationId: 1, email: 1 });
+
+// Not yet accepted, revoked or expired
+organizationInviteSchema.methods.isPending = function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('OrganizationInvite', organizationInviteSchema);
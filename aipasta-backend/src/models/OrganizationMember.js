@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// Calendar month (UTC) that monthly caps count against, e.g. "2025-03"
+const currentPeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+// A user's membership of an organization: their role and how much of the shared balance they may use
+// each month. usage counts the current period only and starts again from zero in a new month.
+const organizationMemberSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // owner: everything, including billing and deleting the organization; admin: members, invitations,
+  // caps and billing; member: chats, shared folders and prompts
+  role: {
+    type: String,
+    enum: ['owner', 'admin', 'member'],
+    default: 'member'
+  },
+  // Tokens the member may use per month; null for no cap
+  monthlyTokenCap: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  usage: {
+    period: {
+      type: String,
+      default: () => currentPeriod()
+    },
+    used: {
+      type: Number,
+      default: 0
+    },
+    // Held for the member's in-flight requests
+    reserved: {
+      type: Number,
+      default: 0
+    }
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'organization_members'
+});
+
+organizationMemberSchema.index({ organizationId: 1, userId: 1 }, { unique: true });
+organizationMemberSchema.index({ userId: 1 });
+
+organizationMemberSchema.statics.currentPeriod = currentPeriod;
+
+// Hold `amount` tokens against the member's cap for this month. Resolves to the updated membership, or
+// null when it would take the member over their cap.
+organizationMemberSchema.statics.reserveAllowance = async function(organizationId, userId, amount, period = currentPeriod()) {
+  // A new month starts from zero
+  await this.updateOne(
+    { organizationId, userId, 'usage.period': { $ne: period } },
+    { $set: { usage: { period, used: 0, reserved: 0 } } }
+  );
+
+  return this.findOneAndUpdate(
+    {
+      organizationId,
+      userId,
+      'usage.period': period,
+      $or: [
+        { monthlyTokenCap: null },
+        { $expr: { $lte: [{ $add: ['$usage.used', '$usage.reserved', amount] }, '$monthlyTokenCap'] } }
+      ]
+    },
+    { $inc: { 'usage.reserved': amount } },
+    { new: true }
+  );
+};
+
+// Turn a hold made with reserveAllowance into usage. Holds from an earlier month were already dropped.
+organizationMemberSchema.statics.settleAllowance = function(organizationId, userId, { held, charged, period }) {
+  return this.updateOne(
+    { organizationId, userId, 'usage.period': period },
+    { $inc: { 'usage.used': charged, 'usage.reserved': -held } }
+  );
+};
+
+// Drop a hold made with reserveAllowance without counting it as usage
+organizationMemberSchema.statics.releaseAllowance = function(organizationId, userId, { held, period }) {
+  return this.updateOne(
+    { organizationId, userId, 'usage.period': period },
+    { $inc: { 'usage.reserved': -held } }
+  );
+};
+
+// Usage for the current month: { period, used, reserved, cap, remaining } (remaining is null without a cap)
+organizationMemberSchema.methods.getAllowance = function() {
+  const period = currentPeriod();
+  const fresh = this.usage?.period !== period;
+  const used = fresh ? 0 : this.usage.used;
+  const reserved = fresh ? 0 : this.usage.reserved;
+  const cap = this.monthlyTokenCap;
+  return {
+    period,
+    used,
+    reserved,
+    cap,
+    remaining: cap == null ? null : Math.max(0, cap - used - reserved)
+  };
+};
+
+module.exports = mongoose.model('OrganizationMember', organizationMemberSchema);
@@ -66,11 +66,30 @@ const planSchema = new mongoose.Schema({
       default: null // null means unlimited, number means limited
     }
   },
-  // Razorpay integration fields
+  // Multiplier applied to usage charges for subscribers of this plan (see services/pricingService)
+  pricingMultiplier: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Razorpay integration fields. Plans with a razorpayPlanId are monthly subscriptions that grant
+  // `tokens` at every renewal (see services/subscriptionService); the rest are one-time top-ups.
   razorpayPlanId: {
     type: String,
     sparse: true // Allow null but must be unique if present
   },
+  // What happens at renewal to tokens left from the last monthly grant: 'reset' drops them, 'rollover'
+  // keeps up to maxRolloverTokens (null keeps all). Purchased top-ups are never dropped.
+  tokenRenewal: {
+    type: String,
+    enum: ['reset', 'rollover'],
+    default: 'reset'
+  },
+  maxRolloverTokens: {
+    type: Number,
+    default: null,
+    min: 0
+  },
   // Tracking
   totalPurchases: {
     type: Number,
@@ -90,6 +109,10 @@ planSchema.index({ modelType: 1, isActive: 1 });
 planSchema.index({ priceINR: 1 });
 planSchema.index({ sortOrder: 1 });
 
+planSchema.virtual('isRecurring').get(function() {
+  return Boolean(this.razorpayPlanId);
+});
+
 // Virtual for tokens per rupee ratio
 planSchema.virtual('tokensPerRupee').get(function() {
   return this.priceINR > 0 ? (this.tokens / this.priceINR) : 0;
@@ -105,6 +128,12 @@ planSchema.statics.getByModelType = function(modelType) {
   return this.find({ modelType, isActive: true }).sort({ priceINR: 1 });
 };
 
+// Static method to load a user's current plan (null for users without one)
+planSchema.statics.findForUser = function(user) {
+  if (!user || !user.currentPlan) return Promise.resolve(null);
+  return this.findById(user.currentPlan._id || user.currentPlan);
+};
+
 // Instance method to check if user can access this plan's models
 planSchema.methods.canAccessModel = function(modelType) {
   return this.limitations.allowedModelTypes.includes(modelType) || 
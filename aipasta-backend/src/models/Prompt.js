@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A saved system prompt in the user's library. Content may contain variables such as {{language}},
+// filled in when the prompt is applied to a chat session (see promptService).
+// Prompts with an organizationId are in that team workspace's shared library instead.
+const promptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 20000
+  },
+  // Default values for the content's variables, by name
+  defaults: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Generation options applied with the prompt unless the request sets its own
+  options: {
+    temperature: Number,
+    maxTokens: Number,
+    topP: Number
+  },
+  // Users who can see and apply the prompt (read-only)
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  usageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+promptSchema.index({ userId: 1, name: 1 }, { unique: true });
+promptSchema.index({ sharedWith: 1 });
+promptSchema.index({ organizationId: 1 });
+
+module.exports = mongoose.model('Prompt', promptSchema);
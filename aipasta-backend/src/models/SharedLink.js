@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A public read-only link to a chat session or to one turn of it (a question and every model's answer).
+// Viewers see a snapshot taken when the link was created, so later messages stay private.
+const sharedLinkSchema = new mongoose.Schema({
+  // Unguessable id in the public URL
+  slug: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatSession',
+    required: true
+  },
+  // The question whose turn is shared; null when the whole session (its current branch) is shared
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    default: null
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  // bcrypt hash; viewers must send the password when set
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // What viewers see: questions and answers only, without ids, costs or account details
+  turns: [{
+    _id: false,
+    question: {
+      content: String,
+      createdAt: Date
+    },
+    answers: [{
+      _id: false,
+      content: String,
+      model: {
+        id: String,
+        name: String,
+        provider: String
+      },
+      error: String,
+      citations: [{
+        _id: false,
+        index: Number,
+        documentName: String,
+        excerpt: String,
+        cited: Boolean
+      }],
+      createdAt: Date
+    }]
+  }],
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  forkCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+}, {
+  timestamps: true
+});
+
+sharedLinkSchema.index({ slug: 1 }, { unique: true });
+sharedLinkSchema.index({ userId: 1, sessionId: 1, createdAt: -1 });
+
+// Whether viewers can still open the link
+sharedLinkSchema.methods.isAvailable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('SharedLink', sharedLinkSchema);
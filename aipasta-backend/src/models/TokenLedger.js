@@ -0,0 +1,329 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every change to a user's token wallet.
+// `balanceDelta` entries sum to `tokens.balance`; `reservedDelta` entries sum to `tokens.reserved`.
+// Chat requests follow reserve -> settle | release, keyed by a reservationId.
+// Entries with an organizationId belong to that organization's shared wallet instead (userId is the
+// member who used or bought the tokens).
+const tokenLedgerSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['opening', 'grant', 'topup', 'reserve', 'settle', 'release', 'deduct', 'refund', 'adjustment', 'expire'],
+    required: true
+  },
+  balanceDelta: {
+    type: Number,
+    default: 0
+  },
+  reservedDelta: {
+    type: Number,
+    default: 0
+  },
+  pool: {
+    type: String,
+    enum: ['free', 'paid']
+  },
+  modelType: String,
+  reservationId: String,
+  // Unique per logical operation so retries never apply twice
+  idempotencyKey: String,
+  sessionId: String,
+  messageId: String,
+  description: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'token_ledger'
+});
+
+// Indexes
+tokenLedgerSchema.index({ userId: 1, createdAt: -1 });
+tokenLedgerSchema.index({ organizationId: 1, createdAt: -1 });
+tokenLedgerSchema.index({ reservationId: 1, type: 1 });
+tokenLedgerSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+// Entries are never modified or removed once written
+const rejectMutation = function(next) {
+  next(new Error('TokenLedger entries are append-only'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+  .forEach(op => tokenLedgerSchema.pre(op, rejectMutation));
+tokenLedgerSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('TokenLedger entries are append-only'));
+  next();
+});
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// Append an entry. With an idempotencyKey that was already used, resolves to
+// { entry: <existing>, duplicate: true } instead of writing a second entry.
+tokenLedgerSchema.statics.record = async function(entry) {
+  try {
+    const created = await this.create(entry);
+    return { entry: created, duplicate: false };
+  } catch (error) {
+    if (isDuplicateKeyError(error) && entry.idempotencyKey) {
+      const existing = await this.findOne({ idempotencyKey: entry.idempotencyKey });
+      return { entry: existing, duplicate: true };
+    }
+    throw error;
+  }
+};
+
+// Hold and give back tokens in the wallet a reservation draws from: the user's, or with an organizationId
+// the organization's shared balance plus the member's monthly cap
+const holdTokens = async ({ userId, organizationId, amount, period }) => {
+  if (!organizationId) {
+    return Boolean(await mongoose.model('User').reserveTokens(userId, amount));
+  }
+
+  const OrganizationMember = mongoose.model('OrganizationMember');
+  const allowance = await OrganizationMember.reserveAllowance(organizationId, userId, amount, period);
+  if (!allowance) return false;
+  const held = await mongoose.model('Organization').reserveTokens(organizationId, amount);
+  if (!held) {
+    await OrganizationMember.releaseAllowance(organizationId, userId, { held: amount, period });
+    return false;
+  }
+  return true;
+};
+
+const releaseHold = async ({ userId, organizationId, amount, period }) => {
+  if (!organizationId) {
+    return mongoose.model('User').releaseTokens(userId, amount);
+  }
+  await mongoose.model('OrganizationMember').releaseAllowance(organizationId, userId, { held: amount, period });
+  return mongoose.model('Organization').releaseTokens(organizationId, amount);
+};
+
+// Hold `amount` tokens for an in-flight request. Resolves to the reserve entry, or null when the
+// user's available balance cannot cover it (with an organizationId: the organization's balance or the
+// member's monthly cap). Reusing an idempotencyKey returns the earlier reservation (with `duplicate: true`)
+// without holding tokens twice.
+tokenLedgerSchema.statics.reserve = async function({ userId, organizationId = null, amount, idempotencyKey, sessionId, messageId, description, metadata }) {
+  const reserveKey = idempotencyKey ? `${idempotencyKey}:reserve` : undefined;
+
+  if (reserveKey) {
+    const existing = await this.findOne({ idempotencyKey: reserveKey });
+    if (existing) return { entry: existing, duplicate: true };
+  }
+
+  // Member caps are per month; the hold is given back to the month it was taken from
+  const period = organizationId ? mongoose.model('OrganizationMember').currentPeriod() : undefined;
+  const held = await holdTokens({ userId, organizationId, amount, period });
+  if (!held) return null;
+
+  const reservationId = `rsv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const result = await this.record({
+    userId,
+    organizationId,
+    type: 'reserve',
+    reservedDelta: amount,
+    reservationId,
+    idempotencyKey: reserveKey,
+    sessionId,
+    messageId,
+    description: description || 'Hold for chat request',
+    metadata: period ? { ...(metadata || {}), period } : metadata
+  });
+
+  // Lost a race with an identical request: give back the hold we just took
+  if (result.duplicate) {
+    await releaseHold({ userId, organizationId, amount, period });
+  }
+
+  return result;
+};
+
+// Load the open reserve entry for a reservation, or null if it was already settled or released
+tokenLedgerSchema.statics.findOpenReservation = async function(reservationId) {
+  const entries = await this.find({ reservationId });
+  const reserve = entries.find(e => e.type === 'reserve');
+  const closed = entries.some(e => e.type === 'settle' || e.type === 'release');
+  return reserve && !closed ? reserve : null;
+};
+
+// The settle entry claims the full charge before the wallet is updated; when the wallet held less than
+// that, give the part that was not collected back so the ledger records what was actually charged
+const recordShortfall = async (Ledger, reserve, amount) => {
+  if (amount <= 0) return;
+  await Ledger.record({
+    userId: reserve.userId,
+    organizationId: reserve.organizationId,
+    type: 'adjustment',
+    balanceDelta: amount,
+    reservationId: reserve.reservationId,
+    idempotencyKey: `${reserve.reservationId}:shortfall`,
+    sessionId: reserve.sessionId,
+    description: 'Uncollected part of a chat charge'
+  });
+};
+
+// Charge an organization reservation: one atomic update of the shared wallet, then the member's usage.
+// The user's request counters are updated too, but not their own wallet.
+const settleOrganization = async (reserve, total) => {
+  const Organization = mongoose.model('Organization');
+  const held = reserve.reservedDelta;
+  const balance = { $ifNull: ['$tokens.balance', 0] };
+  const charge = { $min: [total, balance] };
+
+  const before = await Organization.findOneAndUpdate({ _id: reserve.organizationId }, [{
+    $set: {
+      'tokens.totalUsed': { $add: [{ $ifNull: ['$tokens.totalUsed', 0] }, charge] },
+      'tokens.balance': { $max: [0, { $subtract: [balance, total] }] },
+      'tokens.reserved': { $max: [0, { $subtract: [{ $ifNull: ['$tokens.reserved', 0] }, held] }] }
+    }
+  }], { new: false });
+  // Other members' requests share this wallet, so the charge comes from the balance this update applied to
+  const charged = before ? Math.min(total, before.tokens?.balance || 0) : 0;
+  await recordShortfall(mongoose.model('TokenLedger'), reserve, total - charged);
+  const organization = await Organization.findById(reserve.organizationId);
+
+  await mongoose.model('OrganizationMember').settleAllowance(reserve.organizationId, reserve.userId, {
+    held,
+    charged,
+    period: reserve.metadata?.period
+  });
+  const user = await mongoose.model('User').findOneAndUpdate(
+    { _id: reserve.userId },
+    { $inc: { 'usage.totalRequests': 1, 'stats.tokensUsed': charged } },
+    { new: true }
+  );
+
+  return { user, organization, charged };
+};
+
+// Charge a reservation and drop its hold in one atomic user update.
+// `charges` is a list of { amount, modelType } - each drawn from its preferred pool first
+// (free models from free tokens, paid/premium from paid tokens) then the other pool.
+// The total charged never exceeds the amount held.
+// Resolves to { user, charged } or null if the reservation is unknown or already closed. Organization
+// reservations charge the shared wallet and also resolve to the updated `organization`.
+tokenLedgerSchema.statics.settle = async function(reservationId, requestedCharges, { messageId, description, metadata } = {}) {
+  const User = mongoose.model('User');
+  const reserve = await this.findOpenReservation(reservationId);
+  if (!reserve) return null;
+
+  const held = reserve.reservedDelta;
+  let remainingHold = held;
+  const charges = requestedCharges.map(({ amount, modelType }) => {
+    const amt = Math.min(remainingHold, Math.max(0, Math.ceil(amount || 0)));
+    remainingHold -= amt;
+    return { amount: amt, modelType };
+  });
+  const total = held - remainingHold;
+
+  // Claim the reservation first: the shared close key makes settle/release happen at most once
+  const claim = await this.record({
+    userId: reserve.userId,
+    organizationId: reserve.organizationId,
+    type: 'settle',
+    balanceDelta: -total,
+    reservedDelta: -held,
+    modelType: charges.length === 1 ? charges[0].modelType : 'mixed',
+    reservationId,
+    idempotencyKey: `${reservationId}:close`,
+    sessionId: reserve.sessionId,
+    messageId: messageId || reserve.messageId,
+    description: description || 'Chat usage',
+    metadata: { ...(metadata || {}), charges }
+  });
+  if (claim.duplicate) return null;
+
+  if (reserve.organizationId) {
+    return settleOrganization(reserve, total);
+  }
+
+  // Build an update pipeline: one stage per charge, each reading the pools left by the previous one
+  const pools = {
+    free: { path: 'tokens.freeTokens', value: { $ifNull: ['$tokens.freeTokens', 0] } },
+    paid: { path: 'tokens.paidTokens', value: { $ifNull: ['$tokens.paidTokens', 0] } }
+  };
+  const available = { $add: [pools.free.value, pools.paid.value] };
+  const stages = [{
+    $set: {
+      'tokens.totalUsed': { $add: [{ $ifNull: ['$tokens.totalUsed', 0] }, { $min: [total, available] }] },
+      'stats.tokensUsed': { $add: [{ $ifNull: ['$stats.tokensUsed', 0] }, { $min: [total, available] }] },
+      'usage.totalRequests': { $add: [{ $ifNull: ['$usage.totalRequests', 0] }, 1] }
+    }
+  }];
+  charges.forEach(({ amount: amt, modelType }) => {
+    const [primary, secondary] = modelType === 'free' ? [pools.free, pools.paid] : [pools.paid, pools.free];
+    stages.push({
+      $set: {
+        [primary.path]: { $max: [0, { $subtract: [primary.value, amt] }] },
+        [secondary.path]: { $max: [0, { $subtract: [secondary.value, { $max: [0, { $subtract: [amt, primary.value] }] }] }] }
+      }
+    });
+  });
+  stages.push({
+    $set: {
+      'tokens.balance': available,
+      'tokens.reserved': { $max: [0, { $subtract: [{ $ifNull: ['$tokens.reserved', 0] }, held] }] }
+    }
+  });
+  stages.push({ $set: { credits: '$tokens.balance' } });
+
+  const before = await User.findOneAndUpdate({ _id: reserve.userId }, stages, { new: false });
+  // What the update took, from the wallet it applied to (later reads include other requests' charges)
+  const charged = before ? Math.min(total, (before.tokens.freeTokens || 0) + (before.tokens.paidTokens || 0)) : 0;
+  await recordShortfall(this, reserve, total - charged);
+  const user = await User.findById(reserve.userId);
+
+  return { user, charged };
+};
+
+// Drop a reservation without charging (provider failed before producing output)
+tokenLedgerSchema.statics.release = async function(reservationId, { description, metadata } = {}) {
+  const reserve = await this.findOpenReservation(reservationId);
+  if (!reserve) return null;
+
+  const claim = await this.record({
+    userId: reserve.userId,
+    organizationId: reserve.organizationId,
+    type: 'release',
+    reservedDelta: -reserve.reservedDelta,
+    reservationId,
+    idempotencyKey: `${reservationId}:close`,
+    sessionId: reserve.sessionId,
+    messageId: reserve.messageId,
+    description: description || 'Hold released',
+    metadata
+  });
+  if (claim.duplicate) return null;
+
+  return releaseHold({
+    userId: reserve.userId,
+    organizationId: reserve.organizationId,
+    amount: reserve.reservedDelta,
+    period: reserve.metadata?.period
+  });
+};
+
+// Sum the ledger for a user's own wallet: { balance, reserved, entries }
+tokenLedgerSchema.statics.getTotals = async function(userId) {
+  const [totals] = await this.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), organizationId: null } },
+    {
+      $group: {
+        _id: '$userId',
+        balance: { $sum: '$balanceDelta' },
+        reserved: { $sum: '$reservedDelta' },
+        entries: { $sum: 1 }
+      }
+    }
+  ]);
+  return totals ? { balance: totals.balance, reserved: totals.reserved, entries: totals.entries } : { balance: 0, reserved: 0, entries: 0 };
+};
+
+module.exports = mongoose.model('TokenLedger', tokenLedgerSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const TokenLedger = require('./TokenLedger');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -54,6 +56,16 @@ const userSchema = new mongoose.Schema({
     language: {
       type: String,
       default: 'en'
+    },
+    // Let a free model title new chats after the first exchange (see titleService)
+    autoTitle: {
+      type: Boolean,
+      default: true
+    },
+    // Email a warning when a charge takes the balance below LOW_BALANCE_THRESHOLD (see mailService)
+    lowBalanceEmails: {
+      type: Boolean,
+      default: true
     }
   },
   usage: {
@@ -91,6 +103,12 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Tokens held for in-flight requests (see reserveTokens / releaseTokens)
+    reserved: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     // Transaction log for token activity
     transactions: [{
       id: String,
@@ -139,7 +157,40 @@ const userSchema = new mongoose.Schema({
       enum: ['free', 'pro', 'enterprise'],
       default: 'free'
     },
+    // End of the paid period of a recurring plan
     expiresAt: Date,
+    // Recurring plan (see services/subscriptionService), kept in step by Razorpay subscription webhooks
+    razorpaySubscriptionId: String,
+    planId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Plan',
+      default: null
+    },
+    // Razorpay's subscription status; null without a subscription
+    status: {
+      type: String,
+      enum: ['created', 'authenticated', 'active', 'pending', 'halted', 'paused', 'cancelled', 'completed', 'expired', null],
+      default: null
+    },
+    currentPeriodStart: Date,
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false
+    },
+    // Downgrade that takes effect at the next renewal
+    scheduledPlanId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Plan',
+      default: null
+    },
+    // Time of the latest subscription webhook applied; Razorpay may deliver events out of order, and
+    // older ones arriving late must not move the status back
+    lastEventAt: Date,
+    // Tokens granted for the current period, which is what a renewal can drop or roll over
+    periodGrant: {
+      type: Number,
+      default: 0
+    },
     limits: {
       requestsPerDay: {
         type: Number,
@@ -176,10 +227,64 @@ const userSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Keys for programmatic access (see checkApiKeyOrAuth). Only the SHA-256 hash is stored;
+  // the plaintext `aipasta_...` key is shown once when it is generated.
+  apiKeys: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    permissions: [{
+      type: String,
+      enum: ['chat', 'models']
+    }],
+    expiresAt: Date,
+    lastUsed: Date,
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   lastLoginAt: Date,
   emailVerifiedAt: Date,
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
   resetPasswordToken: String,
-  resetPasswordExpires: Date
+  resetPasswordExpires: Date,
+  // Optional TOTP second sign-in step (see services/totpService.js); admin routes require it
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    // Encrypted; pendingSecret is set up but not yet confirmed with a code
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    // Time step of the last code accepted, so a code works once
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: {
+      type: [{ _id: false, hash: String, usedAt: Date }],
+      select: false
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date,
+    // Challenges issued before the last lock no longer work, so sign-in starts over from the password
+    lockedAt: Date
+  }
 }, {
   timestamps: true,
   toJSON: {
@@ -187,6 +292,14 @@ const userSchema = new mongoose.Schema({
       delete ret.password;
       delete ret.resetPasswordToken;
       delete ret.resetPasswordExpires;
+      delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
+      if (ret.twoFactor) {
+        ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+      }
+      if (Array.isArray(ret.apiKeys)) {
+        ret.apiKeys = ret.apiKeys.map(({ key, ...info }) => info);
+      }
       return ret;
     }
   }
@@ -196,6 +309,8 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ createdAt: 1 });
 userSchema.index({ lastLoginAt: 1 });
+userSchema.index({ 'apiKeys.key': 1 }, { sparse: true });
+userSchema.index({ 'subscription.razorpaySubscriptionId': 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('isVerified').get(function() {
@@ -207,161 +322,201 @@ userSchema.virtual('totalTokens').get(function() {
   return this.tokens.balance;
 });
 
-// Token management methods
-userSchema.methods.deductTokens = async function(amount, modelType = 'free', options = {}) {
-  const amt = parseInt(amount, 10) || 0;
-  if (amt <= 0) return this.tokens.balance;
-
-  // Decide deduction order based on modelType
-  let remaining = amt;
-  const txs = this.tokens.transactions || [];
-
-  // Helper to push transaction entries
-  const pushTx = (type, a, mType, desc, meta = {}) => {
-    txs.unshift({
-      id: Date.now() + Math.random().toString(36).substr(2, 9),
-      type,
-      amount: a,
-      modelType: mType,
-      description: desc,
-      metadata: meta,
-      timestamp: new Date()
-    });
-  };
-
+// Append a wallet change to the TokenLedger. Failures are logged rather than thrown so a
+// ledger outage never blocks a payment or chat; reconciliation reports the resulting drift.
+const recordLedgerEntry = async (entry) => {
   try {
-    if (modelType === 'free') {
-      // Deduct from freeTokens first, then paidTokens if needed
-      const fromFree = Math.min(this.tokens.freeTokens || 0, remaining);
-      if (fromFree > 0) {
-        this.tokens.freeTokens -= fromFree;
-        remaining -= fromFree;
-        pushTx('deduct', fromFree, 'free', options.description || 'Usage - free model', options.metadata);
-      }
+    await TokenLedger.record(entry);
+  } catch (err) {
+    console.error('Failed to write token ledger entry:', err?.message || err, { userId: entry.userId, type: entry.type });
+  }
+};
 
-      if (remaining > 0) {
-        const fromPaid = Math.min(this.tokens.paidTokens || 0, remaining);
-        if (fromPaid > 0) {
-          this.tokens.paidTokens -= fromPaid;
-          remaining -= fromPaid;
-          pushTx('deduct', fromPaid, 'paid', options.description || 'Usage - free model (paid cover)', options.metadata);
-        }
-      }
-    } else if (modelType === 'paid' || modelType === 'premium') {
-      // Deduct from paidTokens first, then fallback to freeTokens if needed
-      const fromPaid = Math.min(this.tokens.paidTokens || 0, remaining);
-      if (fromPaid > 0) {
-        this.tokens.paidTokens -= fromPaid;
-        remaining -= fromPaid;
-        pushTx('deduct', fromPaid, 'paid', options.description || 'Usage - paid model', options.metadata);
-      }
+// Copy wallet fields from an atomically updated document onto this one without marking them
+// modified, so a later save() of other fields never writes a stale balance back
+const syncWallet = (doc, updated) => {
+  if (!updated) return;
+  doc.set('tokens', updated.tokens);
+  doc.set('credits', updated.credits);
+  ['tokens', 'credits', ...Object.keys(updated.tokens?.toObject?.() || updated.tokens || {}).map(key => `tokens.${key}`)]
+    .forEach(path => doc.unmarkModified(path));
+};
 
-      if (remaining > 0) {
-        const fromFree = Math.min(this.tokens.freeTokens || 0, remaining);
-        if (fromFree > 0) {
-          this.tokens.freeTokens -= fromFree;
-          remaining -= fromFree;
-          pushTx('deduct', fromFree, 'free', options.description || 'Usage - paid model (free cover)', options.metadata);
-        }
-      }
-    } else {
-      // Generic fallback: reduce balance proportionally from free then paid
-      const fromFree = Math.min(this.tokens.freeTokens || 0, remaining);
-      if (fromFree > 0) {
-        this.tokens.freeTokens -= fromFree;
-        remaining -= fromFree;
-        pushTx('deduct', fromFree, 'free', options.description || 'Usage - fallback', options.metadata);
-      }
-      if (remaining > 0) {
-        const fromPaid = Math.min(this.tokens.paidTokens || 0, remaining);
-        if (fromPaid > 0) {
-          this.tokens.paidTokens -= fromPaid;
-          remaining -= fromPaid;
-          pushTx('deduct', fromPaid, 'paid', options.description || 'Usage - fallback', options.metadata);
-        }
-      }
-    }
+const TRANSACTION_HISTORY_LIMIT = 200;
 
-    const deducted = amt - remaining;
-    this.tokens.totalUsed = (this.tokens.totalUsed || 0) + deducted;
-    this.tokens.balance = Math.max(0, (this.tokens.freeTokens || 0) + (this.tokens.paidTokens || 0));
+const transactionEntry = (type, amount, modelType, description, metadata = {}) => ({
+  id: Date.now() + Math.random().toString(36).substr(2, 9),
+  type,
+  amount,
+  modelType,
+  description,
+  metadata,
+  timestamp: new Date()
+});
 
-    // Update legacy credits for compatibility
-    this.credits = this.tokens.balance;
+// Token management methods
 
-    // Update usage stats
-    this.usage.totalRequests = (this.usage.totalRequests || 0) + 1;
-    this.stats.tokensUsed = (this.stats.tokensUsed || 0) + deducted;
+// Deduct tokens in one atomic update: free models draw on free tokens first, paid/premium models on
+// paid tokens first, then the other pool. Never takes more than the wallet holds.
+userSchema.methods.deductTokens = async function(amount, modelType = 'free', options = {}) {
+  const amt = parseInt(amount, 10) || 0;
+  if (amt <= 0) return this.tokens.balance;
 
-    // Save transactions array (keep it capped)
-    this.tokens.transactions = txs.slice(0, 200);
+  const [primary, secondary] = modelType === 'paid' || modelType === 'premium' ? ['paid', 'free'] : ['free', 'paid'];
+  const value = pool => ({ $ifNull: [`$tokens.${pool}Tokens`, 0] });
+  const fromPrimary = { $min: [amt, value(primary)] };
+  const fromSecondary = { $min: [{ $subtract: [amt, fromPrimary] }, value(secondary)] };
+  const deducted = { $add: [fromPrimary, fromSecondary] };
+
+  const before = await this.constructor.findOneAndUpdate({ _id: this._id }, [
+    {
+      $set: {
+        'tokens.totalUsed': { $add: [{ $ifNull: ['$tokens.totalUsed', 0] }, deducted] },
+        'stats.tokensUsed': { $add: [{ $ifNull: ['$stats.tokensUsed', 0] }, deducted] },
+        'usage.totalRequests': { $add: [{ $ifNull: ['$usage.totalRequests', 0] }, 1] },
+        [`tokens.${primary}Tokens`]: { $subtract: [value(primary), fromPrimary] },
+        [`tokens.${secondary}Tokens`]: { $subtract: [value(secondary), fromSecondary] }
+      }
+    },
+    { $set: { 'tokens.balance': { $add: [value('free'), value('paid')] } } },
+    { $set: { credits: '$tokens.balance' } }
+  ], { new: false });
+  if (!before) throw new Error('User not found');
+
+  // The same split the update applied, worked out from the wallet it applied to
+  const available = { free: before.tokens.freeTokens || 0, paid: before.tokens.paidTokens || 0 };
+  const takenPrimary = Math.min(amt, available[primary]);
+  const takenSecondary = Math.min(amt - takenPrimary, available[secondary]);
+  const deductedTotal = takenPrimary + takenSecondary;
+  const remaining = amt - deductedTotal;
+
+  const description = options.description || `Usage - ${modelType} model`;
+  const transactions = [
+    takenPrimary > 0 && transactionEntry('deduct', takenPrimary, primary, description, options.metadata),
+    takenSecondary > 0 && transactionEntry('deduct', takenSecondary, secondary, `${description} (${secondary} cover)`, options.metadata)
+  ].filter(Boolean);
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $push: { 'tokens.transactions': { $each: transactions, $position: 0, $slice: TRANSACTION_HISTORY_LIMIT } } },
+    { new: true }
+  );
+  syncWallet(this, updated);
+
+  if (deductedTotal > 0) {
+    await recordLedgerEntry({
+      userId: this._id,
+      type: 'deduct',
+      balanceDelta: -deductedTotal,
+      modelType,
+      idempotencyKey: options.idempotencyKey,
+      description: options.description || 'Usage deduction',
+      metadata: options.metadata
+    });
+  }
 
-    await this.save();
+  const balance = available.free + available.paid - deductedTotal;
+  return { remaining, deducted: deductedTotal, balance };
+};
 
-    if (remaining > 0) {
-      // Not enough tokens to cover full amount
-      return { remaining, deducted: deducted, balance: this.tokens.balance };
-    }
+// Atomically hold tokens for in-flight requests. Resolves to the updated user, or null when the
+// available balance (balance minus existing reservations) cannot cover the amount.
+userSchema.statics.reserveTokens = function(userId, amount) {
+  return this.findOneAndUpdate(
+    {
+      _id: userId,
+      $expr: {
+        $gte: [{ $subtract: ['$tokens.balance', { $ifNull: ['$tokens.reserved', 0] }] }, amount]
+      }
+    },
+    { $inc: { 'tokens.reserved': amount } },
+    { new: true }
+  );
+};
 
-    return { remaining: 0, deducted, balance: this.tokens.balance };
-  } catch (err) {
-    // In case of unexpected errors, rethrow
-    throw err;
-  }
+// Drop a reservation made with reserveTokens once the requests have been settled
+userSchema.statics.releaseTokens = function(userId, amount) {
+  return this.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { 'tokens.reserved': -amount } },
+    { new: true }
+  );
 };
 
+// Credit tokens in one atomic update. A paymentInfo credits the paid pool and is added to planHistory
+// unless that payment is already there (callers that claimed it first still get the tokens).
+// Options: target ('free' | 'paid'), description, idempotencyKey, and for credits that are not
+// purchases or grants (admin changes) the ledgerType, transactionType and metadata to record.
+// Other unsaved changes to this document are not saved.
 userSchema.methods.addTokens = async function(amount, planId = null, paymentInfo = null, options = {}) {
   const amt = parseInt(amount, 10) || 0;
   if (amt <= 0) return this.tokens.balance;
 
   // Determine whether tokens are paid or free
   const isPaid = !!paymentInfo || options.target === 'paid' || (options.modelType === 'paid');
-  if (isPaid) {
-    this.tokens.paidTokens = (this.tokens.paidTokens || 0) + amt;
-  } else {
-    this.tokens.freeTokens = (this.tokens.freeTokens || 0) + amt;
-  }
-
-  // Recompute balance
-  this.tokens.balance = (this.tokens.freeTokens || 0) + (this.tokens.paidTokens || 0);
+  const description = options.description || (isPaid ? 'Purchased tokens' : 'Free allocation');
+  const update = {
+    $inc: {
+      [isPaid ? 'tokens.paidTokens' : 'tokens.freeTokens']: amt,
+      'tokens.balance': amt,
+      credits: amt
+    },
+    $push: {
+      'tokens.transactions': {
+        $each: [transactionEntry(options.transactionType || 'topup', amt, isPaid ? 'paid' : 'free', description, {
+          ...(paymentInfo || {}),
+          ...(options.metadata || {})
+        })],
+        $position: 0,
+        $slice: TRANSACTION_HISTORY_LIMIT
+      }
+    }
+  };
 
-  // Add to plan history if payment info provided (check for duplicates)
+  let updated = null;
   if (paymentInfo) {
-    // Check if this paymentId already exists in planHistory
-    const existingPayment = this.planHistory.find(h => h.paymentId === paymentInfo.paymentId);
-    if (!existingPayment) {
-      this.planHistory.push({
-        planId,
-        tokensReceived: amt,
-        amountPaid: paymentInfo.amount,
-        paymentId: paymentInfo.paymentId,
-        status: paymentInfo.status || 'completed'
-      });
-    } else {
+    updated = await this.constructor.findOneAndUpdate(
+      { _id: this._id, 'planHistory.paymentId': { $ne: paymentInfo.paymentId } },
+      {
+        ...update,
+        $push: {
+          ...update.$push,
+          planHistory: {
+            planId,
+            tokensReceived: amt,
+            amountPaid: paymentInfo.amount,
+            paymentId: paymentInfo.paymentId,
+            status: paymentInfo.status || 'completed'
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) {
       console.log('⚠️ Payment already exists in plan history:', paymentInfo.paymentId);
     }
   }
-
-  // Log transaction
-  this.tokens.transactions = this.tokens.transactions || [];
-  this.tokens.transactions.unshift({
-    id: Date.now() + Math.random().toString(36).substr(2, 9),
-    type: 'topup',
-    amount: amt,
-    modelType: isPaid ? 'paid' : 'free',
-    description: options.description || (isPaid ? 'Purchased tokens' : 'Free allocation'),
-    metadata: paymentInfo || {},
-    timestamp: new Date()
+  if (!updated) {
+    updated = await this.constructor.findOneAndUpdate({ _id: this._id }, update, { new: true });
+  }
+  if (!updated) throw new Error('User not found');
+
+  syncWallet(this, updated);
+  this.planHistory = updated.planHistory;
+  this.unmarkModified('planHistory');
+
+  await recordLedgerEntry({
+    userId: this._id,
+    type: options.ledgerType || (paymentInfo ? 'topup' : 'grant'),
+    balanceDelta: amt,
+    pool: isPaid ? 'paid' : 'free',
+    idempotencyKey: paymentInfo?.paymentId ? `payment:${paymentInfo.paymentId}` : options.idempotencyKey,
+    description,
+    metadata: paymentInfo
+      ? { planId, paymentId: paymentInfo.paymentId, amount: paymentInfo.amount, ...options.metadata }
+      : options.metadata
   });
 
-  // Cap transaction history
-  this.tokens.transactions = this.tokens.transactions.slice(0, 200);
-
-  // Update legacy credits
-  this.credits = this.tokens.balance;
-
-  await this.save();
-  return this.tokens.balance;
+  return updated.tokens.balance;
 };
 
 userSchema.methods.canUseModel = function(modelType) {
@@ -410,6 +565,24 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Record the signup allocation as the first ledger entry for new users
+userSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+userSchema.post('save', async function(doc) {
+  if (!doc.$locals.wasNew || !(doc.tokens?.balance > 0)) return;
+  await recordLedgerEntry({
+    userId: doc._id,
+    type: 'grant',
+    balanceDelta: doc.tokens.balance,
+    pool: 'free',
+    idempotencyKey: `signup:${doc._id}`,
+    description: 'Signup allocation'
+  });
+});
+
 // Instance method to check password
 userSchema.methods.correctPassword = async function(candidatePassword, userPassword) {
   return await bcrypt.compare(candidatePassword, userPassword);
@@ -425,6 +598,26 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
+// Single-use tokens for email links: the user gets the random token, only its SHA-256 hash is stored
+const hashEmailToken = token => crypto.createHash('sha256').update(token).digest('hex');
+userSchema.statics.hashEmailToken = hashEmailToken;
+
+// Instance method to start a password reset; returns the token for the emailed link (caller saves)
+userSchema.methods.createPasswordResetToken = function(expiresMinutes = 30) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = hashEmailToken(token);
+  this.resetPasswordExpires = new Date(Date.now() + expiresMinutes * 60 * 1000);
+  return token;
+};
+
+// Instance method to start email verification; returns the token for the emailed link (caller saves)
+userSchema.methods.createEmailVerificationToken = function(expiresHours = 24) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashEmailToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + expiresHours * 60 * 60 * 1000);
+  return token;
+};
+
 // Instance method to check if user has enough credits (updated to use tokens.balance)
 userSchema.methods.hasCredits = function(amount = 1) {
   return this.tokens.balance >= amount;
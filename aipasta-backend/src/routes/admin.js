@@ -3,6 +3,9 @@ const User = require('../models/User');
 const ChatSession = require('../models/ChatSession');
 const ChatMessage = require('../models/ChatMessage');
 const AIModel = require('../models/AIModel');
+const TokenLedger = require('../models/TokenLedger');
+const { reconcileUser, reconcileAll } = require('../services/ledgerReconciliation');
+const { getCircuitStatus } = require('../lib/circuitBreaker');
 const { AppError } = require('../middleware/errorHandler');
 const { requireAdmin } = require('../middleware/auth');
 const { validateUserUpdate, validatePagination } = require('../middleware/validation');
@@ -516,6 +519,10 @@ const getSystemMetrics = async (req, res, next) => {
           messages: await ChatMessage.estimatedDocumentCount(),
           models: await AIModel.estimatedDocumentCount()
         }
+      },
+      // Circuit breaker state of every provider that has been called since startup
+      providers: {
+        circuits: getCircuitStatus()
       }
     };
 
@@ -536,7 +543,7 @@ const getSystemMetrics = async (req, res, next) => {
 const updateModel = async (req, res, next) => {
   try {
     const { modelId } = req.params;
-    const { isAvailable, status, pricing } = req.body;
+    const { isAvailable, status, pricing, fallbacks } = req.body;
 
     const model = await AIModel.findOne({ modelId });
     if (!model) {
@@ -549,6 +556,7 @@ const updateModel = async (req, res, next) => {
       if (pricing.input !== undefined) model.pricing.input = pricing.input;
       if (pricing.output !== undefined) model.pricing.output = pricing.output;
     }
+    if (Array.isArray(fallbacks)) model.fallbacks = fallbacks.filter(id => typeof id === 'string' && id !== modelId);
 
     await model.save();
 
@@ -587,57 +595,15 @@ const addTokensToUser = async (req, res, next) => {
       return next(new AppError('User not found', 404));
     }
 
-    // Initialize tokens object if it doesn't exist
-    if (!user.tokens) {
-      user.tokens = {
-        balance: user.credits || 0,
-        freeTokens: user.credits || 0,
-        paidTokens: 0,
-        totalUsed: 0,
-        transactions: []
-      };
-    }
-
-    // Store old values for response
-    const oldBalance = user.tokens.balance || 0;
-    const oldFreeTokens = user.tokens.freeTokens || 0;
-    const oldPaidTokens = user.tokens.paidTokens || 0;
-
-    // Add tokens based on type
-    if (tokenType === 'free') {
-      user.tokens.freeTokens = oldFreeTokens + amount;
-    } else if (tokenType === 'paid') {
-      user.tokens.paidTokens = oldPaidTokens + amount;
-    }
-
-    // Update total balance
-    user.tokens.balance = user.tokens.freeTokens + user.tokens.paidTokens;
-    
-    // Update totalEarned if it exists
-    if (user.tokens.totalEarned !== undefined) {
-      user.tokens.totalEarned = (user.tokens.totalEarned || 0) + amount;
-    }
-
-    // Add transaction record
-    user.tokens.transactions.push({
-      type: `admin_credit_${tokenType}`,
-      amount: amount,
+    // Credited atomically, so requests charged or held meanwhile are kept
+    const newBalance = await user.addTokens(amount, null, null, {
+      target: tokenType,
+      ledgerType: 'adjustment',
+      transactionType: `admin_credit_${tokenType}`,
       description: `${reason} (${tokenType} tokens)`,
-      balanceAfter: user.tokens.balance,
-      timestamp: new Date(),
-      adminId: req.user._id,
-      metadata: {
-        tokenType: tokenType,
-        freeTokensAfter: user.tokens.freeTokens,
-        paidTokensAfter: user.tokens.paidTokens
-      }
+      metadata: { adminId: req.user._id }
     });
 
-    // Update legacy credits field for backward compatibility
-    user.credits = user.tokens.balance;
-
-    await user.save();
-
     // Log admin action
     console.log(`Admin ${req.user.email} added ${amount} ${tokenType} tokens to user ${user.email}. Reason: ${reason}`);
 
@@ -649,8 +615,8 @@ const addTokensToUser = async (req, res, next) => {
           _id: user._id,
           name: user.name,
           email: user.email,
-          previousBalance: oldBalance,
-          newBalance: user.tokens.balance,
+          previousBalance: newBalance - amount,
+          newBalance,
           tokensAdded: amount,
           tokenType: tokenType,
           tokens: {
@@ -714,6 +680,17 @@ const changeUserPlan = async (req, res, next) => {
     const oldPlan = user.currentPlan;
     user.currentPlan = planId || null;
 
+    // Plan tokens are credited atomically as paid tokens; the save below then only writes the plan fields
+    if (plan && plan.tokens > 0) {
+      await user.addTokens(plan.tokens, planId, null, {
+        target: 'paid',
+        ledgerType: 'adjustment',
+        transactionType: 'admin_plan_change',
+        description: `Plan upgraded to ${plan.displayName} by admin`,
+        metadata: { adminId: req.user._id, planId, planName: plan.displayName }
+      });
+    }
+
     // Add to plan history if upgrading to a premium plan
     if (planId) {
       user.planHistory.push({
@@ -724,35 +701,6 @@ const changeUserPlan = async (req, res, next) => {
         paymentId: 'admin_change',
         status: 'completed'
       });
-
-      // Optionally add plan tokens as paid tokens
-      if (plan.tokens > 0) {
-        if (!user.tokens) {
-          user.tokens = {
-            balance: 0,
-            freeTokens: 0,
-            paidTokens: 0,
-            totalUsed: 0,
-            transactions: []
-          };
-        }
-        
-        user.tokens.paidTokens += plan.tokens;
-        user.tokens.balance = user.tokens.freeTokens + user.tokens.paidTokens;
-        
-        user.tokens.transactions.push({
-          type: 'admin_plan_change',
-          amount: plan.tokens,
-          description: `Plan upgraded to ${plan.displayName} by admin`,
-          balanceAfter: user.tokens.balance,
-          timestamp: new Date(),
-          adminId: req.user._id,
-          metadata: {
-            planId: planId,
-            planName: plan.displayName
-          }
-        });
-      }
     }
 
     await user.save();
@@ -780,10 +728,88 @@ const changeUserPlan = async (req, res, next) => {
   }
 };
 
+// @desc    Get a user's token ledger entries with ledger and wallet totals
+// @route   GET /api/admin/users/:userId/ledger
+// @access  Private (Admin only)
+const getUserLedger = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const user = await User.findById(userId).select('email tokens');
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const [entries, totals] = await Promise.all([
+      TokenLedger.find({ userId }).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      TokenLedger.getTotals(userId)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        entries,
+        totals,
+        wallet: {
+          balance: user.tokens?.balance || 0,
+          reserved: user.tokens?.reserved || 0
+        },
+        pagination: {
+          page,
+          limit,
+          total: totals.entries,
+          pages: Math.ceil(totals.entries / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reconcile wallets against the token ledger (report only unless fix is true)
+// @route   POST /api/admin/ledger/reconcile
+// @access  Private (Admin only)
+const reconcileLedger = async (req, res, next) => {
+  try {
+    const { userId, fix = false, staleAfterMinutes } = req.body || {};
+    const options = { fix: fix === true || fix === 'true' };
+    if (staleAfterMinutes !== undefined) {
+      const minutes = parseInt(staleAfterMinutes, 10);
+      if (!Number.isFinite(minutes) || minutes < 1) {
+        return next(new AppError('staleAfterMinutes must be a positive integer', 400));
+      }
+      options.staleAfterMinutes = minutes;
+    }
+
+    if (userId) {
+      const report = await reconcileUser(userId, options);
+      if (!report) {
+        return next(new AppError('User not found', 404));
+      }
+      return res.status(200).json({ status: 'success', data: { report } });
+    }
+
+    const summary = await reconcileAll(options);
+    console.log(`🧾 Admin ${req.user.email} ran ledger reconciliation: ${summary.outOfSync}/${summary.checked} out of sync${options.fix ? ' (fixed)' : ''}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Routes
 router.get('/stats', getAdminStats);
 router.get('/users', validatePagination, getAllUsers);
 router.get('/users/:userId', getUserDetails);
+router.get('/users/:userId/ledger', getUserLedger);
 router.patch('/users/:userId', validateUserUpdate, updateUser);
 router.post('/users/:userId/tokens', addTokensToUser);
 router.post('/users/:userId/plan', changeUserPlan);
@@ -791,5 +817,6 @@ router.delete('/users/:userId', deleteUser);
 router.get('/system', getSystemMetrics);
 router.patch('/models/:modelId', updateModel);
 router.get('/plans', getPlans);
+router.post('/ledger/reconcile', reconcileLedger);
 
 module.exports = router;
\ No newline at end of file
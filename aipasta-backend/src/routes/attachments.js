@@ -0,0 +1,159 @@
+const express = require('express');
+const multer = require('multer');
+const Attachment = require('../models/Attachment');
+const { AppError } = require('../middleware/errorHandler');
+const { validateMongoId } = require('../middleware/validation');
+const {
+  ATTACHMENT_CONFIG,
+  validateUpload,
+  storeUpload,
+  readContent,
+  removeAttachment,
+  isDocument
+} = require('../services/attachmentService');
+const { ingestDocument } = require('../services/documentService');
+
+const router = express.Router();
+
+// Files are kept in memory until they pass validation, then written to attachment storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENT_CONFIG.maxBytes,
+    files: ATTACHMENT_CONFIG.maxFiles
+  }
+}).array('files', ATTACHMENT_CONFIG.maxFiles);
+
+// Run multer and turn its limit errors into 4xx responses
+const receiveFiles = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const message = {
+        LIMIT_FILE_SIZE: `Files must be at most ${Math.round(ATTACHMENT_CONFIG.maxBytes / 1024 / 1024)}MB`,
+        LIMIT_FILE_COUNT: `At most ${ATTACHMENT_CONFIG.maxFiles} files can be uploaded at once`,
+        LIMIT_UNEXPECTED_FILE: `Upload files in the "files" field (at most ${ATTACHMENT_CONFIG.maxFiles})`
+      }[error.code] || error.message;
+      const uploadErr = new AppError(message, status);
+      uploadErr.code = error.code;
+      return next(uploadErr);
+    }
+    next(error);
+  });
+};
+
+// @desc    Upload files to attach to a chat message (documents are also extracted for chat context)
+// @route   POST /api/attachments
+// @access  Private
+const uploadAttachments = async (req, res, next) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return next(new AppError('No files uploaded', 400));
+    }
+
+    // Reject the whole batch if any file is invalid, so nothing is stored half-way
+    const errors = files.map(validateUpload).filter(Boolean);
+    if (errors.length > 0) {
+      const typeErr = new AppError(errors.join('; '), 400);
+      typeErr.code = 'INVALID_ATTACHMENT';
+      return next(typeErr);
+    }
+
+    const attachments = [];
+    for (const file of files) {
+      const attachment = await storeUpload(req.user._id, file);
+      // Documents are extracted now so their size is known before they are used in a chat
+      if (isDocument(attachment)) {
+        await ingestDocument(attachment, file.buffer);
+      }
+      attachments.push(attachment);
+    }
+
+    console.log(`📎 Stored ${attachments.length} attachment(s) for user ${req.user._id}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        attachments
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get attachment details
+// @route   GET /api/attachments/:attachmentId
+// @access  Private
+const getAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, userId: req.user._id });
+    if (!attachment) {
+      return next(new AppError('Attachment not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        attachment
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download an attachment's contents
+// @route   GET /api/attachments/:attachmentId/content
+// @access  Private
+const getAttachmentContent = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, userId: req.user._id });
+    if (!attachment) {
+      return next(new AppError('Attachment not found', 404));
+    }
+
+    const content = await readContent(attachment);
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': content.length,
+      'Content-Disposition': `inline; filename="${encodeURIComponent(attachment.originalName || 'attachment')}"`,
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete an attachment
+// @route   DELETE /api/attachments/:attachmentId
+// @access  Private
+const deleteAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, userId: req.user._id });
+    if (!attachment) {
+      return next(new AppError('Attachment not found', 404));
+    }
+
+    await removeAttachment(attachment);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Routes
+router.post('/', receiveFiles, uploadAttachments);
+router.get('/:attachmentId', validateMongoId('attachmentId'), getAttachment);
+router.get('/:attachmentId/content', validateMongoId('attachmentId'), getAttachmentContent);
+router.delete('/:attachmentId', validateMongoId('attachmentId'), deleteAttachment);
+
+module.exports = router;
@@ -1,15 +1,42 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
 const { 
   validateRegister, 
   validateLogin, 
-  validatePasswordChange 
+  validatePasswordChange,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateRefreshToken,
+  validateAuthSessionId
 } = require('../middleware/validation');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { MAIL_CONFIG, sendVerificationEmail, sendPasswordResetEmail } = require('../services/mailService');
+const {
+  TOTP_CONFIG,
+  generateSecret,
+  verifyCode,
+  buildProvisioningUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} = require('../services/totpService');
+const {
+  SESSION_CONFIG,
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeAllSessions,
+  listSessions
+} = require('../services/sessionService');
 
 const { OAuth2Client } = require('google-auth-library');
 
@@ -18,16 +45,18 @@ const router = express.Router();
 // Initialize Google OAuth2 client when GOOGLE_CLIENT_ID is available
 const googleClient = process.env.GOOGLE_CLIENT_ID ? new OAuth2Client(process.env.GOOGLE_CLIENT_ID) : null;
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+// Generate a short-lived access token for a device session. sid names the session; mfa marks sessions
+// that passed the two-factor step.
+const generateToken = (id, session) => {
+  const claims = { id, sid: session._id, ...(session.twoFactor && { mfa: true }) };
+  return jwt.sign(claims, process.env.JWT_SECRET, {
+    expiresIn: SESSION_CONFIG.accessTokenExpiresIn
   });
 };
 
-// Send token response
-const createSendToken = (user, statusCode, res, message = 'Success') => {
-  const token = generateToken(user._id);
+// Send an access token and refresh token for a session
+const sendSessionTokens = (user, session, refreshToken, statusCode, res, message, data = {}) => {
+  const token = generateToken(user._id, session);
   
   const cookieOptions = {
     expires: new Date(Date.now() + (process.env.JWT_COOKIE_EXPIRES_IN || 7) * 24 * 60 * 60 * 1000),
@@ -45,12 +74,91 @@ const createSendToken = (user, statusCode, res, message = 'Success') => {
     status: 'success',
     message,
     token,
+    refreshToken,
     data: {
-      user
+      user,
+      ...data
     }
   });
 };
 
+// Sign in: start a device session and send its tokens. Options: twoFactor (the sign-in passed the second
+// step) and data (extra fields).
+const createSendToken = async (user, statusCode, req, res, message = 'Success', { twoFactor = false, data = {} } = {}) => {
+  const { session, refreshToken } = await startSession(user, req, { twoFactor });
+  sendSessionTokens(user, session, refreshToken, statusCode, res, message, data);
+};
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// Instead of a session, accounts with two-factor authentication get a short-lived challenge token that
+// POST /login/2fa exchanges for one together with a code
+const sendTwoFactorChallenge = (user, res) => {
+  const challengeToken = jwt.sign({ id: user._id, purpose: 'two-factor' }, process.env.JWT_SECRET, {
+    expiresIn: TOTP_CONFIG.challengeExpiresIn
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Enter the code from your authenticator app',
+    twoFactorRequired: true,
+    challengeToken
+  });
+};
+
+// Accept an authenticator code or an unused recovery code (user loaded with TWO_FACTOR_FIELDS). The
+// conditional updates make each code single use even when two requests race. Returns 'totp', 'recovery'
+// or null.
+const useSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && user.twoFactor?.secret) {
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code, { lastUsedStep: user.twoFactor.lastUsedStep ?? -1 });
+    if (step === null) return null;
+    const claimed = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return claimed.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const usedAt = new Date();
+    const claimed = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': usedAt } }
+    );
+    return claimed.modifiedCount === 1 ? 'recovery' : null;
+  }
+
+  return null;
+};
+
+const countRecoveryCodes = user => (user.twoFactor?.recoveryCodes || []).filter(entry => !entry.usedAt).length;
+
+const invalidCodeError = (statusCode = 400) => {
+  const codeErr = new AppError('Invalid authentication code', statusCode);
+  codeErr.code = 'INVALID_TWO_FACTOR_CODE';
+  return codeErr;
+};
+
+// Update last active and login count (never fails the login)
+const recordLogin = async (user) => {
+  try {
+    if (!user.stats) {
+      user.stats = {
+        messagesGenerated: 0,
+        tokensUsed: 0,
+        totalCost: { usd: 0, inr: 0 },
+        loginCount: 0
+      };
+    }
+    user.stats.lastActive = new Date();
+    user.stats.loginCount = (user.stats.loginCount || 0) + 1;
+    await user.save({ validateBeforeSave: false });
+  } catch (statsError) {
+    console.error('Error updating login stats:', statsError.message);
+  }
+};
+
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
@@ -95,7 +203,17 @@ const register = async (req, res, next) => {
       // Continue without failing registration
     }
 
-    createSendToken(newUser, 201, res, 'User registered successfully');
+    // Ask the new user to confirm their email address
+    try {
+      const verificationToken = newUser.createEmailVerificationToken(MAIL_CONFIG.verifyExpiresHours);
+      await newUser.save({ validateBeforeSave: false });
+      sendVerificationEmail(newUser, verificationToken);
+    } catch (verifyError) {
+      console.error('Error starting email verification:', verifyError.message);
+      // They can ask for another verification email later
+    }
+
+    await createSendToken(newUser, 201, req, res, 'User registered successfully');
   } catch (error) {
     next(error);
   }
@@ -120,43 +238,109 @@ const login = async (req, res, next) => {
       return next(new AppError('Your account has been deactivated. Please contact support.', 401));
     }
 
-    // Update last active (with safe initialization)
+    if (user.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+
+    await recordLogin(user);
+    await createSendToken(user, 200, req, res, 'Login successful');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Second sign-in step: an authenticator or recovery code for the challenge from login
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token)
+const completeTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const expiredErr = new AppError('Your sign-in has expired. Please log in again.', 401);
+    expiredErr.code = 'TWO_FACTOR_CHALLENGE_EXPIRED';
+
+    let decoded;
     try {
-      if (!user.stats) {
-        user.stats = {
-          messagesGenerated: 0,
-          tokensUsed: 0,
-          totalCost: { usd: 0, inr: 0 },
-          loginCount: 0
-        };
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return next(expiredErr);
+    }
+    if (decoded.purpose !== 'two-factor') {
+      return next(expiredErr);
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor?.enabled || user.changedPasswordAfter(decoded.iat)) {
+      return next(expiredErr);
+    }
+
+    if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date()) {
+      const lockedErr = new AppError('Too many invalid codes. Please try again later.', 429);
+      lockedErr.code = 'TWO_FACTOR_LOCKED';
+      return next(lockedErr);
+    }
+    if (user.twoFactor.lockedAt && decoded.iat * 1000 <= user.twoFactor.lockedAt.getTime()) {
+      return next(expiredErr);
+    }
+
+    const method = await useSecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      // Count the miss atomically, so parallel guesses cannot each see the same count, and lock the
+      // second step after too many in a row. The reset is conditional so racing misses lock once.
+      const counted = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { 'twoFactor.failedAttempts': 1 } },
+        { new: true, projection: { 'twoFactor.failedAttempts': 1 } }
+      );
+      if (counted && counted.twoFactor.failedAttempts >= TOTP_CONFIG.maxFailedAttempts) {
+        const now = new Date();
+        await User.updateOne(
+          { _id: user._id, 'twoFactor.failedAttempts': { $gte: TOTP_CONFIG.maxFailedAttempts } },
+          {
+            $set: {
+              'twoFactor.failedAttempts': 0,
+              'twoFactor.lockedUntil': new Date(now.getTime() + TOTP_CONFIG.lockMinutes * 60 * 1000),
+              'twoFactor.lockedAt': now
+            }
+          }
+        );
       }
-      user.stats.lastActive = new Date();
-      user.stats.loginCount += 1;
-      await user.save({ validateBeforeSave: false });
-    } catch (statsError) {
-      console.error('Error updating login stats:', statsError.message);
-      // Continue without failing login
+      return next(invalidCodeError(401));
     }
 
-    createSendToken(user, 200, res, 'Login successful');
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.lockedUntil = undefined;
+    await recordLogin(user);
+
+    const data = method === 'recovery' ? { recoveryCodesRemaining: countRecoveryCodes(user) - 1 } : {};
+    await createSendToken(user, 200, req, res, 'Login successful', { twoFactor: true, data });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Logout user
+// @desc    Logout user (ends the session of the access token, or of the refresh token once it has expired)
 // @route   POST /api/auth/logout
-// @access  Private
-const logout = (req, res) => {
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
-  
-  res.status(200).json({ 
-    status: 'success',
-    message: 'Logged out successfully' 
-  });
+// @access  Public
+const logout = async (req, res, next) => {
+  try {
+    if (req.auth?.sessionId) {
+      await revokeSession(req.user._id, req.auth.sessionId, 'logout');
+    } else if (req.body?.refreshToken) {
+      await revokeSessionByToken(req.body.refreshToken, 'logout');
+    }
+
+    res.cookie('jwt', 'loggedout', {
+      expires: new Date(Date.now() + 10 * 1000),
+      httpOnly: true
+    });
+    
+    res.status(200).json({ 
+      status: 'success',
+      message: 'Logged out successfully' 
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
 // @desc    Get current user
@@ -198,8 +382,9 @@ const updatePassword = async (req, res, next) => {
     user.passwordChangedAt = new Date();
     await user.save();
 
-    // Log the user in with new password (send JWT)
-    createSendToken(user, 200, res, 'Password updated successfully');
+    // Sign every device out, then start a new session here
+    await revokeAllSessions(user._id, 'password-changed');
+    await createSendToken(user, 200, req, res, 'Password updated successfully', { twoFactor: req.auth?.twoFactor });
   } catch (error) {
     next(error);
   }
@@ -210,38 +395,18 @@ const updatePassword = async (req, res, next) => {
 // @access  Public
 const forgotPassword = async (req, res, next) => {
   try {
-    // Get user based on posted email
+    // Same answer whether or not the account exists, so the endpoint cannot be used to find accounts
     const user = await User.findOne({ email: req.body.email });
-    if (!user) {
-      return next(new AppError('There is no user with that email address.', 404));
-    }
-
-    // Generate random reset token
-    const resetToken = user.createPasswordResetToken();
-    await user.save({ validateBeforeSave: false });
-
-    try {
-      // In a real app, you would send an email here
-      // For now, we'll just return the token (DO NOT DO THIS IN PRODUCTION)
-      if (process.env.NODE_ENV === 'development') {
-        res.status(200).json({
-          status: 'success',
-          message: 'Password reset token generated',
-          resetToken: resetToken // Only for development
-        });
-      } else {
-        res.status(200).json({
-          status: 'success',
-          message: 'Password reset instructions sent to email'
-        });
-      }
-    } catch (err) {
-      user.passwordResetToken = undefined;
-      user.passwordResetExpires = undefined;
+    if (user && user.isActive !== false) {
+      const resetToken = user.createPasswordResetToken(MAIL_CONFIG.resetExpiresMinutes);
       await user.save({ validateBeforeSave: false });
-
-      return next(new AppError('There was an error sending the email. Try again later.', 500));
+      sendPasswordResetEmail(user, resetToken);
     }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for that email, a password reset link has been sent to it'
+    });
   } catch (error) {
     next(error);
   }
@@ -277,6 +442,8 @@ const googleLogin = async (req, res, next) => {
     const email = payload.email.toLowerCase();
     const name = payload.name || payload.given_name || 'Google User';
     const avatar = payload.picture || null;
+    // Google has already confirmed the address
+    const emailVerifiedAt = payload.email_verified ? new Date() : undefined;
 
     // Check if user exists
     let user = await User.findOne({ email });
@@ -289,6 +456,14 @@ const googleLogin = async (req, res, next) => {
         // don't modify password
         try { await user.save({ validateBeforeSave: false }); } catch (e) { /* ignore */ }
       }
+      if (!user.emailVerifiedAt && emailVerifiedAt) {
+        user.emailVerifiedAt = emailVerifiedAt;
+      }
+
+      if (user.twoFactor?.enabled) {
+        if (user.isModified()) await user.save({ validateBeforeSave: false });
+        return sendTwoFactorChallenge(user, res);
+      }
 
       // Update last active and login count safely
       try {
@@ -300,7 +475,7 @@ const googleLogin = async (req, res, next) => {
         console.warn('Failed to update user stats after Google login:', err.message);
       }
 
-      return createSendToken(user, 200, res, 'Login successful (Google)');
+      return await createSendToken(user, 200, req, res, 'Login successful (Google)');
     }
 
     // If user doesn't exist, create a new user with 10k free tokens/credits
@@ -309,6 +484,7 @@ const googleLogin = async (req, res, next) => {
       email,
       avatar,
       authProvider: 'google',
+      emailVerifiedAt,
       credits: 10000,
       tokens: {
         balance: 10000,
@@ -330,7 +506,7 @@ const googleLogin = async (req, res, next) => {
       // ignore
     }
 
-    return createSendToken(newUser, 201, res, 'User created and logged in (Google)');
+    return await createSendToken(newUser, 201, req, res, 'User created and logged in (Google)');
   } catch (error) {
     console.error('Google login error:', error);
     return next(new AppError('Failed to authenticate with Google', 400));
@@ -343,14 +519,9 @@ const googleLogin = async (req, res, next) => {
 const resetPassword = async (req, res, next) => {
   try {
     // Get user based on token
-    const hashedToken = crypto
-      .createHash('sha256')
-      .update(req.params.token)
-      .digest('hex');
-
     const user = await User.findOne({
-      passwordResetToken: hashedToken,
-      passwordResetExpires: { $gt: Date.now() }
+      resetPasswordToken: User.hashEmailToken(req.params.token),
+      resetPasswordExpires: { $gt: Date.now() }
     });
 
     // If token has not expired and there is a user, set new password
@@ -359,13 +530,257 @@ const resetPassword = async (req, res, next) => {
     }
 
     user.password = req.body.password;
-    user.passwordResetToken = undefined;
-    user.passwordResetExpires = undefined;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
     user.passwordChangedAt = new Date();
+    // The link reached them, so the address is theirs
+    if (!user.emailVerifiedAt) user.emailVerifiedAt = new Date();
     await user.save();
+    await revokeAllSessions(user._id, 'password-changed');
+
+    // Log the user in (the emailed link does not replace the second step)
+    if (user.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+    await createSendToken(user, 200, req, res, 'Password reset successful');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send (or resend) the email verification link
+// @route   POST /api/auth/verify-email
+// @access  Private
+const requestEmailVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+    if (user.emailVerifiedAt) {
+      const verifiedErr = new AppError('Your email address is already verified', 400);
+      verifiedErr.code = 'EMAIL_ALREADY_VERIFIED';
+      return next(verifiedErr);
+    }
+
+    // At most one verification email a minute
+    const lifetimeMs = MAIL_CONFIG.verifyExpiresHours * 60 * 60 * 1000;
+    if (user.emailVerificationExpires && user.emailVerificationExpires.getTime() - lifetimeMs > Date.now() - 60 * 1000) {
+      const waitErr = new AppError('A verification email was just sent. Please wait a minute before asking again', 429);
+      waitErr.code = 'VERIFICATION_RECENTLY_SENT';
+      return next(waitErr);
+    }
+
+    const verificationToken = user.createEmailVerificationToken(MAIL_CONFIG.verifyExpiresHours);
+    await user.save({ validateBeforeSave: false });
+    sendVerificationEmail(user, verificationToken);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm an email address from the emailed link
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashEmailToken(req.params.token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+    if (!user) {
+      const linkErr = new AppError('This verification link is invalid or has expired', 400);
+      linkErr.code = 'INVALID_VERIFICATION_LINK';
+      return next(linkErr);
+    }
+
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
 
-    // Log the user in
-    createSendToken(user, 200, res, 'Password reset successful');
+    console.log(`✅ Email verified for user ${user._id}`);
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified',
+      data: {
+        email: user.email,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor?.enabled ? countRecoveryCodes(user) : 0,
+        required: user.role === 'admin'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start two-factor setup: a new secret and its otpauth:// URI for the QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+    if (user.twoFactor?.enabled) {
+      const enabledErr = new AppError('Two-factor authentication is already on', 400);
+      enabledErr.code = 'TWO_FACTOR_ALREADY_ENABLED';
+      return next(enabledErr);
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        secret,
+        otpauthUrl: buildProvisioningUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish two-factor setup with a code from the app; returns the recovery codes (shown once)
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+    if (user.twoFactor?.enabled) {
+      const enabledErr = new AppError('Two-factor authentication is already on', 400);
+      enabledErr.code = 'TWO_FACTOR_ALREADY_ENABLED';
+      return next(enabledErr);
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      const setupErr = new AppError('Start two-factor setup first', 400);
+      setupErr.code = 'TWO_FACTOR_SETUP_REQUIRED';
+      return next(setupErr);
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return next(invalidCodeError());
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.failedAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🔐 Two-factor authentication enabled for user ${user._id}`);
+    // Replace this device's session with one that counts as having passed the second step
+    if (req.auth?.sessionId) {
+      await revokeSession(user._id, req.auth.sessionId, 'replaced');
+    }
+    await createSendToken(user, 200, req, res, 'Two-factor authentication enabled', { twoFactor: true, data: { recoveryCodes: codes } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Turn two-factor authentication off (password, when the account has one, and a code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+    if (!user.twoFactor?.enabled) {
+      return next(new AppError('Two-factor authentication is not on', 400));
+    }
+    if (user.role === 'admin') {
+      const requiredErr = new AppError('Admin accounts must keep two-factor authentication on', 403);
+      requiredErr.code = 'TWO_FACTOR_REQUIRED';
+      return next(requiredErr);
+    }
+    if (user.password && !(await user.correctPassword(req.body.password || '', user.password))) {
+      return next(new AppError('Your current password is incorrect.', 401));
+    }
+    if (!(await useSecondFactor(user, req.body))) {
+      return next(invalidCodeError());
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🔓 Two-factor authentication disabled for user ${user._id}`);
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled',
+      data: { enabled: false }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the recovery codes (an authenticator code confirms it); returns the new codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+    if (!user.twoFactor?.enabled) {
+      return next(new AppError('Two-factor authentication is not on', 400));
+    }
+    if (!(await useSecondFactor(user, { code: req.body.code }))) {
+      return next(invalidCodeError());
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'New recovery codes generated. The old ones no longer work.',
+      data: { recoveryCodes: codes }
+    });
   } catch (error) {
     next(error);
   }
@@ -384,16 +799,87 @@ const verifyToken = (req, res) => {
   });
 };
 
-// @desc    Refresh token
+// @desc    Swap a refresh token for a new access token and refresh token
 // @route   POST /api/auth/refresh
-// @access  Private
+// @access  Public (refresh token)
 const refreshToken = async (req, res, next) => {
   try {
+    const { session, refreshToken: nextRefreshToken } = await rotateSession(req.body.refreshToken, req);
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await revokeSession(session.userId, session._id, 'account-unavailable');
+      return next(new AppError('Your session has ended. Please log in again.', 401));
+    }
+
     // Update last active
-    req.user.stats.lastActive = new Date();
-    await req.user.save({ validateBeforeSave: false });
+    await User.updateOne({ _id: user._id }, { $set: { 'stats.lastActive': new Date() } });
+
+    sendSessionTokens(user, session, nextRefreshToken, 200, res, 'Token refreshed successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          twoFactor: session.twoFactor,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          current: String(session._id) === String(req.auth?.sessionId)
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign one device out
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+const deleteSession = async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.user._id, req.params.sessionId, 'signed-out');
+    if (!revoked) {
+      return next(new AppError('Session not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign out everywhere, this device included
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const deleteAllSessions = async (req, res, next) => {
+  try {
+    const count = await revokeAllSessions(req.user._id, 'signed-out-everywhere');
+    console.log(`🔒 Signed user ${req.user._id} out of ${count} sessions`);
 
-    createSendToken(req.user, 200, res, 'Token refreshed successfully');
+    res.status(200).json({
+      status: 'success',
+      message: 'Signed out everywhere',
+      data: { count }
+    });
   } catch (error) {
     next(error);
   }
@@ -459,15 +945,26 @@ const getCredits = async (req, res, next) => {
 };
 router.post('/register', validateRegister, register);
 router.post('/login', validateLogin, login);
+router.post('/login/2fa', validateTwoFactorLogin, completeTwoFactorLogin);
 router.post('/google', googleLogin);
-router.post('/logout', logout);
+router.post('/logout', optionalAuth, logout);
 router.get('/me', authenticateToken, getMe);
 router.get('/credits', authenticateToken, getCredits);
 router.post('/deduct-credits', authenticateToken, deductCredits);
 router.patch('/password', authenticateToken, validatePasswordChange, updatePassword);
-router.post('/forgot-password', forgotPassword);
-router.patch('/reset-password/:token', resetPassword);
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+router.patch('/reset-password/:token', validatePasswordReset, resetPassword);
+router.post('/verify-email', authenticateToken, requestEmailVerification);
+router.post('/verify-email/:token', validateEmailVerification, verifyEmail);
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+router.post('/2fa/enable', authenticateToken, validateTwoFactorCode, enableTwoFactor);
+router.post('/2fa/disable', authenticateToken, validateTwoFactorDisable, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, validateTwoFactorCode, regenerateRecoveryCodes);
 router.get('/verify', authenticateToken, verifyToken);
-router.post('/refresh', authenticateToken, refreshToken);
+router.post('/refresh', validateRefreshToken, refreshToken);
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions', authenticateToken, deleteAllSessions);
+router.delete('/sessions/:sessionId', authenticateToken, validateAuthSessionId, deleteSession);
 
 module.exports = router;
\ No newline at end of file
@@ -1,23 +1,528 @@
 const express = require('express');
+const multer = require('multer');
 const ChatSession = require('../models/ChatSession');
 const ChatMessage = require('../models/ChatMessage');
 const AIModel = require('../models/AIModel');
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const TokenLedger = require('../models/TokenLedger');
+const Attachment = require('../models/Attachment');
+const Prompt = require('../models/Prompt');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const ChatFolder = require('../models/ChatFolder');
+const ComparisonVote = require('../models/ComparisonVote');
 const { AppError } = require('../middleware/errorHandler');
-const { validateChatMessage, validateChatThread, validatePagination } = require('../middleware/validation');
+const { validateChatMessage, validateCompareRequest, validateChatThread, validateMongoId, validateSessionDocuments, validateSessionOptions, validateSessionUpdate, validateSessionBulkUpdate, validateSessionBulkDelete, validateSessionList, validateMessageUpdate, validateMessageRating, validateComparisonVote, validateRegenerate, validateChatSearch, validateModelLeaderboard, validateChatExport } = require('../middleware/validation');
 const { authenticateToken, rateLimitByUser } = require('../middleware/auth');
-const OpenRouterService = require('../services/openRouterService');
-const HuggingFaceService = require('../services/huggingFaceService');
+const { resolveCandidates, generateWithFailover, streamWithFailover, estimateUsage, getMessageText } = require('../services/completionService');
+const { findUserAttachments, getMissingCapabilities, countImages, isDocument, buildUserContent, linkToMessage } = require('../services/attachmentService');
+const { buildDocumentContext, getDocumentBudget } = require('../services/documentService');
+const { retrieveChunks, buildKnowledgeContext, markCitedSources } = require('../services/knowledgeService');
+const { buildContextMessages } = require('../services/contextService');
+const { answerSlot, getActiveLeafId, loadBranch, describeBranches, setActiveVersion, activateMessage, detachMessage } = require('../services/branchService');
+const { renderPrompt, findAccessiblePrompt, applySessionSettings, buildSystemPromptMessage } = require('../services/promptService');
+const { SEARCH_CONFIG, extractSearchTerms, findMatches, buildSnippet } = require('../services/searchService');
+const { EXPORT_CONFIG, buildExport } = require('../services/exportService');
+const { IMPORT_CONFIG, importConversations } = require('../services/importService');
+const { scheduleSessionTitle } = require('../services/titleService');
+const { getModelLeaderboard } = require('../services/ratingService');
+const { warnIfLowBalance } = require('../services/mailService');
+const { getWorkspaceId, getBillingAccount, workspaceShortfallError, folderScope, readableSessionScope } = require('../services/organizationService');
+const { resolveProvider, getConfiguredModel } = require('../services/providerRegistry');
+const { resolveModelType, estimateTextTokens, getPlanMultiplier, quoteWalletTokens, quoteRequest, DEFAULT_MAX_TOKENS } = require('../services/pricingService');
+const { wantsEventStream, initEventStream, sendEvent } = require('../lib/sse');
+const folderRoutes = require('./folders');
 const router = express.Router();
 
-// Initialize AI services
-console.log('🔑 OpenRouter API Key configured:', process.env.OPENROUTER_API_KEY ? 'YES' : 'NO');
-console.log('🔑 Actual API Key (first 15 chars):', process.env.OPENROUTER_API_KEY ? process.env.OPENROUTER_API_KEY.substring(0, 15) + '...' : 'MISSING');
-const openRouterService = new OpenRouterService(process.env.OPENROUTER_API_KEY);
-const huggingFaceService = new HuggingFaceService(process.env.HUGGINGFACE_API_KEY);
-
 // Rate limiting for chat endpoints
 const chatRateLimit = rateLimitByUser(50, 15 * 60 * 1000); // 50 requests per 15 minutes per user
 
+// Per-model timeout for POST /api/chat/compare
+const COMPARE_MODEL_TIMEOUT_MS = parseInt(process.env.COMPARE_MODEL_TIMEOUT_MS, 10) || 60 * 1000;
+
+// Most a request can cost: the prompt as sent plus a completion of max_tokens, plus attached images.
+// Funds are checked (or reserved) against this before calling the provider; the charge uses reported usage.
+const quoteRequestHold = (model, modelType, messages, options, planMultiplier, imageCount = 0) => {
+  const promptTokens = messages.reduce((total, msg) => total + estimateTextTokens(getMessageText(msg)), 0);
+  return quoteRequest({
+    model,
+    modelType,
+    promptTokens,
+    maxTokens: Number(options.max_tokens) || undefined,
+    planMultiplier,
+    imageCount
+  }).reservedTokens;
+};
+
+// Models that may answer if the requested one fails (the requested model first).
+// Fallbacks that cannot take the attachments, or whose worst case exceeds the hold, are dropped,
+// so failing over never costs more than quoted. account is the user or their workspace (getBillingAccount).
+const getFailoverCandidates = async (primary, account, messages, options, planMultiplier, tokenHold, attachments = []) => {
+  const candidates = await resolveCandidates(primary, account);
+  return candidates.filter((candidate, index) => index === 0
+    || (getMissingCapabilities(candidate.model, attachments).length === 0
+      && quoteRequestHold(candidate.model, candidate.modelType, messages, options, planMultiplier, countImages(attachments)) <= tokenHold));
+};
+
+// 400 for attachments the model cannot read (e.g. an image sent to a text-only model)
+const unsupportedAttachmentError = (modelId, missing) => {
+  const attachErr = new AppError(`${modelId} does not accept ${missing.join(' or ')} attachments. Choose a model that supports them.`, 400);
+  attachErr.code = 'UNSUPPORTED_ATTACHMENT';
+  return attachErr;
+};
+
+// 400 for a document whose text could not be extracted, so it cannot be used as context
+const unreadableDocumentError = (document) => {
+  const docErr = new AppError(`${document.originalName}: ${document.document?.error || 'no text could be extracted'}`, 400);
+  docErr.code = 'UNREADABLE_DOCUMENT';
+  return docErr;
+};
+
+// Add documents to the session so their passages are included in this and later requests
+const addSessionDocuments = async (session, documents) => {
+  if (documents.length === 0) return;
+  session.documents.addToSet(...documents.map(document => document._id));
+  await session.save();
+};
+
+// Whether the knowledge base exists and belongs to the user
+const findUserKnowledgeBase = (userId, knowledgeBaseId) => KnowledgeBase.exists({ _id: knowledgeBaseId, userId });
+
+// Whether the chat folder exists and can be filed into: the user's own in their personal workspace, the
+// organization's shared folders in a team workspace
+const findWorkspaceFolder = (userId, folderId, organizationId) => ChatFolder.exists({ _id: folderId, ...folderScope(userId, organizationId) });
+
+// Tags as stored: without duplicates, in the order given
+const uniqueTags = tags => [...new Set(tags)];
+
+// The system prompt and default settings the request body gives a session: `systemPrompt` text, or
+// `promptId` (with `variables`) for a library prompt, whose saved options become the session defaults
+// unless `settings` is sent too. Prompts in the library of the session's workspace (organizationId) can be
+// used too. Resolves to { systemPrompt, settings }, where undefined leaves the session unchanged and null
+// clears it, or to an AppError.
+const resolveSessionPrompt = async (userId, { systemPrompt, promptId, variables = {}, settings }, organizationId = null) => {
+  if (!promptId) {
+    const cleared = systemPrompt === null || promptId === null;
+    return { systemPrompt: systemPrompt ? { content: systemPrompt } : (cleared ? null : undefined), settings };
+  }
+
+  const prompt = await findAccessiblePrompt(userId, promptId, organizationId);
+  if (!prompt) {
+    return new AppError('Prompt not found', 404);
+  }
+  const { content, missing } = renderPrompt(prompt.content, variables, Object.fromEntries(prompt.defaults || []));
+  if (missing.length > 0) {
+    const varErr = new AppError(`Fill in the prompt's variables: ${missing.join(', ')}`, 400);
+    varErr.code = 'MISSING_PROMPT_VARIABLES';
+    return varErr;
+  }
+  await Prompt.updateOne({ _id: prompt._id }, { $inc: { usageCount: 1 } });
+
+  const { temperature, maxTokens, topP } = prompt.options || {};
+  const promptSettings = [temperature, maxTokens, topP].some(value => value != null) ? { temperature, maxTokens, topP } : undefined;
+  return {
+    systemPrompt: { content, promptId: prompt._id, variables },
+    settings: settings === undefined ? promptSettings : settings
+  };
+};
+
+// Apply resolveSessionPrompt's result to a session
+const applySessionPrompt = (session, { systemPrompt, settings }) => {
+  if (systemPrompt !== undefined) session.systemPrompt = systemPrompt || undefined;
+  if (settings === null) {
+    session.settings = {};
+  } else if (settings) {
+    ['temperature', 'maxTokens', 'topP'].forEach(key => {
+      if (settings[key] !== undefined) session.settings[key] = settings[key];
+    });
+  }
+};
+
+// Prepend the session documents' passages most relevant to the message; returns the tokens added
+const addDocumentContext = async (messages, session, message, model, options) => {
+  const context = await buildDocumentContext(session.documents, message, model, {
+    promptTokens: messages.reduce((total, msg) => total + estimateTextTokens(getMessageText(msg)), 0),
+    maxTokens: Number(options.max_tokens) || 1000
+  });
+  if (!context) return 0;
+
+  messages.unshift(context.message);
+  console.log(`📄 Added ${context.chunkCount} document passage(s) (${context.tokens} tokens) to the context`);
+  return context.tokens;
+};
+
+// Passages of the session's knowledge base most similar to the message, shared by every model answering it
+// and sized to the smallest of their document budgets. Resolves to { message, citations, tokens } or null.
+const retrieveSessionKnowledge = async (session, message, models, options) => {
+  if (!session.knowledgeBaseId) return null;
+  const knowledgeBase = await KnowledgeBase.findOne({ _id: session.knowledgeBaseId, userId: session.userId });
+  if (!knowledgeBase || knowledgeBase.status !== 'ready') return null;
+
+  const maxTokens = Number(options.max_tokens) || 1000;
+  let retrieved;
+  try {
+    retrieved = await retrieveChunks(knowledgeBase, message, {
+      budgetTokens: Math.min(...models.map(model => getDocumentBudget(model, maxTokens)))
+    });
+  } catch (error) {
+    console.error('Knowledge retrieval error:', error.message);
+    const retrievalErr = new AppError(`Could not search the "${knowledgeBase.name}" knowledge base right now. Please try again in a moment.`, 502);
+    retrievalErr.code = 'KNOWLEDGE_RETRIEVAL_FAILED';
+    throw retrievalErr;
+  }
+
+  const context = await buildKnowledgeContext(knowledgeBase, retrieved.results);
+  if (!context) return null;
+  console.log(`🧭 Retrieved ${context.citations.length} passage(s) (${retrieved.tokens} tokens) from knowledge base "${knowledgeBase.name}"`);
+  return { ...context, tokens: retrieved.tokens, knowledgeBaseId: knowledgeBase._id };
+};
+
+const formatSessionDocument = (document) => ({
+  id: document._id,
+  originalName: document.originalName,
+  mimeType: document.mimeType,
+  size: document.size,
+  status: document.document?.status,
+  tokens: document.document?.tokens || 0,
+  chunkCount: document.document?.chunkCount || 0,
+  error: document.document?.error,
+  createdAt: document.createdAt
+});
+
+const formatMessageAttachments = (message) => (message.attachments || []).map(attachment => ({
+  type: attachment.type,
+  originalName: attachment.originalName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  url: attachment.url
+}));
+
+// Which model actually produced a response, as reported to clients
+const describeAnswer = (candidate, requestedModelId, attempts = []) => ({
+  modelId: candidate.modelId,
+  provider: candidate.provider,
+  fallback: candidate.modelId !== requestedModelId,
+  attempts: attempts.length + 1
+});
+
+// Count today's messages against the user's daily request limit
+const hasReachedDailyLimit = async (user) => {
+  const dailyLimit = user.subscription?.limits?.requestsPerDay || 50; // Default to 50 if not set
+  const now = new Date();
+  const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const dailyUsage = await ChatMessage.countDocuments({
+    userId: user._id,
+    createdAt: { $gte: startOfDay }
+  });
+
+  return dailyUsage >= dailyLimit;
+};
+
+// Load the user's session by _id, or create a new one titled after the first message, in the workspace
+// the request is made in (organizationId, null for personal).
+// Returns null when a sessionId was given but does not belong to the user or to that workspace.
+const findOrCreateSession = async (userId, sessionId, message, models = [], organizationId = null) => {
+  if (sessionId) {
+    return ChatSession.findOne({ _id: sessionId, userId, organizationId });
+  }
+
+  // Create new session with auto-generated sessionId
+  const newSessionId = `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  return ChatSession.create({
+    sessionId: newSessionId,
+    userId,
+    organizationId,
+    title: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
+    models: models.map(model => ({
+      id: model.modelId,
+      name: model.name || 'Unknown Model',
+      provider: model.provider || 'Direct API',
+      usageCount: 0
+    }))
+  });
+};
+
+// The user message a new message continues from: the given one (null starts a new first turn, as when the
+// first message is edited) or, by default, the last message of the branch being shown.
+// Resolves to undefined when the given message is not a user message of the session.
+const resolveParentMessage = async (session, parentMessageId) => {
+  const leafId = await getActiveLeafId(session);
+  if (parentMessageId === undefined) return leafId;
+  if (parentMessageId === null) return null;
+
+  const parent = await ChatMessage.findOne({ _id: parentMessageId, sessionId: session.sessionId, role: 'user' }).select('_id');
+  return parent ? parent._id : undefined;
+};
+
+// Provider messages for a request: contextMessages (retrieved passages), then the session history fitted
+// to the model's context window (see contextService), ending with the current user message. History follows
+// the branch ending at parentMessageId. When forModelId is given, answers other models gave in earlier
+// comparisons are left out of the context.
+// userContent is the current message as sent to the provider (content parts when it has attachments).
+// Resolves to { messages, context } where context reports how many history messages were included or summarized.
+const buildConversationMessages = (session, userContent, { parentMessageId = null, model = null, forModelId = null, options = {}, contextMessages = [] } = {}) =>
+  buildContextMessages(session, { role: 'user', content: userContent }, {
+    parentMessageId,
+    model,
+    forModelId,
+    maxTokens: Number(options.max_tokens) || DEFAULT_MAX_TOKENS,
+    contextMessages
+  });
+
+// Settle a ledger reservation and return { user, charged } with the balances after the charge
+// (and `organization` for a reservation on a team workspace's shared balance)
+const settleReservation = async (reservationId, userId, charges) => {
+  const settlement = await TokenLedger.settle(reservationId, charges);
+  if (settlement && settlement.organization) {
+    console.log(`💰 Charged ${settlement.charged} tokens to workspace ${settlement.organization._id} for user ${userId}. Remaining: ${settlement.organization.tokens.balance}`);
+    return settlement;
+  }
+  if (settlement) {
+    console.log(`💰 Charged ${settlement.charged} tokens to user ${userId}. Remaining: ${settlement.user.tokens.balance}`);
+    warnIfLowBalance(settlement.user, settlement.charged);
+    return settlement;
+  }
+
+  // Already settled by an earlier attempt - report the current balance without charging again
+  return { user: await User.findById(userId), charged: 0 };
+};
+
+// Shared balance after a workspace request, for the response next to the user's own (undefined otherwise)
+const formatWorkspaceBalance = settlement => (settlement.organization
+  ? { _id: settlement.organization._id, tokens: { balance: settlement.organization.tokens.balance, used: settlement.charged } }
+  : undefined);
+
+// Key that ties a request to its ledger reservation. Clients may send an Idempotency-Key header
+// (or body.idempotencyKey) so a retried request is not charged twice.
+const getRequestKey = (req, scope, fallback) => {
+  const clientKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+  return `${scope}:${req.user._id}:${clientKey || fallback}`;
+};
+
+const duplicateRequestError = () => {
+  const dupErr = new AppError('This request has already been submitted', 409);
+  dupErr.code = 'DUPLICATE_REQUEST';
+  return dupErr;
+};
+
+// Update session, user and model usage counters after a response has been stored
+const recordUsageStats = async (req, session, model, usage, cost, messageCount) => {
+  // Update session stats
+  session.messageCount += messageCount;
+  session.lastMessageAt = new Date();
+  session.totalTokens += usage.totalTokens;
+  session.totalCost += cost.usd; // Store cost in USD
+  await session.save();
+
+  // Update user stats atomically; settling the reservation already counted the tokens charged
+  try {
+    await User.updateOne({ _id: req.user._id }, {
+      $inc: {
+        'stats.messagesGenerated': 1,
+        'stats.totalCost.usd': cost.usd,
+        'stats.totalCost.inr': cost.inr
+      },
+      $set: { 'stats.lastActive': new Date() }
+    });
+  } catch (statsError) {
+    console.error('Error updating user stats:', statsError.message);
+    // Don't fail the request if stats update fails
+  }
+
+  // Update model usage stats (guarded - model or metadata may be null for direct API calls).
+  // Comparisons pass an array so each answering model is counted.
+  try {
+    // Only database models are counted; models from configured providers have no document to save
+    const models = (Array.isArray(model) ? model : [model]).filter(m => m && typeof m.save === 'function');
+    for (const usedModel of models) {
+      if (!usedModel.metadata) usedModel.metadata = {};
+      if (!usedModel.metadata.popularity) usedModel.metadata.popularity = { usage: 0 };
+      usedModel.metadata.popularity.usage = (usedModel.metadata.popularity.usage || 0) + 1;
+      await usedModel.save({ validateBeforeSave: false });
+    }
+  } catch (metaErr) {
+    console.error('Failed to update model usage metadata:', metaErr?.message || metaErr);
+    // Don't fail the chat request because of metadata update problems
+  }
+};
+
+// Relay the provider response to the client as Server-Sent Events.
+// Events: `start` (session + user message), `delta` ({ content }), `done` (same shape as the JSON response) and `error`.
+// The assistant message is stored and tokens are charged once the stream finishes or the client disconnects
+// after output has started; a disconnect before the first delta charges nothing.
+const streamChatResponse = async (req, res, context) => {
+  const { session, userMessage, modelId, planMultiplier, reservationId, tokenHold, messages, options, userId, candidates, imageCount, documentTokens, knowledge, historyContext, regeneration } = context;
+
+  const controller = new AbortController();
+  let clientClosed = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      controller.abort();
+    }
+  });
+
+  initEventStream(res);
+  sendEvent(res, 'start', {
+    session: {
+      id: session._id,
+      title: session.title
+    },
+    userMessage: {
+      id: userMessage._id,
+      role: userMessage.role,
+      content: userMessage.content,
+      attachments: formatMessageAttachments(userMessage),
+      parentMessageId: userMessage.parentMessageId,
+      createdAt: userMessage.createdAt
+    }
+  });
+
+  const progress = { content: '', chunkCount: 0, usage: null };
+  let streamError = null;
+  const startTime = Date.now();
+
+  try {
+    await streamWithFailover(candidates, messages, options, controller.signal, progress, (delta) => {
+      sendEvent(res, 'delta', { content: delta });
+    });
+  } catch (error) {
+    if (!clientClosed) {
+      streamError = error;
+      console.error('AI Service Stream Error:', {
+        message: error?.message || String(error),
+        provider: progress.candidate?.provider,
+        receivedChars: progress.content.length
+      });
+    }
+  }
+
+  const { content, chunkCount } = progress;
+  // The model that produced the output (the last one tried if none did)
+  const answered = progress.candidate || candidates[0];
+  const { model, modelType, provider } = answered;
+  const answeredBy = describeAnswer(answered, modelId, progress.attempts);
+
+  // Nothing was generated: report the provider failure without charging, like the JSON path
+  // (the caller releases the reservation)
+  if (streamError && !content) {
+    sendEvent(res, 'error', {
+      code: 'PROVIDER_ERROR',
+      provider,
+      message: `AI provider (${provider}) temporarily unavailable. Please try again in a moment.`
+    });
+    return res.end();
+  }
+
+  // The client left before the first delta: nothing to charge for or save (the caller releases the reservation)
+  if (clientClosed && !content) {
+    console.log(`🛑 Client closed stream for ${answered.modelId} before any output; reservation released`);
+    return;
+  }
+
+  // Providers may omit usage (HF, aborted streams); estimate from text length like the JSON path
+  const usage = progress.usage || estimateUsage(messages, content);
+  const charge = quoteWalletTokens({ model, modelType, usage, planMultiplier, imageCount });
+  const cost = charge.providerCost;
+
+  try {
+    const settlement = await settleReservation(reservationId, userId, [{ amount: Math.min(charge.tokens, tokenHold), modelType }]);
+
+    let aiMessage = null;
+    if (content) {
+      aiMessage = await ChatMessage.create({
+        sessionId: session.sessionId,
+        userId,
+        messageId: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        role: 'assistant',
+        content,
+        parentMessageId: userMessage._id,
+        comparisonId: regeneration ? regeneration.answer.comparisonId : null,
+        citations: markCitedSources(knowledge?.citations, content),
+        model: {
+          id: answered.modelId,
+          name: model ? model.name : 'Unknown Model',
+          provider: model ? model.provider : 'Direct API'
+        },
+        usage: {
+          inputTokens: usage.promptTokens,
+          outputTokens: usage.completionTokens,
+          totalTokens: usage.totalTokens
+        },
+        cost: {
+          inputCost: cost.inputCost,
+          outputCost: cost.outputCost,
+          imageCost: cost.imageCost,
+          totalCost: cost.usd
+        },
+        tokensDeducted: settlement.charged,
+        modelType,
+        responseTime: Date.now() - startTime,
+        status: clientClosed ? 'cancelled' : (streamError ? 'failed' : 'completed'),
+        error: streamError ? { message: streamError.message, code: 'PROVIDER_ERROR' } : undefined,
+        metadata: {
+          streamingDuration: Date.now() - startTime,
+          chunkCount,
+          temperature: options.temperature || 0.7,
+          maxTokens: options.max_tokens || 1000,
+          topP: options.top_p || 0.9,
+          userAgent: req.headers['user-agent'],
+          ipAddress: req.ip || req.connection.remoteAddress,
+          requestedModelId: answeredBy.fallback ? modelId : undefined,
+          fallback: answeredBy.fallback,
+          documentTokens,
+          knowledgeBaseId: knowledge?.knowledgeBaseId,
+          context: historyContext
+        }
+      });
+      if (regeneration) await setActiveVersion(aiMessage);
+    }
+
+    // A regenerated answer adds no user message
+    await recordUsageStats(req, session, model, usage, cost, (regeneration ? 0 : 1) + (aiMessage ? 1 : 0));
+    if (!regeneration && !streamError) scheduleSessionTitle(req.user, session, userMessage, content);
+
+    if (clientClosed) {
+      console.log(`🛑 Client closed stream for ${answered.modelId} after ${chunkCount} chunks; partial response saved`);
+      return;
+    }
+
+    sendEvent(res, 'done', {
+      session: {
+        id: session._id,
+        title: session.title
+      },
+      aiMessage: aiMessage ? {
+        id: aiMessage._id,
+        role: aiMessage.role,
+        content: aiMessage.content,
+        status: aiMessage.status,
+        parentMessageId: aiMessage.parentMessageId,
+        citations: aiMessage.citations,
+        usage,
+        cost,
+        createdAt: aiMessage.createdAt
+      } : null,
+      answeredBy,
+      context: historyContext,
+      error: streamError ? { code: 'PROVIDER_ERROR', message: streamError.message } : null,
+      user: {
+        credits: settlement.user.credits,
+        tokens: {
+          balance: settlement.user.tokens.balance,
+          used: settlement.charged
+        }
+      },
+      workspace: formatWorkspaceBalance(settlement)
+    });
+  } catch (error) {
+    console.error('❌ Chat stream finalization error:', error);
+    sendEvent(res, 'error', { code: 'SERVER_ERROR', message: 'Failed to save the response' });
+  }
+
+  res.end();
+};
+
 // @desc    Create new chat thread/session
 // @route   POST /api/chat/sessions
 // @access  Private
@@ -29,8 +534,17 @@ const createChatThread = async (req, res, next) => {
       hasAuthHeader: !!req.headers.authorization
     });
 
-    const { title, modelId } = req.body;
+    const { title, modelId, knowledgeBaseId = null } = req.body;
     const userId = req.user._id;
+    const organizationId = getWorkspaceId(req);
+
+    if (knowledgeBaseId && !(await findUserKnowledgeBase(userId, knowledgeBaseId))) {
+      return next(new AppError('Knowledge base not found', 404));
+    }
+    const sessionPrompt = await resolveSessionPrompt(userId, req.body, organizationId);
+    if (sessionPrompt instanceof AppError) {
+      return next(sessionPrompt);
+    }
 
     // Generate unique session ID for authenticated users
     const sessionId = `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -39,7 +553,7 @@ const createChatThread = async (req, res, next) => {
     let model = null;
     if (modelId) {
       try {
-        model = await AIModel.findOne({ modelId });
+        model = await AIModel.findOne({ modelId }) || getConfiguredModel(modelId);
         if (model && !model.isAvailable) {
           return next(new AppError('Model is currently unavailable', 503));
         }
@@ -54,9 +568,10 @@ const createChatThread = async (req, res, next) => {
     }
 
     // Create new chat session
-    const session = await ChatSession.create({
+    const session = new ChatSession({
       sessionId,
       userId,
+      organizationId,
       title: title || 'New Chat',
       isActive: true,
       messageCount: 0,
@@ -68,12 +583,15 @@ const createChatThread = async (req, res, next) => {
         provider: model.provider,
         usageCount: 0
       }] : [],
+      knowledgeBaseId,
       metadata: {
         userAgent: req.headers['user-agent'],
         ipAddress: req.ip || req.connection.remoteAddress
       },
       lastMessageAt: new Date()
     });
+    applySessionPrompt(session, sessionPrompt);
+    await session.save();
 
     res.status(201).json({
       status: 'success',
@@ -88,6 +606,9 @@ const createChatThread = async (req, res, next) => {
           totalTokens: session.totalTokens,
           totalCost: session.totalCost,
           models: session.models,
+          knowledgeBaseId: session.knowledgeBaseId,
+          systemPrompt: session.systemPrompt,
+          settings: session.settings,
           lastMessageAt: session.lastMessageAt,
           createdAt: session.createdAt
         }
@@ -106,18 +627,21 @@ const createChatThread = async (req, res, next) => {
   }
 };
 
-// @desc    Send chat message
+// @desc    Send chat message (parentMessageId sends it as an edit on a new branch from that point)
 // @route   POST /api/chat
 // @access  Private
 const sendChatMessage = async (req, res, next) => {
   try {
+    // Set by regenerateMessage: answer the stored user message again instead of storing a new one
+    const { regeneration } = req;
+
     console.log('🚀 Chat API called:', {
       body: req.body,
       user: req.user ? { id: req.user._id, email: req.user.email, credits: req.user.credits } : 'No user',
       hasAuthHeader: !!req.headers.authorization
     });
 
-    const { message, modelId, sessionId, options = {} } = req.body;
+    const { message, modelId, sessionId, options: requestOptions = {} } = req.body;
 
     // Validate required fields
     if (!message || !message.trim()) {
@@ -145,22 +669,14 @@ const sendChatMessage = async (req, res, next) => {
     }
 
     // Check user limits using subscription limits instead of undefined usageLimits
-    const dailyLimit = req.user.subscription?.limits?.requestsPerDay || 50; // Default to 50 if not set
-    const now = new Date();
-    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const dailyUsage = await ChatMessage.countDocuments({
-      userId,
-      createdAt: { $gte: startOfDay }
-    });
-
-    if (dailyUsage >= dailyLimit) {
+    if (await hasReachedDailyLimit(req.user)) {
       return next(new AppError('Daily request limit exceeded', 429));
     }
 
     // Get or validate model (optional - allow direct API integration)
     let model = null;
     try {
-      model = await AIModel.findOne({ modelId });
+      model = await AIModel.findOne({ modelId }) || getConfiguredModel(modelId);
       if (model && !model.isAvailable) {
         return next(new AppError('Model is currently unavailable', 503));
       }
@@ -183,67 +699,44 @@ const sendChatMessage = async (req, res, next) => {
       console.log(`Model ${modelId} not found in database, continuing with direct API integration`);
     }
 
-    // Get or create chat session
-    let session;
-    if (sessionId) {
-      session = await ChatSession.findOne({ _id: sessionId, userId });
-      if (!session) {
-        return next(new AppError('Chat session not found', 404));
-      }
-    } else {
-      // Create new session with auto-generated sessionId
-      const newSessionId = `chat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      session = await ChatSession.create({
-        sessionId: newSessionId,
-        userId,
-        title: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
-        models: model ? [{
-          id: model.modelId || modelId,
-          name: model.name || 'Unknown Model',
-          provider: model.provider || 'Direct API',
-          usageCount: 0
-        }] : []
-      });
+    // Uploaded attachments must belong to the user and be readable by the model
+    const attachments = await findUserAttachments(userId, req.body.attachments);
+    if (!attachments) {
+      return next(new AppError('Attachment not found', 404));
+    }
+    const missingCapabilities = getMissingCapabilities(model, attachments);
+    if (attachments.length > 0 && missingCapabilities.length > 0) {
+      return next(unsupportedAttachmentError(modelId, missingCapabilities));
     }
+    const unreadableDocument = attachments.find(attachment => isDocument(attachment) && attachment.document?.status !== 'ready');
+    if (unreadableDocument) {
+      return next(unreadableDocumentError(unreadableDocument));
+    }
+    const imageCount = countImages(attachments);
 
-    // Determine model type and token cost
-    let modelType = 'free';
-    let tokenCost = 1;
-    
-    if (model && model.pricing) {
-      // If model has pricing, determine if it's free or paid
-      if (model.pricing.input > 0 || model.pricing.output > 0) {
-        modelType = 'paid';
-        tokenCost = 10; // 10 tokens for paid models
-      }
-    } else {
-      // For direct API calls without model in DB, check model ID for "free" designation
-      // Enhanced detection for free models including OpenRouter free models
-      const isFreeModel = modelId.includes(':free') || 
-                         modelId.includes('free') || 
-                         modelId.includes('Free') ||
-                         modelId.includes('-free') ||
-                         modelId.includes('/free') ||
-                         modelId.endsWith(':free') ||
-                         // OpenRouter specific free model patterns
-                         modelId.includes('meta-llama/llama-3.1-405b-instruct:free') ||
-                         modelId.includes('google/gemini-flash-1.5:free') ||
-                         modelId.includes('mistralai/mistral-7b-instruct:free');
-      
-      if (isFreeModel) {
-        modelType = 'free';
-        tokenCost = 1;
-        console.log(`🆓 Detected free model: ${modelId}`);
-      } else {
-        modelType = 'paid';
-        tokenCost = 10;
-        console.log(`💳 Detected paid model: ${modelId}`);
-      }
+    // Get or create chat session
+    const session = await findOrCreateSession(userId, sessionId, message, model ? [model] : [], getWorkspaceId(req));
+    if (!session) {
+      return next(new AppError('Chat session not found', 404));
     }
+    // The session's default generation options apply unless the request sets its own
+    const options = applySessionSettings(session, requestOptions);
+
+    // The branch the message continues: a regenerated answer keeps its question's place
+    const parentMessageId = regeneration
+      ? regeneration.userMessage.parentMessageId
+      : await resolveParentMessage(session, req.body.parentMessageId);
+    if (parentMessageId === undefined) {
+      return next(new AppError('Parent message not found', 404));
+    }
+
+    // Determine which token pool the model bills against
+    const { modelType } = resolveModelType(modelId, model);
     
-    // Check if user can use this model type
-    const user = await require('../models/User').findById(userId);
-    if (!user.canUseModel(modelType)) {
+    // Check if user can use this model type (in a team workspace, the organization's plan decides)
+    const user = await User.findById(userId);
+    const account = getBillingAccount(user, req.workspace);
+    if (!account.canUseModel(modelType)) {
       // Provide structured paywall information for the client to act on (show upgrade modal, suggest free alternatives)
       const payErr = new AppError(`Access denied. This ${modelType} model requires a suitable plan.`, 403);
       payErr.code = 'PAYWALL';
@@ -251,366 +744,1072 @@ const sendChatMessage = async (req, res, next) => {
       return next(payErr);
     }
     
-    // Pre-check token availability (estimate based on max_tokens, model limits, or conservative default)
-    // Use a conservative default (200 tokens) to avoid rejecting requests unnecessarily.
-    // If model provides maxTokens or caller provided max_tokens, use those but cap to a sane upper bound.
-    const MODEL_TOKEN_CAP = 2000;
-    const estimatedTokenUsage = options.max_tokens
-      ? Number(options.max_tokens)
-      : (model && model.maxTokens ? Math.min(model.maxTokens, MODEL_TOKEN_CAP) : 200);
-    if (user.tokens.balance < estimatedTokenUsage) {
+    // The session's system prompt, passages from its knowledge base and documents, then as much history
+    // as still fits the model
+    await addSessionDocuments(session, attachments.filter(isDocument));
+    const knowledge = await retrieveSessionKnowledge(session, message, [model], options);
+    const contextMessages = knowledge ? [knowledge.message] : [];
+    const documentTokens = await addDocumentContext(contextMessages, session, message, model, options);
+    const systemPromptMessage = buildSystemPromptMessage(session);
+    if (systemPromptMessage) contextMessages.unshift(systemPromptMessage);
+    const { messages, context: historyContext } = await buildConversationMessages(session, await buildUserContent(message, attachments), {
+      parentMessageId,
+      model,
+      // A regenerated comparison answer sees the history that model saw
+      forModelId: regeneration?.answer.comparisonId ? modelId : null,
+      options,
+      contextMessages
+    });
+
+    // Hold the most this request can cost (full max_tokens completion) in the token ledger.
+    // The reservation is atomic, so concurrent requests cannot overspend the balance.
+    const planMultiplier = getPlanMultiplier(await Plan.findForUser(account));
+    const tokenHold = quoteRequestHold(model, modelType, messages, options, planMultiplier, imageCount);
+    const userMessageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const reservation = await TokenLedger.reserve({
+      userId,
+      organizationId: getWorkspaceId(req),
+      amount: tokenHold,
+      idempotencyKey: getRequestKey(req, 'chat', userMessageId),
+      sessionId: session.sessionId,
+      messageId: userMessageId,
+      metadata: { modelId }
+    });
+    if (!reservation && req.workspace) {
+      return next(await workspaceShortfallError(req.workspace, tokenHold));
+    }
+    if (!reservation) {
+      const availableTokens = Math.max(0, user.tokens.balance - (user.tokens.reserved || 0));
       // Attach the latest user snapshot to req.user so the error handler can include balances in the response
       try {
         req.user = user;
       } catch (e) {
         // ignore
       }
-      return next(new AppError(`Insufficient tokens. This request may use up to ${estimatedTokenUsage} tokens, but you only have ${user.tokens.balance} tokens available.`, 402));
+      return next(new AppError(`Insufficient tokens. This request may use up to ${tokenHold} tokens, but you only have ${availableTokens} tokens available.`, 402));
     }
+    if (reservation.duplicate) {
+      return next(duplicateRequestError());
+    }
+    const { reservationId } = reservation.entry;
     
-    console.log(`💰 Pre-check passed: User has ${user.tokens.balance} tokens, estimated usage: ${estimatedTokenUsage}`);
+    console.log(`💰 Reserved ${tokenHold} tokens (${reservationId}); final charge is based on actual usage`);
+
+    try {
+      let userMessage = regeneration?.userMessage;
+      if (!userMessage) {
+        // Create user message with proper messageId
+        console.log(`💬 Creating user message with sessionId: ${session.sessionId} for session _id: ${session._id}`);
+
+        userMessage = await ChatMessage.create({
+          sessionId: session.sessionId, // Use session.sessionId instead of session._id
+          userId,
+          messageId: userMessageId,
+          role: 'user',
+          content: message,
+          parentMessageId,
+          model: {
+            id: modelId,
+            name: model ? model.name : 'Unknown Model',
+            provider: model ? model.provider : 'Direct API'
+          },
+          attachments: attachments.map(attachment => attachment.toMessageAttachment()),
+          metadata: {
+            userAgent: req.headers['user-agent'],
+            ipAddress: req.ip || req.connection.remoteAddress
+          }
+        });
+        await linkToMessage(attachments, userMessage);
+
+        // The new message ends the branch being shown
+        session.activeMessageId = userMessage._id;
+        await session.save();
+      }
+
+      console.log(`📝 Sending ${messages.length} messages to AI service:`, messages.map((msg, i) => `${i+1}. ${msg.role}: ${getMessageText(msg).substring(0, 50)}...`));
+
+      // Route to appropriate AI service based on provider (or default to OpenRouter for direct API),
+      // failing over along the model's fallback chain
+      const provider = resolveProvider(modelId, model);
+      const candidates = await getFailoverCandidates({ modelId, model, modelType, provider }, account, messages, options, planMultiplier, tokenHold, attachments);
+
+      if (wantsEventStream(req)) {
+        // Awaited so the finally block below only releases the hold after the stream has settled
+        return await streamChatResponse(req, res, {
+          session,
+          userMessage,
+          modelId,
+          planMultiplier,
+          reservationId,
+          tokenHold,
+          messages,
+          options,
+          userId,
+          candidates,
+          imageCount,
+          documentTokens,
+          knowledge,
+          historyContext,
+          regeneration
+        });
+      }
+
+      let completion;
+      const startTime = Date.now();
+
+      try {
+        completion = await generateWithFailover(candidates, messages, options);
+      } catch (error) {
+        // Log detailed provider error for diagnostics (don't leak internals to clients)
+        console.error('AI Service Error:', {
+          message: error?.message || String(error),
+          provider: provider || (model && model.provider) || 'unknown',
+          stack: error?.stack
+        });
+
+        // Return a friendly, non-fatal error to the client with structured metadata so the frontend
+        // can surface a helpful message and optionally retry or fallback.
+        const providerName = provider || (model && model.provider) || 'AI provider';
+        const providerErr = new AppError(`AI provider (${providerName}) temporarily unavailable. Please try again in a moment.`, 503);
+        providerErr.code = 'PROVIDER_ERROR';
+        providerErr.provider = providerName;
+        return next(providerErr);
+      }
+
+      const { content: aiResponse, usage, candidate: answered } = completion;
+      const answeredBy = describeAnswer(answered, modelId, completion.attempts);
+
+      // Bill the provider-reported usage at the answering model's price plus margin and plan multiplier
+      const charge = quoteWalletTokens({ model: answered.model, modelType: answered.modelType, usage, planMultiplier, imageCount });
+      const cost = charge.providerCost;
+
+      console.log(`🔍 Token Usage:
+        - Provider reported tokens: ${usage.totalTokens}
+        - Provider cost (USD): ${cost.usd.toFixed(6)}
+        - Wallet tokens for usage: ${charge.tokens} (held ${tokenHold})
+        - Model: ${answered.modelId}${answeredBy.fallback ? ` (fallback for ${modelId})` : ''}
+        - Model type: ${answered.modelType}`);
     
-    // Note: Final token deduction happens after AI response based on actual usage
+      const settlement = await settleReservation(reservationId, userId, [{ amount: Math.min(charge.tokens, tokenHold), modelType: answered.modelType }]);
 
-    // Create user message with proper messageId
-    const userMessageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    console.log(`💬 Creating user message with sessionId: ${session.sessionId} for session _id: ${session._id}`);
+      // Create AI response message with proper messageId
+      const aiMessageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      console.log(`🤖 Creating AI message with sessionId: ${session.sessionId} for session _id: ${session._id}`);
     
-    const userMessage = await ChatMessage.create({
-      sessionId: session.sessionId, // Use session.sessionId instead of session._id
-      userId,
-      messageId: userMessageId,
-      role: 'user',
-      content: message,
-      model: {
-        id: modelId,
-        name: model ? model.name : 'Unknown Model',
-        provider: model ? model.provider : 'Direct API'
-      },
-      metadata: {
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip || req.connection.remoteAddress
+      const aiMessage = await ChatMessage.create({
+        sessionId: session.sessionId, // Use session.sessionId instead of session._id
+        userId,
+        messageId: aiMessageId,
+        role: 'assistant',
+        content: aiResponse,
+        parentMessageId: userMessage._id,
+        comparisonId: regeneration ? regeneration.answer.comparisonId : null,
+        citations: markCitedSources(knowledge?.citations, aiResponse),
+        model: {
+          id: answered.modelId,
+          name: answered.model ? answered.model.name : 'Unknown Model',
+          provider: answered.model ? answered.model.provider : 'Direct API'
+        },
+        usage: {
+          inputTokens: usage.promptTokens,
+          outputTokens: usage.completionTokens,
+          totalTokens: usage.totalTokens
+        },
+        cost: {
+          inputCost: cost.inputCost,
+          outputCost: cost.outputCost,
+          imageCost: cost.imageCost,
+          totalCost: cost.usd
+        },
+        tokensDeducted: settlement.charged,
+        modelType: answered.modelType, // Store model type for analytics
+        responseTime: Date.now() - startTime,
+        status: 'completed',
+        metadata: {
+          temperature: options.temperature || 0.7,
+          maxTokens: options.max_tokens || 1000,
+          topP: options.top_p || 0.9,
+          userAgent: req.headers['user-agent'],
+          ipAddress: req.ip || req.connection.remoteAddress,
+          requestedModelId: answeredBy.fallback ? modelId : undefined,
+          fallback: answeredBy.fallback,
+          documentTokens,
+          knowledgeBaseId: knowledge?.knowledgeBaseId,
+          context: historyContext
+        }
+      });
+      if (regeneration) await setActiveVersion(aiMessage);
+
+      await recordUsageStats(req, session, answered.model, usage, cost, regeneration ? 1 : 2); // User message + AI response
+      if (!regeneration) scheduleSessionTitle(req.user, session, userMessage, aiResponse);
+
+      res.status(200).json({
+        status: 'success',
+        data: {
+          session: {
+            id: session._id,
+            title: session.title
+          },
+          userMessage: {
+            id: userMessage._id,
+            role: userMessage.role,
+            content: userMessage.content,
+            attachments: formatMessageAttachments(userMessage),
+            parentMessageId: userMessage.parentMessageId,
+            createdAt: userMessage.createdAt
+          },
+          aiMessage: {
+            id: aiMessage._id,
+            role: aiMessage.role,
+            content: aiMessage.content,
+            parentMessageId: aiMessage.parentMessageId,
+            citations: aiMessage.citations,
+            usage,
+            cost,
+            createdAt: aiMessage.createdAt
+          },
+          answeredBy,
+          context: historyContext,
+          user: {
+            credits: settlement.user.credits, // Include updated credits in response
+            tokens: {
+              balance: settlement.user.tokens.balance, // Include updated token balance
+              used: settlement.charged // Tokens used in this request
+            }
+          },
+          workspace: formatWorkspaceBalance(settlement)
+        }
+      });
+    } finally {
+      // No-op once settled; frees the hold when the request failed before it was charged
+      try {
+        await TokenLedger.release(reservationId);
+      } catch (releaseErr) {
+        console.error('Failed to release token reservation:', releaseErr?.message || releaseErr);
       }
+    }
+  } catch (error) {
+    console.error('❌ Chat API Error:', {
+      message: error.message,
+      stack: error.stack,
+      name: error.name,
+      requestBody: req.body,
+      userId: req.user?._id,
+      timestamp: new Date().toISOString()
     });
+    next(error);
+  }
+};
+
+// Resolve how many models the user's plan lets them compare in a single request
+const getMaxModelsPerRequest = (plan) => {
+  if (plan && plan.limitations?.maxModelsPerRequest) {
+    return plan.limitations.maxModelsPerRequest;
+  }
+
+  // No plan (starter/free users) - fall back to the schema default
+  return Plan.schema.path('limitations.maxModelsPerRequest').defaultValue;
+};
+
+// Run one model of a comparison with its own timeout. Never throws: failures are reported in the result.
+const runComparisonTarget = async (target, options, timeoutMs, planMultiplier, onDelta) => {
+  const { modelId, messages, controller, candidates } = target;
+  const progress = { content: '', chunkCount: 0, usage: null, candidate: null, attempts: [] };
+  const startTime = Date.now();
+  let timedOut = false;
 
-    // Get conversation history for context
-    const conversationHistory = await ChatMessage.find({ sessionId: session.sessionId })
-      .sort({ createdAt: 1 })
-      .limit(20); // Limit context to last 20 messages
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
 
-    // Prepare messages for AI service
-    const messages = conversationHistory.map(msg => ({
-      role: msg.role,
-      content: msg.content
-    }));
+  let status = 'completed';
+  let error = null;
 
-    // Add the current user message if it's not already in the conversation history
-    const currentUserMessage = { role: 'user', content: message };
-    if (messages.length === 0 || messages[messages.length - 1].content !== message) {
-      messages.push(currentUserMessage);
+  try {
+    if (onDelta) {
+      await streamWithFailover(candidates, messages, options, controller.signal, progress, (delta) => onDelta(modelId, delta));
+    } else {
+      const result = await generateWithFailover(candidates, messages, options, controller.signal);
+      progress.content = result.content;
+      progress.usage = result.usage;
+      progress.candidate = result.candidate;
+      progress.attempts = result.attempts;
     }
+  } catch (err) {
+    if (timedOut) {
+      status = 'timeout';
+      error = { code: 'TIMEOUT', message: `${modelId} did not finish within ${Math.round(timeoutMs / 1000)}s` };
+    } else if (controller.signal.aborted) {
+      status = 'cancelled';
+      error = { code: 'CANCELLED', message: 'Request cancelled by client' };
+    } else {
+      status = 'failed';
+      error = { code: 'PROVIDER_ERROR', message: `AI provider (${target.provider}) temporarily unavailable. Please try again in a moment.` };
+      console.error('Compare model error:', { modelId, provider: target.provider, message: err?.message || String(err) });
+    }
+  } finally {
+    clearTimeout(timer);
+  }
 
-    // Ensure we have at least one message
-    if (messages.length === 0) {
-      messages.push(currentUserMessage);
+  // Bill the model that answered, which may be a fallback for the requested one
+  const answered = progress.candidate || candidates[0];
+  const usage = progress.usage || estimateUsage(messages, progress.content);
+  const charge = quoteWalletTokens({ model: answered.model, modelType: answered.modelType, usage, planMultiplier, imageCount: target.imageCount });
+  return {
+    target,
+    answered,
+    answeredBy: describeAnswer(answered, modelId, progress.attempts),
+    content: progress.content,
+    chunkCount: progress.chunkCount,
+    usage,
+    cost: charge.providerCost,
+    latencyMs: Date.now() - startTime,
+    status,
+    error,
+    // Only models that produced output are charged, never more than their share of the hold
+    tokensCharged: progress.content ? Math.min(charge.tokens, target.tokenHold) : 0
+  };
+};
+
+const formatComparisonResult = (result, aiMessage = null) => ({
+  modelId: result.target.modelId,
+  modelName: result.target.model ? result.target.model.name : 'Unknown Model',
+  provider: result.target.provider,
+  status: result.status,
+  message: aiMessage ? {
+    id: aiMessage._id,
+    role: aiMessage.role,
+    content: aiMessage.content,
+    createdAt: aiMessage.createdAt
+  } : null,
+  citations: result.citations,
+  context: result.target.historyContext,
+  usage: result.usage,
+  cost: result.cost,
+  tokensCharged: result.tokensCharged,
+  latencyMs: result.latencyMs,
+  answeredBy: result.answeredBy,
+  error: result.error
+});
+
+// @desc    Send one message to several models concurrently and return each answer
+// @route   POST /api/chat/compare
+// @access  Private
+const compareModels = async (req, res, next) => {
+  try {
+    const { message, modelIds, sessionId, options: requestOptions = {} } = req.body;
+    const userId = req.user._id;
+    const uniqueModelIds = [...new Set(modelIds)];
+    const timeoutMs = Math.min(parseInt(req.body.timeoutMs, 10) || COMPARE_MODEL_TIMEOUT_MS, COMPARE_MODEL_TIMEOUT_MS);
+
+    const user = await User.findById(userId);
+    // In a team workspace the organization's plan and balance apply
+    const account = getBillingAccount(user, req.workspace);
+
+    // Enforce the plan's comparison width
+    const plan = await Plan.findForUser(account);
+    const planMultiplier = getPlanMultiplier(plan);
+    const maxModels = getMaxModelsPerRequest(plan);
+    if (uniqueModelIds.length > maxModels) {
+      const limitErr = new AppError(`Your plan allows comparing up to ${maxModels} models per request.`, 403);
+      limitErr.code = 'PAYWALL';
+      limitErr.requiredPlan = 'pro';
+      return next(limitErr);
     }
 
-    console.log(`📝 Sending ${messages.length} messages to AI service:`, messages.map((msg, i) => `${i+1}. ${msg.role}: ${msg.content.substring(0, 50)}...`));
+    if (await hasReachedDailyLimit(user)) {
+      return next(new AppError('Daily request limit exceeded', 429));
+    }
 
-    let aiResponse;
-    let usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
-    let cost = { usd: 0, inr: 0 };
-    const startTime = Date.now();
-    
-    // Route to appropriate AI service based on provider (or default to OpenRouter for direct API)
-    const provider = model ? model.provider : 'OpenRouter';
+    const attachments = await findUserAttachments(userId, req.body.attachments);
+    if (!attachments) {
+      return next(new AppError('Attachment not found', 404));
+    }
+    const unreadableDocument = attachments.find(attachment => isDocument(attachment) && attachment.document?.status !== 'ready');
+    if (unreadableDocument) {
+      return next(unreadableDocumentError(unreadableDocument));
+    }
+
+    // Resolve every model up front so an unavailable or locked model fails before anything is reserved
+    const targets = [];
+    for (const modelId of uniqueModelIds) {
+      let model = null;
+      try {
+        model = await AIModel.findOne({ modelId }) || getConfiguredModel(modelId);
+      } catch (error) {
+        console.warn(`Model validation failed for ${modelId}:`, error.message);
+      }
+
+      if (model && !model.isAvailable) {
+        return next(new AppError(`Model ${modelId} is currently unavailable`, 503));
+      }
+
+      const { modelType } = resolveModelType(modelId, model);
+      if (!account.canUseModel(modelType) || (model && model.pricing.input > 0 && user.role === 'user')) {
+        const payErr = new AppError(`Access denied. ${modelId} is a ${modelType} model and requires a suitable plan.`, 403);
+        payErr.code = 'PAYWALL';
+        payErr.requiredPlan = modelType === 'paid' ? 'pro' : (modelType === 'premium' ? 'enterprise' : 'free');
+        return next(payErr);
+      }
+
+      const missingCapabilities = getMissingCapabilities(model, attachments);
+      if (attachments.length > 0 && missingCapabilities.length > 0) {
+        return next(unsupportedAttachmentError(modelId, missingCapabilities));
+      }
+
+      targets.push({
+        modelId,
+        model,
+        modelType,
+        provider: resolveProvider(modelId, model),
+        controller: new AbortController()
+      });
+    }
+
+    const session = await findOrCreateSession(userId, sessionId, message, targets.map(t => t.model).filter(Boolean), getWorkspaceId(req));
+    if (!session) {
+      return next(new AppError('Chat session not found', 404));
+    }
+    // The session's default generation options apply unless the request sets its own
+    const options = applySessionSettings(session, requestOptions);
+
+    const parentMessageId = await resolveParentMessage(session, req.body.parentMessageId);
+    if (parentMessageId === undefined) {
+      return next(new AppError('Parent message not found', 404));
+    }
+
+    // Knowledge base passages are retrieved once so every model answers from the same sources, while
+    // session document passages and history (without other models' earlier answers) are fitted to each
+    // model's context window; the result sizes each model's hold
+    await addSessionDocuments(session, attachments.filter(isDocument));
+    const userContent = await buildUserContent(message, attachments);
+    const knowledge = await retrieveSessionKnowledge(session, message, targets.map(target => target.model), options);
+    const systemPromptMessage = buildSystemPromptMessage(session);
+    for (const target of targets) {
+      target.imageCount = countImages(attachments);
+      const contextMessages = knowledge ? [knowledge.message] : [];
+      target.documentTokens = await addDocumentContext(contextMessages, session, message, target.model, options);
+      if (systemPromptMessage) contextMessages.unshift(systemPromptMessage);
+      ({ messages: target.messages, context: target.historyContext } = await buildConversationMessages(session, userContent, {
+        parentMessageId,
+        model: target.model,
+        forModelId: target.modelId,
+        options,
+        contextMessages
+      }));
+      target.tokenHold = quoteRequestHold(target.model, target.modelType, target.messages, options, planMultiplier, target.imageCount);
+      target.candidates = await getFailoverCandidates(target, account, target.messages, options, planMultiplier, target.tokenHold, attachments);
+    }
+
+    // Reserve the whole batch in one atomic update so concurrent requests cannot overspend
+    const reservedTokens = targets.reduce((total, target) => total + target.tokenHold, 0);
+    const userMessageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const reservation = await TokenLedger.reserve({
+      userId,
+      organizationId: getWorkspaceId(req),
+      amount: reservedTokens,
+      idempotencyKey: getRequestKey(req, 'compare', userMessageId),
+      sessionId: session.sessionId,
+      messageId: userMessageId,
+      description: `Hold for comparing ${targets.length} models`,
+      metadata: { modelIds: targets.map(t => t.modelId) }
+    });
+    if (!reservation && req.workspace) {
+      return next(await workspaceShortfallError(req.workspace, reservedTokens));
+    }
+    if (!reservation) {
+      const available = Math.max(0, user.tokens.balance - (user.tokens.reserved || 0));
+      return next(new AppError(`Insufficient tokens. Comparing ${targets.length} models may use up to ${reservedTokens} tokens, but you only have ${available} tokens available.`, 402));
+    }
+    if (reservation.duplicate) {
+      return next(duplicateRequestError());
+    }
+    const { reservationId } = reservation.entry;
 
     try {
-      
-      if (provider === 'OpenRouter') {
-        console.log('🔄 Calling OpenRouter service with:', { modelId, messagesCount: messages.length });
-        console.log('🔑 Service has API key:', openRouterService.apiKey ? 'YES' : 'NO');
-        
-        const response = await openRouterService.createChatCompletion(modelId, messages, {
-          temperature: options.temperature || 0.7,
-          max_tokens: options.max_tokens || 1000,
-          top_p: options.top_p || 0.9,
-          top_k: options.top_k,
-          frequency_penalty: options.frequency_penalty,
-          presence_penalty: options.presence_penalty
+      const comparisonId = `cmp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const userMessage = await ChatMessage.create({
+        sessionId: session.sessionId,
+        userId,
+        messageId: userMessageId,
+        role: 'user',
+        content: message,
+        parentMessageId,
+        comparisonId,
+        attachments: attachments.map(attachment => attachment.toMessageAttachment()),
+        metadata: {
+          userAgent: req.headers['user-agent'],
+          ipAddress: req.ip || req.connection.remoteAddress
+        }
+      });
+      await linkToMessage(attachments, userMessage);
+      session.activeMessageId = userMessage._id;
+      await session.save();
+
+      const streaming = wantsEventStream(req);
+      const startPayload = {
+        session: { id: session._id, title: session.title },
+        comparisonId,
+        userMessage: {
+          id: userMessage._id,
+          role: userMessage.role,
+          content: userMessage.content,
+          attachments: formatMessageAttachments(userMessage),
+          parentMessageId: userMessage.parentMessageId,
+          createdAt: userMessage.createdAt
+        },
+        models: targets.map(t => ({ modelId: t.modelId, provider: t.provider }))
+      };
+
+      let clientClosed = false;
+      if (streaming) {
+        res.on('close', () => {
+          if (!res.writableEnded) {
+            clientClosed = true;
+            targets.forEach(t => t.controller.abort());
+          }
         });
+        initEventStream(res);
+        sendEvent(res, 'start', startPayload);
+      }
+
+      const onDelta = streaming ? (modelId, content) => sendEvent(res, 'delta', { modelId, content }) : null;
+
+      // Fan out: every model runs concurrently with its own timeout
+      const results = await Promise.all(targets.map(async (target) => {
+        const result = await runComparisonTarget(target, options, timeoutMs, planMultiplier, onDelta);
+        result.citations = markCitedSources(knowledge?.citations, result.content);
+        if (streaming) sendEvent(res, 'result', formatComparisonResult(result));
+        return result;
+      }));
+
+      // Settle: charge the models that answered in one ledger entry; unused hold is released
+      const settlement = await settleReservation(reservationId, userId, results
+        .filter(result => result.tokensCharged > 0)
+        .map(result => ({ amount: result.tokensCharged, modelType: result.answered.modelType })));
+
+      // Persist each answer (partial output from timeouts/cancellations is kept with its status)
+      const formatted = [];
+      let storedMessages = 1; // the user message
+      for (const result of results) {
+        let aiMessage = null;
+        if (result.content) {
+          aiMessage = await ChatMessage.create({
+            sessionId: session.sessionId,
+            userId,
+            messageId: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            role: 'assistant',
+            content: result.content,
+            parentMessageId: userMessage._id,
+            citations: result.citations,
+            comparisonId,
+            model: {
+              id: result.answered.modelId,
+              name: result.answered.model ? result.answered.model.name : 'Unknown Model',
+              provider: result.answered.model ? result.answered.model.provider : 'Direct API'
+            },
+            usage: {
+              inputTokens: result.usage.promptTokens,
+              outputTokens: result.usage.completionTokens,
+              totalTokens: result.usage.totalTokens
+            },
+            cost: {
+              inputCost: result.cost.inputCost,
+              outputCost: result.cost.outputCost,
+              imageCost: result.cost.imageCost,
+              totalCost: result.cost.usd
+            },
+            tokensDeducted: result.tokensCharged,
+            modelType: result.answered.modelType,
+            responseTime: result.latencyMs,
+            status: result.status === 'timeout' ? 'failed' : result.status,
+            error: result.error || undefined,
+            metadata: {
+              chunkCount: result.chunkCount,
+              temperature: options.temperature || 0.7,
+              maxTokens: options.max_tokens || 1000,
+              topP: options.top_p || 0.9,
+              userAgent: req.headers['user-agent'],
+              ipAddress: req.ip || req.connection.remoteAddress,
+              requestedModelId: result.answeredBy.fallback ? result.target.modelId : undefined,
+              fallback: result.answeredBy.fallback,
+              documentTokens: result.target.documentTokens,
+              knowledgeBaseId: knowledge?.knowledgeBaseId,
+              context: result.target.historyContext
+            }
+          });
+          storedMessages += 1;
+        }
+        formatted.push(formatComparisonResult(result, aiMessage));
+      }
 
-        aiResponse = response.choices[0]?.message?.content || 'No response generated';
-        
-        // Extract usage information
-        if (response.usage) {
-          usage = {
-            promptTokens: response.usage.prompt_tokens || 0,
-            completionTokens: response.usage.completion_tokens || 0,
-            totalTokens: response.usage.total_tokens || 0
-          };
-
-          // Calculate cost (use model pricing if available, otherwise estimate)
-          if (model && model.pricing) {
-            const promptCost = (usage.promptTokens / 1000) * model.pricing.input;
-            const completionCost = (usage.completionTokens / 1000) * model.pricing.output;
-            cost.usd = promptCost + completionCost;
-            cost.inr = cost.usd * 83; // Approximate USD to INR conversion
-          } else {
-            // Default pricing estimate for unknown models
-            const promptCost = (usage.promptTokens / 1000) * 0.001; // $0.001 per 1k tokens
-            const completionCost = (usage.completionTokens / 1000) * 0.002; // $0.002 per 1k tokens
-            cost.usd = promptCost + completionCost;
-            cost.inr = cost.usd * 83;
+      const totalUsage = results.reduce((total, r) => ({
+        promptTokens: total.promptTokens + r.usage.promptTokens,
+        completionTokens: total.completionTokens + r.usage.completionTokens,
+        totalTokens: total.totalTokens + r.usage.totalTokens
+      }), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+      const totalCost = results.reduce((total, r) => ({ usd: total.usd + r.cost.usd, inr: total.inr + r.cost.inr }), { usd: 0, inr: 0 });
+      await recordUsageStats(req, session, results.filter(r => r.content).map(r => r.answered.model), totalUsage, totalCost, storedMessages);
+      scheduleSessionTitle(req.user, session, userMessage, results.find(r => r.content && r.status === 'completed')?.content);
+
+      const payload = {
+        ...startPayload,
+        results: formatted,
+        user: {
+          credits: settlement.user.credits,
+          tokens: {
+            balance: settlement.user.tokens.balance,
+            used: settlement.charged
           }
+        },
+        workspace: formatWorkspaceBalance(settlement)
+      };
+
+      if (streaming) {
+        if (!clientClosed) {
+          sendEvent(res, 'done', payload);
+          res.end();
         }
+        return;
+      }
 
-      } else if (provider === 'Hugging Face') {
-        const response = await huggingFaceService.createTextGeneration(modelId, message, {
-          temperature: options.temperature || 0.7,
-          max_tokens: options.max_tokens || 1000,
-          top_p: options.top_p || 0.9,
-          top_k: options.top_k || 50
-        });
+      res.status(200).json({
+        status: 'success',
+        data: payload
+      });
+    } finally {
+      // No-op once settled; frees the hold if the comparison failed before it was charged
+      try {
+        await TokenLedger.release(reservationId);
+      } catch (releaseErr) {
+        console.error('Failed to release token reservation:', releaseErr?.message || releaseErr);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Compare API Error:', {
+      message: error.message,
+      stack: error.stack,
+      userId: req.user?._id,
+      timestamp: new Date().toISOString()
+    });
+    if (res.headersSent) {
+      sendEvent(res, 'error', { code: 'SERVER_ERROR', message: 'Comparison failed' });
+      return res.end();
+    }
+    next(error);
+  }
+};
+
+// @desc    Get chat sessions (filters: folderId or none, tag, pinned, archived). In a team workspace these are
+//          the user's chats there plus teammates' chats in its shared folders, which are marked readOnly.
+// @route   GET /api/chat/sessions
+// @access  Private
+const getChatSessions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, folderId, tag, pinned, archived } = req.query;
+    const userId = req.user._id;
+    const organizationId = getWorkspaceId(req);
 
-        aiResponse = Array.isArray(response) && response[0]?.generated_text 
-          ? response[0].generated_text.replace(message, '').trim()
-          : 'No response generated';
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-        // HuggingFace doesn't provide usage stats, estimate based on response length
-        usage = {
-          promptTokens: Math.ceil(message.length / 4),
-          completionTokens: Math.ceil(aiResponse.length / 4),
-          totalTokens: Math.ceil((message.length + aiResponse.length) / 4)
-        };
-        cost = { usd: 0, inr: 0 }; // HuggingFace is free
+    // Archived sessions only when asked for (archived=true)
+    const filter = {
+      ...readableSessionScope(userId, organizationId),
+      organizationId,
+      archived: archived === 'true' ? true : { $ne: true }
+    };
+    if (folderId) filter.folderId = folderId === 'none' ? null : folderId;
+    if (tag) filter.tags = tag;
+    if (pinned !== undefined) filter.pinned = pinned === 'true' ? true : { $ne: true };
+    
+    // Pinned first, then by last activity; don't populate modelId (doesn't exist in schema)
+    const sessions = await ChatSession.find(filter)
+      .sort({ pinned: -1, lastMessageAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
 
-      } else {
-        throw new Error('Unsupported AI provider');
+    const total = await ChatSession.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages
+      },
+      data: {
+        sessions: sessions.map(session => ({ ...session.toJSON(), readOnly: !session.userId.equals(userId) }))
       }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    } catch (error) {
-      // Log detailed provider error for diagnostics (don't leak internals to clients)
-      console.error('AI Service Error:', {
-        message: error?.message || String(error),
-        provider: provider || (model && model.provider) || 'unknown',
-        stack: error?.stack
-      });
+// @desc    Search message content and chat titles (filters: model, provider, role, from, to, rating, minScore)
+// @route   GET /api/chat/search
+// @access  Private
+const searchChatHistory = async (req, res, next) => {
+  try {
+    const { q, model, provider, role, from, to, rating, minScore, page = 1, limit = 20 } = req.query;
+    const userId = req.user._id;
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+    const terms = extractSearchTerms(q);
+
+    const dateRange = {};
+    if (from) dateRange.$gte = new Date(from);
+    if (to) dateRange.$lte = new Date(to);
+
+    // Model and provider match the model that answered (or was asked, for single-model questions)
+    const messageFilter = { userId, $text: { $search: q } };
+    if (model) messageFilter['model.id'] = model;
+    if (provider) messageFilter['model.provider'] = provider;
+    if (role) messageFilter.role = role;
+    if (from || to) messageFilter.createdAt = dateRange;
+    // Rating filters only match answers the user rated
+    if (rating) messageFilter['rating.thumbs'] = rating;
+    if (minScore) messageFilter['rating.score'] = { $gte: minScore };
+    const ratingFilter = Boolean(rating || minScore);
+
+    const [messages, total] = await Promise.all([
+      ChatMessage.find(messageFilter)
+        .select({ score: { $meta: 'textScore' }, sessionId: 1, role: 1, content: 1, model: 1, comparisonId: 1, rating: 1, createdAt: 1 })
+        .sort({ score: { $meta: 'textScore' }, createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      ChatMessage.countDocuments(messageFilter)
+    ]);
 
-      // Return a friendly, non-fatal error to the client with structured metadata so the frontend
-      // can surface a helpful message and optionally retry or fallback.
-      const providerName = provider || (model && model.provider) || 'AI provider';
-      const providerErr = new AppError(`AI provider (${providerName}) temporarily unavailable. Please try again in a moment.`, 503);
-      providerErr.code = 'PROVIDER_ERROR';
-      providerErr.provider = providerName;
-      return next(providerErr);
+    // Chats whose title matches, with the first page only
+    let titleMatches = [];
+    if (pageNumber === 1 && !role && !ratingFilter) {
+      const sessionFilter = { userId, $text: { $search: q } };
+      if (model) sessionFilter['models.id'] = model;
+      if (provider) sessionFilter['models.provider'] = provider;
+      if (from || to) sessionFilter.updatedAt = dateRange;
+      titleMatches = await ChatSession.find(sessionFilter)
+        .select({ score: { $meta: 'textScore' }, title: 1, updatedAt: 1 })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(SEARCH_CONFIG.sessionLimit);
     }
 
-    // Use your internal fixed token system instead of OpenRouter's actual token usage
-    // This fixes the issue where 800+ tokens were being deducted for simple "hi" responses
-    const internalTokenCost = modelType === 'free' ? 1 : 10;
-    const actualTokensUsed = internalTokenCost; // Track the actual tokens used for this request
+    // Messages reference their session by its sessionId string; the client opens chats by _id
+    const sessions = await ChatSession.find({ userId, sessionId: { $in: [...new Set(messages.map(msg => msg.sessionId))] } })
+      .select('_id sessionId title');
+    const sessionsById = new Map(sessions.map(session => [session.sessionId, session]));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        query: q,
+        terms,
+        sessions: titleMatches.map(session => ({
+          id: session._id,
+          title: session.title,
+          highlights: findMatches(session.title, terms),
+          updatedAt: session.updatedAt
+        })),
+        messages: messages
+          .filter(msg => sessionsById.has(msg.sessionId))
+          .map((msg) => {
+            const session = sessionsById.get(msg.sessionId);
+            return {
+              id: msg._id,
+              session: { id: session._id, title: session.title },
+              role: msg.role,
+              model: msg.model,
+              comparisonId: msg.comparisonId,
+              rating: msg.role === 'assistant' ? msg.rating : undefined,
+              ...buildSnippet(msg.content, terms),
+              score: msg.get('score'),
+              createdAt: msg.createdAt
+            };
+          }),
+        pagination: {
+          page: pageNumber,
+          limit: pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get specific chat session with messages (teammates' sessions in a workspace's shared folders
+//          are readOnly)
+// @route   GET /api/chat/sessions/:sessionId
+// @access  Private
+const getChatSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+    const userId = req.user._id;
+    const readable = readableSessionScope(userId, getWorkspaceId(req));
+
+    console.log('getChatSession called with:', { sessionId, userId: userId.toString() });
+
+    // Get session - try both sessionId field and _id field for compatibility
+    let session = await ChatSession.findOne({ sessionId, ...readable });
     
-    console.log(`🔍 Token Usage Debug:
-      - OpenRouter reported tokens: ${usage.totalTokens}
-      - Internal token cost (fixed): ${internalTokenCost}
-      - Model type: ${modelType}
-      - Using internal cost for deduction`);
+    console.log('First lookup (by sessionId field):', session ? 'FOUND' : 'NOT FOUND');
     
-    // Check if user has enough tokens for internal cost
-    const currentUser = await require('../models/User').findById(userId);
-    if (currentUser.tokens.balance < internalTokenCost) {
-      // Still save the AI response but warn about token shortage
-      console.warn(`⚠️ Token shortage: Request needs ${internalTokenCost} tokens, user has ${currentUser.tokens.balance} tokens`);
-      
-      // Deduct whatever tokens they have left and set balance to 0
-      if (currentUser.tokens.balance > 0) {
-        const remainingToDeduct = currentUser.tokens.balance;
-        const res = await currentUser.deductTokens(remainingToDeduct, modelType);
-        console.log(`💰 Deducted remaining ${res.deducted || remainingToDeduct} tokens from user ${userId}. Balance now: ${res.balance}`);
+    // If not found by sessionId, try by _id (in case sessionId is actually the MongoDB _id)
+    if (!session) {
+      try {
+        const mongoose = require('mongoose');
+        // Convert sessionId to ObjectId if it's a valid ObjectId string
+        const sessionObjectId = mongoose.Types.ObjectId.isValid(sessionId) 
+          ? new mongoose.Types.ObjectId(sessionId) 
+          : null;
+          
+        if (sessionObjectId) {
+          session = await ChatSession.findOne({ _id: sessionObjectId, ...readable });
+          console.log('Second lookup (by _id field):', session ? 'FOUND' : 'NOT FOUND');
+        } else {
+          console.log('sessionId is not a valid ObjectId:', sessionId);
+        }
+      } catch (error) {
+        console.log('Second lookup failed:', error.message);
       }
-      
-      // Continue with response but include warning
-      console.log(`⚠️ User ${userId} has insufficient tokens but response will be delivered`);
-    } else {
-      // Deduct the internal fixed token cost (corrected logic)
-      const res = await currentUser.deductTokens(internalTokenCost, modelType);
-      console.log(`💰 Deducted ${res.deducted || internalTokenCost} internal tokens from user ${userId}. Remaining: ${res.balance}`);
     }
 
-    // Refresh req.user to reflect the latest token and credits balance
-    try {
-      const refreshed = await require('../models/User').findById(userId);
-      if (refreshed && req.user) {
-        req.user.tokens = refreshed.tokens;
-        req.user.credits = refreshed.credits;
-      }
-    } catch (refreshErr) {
-      console.warn('Failed to refresh req.user after token deduction:', refreshErr?.message || refreshErr);
+    if (!session) {
+      return next(new AppError('Chat session not found', 404));
     }
 
-    // Create AI response message with proper messageId
-    const aiMessageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    console.log(`🤖 Creating AI message with sessionId: ${session.sessionId} for session _id: ${session._id}`);
+    // Get messages with pagination - use the session's sessionId field
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const sessionIdentifier = session.sessionId || session._id.toString();
     
-    const aiMessage = await ChatMessage.create({
-      sessionId: session.sessionId, // Use session.sessionId instead of session._id
-      userId,
-      messageId: aiMessageId,
-      role: 'assistant',
-      content: aiResponse,
-      model: {
-        id: modelId,
-        name: model ? model.name : 'Unknown Model',
-        provider: model ? model.provider : 'Direct API'
-      },
-      usage: {
-        inputTokens: usage.promptTokens,
-        outputTokens: usage.completionTokens,
-        totalTokens: usage.totalTokens
-      },
-      tokensDeducted: internalTokenCost, // Store internal fixed tokens deducted (1 for free, 10 for paid)
-      modelType: modelType, // Store model type for analytics
-      responseTime: Date.now() - startTime,
-      status: 'completed',
-      metadata: {
-        temperature: options.temperature || 0.7,
-        maxTokens: options.max_tokens || 1000,
-        topP: options.top_p || 0.9,
-        userAgent: req.headers['user-agent'],
-        ipAddress: req.ip || req.connection.remoteAddress
+    console.log('Looking for messages with sessionId:', sessionIdentifier);
+    console.log('Session details:', { 
+      _id: session._id.toString(), 
+      sessionId: session.sessionId,
+      title: session.title
+    });
+    
+    // Only the branch being shown; each message says where it sits among its edits or regenerated versions
+    const branch = await loadBranch(session, await getActiveLeafId(session));
+    const pageMessages = branch.slice(skip, skip + parseInt(limit));
+    const branches = await describeBranches(session, pageMessages);
+    const messages = pageMessages.map(msg => ({ ...msg.toObject(), branch: branches.get(String(msg._id)) }));
+    const comparisonIds = [...new Set(pageMessages.map(msg => msg.comparisonId).filter(Boolean))];
+    const votes = comparisonIds.length > 0
+      ? await ComparisonVote.find({ userId, comparisonId: { $in: comparisonIds } })
+      : [];
+
+    console.log(`Found ${messages.length} messages for session ${sessionIdentifier}`);
+    
+    const totalMessages = branch.length;
+    const totalPages = Math.ceil(totalMessages / limit);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        session,
+        readOnly: !session.userId.equals(userId),
+        messages,
+        // Verdicts on the comparisons among these messages
+        votes: votes.map(formatVote),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalMessages,
+          totalPages
+        }
       }
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Update session stats
-    session.messageCount += 2; // User message + AI response
-    session.lastMessageAt = new Date();
-    session.totalTokens += usage.totalTokens;
-    session.totalCost += cost.usd; // Store cost in USD
-    await session.save();
+// @desc    Update chat session (title, system prompt, settings, knowledge base, folder, tags, pinned, archived)
+// @route   PATCH /api/chat/sessions/:sessionId
+// @access  Private
+const updateChatSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { title, knowledgeBaseId, folderId, tags, pinned, archived } = req.body;
+    const userId = req.user._id;
 
-    // Update user stats (with safe property access)
-    try {
-      if (!req.user.stats) {
-        req.user.stats = {
-          messagesGenerated: 0,
-          tokensUsed: 0,
-          totalCost: { usd: 0, inr: 0 },
-          loginCount: 0
-        };
-      }
-      if (!req.user.stats.totalCost) {
-        req.user.stats.totalCost = { usd: 0, inr: 0 };
-      }
-
-      req.user.stats.messagesGenerated += 1;
-      req.user.stats.tokensUsed += usage.totalTokens;
-      req.user.stats.totalCost.usd += cost.usd;
-      req.user.stats.totalCost.inr += cost.inr;
-      req.user.stats.lastActive = new Date();
-      await req.user.save({ validateBeforeSave: false });
-    } catch (statsError) {
-      console.error('Error updating user stats:', statsError.message);
-      // Don't fail the request if stats update fails
-    }
-
-    // Deduct tokens after successful AI response
-    try {
-      const deductResult = await req.user.deductTokens(1);
-      console.log(`User ${req.user._id} tokens deducted. Remaining: ${deductResult.balance}`);
-    } catch (creditsError) {
-      console.error('Credits deduction error:', creditsError.message);
-      // Don't fail the request if credits deduction fails (edge case)
+    const session = await ChatSession.findOne({ _id: sessionId, userId });
+    if (!session) {
+      return next(new AppError('Chat session not found', 404));
     }
 
-    // Update model usage stats (guarded - model or metadata may be null for direct API calls)
-    try {
-      if (model) {
-        if (!model.metadata) model.metadata = {};
-        if (!model.metadata.popularity) model.metadata.popularity = { usage: 0 };
-        model.metadata.popularity.usage = (model.metadata.popularity.usage || 0) + 1;
-        await model.save({ validateBeforeSave: false });
-      } else {
-        // No model document available (direct API integration); skip model usage update
-        console.debug('No model document found - skipping model usage update');
+    const sessionPrompt = await resolveSessionPrompt(userId, req.body, session.organizationId);
+    if (sessionPrompt instanceof AppError) {
+      return next(sessionPrompt);
+    }
+
+    // Update allowed fields
+    if (title) session.title = title;
+    applySessionPrompt(session, sessionPrompt);
+    if (knowledgeBaseId !== undefined) {
+      if (knowledgeBaseId && !(await findUserKnowledgeBase(userId, knowledgeBaseId))) {
+        return next(new AppError('Knowledge base not found', 404));
+      }
+      session.knowledgeBaseId = knowledgeBaseId;
+    }
+    if (folderId !== undefined) {
+      // Sessions are filed in folders of their own workspace
+      if (folderId && !(await findWorkspaceFolder(userId, folderId, session.organizationId))) {
+        return next(new AppError('Folder not found', 404));
       }
-    } catch (metaErr) {
-      console.error('Failed to update model usage metadata:', metaErr?.message || metaErr);
-      // Don't fail the chat request because of metadata update problems
+      session.folderId = folderId;
     }
+    if (tags !== undefined) session.tags = uniqueTags(tags);
+    if (pinned !== undefined) session.pinned = pinned;
+    if (archived !== undefined) session.archived = archived;
+
+    await session.save();
 
     res.status(200).json({
       status: 'success',
       data: {
-        session: {
-          id: session._id,
-          title: session.title
-        },
-        userMessage: {
-          id: userMessage._id,
-          role: userMessage.role,
-          content: userMessage.content,
-          createdAt: userMessage.createdAt
-        },
-        aiMessage: {
-          id: aiMessage._id,
-          role: aiMessage.role,
-          content: aiMessage.content,
-          usage,
-          cost,
-          createdAt: aiMessage.createdAt
-        },
-        user: {
-          credits: req.user.credits, // Include updated credits in response
-          tokens: {
-            balance: currentUser.tokens.balance, // Include updated token balance
-            used: actualTokensUsed // Tokens used in this request
-          }
-        }
+        session
       }
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
+// @desc    List documents used as context in a chat session
+// @route   GET /api/chat/sessions/:sessionId/documents
+// @access  Private
+const getSessionDocuments = async (req, res, next) => {
+  try {
+    const session = await ChatSession.findOne({ _id: req.params.sessionId, userId: req.user._id });
+    if (!session) {
+      return next(new AppError('Chat session not found', 404));
+    }
+
+    const documents = await Attachment.find({ _id: { $in: session.documents }, userId: req.user._id });
+    const byId = new Map(documents.map(document => [String(document._id), document]));
+    const ordered = session.documents.map(id => byId.get(String(id))).filter(Boolean);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        documents: ordered.map(formatSessionDocument),
+        // Upper bound; each request sends only what fits the model's context window
+        totalTokens: ordered.reduce((total, document) => total + (document.document?.tokens || 0), 0)
+      }
+    });
   } catch (error) {
-    console.error('❌ Chat API Error:', {
-      message: error.message,
-      stack: error.stack,
-      name: error.name,
-      requestBody: req.body,
-      userId: req.user?._id,
-      timestamp: new Date().toISOString()
+    next(error);
+  }
+};
+
+// @desc    Add uploaded documents to a chat session's context
+// @route   POST /api/chat/sessions/:sessionId/documents
+// @access  Private
+const attachSessionDocuments = async (req, res, next) => {
+  try {
+    const session = await ChatSession.findOne({ _id: req.params.sessionId, userId: req.user._id });
+    if (!session) {
+      return next(new AppError('Chat session not found', 404));
+    }
+
+    const attachments = await findUserAttachments(req.user._id, req.body.attachmentIds);
+    if (!attachments) {
+      return next(new AppError('Attachment not found', 404));
+    }
+    const notDocument = attachments.find(attachment => !isDocument(attachment));
+    if (notDocument) {
+      const typeErr = new AppError(`${notDocument.originalName} is not a document`, 400);
+      typeErr.code = 'INVALID_ATTACHMENT';
+      return next(typeErr);
+    }
+    const unreadableDocument = attachments.find(attachment => attachment.document?.status !== 'ready');
+    if (unreadableDocument) {
+      return next(unreadableDocumentError(unreadableDocument));
+    }
+
+    await addSessionDocuments(session, attachments);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        documents: attachments.map(formatSessionDocument)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stop using a document as context in a chat session (the upload itself is kept)
+// @route   DELETE /api/chat/sessions/:sessionId/documents/:attachmentId
+// @access  Private
+const removeSessionDocument = async (req, res, next) => {
+  try {
+    const session = await ChatSession.findOneAndUpdate(
+      { _id: req.params.sessionId, userId: req.user._id },
+      { $pull: { documents: req.params.attachmentId } }
+    );
+    if (!session) {
+      return next(new AppError('Chat session not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Document removed from session'
     });
+  } catch (error) {
     next(error);
   }
 };
 
-// @desc    Get chat sessions
-// @route   GET /api/chat/sessions
+// @desc    Change several chat sessions at once: move to a folder (folderId, null for none),
+//          addTags / removeTags, pinned and archived
+// @route   PATCH /api/chat/sessions
 // @access  Private
-const getChatSessions = async (req, res, next) => {
+const updateChatSessions = async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
+    const { sessionIds, folderId, addTags, removeTags, pinned, archived } = req.body;
     const userId = req.user._id;
+    const filter = { _id: { $in: sessionIds }, userId };
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    // Use lastMessageAt and don't populate modelId (doesn't exist in schema)
-    const sessions = await ChatSession.find({ userId })
-      .sort({ lastMessageAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const set = {};
+    if (folderId !== undefined) {
+      const organizationId = getWorkspaceId(req);
+      if (folderId && !(await findWorkspaceFolder(userId, folderId, organizationId))) {
+        return next(new AppError('Folder not found', 404));
+      }
+      // Only sessions of the folder's workspace move into it
+      if (folderId) filter.organizationId = organizationId;
+      set.folderId = folderId;
+    }
+    if (pinned !== undefined) set.pinned = pinned;
+    if (archived !== undefined) set.archived = archived;
+
+    // A tag cannot be added and removed in one update, so removals run separately
+    const update = {};
+    if (Object.keys(set).length > 0) update.$set = set;
+    if (addTags?.length) update.$addToSet = { tags: { $each: uniqueTags(addTags) } };
+    if (Object.keys(update).length === 0 && !removeTags?.length) {
+      return next(new AppError('Nothing to change: send folderId, addTags, removeTags, pinned or archived', 400));
+    }
 
-    const total = await ChatSession.countDocuments({ userId });
-    const totalPages = Math.ceil(total / limit);
+    if (Object.keys(update).length > 0) await ChatSession.updateMany(filter, update);
+    if (removeTags?.length) await ChatSession.updateMany(filter, { $pull: { tags: { $in: removeTags } } });
+
+    const sessions = await ChatSession.find(filter);
 
     res.status(200).json({
       status: 'success',
       results: sessions.length,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        totalPages
-      },
       data: {
         sessions
       }
@@ -620,78 +1819,24 @@ const getChatSessions = async (req, res, next) => {
   }
 };
 
-// @desc    Get specific chat session with messages
-// @route   GET /api/chat/sessions/:sessionId
+// @desc    Delete several chat sessions and their messages
+// @route   DELETE /api/chat/sessions
 // @access  Private
-const getChatSession = async (req, res, next) => {
+const deleteChatSessions = async (req, res, next) => {
   try {
-    const { sessionId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
     const userId = req.user._id;
+    const sessions = await ChatSession.find({ _id: { $in: req.body.sessionIds }, userId }).select('_id sessionId');
 
-    console.log('getChatSession called with:', { sessionId, userId: userId.toString() });
-
-    // Get session - try both sessionId field and _id field for compatibility
-    let session = await ChatSession.findOne({ sessionId, userId });
-    
-    console.log('First lookup (by sessionId field):', session ? 'FOUND' : 'NOT FOUND');
-    
-    // If not found by sessionId, try by _id (in case sessionId is actually the MongoDB _id)
-    if (!session) {
-      try {
-        const mongoose = require('mongoose');
-        // Convert sessionId to ObjectId if it's a valid ObjectId string
-        const sessionObjectId = mongoose.Types.ObjectId.isValid(sessionId) 
-          ? new mongoose.Types.ObjectId(sessionId) 
-          : null;
-          
-        if (sessionObjectId) {
-          session = await ChatSession.findOne({ _id: sessionObjectId, userId });
-          console.log('Second lookup (by _id field):', session ? 'FOUND' : 'NOT FOUND');
-        } else {
-          console.log('sessionId is not a valid ObjectId:', sessionId);
-        }
-      } catch (error) {
-        console.log('Second lookup failed:', error.message);
-      }
-    }
-
-    if (!session) {
-      return next(new AppError('Chat session not found', 404));
-    }
-
-    // Get messages with pagination - use the session's sessionId field
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sessionIdentifier = session.sessionId || session._id.toString();
-    
-    console.log('Looking for messages with sessionId:', sessionIdentifier);
-    console.log('Session details:', { 
-      _id: session._id.toString(), 
-      sessionId: session.sessionId,
-      title: session.title
-    });
-    
-    const messages = await ChatMessage.find({ sessionId: sessionIdentifier })
-      .sort({ createdAt: 1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    await ChatMessage.deleteMany({ userId, sessionId: { $in: sessions.map(session => session.sessionId) } });
+    await ComparisonVote.deleteMany({ userId, sessionId: { $in: sessions.map(session => session.sessionId) } });
+    await ChatSession.deleteMany({ _id: { $in: sessions.map(session => session._id) }, userId });
 
-    console.log(`Found ${messages.length} messages for session ${sessionIdentifier}`);
-    
-    const totalMessages = await ChatMessage.countDocuments({ sessionId: sessionIdentifier });
-    const totalPages = Math.ceil(totalMessages / limit);
+    console.log(`🗑️ Deleted ${sessions.length} chat session(s) for user ${userId}`);
 
     res.status(200).json({
       status: 'success',
       data: {
-        session,
-        messages,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: totalMessages,
-          totalPages
-        }
+        deleted: sessions.map(session => session._id)
       }
     });
   } catch (error) {
@@ -699,34 +1844,22 @@ const getChatSession = async (req, res, next) => {
   }
 };
 
-// @desc    Update chat session (title, settings)
-// @route   PATCH /api/chat/sessions/:sessionId
+// @desc    List the tags on the user's chat sessions with how many sessions carry each
+// @route   GET /api/chat/tags
 // @access  Private
-const updateChatSession = async (req, res, next) => {
+const getChatTags = async (req, res, next) => {
   try {
-    const { sessionId } = req.params;
-    const { title, settings } = req.body;
-    const userId = req.user._id;
-
-    const session = await ChatSession.findOne({ _id: sessionId, userId });
-    if (!session) {
-      return next(new AppError('Chat session not found', 404));
-    }
-
-    // Update allowed fields
-    if (title) session.title = title;
-    if (settings) {
-      if (settings.temperature !== undefined) session.settings.temperature = settings.temperature;
-      if (settings.maxTokens !== undefined) session.settings.maxTokens = settings.maxTokens;
-      if (settings.topP !== undefined) session.settings.topP = settings.topP;
-    }
-
-    await session.save();
+    const tags = await ChatSession.aggregate([
+      { $match: { userId: req.user._id, archived: { $ne: true } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
 
     res.status(200).json({
       status: 'success',
       data: {
-        session
+        tags: tags.map(entry => ({ name: entry._id, count: entry.count }))
       }
     });
   } catch (error) {
@@ -749,6 +1882,7 @@ const deleteChatSession = async (req, res, next) => {
 
     // Delete all messages in the session using the session's sessionId field
     await ChatMessage.deleteMany({ sessionId: session.sessionId });
+    await ComparisonVote.deleteMany({ userId, sessionId: session.sessionId });
 
     // Delete the session
     await ChatSession.findByIdAndDelete(sessionId);
@@ -775,12 +1909,20 @@ const deleteMessage = async (req, res, next) => {
       return next(new AppError('Message not found', 404));
     }
 
-    await ChatMessage.findByIdAndDelete(messageId);
+    // A question goes together with its answers; later turns continue from the turn before it
+    const removed = await ChatMessage.deleteMany(message.role === 'user'
+      ? { $or: [{ _id: message._id }, { role: 'assistant', parentMessageId: message._id }] }
+      : { _id: message._id });
+
+    const session = await ChatSession.findOne({ sessionId: message.sessionId, userId });
+    await detachMessage(session, message);
 
     // Update session message count
-    await ChatSession.findByIdAndUpdate(message.sessionId, {
-      $inc: { messageCount: -1 }
-    });
+    if (session) {
+      await ChatSession.updateOne({ _id: session._id }, {
+        $inc: { messageCount: -removed.deletedCount }
+      });
+    }
 
     res.status(204).json({
       status: 'success',
@@ -791,6 +1933,305 @@ const deleteMessage = async (req, res, next) => {
   }
 };
 
+// @desc    Pin a message so it is always sent with the history, or unpin it
+// @route   PATCH /api/chat/messages/:messageId
+// @access  Private
+const updateMessage = async (req, res, next) => {
+  try {
+    const message = await ChatMessage.findOneAndUpdate(
+      { _id: req.params.messageId, userId: req.user._id },
+      { pinned: req.body.pinned },
+      { new: true }
+    );
+    if (!message) {
+      return next(new AppError('Message not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message: {
+          id: message._id,
+          role: message.role,
+          pinned: message.pinned
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rate an answer with thumbs up or down and/or a 1-5 score (null clears either)
+// @route   PUT /api/chat/messages/:messageId/rating
+// @access  Private
+const rateMessage = async (req, res, next) => {
+  try {
+    const message = await ChatMessage.findOne({ _id: req.params.messageId, userId: req.user._id, role: 'assistant' });
+    if (!message) {
+      return next(new AppError('Answer not found', 404));
+    }
+
+    const { thumbs, score } = req.body;
+    if (thumbs !== undefined) message.rating.thumbs = thumbs;
+    if (score !== undefined) message.rating.score = score;
+    message.rating.ratedAt = message.rating.thumbs || message.rating.score ? new Date() : null;
+    await message.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message: {
+          id: message._id,
+          model: message.model,
+          rating: message.rating
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const formatVote = (vote) => ({
+  comparisonId: vote.comparisonId,
+  questionId: vote.questionId,
+  models: vote.models,
+  winnerModelId: vote.winnerModelId,
+  winnerMessageId: vote.winnerMessageId,
+  blind: vote.blind,
+  updatedAt: vote.updatedAt
+});
+
+// @desc    Vote for the best answer of a comparison, or a tie (winnerMessageId null); voting again replaces the vote.
+//          The response names the models, so blind comparisons can be revealed.
+// @route   POST /api/chat/comparisons/:comparisonId/vote
+// @access  Private
+const voteOnComparison = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { comparisonId } = req.params;
+    const { winnerMessageId = null, blind = false } = req.body;
+
+    const question = await ChatMessage.findOne({ userId, comparisonId, role: 'user' });
+    if (!question) {
+      return next(new AppError('Comparison not found', 404));
+    }
+
+    // The versions of the answers being shown, regenerated ones included
+    const answers = await ChatMessage.find({ userId, parentMessageId: question._id, role: 'assistant', isActive: true })
+      .select('model');
+    if (answers.length < 2) {
+      return next(new AppError('A comparison needs at least two answers to vote on', 400));
+    }
+
+    const winner = winnerMessageId && answers.find(answer => String(answer._id) === String(winnerMessageId));
+    if (winnerMessageId && !winner) {
+      return next(new AppError('winnerMessageId must be one of the comparison\'s answers', 400));
+    }
+
+    const vote = await ComparisonVote.findOneAndUpdate(
+      { userId, comparisonId },
+      {
+        sessionId: question.sessionId,
+        questionId: question._id,
+        models: answers.map(answer => ({
+          id: answer.model?.id,
+          name: answer.model?.name,
+          provider: answer.model?.provider,
+          messageId: answer._id
+        })),
+        winnerModelId: winner ? winner.model?.id : null,
+        winnerMessageId: winner ? winner._id : null,
+        blind
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`🗳️ Vote on ${comparisonId} for user ${userId}: ${vote.winnerModelId || 'tie'}${blind ? ' (blind)' : ''}`);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        vote: formatVote(vote)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The user's message and its session, with messages from before branching linked into the tree first.
+// Resolves to null when either is missing.
+const findBranchMessage = async (userId, messageId) => {
+  const found = await ChatMessage.findOne({ _id: messageId, userId }).select('sessionId');
+  const session = found && await ChatSession.findOne({ sessionId: found.sessionId, userId });
+  if (!session) return null;
+
+  await getActiveLeafId(session);
+  return { session, message: await ChatMessage.findById(found._id) };
+};
+
+// @desc    Answer a question again with the same model; the earlier answer is kept as another version
+// @route   POST /api/chat/messages/:messageId/regenerate
+// @access  Private
+const regenerateMessage = async (req, res, next) => {
+  try {
+    const found = await findBranchMessage(req.user._id, req.params.messageId);
+    if (!found || found.message.role !== 'assistant') {
+      return next(new AppError('Message not found', 404));
+    }
+    const { session, message: answer } = found;
+
+    const userMessage = answer.parentMessageId && await ChatMessage.findOne({ _id: answer.parentMessageId, role: 'user' });
+    if (!userMessage) {
+      return next(new AppError('The message this answers no longer exists', 404));
+    }
+
+    // Answered like a new message to the same model, with the question's attachments and branch
+    req.regeneration = { userMessage, answer };
+    req.body = {
+      ...req.body,
+      message: userMessage.content,
+      modelId: answerSlot(answer),
+      sessionId: String(session._id),
+      attachments: userMessage.attachments.map(attachment => attachment.metadata?.attachmentId).filter(Boolean)
+    };
+    return sendChatMessage(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Show the branch through a message: an edit of a question or a version of an answer
+// @route   POST /api/chat/messages/:messageId/activate
+// @access  Private
+const activateBranchMessage = async (req, res, next) => {
+  try {
+    const found = await findBranchMessage(req.user._id, req.params.messageId);
+    if (!found) {
+      return next(new AppError('Message not found', 404));
+    }
+
+    const activeMessageId = await activateMessage(found.session, found.message);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        session: {
+          id: found.session._id,
+          activeMessageId
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const sendExport = (res, { body, contentType, filename }) => {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(body);
+};
+
+// @desc    Export a chat session as JSON (every branch), Markdown, HTML or print-ready HTML (?format=pdf)
+// @route   GET /api/chat/sessions/:sessionId/export
+// @access  Private
+const exportChatSession = async (req, res, next) => {
+  try {
+    const session = await ChatSession.findOne({ _id: req.params.sessionId, userId: req.user._id });
+    if (!session) {
+      return next(new AppError('Chat session not found', 404));
+    }
+
+    sendExport(res, await buildExport([session], req.query.format || 'json'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export the user's chat sessions (all of them, or ?sessionIds=) in one file
+// @route   GET /api/chat/export
+// @access  Private
+const exportChatSessions = async (req, res, next) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.sessionIds) {
+      filter._id = { $in: req.query.sessionIds.split(',') };
+    }
+
+    const sessions = await ChatSession.find(filter)
+      .sort({ lastMessageAt: -1 })
+      .limit(EXPORT_CONFIG.maxSessions);
+    if (sessions.length === 0) {
+      return next(new AppError('No chat sessions to export', 404));
+    }
+
+    sendExport(res, await buildExport(sessions, req.query.format || 'json'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Import files are read in memory; a JSON request body is accepted as well
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_CONFIG.maxBytes, files: 1 }
+}).single('file');
+
+const receiveImportFile = (req, res, next) => {
+  importUpload(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const uploadErr = error.code === 'LIMIT_FILE_SIZE'
+        ? new AppError(`Import files must be at most ${Math.round(IMPORT_CONFIG.maxBytes / 1024 / 1024)}MB`, 413)
+        : new AppError('Upload one export file in the "file" field', 400);
+      uploadErr.code = error.code;
+      return next(uploadErr);
+    }
+    next(error);
+  });
+};
+
+// @desc    Import conversations from an AI Pasta JSON export, ChatGPT's conversations.json or an OpenRouter chat export
+// @route   POST /api/chat/import
+// @access  Private
+const importChatSessions = async (req, res, next) => {
+  try {
+    let data = req.body;
+    if (req.file) {
+      try {
+        data = JSON.parse(req.file.buffer.toString('utf8'));
+      } catch (parseError) {
+        const jsonErr = new AppError('The import file is not valid JSON', 400);
+        jsonErr.code = 'INVALID_IMPORT';
+        return next(jsonErr);
+      }
+    }
+
+    const { source, sessions, skipped } = await importConversations(req.user._id, data);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        source,
+        imported: sessions.length,
+        skipped,
+        sessions: sessions.map(session => ({
+          _id: session._id,
+          sessionId: session.sessionId,
+          title: session.title,
+          messageCount: session.messageCount,
+          createdAt: session.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get chat statistics
 // @route   GET /api/chat/stats
 // @access  Private
@@ -865,6 +2306,27 @@ const getChatStats = async (req, res, next) => {
   }
 };
 
+// @desc    Per-model leaderboard from the user's comparison votes (wins, losses, ties, win rate, Elo) and
+//          answer ratings (filters: blind, from, to)
+// @route   GET /api/chat/stats/models
+// @access  Private
+const getModelStats = async (req, res, next) => {
+  try {
+    const { blind, from, to } = req.query;
+    const leaderboard = await getModelLeaderboard([req.user._id], { blind, from, to });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        scope: 'user',
+        ...leaderboard
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get chat messages for a session (query param approach)
 // @route   GET /api/chat/messages?sessionId=...
 // @access  Private
@@ -886,8 +2348,9 @@ const getChatMessages = async (req, res, next) => {
     // sessionId parameter could be either the sessionId field or the MongoDB _id
     let session = null;
     
-    // Try to find by sessionId field first (with user ownership check)
-    session = await ChatSession.findOne({ sessionId, userId });
+    // Try to find by sessionId field first (with user ownership check, or a workspace's shared folders)
+    const readable = readableSessionScope(userId, getWorkspaceId(req));
+    session = await ChatSession.findOne({ sessionId, ...readable });
     console.log('Session lookup by sessionId field:', session ? 'FOUND' : 'NOT FOUND');
     
     // If not found, try by MongoDB _id (with user ownership check)
@@ -896,7 +2359,7 @@ const getChatMessages = async (req, res, next) => {
         const mongoose = require('mongoose');
         if (mongoose.Types.ObjectId.isValid(sessionId)) {
           const sessionObjectId = new mongoose.Types.ObjectId(sessionId);
-          session = await ChatSession.findOne({ _id: sessionObjectId, userId });
+          session = await ChatSession.findOne({ _id: sessionObjectId, ...readable });
           console.log('Session lookup by _id:', session ? 'FOUND' : 'NOT FOUND');
         }
       } catch (error) {
@@ -920,10 +2383,8 @@ const getChatMessages = async (req, res, next) => {
 
     // Find messages by the actual sessionId
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const messages = await ChatMessage.find({ sessionId: actualSessionId })
-      .sort({ createdAt: 1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const branch = await loadBranch(session, await getActiveLeafId(session));
+    const messages = branch.slice(skip, skip + parseInt(limit));
 
     console.log(`Found ${messages.length} messages for sessionId: ${actualSessionId}`);
 
@@ -962,7 +2423,7 @@ const getChatMessages = async (req, res, next) => {
       }
     }
 
-    const totalMessages = await ChatMessage.countDocuments({ sessionId: actualSessionId });
+    const totalMessages = branch.length;
 
     res.status(200).json({
       success: true,
@@ -979,13 +2440,31 @@ const getChatMessages = async (req, res, next) => {
 
 // Routes
 router.post('/', chatRateLimit, validateChatMessage, sendChatMessage);
-router.post('/sessions', authenticateToken, createChatThread);
-router.get('/sessions', authenticateToken, validatePagination, getChatSessions);
+router.post('/compare', chatRateLimit, validateCompareRequest, compareModels);
+router.post('/sessions', authenticateToken, validateSessionOptions, createChatThread);
+router.get('/sessions', authenticateToken, validateSessionList, getChatSessions);
+router.patch('/sessions', authenticateToken, validateSessionBulkUpdate, updateChatSessions);
+router.delete('/sessions', authenticateToken, validateSessionBulkDelete, deleteChatSessions);
+router.get('/tags', authenticateToken, getChatTags);
+router.use('/folders', authenticateToken, folderRoutes);
+router.get('/search', authenticateToken, validateChatSearch, searchChatHistory);
+router.get('/export', authenticateToken, validateChatExport, exportChatSessions);
+router.post('/import', authenticateToken, chatRateLimit, receiveImportFile, importChatSessions);
 router.get('/sessions/:sessionId', authenticateToken, getChatSession);
 router.get('/messages', authenticateToken, getChatMessages); // Add the missing messages route
-router.patch('/sessions/:sessionId', authenticateToken, updateChatSession);
+router.patch('/sessions/:sessionId', authenticateToken, validateSessionUpdate, updateChatSession);
 router.delete('/sessions/:sessionId', authenticateToken, deleteChatSession);
+router.get('/sessions/:sessionId/export', authenticateToken, validateMongoId('sessionId'), validateChatExport, exportChatSession);
+router.get('/sessions/:sessionId/documents', authenticateToken, validateMongoId('sessionId'), getSessionDocuments);
+router.post('/sessions/:sessionId/documents', authenticateToken, validateSessionDocuments, attachSessionDocuments);
+router.delete('/sessions/:sessionId/documents/:attachmentId', authenticateToken, validateMongoId('sessionId'), validateMongoId('attachmentId'), removeSessionDocument);
+router.patch('/messages/:messageId', authenticateToken, validateMessageUpdate, updateMessage);
+router.put('/messages/:messageId/rating', authenticateToken, validateMessageRating, rateMessage);
+router.post('/messages/:messageId/regenerate', authenticateToken, chatRateLimit, validateRegenerate, regenerateMessage);
+router.post('/messages/:messageId/activate', authenticateToken, validateMongoId('messageId'), activateBranchMessage);
 router.delete('/messages/:messageId', authenticateToken, deleteMessage);
 router.get('/stats', authenticateToken, getChatStats);
+router.get('/stats/models', authenticateToken, validateModelLeaderboard, getModelStats);
+router.post('/comparisons/:comparisonId/vote', authenticateToken, validateComparisonVote, voteOnComparison);
 
 module.exports = router;
\ No newline at end of file
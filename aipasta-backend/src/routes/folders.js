@@ -0,0 +1,160 @@
+const express = require('express');
+const ChatFolder = require('../models/ChatFolder');
+const ChatSession = require('../models/ChatSession');
+const { AppError } = require('../middleware/errorHandler');
+const { validateMongoId, validateChatFolder } = require('../middleware/validation');
+const { canManage, getWorkspaceId, folderScope } = require('../services/organizationService');
+
+const router = express.Router();
+
+// shared: the folder belongs to a team workspace; canEdit: the user may rename or delete it
+const formatFolder = (folder, sessionCount = 0, canEdit = true) => ({
+  _id: folder._id,
+  name: folder.name,
+  sessionCount,
+  shared: Boolean(folder.organizationId),
+  canEdit,
+  createdAt: folder.createdAt,
+  updatedAt: folder.updatedAt
+});
+
+const duplicateNameError = (shared = false) => {
+  const nameErr = new AppError(shared ? 'This workspace already has a folder with this name' : 'You already have a folder with this name', 409);
+  nameErr.code = 'DUPLICATE_NAME';
+  return nameErr;
+};
+
+// 409 for a duplicate name (unique per user)
+const toDuplicateNameError = (error) => (error.code === 11000 ? duplicateNameError() : error);
+
+// Shared folders are renamed and deleted by their creator or a workspace owner or admin
+const canEditFolder = (req, folder) => folder.userId.equals(req.user._id) || canManage(req.workspace?.membership);
+
+// Another shared folder of the workspace already has the name
+const isSharedNameTaken = (organizationId, name, exceptFolderId = null) => organizationId
+  ? ChatFolder.exists({ organizationId, name, ...(exceptFolderId && { _id: { $ne: exceptFolderId } }) })
+  : Promise.resolve(null);
+
+// @desc    List the chat folders with the number of sessions in each (archived ones excluded): the user's own,
+//          or the shared folders of the team workspace the request is made in
+// @route   GET /api/chat/folders
+// @access  Private
+const getFolders = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const organizationId = getWorkspaceId(req);
+    const sessionScope = organizationId ? { organizationId } : { userId, organizationId: null };
+    const [folders, counts] = await Promise.all([
+      ChatFolder.find(folderScope(userId, organizationId)).sort({ name: 1 }),
+      ChatSession.aggregate([
+        { $match: { ...sessionScope, folderId: { $ne: null }, archived: { $ne: true } } },
+        { $group: { _id: '$folderId', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countById = new Map(counts.map(entry => [String(entry._id), entry.count]));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        folders: folders.map(folder => formatFolder(folder, countById.get(String(folder._id)), canEditFolder(req, folder)))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a chat folder (shared with the team in a team workspace)
+// @route   POST /api/chat/folders
+// @access  Private
+const createFolder = async (req, res, next) => {
+  try {
+    const organizationId = getWorkspaceId(req);
+    if (await isSharedNameTaken(organizationId, req.body.name)) {
+      return next(duplicateNameError(true));
+    }
+    const folder = await ChatFolder.create({ userId: req.user._id, organizationId, name: req.body.name });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        folder: formatFolder(folder)
+      }
+    });
+  } catch (error) {
+    next(toDuplicateNameError(error));
+  }
+};
+
+// Folder in the request's workspace that the user may change: a 404 or 403 AppError otherwise
+const findEditableFolder = async (req) => {
+  const folder = await ChatFolder.findOne({ _id: req.params.folderId, ...folderScope(req.user._id, getWorkspaceId(req)) });
+  if (!folder) {
+    return new AppError('Folder not found', 404);
+  }
+  if (!canEditFolder(req, folder)) {
+    return new AppError('Only the folder\'s creator or a workspace admin can change it', 403);
+  }
+  return folder;
+};
+
+// @desc    Rename a chat folder
+// @route   PATCH /api/chat/folders/:folderId
+// @access  Private
+const updateFolder = async (req, res, next) => {
+  try {
+    const folder = await findEditableFolder(req);
+    if (folder instanceof AppError) {
+      return next(folder);
+    }
+    if (await isSharedNameTaken(folder.organizationId, req.body.name, folder._id)) {
+      return next(duplicateNameError(true));
+    }
+
+    folder.name = req.body.name;
+    await folder.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        folder: formatFolder(folder)
+      }
+    });
+  } catch (error) {
+    next(toDuplicateNameError(error));
+  }
+};
+
+// @desc    Delete a chat folder (its sessions are kept and moved out of it; in a team workspace each
+//          member's chats stay with them)
+// @route   DELETE /api/chat/folders/:folderId
+// @access  Private
+const deleteFolder = async (req, res, next) => {
+  try {
+    const folder = await findEditableFolder(req);
+    if (folder instanceof AppError) {
+      return next(folder);
+    }
+
+    await ChatFolder.deleteOne({ _id: folder._id });
+    await ChatSession.updateMany(
+      folder.organizationId ? { organizationId: folder.organizationId, folderId: folder._id } : { userId: req.user._id, folderId: folder._id },
+      { folderId: null }
+    );
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Folder deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Routes
+router.get('/', getFolders);
+router.post('/', validateChatFolder, createFolder);
+router.patch('/:folderId', validateMongoId('folderId'), validateChatFolder, updateFolder);
+router.delete('/:folderId', validateMongoId('folderId'), deleteFolder);
+
+module.exports = router;
@@ -0,0 +1,282 @@
+const express = require('express');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const ChatSession = require('../models/ChatSession');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  validateMongoId,
+  validateKnowledgeBase,
+  validateKnowledgeBaseUpdate,
+  validateKnowledgeDocuments,
+  validateKnowledgeSearch
+} = require('../middleware/validation');
+const { findUserAttachments, isDocument } = require('../services/attachmentService');
+const { KNOWLEDGE_CONFIG, indexKnowledgeBase, retrieveChunks, buildKnowledgeContext } = require('../services/knowledgeService');
+
+const router = express.Router();
+
+// The user's documents with these ids, or an AppError explaining why they cannot be added
+const loadDocuments = async (userId, attachmentIds = []) => {
+  const attachments = await findUserAttachments(userId, attachmentIds);
+  if (!attachments) {
+    return new AppError('Attachment not found', 404);
+  }
+  const invalid = attachments.find(attachment => !isDocument(attachment) || attachment.document?.status !== 'ready');
+  if (invalid) {
+    const docErr = new AppError(`${invalid.originalName} is not a readable document`, 400);
+    docErr.code = 'UNREADABLE_DOCUMENT';
+    return docErr;
+  }
+  return attachments;
+};
+
+// 409 for a duplicate name (unique per user)
+const toDuplicateNameError = (error) => {
+  if (error.code !== 11000) return error;
+  const nameErr = new AppError('You already have a knowledge base with this name', 409);
+  nameErr.code = 'DUPLICATE_NAME';
+  return nameErr;
+};
+
+// @desc    List the user's knowledge bases
+// @route   GET /api/knowledge-bases
+// @access  Private
+const getKnowledgeBases = async (req, res, next) => {
+  try {
+    const knowledgeBases = await KnowledgeBase.find({ userId: req.user._id }).sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        knowledgeBases
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a knowledge base, optionally from uploaded documents (embedded straight away)
+// @route   POST /api/knowledge-bases
+// @access  Private
+const createKnowledgeBase = async (req, res, next) => {
+  try {
+    const { name, description, attachmentIds = [] } = req.body;
+
+    const documents = await loadDocuments(req.user._id, attachmentIds);
+    if (documents instanceof AppError) {
+      return next(documents);
+    }
+
+    let knowledgeBase = await KnowledgeBase.create({
+      userId: req.user._id,
+      name,
+      description,
+      documents: documents.map(document => document._id),
+      embeddingModel: KNOWLEDGE_CONFIG.embeddingModel
+    });
+    if (documents.length > 0) {
+      knowledgeBase = await indexKnowledgeBase(knowledgeBase);
+    }
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        knowledgeBase
+      }
+    });
+  } catch (error) {
+    next(toDuplicateNameError(error));
+  }
+};
+
+// @desc    Get a knowledge base with its documents
+// @route   GET /api/knowledge-bases/:knowledgeBaseId
+// @access  Private
+const getKnowledgeBase = async (req, res, next) => {
+  try {
+    const knowledgeBase = await KnowledgeBase.findOne({ _id: req.params.knowledgeBaseId, userId: req.user._id })
+      .populate('documents', 'originalName mimeType size document createdAt');
+    if (!knowledgeBase) {
+      return next(new AppError('Knowledge base not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        knowledgeBase
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename or describe a knowledge base
+// @route   PATCH /api/knowledge-bases/:knowledgeBaseId
+// @access  Private
+const updateKnowledgeBase = async (req, res, next) => {
+  try {
+    const knowledgeBase = await KnowledgeBase.findOne({ _id: req.params.knowledgeBaseId, userId: req.user._id });
+    if (!knowledgeBase) {
+      return next(new AppError('Knowledge base not found', 404));
+    }
+
+    const { name, description } = req.body;
+    if (name !== undefined) knowledgeBase.name = name;
+    if (description !== undefined) knowledgeBase.description = description;
+    await knowledgeBase.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        knowledgeBase
+      }
+    });
+  } catch (error) {
+    next(toDuplicateNameError(error));
+  }
+};
+
+// @desc    Delete a knowledge base (its documents are kept) and detach it from chat sessions
+// @route   DELETE /api/knowledge-bases/:knowledgeBaseId
+// @access  Private
+const deleteKnowledgeBase = async (req, res, next) => {
+  try {
+    const knowledgeBase = await KnowledgeBase.findOneAndDelete({ _id: req.params.knowledgeBaseId, userId: req.user._id });
+    if (!knowledgeBase) {
+      return next(new AppError('Knowledge base not found', 404));
+    }
+
+    await ChatSession.updateMany({ knowledgeBaseId: knowledgeBase._id }, { $set: { knowledgeBaseId: null } });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Knowledge base deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add uploaded documents to a knowledge base and embed them
+// @route   POST /api/knowledge-bases/:knowledgeBaseId/documents
+// @access  Private
+const addKnowledgeDocuments = async (req, res, next) => {
+  try {
+    const knowledgeBase = await KnowledgeBase.findOne({ _id: req.params.knowledgeBaseId, userId: req.user._id });
+    if (!knowledgeBase) {
+      return next(new AppError('Knowledge base not found', 404));
+    }
+
+    const documents = await loadDocuments(req.user._id, req.body.attachmentIds);
+    if (documents instanceof AppError) {
+      return next(documents);
+    }
+
+    knowledgeBase.documents.addToSet(...documents.map(document => document._id));
+    await indexKnowledgeBase(knowledgeBase);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        knowledgeBase
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a document from a knowledge base (the upload itself is kept)
+// @route   DELETE /api/knowledge-bases/:knowledgeBaseId/documents/:attachmentId
+// @access  Private
+const removeKnowledgeDocument = async (req, res, next) => {
+  try {
+    const knowledgeBase = await KnowledgeBase.findOne({ _id: req.params.knowledgeBaseId, userId: req.user._id });
+    if (!knowledgeBase) {
+      return next(new AppError('Knowledge base not found', 404));
+    }
+
+    knowledgeBase.documents.pull(req.params.attachmentId);
+    await indexKnowledgeBase(knowledgeBase);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        knowledgeBase
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Re-embed documents not yet indexed with the current embedding model (e.g. after a failure)
+// @route   POST /api/knowledge-bases/:knowledgeBaseId/reindex
+// @access  Private
+const reindexKnowledgeBase = async (req, res, next) => {
+  try {
+    const knowledgeBase = await KnowledgeBase.findOne({ _id: req.params.knowledgeBaseId, userId: req.user._id });
+    if (!knowledgeBase) {
+      return next(new AppError('Knowledge base not found', 404));
+    }
+
+    knowledgeBase.embeddingModel = KNOWLEDGE_CONFIG.embeddingModel;
+    await indexKnowledgeBase(knowledgeBase);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        knowledgeBase
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Preview the passages a message would retrieve
+// @route   POST /api/knowledge-bases/:knowledgeBaseId/search
+// @access  Private
+const searchKnowledgeBase = async (req, res, next) => {
+  try {
+    const knowledgeBase = await KnowledgeBase.findOne({ _id: req.params.knowledgeBaseId, userId: req.user._id });
+    if (!knowledgeBase) {
+      return next(new AppError('Knowledge base not found', 404));
+    }
+
+    let retrieved;
+    try {
+      retrieved = await retrieveChunks(knowledgeBase, req.body.query, { topK: parseInt(req.body.topK, 10) || undefined });
+    } catch (error) {
+      console.error('Knowledge retrieval error:', error.message);
+      const retrievalErr = new AppError('Could not search the knowledge base right now. Please try again in a moment.', 502);
+      retrievalErr.code = 'KNOWLEDGE_RETRIEVAL_FAILED';
+      return next(retrievalErr);
+    }
+    const context = await buildKnowledgeContext(knowledgeBase, retrieved.results);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        results: context ? context.citations : [],
+        tokens: retrieved.tokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Routes
+router.get('/', getKnowledgeBases);
+router.post('/', validateKnowledgeBase, createKnowledgeBase);
+router.get('/:knowledgeBaseId', validateMongoId('knowledgeBaseId'), getKnowledgeBase);
+router.patch('/:knowledgeBaseId', validateKnowledgeBaseUpdate, updateKnowledgeBase);
+router.delete('/:knowledgeBaseId', validateMongoId('knowledgeBaseId'), deleteKnowledgeBase);
+router.post('/:knowledgeBaseId/documents', validateKnowledgeDocuments, addKnowledgeDocuments);
+router.delete('/:knowledgeBaseId/documents/:attachmentId', validateMongoId('knowledgeBaseId'), validateMongoId('attachmentId'), removeKnowledgeDocument);
+router.post('/:knowledgeBaseId/reindex', validateMongoId('knowledgeBaseId'), reindexKnowledgeBase);
+router.post('/:knowledgeBaseId/search', validateKnowledgeSearch, searchKnowledgeBase);
+
+module.exports = router;
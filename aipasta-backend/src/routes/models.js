@@ -1,16 +1,18 @@
 // @ts-nocheck
 const express = require('express');
 const AIModel = require('../models/AIModel');
+const Plan = require('../models/Plan');
 const { AppError } = require('../middleware/errorHandler');
-const { validateModelsPagination } = require('../middleware/validation');
-const OpenRouterService = require('../services/openRouterService');
-const HuggingFaceService = require('../services/huggingFaceService');
+const { validateModelsPagination, validateTokenQuote } = require('../middleware/validation');
+const { getProvider, getConfiguredModel, listConfiguredModels, listProviders } = require('../services/providerRegistry');
+const { PRICING_CONFIG, resolveModelType, estimateTextTokens, getPlanMultiplier, quoteRequest } = require('../services/pricingService');
+const { getDocumentBudget } = require('../services/documentService');
 
 const router = express.Router();
 
-// Initialize AI services
-const openRouterService = new OpenRouterService(process.env.OPENROUTER_API_KEY);
-const huggingFaceService = new HuggingFaceService(process.env.HUGGINGFACE_API_KEY);
+// Built-in provider adapters (see services/providerRegistry.js)
+const openRouterService = getProvider('OpenRouter');
+const huggingFaceService = getProvider('Hugging Face');
 
 // Simple in-memory cache for OpenRouter models
 let modelsCache = {
@@ -53,8 +55,12 @@ const getAllModels = async (req, res, next) => {
       modelsCache.timestamp = now;
       console.log(`💾 Cached ${openRouterModels?.length || 0} models for 15 minutes`);
     }
+
+    // Self-hosted / configured providers are listed alongside OpenRouter
+    const configuredModels = await listConfiguredModels();
+    const catalogue = [...(openRouterModels || []), ...configuredModels];
     
-    if (!openRouterModels || openRouterModels.length === 0) {
+    if (catalogue.length === 0) {
       console.warn('⚠️ No models returned from OpenRouter');
       return res.status(200).json({
         status: 'success',
@@ -73,7 +79,7 @@ const getAllModels = async (req, res, next) => {
       });
     }
 
-    let filteredModels = [...openRouterModels];
+    let filteredModels = [...catalogue];
 
     // Apply filters
     if (provider) {
@@ -247,7 +253,7 @@ const getModelById = async (req, res, next) => {
     const { modelId } = req.params;
     
     // Try to find in database first
-    let model = await AIModel.findOne({ modelId });
+    let model = await AIModel.findOne({ modelId }) || getConfiguredModel(modelId);
     
     if (!model) {
       // If not found in database, try to fetch from providers
@@ -363,7 +369,9 @@ const getProviders = async (req, res, next) => {
             min: provider.minPrice,
             max: provider.maxPrice
           }
-        }))
+        })),
+        // Adapters loaded in the provider registry (configured ones route `<modelPrefix>:<model>` ids)
+        adapters: listProviders()
       }
     });
   } catch (error) {
@@ -509,6 +517,73 @@ const syncModels = async (req, res, next) => {
   }
 };
 
+// @desc    Quote the wallet tokens a chat request will cost on each model
+// @route   POST /api/models/quote
+// @access  Public (plan pricing applied when authenticated)
+const getTokenQuote = async (req, res, next) => {
+  try {
+    const { modelIds, message = '', completionTokens, maxTokens, imageCount = 0, documentTokens = 0 } = req.body;
+    const promptTokens = req.body.promptTokens !== undefined
+      ? parseInt(req.body.promptTokens, 10)
+      : estimateTextTokens(message);
+
+    let planMultiplier = 1;
+    if (req.user && req.user.currentPlan) {
+      const plan = await Plan.findById(req.user.currentPlan._id || req.user.currentPlan);
+      planMultiplier = getPlanMultiplier(plan);
+    }
+
+    const uniqueModelIds = [...new Set(modelIds)];
+    const models = await AIModel.find({ modelId: { $in: uniqueModelIds } });
+    const modelsById = new Map(models.map(model => [model.modelId, model]));
+
+    const quotes = uniqueModelIds.map(modelId => {
+      const model = modelsById.get(modelId) || getConfiguredModel(modelId);
+      const { modelType } = resolveModelType(modelId, model);
+      // Session documents are trimmed to each model's context window before sending
+      const modelDocumentTokens = Math.min(parseInt(documentTokens, 10) || 0, getDocumentBudget(model, parseInt(maxTokens, 10) || undefined));
+      return {
+        modelId,
+        modelType,
+        documentTokens: modelDocumentTokens,
+        ...quoteRequest({
+          model,
+          modelType,
+          promptTokens: promptTokens + modelDocumentTokens,
+          completionTokens: completionTokens !== undefined ? parseInt(completionTokens, 10) : undefined,
+          maxTokens: maxTokens !== undefined ? parseInt(maxTokens, 10) : undefined,
+          planMultiplier,
+          imageCount: parseInt(imageCount, 10) || 0
+        })
+      };
+    });
+
+    const totals = quotes.reduce((total, quote) => ({
+      estimatedTokens: total.estimatedTokens + quote.estimatedTokens,
+      reservedTokens: total.reservedTokens + quote.reservedTokens,
+      cost: {
+        usd: total.cost.usd + quote.cost.usd,
+        inr: total.cost.inr + quote.cost.inr
+      }
+    }), { estimatedTokens: 0, reservedTokens: 0, cost: { usd: 0, inr: 0 } });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        quotes,
+        totals,
+        pricing: {
+          platformMargin: PRICING_CONFIG.platformMargin,
+          planMultiplier,
+          usdPerWalletToken: PRICING_CONFIG.usdPerWalletToken
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Routes
 router.get('/', validateModelsPagination, getAllModels);
 router.get('/count', getModelsCount); // New endpoint for quick model count
@@ -516,6 +591,7 @@ router.get('/providers', getProviders);
 router.get('/categories', getCategories);
 router.get('/category/:category', validateModelsPagination, getModelsByCategory);
 router.post('/sync', syncModels);
+router.post('/quote', validateTokenQuote, getTokenQuote);
 router.get('/:modelId', getModelById);
 
 module.exports = router;
\ No newline at end of file
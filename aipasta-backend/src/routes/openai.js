@@ -0,0 +1,332 @@
+const express = require('express');
+const AIModel = require('../models/AIModel');
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const TokenLedger = require('../models/TokenLedger');
+const { AppError } = require('../middleware/errorHandler');
+const { validateOpenAIChatCompletion } = require('../middleware/validation');
+const { checkApiKeyOrAuth, rateLimitByUser } = require('../middleware/auth');
+const { resolveCandidates, generateWithFailover, streamWithFailover, estimateUsage, getMessageText } = require('../services/completionService');
+const { resolveProvider, getConfiguredModel, listConfiguredModels } = require('../services/providerRegistry');
+const { resolveModelType, estimateTextTokens, getPlanMultiplier, quoteWalletTokens, quoteRequest } = require('../services/pricingService');
+const { initEventStream, sendEvent } = require('../lib/sse');
+const { warnIfLowBalance } = require('../services/mailService');
+
+// OpenAI-compatible gateway: point an OpenAI SDK at <backend>/v1 and authenticate with an
+// aipasta_ API key. Requests go through the same provider layer and token wallet as /api/chat.
+const router = express.Router();
+
+const chatRateLimit = rateLimitByUser(50, 15 * 60 * 1000); // Same budget as /api/chat
+
+// OpenAI error `type` for each HTTP status
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  402: 'insufficient_quota',
+  403: 'permission_error',
+  404: 'not_found_error',
+  409: 'conflict_error',
+  429: 'rate_limit_error'
+};
+
+const createCompletionId = () => `chatcmpl-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 12)}`;
+
+const toOpenAIUsage = (usage) => ({
+  prompt_tokens: usage.promptTokens,
+  completion_tokens: usage.completionTokens,
+  total_tokens: usage.totalTokens || usage.promptTokens + usage.completionTokens
+});
+
+// Map a provider failure to the status returned to the client (provider 4xx pass through, the rest are 502)
+const providerError = (error, provider) => {
+  const status = error.status >= 400 && error.status < 500 && error.status !== 401 ? error.status : 502;
+  const err = new AppError(status === 502 ? `AI provider (${provider}) temporarily unavailable. Please try again in a moment.` : error.message, status);
+  err.code = 'PROVIDER_ERROR';
+  return err;
+};
+
+// image_url parts in the request, billed at the model's per-image price
+const countImageParts = (messages) => messages.reduce((total, msg) => total
+  + (Array.isArray(msg.content) ? msg.content.filter(part => part && part.type === 'image_url').length : 0), 0);
+
+// Fields from the OpenAI request body passed on to the provider
+const getCompletionOptions = (body) => ({
+  temperature: body.temperature,
+  top_p: body.top_p,
+  max_tokens: body.max_completion_tokens || body.max_tokens,
+  frequency_penalty: body.frequency_penalty,
+  presence_penalty: body.presence_penalty,
+  tools: body.tools,
+  tool_choice: body.tool_choice,
+  parallel_tool_calls: body.parallel_tool_calls,
+  stop: body.stop,
+  seed: body.seed,
+  response_format: body.response_format,
+  logit_bias: body.logit_bias
+});
+
+const formatModel = (model) => ({
+  id: model.modelId,
+  object: 'model',
+  created: Math.floor(new Date(model.createdAt || Date.now()).getTime() / 1000),
+  owned_by: model.provider
+});
+
+// @desc    List models in the OpenAI format (database models plus those of configured providers)
+// @route   GET /v1/models
+// @access  Private (API key with `models` permission, or JWT)
+const listModels = async (req, res, next) => {
+  try {
+    const [models, configuredModels] = await Promise.all([
+      AIModel.find({ isAvailable: true }).select('modelId provider createdAt').sort({ modelId: 1 }),
+      listConfiguredModels()
+    ]);
+
+    res.status(200).json({
+      object: 'list',
+      data: [...models, ...configuredModels].map(formatModel)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single model in the OpenAI format (model ids contain slashes, e.g. openai/gpt-4o)
+// @route   GET /v1/models/:modelId
+// @access  Private (API key with `models` permission, or JWT)
+const getModel = async (req, res, next) => {
+  try {
+    const modelId = req.params[0];
+    const model = await AIModel.findOne({ modelId, isAvailable: true }).select('modelId provider createdAt') || getConfiguredModel(modelId);
+    if (!model) {
+      const notFound = new AppError(`The model '${modelId}' does not exist`, 404);
+      notFound.code = 'model_not_found';
+      return next(notFound);
+    }
+
+    res.status(200).json(formatModel(model));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a chat completion (OpenAI Chat Completions format, optionally streamed)
+// @route   POST /v1/chat/completions
+// @access  Private (API key with `chat` permission, or JWT)
+const createChatCompletion = async (req, res, next) => {
+  try {
+    const { model: modelId, stream = false } = req.body;
+    // `developer` is OpenAI's newer name for the system role; providers expect `system`
+    const messages = req.body.messages.map(msg => (msg.role === 'developer' ? { ...msg, role: 'system' } : msg));
+    const options = getCompletionOptions(req.body);
+    const userId = req.user._id;
+
+    // Resolve the model the same way /api/chat does (unknown ids go straight to OpenRouter)
+    const model = await AIModel.findOne({ modelId }) || getConfiguredModel(modelId);
+    if (model && !model.isAvailable) {
+      return next(new AppError('Model is currently unavailable', 503));
+    }
+    if (model && model.pricing.input > 0 && req.user.role === 'user') {
+      const accessErr = new AppError('Premium model access requires subscription', 403);
+      accessErr.code = 'PAYWALL';
+      return next(accessErr);
+    }
+    const provider = resolveProvider(modelId, model);
+    if (provider === 'Hugging Face' && options.tools) {
+      return next(new AppError(`Tool calling is not supported for ${provider} models`, 400));
+    }
+
+    const { modelType } = resolveModelType(modelId, model);
+    const user = await User.findById(userId);
+    if (!user.canUseModel(modelType)) {
+      const payErr = new AppError(`Access denied. This ${modelType} model requires a suitable plan.`, 403);
+      payErr.code = 'PAYWALL';
+      return next(payErr);
+    }
+
+    // Hold the most this request can cost (tool schemas count towards the prompt)
+    const planMultiplier = getPlanMultiplier(await Plan.findForUser(user));
+    const promptTokens = messages.reduce((total, msg) => total + estimateTextTokens(getMessageText(msg)), 0)
+      + (options.tools ? estimateTextTokens(JSON.stringify(options.tools)) : 0);
+    const imageCount = countImageParts(messages);
+    const quoteHold = (candidate) => quoteRequest({
+      model: candidate.model,
+      modelType: candidate.modelType,
+      promptTokens,
+      maxTokens: Number(options.max_tokens) || undefined,
+      planMultiplier,
+      imageCount
+    }).reservedTokens;
+    const tokenHold = quoteHold({ model, modelType });
+
+    // Fallbacks must support the request and fit within the same hold
+    const candidates = (await resolveCandidates({ modelId, model, modelType, provider }, user))
+      .filter((candidate, index) => index === 0
+        || ((!options.tools || candidate.provider !== 'Hugging Face') && quoteHold(candidate) <= tokenHold));
+
+    const completionId = createCompletionId();
+    const clientKey = req.get('Idempotency-Key');
+    const reservation = await TokenLedger.reserve({
+      userId,
+      amount: tokenHold,
+      idempotencyKey: `v1:${userId}:${clientKey || completionId}`,
+      messageId: completionId,
+      description: 'Hold for /v1 chat completion',
+      metadata: { modelId, apiKeyId: req.apiKey?.id }
+    });
+    if (!reservation) {
+      const available = Math.max(0, user.tokens.balance - (user.tokens.reserved || 0));
+      return next(new AppError(`Insufficient tokens. This request may use up to ${tokenHold} tokens, but you only have ${available} tokens available.`, 402));
+    }
+    if (reservation.duplicate) {
+      const dupErr = new AppError('This request has already been submitted', 409);
+      dupErr.code = 'DUPLICATE_REQUEST';
+      return next(dupErr);
+    }
+    const { reservationId } = reservation.entry;
+    const created = Math.floor(Date.now() / 1000);
+
+    // Charged at the price of the model that answered, which may be a fallback
+    const settle = async (usage, answered) => {
+      const charge = quoteWalletTokens({ model: answered.model, modelType: answered.modelType, usage, planMultiplier, imageCount });
+      const settlement = await TokenLedger.settle(reservationId, [{ amount: Math.min(charge.tokens, tokenHold), modelType: answered.modelType }], {
+        description: `/v1 chat completion (${answered.modelId})`,
+        metadata: { modelId: answered.modelId, requestedModelId: modelId, usage }
+      });
+      if (settlement) warnIfLowBalance(settlement.user, settlement.charged);
+      return settlement;
+    };
+
+    try {
+      if (stream === true || stream === 'true') {
+        return await streamChatCompletion(req, res, { completionId, created, candidates, messages, options, settle });
+      }
+
+      let result;
+      try {
+        result = await generateWithFailover(candidates, messages, options);
+      } catch (error) {
+        console.error('❌ /v1 provider error:', error?.message || error);
+        return next(providerError(error, provider));
+      }
+
+      const settlement = await settle(result.usage, result.candidate);
+      if (settlement) {
+        res.setHeader('X-AIPasta-Tokens-Charged', settlement.charged);
+        res.setHeader('X-AIPasta-Token-Balance', settlement.user.tokens.balance);
+      }
+
+      res.status(200).json({
+        id: completionId,
+        object: 'chat.completion',
+        created,
+        // The model that answered, as OpenAI does when an alias resolves to a snapshot
+        model: result.candidate.modelId,
+        choices: [{
+          index: 0,
+          message: result.message,
+          logprobs: null,
+          finish_reason: result.finishReason
+        }],
+        usage: toOpenAIUsage(result.usage)
+      });
+    } finally {
+      // No-op once settled; frees the hold when the provider failed
+      try {
+        await TokenLedger.release(reservationId);
+      } catch (releaseErr) {
+        console.error('Failed to release token reservation:', releaseErr?.message || releaseErr);
+      }
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Relay the completion as OpenAI `chat.completion.chunk` events terminated by `data: [DONE]`.
+// Partial output is still billed if the provider fails or the client disconnects mid-stream; a disconnect
+// before any output bills nothing.
+const streamChatCompletion = async (req, res, context) => {
+  const { completionId, created, candidates, messages, options, settle } = context;
+  const includeUsage = req.body.stream_options?.include_usage === true;
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  initEventStream(res);
+
+  const chunkBase = { id: completionId, object: 'chat.completion.chunk', created };
+  const progress = { content: '', chunkCount: 0, usage: null };
+  let streamError = null;
+
+  try {
+    // Chunks carry the id of the model that is answering
+    await streamWithFailover(candidates, messages, options, controller.signal, progress, () => {}, (chunk) => {
+      if (Array.isArray(chunk.choices) && chunk.choices.length > 0) {
+        sendEvent(res, null, { ...chunkBase, model: progress.candidate.modelId, system_fingerprint: chunk.system_fingerprint || null, choices: chunk.choices });
+      }
+    });
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      streamError = error;
+      console.error('❌ /v1 stream error:', error?.message || error);
+    }
+  }
+
+  const answered = progress.candidate || candidates[0];
+
+  // The client left before any output: nothing to bill (the caller releases the reservation)
+  if (controller.signal.aborted && !progress.content) {
+    console.log(`🛑 /v1 client closed stream for ${answered.modelId} before any output; reservation released`);
+    return;
+  }
+
+  if (streamError && !progress.content) {
+    const err = providerError(streamError, answered.provider);
+    sendEvent(res, null, { error: { message: err.message, type: ERROR_TYPES[err.statusCode] || 'api_error', code: err.code } });
+    res.end();
+    return;
+  }
+
+  const usage = progress.usage || estimateUsage(messages, progress.content);
+  await settle(usage, answered);
+
+  if (streamError) {
+    sendEvent(res, null, { error: { message: streamError.message, type: 'api_error', code: 'PROVIDER_ERROR' } });
+  }
+  if (includeUsage) {
+    sendEvent(res, null, { ...chunkBase, model: answered.modelId, choices: [], usage: toOpenAIUsage(usage) });
+  }
+  sendEvent(res, null, '[DONE]');
+  res.end();
+};
+
+// Errors use the OpenAI shape so SDK clients surface them: { error: { message, type, code } }
+const handleOpenAIErrors = (err, req, res, next) => {
+  const statusCode = err.statusCode || 500;
+  if (statusCode >= 500) {
+    console.error('❌ /v1 error:', err);
+  }
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  res.status(statusCode).json({
+    error: {
+      message: err.isOperational ? err.message : 'Internal server error',
+      type: ERROR_TYPES[statusCode] || 'api_error',
+      param: null,
+      code: err.code || null
+    }
+  });
+};
+
+// Routes
+router.get('/models', checkApiKeyOrAuth('models'), listModels);
+router.get('/models/*', checkApiKeyOrAuth('models'), getModel);
+router.post('/chat/completions', checkApiKeyOrAuth('chat'), chatRateLimit, validateOpenAIChatCompletion, createChatCompletion);
+router.use(handleOpenAIErrors);
+
+module.exports = router;
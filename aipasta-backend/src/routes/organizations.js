@@ -0,0 +1,566 @@
+const express = require('express');
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
+const OrganizationInvite = require('../models/OrganizationInvite');
+const ChatSession = require('../models/ChatSession');
+const ChatFolder = require('../models/ChatFolder');
+const Prompt = require('../models/Prompt');
+const { AppError } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validateMongoId,
+  validateOrganization,
+  validateOrganizationUpdate,
+  validateOrganizationInvite,
+  validateOrganizationMemberUpdate,
+  validateInviteToken
+} = require('../middleware/validation');
+const {
+  ORGANIZATION_CONFIG,
+  canManage,
+  organizationError,
+  hashInviteToken,
+  createInviteToken
+} = require('../services/organizationService');
+const { sendOrganizationInvite } = require('../services/mailService');
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatPlan = plan => (plan && plan.modelType
+  ? { _id: plan._id, name: plan.name, displayName: plan.displayName, modelType: plan.modelType }
+  : null);
+
+// Organization as seen by a member: managers also see billing history
+const formatOrganization = (organization, membership, memberCount) => ({
+  _id: organization._id,
+  name: organization.name,
+  ownerId: organization.ownerId,
+  role: membership.role,
+  memberCount,
+  tokens: {
+    balance: organization.tokens.balance,
+    reserved: organization.tokens.reserved,
+    totalUsed: organization.tokens.totalUsed,
+    totalPurchased: organization.tokens.totalPurchased
+  },
+  currentPlan: formatPlan(organization.currentPlan),
+  defaultMonthlyTokenCap: organization.defaultMonthlyTokenCap,
+  // The member's own cap and usage this month
+  allowance: membership.getAllowance(),
+  planHistory: canManage(membership) ? organization.planHistory.slice(-10) : undefined,
+  createdAt: organization.createdAt
+});
+
+// Member as listed to `viewer`: caps and usage are shown to managers and to the member themselves
+const formatMember = (member, viewer) => {
+  const showUsage = canManage(viewer) || String(member.userId._id) === String(viewer.userId);
+  return {
+    userId: member.userId._id,
+    name: member.userId.name,
+    email: member.userId.email,
+    role: member.role,
+    monthlyTokenCap: showUsage ? member.monthlyTokenCap : undefined,
+    allowance: showUsage ? member.getAllowance() : undefined,
+    joinedAt: member.createdAt
+  };
+};
+
+const formatInvite = invite => ({
+  _id: invite._id,
+  email: invite.email,
+  role: invite.role,
+  invitedBy: invite.invitedBy?.name ? { _id: invite.invitedBy._id, name: invite.invitedBy.name } : invite.invitedBy,
+  expiresAt: invite.expiresAt,
+  createdAt: invite.createdAt
+});
+
+// The user's membership and the organization, or an AppError (404 for non-members, so organizations
+// cannot be discovered by id; 403 when manage is required and the member's role does not allow it)
+const loadMembership = async (organizationId, userId, { manage = false } = {}) => {
+  const [organization, membership] = await Promise.all([
+    Organization.findById(organizationId).populate('currentPlan'),
+    OrganizationMember.findOne({ organizationId, userId })
+  ]);
+  if (!organization || !membership) {
+    return organizationError('Workspace not found', 404, 'WORKSPACE_NOT_FOUND');
+  }
+  if (manage && !canManage(membership)) {
+    return organizationError('Only workspace owners and admins can do this', 403, 'WORKSPACE_ROLE_REQUIRED');
+  }
+  return { organization, membership };
+};
+
+// Sessions a departing member kept outside the shared folders go back to their personal workspace
+const returnPersonalSessions = (organizationId, userId) => ChatSession.updateMany(
+  { organizationId, userId, folderId: null },
+  { $set: { organizationId: null } }
+);
+
+// @desc    List the workspaces the user belongs to
+// @route   GET /api/organizations
+// @access  Private
+const getOrganizations = async (req, res, next) => {
+  try {
+    const memberships = await OrganizationMember.find({ userId: req.user._id });
+    const organizationIds = memberships.map(membership => membership.organizationId);
+    const [organizations, counts] = await Promise.all([
+      Organization.find({ _id: { $in: organizationIds } }).populate('currentPlan').sort({ name: 1 }),
+      OrganizationMember.aggregate([
+        { $match: { organizationId: { $in: organizationIds } } },
+        { $group: { _id: '$organizationId', count: { $sum: 1 } } }
+      ])
+    ]);
+    const membershipById = new Map(memberships.map(membership => [String(membership.organizationId), membership]));
+    const countById = new Map(counts.map(entry => [String(entry._id), entry.count]));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        organizations: organizations.map(organization => formatOrganization(
+          organization,
+          membershipById.get(String(organization._id)),
+          countById.get(String(organization._id)) || 0
+        ))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a workspace; the user becomes its owner
+// @route   POST /api/organizations
+// @access  Private
+const createOrganization = async (req, res, next) => {
+  try {
+    const { name, defaultMonthlyTokenCap = null } = req.body;
+
+    const organization = await Organization.create({ name, ownerId: req.user._id, defaultMonthlyTokenCap });
+    let membership;
+    try {
+      membership = await OrganizationMember.create({ organizationId: organization._id, userId: req.user._id, role: 'owner' });
+    } catch (error) {
+      await Organization.deleteOne({ _id: organization._id });
+      throw error;
+    }
+
+    console.log(`🏢 Workspace "${organization.name}" created by user ${req.user._id}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        organization: formatOrganization(organization, membership, 1)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a workspace with its members
+// @route   GET /api/organizations/:organizationId
+// @access  Private (members)
+const getOrganization = async (req, res, next) => {
+  try {
+    const loaded = await loadMembership(req.params.organizationId, req.user._id);
+    if (loaded instanceof AppError) {
+      return next(loaded);
+    }
+    const { organization, membership } = loaded;
+
+    const members = await OrganizationMember.find({ organizationId: organization._id })
+      .populate('userId', 'name email')
+      .sort({ createdAt: 1 });
+    // Accounts deleted since they joined have nothing to show
+    const listed = members.filter(member => member.userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        organization: formatOrganization(organization, membership, listed.length),
+        members: listed.map(member => formatMember(member, membership))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename a workspace or change the cap new members get
+// @route   PATCH /api/organizations/:organizationId
+// @access  Private (owner, admin)
+const updateOrganization = async (req, res, next) => {
+  try {
+    const loaded = await loadMembership(req.params.organizationId, req.user._id, { manage: true });
+    if (loaded instanceof AppError) {
+      return next(loaded);
+    }
+    const { organization, membership } = loaded;
+
+    const { name, defaultMonthlyTokenCap } = req.body;
+    if (name !== undefined) organization.name = name;
+    if (defaultMonthlyTokenCap !== undefined) organization.defaultMonthlyTokenCap = defaultMonthlyTokenCap;
+    await organization.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        organization: formatOrganization(organization, membership, await OrganizationMember.countDocuments({ organizationId: organization._id }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a workspace. Chats go back to their authors' personal workspaces (out of the shared folders,
+//          which are deleted) and library prompts to their authors' personal libraries; unused tokens are lost.
+// @route   DELETE /api/organizations/:organizationId
+// @access  Private (owner)
+const deleteOrganization = async (req, res, next) => {
+  try {
+    const loaded = await loadMembership(req.params.organizationId, req.user._id);
+    if (loaded instanceof AppError) {
+      return next(loaded);
+    }
+    const { organization, membership } = loaded;
+    if (membership.role !== 'owner') {
+      return next(organizationError('Only the workspace owner can delete it', 403, 'WORKSPACE_ROLE_REQUIRED'));
+    }
+    if (organization.tokens.reserved > 0) {
+      return next(organizationError('Requests are still running in this workspace. Try again in a minute.', 409, 'WORKSPACE_BUSY'));
+    }
+
+    const organizationId = organization._id;
+    await ChatSession.updateMany({ organizationId }, { $set: { organizationId: null, folderId: null } });
+    await ChatFolder.deleteMany({ organizationId });
+    await Prompt.updateMany({ organizationId }, { $set: { organizationId: null } });
+    await OrganizationInvite.updateMany({ organizationId, acceptedAt: null, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    await OrganizationMember.deleteMany({ organizationId });
+    await Organization.deleteOne({ _id: organizationId });
+
+    console.log(`🗑️ Workspace "${organization.name}" deleted by user ${req.user._id}`);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Workspace deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List pending invitations
+// @route   GET /api/organizations/:organizationId/invitations
+// @access  Private (owner, admin)
+const getInvitations = async (req, res, next) => {
+  try {
+    const loaded = await loadMembership(req.params.organizationId, req.user._id, { manage: true });
+    if (loaded instanceof AppError) {
+      return next(loaded);
+    }
+
+    const invites = await OrganizationInvite.find({
+      organizationId: loaded.organization._id,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        invitations: invites.map(formatInvite)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite someone by email (replaces a pending invitation to the same address)
+// @route   POST /api/organizations/:organizationId/invitations
+// @access  Private (owner, admin; only the owner can invite admins)
+const createInvitation = async (req, res, next) => {
+  try {
+    const loaded = await loadMembership(req.params.organizationId, req.user._id, { manage: true });
+    if (loaded instanceof AppError) {
+      return next(loaded);
+    }
+    const { organization, membership } = loaded;
+    const { email, role = 'member' } = req.body;
+
+    // As in updateMember, only the owner can make someone an admin
+    if (role === 'admin' && membership.role !== 'owner') {
+      return next(organizationError('Only the workspace owner can invite admins', 403, 'WORKSPACE_ROLE_REQUIRED'));
+    }
+
+    const members = await OrganizationMember.find({ organizationId: organization._id }).populate('userId', 'email');
+    if (members.some(member => member.userId?.email === email)) {
+      return next(organizationError(`${email} is already a member of this workspace`, 409, 'ALREADY_MEMBER'));
+    }
+
+    await OrganizationInvite.updateMany(
+      { organizationId: organization._id, email, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    const { token, tokenHash } = createInviteToken();
+    const invite = await OrganizationInvite.create({
+      organizationId: organization._id,
+      email,
+      role,
+      tokenHash,
+      invitedBy: req.user._id,
+      expiresAt: new Date(Date.now() + ORGANIZATION_CONFIG.inviteExpiresDays * DAY_MS)
+    });
+
+    sendOrganizationInvite(invite, organization, req.user, token, ORGANIZATION_CONFIG.inviteExpiresDays);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Invitation sent to ${email}`,
+      data: {
+        invitation: formatInvite(invite)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/organizations/:organizationId/invitations/:inviteId
+// @access  Private (owner, admin)
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const loaded = await loadMembership(req.params.organizationId, req.user._id, { manage: true });
+    if (loaded instanceof AppError) {
+      return next(loaded);
+    }
+
+    const invite = await OrganizationInvite.findOneAndUpdate(
+      { _id: req.params.inviteId, organizationId: loaded.organization._id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!invite) {
+      return next(new AppError('Invitation not found', 404));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The invitation behind a link token if it can still be accepted, otherwise an AppError
+const openInvitation = async (token) => {
+  const invite = await OrganizationInvite.findOne({ tokenHash: hashInviteToken(token) });
+  if (!invite) {
+    return organizationError('Invitation not found', 404, 'INVITE_NOT_FOUND');
+  }
+  if (!invite.isPending()) {
+    const reason = invite.acceptedAt ? 'has already been accepted' : (invite.revokedAt ? 'has been revoked' : 'has expired');
+    return organizationError(`This invitation ${reason}`, 410, 'INVITE_UNAVAILABLE');
+  }
+  return invite;
+};
+
+// @desc    Look up an invitation from its link, to show before accepting
+// @route   GET /api/organizations/invitations/:token
+// @access  Public
+const getInvitation = async (req, res, next) => {
+  try {
+    const invite = await openInvitation(req.params.token);
+    if (invite instanceof AppError) {
+      return next(invite);
+    }
+    await invite.populate([{ path: 'organizationId', select: 'name' }, { path: 'invitedBy', select: 'name' }]);
+    if (!invite.organizationId) {
+      return next(organizationError('Invitation not found', 404, 'INVITE_NOT_FOUND'));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        invitation: {
+          workspaceName: invite.organizationId.name,
+          invitedBy: invite.invitedBy?.name,
+          email: invite.email,
+          role: invite.role,
+          expiresAt: invite.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept an invitation; it must have been sent to the signed-in user's email
+// @route   POST /api/organizations/invitations/:token/accept
+// @access  Private
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const invite = await openInvitation(req.params.token);
+    if (invite instanceof AppError) {
+      return next(invite);
+    }
+    if (invite.email !== req.user.email) {
+      return next(organizationError(`This invitation was sent to ${invite.email}. Sign in with that email address to accept it.`, 403, 'INVITE_EMAIL_MISMATCH'));
+    }
+    const organization = await Organization.findById(invite.organizationId).populate('currentPlan');
+    if (!organization) {
+      return next(organizationError('Invitation not found', 404, 'INVITE_NOT_FOUND'));
+    }
+
+    // Claim the invitation first so a link opened twice adds the member once
+    const claimed = await OrganizationInvite.findOneAndUpdate(
+      { _id: invite._id, acceptedAt: null, revokedAt: null },
+      { $set: { acceptedAt: new Date(), acceptedBy: req.user._id } }
+    );
+    if (!claimed) {
+      return next(organizationError('This invitation has already been accepted', 410, 'INVITE_UNAVAILABLE'));
+    }
+
+    let membership = await OrganizationMember.findOne({ organizationId: organization._id, userId: req.user._id });
+    if (!membership) {
+      try {
+        membership = await OrganizationMember.create({
+          organizationId: organization._id,
+          userId: req.user._id,
+          role: invite.role,
+          monthlyTokenCap: organization.defaultMonthlyTokenCap,
+          invitedBy: invite.invitedBy
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        membership = await OrganizationMember.findOne({ organizationId: organization._id, userId: req.user._id });
+      }
+    }
+
+    console.log(`🤝 User ${req.user._id} joined workspace "${organization.name}"`);
+
+    res.status(200).json({
+      status: 'success',
+      message: `You joined ${organization.name}`,
+      data: {
+        organization: formatOrganization(organization, membership, await OrganizationMember.countDocuments({ organizationId: organization._id }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a member's role or monthly cap (null for no cap). Making someone owner hands ownership
+//          over; the previous owner becomes an admin.
+// @route   PATCH /api/organizations/:organizationId/members/:userId
+// @access  Private (owner, admin; only the owner can hand over ownership or change admins)
+const updateMember = async (req, res, next) => {
+  try {
+    const loaded = await loadMembership(req.params.organizationId, req.user._id, { manage: true });
+    if (loaded instanceof AppError) {
+      return next(loaded);
+    }
+    const { organization, membership } = loaded;
+    const { role, monthlyTokenCap } = req.body;
+
+    const member = await OrganizationMember.findOne({ organizationId: organization._id, userId: req.params.userId });
+    if (!member) {
+      return next(new AppError('Member not found', 404));
+    }
+
+    const isOwner = membership.role === 'owner';
+    const changesRole = role !== undefined && role !== member.role;
+    if (changesRole && member.role === 'owner') {
+      return next(organizationError('Hand ownership to another member instead', 400, 'OWNER_ROLE_LOCKED'));
+    }
+    if (changesRole && !isOwner && (role === 'owner' || role === 'admin' || member.role === 'admin')) {
+      return next(organizationError('Only the workspace owner can change admins or hand over ownership', 403, 'WORKSPACE_ROLE_REQUIRED'));
+    }
+    if (!isOwner && member.role === 'owner' && monthlyTokenCap !== undefined) {
+      return next(organizationError('Only the workspace owner can change their own cap', 403, 'WORKSPACE_ROLE_REQUIRED'));
+    }
+
+    if (monthlyTokenCap !== undefined) member.monthlyTokenCap = monthlyTokenCap;
+    if (changesRole) member.role = role;
+    await member.save();
+
+    if (changesRole && role === 'owner') {
+      membership.role = 'admin';
+      await membership.save();
+      organization.ownerId = member.userId;
+      await organization.save();
+      console.log(`🔑 Workspace "${organization.name}" handed over to user ${member.userId}`);
+    }
+
+    await member.populate('userId', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        member: formatMember(member, membership)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member, or leave the workspace (own userId). The owner hands over ownership before leaving.
+// @route   DELETE /api/organizations/:organizationId/members/:userId
+// @access  Private (owner, admin; any member for themselves)
+const removeMember = async (req, res, next) => {
+  try {
+    const loaded = await loadMembership(req.params.organizationId, req.user._id);
+    if (loaded instanceof AppError) {
+      return next(loaded);
+    }
+    const { organization, membership } = loaded;
+    const leaving = String(req.params.userId) === String(req.user._id);
+
+    const member = leaving ? membership : await OrganizationMember.findOne({ organizationId: organization._id, userId: req.params.userId });
+    if (!member) {
+      return next(new AppError('Member not found', 404));
+    }
+    if (member.role === 'owner') {
+      return next(organizationError('The owner cannot leave. Hand ownership to another member first.', 400, 'OWNER_ROLE_LOCKED'));
+    }
+    if (!leaving && (!canManage(membership) || (member.role === 'admin' && membership.role !== 'owner'))) {
+      return next(organizationError('Only the workspace owner can remove admins; admins can remove members', 403, 'WORKSPACE_ROLE_REQUIRED'));
+    }
+
+    await OrganizationMember.deleteOne({ _id: member._id });
+    await returnPersonalSessions(organization._id, member.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: leaving ? `You left ${organization.name}` : 'Member removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Routes
+router.get('/invitations/:token', validateInviteToken, getInvitation);
+router.post('/invitations/:token/accept', authenticateToken, validateInviteToken, acceptInvitation);
+router.get('/', authenticateToken, getOrganizations);
+router.post('/', authenticateToken, validateOrganization, createOrganization);
+router.get('/:organizationId', authenticateToken, validateMongoId('organizationId'), getOrganization);
+router.patch('/:organizationId', authenticateToken, validateOrganizationUpdate, updateOrganization);
+router.delete('/:organizationId', authenticateToken, validateMongoId('organizationId'), deleteOrganization);
+router.get('/:organizationId/invitations', authenticateToken, validateMongoId('organizationId'), getInvitations);
+router.post('/:organizationId/invitations', authenticateToken, validateOrganizationInvite, createInvitation);
+router.delete('/:organizationId/invitations/:inviteId', authenticateToken, validateMongoId('organizationId'), validateMongoId('inviteId'), revokeInvitation);
+router.patch('/:organizationId/members/:userId', authenticateToken, validateOrganizationMemberUpdate, updateMember);
+router.delete('/:organizationId/members/:userId', authenticateToken, validateMongoId('organizationId'), validateMongoId('userId'), removeMember);
+
+module.exports = router;
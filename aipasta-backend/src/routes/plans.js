@@ -1,11 +1,26 @@
 const express = require('express');
 const Plan = require('../models/Plan');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
 const { AppError } = require('../middleware/errorHandler');
 const { authenticateToken } = require('../middleware/auth');
+const { validatePlanPurchase, validateMongoId, validateSubscriptionVerify, validateSubscriptionChange, validateSubscriptionCancel } = require('../middleware/validation');
+const { canManage, organizationError } = require('../services/organizationService');
+const {
+  SUBSCRIPTION_CONFIG,
+  LIVE_STATUSES,
+  subscriptionError,
+  prorate,
+  resolvePlan,
+  applyCharge,
+  endSubscription,
+  formatSubscription
+} = require('../services/subscriptionService');
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
 const WebhookEvent = require('../models/WebhookEvent');
+const { sendPaymentReceipt } = require('../services/mailService');
 const router = express.Router();
 
 // Helper: create razorpay instance
@@ -17,6 +32,51 @@ function getRazorpayInstance() {
   });
 }
 
+// The organization a plan is being bought for, if the user is its owner or an admin; otherwise an AppError
+const findBillableOrganization = async (organizationId, userId) => {
+  const [organization, membership] = await Promise.all([
+    Organization.findById(organizationId),
+    OrganizationMember.findOne({ organizationId, userId })
+  ]);
+  if (!organization || !membership) {
+    return organizationError('Workspace not found', 404, 'WORKSPACE_NOT_FOUND');
+  }
+  if (!canManage(membership)) {
+    return organizationError('Only workspace owners and admins can buy plans for it', 403, 'WORKSPACE_ROLE_REQUIRED');
+  }
+  return organization;
+};
+
+// Credit a paid plan to an organization's shared balance and send the buyer a receipt. Payments already
+// credited are skipped. Resolves to true when this call credited it.
+const creditOrganization = async (organization, plan, paymentInfo, buyer) => {
+  const balance = await organization.addTokens(plan.tokens, plan, paymentInfo, buyer._id);
+  if (balance === null) return false;
+
+  await Plan.findByIdAndUpdate(plan._id, { $inc: { totalPurchases: 1, totalRevenue: plan.priceINR } });
+  console.log(`✅ ${plan.tokens} tokens credited to workspace ${organization._id} (payment ${paymentInfo.paymentId})`);
+  sendPaymentReceipt(buyer, plan, paymentInfo, organization);
+  return true;
+};
+
+// Monthly plans are subscribed to (POST /api/plans/:id/subscribe), and only for personal accounts
+const recurringPlanError = organizationId => subscriptionError(
+  organizationId ? 'Monthly plans cannot be bought for a workspace' : 'This plan is a monthly subscription. Subscribe to it instead.',
+  400,
+  'SUBSCRIPTION_PLAN'
+);
+
+// Balances returned after a purchase for an organization
+const organizationSnapshot = organization => ({
+  _id: organization._id,
+  name: organization.name,
+  tokens: {
+    balance: organization.tokens.balance,
+    totalPurchased: organization.tokens.totalPurchased
+  },
+  currentPlan: organization.currentPlan
+});
+
 // @desc    Get all available plans
 // @route   GET /api/plans
 // @access  Public
@@ -61,20 +121,55 @@ const getPlan = async (req, res, next) => {
   }
 };
 
-// @desc    Purchase a plan (mock for now, will integrate Razorpay later)
+// @desc    Purchase a plan (mock for now, will integrate Razorpay later); organizationId buys it for a workspace
 // @route   POST /api/plans/:id/purchase
 // @access  Private
 const purchasePlan = async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
-    const { paymentMethod = 'mock' } = req.body;
+    const { paymentMethod = 'mock', organizationId } = req.body;
     
     // Get the plan
     const plan = await Plan.findById(id);
     if (!plan || !plan.isActive) {
       return next(new AppError('Plan not found or inactive', 404));
     }
+    if (plan.isRecurring) {
+      return next(recurringPlanError(organizationId));
+    }
+
+    if (organizationId) {
+      const organization = await findBillableOrganization(organizationId, userId);
+      if (organization instanceof AppError) {
+        return next(organization);
+      }
+      if (plan.priceINR === 0) {
+        return next(new AppError('Free plans cannot be bought for a workspace', 400));
+      }
+
+      const paymentInfo = {
+        amount: plan.priceINR,
+        paymentId: `mock_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        status: 'completed'
+      };
+      await creditOrganization(organization, plan, paymentInfo, req.user);
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Plan purchased for the workspace',
+        data: {
+          plan: {
+            id: plan._id,
+            name: plan.displayName,
+            tokens: plan.tokens,
+            price: plan.priceINR
+          },
+          organization: organizationSnapshot(organization),
+          payment: paymentInfo
+        }
+      });
+    }
     
     // Get the user
     const user = await User.findById(userId);
@@ -135,18 +230,32 @@ const purchasePlan = async (req, res, next) => {
   }
 };
 
-// @desc    Create a Razorpay order for a plan (server-side)
+// @desc    Create a Razorpay order for a plan (server-side); organizationId buys it for a workspace
 // @route   POST /api/plans/:id/create-order
 // @access  Private
 const createOrder = async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
+    const { organizationId } = req.body;
 
     const plan = await Plan.findById(id);
     if (!plan || !plan.isActive) {
       return next(new AppError('Plan not found or inactive', 404));
     }
+    if (plan.isRecurring) {
+      return next(recurringPlanError(organizationId));
+    }
+
+    if (organizationId) {
+      const organization = await findBillableOrganization(organizationId, userId);
+      if (organization instanceof AppError) {
+        return next(organization);
+      }
+      if (plan.priceINR === 0) {
+        return next(new AppError('Free plans cannot be bought for a workspace', 400));
+      }
+    }
 
     // Free plans don't require an order
     if (plan.priceINR === 0) {
@@ -172,7 +281,9 @@ const createOrder = async (req, res, next) => {
       receipt,
       notes: {
         planId: String(plan._id),
-        userId: String(userId)
+        userId: String(userId),
+        // Credited to the organization instead of the user when set
+        ...(organizationId && { organizationId: String(organizationId) })
       }
     };
 
@@ -204,15 +315,15 @@ const plansWebhook = async (req, res, next) => {
     }
 
     const signature = req.headers['x-razorpay-signature'];
-    const body = req.body; // express.raw should provide a Buffer here
+    const body = req.body; // express.raw provides a Buffer; the signature covers these exact bytes
 
-    if (!body) {
+    if (!Buffer.isBuffer(body) || body.length === 0) {
       console.error('Webhook: missing raw body');
       return res.status(400).send('Missing body');
     }
 
-    const bodyString = (Buffer.isBuffer(body) ? body.toString('utf8') : typeof body === 'string' ? body : JSON.stringify(body));
-    const expected = crypto.createHmac('sha256', secret).update(bodyString).digest('hex');
+    const bodyString = body.toString('utf8');
+    const expected = crypto.createHmac('sha256', secret).update(body).digest('hex');
 
     if (!signature || expected !== signature) {
       console.warn('Webhook: invalid signature', { got: signature, expected });
@@ -264,6 +375,11 @@ const plansWebhook = async (req, res, next) => {
         return res.status(200).send('Already processed');
       }
 
+      // Subscription charges are granted on subscription.charged (see routes/webhooks.js)
+      if (payment.invoice_id) {
+        return res.status(200).json({ status: 'ignored' });
+      }
+
       const orderId = payment.order_id;
       if (!orderId) {
         // Can't proceed if we don't know order id
@@ -304,6 +420,27 @@ const plansWebhook = async (req, res, next) => {
         return res.status(404).send('Plan or user not found');
       }
 
+      // Plans bought for an organization credit its shared balance (addTokens skips payments already credited)
+      const organizationId = order?.notes?.organizationId;
+      if (organizationId) {
+        const organization = await Organization.findById(organizationId);
+        if (!organization) {
+          console.warn('Webhook: organization not found', { organizationId });
+          await WebhookEvent.findOneAndUpdate({ eventId }, { $inc: { attempts: 1 }, $set: { paymentId: payment.id } });
+          return res.status(404).send('Organization not found');
+        }
+        const paymentInfo = { amount: payment.amount / 100, paymentId: payment.id, status: payment.status };
+        try {
+          await creditOrganization(organization, plan, paymentInfo, user);
+        } catch (e) {
+          console.error('Webhook: failed to add tokens to organization', e, { organizationId, planId, payment });
+          await WebhookEvent.findOneAndUpdate({ eventId }, { $inc: { attempts: 1 }, $set: { paymentId: payment.id } });
+          return res.status(500).send('Failed to credit organization');
+        }
+        await WebhookEvent.findOneAndUpdate({ $or: [{ eventId }, { paymentId: payment.id }] }, { $set: { paymentId: payment.id, signatureVerified: true, processed: true, processedAt: new Date() } }, { upsert: true });
+        return res.status(200).json({ status: 'ok' });
+      }
+
       // If user's planHistory includes this paymentId, mark event processed and return
       const already = user.planHistory && user.planHistory.some(p => p.paymentId === payment.id);
       if (already) {
@@ -331,6 +468,8 @@ const plansWebhook = async (req, res, next) => {
       // Mark webhook event processed
       await WebhookEvent.findOneAndUpdate({ $or: [{ eventId }, { paymentId: payment.id }] }, { $set: { paymentId: payment.id, signatureVerified: true, processed: true, processedAt: new Date() } }, { upsert: true });
 
+      sendPaymentReceipt(user, plan, paymentInfo);
+
       return res.status(200).json({ status: 'ok' });
     }
 
@@ -483,27 +622,35 @@ const verifyPayment = async (req, res, next) => {
     }
 
     const paymentInfo = { amount: payment.amount / 100, paymentId: payment.id, status: payment.status };
-    
-    try {
-      await user.addTokens(plan.tokens, plan._id, paymentInfo);
-      console.log('✅ Tokens added to user successfully');
-    } catch (tokenError) {
-      console.error('❌ Failed to add tokens to user:', tokenError.message);
-      throw tokenError; // This is critical, re-throw
-    }
 
-    try {
-      await Plan.findByIdAndUpdate(plan._id, { $inc: { totalPurchases: 1, totalRevenue: plan.priceINR } });
-      console.log('✅ Plan statistics updated successfully');
-    } catch (planError) {
-      console.log('⚠️ Failed to update plan statistics:', planError.message);
-      // This is not critical for user experience, continue
-    }
+    // Orders for an organization credit its shared balance instead of the user
+    let organization = null;
+    if (order.notes.organizationId) {
+      organization = await Organization.findById(order.notes.organizationId);
+      if (!organization) return next(new AppError('Workspace not found', 404));
+      await creditOrganization(organization, plan, paymentInfo, user);
+    } else {
+      try {
+        await user.addTokens(plan.tokens, plan._id, paymentInfo);
+        console.log('✅ Tokens added to user successfully');
+      } catch (tokenError) {
+        console.error('❌ Failed to add tokens to user:', tokenError.message);
+        throw tokenError; // This is critical, re-throw
+      }
 
-    // Update user's current plan if applicable
-    if (!user.currentPlan || plan.modelType === 'premium' || (plan.modelType === 'paid' && user.currentPlan.modelType === 'free')) {
-      user.currentPlan = plan._id;
-      await user.save();
+      try {
+        await Plan.findByIdAndUpdate(plan._id, { $inc: { totalPurchases: 1, totalRevenue: plan.priceINR } });
+        console.log('✅ Plan statistics updated successfully');
+      } catch (planError) {
+        console.log('⚠️ Failed to update plan statistics:', planError.message);
+        // This is not critical for user experience, continue
+      }
+
+      // Update user's current plan if applicable
+      if (!user.currentPlan || plan.modelType === 'premium' || (plan.modelType === 'paid' && user.currentPlan.modelType === 'free')) {
+        user.currentPlan = plan._id;
+        await user.save();
+      }
     }
 
     // Mark event processed
@@ -527,6 +674,10 @@ const verifyPayment = async (req, res, next) => {
       // This is not critical for payment processing, continue
     }
 
+    if (!organization) {
+      sendPaymentReceipt(user, plan, paymentInfo);
+    }
+
     const snapshot = {
       tokens: {
         balance: user.tokens.balance,
@@ -538,7 +689,11 @@ const verifyPayment = async (req, res, next) => {
     };
 
     console.log('✅ Payment verification completed successfully');
-    res.status(200).json({ status: 'success', message: 'Payment verified and tokens credited', data: { user: snapshot } });
+    res.status(200).json({
+      status: 'success',
+      message: 'Payment verified and tokens credited',
+      data: { user: snapshot, organization: organization ? organizationSnapshot(organization) : undefined }
+    });
 
   } catch (error) {
     console.error('❌ Payment verification error:', {
@@ -588,6 +743,362 @@ const getMyAccount = async (req, res, next) => {
   }
 };
 
+// Razorpay API failures reject with { statusCode, error: { description } }; surface them as AppErrors
+const razorpayRequest = async (request) => {
+  try {
+    return await request;
+  } catch (error) {
+    console.error('Razorpay subscription request failed:', error?.error || error);
+    throw subscriptionError(error?.error?.description || 'Razorpay request failed', 502, 'RAZORPAY_ERROR');
+  }
+};
+
+// The signed-in user, if they have a subscription Razorpay still bills; otherwise a 404 AppError
+const findSubscriber = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw new AppError('User not found', 404);
+  if (!user.subscription?.razorpaySubscriptionId || !LIVE_STATUSES.includes(user.subscription.status)) {
+    throw subscriptionError('You have no active subscription', 404, 'NO_SUBSCRIPTION');
+  }
+  return user;
+};
+
+// Subscription as returned to the client, with its plans filled in
+const subscriptionSnapshot = async (user) => {
+  await user.populate([
+    { path: 'subscription.planId', select: 'name displayName priceINR tokens tokenRenewal maxRolloverTokens' },
+    { path: 'subscription.scheduledPlanId', select: 'name displayName priceINR tokens' }
+  ]);
+  return formatSubscription(user);
+};
+
+// What moving the user's subscription to `toPlan` costs and when it takes effect
+const quoteChange = async (user, toPlan) => {
+  const fromPlan = await Plan.findById(user.subscription.planId);
+  if (!fromPlan) throw subscriptionError('Subscribed plan no longer exists', 409, 'PLAN_MISSING');
+  const quote = prorate({
+    fromPlan,
+    toPlan,
+    periodStart: user.subscription.currentPeriodStart,
+    periodEnd: user.subscription.expiresAt
+  });
+  return {
+    ...quote,
+    fromPlan: { id: fromPlan._id, displayName: fromPlan.displayName, priceINR: fromPlan.priceINR, tokens: fromPlan.tokens },
+    toPlan: { id: toPlan._id, displayName: toPlan.displayName, priceINR: toPlan.priceINR, tokens: toPlan.tokens },
+    effective: quote.upgrade ? 'now' : 'renewal',
+    effectiveAt: quote.upgrade ? new Date() : user.subscription.expiresAt
+  };
+};
+
+// Active recurring plan to change a subscription to; otherwise an AppError
+const findRecurringPlan = async (planId) => {
+  const plan = await Plan.findById(planId);
+  if (!plan || !plan.isActive) throw new AppError('Plan not found or inactive', 404);
+  if (!plan.isRecurring) throw subscriptionError('This plan is a one-time purchase', 400, 'NOT_RECURRING');
+  return plan;
+};
+
+// @desc    Start a monthly subscription to a recurring plan; the client opens Razorpay Checkout with subscriptionId
+// @route   POST /api/plans/:id/subscribe
+// @access  Private
+const subscribeToPlan = async (req, res, next) => {
+  try {
+    const plan = await findRecurringPlan(req.params.id);
+
+    const user = await User.findById(req.user._id);
+    if (!user) return next(new AppError('User not found', 404));
+    const current = user.subscription || {};
+    // A checkout that was opened but never paid ('created') is replaced
+    if (current.razorpaySubscriptionId && LIVE_STATUSES.includes(current.status) && current.status !== 'created') {
+      return next(subscriptionError('You already have a subscription. Change its plan instead.', 409, 'ALREADY_SUBSCRIBED'));
+    }
+
+    const razorpay = getRazorpayInstance();
+    if (!razorpay) {
+      return next(new AppError('Razorpay keys are not configured on the server', 500));
+    }
+
+    // Close the unpaid checkout being replaced, so it can no longer be paid for: its events would be
+    // ignored as superseded, billing the user without granting tokens
+    if (current.razorpaySubscriptionId && current.status === 'created') {
+      const previous = await razorpayRequest(razorpay.subscriptions.fetch(current.razorpaySubscriptionId));
+      if (previous.status === 'created') {
+        await razorpayRequest(razorpay.subscriptions.cancel(previous.id, false));
+      } else if (!['cancelled', 'expired', 'completed'].includes(previous.status)) {
+        // Paid meanwhile; its webhook has not arrived yet
+        return next(subscriptionError('Your previous checkout went through. Refresh in a moment to see your subscription.', 409, 'ALREADY_SUBSCRIBED'));
+      }
+    }
+
+    const subscription = await razorpayRequest(razorpay.subscriptions.create({
+      plan_id: plan.razorpayPlanId,
+      total_count: SUBSCRIPTION_CONFIG.totalCount,
+      customer_notify: 1,
+      notes: {
+        planId: String(plan._id),
+        userId: String(user._id)
+      }
+    }));
+
+    Object.assign(user.subscription, {
+      razorpaySubscriptionId: subscription.id,
+      planId: plan._id,
+      status: 'created',
+      cancelAtPeriodEnd: false,
+      scheduledPlanId: null,
+      periodGrant: 0
+    });
+    await user.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        subscriptionId: subscription.id,
+        shortUrl: subscription.short_url,
+        razorpayKey: process.env.RAZORPAY_KEY_ID
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify Razorpay Checkout for a subscription's first payment and grant the first month's tokens
+// @route   POST /api/plans/subscription/verify
+// @access  Private
+const verifySubscription = async (req, res, next) => {
+  try {
+    const { razorpay_payment_id, razorpay_subscription_id, razorpay_signature } = req.body;
+
+    const secret = process.env.RAZORPAY_KEY_SECRET;
+    const razorpay = getRazorpayInstance();
+    if (!secret || !razorpay) return next(new AppError('Razorpay not configured', 500));
+
+    // Subscription checkouts sign payment_id|subscription_id (orders sign order_id|payment_id)
+    const expectedSignature = crypto
+      .createHmac('sha256', secret)
+      .update(`${razorpay_payment_id}|${razorpay_subscription_id}`)
+      .digest('hex');
+    if (expectedSignature !== razorpay_signature) {
+      return next(new AppError('Invalid payment signature', 400));
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user) return next(new AppError('User not found', 404));
+    if (user.subscription?.razorpaySubscriptionId !== razorpay_subscription_id) {
+      return next(subscriptionError('Subscription not found', 404, 'NO_SUBSCRIPTION'));
+    }
+
+    const [entity, payment] = await Promise.all([
+      razorpayRequest(razorpay.subscriptions.fetch(razorpay_subscription_id)),
+      razorpayRequest(razorpay.payments.fetch(razorpay_payment_id))
+    ]);
+    if (payment.status !== 'captured' && payment.status !== 'authorized') {
+      return next(new AppError('Payment not captured', 400));
+    }
+    if (String(entity.notes?.userId) !== String(user._id)) {
+      return next(new AppError('Subscription does not belong to this user', 400));
+    }
+
+    const plan = await resolvePlan(entity);
+    if (!plan) return next(new AppError('Plan not found', 404));
+
+    // subscription.charged may have credited it already; applyCharge grants the tokens once either way
+    const result = await applyCharge(user, plan, entity, payment);
+    const updated = await User.findById(user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: result.status === 'already_processed' ? 'Subscription already active' : 'Subscription started',
+      data: {
+        tokensAdded: result.tokensAdded || 0,
+        tokens: {
+          balance: updated.tokens.balance,
+          freeTokens: updated.tokens.freeTokens,
+          paidTokens: updated.tokens.paidTokens
+        },
+        subscription: await subscriptionSnapshot(updated)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the user's subscription (null when they never subscribed)
+// @route   GET /api/plans/subscription
+// @access  Private
+const getSubscription = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return next(new AppError('User not found', 404));
+
+    res.status(200).json({
+      status: 'success',
+      data: { subscription: await subscriptionSnapshot(user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Quote moving the subscription to another plan: prorated charge and tokens, and when it applies
+// @route   GET /api/plans/subscription/quote/:planId
+// @access  Private
+const getSubscriptionQuote = async (req, res, next) => {
+  try {
+    const user = await findSubscriber(req.user._id);
+    const plan = await findRecurringPlan(req.params.planId);
+
+    res.status(200).json({
+      status: 'success',
+      data: { quote: await quoteChange(user, plan) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change the subscription's plan: upgrades apply now (prorated), downgrades at the next renewal
+// @route   POST /api/plans/subscription/change
+// @access  Private
+const changeSubscriptionPlan = async (req, res, next) => {
+  try {
+    const user = await findSubscriber(req.user._id);
+    if (user.subscription.status !== 'active') {
+      return next(subscriptionError('Only an active subscription can change plan', 409, 'SUBSCRIPTION_NOT_ACTIVE'));
+    }
+    const plan = await findRecurringPlan(req.body.planId);
+
+    const razorpay = getRazorpayInstance();
+    if (!razorpay) return next(new AppError('Razorpay not configured', 500));
+    const subscriptionId = user.subscription.razorpaySubscriptionId;
+
+    // Choosing the current plan again drops a downgrade scheduled for the renewal
+    if (String(plan._id) === String(user.subscription.planId)) {
+      if (!user.subscription.scheduledPlanId) {
+        return next(subscriptionError('You are already subscribed to this plan', 400, 'SAME_PLAN'));
+      }
+      await razorpayRequest(razorpay.subscriptions.cancelScheduledChanges(subscriptionId));
+      user.subscription.scheduledPlanId = null;
+      await user.save();
+      return res.status(200).json({
+        status: 'success',
+        message: 'Scheduled plan change cancelled',
+        data: { subscription: await subscriptionSnapshot(user) }
+      });
+    }
+
+    const quote = await quoteChange(user, plan);
+    await razorpayRequest(razorpay.subscriptions.update(subscriptionId, {
+      plan_id: plan.razorpayPlanId,
+      schedule_change_at: quote.upgrade ? 'now' : 'cycle_end',
+      customer_notify: 1
+    }));
+
+    // Upgrades switch plan and grant the prorated tokens when Razorpay confirms them (subscription.updated)
+    user.subscription.scheduledPlanId = quote.upgrade ? null : plan._id;
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: quote.upgrade ? `Upgrading to ${plan.displayName}` : `${plan.displayName} starts at your next renewal`,
+      data: {
+        quote,
+        subscription: await subscriptionSnapshot(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel the subscription, by default at the end of the paid period
+// @route   POST /api/plans/subscription/cancel
+// @access  Private
+const cancelSubscription = async (req, res, next) => {
+  try {
+    const user = await findSubscriber(req.user._id);
+    const atPeriodEnd = req.body.atPeriodEnd !== false && user.subscription.status === 'active';
+
+    const razorpay = getRazorpayInstance();
+    if (!razorpay) return next(new AppError('Razorpay not configured', 500));
+    await razorpayRequest(razorpay.subscriptions.cancel(user.subscription.razorpaySubscriptionId, atPeriodEnd));
+
+    if (atPeriodEnd) {
+      // Razorpay sends subscription.cancelled when the period ends
+      user.subscription.cancelAtPeriodEnd = true;
+    } else {
+      endSubscription(user, 'cancelled');
+    }
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: atPeriodEnd ? 'Subscription will end with the current period' : 'Subscription cancelled',
+      data: { subscription: await subscriptionSnapshot(user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pause the subscription's billing; tokens already granted stay usable
+// @route   POST /api/plans/subscription/pause
+// @access  Private
+const pauseSubscription = async (req, res, next) => {
+  try {
+    const user = await findSubscriber(req.user._id);
+    if (user.subscription.status !== 'active') {
+      return next(subscriptionError('Only an active subscription can be paused', 409, 'SUBSCRIPTION_NOT_ACTIVE'));
+    }
+
+    const razorpay = getRazorpayInstance();
+    if (!razorpay) return next(new AppError('Razorpay not configured', 500));
+    await razorpayRequest(razorpay.subscriptions.pause(user.subscription.razorpaySubscriptionId, { pause_at: 'now' }));
+
+    user.subscription.status = 'paused';
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription paused',
+      data: { subscription: await subscriptionSnapshot(user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resume a paused subscription
+// @route   POST /api/plans/subscription/resume
+// @access  Private
+const resumeSubscription = async (req, res, next) => {
+  try {
+    const user = await findSubscriber(req.user._id);
+    if (user.subscription.status !== 'paused') {
+      return next(subscriptionError('Subscription is not paused', 409, 'SUBSCRIPTION_NOT_PAUSED'));
+    }
+
+    const razorpay = getRazorpayInstance();
+    if (!razorpay) return next(new AppError('Razorpay not configured', 500));
+    await razorpayRequest(razorpay.subscriptions.resume(user.subscription.razorpaySubscriptionId, { resume_at: 'now' }));
+
+    user.subscription.status = 'active';
+    user.currentPlan = user.subscription.planId;
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Subscription resumed',
+      data: { subscription: await subscriptionSnapshot(user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Admin routes
 // @desc    Create new plan (admin only)
 // @route   POST /api/plans
@@ -646,10 +1157,18 @@ const updatePlan = async (req, res, next) => {
 // Routes
 router.get('/', getPlans);
 router.get('/my-account', authenticateToken, getMyAccount);
+router.get('/subscription', authenticateToken, getSubscription);
+router.get('/subscription/quote/:planId', authenticateToken, validateMongoId('planId'), getSubscriptionQuote);
+router.post('/subscription/verify', authenticateToken, validateSubscriptionVerify, verifySubscription);
+router.post('/subscription/change', authenticateToken, validateSubscriptionChange, changeSubscriptionPlan);
+router.post('/subscription/cancel', authenticateToken, validateSubscriptionCancel, cancelSubscription);
+router.post('/subscription/pause', authenticateToken, pauseSubscription);
+router.post('/subscription/resume', authenticateToken, resumeSubscription);
 router.get('/:id', getPlan);
-router.post('/:id/purchase', authenticateToken, purchasePlan);
-router.post('/:id/create-order', authenticateToken, createOrder);
+router.post('/:id/purchase', authenticateToken, validatePlanPurchase, purchasePlan);
+router.post('/:id/create-order', authenticateToken, validatePlanPurchase, createOrder);
 router.post('/:id/verify-payment', authenticateToken, verifyPayment);
+router.post('/:id/subscribe', authenticateToken, validateMongoId('id'), subscribeToPlan);
 // Razorpay will POST here. Use raw body parsing for signature verification in server.js mounting, but express allows per-route raw parser as well
 router.post('/webhook', express.raw({ type: 'application/json' }), plansWebhook);
 // Development helper: seed a single plan if none exist. Only available in non-production.
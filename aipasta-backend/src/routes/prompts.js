@@ -0,0 +1,254 @@
+const express = require('express');
+const Prompt = require('../models/Prompt');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  validateMongoId,
+  validatePrompt,
+  validatePromptUpdate,
+  validatePromptShare,
+  validatePromptRender
+} = require('../middleware/validation');
+const { extractVariables, renderPrompt, findAccessiblePrompt } = require('../services/promptService');
+const { canManage, getWorkspaceId } = require('../services/organizationService');
+
+const router = express.Router();
+
+// Prompt as returned to `userId`: owners also see who it is shared with. workspace marks prompts in a
+// team workspace's library.
+const formatPrompt = (prompt, userId) => {
+  const isOwner = String(prompt.userId?._id || prompt.userId) === String(userId);
+  return {
+    _id: prompt._id,
+    name: prompt.name,
+    description: prompt.description,
+    content: prompt.content,
+    variables: extractVariables(prompt.content),
+    defaults: Object.fromEntries(prompt.defaults || []),
+    options: prompt.options,
+    isOwner,
+    workspace: Boolean(prompt.organizationId),
+    owner: prompt.userId?.name ? { _id: prompt.userId._id, name: prompt.userId.name } : undefined,
+    sharedWith: isOwner ? prompt.sharedWith : undefined,
+    usageCount: prompt.usageCount,
+    createdAt: prompt.createdAt,
+    updatedAt: prompt.updatedAt
+  };
+};
+
+// 409 for a duplicate name (unique per user)
+const toDuplicateNameError = (error) => {
+  if (error.code !== 11000) return error;
+  const nameErr = new AppError('You already have a prompt with this name', 409);
+  nameErr.code = 'DUPLICATE_NAME';
+  return nameErr;
+};
+
+// The user's own prompt, for changes only the owner may make
+const findOwnPrompt = (userId, promptId) => Prompt.findOne({ _id: promptId, userId });
+
+// A prompt the user may edit or delete: their own, or any prompt in the library of the workspace they
+// manage (owners and admins)
+const findEditablePrompt = (req, promptId) => {
+  const organizationId = getWorkspaceId(req);
+  const managed = organizationId && canManage(req.workspace.membership) ? [{ organizationId }] : [];
+  return Prompt.findOne({ _id: promptId, $or: [{ userId: req.user._id }, ...managed] });
+};
+
+// @desc    List the user's prompts and prompts shared with them, plus the library of the team workspace the
+//          request is made in
+// @route   GET /api/user/prompts
+// @access  Private
+const getPrompts = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const organizationId = getWorkspaceId(req);
+    const prompts = await Prompt.find({
+      $or: [{ userId, organizationId: null }, { sharedWith: userId }, ...(organizationId ? [{ organizationId }] : [])]
+    })
+      .populate('userId', 'name')
+      .populate('sharedWith', 'name email')
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        prompts: prompts.map(prompt => formatPrompt(prompt, userId))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Save a prompt to the library (shareWithWorkspace: to the team workspace's library)
+// @route   POST /api/user/prompts
+// @access  Private
+const createPrompt = async (req, res, next) => {
+  try {
+    const { name, description, content, defaults, options, shareWithWorkspace } = req.body;
+    if (shareWithWorkspace && !req.workspace) {
+      return next(new AppError('Switch to a team workspace to add prompts to its library', 400));
+    }
+
+    const prompt = await Prompt.create({
+      userId: req.user._id,
+      organizationId: shareWithWorkspace ? getWorkspaceId(req) : null,
+      name,
+      description,
+      content,
+      defaults,
+      options
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        prompt: formatPrompt(prompt, req.user._id)
+      }
+    });
+  } catch (error) {
+    next(toDuplicateNameError(error));
+  }
+};
+
+// @desc    Get a prompt
+// @route   GET /api/user/prompts/:promptId
+// @access  Private
+const getPrompt = async (req, res, next) => {
+  try {
+    const prompt = await findAccessiblePrompt(req.user._id, req.params.promptId, getWorkspaceId(req));
+    if (!prompt) {
+      return next(new AppError('Prompt not found', 404));
+    }
+    await prompt.populate([{ path: 'userId', select: 'name' }, { path: 'sharedWith', select: 'name email' }]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        prompt: formatPrompt(prompt, req.user._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a prompt (sessions already using it keep the text they were given)
+// @route   PATCH /api/user/prompts/:promptId
+// @access  Private
+const updatePrompt = async (req, res, next) => {
+  try {
+    const prompt = await findEditablePrompt(req, req.params.promptId);
+    if (!prompt) {
+      return next(new AppError('Prompt not found', 404));
+    }
+
+    const { name, description, content, defaults, options } = req.body;
+    if (name !== undefined) prompt.name = name;
+    if (description !== undefined) prompt.description = description;
+    if (content !== undefined) prompt.content = content;
+    if (defaults !== undefined) prompt.defaults = defaults;
+    if (options !== undefined) prompt.options = options;
+    await prompt.save();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        prompt: formatPrompt(prompt, req.user._id)
+      }
+    });
+  } catch (error) {
+    next(toDuplicateNameError(error));
+  }
+};
+
+// @desc    Delete a prompt
+// @route   DELETE /api/user/prompts/:promptId
+// @access  Private
+const deletePrompt = async (req, res, next) => {
+  try {
+    const prompt = await findEditablePrompt(req, req.params.promptId);
+    if (!prompt) {
+      return next(new AppError('Prompt not found', 404));
+    }
+    await prompt.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Prompt deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Share a prompt with other users by email (replaces the current list; [] stops sharing)
+// @route   PUT /api/user/prompts/:promptId/share
+// @access  Private
+const sharePrompt = async (req, res, next) => {
+  try {
+    const prompt = await findOwnPrompt(req.user._id, req.params.promptId);
+    if (!prompt) {
+      return next(new AppError('Prompt not found', 404));
+    }
+
+    const emails = [...new Set(req.body.emails)];
+    const users = await User.find({ email: { $in: emails } }).select('name email');
+    const found = new Set(users.map(user => user.email));
+    const unknown = emails.filter(email => !found.has(email));
+    if (unknown.length > 0) {
+      const shareErr = new AppError(`No account found for ${unknown.join(', ')}`, 404);
+      shareErr.code = 'USER_NOT_FOUND';
+      return next(shareErr);
+    }
+
+    prompt.sharedWith = users.filter(user => !user._id.equals(req.user._id)).map(user => user._id);
+    await prompt.save();
+    await prompt.populate('sharedWith', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        prompt: formatPrompt(prompt, req.user._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Preview a prompt with its variables filled in
+// @route   POST /api/user/prompts/:promptId/render
+// @access  Private
+const renderPromptPreview = async (req, res, next) => {
+  try {
+    const prompt = await findAccessiblePrompt(req.user._id, req.params.promptId, getWorkspaceId(req));
+    if (!prompt) {
+      return next(new AppError('Prompt not found', 404));
+    }
+
+    const { content, missing } = renderPrompt(prompt.content, req.body.variables, Object.fromEntries(prompt.defaults || []));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        content,
+        missing
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Routes
+router.get('/', getPrompts);
+router.post('/', validatePrompt, createPrompt);
+router.get('/:promptId', validateMongoId('promptId'), getPrompt);
+router.patch('/:promptId', validatePromptUpdate, updatePrompt);
+router.delete('/:promptId', validateMongoId('promptId'), deletePrompt);
+router.put('/:promptId/share', validatePromptShare, sharePrompt);
+router.post('/:promptId/render', validatePromptRender, renderPromptPreview);
+
+module.exports = router;
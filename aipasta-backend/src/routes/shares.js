@@ -0,0 +1,222 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const rateLimit = require('express-rate-limit');
+const SharedLink = require('../models/SharedLink');
+const ChatSession = require('../models/ChatSession');
+const ChatMessage = require('../models/ChatMessage');
+const { AppError } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { validateMongoId, validateShareLink } = require('../middleware/validation');
+const { SHARE_CONFIG, createSlug, buildShareTurns, formatOwnedLink, formatPublicLink, toForkConversation } = require('../services/shareService');
+const { createConversation } = require('../services/importService');
+
+const router = express.Router();
+
+// Public link lookups per IP and link, so passwords cannot be guessed quickly
+const publicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: req => `${req.ip}:${req.params.slug}`,
+  message: {
+    error: 'Too many attempts for this link, please try again later.',
+    retryAfter: '15 minutes'
+  }
+});
+
+// The link behind slug if it can be viewed with password (X-Share-Password), otherwise an AppError
+const openSharedLink = async (slug, password) => {
+  const link = await SharedLink.findOne({ slug }).select('+passwordHash');
+  if (!link) {
+    const notFoundErr = new AppError('Shared conversation not found', 404);
+    notFoundErr.code = 'SHARE_NOT_FOUND';
+    return notFoundErr;
+  }
+  if (!link.isAvailable()) {
+    const goneErr = new AppError(link.revokedAt ? 'This link has been revoked' : 'This link has expired', 410);
+    goneErr.code = link.revokedAt ? 'SHARE_REVOKED' : 'SHARE_EXPIRED';
+    return goneErr;
+  }
+  if (link.passwordHash) {
+    if (!password) {
+      const passwordErr = new AppError('This shared conversation is password protected', 401);
+      passwordErr.code = 'SHARE_PASSWORD_REQUIRED';
+      return passwordErr;
+    }
+    if (!(await bcrypt.compare(password, link.passwordHash))) {
+      const passwordErr = new AppError('Incorrect password', 401);
+      passwordErr.code = 'SHARE_PASSWORD_INVALID';
+      return passwordErr;
+    }
+  }
+  return link;
+};
+
+// @desc    Share a chat session, or one turn of it (messageId of its question or an answer), as a read-only link
+// @route   POST /api/shares
+// @access  Private
+const createShareLink = async (req, res, next) => {
+  try {
+    const { sessionId, messageId, title, password, expiresInDays } = req.body;
+    const userId = req.user._id;
+
+    if (expiresInDays > SHARE_CONFIG.maxExpiryDays) {
+      return next(new AppError(`Links can expire after at most ${SHARE_CONFIG.maxExpiryDays} days`, 400));
+    }
+
+    const session = await ChatSession.findOne({ _id: sessionId, userId });
+    if (!session) {
+      return next(new AppError('Chat session not found', 404));
+    }
+
+    let questionId = null;
+    if (messageId) {
+      const message = await ChatMessage.findOne({ _id: messageId, sessionId: session.sessionId, userId });
+      if (!message) {
+        return next(new AppError('Message not found', 404));
+      }
+      questionId = message.role === 'user' ? message._id : message.parentMessageId;
+    }
+
+    const turns = await buildShareTurns(session, questionId);
+    if (!turns || turns.length === 0) {
+      const emptyErr = new AppError('There is nothing to share yet', 400);
+      emptyErr.code = 'EMPTY_SHARE';
+      return next(emptyErr);
+    }
+
+    const link = await SharedLink.create({
+      slug: createSlug(),
+      userId,
+      sessionId: session._id,
+      messageId: questionId,
+      title: title || session.title || 'Shared chat',
+      passwordHash: password ? await bcrypt.hash(password, 10) : undefined,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      turns
+    });
+
+    console.log(`🔗 Shared ${questionId ? 'a turn of' : 'chat'} session ${session._id} as ${link.slug}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        link: formatOwnedLink(link)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List the user's share links (optionally ?sessionId=)
+// @route   GET /api/shares
+// @access  Private
+const getShareLinks = async (req, res, next) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.sessionId) {
+      filter.sessionId = req.query.sessionId;
+    }
+
+    const links = await SharedLink.find(filter).select('+passwordHash').sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        links: links.map(formatOwnedLink)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a share link (it stops working straight away)
+// @route   DELETE /api/shares/:shareId
+// @access  Private
+const revokeShareLink = async (req, res, next) => {
+  try {
+    const link = await SharedLink.findOne({ _id: req.params.shareId, userId: req.user._id }).select('+passwordHash');
+    if (!link) {
+      return next(new AppError('Share link not found', 404));
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        link: formatOwnedLink(link)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    View a shared conversation (send X-Share-Password for protected links)
+// @route   GET /api/shares/public/:slug
+// @access  Public
+const getSharedConversation = async (req, res, next) => {
+  try {
+    const link = await openSharedLink(req.params.slug, req.get('x-share-password'));
+    if (link instanceof AppError) return next(link);
+
+    await SharedLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, lastViewedAt: new Date() });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+      status: 'success',
+      data: {
+        share: formatPublicLink(link)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Copy a shared conversation into the viewer's own chat sessions
+// @route   POST /api/shares/public/:slug/fork
+// @access  Private
+const forkSharedConversation = async (req, res, next) => {
+  try {
+    const link = await openSharedLink(req.params.slug, req.get('x-share-password'));
+    if (link instanceof AppError) return next(link);
+
+    const session = await createConversation(req.user._id, toForkConversation(link));
+    if (!session) {
+      return next(new AppError('There is nothing to copy in this conversation', 400));
+    }
+    await SharedLink.updateOne({ _id: link._id }, { $inc: { forkCount: 1 } });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        session: {
+          _id: session._id,
+          sessionId: session.sessionId,
+          title: session.title,
+          messageCount: session.messageCount,
+          createdAt: session.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Routes
+router.post('/', authenticateToken, validateShareLink, createShareLink);
+router.get('/', authenticateToken, getShareLinks);
+router.delete('/:shareId', authenticateToken, validateMongoId('shareId'), revokeShareLink);
+router.get('/public/:slug', publicLinkLimiter, getSharedConversation);
+router.post('/public/:slug/fork', publicLinkLimiter, authenticateToken, forkSharedConversation);
+
+module.exports = router;
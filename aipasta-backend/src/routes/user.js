@@ -5,6 +5,8 @@ const User = require('../models/User');
 const ChatSession = require('../models/ChatSession');
 const ChatMessage = require('../models/ChatMessage');
 const { AppError } = require('../middleware/errorHandler');
+const { hashApiKey } = require('../middleware/auth');
+const promptRoutes = require('./prompts');
 const { 
   validateProfileUpdate, 
   validatePagination,
@@ -52,6 +54,8 @@ const updateUserProfile = async (req, res, next) => {
     if (preferences) {
       if (preferences.theme) user.preferences.theme = preferences.theme;
       if (preferences.language) user.preferences.language = preferences.language;
+      if (preferences.autoTitle !== undefined) user.preferences.autoTitle = preferences.autoTitle;
+      if (preferences.lowBalanceEmails !== undefined) user.preferences.lowBalanceEmails = preferences.lowBalanceEmails;
       if (preferences.notifications !== undefined) {
         user.preferences.notifications = { ...user.preferences.notifications, ...preferences.notifications };
       }
@@ -311,7 +315,7 @@ const generateApiKey = async (req, res, next) => {
 
     // Generate API key
     const apiKey = crypto.randomBytes(32).toString('hex');
-    const hashedKey = crypto.createHash('sha256').update(apiKey).digest('hex');
+    const hashedKey = hashApiKey(apiKey);
 
     // Calculate expiration date
     let expiresAt = null;
@@ -341,6 +345,7 @@ const generateApiKey = async (req, res, next) => {
     });
 
     await user.save();
+    const createdKey = user.apiKeys[user.apiKeys.length - 1];
 
     res.status(201).json({
       status: 'success',
@@ -348,10 +353,11 @@ const generateApiKey = async (req, res, next) => {
       data: {
         apiKey: `aipasta_${apiKey}`, // Only show once
         keyInfo: {
+          id: createdKey._id,
           name,
           permissions,
           expiresAt,
-          createdAt: new Date()
+          createdAt: createdKey.createdAt
         }
       }
     });
@@ -490,6 +496,7 @@ router.get('/favorites', getFavoriteModels);
 router.post('/api-keys', validateApiKeyGeneration, generateApiKey);
 router.get('/api-keys', listApiKeys);
 router.delete('/api-keys/:keyId', revokeApiKey);
+router.use('/prompts', promptRoutes);
 router.get('/export', exportUserData);
 router.delete('/account', deleteUserAccount);
 
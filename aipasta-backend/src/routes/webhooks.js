@@ -3,7 +3,9 @@ const crypto = require('crypto');
 const WebhookEvent = require('../models/WebhookEvent');
 const User = require('../models/User');
 const Plan = require('../models/Plan');
+const Organization = require('../models/Organization');
 const { AppError } = require('../middleware/errorHandler');
+const { applySubscriptionEvent } = require('../services/subscriptionService');
 const Razorpay = require('razorpay');
 
 const router = express.Router();
@@ -17,22 +19,15 @@ function getRazorpayInstance() {
   });
 }
 
-// Helper: Verify webhook signature
+// Helper: Verify webhook signature over the exact bytes Razorpay sent (a re-serialized body may not match)
 function verifyWebhookSignature(body, signature, secret) {
-  try {
-    const bodyString = Buffer.isBuffer(body) ? body.toString('utf8') : 
-                      typeof body === 'string' ? body : JSON.stringify(body);
-    
-    const expectedSignature = crypto
-      .createHmac('sha256', secret)
-      .update(bodyString)
-      .digest('hex');
-    
-    return expectedSignature === signature;
-  } catch (error) {
-    console.error('Signature verification error:', error);
-    return false;
-  }
+  if (!Buffer.isBuffer(body) || typeof signature !== 'string') return false;
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(body)
+    .digest('hex');
+  return expectedSignature.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expectedSignature), Buffer.from(signature));
 }
 
 // Helper: Log webhook event
@@ -101,6 +96,20 @@ async function processPaymentSuccess(payment, orderId) {
     processedAt: new Date()
   };
 
+  // Orders for an organization credit its shared balance (addTokens skips payments already credited)
+  if (order.notes.organizationId) {
+    const organization = await Organization.findById(order.notes.organizationId);
+    if (!organization) {
+      throw new Error('Organization not found');
+    }
+    const newBalance = await organization.addTokens(plan.tokens, plan, paymentInfo, user._id);
+    if (newBalance === null) {
+      return { status: 'already_processed' };
+    }
+    await Plan.findByIdAndUpdate(plan._id, { $inc: { totalPurchases: 1, totalRevenue: plan.priceINR } });
+    return { status: 'success', tokensAdded: plan.tokens, newBalance, organizationId: organization._id };
+  }
+
   await user.addTokens(plan.tokens, plan._id, paymentInfo);
 
   // Update plan statistics
@@ -142,8 +151,8 @@ const handleRazorpayWebhook = async (req, res) => {
     const signature = req.headers['x-razorpay-signature'];
     const body = req.body;
 
-    if (!body) {
-      console.error('Webhook: Missing request body');
+    if (!Buffer.isBuffer(body) || body.length === 0) {
+      console.error('Webhook: Missing raw request body');
       return res.status(400).json({ error: 'Missing request body' });
     }
 
@@ -158,15 +167,15 @@ const handleRazorpayWebhook = async (req, res) => {
     // Parse payload
     let payload;
     try {
-      const bodyString = Buffer.isBuffer(body) ? body.toString('utf8') : body;
-      payload = JSON.parse(bodyString);
+      payload = JSON.parse(body.toString('utf8'));
     } catch (e) {
       console.error('Webhook: Failed to parse JSON body', e);
       return res.status(400).json({ error: 'Invalid JSON payload' });
     }
 
     const event = payload.event;
-    const eventId = payload.id || `${event}_${Date.now()}`;
+    // Razorpay identifies each event in a header; redeliveries carry the same id
+    const eventId = req.headers['x-razorpay-event-id'] || payload.id || `${event}_${Date.now()}`;
 
     // Log the webhook event
     await logWebhookEvent(event, eventId, payload);
@@ -183,6 +192,11 @@ const handleRazorpayWebhook = async (req, res) => {
           return res.status(400).json({ error: 'Payment entity missing' });
         }
 
+        // Subscription charges are credited by subscription.charged, which carries this payment too
+        if (payment.invoice_id) {
+          return res.status(200).json({ status: 'ignored', reason: 'subscription_payment' });
+        }
+
         const orderId = payment.order_id;
         if (!orderId) {
           console.error('Webhook: Order ID missing in payment', { paymentId: payment.id });
@@ -275,6 +289,56 @@ const handleRazorpayWebhook = async (req, res) => {
         return res.status(200).json({ status: 'acknowledged' });
       }
 
+      case 'subscription.authenticated':
+      case 'subscription.activated':
+      case 'subscription.charged':
+      case 'subscription.updated':
+      case 'subscription.pending':
+      case 'subscription.halted':
+      case 'subscription.paused':
+      case 'subscription.resumed':
+      case 'subscription.cancelled':
+      case 'subscription.completed': {
+        const existingEvent = await WebhookEvent.findOne({ provider: 'razorpay', eventId, processed: true });
+        if (existingEvent) {
+          return res.status(200).json({ status: 'already_processed' });
+        }
+
+        const paymentId = payload.payload?.payment?.entity?.id;
+        try {
+          const result = await applySubscriptionEvent(payload);
+
+          await WebhookEvent.findOneAndUpdate(
+            { provider: 'razorpay', eventId },
+            {
+              $set: {
+                ...(paymentId && { paymentId }),
+                signatureVerified: true,
+                processed: true,
+                processedAt: new Date(),
+                result
+              }
+            }
+          );
+
+          return res.status(200).json({ status: 'success', result });
+        } catch (error) {
+          console.error(`Webhook: ${event} processing failed`, error, {
+            subscriptionId: payload.payload?.subscription?.entity?.id
+          });
+
+          await WebhookEvent.findOneAndUpdate(
+            { provider: 'razorpay', eventId },
+            {
+              $set: { error: error.message },
+              $inc: { attempts: 1 }
+            }
+          );
+
+          return res.status(500).json({ error: 'Subscription processing failed' });
+        }
+      }
+
       case 'order.paid': {
         const order = payload.payload?.order?.entity;
         if (order) {
@@ -411,6 +475,36 @@ const retryWebhookEvent = async (req, res, next) => {
       }
     }
 
+    if (payload.event?.startsWith('subscription.')) {
+      try {
+        const result = await applySubscriptionEvent(payload);
+
+        await WebhookEvent.findByIdAndUpdate(event._id, {
+          $set: {
+            processed: true,
+            processedAt: new Date(),
+            result: result,
+            retryCount: (event.retryCount || 0) + 1
+          }
+        });
+
+        return res.status(200).json({
+          status: 'success',
+          message: 'Event processed successfully',
+          data: { result }
+        });
+      } catch (error) {
+        await WebhookEvent.findByIdAndUpdate(event._id, {
+          $set: {
+            error: error.message,
+            retryCount: (event.retryCount || 0) + 1
+          }
+        });
+
+        return next(new AppError(`Retry failed: ${error.message}`, 500));
+      }
+    }
+
     return next(new AppError('Event type not supported for retry', 400));
 
   } catch (error) {
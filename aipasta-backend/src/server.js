@@ -14,11 +14,17 @@ const chatRoutes = require('./routes/chat');
 const userRoutes = require('./routes/user');
 const adminRoutes = require('./routes/admin');
 const planRoutes = require('./routes/plans');
+const openaiRoutes = require('./routes/openai');
+const attachmentRoutes = require('./routes/attachments');
+const knowledgeBaseRoutes = require('./routes/knowledgeBases');
+const shareRoutes = require('./routes/shares');
 const webhookRoutes = require('./routes/webhooks');
+const organizationRoutes = require('./routes/organizations');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
-const { authenticateToken, optionalAuth } = require('./middleware/auth');
+const { authenticateToken, optionalAuth, checkApiKeyOrAuth } = require('./middleware/auth');
+const { resolveWorkspace } = require('./middleware/workspace');
 
 // Create Express app
 const app = express();
@@ -71,16 +77,24 @@ const corsOptions = {
   allowedHeaders: [
     'Content-Type', 
     'Authorization', 
+    'X-API-Key',
+    'Idempotency-Key',
     'X-Requested-With', 
     'x-fingerprint-id',
     'x-rtb-fingerprint-id',
     'x-client-info',
+    'X-Share-Password',
+    'X-Workspace-Id',
     'Accept',
     'Origin',
     'Cache-Control',
     'Pragma'
   ],
   exposedHeaders: [
+    'Content-Disposition',
+    'X-RateLimit-Limit',
+    'X-RateLimit-Remaining',
+    'X-RateLimit-Reset',
     'x-fingerprint-id',
     'x-rtb-fingerprint-id',
     'x-client-info'
@@ -120,6 +134,9 @@ const authLimiter = rateLimit({
     error: 'Too many authentication attempts, please try again later.',
     retryAfter: '15 minutes'
   },
+  // Token refreshes happen in the background every few minutes and cannot be guessed, so they only count
+  // toward the general limit
+  skip: (req) => req.path === '/refresh',
   // Skip trust proxy validation in production (Render handles this)
   trustProxy: process.env.NODE_ENV === 'production',
   keyGenerator: (req) => {
@@ -130,9 +147,14 @@ const authLimiter = rateLimit({
   }
 });
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing middleware. Webhook signatures are computed over the raw body, so the webhook
+// routes read it themselves (express.raw) and must reach their router unparsed.
+const RAW_BODY_ROUTES = ['/api/webhooks', '/api/plans/webhook'];
+const unlessRawBody = parser => (req, res, next) => (
+  RAW_BODY_ROUTES.some(route => req.path === route || req.path.startsWith(`${route}/`)) ? next() : parser(req, res, next)
+);
+app.use(unlessRawBody(express.json({ limit: '10mb' })));
+app.use(unlessRawBody(express.urlencoded({ extended: true, limit: '10mb' })));
 
 // Logging
 if (process.env.NODE_ENV !== 'test') {
@@ -174,12 +196,17 @@ app.get('/api/check-ip', async (req, res) => {
 
 // API Routes
 app.use('/api/auth', authLimiter, authRoutes);
-app.use('/api/models', optionalAuth, modelsRoutes);
-app.use('/api/chat', authenticateToken, chatRoutes);
-app.use('/api/user', authenticateToken, userRoutes);
+app.use('/api/models', checkApiKeyOrAuth('models', optionalAuth), modelsRoutes);
+app.use('/api/chat', checkApiKeyOrAuth('chat'), resolveWorkspace, chatRoutes); // X-Workspace-Id picks a team workspace
+app.use('/api/attachments', authenticateToken, attachmentRoutes);
+app.use('/api/knowledge-bases', authenticateToken, knowledgeBaseRoutes);
+app.use('/api/shares', shareRoutes); // Public share links (owner endpoints require auth, handled in route)
+app.use('/api/user', authenticateToken, resolveWorkspace, userRoutes);
+app.use('/api/organizations', organizationRoutes); // Team workspaces (invitation lookups are public, handled in route)
 app.use('/api/admin', authenticateToken, adminRoutes);
 app.use('/api/plans', planRoutes); // Plans route (some endpoints require auth, handled in route)
 app.use('/api/webhooks', webhookRoutes); // Webhook routes for payment providers
+app.use('/v1', openaiRoutes); // OpenAI-compatible gateway (chat completions, models)
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -192,8 +219,11 @@ app.get('/', (req, res) => {
       auth: '/api/auth',
       models: '/api/models',
       chat: '/api/chat',
+      attachments: '/api/attachments',
       user: '/api/user',
-      admin: '/api/admin'
+      organizations: '/api/organizations',
+      admin: '/api/admin',
+      openai: '/v1'
     }
   });
 });
@@ -278,10 +308,32 @@ const startServer = async () => {
       console.log(`   POST /api/auth/login - User login`);
       console.log(`   GET  /api/models - List available models`);
       console.log(`   POST /api/chat - Send chat message`);
+      console.log(`   POST /v1/chat/completions - OpenAI-compatible chat completions`);
       console.log(`   GET  /api/user/profile - Get user profile`);
       console.log(`   GET  /api/admin/stats - Admin statistics`);
     });
 
+    // Periodically release stale token holds, record opening balances for wallets that predate the
+    // ledger and report drift (0 / unset disables). Wallet corrections are left to `npm run ledger:reconcile -- --fix`.
+    const reconcileMinutes = parseInt(process.env.LEDGER_RECONCILE_INTERVAL_MINUTES, 10);
+    if (reconcileMinutes > 0) {
+      const { reconcileAll } = require('./services/ledgerReconciliation');
+      setInterval(async () => {
+        try {
+          const summary = await reconcileAll({ releaseStale: true, recordOpening: true });
+          if (summary.openingsRecorded > 0) {
+            console.log(`🧾 Ledger reconciliation: recorded opening balances for ${summary.openingsRecorded} wallets`);
+          }
+          if (summary.outOfSync > 0) {
+            console.log(`🧾 Ledger reconciliation: ${summary.outOfSync}/${summary.checked} users out of sync (run ledger:reconcile --fix to correct)`);
+          }
+        } catch (error) {
+          console.error('❌ Ledger reconciliation failed:', error.message);
+        }
+      }, reconcileMinutes * 60 * 1000).unref();
+      console.log(`🧾 Ledger reconciliation every ${reconcileMinutes} minutes`);
+    }
+
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
         console.error(`❌ Port ${PORT} is already in use`);
@@ -0,0 +1,199 @@
+// Chat attachments: validation of uploads, storage, and conversion into OpenAI-format content parts
+// (image_url for images, input_audio for audio) sent to models that support them.
+// Documents are not sent as parts; their text is extracted and used as session context (documentService).
+
+const crypto = require('crypto');
+const path = require('path');
+const Attachment = require('../models/Attachment');
+const ChatSession = require('../models/ChatSession');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const { getStorage } = require('./attachmentStorage');
+const { DOCX_MIME_TYPE, removeDocumentChunks } = require('./documentService');
+
+const ATTACHMENT_CONFIG = {
+  maxBytes: parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024,
+  maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 5
+};
+
+// Accepted MIME types, the attachment type they map to and the model capability they need
+const ALLOWED_TYPES = {
+  'image/jpeg': { type: 'image', capability: 'image' },
+  'image/png': { type: 'image', capability: 'image' },
+  'image/gif': { type: 'image', capability: 'image' },
+  'image/webp': { type: 'image', capability: 'image' },
+  'audio/mpeg': { type: 'audio', capability: 'audio', format: 'mp3' },
+  'audio/wav': { type: 'audio', capability: 'audio', format: 'wav' },
+  'application/pdf': { type: 'document' },
+  [DOCX_MIME_TYPE]: { type: 'document' },
+  'text/markdown': { type: 'document' },
+  'text/csv': { type: 'document' },
+  'text/plain': { type: 'document' }
+};
+
+// Browsers report text formats inconsistently (or not at all), so these go by extension
+const TEXT_EXTENSIONS = {
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.csv': 'text/csv',
+  ...Object.fromEntries([
+    '.txt', '.json', '.yaml', '.yml', '.xml', '.html', '.css', '.sql', '.sh', '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs',
+    '.py', '.rb', '.go', '.rs', '.java', '.kt', '.swift', '.c', '.h', '.cpp', '.hpp', '.cs', '.php'
+  ].map(extension => [extension, 'text/plain']))
+};
+
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav'
+};
+
+const normalizeMimeType = (mimeType = '') => MIME_ALIASES[mimeType.toLowerCase()] || mimeType.toLowerCase();
+
+// MIME type an upload is stored as: by extension for text and Word files, otherwise as declared
+const resolveMimeType = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (TEXT_EXTENSIONS[extension]) return TEXT_EXTENSIONS[extension];
+  if (extension === '.docx') return DOCX_MIME_TYPE;
+  return normalizeMimeType(file.mimetype);
+};
+
+const isUtf8Text = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// MIME type from the file's leading bytes, so a renamed file cannot pass as another type
+const detectMimeType = (buffer) => {
+  const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 3) === 'ID3' || (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+  return null;
+};
+
+const matchesContent = (buffer, mimeType) => {
+  if (mimeType.startsWith('text/')) return isUtf8Text(buffer);
+  // DOCX files are zip archives
+  if (mimeType === DOCX_MIME_TYPE) return buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+  return detectMimeType(buffer) === mimeType;
+};
+
+// Check an uploaded file; returns an error message, or null when it is acceptable
+const validateUpload = (file) => {
+  const mimeType = resolveMimeType(file);
+  if (!ALLOWED_TYPES[mimeType]) {
+    return `${file.originalname}: unsupported file type ${file.mimetype || 'unknown'}`;
+  }
+  if (file.size > ATTACHMENT_CONFIG.maxBytes) {
+    return `${file.originalname}: file is larger than ${Math.round(ATTACHMENT_CONFIG.maxBytes / 1024 / 1024)}MB`;
+  }
+  if (!matchesContent(file.buffer, mimeType)) {
+    return `${file.originalname}: file contents do not match ${mimeType}`;
+  }
+  return null;
+};
+
+// Store an uploaded (multer memory-storage) file and record it for the user
+const storeUpload = async (userId, file) => {
+  const mimeType = resolveMimeType(file);
+  const storage = getStorage();
+  const extension = path.extname(file.originalname || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const storageKey = `${userId}/${crypto.randomUUID()}${extension}`;
+
+  await storage.put(storageKey, file.buffer, mimeType);
+
+  return Attachment.create({
+    userId,
+    type: ALLOWED_TYPES[mimeType].type,
+    originalName: file.originalname,
+    mimeType,
+    size: file.size,
+    sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+    storage: storage.name,
+    storageKey
+  });
+};
+
+const readContent = (attachment) => getStorage().get(attachment.storageKey);
+
+const removeAttachment = async (attachment) => {
+  await getStorage().remove(attachment.storageKey);
+  if (attachment.type === 'document') {
+    await removeDocumentChunks(attachment._id);
+    await ChatSession.updateMany({ documents: attachment._id }, { $pull: { documents: attachment._id } });
+    await KnowledgeBase.updateMany({ documents: attachment._id }, { $pull: { documents: attachment._id } });
+  }
+  await attachment.deleteOne();
+};
+
+// The user's attachments with the given ids, in request order; null if any is missing or not theirs
+const findUserAttachments = async (userId, ids = []) => {
+  if (ids.length === 0) return [];
+  const found = await Attachment.find({ _id: { $in: ids }, userId });
+  const byId = new Map(found.map(attachment => [attachment._id.toString(), attachment]));
+  const ordered = ids.map(id => byId.get(String(id)));
+  return ordered.every(Boolean) ? ordered : null;
+};
+
+// Capabilities the model lacks for these attachments (empty when it can take them all)
+const getMissingCapabilities = (model, attachments) => {
+  const needed = new Set(attachments.map(attachment => ALLOWED_TYPES[attachment.mimeType]?.capability).filter(Boolean));
+  return [...needed].filter(capability => !model?.capabilities?.[capability]);
+};
+
+const countImages = (attachments = []) => attachments.filter(attachment => attachment.type === 'image').length;
+
+const isDocument = (attachment) => attachment.type === 'document';
+
+// OpenAI/OpenRouter multimodal content for a user message: the text followed by one part per attachment.
+// Files are inlined as base64 so providers never need to reach this server.
+const buildUserContent = async (text, attachments = []) => {
+  if (attachments.length === 0) return text;
+
+  const parts = [{ type: 'text', text }];
+  for (const attachment of attachments) {
+    const data = (await readContent(attachment)).toString('base64');
+    if (attachment.type === 'image') {
+      parts.push({ type: 'image_url', image_url: { url: `data:${attachment.mimeType};base64,${data}` } });
+    } else if (attachment.type === 'audio') {
+      parts.push({ type: 'input_audio', input_audio: { data, format: ALLOWED_TYPES[attachment.mimeType].format } });
+    }
+  }
+  return parts;
+};
+
+// Link attachments to the chat message they were sent with
+const linkToMessage = async (attachments, message) => {
+  if (attachments.length === 0) return;
+  await Attachment.updateMany(
+    { _id: { $in: attachments.map(attachment => attachment._id) } },
+    { $set: { messageId: message.messageId, sessionId: message.sessionId } }
+  );
+};
+
+module.exports = {
+  ATTACHMENT_CONFIG,
+  ALLOWED_TYPES,
+  detectMimeType,
+  validateUpload,
+  storeUpload,
+  readContent,
+  removeAttachment,
+  findUserAttachments,
+  getMissingCapabilities,
+  countImages,
+  isDocument,
+  buildUserContent,
+  linkToMessage
+};
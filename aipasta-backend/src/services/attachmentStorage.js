@@ -0,0 +1,145 @@
+// Storage for uploaded attachments. ATTACHMENT_STORAGE picks the backend:
+//   local (default) - files under UPLOAD_DIR (./uploads)
+//   s3              - any S3-compatible bucket (AWS S3, Cloudflare R2, MinIO), addressed path-style:
+//                     S3_ENDPOINT, S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+// Both expose put(key, buffer, mimeType), get(key) -> Buffer and remove(key).
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+class LocalStorage {
+  constructor(rootDir) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    // Keys are generated server-side, but never let one escape the upload directory
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (keyBytes, data) => crypto.createHmac('sha256', keyBytes).update(data).digest();
+
+// Minimal S3 client signing requests with AWS Signature Version 4
+class S3Storage {
+  constructor({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey }) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 attachment storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    this.name = 's3';
+    this.endpoint = new URL(endpoint);
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+  }
+
+  async request(method, key, body = null, contentType = null) {
+    const pathname = `/${this.bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body || '');
+
+    const headers = {
+      host: this.endpoint.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalRequest = [
+      method,
+      pathname,
+      '',
+      ...Object.keys(headers).sort().map(name => `${name}:${headers[name]}`),
+      '',
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (keyBytes, part) => hmac(keyBytes, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const response = await fetch(new URL(pathname, this.endpoint), {
+      method,
+      headers: {
+        ...headers,
+        ...(contentType ? { 'Content-Type': contentType } : {}),
+        Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      },
+      body: body || undefined
+    });
+
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      const error = new Error(`S3 ${method} ${key} failed: ${response.status} ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  async put(key, buffer, mimeType) {
+    await this.request('PUT', key, buffer, mimeType);
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async remove(key) {
+    await this.request('DELETE', key);
+  }
+}
+
+const createStorage = () => {
+  if (process.env.ATTACHMENT_STORAGE === 's3') {
+    return new S3Storage({
+      endpoint: process.env.S3_ENDPOINT,
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    });
+  }
+  return new LocalStorage(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+};
+
+let storage = null;
+
+// Storage backend for new and existing attachments (created on first use so config errors surface on upload)
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+module.exports = {
+  LocalStorage,
+  S3Storage,
+  getStorage
+};
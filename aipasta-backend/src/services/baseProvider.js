@@ -0,0 +1,124 @@
+// Base class for AI provider adapters registered in providerRegistry.
+//
+// Adapters implement:
+//   listModels()                               -> [model]  (same shape as AIModel documents)
+//   chat(modelId, messages, options)           -> { content, usage, message, finishReason }
+//   stream(modelId, messages, options)         -> async iterable of OpenAI `chat.completion.chunk` objects
+//   embed(modelId, input, options)             -> { embeddings: [[Number]], usage }
+//   countTokens(messages)                      -> Number
+//   normalizeError(error)                      -> { status, code, message, retryable }
+// `options.signal` (AbortSignal) cancels the upstream request. Usage is { promptTokens, completionTokens, totalTokens }.
+
+class BaseProvider {
+  constructor({ name, modelPrefix = null } = {}) {
+    this.name = name;
+    // Model ids starting with `${modelPrefix}:` are routed to this adapter without a database entry
+    this.modelPrefix = modelPrefix;
+  }
+
+  // Strip this adapter's routing prefix (e.g. "local:llama3" -> "llama3")
+  toProviderModelId(modelId) {
+    const prefix = this.modelPrefix ? `${this.modelPrefix}:` : null;
+    return prefix && modelId.startsWith(prefix) ? modelId.slice(prefix.length) : modelId;
+  }
+
+  async listModels() {
+    return [];
+  }
+
+  async chat() {
+    throw this.unsupported('chat');
+  }
+
+  // Providers without a streaming API yield the whole completion as a single chunk
+  async *stream(modelId, messages, options = {}) {
+    const result = await this.chat(modelId, messages, options);
+    yield {
+      choices: [{ index: 0, delta: { role: 'assistant', content: result.content }, finish_reason: result.finishReason }],
+      usage: BaseProvider.toOpenAIUsage(result.usage)
+    };
+  }
+
+  async embed() {
+    throw this.unsupported('embeddings');
+  }
+
+  // Rough count (~4 characters per token) for providers without a tokenizer endpoint
+  countTokens(messages) {
+    return messages.reduce((total, msg) => total + Math.ceil(BaseProvider.getMessageText(msg).length / 4), 0);
+  }
+
+  normalizeError(error) {
+    const status = error.status || error.statusCode || 502;
+    return {
+      status,
+      code: status === 429 ? 'PROVIDER_RATE_LIMITED' : 'PROVIDER_ERROR',
+      message: error.message || `${this.name} request failed`,
+      retryable: status === 429 || status >= 500 || error.name === 'FetchError'
+    };
+  }
+
+  unsupported(feature) {
+    const error = new Error(`${this.name} does not support ${feature}`);
+    error.status = 400;
+    return error;
+  }
+
+  // Plain text of a message whose content may be a string or an array of content parts
+  static getMessageText(message) {
+    if (typeof message.content === 'string') return message.content;
+    if (Array.isArray(message.content)) {
+      return message.content
+        .filter(part => part && part.type === 'text')
+        .map(part => part.text)
+        .join('\n');
+    }
+    return '';
+  }
+
+  static fromOpenAIUsage(usage) {
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || 0
+    };
+  }
+
+  static toOpenAIUsage(usage) {
+    return usage ? {
+      prompt_tokens: usage.promptTokens,
+      completion_tokens: usage.completionTokens,
+      total_tokens: usage.totalTokens
+    } : undefined;
+  }
+
+  // Parse an OpenAI-style SSE response body, yielding each JSON chunk until [DONE]
+  static async *parseEventStream(body, label = 'provider') {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const part of body) {
+      buffer += decoder.decode(part, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+
+        // Skip blank lines and SSE comments (keep-alives)
+        if (!line.startsWith('data:')) continue;
+
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+
+        try {
+          yield JSON.parse(data);
+        } catch (parseError) {
+          console.warn(`⚠️ Skipping malformed ${label} stream chunk:`, data.substring(0, 100));
+        }
+      }
+    }
+  }
+}
+
+module.exports = BaseProvider;
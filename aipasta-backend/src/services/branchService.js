@@ -0,0 +1,189 @@
+// Conversation branches. Every message points at its parent: a user message at the user message of the turn
+// before it (null for the first turn), an answer at the user message it answers. Editing a message adds a
+// sibling user message and regenerating adds another version of an answer, so earlier versions are kept.
+// The session's activeMessageId is the last user message of the branch being shown; among the versions of an
+// answer (same parent and requested model) the one shown is flagged isActive.
+
+const ChatMessage = require('../models/ChatMessage');
+
+// Versions of an answer are grouped by the model that was asked for (a fallback model may have answered)
+const answerSlot = msg => msg.metadata?.requestedModelId || msg.model?.id || null;
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+// Give messages stored before branching existed their parents, in the order they were sent
+const linkLegacyMessages = async (session) => {
+  const legacy = await ChatMessage.find({ sessionId: session.sessionId, parentMessageId: { $exists: false } })
+    .sort({ createdAt: 1 })
+    .select('_id role');
+  if (legacy.length === 0) return;
+
+  let lastUserId = null;
+  await ChatMessage.bulkWrite(legacy.map((msg) => {
+    const parentMessageId = lastUserId;
+    if (msg.role === 'user') lastUserId = msg._id;
+    return { updateOne: { filter: { _id: msg._id }, update: { parentMessageId } } };
+  }));
+  console.log(`🌿 Linked ${legacy.length} earlier message(s) of session ${session.sessionId} into a branch`);
+};
+
+// The last user message of the newest branch continuing from userMessageId
+const findNewestLeaf = async (sessionId, userMessageId) => {
+  let leafId = userMessageId;
+  for (;;) {
+    const child = await ChatMessage.findOne({ sessionId, role: 'user', parentMessageId: leafId })
+      .sort({ createdAt: -1 })
+      .select('_id');
+    if (!child) return leafId;
+    leafId = child._id;
+  }
+};
+
+// The _id of the session's active leaf, or null when it has no messages yet. Sessions from before branching
+// are linked on first use and continue from their last user message.
+const getActiveLeafId = async (session) => {
+  if (session.activeMessageId) return session.activeMessageId;
+
+  await linkLegacyMessages(session);
+  const last = await ChatMessage.findOne({ sessionId: session.sessionId, role: 'user' })
+    .sort({ createdAt: -1 })
+    .select('_id');
+  if (!last) return null;
+
+  session.activeMessageId = last._id;
+  await session.save();
+  return last._id;
+};
+
+// _ids of the user messages from the first turn down to leafId, oldest first
+const getUserPath = async (sessionId, leafId) => {
+  if (!leafId) return [];
+  const users = await ChatMessage.find({ sessionId, role: 'user' }).select('_id parentMessageId');
+  const byId = new Map(users.map(msg => [String(msg._id), msg]));
+
+  const path = [];
+  let current = byId.get(String(leafId));
+  while (current && path.length < users.length) {
+    path.unshift(current._id);
+    current = current.parentMessageId && byId.get(String(current.parentMessageId));
+  }
+  return path;
+};
+
+// Messages on the branch ending at leafId, oldest first: each user message followed by the active version
+// of each of its answers
+const loadBranch = async (session, leafId) => {
+  const pathIds = await getUserPath(session.sessionId, leafId);
+  if (pathIds.length === 0) return [];
+
+  const messages = await ChatMessage.find({
+    sessionId: session.sessionId,
+    $or: [
+      { _id: { $in: pathIds } },
+      { role: 'assistant', parentMessageId: { $in: pathIds }, isActive: { $ne: false } }
+    ]
+  }).sort({ createdAt: 1 });
+
+  const turns = new Map(pathIds.map((id, i) => [String(id), i]));
+  const turnOf = msg => turns.get(String(msg.role === 'user' ? msg._id : msg.parentMessageId));
+  return messages.sort((a, b) => turnOf(a) - turnOf(b) || (b.role === 'user') - (a.role === 'user'));
+};
+
+// Where each of the messages sits among its alternatives, keyed by _id: { index, count, ids } over the user
+// message's edits (same parent) or the answer's versions (same parent and requested model), oldest first
+const describeBranches = async (session, messages) => {
+  const all = await ChatMessage.find({ sessionId: session.sessionId })
+    .sort({ createdAt: 1 })
+    .select('_id role parentMessageId model.id metadata.requestedModelId');
+
+  const keyOf = msg => `${msg.role === 'user' ? 'user' : answerSlot(msg)}:${msg.parentMessageId || ''}`;
+  const groups = new Map();
+  for (const msg of all) {
+    const key = keyOf(msg);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(msg._id);
+  }
+
+  return new Map(messages.map((msg) => {
+    const ids = groups.get(keyOf(msg)) || [msg._id];
+    return [String(msg._id), { index: ids.findIndex(id => sameId(id, msg._id)), count: ids.length, ids }];
+  }));
+};
+
+// Show this version of an answer instead of the other versions from the same model
+const setActiveVersion = async (answer) => {
+  const siblings = await ChatMessage.find({
+    sessionId: answer.sessionId,
+    role: 'assistant',
+    parentMessageId: answer.parentMessageId,
+    _id: { $ne: answer._id }
+  }).select('_id model.id metadata.requestedModelId');
+
+  const others = siblings.filter(msg => answerSlot(msg) === answerSlot(answer)).map(msg => msg._id);
+  await ChatMessage.updateMany({ _id: { $in: others } }, { isActive: false });
+  if (answer.isActive === false) {
+    await ChatMessage.updateOne({ _id: answer._id }, { isActive: true });
+    answer.isActive = true;
+  }
+};
+
+// Switch the session to the branch through message: a user message not on the shown branch brings in the
+// newest branch continuing from it, and an answer becomes the version shown for its model.
+// Resolves to the session's active leaf.
+const activateMessage = async (session, message) => {
+  if (message.role === 'assistant') {
+    await setActiveVersion(message);
+  }
+
+  const userMessageId = message.role === 'user' ? message._id : message.parentMessageId;
+  const path = await getUserPath(session.sessionId, await getActiveLeafId(session));
+  if (userMessageId && !path.some(id => sameId(id, userMessageId))) {
+    session.activeMessageId = await findNewestLeaf(session.sessionId, userMessageId);
+    await session.save();
+  }
+  return session.activeMessageId;
+};
+
+// Keep the tree connected after message was deleted: later turns move up to its parent, and the session's
+// leaf or the answer's shown version move to what is left
+const detachMessage = async (session, message) => {
+  if (message.role === 'assistant') {
+    if (message.isActive === false) return;
+    const versions = await ChatMessage.find({
+      sessionId: message.sessionId,
+      role: 'assistant',
+      parentMessageId: message.parentMessageId
+    }).sort({ createdAt: -1 }).select('_id model.id metadata.requestedModelId');
+    const next = versions.find(msg => answerSlot(msg) === answerSlot(message));
+    if (next) await ChatMessage.updateOne({ _id: next._id }, { isActive: true });
+    return;
+  }
+
+  await ChatMessage.updateMany(
+    { sessionId: message.sessionId, role: 'user', parentMessageId: message._id },
+    { parentMessageId: message.parentMessageId }
+  );
+
+  if (session && sameId(session.activeMessageId, message._id)) {
+    let leafId = message.parentMessageId;
+    if (!leafId) {
+      const root = await ChatMessage.findOne({ sessionId: message.sessionId, role: 'user', parentMessageId: null })
+        .sort({ createdAt: -1 })
+        .select('_id');
+      leafId = root ? await findNewestLeaf(message.sessionId, root._id) : null;
+    }
+    session.activeMessageId = leafId;
+    await session.save();
+  }
+};
+
+module.exports = {
+  answerSlot,
+  getActiveLeafId,
+  getUserPath,
+  loadBranch,
+  describeBranches,
+  setActiveVersion,
+  activateMessage,
+  detachMessage
+};
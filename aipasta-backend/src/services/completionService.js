@@ -0,0 +1,243 @@
+// Provider layer shared by /api/chat and the OpenAI-compatible /v1 gateway.
+// Sends a message list to the provider adapter from providerRegistry and normalizes content and usage.
+//
+// Every provider call goes through the retry policy (exponential backoff for 429/5xx, honouring
+// Retry-After) and that provider's circuit breaker. On top of that, the *WithFailover helpers walk a
+// model's fallback chain: the `:free` variant, the model's configured `fallbacks`, then MODEL_FALLBACKS.
+
+const AIModel = require('../models/AIModel');
+const BaseProvider = require('./baseProvider');
+const { getProvider, resolveProvider, getConfiguredModel } = require('./providerRegistry');
+const { resolveModelType } = require('./pricingService');
+const { getCircuitBreaker } = require('../lib/circuitBreaker');
+
+const { getMessageText } = BaseProvider;
+
+const RETRY_CONFIG = {
+  maxRetries: parseInt(process.env.PROVIDER_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.PROVIDER_MAX_RETRIES, 10) : 2,
+  baseDelayMs: parseInt(process.env.PROVIDER_RETRY_BASE_MS, 10) || 500,
+  maxDelayMs: parseInt(process.env.PROVIDER_RETRY_MAX_MS, 10) || 8000
+};
+
+// Fallback chains by model id; "*" applies to every model. Example:
+//   MODEL_FALLBACKS='{"openai/gpt-4o":["openai/gpt-4o-mini","local:llama3"],"*":["mistralai/mistral-7b-instruct:free"]}'
+const readFallbackConfig = () => {
+  if (!process.env.MODEL_FALLBACKS) return {};
+  try {
+    return JSON.parse(process.env.MODEL_FALLBACKS);
+  } catch (error) {
+    console.error('❌ MODEL_FALLBACKS is not valid JSON:', error.message);
+    return {};
+  }
+};
+const FALLBACK_CONFIG = readFallbackConfig();
+const TRY_FREE_VARIANT = process.env.PROVIDER_FALLBACK_FREE_VARIANT !== 'false';
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason || new Error('Aborted'));
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+});
+
+// Retry-After is either seconds or an HTTP date; otherwise back off exponentially with jitter
+const getRetryDelay = (attempt, retryAfter) => {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+    if (Number.isFinite(ms) && ms >= 0) return ms;
+  }
+  const backoff = RETRY_CONFIG.baseDelayMs * 2 ** attempt;
+  return Math.min(RETRY_CONFIG.maxDelayMs, backoff + Math.floor(Math.random() * RETRY_CONFIG.baseDelayMs));
+};
+
+const circuitOpenError = (provider, breaker) => {
+  const error = new Error(`${provider} is temporarily unavailable (circuit open, retry in ${Math.ceil(breaker.retryInMs() / 1000)}s)`);
+  error.status = 503;
+  error.code = 'CIRCUIT_OPEN';
+  return error;
+};
+
+// Run `attempt(adapter)` under the provider's circuit breaker, retrying retryable failures.
+// Errors flagged `partial` (a stream that already produced output) are never retried.
+const callWithRetry = async (provider, attempt, signal) => {
+  const adapter = getProvider(provider);
+  const breaker = getCircuitBreaker(provider);
+
+  for (let retry = 0; ; retry++) {
+    if (!breaker.canRequest()) {
+      throw circuitOpenError(provider, breaker);
+    }
+
+    let settled = false;
+    try {
+      const result = await attempt(adapter);
+      breaker.recordSuccess();
+      settled = true;
+      return result;
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      settled = true;
+
+      const { retryable } = adapter.normalizeError(error);
+      // Client errors (bad request, unknown model) mean the upstream itself is healthy
+      if (retryable) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+
+      if (!retryable || error.partial || retry >= RETRY_CONFIG.maxRetries) throw error;
+
+      const delay = getRetryDelay(retry, error.retryAfter);
+      if (delay > RETRY_CONFIG.maxDelayMs) throw error; // Retry-After longer than we are willing to wait
+      console.warn(`🔁 ${provider} request failed (${error.status || error.message}); retry ${retry + 1}/${RETRY_CONFIG.maxRetries} in ${delay}ms`);
+      await sleep(delay, signal);
+    } finally {
+      // Aborted attempts say nothing about the provider; free the half-open probe slot they held
+      if (!settled) breaker.releaseProbe();
+    }
+  }
+};
+
+// Embed one text or a batch with the provider's embeddings endpoint, under the same retry policy and circuit breaker.
+// Resolves to { embeddings: [[Number]], usage }.
+const createEmbeddings = (provider, modelId, input, signal = undefined) =>
+  callWithRetry(provider, adapter => adapter.embed(modelId, input, { signal }), signal);
+
+// Rough usage estimate (~4 characters per token) for providers or aborted streams that report none
+const estimateUsage = (messages, content) => {
+  const promptChars = messages.reduce((total, msg) => total + getMessageText(msg).length, 0);
+  return {
+    promptTokens: Math.ceil(promptChars / 4),
+    completionTokens: Math.ceil(content.length / 4),
+    totalTokens: Math.ceil((promptChars + content.length) / 4)
+  };
+};
+
+// Call the provider for a single non-streaming completion.
+// Resolves to { content, usage, message, finishReason }; `message` is the provider's assistant
+// message (including any tool_calls) for callers that need more than the text.
+const generateCompletion = async (provider, modelId, messages, options = {}, signal = undefined) => {
+  const result = await callWithRetry(provider, adapter => adapter.chat(modelId, messages, { ...options, signal }), signal);
+  return {
+    ...result,
+    // Estimated from text length if the provider omitted usage
+    usage: result.usage || estimateUsage(messages, result.content)
+  };
+};
+
+// Stream a completion from the provider, calling onDelta for each text chunk.
+// Accumulates into `progress` ({ content, chunkCount, usage }) so callers keep partial output if the stream fails.
+// onChunk, when given, receives every raw OpenAI-format chunk (tool call deltas, finish reasons).
+// Retries only happen before the first chunk reaches the caller.
+const streamCompletion = async (provider, modelId, messages, options, signal, progress, onDelta, onChunk = null) => {
+  await callWithRetry(provider, async (adapter) => {
+    let forwarded = false;
+    try {
+      for await (const chunk of adapter.stream(modelId, messages, { ...options, signal })) {
+        forwarded = true;
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          progress.content += delta;
+          progress.chunkCount += 1;
+          onDelta(delta);
+        }
+
+        if (chunk.usage) {
+          progress.usage = BaseProvider.fromOpenAIUsage(chunk.usage);
+        }
+
+        if (onChunk) onChunk(chunk);
+      }
+    } catch (error) {
+      error.partial = forwarded;
+      throw error;
+    }
+  }, signal);
+  return progress;
+};
+
+// Model ids to try, in order, when `modelId` fails
+const getFallbackChain = (modelId, model = null) => {
+  const chain = [];
+  if (TRY_FREE_VARIANT && resolveProvider(modelId, model) === 'OpenRouter' && !modelId.endsWith(':free')) {
+    chain.push(`${modelId}:free`);
+  }
+  chain.push(...(model?.fallbacks || []), ...(FALLBACK_CONFIG[modelId] || []), ...(FALLBACK_CONFIG['*'] || []));
+  return [...new Set(chain)].filter(id => id !== modelId);
+};
+
+// Expand a resolved primary target ({ modelId, model, modelType, provider }) into the candidates to try.
+// Fallbacks the user's plan cannot use are skipped.
+const resolveCandidates = async (primary, user) => {
+  const candidates = [primary];
+  for (const modelId of getFallbackChain(primary.modelId, primary.model)) {
+    const model = await AIModel.findOne({ modelId }) || getConfiguredModel(modelId);
+    if (model && !model.isAvailable) continue;
+
+    const { modelType } = resolveModelType(modelId, model);
+    if (!user.canUseModel(modelType) || (model && model.pricing.input > 0 && user.role === 'user')) continue;
+
+    candidates.push({ modelId, model, modelType, provider: resolveProvider(modelId, model) });
+  }
+  return candidates;
+};
+
+// Try each candidate until one answers. Resolves to the completion plus `candidate` (the model that
+// answered) and `attempts` ([{ modelId, provider, error }] for the ones that failed).
+const generateWithFailover = async (candidates, messages, options = {}, signal = undefined) => {
+  const attempts = [];
+  for (const candidate of candidates) {
+    try {
+      const result = await generateCompletion(candidate.provider, candidate.modelId, messages, options, signal);
+      return { ...result, candidate, attempts };
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      attempts.push({ modelId: candidate.modelId, provider: candidate.provider, error: error.message });
+      console.warn(`↪️ ${candidate.modelId} failed (${error.message})${attempts.length < candidates.length ? '; falling back' : ''}`);
+      if (attempts.length === candidates.length) {
+        error.attempts = attempts;
+        throw error;
+      }
+    }
+  }
+};
+
+// Streaming counterpart: falls back only while nothing has been streamed yet.
+// Sets `progress.candidate` to the model that produced the output and `progress.attempts` to earlier failures.
+const streamWithFailover = async (candidates, messages, options, signal, progress, onDelta, onChunk = null) => {
+  progress.attempts = [];
+  for (const candidate of candidates) {
+    progress.candidate = candidate;
+    try {
+      return await streamCompletion(candidate.provider, candidate.modelId, messages, options, signal, progress, onDelta, onChunk);
+    } catch (error) {
+      if ((signal && signal.aborted) || error.partial || progress.content) throw error;
+      progress.attempts.push({ modelId: candidate.modelId, provider: candidate.provider, error: error.message });
+      console.warn(`↪️ ${candidate.modelId} stream failed (${error.message})${progress.attempts.length < candidates.length ? '; falling back' : ''}`);
+      if (progress.attempts.length === candidates.length) throw error;
+    }
+  }
+  return progress;
+};
+
+module.exports = {
+  RETRY_CONFIG,
+  getMessageText,
+  estimateUsage,
+  generateCompletion,
+  streamCompletion,
+  createEmbeddings,
+  getFallbackChain,
+  resolveCandidates,
+  generateWithFailover,
+  streamWithFailover
+};
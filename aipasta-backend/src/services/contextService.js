@@ -0,0 +1,174 @@
+// Conversation history sized to each target model's context window. Messages are counted one by one
+// and the newest that fit are sent, together with pinned and system messages. Older turns that no longer
+// fit are replaced by a summary (written with CONTEXT_SUMMARY_MODEL and cached on the session) or, when
+// summarizing is off or fails, left out.
+
+const { generateCompletion, getMessageText } = require('./completionService');
+const { resolveProvider, getConfiguredModel } = require('./providerRegistry');
+const { estimateTextTokens, DEFAULT_MAX_TOKENS } = require('./pricingService');
+const { DOCUMENT_CONFIG } = require('./documentService');
+const { loadBranch } = require('./branchService');
+
+const CONTEXT_CONFIG = {
+  // Most recent messages of the branch considered for fitting; pinned messages are considered regardless
+  historyLimit: parseInt(process.env.CONTEXT_HISTORY_LIMIT, 10) || 200,
+  summarize: process.env.CONTEXT_SUMMARIZE !== 'false',
+  summaryModel: process.env.CONTEXT_SUMMARY_MODEL || 'mistralai/mistral-7b-instruct:free',
+  summaryMaxTokens: parseInt(process.env.CONTEXT_SUMMARY_MAX_TOKENS, 10) || 400,
+  // Role and separator tokens each message adds on top of its text
+  messageOverheadTokens: 4,
+  // Summaries kept on a session (one per model scope and cut-off point)
+  cachedSummaries: 5
+};
+
+const countMessageTokens = (msg) => estimateTextTokens(getMessageText(msg)) + CONTEXT_CONFIG.messageOverheadTokens;
+
+// The most recent messages of the branch ending at leafId plus any older pinned ones, oldest first
+const loadHistory = async (session, leafId) => {
+  const branch = await loadBranch(session, leafId);
+  if (branch.length <= CONTEXT_CONFIG.historyLimit) return branch;
+
+  const start = branch.length - CONTEXT_CONFIG.historyLimit;
+  return [...branch.slice(0, start).filter(msg => msg.pinned), ...branch.slice(start)];
+};
+
+// Provider message for a stored ChatMessage; earlier attachments are not re-sent, the model is told they were there
+const toProviderMessage = (msg) => ({
+  role: msg.role,
+  content: msg.attachments?.length
+    ? `${msg.content}\n\n[Attached: ${msg.attachments.map(attachment => attachment.originalName || attachment.type).join(', ')}]`
+    : msg.content
+});
+
+// Split history (oldest first) into the messages to send within budgetTokens and the older ones left over.
+// Pinned and system messages are always kept; the rest are taken newest first until one does not fit.
+const fitHistory = (history, budgetTokens) => {
+  const isKept = msg => msg.pinned || msg.role === 'system';
+  let remaining = budgetTokens - history.filter(isKept).reduce((total, msg) => total + countMessageTokens(toProviderMessage(msg)), 0);
+
+  let cutoff = history.length;
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (isKept(history[i])) continue;
+    const tokens = countMessageTokens(toProviderMessage(history[i]));
+    if (tokens > remaining) break;
+    remaining -= tokens;
+    cutoff = i;
+  }
+
+  return {
+    included: history.filter((msg, i) => i >= cutoff || isKept(msg)),
+    dropped: history.filter((msg, i) => i < cutoff && !isKept(msg))
+  };
+};
+
+const toTranscript = messages => messages.map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${toProviderMessage(msg).content}`).join('\n\n');
+
+// Summary of the dropped messages, reusing (and extending) one cached on the session for the same model scope.
+// Resolves to the summary text, or null when it could not be written.
+const summarizeDropped = async (session, dropped, scope) => {
+  const summaries = session.historySummaries || [];
+  const lastId = dropped[dropped.length - 1].messageId;
+  const cached = summaries.find(summary => summary.scope === scope && summary.throughMessageId === lastId);
+  if (cached) return cached.content;
+
+  // Extend the newest summary that covers a prefix of the dropped messages instead of starting over
+  const positions = new Map(dropped.map((msg, i) => [msg.messageId, i]));
+  const previous = summaries
+    .filter(summary => summary.scope === scope && positions.has(summary.throughMessageId))
+    .sort((a, b) => positions.get(b.throughMessageId) - positions.get(a.throughMessageId))[0];
+  const pending = previous ? dropped.slice(positions.get(previous.throughMessageId) + 1) : dropped;
+
+  // Keep the transcript within the summary model's own window, favouring the newest turns
+  const summaryModel = getConfiguredModel(CONTEXT_CONFIG.summaryModel);
+  const maxChars = ((summaryModel?.limits?.contextLength || DOCUMENT_CONFIG.defaultContextLength) - CONTEXT_CONFIG.summaryMaxTokens - 200) * 4;
+  const transcript = toTranscript(pending).slice(-maxChars);
+
+  try {
+    const result = await generateCompletion(
+      resolveProvider(CONTEXT_CONFIG.summaryModel, summaryModel),
+      CONTEXT_CONFIG.summaryModel,
+      [
+        {
+          role: 'system',
+          content: 'Summarize the conversation below so it can continue without the original messages. Keep names, facts, decisions, open questions and the user\'s preferences. Write plain prose, no preamble.'
+        },
+        {
+          role: 'user',
+          content: previous ? `Summary so far:\n${previous.content}\n\nLater messages:\n${transcript}` : transcript
+        }
+      ],
+      { max_tokens: CONTEXT_CONFIG.summaryMaxTokens, temperature: 0.2 }
+    );
+    const content = result.content?.trim();
+    if (!content) return null;
+
+    session.historySummaries = [
+      {
+        scope,
+        throughMessageId: lastId,
+        messageCount: dropped.length,
+        content,
+        model: CONTEXT_CONFIG.summaryModel,
+        usageTokens: result.usage?.totalTokens || 0
+      },
+      ...summaries
+    ].slice(0, CONTEXT_CONFIG.cachedSummaries);
+    await session.save();
+
+    console.log(`🗜️ Summarized ${pending.length} earlier message(s) of session ${session.sessionId} with ${CONTEXT_CONFIG.summaryModel}`);
+    return content;
+  } catch (error) {
+    console.warn(`⚠️ Summarizing earlier messages failed, sending the recent ones only:`, error.message);
+    return null;
+  }
+};
+
+// Provider messages for a request: contextMessages (system prompts and retrieved passages), a summary of
+// turns that no longer fit, the history that does, and finally `current` (the new user message).
+// History follows the branch ending at parentMessageId, the user message `current` continues from (null for
+// the first turn). When forModelId is given, answers other models gave in earlier comparisons are left out.
+// Resolves to { messages, context } where context reports how the history was fitted.
+const buildContextMessages = async (session, current, { parentMessageId = null, model = null, forModelId = null, maxTokens = DEFAULT_MAX_TOKENS, contextMessages = [] } = {}) => {
+  const history = (await loadHistory(session, parentMessageId))
+    .filter(msg => !forModelId || msg.role !== 'assistant' || !msg.comparisonId || msg.model?.id === forModelId);
+
+  const contextLength = model?.limits?.contextLength || DOCUMENT_CONFIG.defaultContextLength;
+  const budgetTokens = Math.max(0, contextLength - maxTokens
+    - [...contextMessages, current].reduce((total, msg) => total + countMessageTokens(msg), 0));
+
+  let { included, dropped } = fitHistory(history, budgetTokens);
+  let summary = null;
+  if (dropped.length > 0 && CONTEXT_CONFIG.summarize && budgetTokens > CONTEXT_CONFIG.summaryMaxTokens) {
+    // Leave room for the summary, then take the space back if it could not be written
+    ({ included, dropped } = fitHistory(history, budgetTokens - CONTEXT_CONFIG.summaryMaxTokens));
+    const content = dropped.length > 0 && await summarizeDropped(session, dropped, forModelId || '*');
+    if (content) {
+      summary = { role: 'system', content: `Summary of the earlier conversation:\n${content}` };
+    } else {
+      ({ included, dropped } = fitHistory(history, budgetTokens));
+    }
+  }
+
+  const historyMessages = [...(summary ? [summary] : []), ...included.map(toProviderMessage)];
+  const messages = [...contextMessages, ...historyMessages, current];
+
+  return {
+    messages,
+    context: {
+      contextLength,
+      historyMessages: history.length,
+      includedMessages: included.length,
+      pinnedMessages: included.filter(msg => msg.pinned).length,
+      summarizedMessages: summary ? dropped.length : 0,
+      droppedMessages: summary ? 0 : dropped.length,
+      historyTokens: historyMessages.reduce((total, msg) => total + countMessageTokens(msg), 0)
+    }
+  };
+};
+
+module.exports = {
+  CONTEXT_CONFIG,
+  countMessageTokens,
+  fitHistory,
+  buildContextMessages
+};
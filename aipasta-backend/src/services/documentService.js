@@ -0,0 +1,213 @@
+// Document attachments (PDF, DOCX, Markdown, CSV, plain text and source files) used as chat context.
+// On upload the text is extracted and split into chunks; on each request the chunks most relevant
+// to the user's message are added as a system message, within a share of the model's context window.
+
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const Attachment = require('../models/Attachment');
+const DocumentChunk = require('../models/DocumentChunk');
+const { estimateTextTokens } = require('./pricingService');
+
+const DOCUMENT_CONFIG = {
+  chunkTokens: parseInt(process.env.DOCUMENT_CHUNK_TOKENS, 10) || 800,
+  chunkOverlapTokens: parseInt(process.env.DOCUMENT_CHUNK_OVERLAP_TOKENS, 10) || 100,
+  // Most of a model's context window (after the completion) that document passages may fill
+  contextShare: parseFloat(process.env.DOCUMENT_CONTEXT_SHARE) || 0.5,
+  // Used for models without limits.contextLength
+  defaultContextLength: 8192
+};
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const extractText = async (buffer, mimeType) => {
+  if (mimeType === 'application/pdf') {
+    return (await pdfParse(buffer)).text;
+  }
+  if (mimeType === DOCX_MIME_TYPE) {
+    return (await mammoth.extractRawText({ buffer })).value;
+  }
+  return buffer.toString('utf8');
+};
+
+// Split text into chunks of about chunkTokens, breaking on blank lines where possible.
+// Each chunk repeats the tail of the previous one so passages cut at a boundary keep their context.
+const chunkText = (text, { chunkTokens = DOCUMENT_CONFIG.chunkTokens, overlapTokens = DOCUMENT_CONFIG.chunkOverlapTokens } = {}) => {
+  const maxChars = chunkTokens * 4;
+  const overlapChars = Math.min(overlapTokens * 4, Math.floor(maxChars / 2));
+
+  // Paragraphs longer than a chunk are cut into chunk-sized pieces
+  const pieces = text
+    .replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .flatMap(paragraph => {
+      const parts = [];
+      for (let start = 0; start < paragraph.length; start += maxChars) {
+        parts.push(paragraph.slice(start, start + maxChars));
+      }
+      return parts;
+    });
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 2 > maxChars) {
+      chunks.push(current);
+      current = current.slice(-overlapChars);
+    }
+    current = current ? `${current}\n\n${piece}` : piece;
+  }
+  if (current.trim()) chunks.push(current);
+
+  return chunks.map((chunkTextValue, index) => ({
+    index,
+    text: chunkTextValue,
+    tokens: estimateTextTokens(chunkTextValue)
+  }));
+};
+
+// Extract and chunk a stored document attachment. Extraction failures are recorded on the attachment
+// (document.status 'failed') rather than thrown, so the upload itself still succeeds.
+const ingestDocument = async (attachment, buffer) => {
+  try {
+    const text = (await extractText(buffer, attachment.mimeType)).trim();
+    if (!text) {
+      throw new Error('No text could be extracted from this document');
+    }
+
+    const chunks = chunkText(text);
+    await DocumentChunk.deleteMany({ attachmentId: attachment._id });
+    await DocumentChunk.insertMany(chunks.map(chunk => ({
+      ...chunk,
+      attachmentId: attachment._id,
+      userId: attachment.userId
+    })));
+
+    attachment.document = {
+      status: 'ready',
+      characters: text.length,
+      tokens: chunks.reduce((total, chunk) => total + chunk.tokens, 0),
+      chunkCount: chunks.length
+    };
+    console.log(`📄 Extracted ${text.length} characters (${chunks.length} chunks) from ${attachment.originalName}`);
+  } catch (error) {
+    console.warn(`⚠️ Text extraction failed for ${attachment.originalName}:`, error.message);
+    attachment.document = { status: 'failed', error: error.message };
+  }
+  await attachment.save();
+  return attachment;
+};
+
+const removeDocumentChunks = (attachmentId) => DocumentChunk.deleteMany({ attachmentId });
+
+// Prompt tokens documents may use for a model, given the completion size
+const getDocumentBudget = (model, maxTokens = 1000) => {
+  const contextLength = model?.limits?.contextLength || DOCUMENT_CONFIG.defaultContextLength;
+  return Math.max(0, Math.floor((contextLength - maxTokens) * DOCUMENT_CONFIG.contextShare));
+};
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'her', 'was', 'one',
+  'our', 'out', 'has', 'have', 'how', 'its', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'this', 'that',
+  'from', 'they', 'will', 'would', 'there', 'their', 'about', 'into', 'does', 'than', 'then', 'them', 'these', 'those']);
+
+const tokenize = (text) => (text.toLowerCase().match(/[\p{L}\p{N}_]{3,}/gu) || []).filter(word => !STOP_WORDS.has(word));
+
+// Score chunks against the query by term overlap weighted by inverse document frequency
+const scoreChunks = (chunks, query) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  const chunkTerms = chunks.map(chunk => {
+    const counts = new Map();
+    tokenize(chunk.text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+  });
+
+  return chunks.map((chunk, i) => ({
+    chunk,
+    score: queryTerms.reduce((total, term) => {
+      const frequency = chunkTerms[i].get(term);
+      if (!frequency) return total;
+      const containing = chunkTerms.filter(counts => counts.has(term)).length;
+      return total + (1 + Math.log(frequency)) * Math.log(1 + chunks.length / containing);
+    }, 0)
+  }));
+};
+
+// Pick the chunks of the given documents to send with `query`, within budgetTokens.
+// Everything is sent when it fits; otherwise the best-scoring chunks, in document order.
+// Resolves to { chunks, tokens }.
+const selectDocumentChunks = async (attachmentIds, query, budgetTokens) => {
+  if (attachmentIds.length === 0 || budgetTokens <= 0) return { chunks: [], tokens: 0 };
+
+  const chunks = await DocumentChunk.find({ attachmentId: { $in: attachmentIds } })
+    .select('-embedding')
+    .sort({ attachmentId: 1, index: 1 })
+    .lean();
+  const totalTokens = chunks.reduce((total, chunk) => total + chunk.tokens, 0);
+
+  let selected = chunks;
+  if (totalTokens > budgetTokens) {
+    selected = [];
+    let used = 0;
+    for (const { chunk } of scoreChunks(chunks, query).sort((a, b) => b.score - a.score)) {
+      if (used + chunk.tokens > budgetTokens) continue;
+      selected.push(chunk);
+      used += chunk.tokens;
+    }
+  }
+
+  // Keep the documents' own order so passages read naturally
+  const documentOrder = attachmentIds.map(String);
+  selected.sort((a, b) => (documentOrder.indexOf(String(a.attachmentId)) - documentOrder.indexOf(String(b.attachmentId))) || (a.index - b.index));
+
+  return { chunks: selected, tokens: selected.reduce((total, chunk) => total + chunk.tokens, 0) };
+};
+
+// System message carrying the selected passages, labelled with their document names
+const buildDocumentMessage = (documents, chunks) => {
+  if (chunks.length === 0) return null;
+
+  const byId = new Map(documents.map(document => [String(document._id), document]));
+  const passages = chunks.map(chunk => {
+    const document = byId.get(String(chunk.attachmentId));
+    const label = `${document?.originalName || 'Document'} (part ${chunk.index + 1} of ${document?.document?.chunkCount || '?'})`;
+    return `--- ${label} ---\n${chunk.text}`;
+  });
+
+  return {
+    role: 'system',
+    content: `The user has shared the following documents. Use them to answer questions about their contents, and say so when they do not contain the answer.\n\n${passages.join('\n\n')}`
+  };
+};
+
+// Document context for one request: the passages of the session's documents most relevant to `query`,
+// sized to what is left of the model's context window after the conversation (promptTokens) and the
+// completion (maxTokens). Resolves to { message, tokens, chunkCount }, or null when nothing is added.
+const buildDocumentContext = async (documentIds = [], query, model, { promptTokens = 0, maxTokens = 1000 } = {}) => {
+  if (documentIds.length === 0) return null;
+
+  const found = await Attachment.find({ _id: { $in: documentIds }, 'document.status': 'ready' });
+  const byId = new Map(found.map(document => [String(document._id), document]));
+  const documents = documentIds.map(id => byId.get(String(id))).filter(Boolean);
+  if (documents.length === 0) return null;
+
+  const contextLength = model?.limits?.contextLength || DOCUMENT_CONFIG.defaultContextLength;
+  const budget = Math.min(getDocumentBudget(model, maxTokens), contextLength - maxTokens - promptTokens);
+  const { chunks, tokens } = await selectDocumentChunks(documents.map(document => document._id), query, budget);
+  const message = buildDocumentMessage(documents, chunks);
+
+  return message && { message, tokens, chunkCount: chunks.length };
+};
+
+module.exports = {
+  DOCUMENT_CONFIG,
+  DOCX_MIME_TYPE,
+  extractText,
+  chunkText,
+  ingestDocument,
+  removeDocumentChunks,
+  getDocumentBudget,
+  selectDocumentChunks,
+  buildDocumentMessage,
+  buildDocumentContext
+};
@@ -0,0 +1,98 @@
+// Emails the app sends, each rendered to a subject, a plain-text body and an HTML body sharing one layout.
+// Every value interpolated into HTML goes through escapeHtml.
+
+const APP_NAME = 'AI Pasta';
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatNumber = value => Number(value || 0).toLocaleString('en-IN');
+
+// Paragraphs are plain strings (escaped here); action is an optional { label, url } button
+const layout = ({ heading, paragraphs, action, footer }) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f5f5f5;font-family:-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#262626;">
+    <div style="max-width:520px;margin:0 auto;background:#ffffff;border-radius:12px;padding:32px;">
+      <div style="font-size:18px;font-weight:600;color:#7c3aed;margin-bottom:24px;">${APP_NAME}</div>
+      <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(heading)}</h1>
+      ${paragraphs.map(text => `<p style="font-size:14px;line-height:1.6;margin:0 0 12px;">${escapeHtml(text)}</p>`).join('\n      ')}
+      ${action ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="display:inline-block;background:#7c3aed;color:#ffffff;text-decoration:none;padding:10px 20px;border-radius:8px;font-size:14px;">${escapeHtml(action.label)}</a></p>
+      <p style="font-size:12px;color:#737373;word-break:break-all;">${escapeHtml(action.url)}</p>` : ''}
+      ${footer ? `<p style="font-size:12px;color:#737373;margin-top:24px;">${escapeHtml(footer)}</p>` : ''}
+    </div>
+  </body>
+</html>`;
+
+const plainText = ({ heading, paragraphs, action, footer }) => [
+  heading,
+  '',
+  ...paragraphs.flatMap(text => [text, '']),
+  ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+  ...(footer ? [footer, ''] : []),
+  `- ${APP_NAME}`
+].join('\n');
+
+const render = (subject, content) => ({
+  subject,
+  text: plainText(content),
+  html: layout(content)
+});
+
+const templates = {
+  verifyEmail: ({ name, url, expiresHours }) => render(`Verify your ${APP_NAME} email`, {
+    heading: `Welcome${name ? `, ${name}` : ''}!`,
+    paragraphs: [`Confirm this is your email address to finish setting up your ${APP_NAME} account.`],
+    action: { label: 'Verify email', url },
+    footer: `This link expires in ${expiresHours} hours. If you did not create an account, you can ignore this email.`
+  }),
+
+  passwordReset: ({ name, url, expiresMinutes }) => render(`Reset your ${APP_NAME} password`, {
+    heading: 'Reset your password',
+    paragraphs: [`Hi${name ? ` ${name}` : ''}, someone asked to reset the password of your ${APP_NAME} account.`],
+    action: { label: 'Choose a new password', url },
+    footer: `This link expires in ${expiresMinutes} minutes. If you did not ask for it, ignore this email and your password stays the same.`
+  }),
+
+  paymentReceipt: ({ name, planName, tokens, amount, currency, paymentId, paidAt, balance, workspaceName }) => render(`Your ${APP_NAME} receipt`, {
+    heading: 'Thanks for your purchase',
+    paragraphs: [
+      `Hi${name ? ` ${name}` : ''}, we received your payment and added the tokens to ${workspaceName ? `the ${workspaceName} workspace` : 'your account'}.`,
+      `Plan: ${planName}`,
+      `Tokens added: ${formatNumber(tokens)}`,
+      `Amount paid: ${currency} ${Number(amount || 0).toFixed(2)}`,
+      `Payment ID: ${paymentId}`,
+      `Date: ${new Date(paidAt).toUTCString()}`,
+      `New balance: ${formatNumber(balance)} tokens`
+    ],
+    footer: 'Keep this email for your records.'
+  }),
+
+  lowBalance: ({ name, balance, threshold, url }) => render(`Your ${APP_NAME} token balance is running low`, {
+    heading: 'Your token balance is running low',
+    paragraphs: [
+      `Hi${name ? ` ${name}` : ''}, you have ${formatNumber(balance)} tokens left, below your ${formatNumber(threshold)} token warning level.`,
+      'Top up to keep chatting with paid and premium models without interruption.'
+    ],
+    action: { label: 'Buy tokens', url },
+    footer: 'You can turn these warnings off in Settings.'
+  }),
+
+  organizationInvite: ({ inviterName, workspaceName, role, url, expiresDays }) => render(`Join ${workspaceName} on ${APP_NAME}`, {
+    heading: `You're invited to ${workspaceName}`,
+    paragraphs: [
+      `${inviterName || 'A teammate'} invited you to join the ${workspaceName} workspace on ${APP_NAME} as ${role === 'admin' ? 'an admin' : 'a member'}.`,
+      'Members share the workspace token balance, chat folders and prompt library.'
+    ],
+    action: { label: 'Accept invitation', url },
+    footer: `This invitation expires in ${expiresDays} days. Sign in or create an account with this email address to accept it.`
+  })
+};
+
+module.exports = {
+  templates,
+  escapeHtml
+};
@@ -0,0 +1,218 @@
+// Conversation export. JSON keeps every message of every branch (see branchService) in the documented
+// aipasta.conversations format, which POST /api/chat/import reads back. Markdown and HTML show the branch
+// being displayed, one turn at a time, with all answers of a comparison turn together.
+
+const ChatMessage = require('../models/ChatMessage');
+const { getActiveLeafId, loadBranch } = require('./branchService');
+
+const EXPORT_FORMAT = 'aipasta.conversations';
+const EXPORT_VERSION = 1;
+
+const EXPORT_CONFIG = {
+  // Sessions in one bulk export, newest first
+  maxSessions: parseInt(process.env.EXPORT_MAX_SESSIONS, 10) || 500
+};
+
+// File details per ?format= (pdf is HTML laid out for printing to PDF)
+const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  pdf: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+const toId = id => (id ? String(id) : null);
+
+const modelLabel = model => (model?.name || model?.id || 'Assistant') + (model?.provider ? ` (${model.provider})` : '');
+
+// A session and its messages in the export format
+const toExportConversation = (session, messages) => ({
+  id: toId(session._id),
+  title: session.title || 'Untitled chat',
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+  activeMessageId: toId(session.activeMessageId),
+  systemPrompt: session.systemPrompt?.content || null,
+  settings: session.settings || {},
+  messages: messages.map(msg => ({
+    id: toId(msg._id),
+    parentId: toId(msg.parentMessageId),
+    role: msg.role,
+    content: msg.content,
+    model: msg.role === 'assistant' && msg.model?.id
+      ? { id: msg.model.id, name: msg.model.name, provider: msg.model.provider }
+      : null,
+    comparisonId: msg.comparisonId || null,
+    isActive: msg.isActive !== false,
+    pinned: Boolean(msg.pinned),
+    status: msg.status,
+    error: msg.error?.message || null,
+    attachments: (msg.attachments || []).map(attachment => ({
+      type: attachment.type,
+      name: attachment.originalName || attachment.filename,
+      mimeType: attachment.mimeType,
+      size: attachment.size
+    })),
+    citations: (msg.citations || []).map(({ index, documentName, excerpt, cited }) => ({ index, documentName, excerpt, cited })),
+    usage: {
+      inputTokens: msg.usage?.inputTokens || 0,
+      outputTokens: msg.usage?.outputTokens || 0
+    },
+    cost: msg.cost?.totalCost || 0,
+    createdAt: msg.createdAt
+  }))
+});
+
+// Sessions ready to render: JSON gets every message, the other formats the branch being shown
+const loadConversations = async (sessions, format) => Promise.all(sessions.map(async (session) => {
+  const messages = format === 'json'
+    ? await ChatMessage.find({ sessionId: session.sessionId }).sort({ createdAt: 1 })
+    : await loadBranch(session, await getActiveLeafId(session));
+  return toExportConversation(session, messages);
+}));
+
+// Branch messages as turns: a question and its answers (messages before any question form their own turn)
+const groupTurns = (messages) => {
+  const turns = [];
+  for (const msg of messages) {
+    const current = turns[turns.length - 1];
+    if (msg.role === 'assistant' && current && (!msg.parentId || msg.parentId === current.question?.id)) {
+      current.answers.push(msg);
+    } else if (msg.role === 'user') {
+      turns.push({ question: msg, answers: [] });
+    } else {
+      turns.push({ question: null, answers: [], other: msg });
+    }
+  }
+  return turns;
+};
+
+const formatDate = date => (date ? new Date(date).toISOString().slice(0, 16).replace('T', ' ') : '');
+
+const toMarkdown = (conversations) => conversations.map((conversation) => {
+  const lines = [`# ${conversation.title}`, '', `_Exported from AI Pasta on ${formatDate(new Date())} UTC_`, ''];
+  if (conversation.systemPrompt) {
+    lines.push('> **System prompt**', ...conversation.systemPrompt.split('\n').map(line => `> ${line}`), '');
+  }
+
+  for (const turn of groupTurns(conversation.messages)) {
+    if (turn.other) {
+      lines.push(`## ${turn.other.role === 'system' ? 'System' : 'Message'}`, '', turn.other.content, '');
+      continue;
+    }
+    if (turn.question) {
+      lines.push(`## You · ${formatDate(turn.question.createdAt)}`, '', turn.question.content, '');
+      turn.question.attachments.forEach(attachment => lines.push(`- 📎 ${attachment.name}`));
+      if (turn.question.attachments.length > 0) lines.push('');
+    }
+    turn.answers.forEach((answer, index) => {
+      const heading = turn.answers.length > 1
+        ? `### Answer ${index + 1} of ${turn.answers.length}: ${modelLabel(answer.model)}`
+        : `### ${modelLabel(answer.model)}`;
+      lines.push(heading, '', answer.error && !answer.content ? `_Failed: ${answer.error}_` : answer.content, '');
+      answer.citations.filter(citation => citation.cited).forEach(citation => lines.push(`[${citation.index}]: ${citation.documentName}`));
+      if (answer.citations.some(citation => citation.cited)) lines.push('');
+    });
+    lines.push('---', '');
+  }
+  return lines.join('\n');
+}).join('\n\n');
+
+const escapeHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2937; line-height: 1.5; margin: 0 auto; max-width: 960px; padding: 24px; }
+  h1 { font-size: 1.6em; margin-bottom: 0.2em; }
+  .meta { color: #6b7280; font-size: 0.85em; }
+  .system { background: #f3f4f6; border-left: 3px solid #9ca3af; padding: 8px 12px; margin: 12px 0; }
+  .turn { margin: 20px 0; }
+  .message { border: 1px solid #e5e7eb; border-radius: 8px; padding: 10px 14px; }
+  .question { background: #f5f3ff; border-color: #ddd6fe; }
+  .answers { display: grid; gap: 12px; margin-top: 10px; }
+  .label { font-size: 0.8em; font-weight: 600; color: #6b7280; margin-bottom: 4px; }
+  .content { white-space: pre-wrap; word-wrap: break-word; }
+  .failed { color: #b91c1c; font-style: italic; }
+  .sources { font-size: 0.8em; color: #6b7280; margin-top: 6px; }
+`;
+
+// Printing to PDF: A4 pages, each conversation on a new page, turns kept together where they fit
+const PRINT_STYLES = `
+  @page { size: A4; margin: 16mm; }
+  body { max-width: none; padding: 0; font-size: 11pt; }
+  section + section { break-before: page; }
+  .turn, .message { break-inside: avoid; }
+  .question { background: none; }
+`;
+
+const renderMessageHtml = (msg, label, className = '') => `
+      <div class="message ${className}">
+        <div class="label">${escapeHtml(label)}</div>
+        ${msg.error && !msg.content
+    ? `<div class="content failed">Failed: ${escapeHtml(msg.error)}</div>`
+    : `<div class="content">${escapeHtml(msg.content)}</div>`}
+        ${msg.attachments.length > 0 ? `<div class="sources">📎 ${msg.attachments.map(attachment => escapeHtml(attachment.name)).join(', ')}</div>` : ''}
+        ${msg.citations.some(citation => citation.cited)
+    ? `<div class="sources">${msg.citations.filter(citation => citation.cited).map(citation => `[${citation.index}] ${escapeHtml(citation.documentName)}`).join('<br>')}</div>`
+    : ''}
+      </div>`;
+
+const renderConversationHtml = conversation => `
+  <section>
+    <h1>${escapeHtml(conversation.title)}</h1>
+    <div class="meta">Started ${escapeHtml(formatDate(conversation.createdAt))} UTC</div>
+    ${conversation.systemPrompt ? `<div class="system"><div class="label">System prompt</div><div class="content">${escapeHtml(conversation.systemPrompt)}</div></div>` : ''}
+    ${groupTurns(conversation.messages).map(turn => `
+    <div class="turn">
+      ${turn.other ? renderMessageHtml(turn.other, turn.other.role === 'system' ? 'System' : 'Message') : ''}
+      ${turn.question ? renderMessageHtml(turn.question, `You · ${formatDate(turn.question.createdAt)}`, 'question') : ''}
+      ${turn.answers.length > 0 ? `
+      <div class="answers" style="grid-template-columns: repeat(${Math.min(turn.answers.length, 3)}, minmax(0, 1fr));">
+        ${turn.answers.map(answer => renderMessageHtml(answer, modelLabel(answer.model))).join('')}
+      </div>` : ''}
+    </div>`).join('')}
+  </section>`;
+
+const toHtml = (conversations, { print = false } = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(conversations.length === 1 ? conversations[0].title : 'AI Pasta conversations')}</title>
+  <style>${HTML_STYLES}${print ? PRINT_STYLES : ''}</style>
+</head>
+<body>${conversations.map(renderConversationHtml).join('\n')}
+</body>
+</html>
+`;
+
+// The export file of sessions in format: { body, contentType, filename }
+const buildExport = async (sessions, format) => {
+  const conversations = await loadConversations(sessions, format);
+  const { extension, contentType } = EXPORT_FORMATS[format];
+
+  let body;
+  if (format === 'json') {
+    body = JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date(), conversations }, null, 2);
+  } else if (format === 'markdown') {
+    body = toMarkdown(conversations);
+  } else {
+    body = toHtml(conversations, { print: format === 'pdf' });
+  }
+
+  const name = sessions.length === 1
+    ? (sessions[0].title || 'chat').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'chat'
+    : `conversations-${new Date().toISOString().slice(0, 10)}`;
+  return { body, contentType, filename: `aipasta-${name}.${extension}` };
+};
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  EXPORT_CONFIG,
+  EXPORT_FORMATS,
+  buildExport
+};
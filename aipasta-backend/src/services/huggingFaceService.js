@@ -1,7 +1,9 @@
 const fetch = require('node-fetch');
+const BaseProvider = require('./baseProvider');
 
-class HuggingFaceService {
+class HuggingFaceService extends BaseProvider {
   constructor(apiKey) {
+    super({ name: 'Hugging Face' });
     this.apiKey = apiKey;
     this.baseURL = 'https://huggingface.co/api';
     this.inferenceURL = 'https://api-inference.huggingface.co';
@@ -294,12 +296,16 @@ class HuggingFaceService {
             wait_for_model: true,
             use_cache: false
           }
-        })
+        }),
+        signal: options.signal
       });
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`HuggingFace inference error: ${errorText}`);
+        const error = new Error(`HuggingFace inference error: ${errorText}`);
+        error.status = response.status;
+        error.retryAfter = response.headers.get('retry-after');
+        throw error;
       }
 
       return await response.json();
@@ -309,6 +315,63 @@ class HuggingFaceService {
     }
   }
 
+  // Adapter interface (see baseProvider.js). The inference API takes a single prompt and has no
+  // streaming, so only the last message is sent and BaseProvider.stream relays it in one chunk.
+
+  listModels() {
+    return this.getModels();
+  }
+
+  async chat(modelId, messages, options = {}) {
+    const message = BaseProvider.getMessageText(messages[messages.length - 1]);
+    const response = await this.createTextGeneration(modelId, message, {
+      temperature: options.temperature || 0.7,
+      max_tokens: options.max_tokens || 1000,
+      top_p: options.top_p || 0.9,
+      top_k: options.top_k || 50,
+      signal: options.signal
+    });
+
+    const content = Array.isArray(response) && response[0]?.generated_text
+      ? response[0].generated_text.replace(message, '').trim()
+      : 'No response generated';
+
+    // HuggingFace doesn't provide usage stats, estimate based on response length
+    return {
+      content,
+      usage: {
+        promptTokens: Math.ceil(message.length / 4),
+        completionTokens: Math.ceil(content.length / 4),
+        totalTokens: Math.ceil((message.length + content.length) / 4)
+      },
+      message: { role: 'assistant', content },
+      finishReason: 'stop'
+    };
+  }
+
+  async embed(modelId, input, options = {}) {
+    const response = await fetch(`${this.inferenceURL}/pipeline/feature-extraction/${modelId}`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({ inputs: input, options: { wait_for_model: true } }),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HuggingFace embedding error: ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    const inputs = Array.isArray(input) ? input : [input];
+    const promptTokens = inputs.reduce((total, text) => total + Math.ceil(String(text).length / 4), 0);
+    return {
+      embeddings: Array.isArray(input) ? data : [data],
+      usage: { promptTokens, completionTokens: 0, totalTokens: promptTokens }
+    };
+  }
+
   async getModelInfo(modelId) {
     try {
       const response = await fetch(`${this.baseURL}/models/${modelId}`, {
@@ -0,0 +1,282 @@
+// Conversation import from an AI Pasta JSON export (see exportService), a ChatGPT export (conversations.json)
+// or an OpenRouter chatroom export. Each source is turned into the same plain conversations first: messages
+// keyed by their id in the file, with parentKey following branchService (a question points at the question
+// before it, an answer at its question). Sessions and messages are then created with new ids.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ChatSession = require('../models/ChatSession');
+const ChatMessage = require('../models/ChatMessage');
+const { AppError } = require('../middleware/errorHandler');
+const { EXPORT_FORMAT } = require('./exportService');
+
+const IMPORT_CONFIG = {
+  maxBytes: parseInt(process.env.IMPORT_MAX_FILE_SIZE, 10) || 25 * 1024 * 1024,
+  // Conversations created by one import, newest first; the rest are reported as skipped
+  maxConversations: parseInt(process.env.IMPORT_MAX_CONVERSATIONS, 10) || 500
+};
+
+const ROLES = ['user', 'assistant', 'system'];
+
+const randomId = () => crypto.randomBytes(6).toString('hex');
+
+const toDate = (value, fallback = null) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+  return Number.isNaN(date.getTime()) ? fallback : date;
+};
+
+const slotOf = msg => msg.model?.id || null;
+
+// Show one version per question and model: the one on the file's active path, otherwise the newest
+const settleActiveVersions = (messages, activeKeys = new Set()) => {
+  const groups = new Map();
+  messages.filter(msg => msg.role === 'assistant').forEach((msg) => {
+    const key = `${slotOf(msg)}:${msg.parentKey}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(msg);
+  });
+
+  for (const versions of groups.values()) {
+    const shown = versions.find(msg => activeKeys.has(msg.key))
+      || versions.find(msg => msg.isActive)
+      || versions[versions.length - 1];
+    versions.forEach((msg) => { msg.isActive = msg === shown; });
+  }
+};
+
+// Answers from several models to the same question share a comparisonId, as in POST /api/chat/compare
+const linkComparisons = (messages) => {
+  const byQuestion = new Map();
+  messages.filter(msg => msg.role === 'assistant' && msg.parentKey).forEach((msg) => {
+    if (!byQuestion.has(msg.parentKey)) byQuestion.set(msg.parentKey, []);
+    byQuestion.get(msg.parentKey).push(msg);
+  });
+
+  for (const [questionKey, answers] of byQuestion) {
+    if (new Set(answers.map(slotOf)).size < 2) continue;
+    const comparisonId = `cmp_${Date.now()}_${randomId()}`;
+    answers.forEach((msg) => { msg.comparisonId = comparisonId; });
+    const question = messages.find(msg => msg.key === questionKey);
+    if (question) question.comparisonId = comparisonId;
+  }
+};
+
+// The AI Pasta JSON export: already in this shape
+const fromAiPasta = data => (data.conversations || []).map(conversation => ({
+  title: conversation.title,
+  createdAt: toDate(conversation.createdAt),
+  systemPrompt: conversation.systemPrompt || null,
+  settings: conversation.settings || {},
+  activeKey: conversation.activeMessageId || null,
+  messages: (conversation.messages || []).map(msg => ({
+    key: String(msg.id),
+    parentKey: msg.parentId ? String(msg.parentId) : null,
+    role: msg.role,
+    content: msg.content,
+    model: msg.model || null,
+    comparisonId: msg.comparisonId || null,
+    isActive: msg.isActive !== false,
+    pinned: Boolean(msg.pinned),
+    createdAt: toDate(msg.createdAt)
+  }))
+}));
+
+// ChatGPT's conversations.json: a tree of nodes (mapping) that also holds system, tool and hidden messages
+const chatGPTText = (message) => {
+  const content = message?.content || {};
+  if (!['text', 'multimodal_text'].includes(content.content_type)) return '';
+  return (content.parts || []).filter(part => typeof part === 'string').join('\n').trim();
+};
+
+const fromChatGPT = conversations => conversations.map((conversation) => {
+  const nodes = conversation.mapping || {};
+  const kept = new Map();
+  for (const [id, node] of Object.entries(nodes)) {
+    const message = node?.message;
+    const role = message?.author?.role;
+    if (!['user', 'assistant'].includes(role) || message.metadata?.is_visually_hidden_from_conversation) continue;
+    const content = chatGPTText(message);
+    if (content) kept.set(id, { role, content, message });
+  }
+
+  // Nearest kept question above a node
+  const questionAbove = (id) => {
+    let current = nodes[id]?.parent;
+    while (current) {
+      if (kept.get(current)?.role === 'user') return current;
+      current = nodes[current]?.parent;
+    }
+    return null;
+  };
+
+  const activeKeys = new Set();
+  for (let id = conversation.current_node; id; id = nodes[id]?.parent) activeKeys.add(id);
+
+  const messages = [...kept].map(([id, { role, content, message }]) => {
+    const slug = message.metadata?.model_slug;
+    return {
+      key: id,
+      parentKey: questionAbove(id),
+      role,
+      content,
+      model: role === 'assistant' ? { id: slug ? `openai/${slug}` : 'openai/chatgpt', name: slug || 'ChatGPT', provider: 'openai' } : null,
+      createdAt: toDate(message.create_time, toDate(conversation.create_time))
+    };
+  }).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+  settleActiveVersions(messages, activeKeys);
+  const current = conversation.current_node;
+  return {
+    title: conversation.title,
+    createdAt: toDate(conversation.create_time),
+    activeKey: kept.get(current)?.role === 'user' ? current : questionAbove(current),
+    messages
+  };
+});
+
+// OpenRouter chatroom export: characters (the models in the room) and messages, each from a character or
+// the user; every model in the room answers each question
+const fromOpenRouter = chats => chats.map((chat) => {
+  const characters = chat.characters || {};
+  const entries = Array.isArray(chat.messages)
+    ? chat.messages
+    : Object.entries(chat.messages || {}).map(([id, msg]) => ({ id, ...msg }));
+
+  let questionKey = null;
+  let previousQuestionKey = null;
+  const messages = entries
+    .map((msg, index) => ({ msg, index, createdAt: toDate(msg.createdAt || msg.updatedAt) }))
+    .sort((a, b) => ((a.createdAt || 0) - (b.createdAt || 0)) || a.index - b.index)
+    .map(({ msg, index, createdAt }) => {
+      const role = msg.characterId === 'USER' || msg.role === 'user' ? 'user' : 'assistant';
+      const character = characters[msg.characterId] || {};
+      const modelId = character.model || character.modelInfo?.slug || msg.model || null;
+      const key = String(msg.id || index);
+      if (role === 'user') {
+        previousQuestionKey = questionKey;
+        questionKey = key;
+      }
+      return {
+        key,
+        parentKey: role === 'user' ? previousQuestionKey : questionKey,
+        role,
+        content: typeof msg.content === 'string' ? msg.content.trim() : '',
+        model: role === 'assistant'
+          ? { id: modelId || 'openrouter/unknown', name: character.modelInfo?.name || character.name || modelId || 'OpenRouter', provider: 'openrouter' }
+          : null,
+        createdAt
+      };
+    })
+    .filter(msg => msg.content);
+
+  settleActiveVersions(messages);
+  linkComparisons(messages);
+  return {
+    title: chat.title,
+    createdAt: messages[0]?.createdAt || null,
+    activeKey: questionKey,
+    messages
+  };
+});
+
+// Which export the parsed file is, and its conversations
+const parseImportFile = (data) => {
+  if (data?.format === EXPORT_FORMAT) {
+    return { source: 'aipasta', conversations: fromAiPasta(data) };
+  }
+  const items = Array.isArray(data) ? data : [data];
+  if (items.length > 0 && items.every(item => item && typeof item.mapping === 'object')) {
+    return { source: 'chatgpt', conversations: fromChatGPT(items) };
+  }
+  if (items.length > 0 && items.every(item => item && item.messages && (item.characters || String(item.version || '').startsWith('orpg')))) {
+    return { source: 'openrouter', conversations: fromOpenRouter(items) };
+  }
+
+  const formatErr = new AppError('Unrecognised file: import an AI Pasta JSON export, ChatGPT conversations.json or an OpenRouter chat export', 400);
+  formatErr.code = 'UNSUPPORTED_IMPORT';
+  throw formatErr;
+};
+
+// Create a session and its messages for one parsed conversation (also used to fork shared links)
+const createConversation = async (userId, conversation) => {
+  const messages = conversation.messages.filter(msg => ROLES.includes(msg.role) && typeof msg.content === 'string' && msg.content);
+  if (messages.length === 0) return null;
+
+  const sessionId = `chat_${Date.now()}_${randomId()}`;
+  const ids = new Map(messages.map(msg => [msg.key, new mongoose.Types.ObjectId()]));
+  const comparisonIds = new Map();
+  const createdAt = conversation.createdAt || messages[0].createdAt || new Date();
+
+  const documents = messages.map((msg, index) => {
+    if (msg.comparisonId && !comparisonIds.has(msg.comparisonId)) {
+      comparisonIds.set(msg.comparisonId, `cmp_${Date.now()}_${randomId()}`);
+    }
+    return {
+      _id: ids.get(msg.key),
+      sessionId,
+      userId,
+      messageId: `msg_${Date.now()}_${index}_${randomId()}`,
+      role: msg.role,
+      content: msg.content,
+      model: msg.model || undefined,
+      parentMessageId: (msg.parentKey && ids.get(msg.parentKey)) || null,
+      isActive: msg.isActive !== false,
+      pinned: Boolean(msg.pinned),
+      comparisonId: comparisonIds.get(msg.comparisonId) || null,
+      status: 'completed',
+      createdAt: msg.createdAt || createdAt
+    };
+  });
+
+  const models = new Map();
+  documents.filter(doc => doc.role === 'assistant' && doc.model?.id).forEach((doc) => {
+    const entry = models.get(doc.model.id) || { ...doc.model, usageCount: 0 };
+    entry.usageCount += 1;
+    models.set(doc.model.id, entry);
+  });
+
+  const lastQuestion = [...documents].reverse().find(doc => doc.role === 'user');
+  await ChatMessage.insertMany(documents);
+  try {
+    return await ChatSession.create({
+      sessionId,
+      userId,
+      title: (conversation.title || messages.find(msg => msg.role === 'user')?.content || 'Imported chat').trim().slice(0, 200),
+      messageCount: documents.length,
+      models: [...models.values()],
+      systemPrompt: conversation.systemPrompt ? { content: conversation.systemPrompt } : undefined,
+      settings: conversation.settings || {},
+      activeMessageId: ids.get(conversation.activeKey) || lastQuestion?._id || null,
+      createdAt,
+      lastMessageAt: documents[documents.length - 1].createdAt
+    });
+  } catch (error) {
+    await ChatMessage.deleteMany({ sessionId });
+    throw error;
+  }
+};
+
+// Import the parsed contents of an export file for userId.
+// Resolves to { source, sessions, skipped } (skipped: empty conversations and those over the limit).
+const importConversations = async (userId, data) => {
+  const { source, conversations } = parseImportFile(data);
+  const newestFirst = [...conversations].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  const selected = newestFirst.slice(0, IMPORT_CONFIG.maxConversations);
+
+  const sessions = [];
+  for (const conversation of selected) {
+    const session = await createConversation(userId, conversation);
+    if (session) sessions.push(session);
+  }
+
+  console.log(`📥 Imported ${sessions.length} ${source} conversation(s) for user ${userId}`);
+  return { source, sessions, skipped: conversations.length - sessions.length };
+};
+
+module.exports = {
+  IMPORT_CONFIG,
+  parseImportFile,
+  createConversation,
+  importConversations
+};
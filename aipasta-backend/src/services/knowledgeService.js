@@ -0,0 +1,147 @@
+// Knowledge bases: named sets of uploaded documents whose chunks (see documentService) are embedded
+// through the provider layer and searched by similarity to each chat message. The retrieved passages
+// are shared by every model answering the message and returned as numbered citations.
+
+const Attachment = require('../models/Attachment');
+const DocumentChunk = require('../models/DocumentChunk');
+const { createEmbeddings } = require('./completionService');
+const { resolveProvider, getConfiguredModel } = require('./providerRegistry');
+const { getVectorStore } = require('./vectorStore');
+
+const KNOWLEDGE_CONFIG = {
+  // Any embeddings model a registered provider serves, e.g. "local:nomic-embed-text"
+  embeddingModel: process.env.EMBEDDING_MODEL || 'openai/text-embedding-3-small',
+  batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 64,
+  topK: parseInt(process.env.KNOWLEDGE_TOP_K, 10) || 5,
+  // Chunks scoring below this cosine similarity are not used
+  minScore: parseFloat(process.env.KNOWLEDGE_MIN_SCORE) || 0,
+  excerptChars: 300
+};
+
+// Embed texts in batches; resolves to { vectors, tokens }
+const embedTexts = async (texts, model, signal = undefined) => {
+  const provider = resolveProvider(model, getConfiguredModel(model));
+  const vectors = [];
+  let tokens = 0;
+
+  for (let start = 0; start < texts.length; start += KNOWLEDGE_CONFIG.batchSize) {
+    const batch = texts.slice(start, start + KNOWLEDGE_CONFIG.batchSize);
+    const { embeddings, usage } = await createEmbeddings(provider, model, batch, signal);
+    if (!Array.isArray(embeddings) || embeddings.length !== batch.length) {
+      throw new Error(`${model} returned ${embeddings?.length || 0} embeddings for ${batch.length} inputs`);
+    }
+    vectors.push(...embeddings);
+    tokens += usage?.promptTokens || usage?.totalTokens || 0;
+  }
+
+  return { vectors, tokens };
+};
+
+// Embed the chunks of the knowledge base's documents that are not yet indexed with its model, and
+// refresh its counts. Failures are recorded on the knowledge base (status 'failed') rather than thrown.
+const indexKnowledgeBase = async (knowledgeBase) => {
+  try {
+    const pending = await DocumentChunk.find({
+      attachmentId: { $in: knowledgeBase.documents },
+      'embedding.model': { $ne: knowledgeBase.embeddingModel }
+    }).select('_id text').lean();
+
+    if (pending.length > 0) {
+      const { vectors, tokens } = await embedTexts(pending.map(chunk => chunk.text), knowledgeBase.embeddingModel);
+      await getVectorStore().save(
+        pending.map((chunk, i) => ({ chunkId: chunk._id, vector: vectors[i] })),
+        knowledgeBase.embeddingModel
+      );
+      knowledgeBase.embeddingTokens += tokens;
+      console.log(`🧭 Embedded ${pending.length} chunk(s) for knowledge base "${knowledgeBase.name}" with ${knowledgeBase.embeddingModel}`);
+    }
+
+    const [totals] = await DocumentChunk.aggregate([
+      { $match: { attachmentId: { $in: knowledgeBase.documents } } },
+      { $group: { _id: null, chunkCount: { $sum: 1 }, tokens: { $sum: '$tokens' } } }
+    ]);
+    knowledgeBase.chunkCount = totals?.chunkCount || 0;
+    knowledgeBase.tokens = totals?.tokens || 0;
+    knowledgeBase.status = knowledgeBase.documents.length > 0 ? 'ready' : 'empty';
+    knowledgeBase.error = undefined;
+    knowledgeBase.indexedAt = new Date();
+  } catch (error) {
+    console.warn(`⚠️ Indexing knowledge base "${knowledgeBase.name}" failed:`, error.message);
+    knowledgeBase.status = 'failed';
+    knowledgeBase.error = error.message;
+  }
+  await knowledgeBase.save();
+  return knowledgeBase;
+};
+
+// The topK chunks most similar to `query`, best first, dropping any that would exceed budgetTokens.
+// Resolves to { results: [{ chunk, score }], tokens }. Throws if the query cannot be embedded.
+const retrieveChunks = async (knowledgeBase, query, { topK = KNOWLEDGE_CONFIG.topK, budgetTokens = Infinity, signal } = {}) => {
+  if (knowledgeBase.documents.length === 0 || knowledgeBase.chunkCount === 0) return { results: [], tokens: 0 };
+
+  const { vectors: [vector] } = await embedTexts([query], knowledgeBase.embeddingModel, signal);
+  const matches = await getVectorStore().search({
+    attachmentIds: knowledgeBase.documents,
+    model: knowledgeBase.embeddingModel,
+    vector,
+    topK
+  });
+
+  const results = [];
+  let tokens = 0;
+  for (const match of matches) {
+    if (match.score < KNOWLEDGE_CONFIG.minScore || tokens + match.chunk.tokens > budgetTokens) continue;
+    results.push(match);
+    tokens += match.chunk.tokens;
+  }
+  return { results, tokens };
+};
+
+// System message carrying the retrieved passages as numbered sources, and the matching citations
+const buildKnowledgeContext = async (knowledgeBase, results) => {
+  if (results.length === 0) return null;
+
+  const documents = await Attachment.find({ _id: { $in: results.map(({ chunk }) => chunk.attachmentId) } })
+    .select('originalName document.chunkCount');
+  const byId = new Map(documents.map(document => [String(document._id), document]));
+
+  const citations = results.map(({ chunk, score }, i) => {
+    const document = byId.get(String(chunk.attachmentId));
+    return {
+      index: i + 1,
+      attachmentId: chunk.attachmentId,
+      chunkId: chunk._id,
+      documentName: document?.originalName || 'Document',
+      chunkIndex: chunk.index,
+      chunkCount: document?.document?.chunkCount,
+      score: Math.round(score * 10000) / 10000,
+      excerpt: chunk.text.slice(0, KNOWLEDGE_CONFIG.excerptChars)
+    };
+  });
+
+  const sources = results.map(({ chunk }, i) => {
+    const citation = citations[i];
+    return `[${citation.index}] ${citation.documentName} (part ${chunk.index + 1})\n${chunk.text}`;
+  });
+
+  return {
+    message: {
+      role: 'system',
+      content: `Answer using the sources below from the "${knowledgeBase.name}" knowledge base. Cite the sources you use inline as [1], [2], etc. If they do not contain the answer, say so.\n\n${sources.join('\n\n')}`
+    },
+    citations
+  };
+};
+
+// Citations with `cited` set for the sources the response actually refers to
+const markCitedSources = (citations = [], content = '') =>
+  citations.map(citation => ({ ...citation, cited: content.includes(`[${citation.index}]`) }));
+
+module.exports = {
+  KNOWLEDGE_CONFIG,
+  embedTexts,
+  indexKnowledgeBase,
+  retrieveChunks,
+  buildKnowledgeContext,
+  markCitedSources
+};
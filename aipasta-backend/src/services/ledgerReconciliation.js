@@ -0,0 +1,186 @@
+// Ledger reconciliation: checks each user's wallet (`tokens.balance` / `tokens.reserved`)
+// against the sum of their TokenLedger entries.
+//
+// The ledger is authoritative. Report mode only reads. `releaseStale: true` also releases reservations
+// left open longer than the stale window (crashed or aborted requests). `recordOpening: true` writes an
+// 'opening' entry for wallets that predate the ledger: their balance before it, i.e. the wallet minus
+// what the ledger has recorded since. A missing opening balance is never treated as drift.
+// `fix: true` does all of that and recomputes `tokens.balance` and `tokens.reserved` from the ledger,
+// applying the difference with $inc so requests charged or held meanwhile are kept. Wallets that change
+// while being checked are left for the next run.
+
+const User = require('../models/User');
+const TokenLedger = require('../models/TokenLedger');
+
+const DEFAULT_STALE_MINUTES = parseInt(process.env.LEDGER_STALE_RESERVATION_MINUTES, 10) || 15;
+
+// Reserve entries older than the cutoff that were never settled or released
+const findStaleReservations = async (userId, staleAfterMinutes) => {
+  const cutoff = new Date(Date.now() - staleAfterMinutes * 60 * 1000);
+  const reserves = await TokenLedger.find({ userId, type: 'reserve', createdAt: { $lt: cutoff } })
+    .select('reservationId reservedDelta createdAt');
+  if (reserves.length === 0) return [];
+
+  const closed = await TokenLedger.distinct('reservationId', {
+    reservationId: { $in: reserves.map(r => r.reservationId) },
+    type: { $in: ['settle', 'release'] }
+  });
+  return reserves.filter(r => !closed.includes(r.reservationId));
+};
+
+// Move a wallet's balance by `amount` (from the free pool first when lowering it, into the free pool when raising it)
+const correctBalance = (userId, amount) => {
+  const free = { $ifNull: ['$tokens.freeTokens', 0] };
+  const paid = { $ifNull: ['$tokens.paidTokens', 0] };
+  const fromFree = amount < 0 ? { $min: [-amount, free] } : -amount;
+  const fromPaid = amount < 0 ? { $min: [{ $subtract: [-amount, fromFree] }, paid] } : 0;
+  return User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        'tokens.freeTokens': { $subtract: [free, fromFree] },
+        'tokens.paidTokens': { $subtract: [paid, fromPaid] }
+      }
+    },
+    { $set: { 'tokens.balance': { $add: ['$tokens.freeTokens', '$tokens.paidTokens'] } } },
+    { $set: { credits: '$tokens.balance' } }
+  ]);
+};
+
+// When the ledger started: its first entry. Users created after it got a signup entry; older ones need an opening balance.
+const findLedgerStart = async () => {
+  const first = await TokenLedger.findOne({}).sort({ createdAt: 1 }).select('createdAt');
+  return first ? first.createdAt : new Date();
+};
+
+// A wallet that existed before the ledger and has no opening entry yet
+const needsOpening = async (user, ledgerStart) => {
+  if (!user.createdAt || user.createdAt >= ledgerStart) return false;
+  const recorded = await TokenLedger.exists({
+    userId: user._id,
+    idempotencyKey: { $in: [`opening:${user._id}`, `signup:${user._id}`] }
+  });
+  return !recorded;
+};
+
+const sameWallet = (a, b) => (a.tokens?.balance || 0) === (b?.tokens?.balance || 0) && (a.tokens?.reserved || 0) === (b?.tokens?.reserved || 0);
+
+const reconcileUser = async (userId, {
+  fix = false,
+  releaseStale = fix,
+  recordOpening = fix,
+  staleAfterMinutes = DEFAULT_STALE_MINUTES,
+  ledgerStart
+} = {}) => {
+  let user = await User.findById(userId).select('email tokens createdAt');
+  if (!user) return null;
+
+  const report = {
+    userId: String(user._id),
+    email: user.email,
+    openingRecorded: false,
+    openingPending: null,
+    staleReservations: [],
+    adjustments: []
+  };
+
+  let totals = await TokenLedger.getTotals(user._id);
+
+  // The balance carried in from before the ledger: whatever the ledger has not recorded since. A request
+  // in flight (wallet changing, or holds not matching the ledger's) would skew it, so that waits a run.
+  if (await needsOpening(user, ledgerStart || await findLedgerStart())) {
+    const opening = (user.tokens?.balance || 0) - totals.balance;
+    const current = await User.findById(user._id).select('tokens');
+    const settled = sameWallet(user, current) && (current.tokens?.reserved || 0) === totals.reserved;
+    if (recordOpening && settled) {
+      await TokenLedger.record({
+        userId: user._id,
+        type: 'opening',
+        balanceDelta: opening,
+        idempotencyKey: `opening:${user._id}`,
+        description: 'Opening balance'
+      });
+      report.openingRecorded = true;
+    } else {
+      report.openingPending = opening;
+    }
+  }
+
+  const stale = await findStaleReservations(user._id, staleAfterMinutes);
+  report.staleReservations = stale.map(r => ({
+    reservationId: r.reservationId,
+    amount: r.reservedDelta,
+    createdAt: r.createdAt
+  }));
+  if (releaseStale) {
+    for (const reservation of stale) {
+      await TokenLedger.release(reservation.reservationId, { description: 'Stale hold released by reconciliation' });
+    }
+  }
+
+  if (report.openingRecorded || (releaseStale && stale.length > 0)) {
+    user = await User.findById(userId).select('email tokens createdAt');
+    totals = await TokenLedger.getTotals(user._id);
+  }
+
+  const wallet = {
+    balance: user.tokens?.balance || 0,
+    reserved: user.tokens?.reserved || 0
+  };
+  report.wallet = wallet;
+  report.ledger = { balance: totals.balance, reserved: totals.reserved, entries: totals.entries };
+  report.drift = {
+    balance: wallet.balance - totals.balance - (report.openingPending || 0),
+    reserved: wallet.reserved - totals.reserved
+  };
+
+  const drifted = report.drift.balance !== 0 || report.drift.reserved !== 0;
+  if (fix && drifted) {
+    // A request charged or held while the ledger was summed would look like drift: skip this wallet
+    const current = await User.findById(user._id).select('tokens');
+    if (!sameWallet(user, current)) {
+      report.skipped = 'Wallet changed during reconciliation';
+    } else {
+      if (report.drift.balance !== 0) {
+        await correctBalance(user._id, -report.drift.balance);
+        report.adjustments.push({ field: 'balance', amount: -report.drift.balance });
+      }
+      if (report.drift.reserved !== 0) {
+        // Holds are only valid while the ledger has an open reservation for them
+        await User.updateOne({ _id: user._id }, { $inc: { 'tokens.reserved': -report.drift.reserved } });
+        report.adjustments.push({ field: 'reserved', amount: -report.drift.reserved });
+      }
+    }
+  }
+
+  report.inSync = report.drift.balance === 0 && report.drift.reserved === 0 && stale.length === 0;
+  return report;
+};
+
+// Reconcile every user; returns a summary plus the reports for users that were out of sync
+const reconcileAll = async (options = {}) => {
+  const summary = { checked: 0, outOfSync: 0, openingsRecorded: 0, fixed: !!options.fix, reports: [] };
+  const ledgerStart = options.ledgerStart || await findLedgerStart();
+
+  const cursor = User.find({}).select('_id').lean().cursor();
+  for (let doc = await cursor.next(); doc != null; doc = await cursor.next()) {
+    try {
+      const report = await reconcileUser(doc._id, { ...options, ledgerStart });
+      if (!report) continue;
+      summary.checked++;
+      if (report.openingRecorded) summary.openingsRecorded++;
+      if (!report.inSync) {
+        summary.outOfSync++;
+        summary.reports.push(report);
+      }
+    } catch (error) {
+      console.error(`❌ Ledger reconciliation failed for user ${doc._id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  reconcileUser,
+  reconcileAll
+};
@@ -0,0 +1,158 @@
+// Outgoing email: renders a template (services/emailTemplates.js), hands it to the configured transport
+// (services/mailTransports.js) and records every attempt in EmailLog. Sends are retried with backoff unless
+// the server rejected the email outright. Emails with a dedupeKey go out at most once; a failed one may be
+// sent again under the same key.
+
+const EmailLog = require('../models/EmailLog');
+const { templates } = require('./emailTemplates');
+const { getMailTransport } = require('./mailTransports');
+
+const MAIL_CONFIG = {
+  from: process.env.MAIL_FROM || 'AI Pasta <no-reply@aipasta.local>',
+  // Links in emails point at the frontend
+  appUrl: (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 3,
+  retryBaseMs: 1000,
+  verifyExpiresHours: 24,
+  resetExpiresMinutes: 30,
+  // Warn users whose balance drops below this many tokens (0 turns the warnings off)
+  lowBalanceThreshold: parseInt(process.env.LOW_BALANCE_THRESHOLD ?? '1000', 10) || 0
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Log document for a new send, or null when an email with the same dedupeKey was already sent
+const openLog = async (fields) => {
+  try {
+    return await EmailLog.create(fields);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return EmailLog.findOneAndUpdate(
+      { dedupeKey: fields.dedupeKey, status: 'failed' },
+      { $set: { status: 'pending' } },
+      { new: true }
+    );
+  }
+};
+
+// Render and send one email. Resolves to { sent, messageId } or { sent: false, error }; { skipped: true }
+// when a dedupeKey was already used.
+const sendMail = async ({ to, template, data = {}, userId = null, dedupeKey }) => {
+  const render = templates[template];
+  if (!render) throw new Error(`Unknown email template: ${template}`);
+  const { subject, text, html } = render(data);
+
+  const log = await openLog({ userId, to, template, subject, dedupeKey });
+  if (!log) return { skipped: true };
+
+  for (let attempt = 1; ; attempt += 1) {
+    let transport = null;
+    try {
+      transport = getMailTransport();
+      const { messageId } = await transport.send({ from: MAIL_CONFIG.from, to, subject, text, html });
+      log.set({ status: 'sent', transport: transport.name, messageId, sentAt: new Date() });
+      log.attempts.push({ at: new Date() });
+      await log.save();
+      return { sent: true, messageId };
+    } catch (error) {
+      log.transport = transport?.name || process.env.MAIL_TRANSPORT || 'console';
+      log.attempts.push({ at: new Date(), error: error.message });
+      // A misconfigured transport or a 5xx reply fails the same way on every attempt
+      if (!transport || error.permanent || attempt >= MAIL_CONFIG.maxAttempts) {
+        log.status = 'failed';
+        await log.save();
+        console.error(`❌ Failed to send ${template} email to ${to}:`, error.message);
+        return { sent: false, error: error.message };
+      }
+      await log.save();
+      await sleep(MAIL_CONFIG.retryBaseMs * 2 ** (attempt - 1));
+    }
+  }
+};
+
+// Send without holding up the request that triggered the email
+const sendInBackground = (mail) => {
+  sendMail(mail).catch(error => console.error(`❌ Error sending ${mail.template} email:`, error.message));
+};
+
+const sendVerificationEmail = (user, token) => sendInBackground({
+  to: user.email,
+  userId: user._id,
+  template: 'verifyEmail',
+  data: {
+    name: user.name,
+    url: `${MAIL_CONFIG.appUrl}/verify-email/${token}`,
+    expiresHours: MAIL_CONFIG.verifyExpiresHours
+  }
+});
+
+const sendPasswordResetEmail = (user, token) => sendInBackground({
+  to: user.email,
+  userId: user._id,
+  template: 'passwordReset',
+  data: {
+    name: user.name,
+    url: `${MAIL_CONFIG.appUrl}/reset-password/${token}`,
+    expiresMinutes: MAIL_CONFIG.resetExpiresMinutes
+  }
+});
+
+// Receipt for a credited payment; at most one per payment even when verify and the webhook both credit it.
+// For a plan bought for an organization, pass it to name the workspace and show its balance.
+const sendPaymentReceipt = (user, plan, payment, organization = null) => sendInBackground({
+  to: user.email,
+  userId: user._id,
+  template: 'paymentReceipt',
+  dedupeKey: `receipt:${payment.paymentId}`,
+  data: {
+    name: user.name,
+    planName: plan.name,
+    tokens: plan.tokens,
+    amount: payment.amount,
+    currency: 'INR',
+    paymentId: payment.paymentId,
+    paidAt: new Date(),
+    balance: (organization || user).tokens.balance,
+    workspaceName: organization?.name
+  }
+});
+
+// Invitation to join an organization; token is the one in the invitation link
+const sendOrganizationInvite = (invite, organization, inviter, token, expiresDays) => sendInBackground({
+  to: invite.email,
+  template: 'organizationInvite',
+  data: {
+    inviterName: inviter.name,
+    workspaceName: organization.name,
+    role: invite.role,
+    url: `${MAIL_CONFIG.appUrl}/invite/${token}`,
+    expiresDays
+  }
+});
+
+// Warn once when a charge takes the balance from at or above the threshold to below it. user is the
+// account after the charge; users can opt out with preferences.lowBalanceEmails.
+const warnIfLowBalance = (user, charged) => {
+  const threshold = MAIL_CONFIG.lowBalanceThreshold;
+  const balance = user?.tokens?.balance;
+  if (!threshold || !(charged > 0) || typeof balance !== 'number') return;
+  if (balance >= threshold || balance + charged < threshold) return;
+  if (user.preferences?.lowBalanceEmails === false) return;
+
+  sendInBackground({
+    to: user.email,
+    userId: user._id,
+    template: 'lowBalance',
+    data: { name: user.name, balance, threshold, url: `${MAIL_CONFIG.appUrl}/chat` }
+  });
+};
+
+module.exports = {
+  MAIL_CONFIG,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPaymentReceipt,
+  sendOrganizationInvite,
+  warnIfLowBalance
+};
@@ -0,0 +1,255 @@
+// Transports that deliver emails built by services/mailService.js. MAIL_TRANSPORT picks one:
+//   console (default) - prints each email to the server log, for local development
+//   file              - writes each email as an .eml file under MAIL_FILE_DIR (./mail-outbox)
+//   smtp              - any SMTP relay: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+// All expose send({ from, to, subject, text, html }) -> { messageId }.
+
+const fs = require('fs/promises');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Bare address from "Name <address>" or "address"
+const parseAddress = (value) => {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+};
+
+// RFC 2047 encoded-word for header values that are not plain ASCII
+const encodeHeader = value => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+const base64Lines = value => Buffer.from(value).toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+
+// A multipart/alternative MIME message with a text and an HTML part
+const buildMessage = ({ from, to, subject, text, html }) => {
+  const domain = parseAddress(from).split('@')[1] || os.hostname();
+  const messageId = `<${crypto.randomBytes(12).toString('hex')}@${domain}>`;
+  const boundary = `aipasta_${crypto.randomBytes(12).toString('hex')}`;
+
+  const raw = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+
+  return { messageId, raw };
+};
+
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(mail) {
+    const { messageId } = buildMessage(mail);
+    console.log(`📧 [mail:console] To: ${mail.to} | Subject: ${mail.subject}\n${mail.text}`);
+    return { messageId };
+  }
+}
+
+class FileTransport {
+  constructor(dir) {
+    this.name = 'file';
+    this.dir = path.resolve(dir);
+  }
+
+  async send(mail) {
+    const { messageId, raw } = buildMessage(mail);
+    await fs.mkdir(this.dir, { recursive: true });
+    const fileName = `${Date.now()}-${messageId.slice(1, 13)}.eml`;
+    await fs.writeFile(path.join(this.dir, fileName), raw);
+    console.log(`📧 [mail:file] ${mail.subject} -> ${mail.to} (${fileName})`);
+    return { messageId };
+  }
+}
+
+// Reads SMTP replies off a socket one at a time. A reply ends at the line whose code is followed by a space.
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.error = null;
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.on('data', (chunk) => {
+      this.buffer += chunk.toString('utf8');
+      this.flush();
+    });
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  detach() {
+    ['data', 'error', 'close'].forEach(event => this.socket.removeAllListeners(event));
+    this.socket.setTimeout(0);
+    return this.socket;
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    if (this.waiter) {
+      const { reject } = this.waiter;
+      this.waiter = null;
+      reject(this.error);
+    }
+  }
+
+  flush() {
+    if (!this.waiter) return;
+    const lines = this.buffer.split('\r\n').slice(0, -1);
+    const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (end === -1) return;
+
+    const reply = lines.slice(0, end + 1);
+    this.buffer = this.buffer.split('\r\n').slice(end + 1).join('\r\n');
+    const { resolve } = this.waiter;
+    this.waiter = null;
+    resolve({ code: parseInt(reply[end].slice(0, 3), 10), lines: reply.map(line => line.slice(4)) });
+  }
+
+  read() {
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => {
+      this.waiter = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  // Send a command and require one of the expected reply codes. label names the command in errors so
+  // credentials never end up in logs.
+  async command(line, expected, label = line.split(' ')[0]) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      const error = new Error(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      error.responseCode = reply.code;
+      // 5xx replies are permanent; retrying the same email will not help
+      error.permanent = reply.code >= 500;
+      throw error;
+    }
+    return reply;
+  }
+}
+
+const connectSocket = (host, port, secure) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+    : net.connect({ host, port }, () => resolve(socket));
+  socket.once('error', reject);
+});
+
+const upgradeSocket = (socket, host) => new Promise((resolve, reject) => {
+  const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+  secureSocket.once('error', reject);
+});
+
+// Minimal SMTP client: EHLO, STARTTLS when offered, AUTH PLAIN or LOGIN, then one message per connection
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass, timeoutMs = 15000 }) {
+    if (!host) {
+      throw new Error('SMTP mail transport needs SMTP_HOST');
+    }
+    this.name = 'smtp';
+    this.host = host;
+    this.port = port || (secure ? 465 : 587);
+    this.secure = Boolean(secure);
+    this.user = user;
+    this.pass = pass;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send(mail) {
+    const { messageId, raw } = buildMessage(mail);
+    const connection = new SmtpConnection(await connectSocket(this.host, this.port, this.secure), this.timeoutMs);
+
+    try {
+      await connection.command(null, [220], 'greeting');
+      let extensions = (await connection.command(`EHLO ${os.hostname()}`, [250])).lines;
+
+      if (!this.secure && extensions.some(line => /^STARTTLS/i.test(line))) {
+        await connection.command('STARTTLS', [220]);
+        connection.attach(await upgradeSocket(connection.detach(), this.host));
+        extensions = (await connection.command(`EHLO ${os.hostname()}`, [250])).lines;
+      }
+
+      if (this.user) {
+        const auth = extensions.find(line => /^AUTH[ =]/i.test(line)) || '';
+        if (/\bPLAIN\b/i.test(auth)) {
+          const credentials = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64');
+          await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH PLAIN');
+        } else {
+          await connection.command('AUTH LOGIN', [334]);
+          await connection.command(Buffer.from(this.user).toString('base64'), [334], 'AUTH LOGIN user');
+          await connection.command(Buffer.from(this.pass || '').toString('base64'), [235], 'AUTH LOGIN');
+        }
+      }
+
+      await connection.command(`MAIL FROM:<${parseAddress(mail.from)}>`, [250], 'MAIL FROM');
+      await connection.command(`RCPT TO:<${parseAddress(mail.to)}>`, [250, 251], 'RCPT TO');
+      await connection.command('DATA', [354]);
+      // Dot-stuff lines that start with "." and end the data with a line holding a single "."
+      await connection.command(`${raw.replace(/^\./gm, '..')}\r\n.`, [250], 'message');
+      await connection.command('QUIT', [221]).catch(() => {});
+      return { messageId };
+    } finally {
+      connection.socket.destroy();
+    }
+  }
+}
+
+const createMailTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        timeoutMs: parseInt(process.env.SMTP_TIMEOUT_MS, 10) || undefined
+      });
+    case 'file':
+      return new FileTransport(process.env.MAIL_FILE_DIR || path.join(__dirname, '../../mail-outbox'));
+    default:
+      return new ConsoleTransport();
+  }
+};
+
+let transport = null;
+
+// Transport for outgoing email (created on first use so config errors surface on the first send)
+const getMailTransport = () => {
+  if (!transport) transport = createMailTransport();
+  return transport;
+};
+
+module.exports = {
+  ConsoleTransport,
+  FileTransport,
+  SmtpTransport,
+  buildMessage,
+  getMailTransport
+};
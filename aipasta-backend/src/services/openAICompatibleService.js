@@ -0,0 +1,133 @@
+// Adapter for any server that speaks the OpenAI REST API: Ollama (http://localhost:11434/v1),
+// llama.cpp server, vLLM, LM Studio, or hosted OpenAI-compatible endpoints.
+const BaseProvider = require('./baseProvider');
+
+class OpenAICompatibleService extends BaseProvider {
+  constructor({ name, baseURL, apiKey = null, modelPrefix = null, headers = {}, pricing = null, timeoutMs = 120000 }) {
+    super({ name, modelPrefix });
+
+    if (!baseURL) {
+      throw new Error(`Provider "${name}" needs a baseURL`);
+    }
+
+    this.baseURL = baseURL.replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+    // USD per token; self-hosted models are free unless configured otherwise
+    this.pricing = { input: 0, output: 0, image: 0, ...(pricing || {}) };
+    this.headers = {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      ...headers
+    };
+
+    console.log(`✅ ${name} provider configured at ${this.baseURL}${modelPrefix ? ` (models: ${modelPrefix}:<id>)` : ''}`);
+  }
+
+  async request(path, body, signal) {
+    // Local servers can hang while loading a model; give up after timeoutMs (AbortSignal.any needs Node 20)
+    const timeoutSignal = AbortSignal.timeout(this.timeoutMs);
+    const combinedSignal = signal && AbortSignal.any ? AbortSignal.any([signal, timeoutSignal]) : (signal || timeoutSignal);
+    const response = await fetch(`${this.baseURL}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: this.headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: combinedSignal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      let message = errorText;
+      try {
+        message = JSON.parse(errorText).error?.message || errorText;
+      } catch {
+        // Plain-text error body
+      }
+      const error = new Error(`${this.name} error: ${message}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+
+    return response;
+  }
+
+  // Shape a model id as an AIModel-like record so it can be listed, priced and routed
+  formatModel(id) {
+    const modelId = this.modelPrefix ? `${this.modelPrefix}:${id}` : id;
+    return {
+      modelId,
+      name: id,
+      provider: this.name,
+      description: `${id} via ${this.name}`,
+      category: 'text-only',
+      capabilities: { text: true, image: false, audio: false, video: false, code: id.toLowerCase().includes('code'), function_calling: false },
+      pricing: { ...this.pricing, audio: 0 },
+      limits: { maxTokens: 4096, contextLength: 4096 },
+      metadata: { tags: ['self-hosted'], popularity: { usage: 0 } },
+      status: 'active',
+      isAvailable: true
+    };
+  }
+
+  async listModels() {
+    const response = await this.request('/models');
+    const data = await response.json();
+    return (data.data || []).map(model => this.formatModel(model.id));
+  }
+
+  buildRequestBody(modelId, messages, options) {
+    const body = {
+      model: this.toProviderModelId(modelId),
+      messages,
+      temperature: options.temperature,
+      top_p: options.top_p,
+      max_tokens: options.max_tokens,
+      frequency_penalty: options.frequency_penalty,
+      presence_penalty: options.presence_penalty,
+      tools: options.tools,
+      tool_choice: options.tool_choice,
+      stop: options.stop,
+      seed: options.seed,
+      response_format: options.response_format
+    };
+    Object.keys(body).forEach(key => body[key] === undefined && delete body[key]);
+    return body;
+  }
+
+  async chat(modelId, messages, options = {}) {
+    const response = await this.request('/chat/completions', this.buildRequestBody(modelId, messages, options), options.signal);
+    const data = await response.json();
+
+    const choice = data.choices?.[0] || {};
+    const hasToolCalls = Array.isArray(choice.message?.tool_calls) && choice.message.tool_calls.length > 0;
+    const content = choice.message?.content || (hasToolCalls ? '' : 'No response generated');
+
+    return {
+      content,
+      usage: data.usage ? BaseProvider.fromOpenAIUsage(data.usage) : null,
+      message: { role: 'assistant', ...choice.message, content: choice.message?.content ?? (hasToolCalls ? null : content) },
+      finishReason: choice.finish_reason || 'stop'
+    };
+  }
+
+  async *stream(modelId, messages, options = {}) {
+    const body = {
+      ...this.buildRequestBody(modelId, messages, options),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    const response = await this.request('/chat/completions', body, options.signal);
+    yield* BaseProvider.parseEventStream(response.body, this.name);
+  }
+
+  async embed(modelId, input, options = {}) {
+    const response = await this.request('/embeddings', { model: this.toProviderModelId(modelId), input }, options.signal);
+    const data = await response.json();
+    return {
+      embeddings: data.data.map(item => item.embedding),
+      usage: data.usage ? BaseProvider.fromOpenAIUsage(data.usage) : null
+    };
+  }
+}
+
+module.exports = OpenAICompatibleService;
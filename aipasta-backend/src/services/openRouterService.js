@@ -1,8 +1,13 @@
 // Use Node.js built-in fetch (available in Node 18+)
 // const fetch = require('node-fetch');
+const BaseProvider = require('./baseProvider');
 
-class OpenRouterService {
+// OpenAI request fields forwarded to OpenRouter as-is when present
+const PASSTHROUGH_PARAMS = ['tools', 'tool_choice', 'parallel_tool_calls', 'stop', 'seed', 'response_format', 'logit_bias'];
+
+class OpenRouterService extends BaseProvider {
   constructor(apiKey) {
+    super({ name: 'OpenRouter' });
     console.log('🔧 OpenRouterService constructor called with API key:', apiKey ? `${apiKey.substring(0, 10)}...` : 'MISSING');
     
     if (!apiKey) {
@@ -120,6 +125,7 @@ class OpenRouterService {
   }
 
   async createChatCompletion(modelId, messages, options = {}) {
+    const { signal, ...requestOptions } = options;
     try {
       console.log('🔐 OpenRouter headers being sent:', {
         ...this.headers,
@@ -129,17 +135,17 @@ class OpenRouterService {
       const requestBody = {
         model: modelId,
         messages: messages,
-        stream: options.stream || false,
-        max_tokens: options.max_tokens || 1000,
-        temperature: options.temperature || 0.7,
-        top_p: options.top_p || 1,
-        frequency_penalty: options.frequency_penalty || 0,
-        presence_penalty: options.presence_penalty || 0,
+        stream: requestOptions.stream || false,
+        max_tokens: requestOptions.max_tokens || 1000,
+        temperature: requestOptions.temperature || 0.7,
+        top_p: requestOptions.top_p || 1,
+        frequency_penalty: requestOptions.frequency_penalty || 0,
+        presence_penalty: requestOptions.presence_penalty || 0,
         // Add transforms to utilize free daily requests first
         transforms: ["middle-out"],
         // Route preference to utilize free daily limits before paid credits
         route: "fallback",
-        ...options
+        ...requestOptions
       };
 
       console.log('📡 OpenRouter request details:', {
@@ -157,26 +163,12 @@ class OpenRouterService {
       const response = await fetch(`${this.baseURL}/chat/completions`, {
         method: 'POST',
         headers: this.headers,
-        body: JSON.stringify(requestBody)
+        body: JSON.stringify(requestBody),
+        signal
       });
 
       if (!response.ok) {
-        const errorText = await response.text();
-        console.log('❌ OpenRouter API Error Response:', {
-          status: response.status,
-          statusText: response.statusText,
-          headers: Object.fromEntries(response.headers.entries()),
-          body: errorText
-        });
-        
-        let errorMessage;
-        try {
-          const errorJson = JSON.parse(errorText);
-          errorMessage = errorJson.error?.message || errorText;
-        } catch {
-          errorMessage = errorText;
-        }
-        throw new Error(`OpenRouter chat error: ${errorMessage}`);
+        throw await this.parseErrorResponse(response);
       }
 
       const data = await response.json();
@@ -202,6 +194,143 @@ class OpenRouterService {
     }
   }
 
+  /**
+   * Stream a chat completion from OpenRouter.
+   * Yields each parsed SSE chunk (OpenAI delta format) until the upstream sends [DONE].
+   * Pass `options.signal` (AbortSignal) to cancel the upstream request.
+   */
+  async *createChatCompletionStream(modelId, messages, options = {}) {
+    const { signal, ...requestOptions } = options;
+
+    const requestBody = {
+      model: modelId,
+      messages: messages,
+      max_tokens: requestOptions.max_tokens || 1000,
+      temperature: requestOptions.temperature || 0.7,
+      top_p: requestOptions.top_p || 1,
+      frequency_penalty: requestOptions.frequency_penalty || 0,
+      presence_penalty: requestOptions.presence_penalty || 0,
+      transforms: ["middle-out"],
+      route: "fallback",
+      ...requestOptions,
+      stream: true,
+      // Ask OpenRouter to append a final chunk carrying the usage numbers
+      stream_options: { include_usage: true }
+    };
+
+    console.log('📡 OpenRouter streaming request:', {
+      model: modelId,
+      messageCount: messages.length
+    });
+
+    const response = await fetch(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await this.parseErrorResponse(response);
+    }
+
+    // OpenRouter also sends ": OPENROUTER PROCESSING" keep-alive comments, which the parser skips
+    yield* BaseProvider.parseEventStream(response.body, 'OpenRouter');
+  }
+
+  // Adapter interface (see baseProvider.js)
+
+  listModels() {
+    return this.getModels();
+  }
+
+  buildRequestOptions(options = {}) {
+    const requestOptions = {
+      temperature: options.temperature || 0.7,
+      max_tokens: options.max_tokens || 1000,
+      top_p: options.top_p || 0.9,
+      top_k: options.top_k,
+      frequency_penalty: options.frequency_penalty,
+      presence_penalty: options.presence_penalty,
+      signal: options.signal
+    };
+    PASSTHROUGH_PARAMS.forEach(param => {
+      if (options[param] !== undefined) requestOptions[param] = options[param];
+    });
+    return requestOptions;
+  }
+
+  async chat(modelId, messages, options = {}) {
+    console.log('🔄 Calling OpenRouter service with:', { modelId, messagesCount: messages.length });
+
+    const response = await this.createChatCompletion(modelId, messages, this.buildRequestOptions(options));
+
+    const choice = response.choices[0] || {};
+    const hasToolCalls = Array.isArray(choice.message?.tool_calls) && choice.message.tool_calls.length > 0;
+    const content = choice.message?.content || (hasToolCalls ? '' : 'No response generated');
+
+    return {
+      content,
+      usage: response.usage ? BaseProvider.fromOpenAIUsage(response.usage) : null,
+      message: { role: 'assistant', ...choice.message, content: choice.message?.content ?? (hasToolCalls ? null : content) },
+      finishReason: choice.finish_reason || 'stop'
+    };
+  }
+
+  async *stream(modelId, messages, options = {}) {
+    for await (const chunk of this.createChatCompletionStream(modelId, messages, this.buildRequestOptions(options))) {
+      // OpenRouter reports mid-stream failures as a chunk carrying an error object
+      if (chunk.error) {
+        const error = new Error(`OpenRouter stream error: ${chunk.error.message || 'unknown error'}`);
+        error.status = chunk.error.code >= 400 ? chunk.error.code : 502;
+        throw error;
+      }
+      yield chunk;
+    }
+  }
+
+  async embed(modelId, input, options = {}) {
+    const response = await fetch(`${this.baseURL}/embeddings`, {
+      method: 'POST',
+      headers: this.headers,
+      body: JSON.stringify({ model: modelId, input }),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      throw await this.parseErrorResponse(response);
+    }
+
+    const data = await response.json();
+    return {
+      embeddings: data.data.map(item => item.embedding),
+      usage: data.usage ? BaseProvider.fromOpenAIUsage(data.usage) : null
+    };
+  }
+
+  async parseErrorResponse(response) {
+    const errorText = await response.text();
+    console.log('❌ OpenRouter API Error Response:', {
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers.entries()),
+      body: errorText
+    });
+
+    let errorMessage;
+    try {
+      const errorJson = JSON.parse(errorText);
+      errorMessage = errorJson.error?.message || errorText;
+    } catch {
+      errorMessage = errorText;
+    }
+
+    const error = new Error(`OpenRouter chat error: ${errorMessage}`);
+    error.status = response.status;
+    error.retryAfter = response.headers.get('retry-after');
+    return error;
+  }
+
   async getModelInfo(modelId) {
     try {
       const models = await this.getModels();
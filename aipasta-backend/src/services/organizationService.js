@@ -0,0 +1,94 @@
+// Team workspaces (see models/Organization): roles, invitation tokens, and what a request made in a workspace
+// works with - the organization's plan and shared balance instead of the user's, and the organization's
+// shared folders.
+
+const crypto = require('crypto');
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
+const { AppError } = require('../middleware/errorHandler');
+
+const ORGANIZATION_CONFIG = {
+  inviteExpiresDays: parseInt(process.env.ORG_INVITE_EXPIRES_DAYS, 10) || 7
+};
+
+// Roles that manage members, invitations, caps and billing
+const MANAGER_ROLES = ['owner', 'admin'];
+
+const canManage = membership => Boolean(membership && MANAGER_ROLES.includes(membership.role));
+
+const organizationError = (message, statusCode, code) => {
+  const error = new AppError(message, statusCode);
+  error.code = code;
+  return error;
+};
+
+const hashInviteToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Token for an invitation link; only { tokenHash } is stored
+const createInviteToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashInviteToken(token) };
+};
+
+// The organization the request acts in (set by resolveWorkspace), or null for the personal workspace
+const getWorkspaceId = req => (req.workspace ? req.workspace.organization._id : null);
+
+// What decides model access and the plan multiplier for a request: the user in their personal workspace,
+// otherwise the organization's plan and balance with the user's role
+const getBillingAccount = (user, workspace) => {
+  if (!workspace) return user;
+  const { organization } = workspace;
+  return {
+    role: user.role,
+    currentPlan: organization.currentPlan,
+    canUseModel: modelType => organization.canUseModel(modelType)
+  };
+};
+
+// 402 for a workspace request TokenLedger.reserve turned down: over the member's monthly cap
+// (MONTHLY_CAP_REACHED) or more than the shared balance has left (INSUFFICIENT_TOKENS)
+const workspaceShortfallError = async (workspace, amount) => {
+  const [organization, membership] = await Promise.all([
+    Organization.findById(workspace.organization._id),
+    OrganizationMember.findById(workspace.membership._id)
+  ]);
+  const allowance = membership ? membership.getAllowance() : null;
+  if (allowance && allowance.remaining !== null && allowance.remaining < amount) {
+    return organizationError(
+      `This request may use up to ${amount} tokens, but only ${allowance.remaining} of your ${allowance.cap} monthly workspace tokens are left.`,
+      402,
+      'MONTHLY_CAP_REACHED'
+    );
+  }
+
+  const available = organization ? Math.max(0, organization.tokens.balance - (organization.tokens.reserved || 0)) : 0;
+  return organizationError(
+    `Insufficient workspace tokens. This request may use up to ${amount} tokens, but ${organization?.name || 'the workspace'} only has ${available} tokens available.`,
+    402,
+    'INSUFFICIENT_TOKENS'
+  );
+};
+
+// Chat folders a request can see and file into: the organization's shared folders in a workspace,
+// otherwise the user's own
+const folderScope = (userId, organizationId) => (organizationId ? { organizationId } : { userId, organizationId: null });
+
+// Sessions a request can open: the user's own and, in a workspace, teammates' sessions filed in its
+// shared folders (read-only)
+const readableSessionScope = (userId, organizationId) => (organizationId
+  ? { $or: [{ userId }, { organizationId, folderId: { $ne: null } }] }
+  : { userId });
+
+module.exports = {
+  ORGANIZATION_CONFIG,
+  MANAGER_ROLES,
+  canManage,
+  organizationError,
+  hashInviteToken,
+  createInviteToken,
+  getWorkspaceId,
+  getBillingAccount,
+  workspaceShortfallError,
+  folderScope,
+  readableSessionScope
+};
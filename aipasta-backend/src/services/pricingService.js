@@ -0,0 +1,159 @@
+// Pricing engine: converts provider-reported usage into wallet tokens.
+//
+//   walletTokens = ceil(providerCostUSD × (1 + platformMargin) × planMultiplier / usdPerWalletToken)
+//
+// Free models have no provider cost, so they are billed per 1K processed tokens instead.
+// Every request costs at least `minimumCharge` tokens. The same function produces the
+// pre-send quote (POST /api/models/quote) and the final charge, so estimates match deductions.
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const PRICING_CONFIG = {
+  usdPerWalletToken: readNumber(process.env.PRICING_USD_PER_WALLET_TOKEN, 0.0001) || 0.0001,
+  platformMargin: readNumber(process.env.PRICING_PLATFORM_MARGIN, 0.2),
+  freeModelTokensPer1K: readNumber(process.env.PRICING_FREE_TOKENS_PER_1K, 1),
+  minimumCharge: readNumber(process.env.PRICING_MINIMUM_CHARGE, 1),
+  usdToInr: 83,
+  // Used for paid models that are not in the catalogue (USD per token, like OpenRouter's pricing)
+  defaultPricing: { input: 0.000001, output: 0.000002, image: 0 }
+};
+
+// Completion length assumed for quotes when the caller gives no estimate
+const DEFAULT_COMPLETION_ESTIMATE = 150;
+// Completion cap used when the request does not set max_tokens (matches the chat default)
+const DEFAULT_MAX_TOKENS = 1000;
+
+// Decide whether a model is billed against the free or paid token pool
+const resolveModelType = (modelId, model) => {
+  if (model && model.pricing) {
+    // If model has pricing, determine if it's free or paid
+    if (model.pricing.input > 0 || model.pricing.output > 0) {
+      return { modelType: 'paid' };
+    }
+    return { modelType: 'free' };
+  }
+
+  // For direct API calls without model in DB, check model ID for "free" designation
+  // Enhanced detection for free models including OpenRouter free models
+  const isFreeModel = modelId.includes(':free') || 
+                     modelId.includes('free') || 
+                     modelId.includes('Free') ||
+                     modelId.includes('-free') ||
+                     modelId.includes('/free') ||
+                     modelId.endsWith(':free') ||
+                     // OpenRouter specific free model patterns
+                     modelId.includes('meta-llama/llama-3.1-405b-instruct:free') ||
+                     modelId.includes('google/gemini-flash-1.5:free') ||
+                     modelId.includes('mistralai/mistral-7b-instruct:free');
+  
+  if (isFreeModel) {
+    console.log(`🆓 Detected free model: ${modelId}`);
+    return { modelType: 'free' };
+  }
+
+  console.log(`💳 Detected paid model: ${modelId}`);
+  return { modelType: 'paid' };
+};
+
+// Rough token count (~4 characters per token) used when the provider reports none
+const estimateTextTokens = (text = '') => Math.ceil(String(text).length / 4);
+
+const getModelPricing = (model, modelType) => {
+  if (model && model.pricing) {
+    return {
+      input: model.pricing.input || 0,
+      output: model.pricing.output || 0,
+      image: model.pricing.image || 0
+    };
+  }
+  return modelType === 'free' ? { input: 0, output: 0, image: 0 } : PRICING_CONFIG.defaultPricing;
+};
+
+// Provider cost of a request in USD. Model pricing is stored per token, as OpenRouter reports it
+const calculateProviderCost = (model, usage, modelType = 'paid', imageCount = 0) => {
+  const pricing = getModelPricing(model, modelType);
+  const inputCost = (usage.promptTokens || 0) * pricing.input;
+  const outputCost = (usage.completionTokens || 0) * pricing.output;
+  const imageCost = imageCount * pricing.image;
+  const usd = inputCost + outputCost + imageCost;
+
+  return { inputCost, outputCost, imageCost, usd, inr: usd * PRICING_CONFIG.usdToInr };
+};
+
+// Per-plan price multiplier (discounts below 1, surcharges above 1); no plan means list price
+const getPlanMultiplier = (plan) => {
+  const multiplier = plan && plan.pricingMultiplier;
+  return Number.isFinite(multiplier) && multiplier >= 0 ? multiplier : 1;
+};
+
+// Wallet tokens for a request with the given usage
+const quoteWalletTokens = ({ model = null, modelType = 'paid', usage, planMultiplier = 1, imageCount = 0 }) => {
+  const providerCost = calculateProviderCost(model, usage, modelType, imageCount);
+  const totalTokens = (usage.promptTokens || 0) + (usage.completionTokens || 0);
+
+  let baseTokens;
+  if (providerCost.usd > 0) {
+    baseTokens = (providerCost.usd * (1 + PRICING_CONFIG.platformMargin)) / PRICING_CONFIG.usdPerWalletToken;
+  } else {
+    baseTokens = (totalTokens / 1000) * PRICING_CONFIG.freeModelTokensPer1K;
+  }
+
+  const tokens = Math.max(PRICING_CONFIG.minimumCharge, Math.ceil(baseTokens * planMultiplier));
+
+  return {
+    tokens,
+    providerCost,
+    platformMargin: PRICING_CONFIG.platformMargin,
+    planMultiplier
+  };
+};
+
+// Quote a request before it is sent: the expected charge, and the most it can cost
+// (a full max_tokens completion), which is what gets checked or reserved against the wallet.
+const quoteRequest = ({
+  model = null,
+  modelType = 'paid',
+  promptTokens = 0,
+  completionTokens = DEFAULT_COMPLETION_ESTIMATE,
+  maxTokens = DEFAULT_MAX_TOKENS,
+  planMultiplier = 1,
+  imageCount = 0
+}) => {
+  const expected = quoteWalletTokens({
+    model,
+    modelType,
+    planMultiplier,
+    imageCount,
+    usage: { promptTokens, completionTokens: Math.min(completionTokens, maxTokens) }
+  });
+  const maximum = quoteWalletTokens({
+    model,
+    modelType,
+    planMultiplier,
+    imageCount,
+    usage: { promptTokens, completionTokens: maxTokens }
+  });
+
+  return {
+    promptTokens,
+    completionTokens: Math.min(completionTokens, maxTokens),
+    estimatedTokens: expected.tokens,
+    reservedTokens: maximum.tokens,
+    cost: expected.providerCost
+  };
+};
+
+module.exports = {
+  PRICING_CONFIG,
+  DEFAULT_COMPLETION_ESTIMATE,
+  DEFAULT_MAX_TOKENS,
+  resolveModelType,
+  estimateTextTokens,
+  calculateProviderCost,
+  getPlanMultiplier,
+  quoteWalletTokens,
+  quoteRequest
+};
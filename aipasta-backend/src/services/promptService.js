@@ -0,0 +1,54 @@
+// System prompts: variables in saved prompts ({{name}}), and the prompt and default generation options a
+// chat session pins, applied to every request in that session.
+
+const Prompt = require('../models/Prompt');
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Variable names used in the content, in order of first appearance
+const extractVariables = (content = '') => [...new Set([...content.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+
+// Fill in the content's variables from values, then defaults. Returns { content, missing }, where
+// missing lists variables that had neither (they are left as written).
+const renderPrompt = (content, values = {}, defaults = {}) => {
+  const missing = new Set();
+  const rendered = content.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    const value = [values[name], defaults[name]].find(candidate => candidate != null && candidate !== '');
+    if (value === undefined) {
+      missing.add(name);
+      return placeholder;
+    }
+    return String(value);
+  });
+  return { content: rendered, missing: [...missing] };
+};
+
+// A prompt the user owns, that was shared with them, or in the library of the team workspace
+// (organizationId) the user is working in
+const findAccessiblePrompt = (userId, promptId, organizationId = null) =>
+  Prompt.findOne({ _id: promptId, $or: [{ userId }, { sharedWith: userId }, ...(organizationId ? [{ organizationId }] : [])] });
+
+// Request options with the session's defaults filled in; options sent with the request win
+const applySessionSettings = (session, options = {}) => {
+  const settings = session.settings || {};
+  const defaults = {};
+  if (settings.temperature != null) defaults.temperature = settings.temperature;
+  if (settings.maxTokens != null) defaults.max_tokens = settings.maxTokens;
+  if (settings.topP != null) defaults.top_p = settings.topP;
+  return { ...defaults, ...options };
+};
+
+// The session's pinned system prompt as a provider message, or null
+const buildSystemPromptMessage = (session) => {
+  const content = session.systemPrompt?.content;
+  return content ? { role: 'system', content } : null;
+};
+
+module.exports = {
+  VARIABLE_PATTERN,
+  extractVariables,
+  renderPrompt,
+  findAccessiblePrompt,
+  applySessionSettings,
+  buildSystemPromptMessage
+};
@@ -0,0 +1,147 @@
+// Registry of AI provider adapters (see baseProvider.js for the interface).
+//
+// OpenRouter and Hugging Face are built in. More providers are added by config, without code changes:
+//   LOCAL_LLM_BASE_URL=http://localhost:11434/v1        # shorthand for one self-hosted server
+//   AI_PROVIDERS='[{"name":"vLLM","type":"openai-compatible","baseURL":"http://gpu:8000/v1","modelPrefix":"vllm"}]'
+// Entries may set `apiKey` or `apiKeyEnv` (name of the env var holding the key) and `pricing` (USD per token).
+// Models of configured providers are addressed as `<modelPrefix>:<model>` and need no database entry.
+
+const OpenRouterService = require('./openRouterService');
+const HuggingFaceService = require('./huggingFaceService');
+const OpenAICompatibleService = require('./openAICompatibleService');
+
+const DEFAULT_PROVIDER = 'OpenRouter';
+
+// Adapter classes that config entries can instantiate, by `type`
+const providerTypes = {
+  'openai-compatible': OpenAICompatibleService
+};
+
+const providers = new Map();
+
+const registerProviderType = (type, AdapterClass) => {
+  providerTypes[type] = AdapterClass;
+};
+
+const registerProvider = (adapter) => {
+  providers.set(adapter.name, adapter);
+  return adapter;
+};
+
+const readProviderConfig = () => {
+  const entries = [];
+
+  if (process.env.LOCAL_LLM_BASE_URL) {
+    entries.push({
+      name: process.env.LOCAL_LLM_NAME || 'Local',
+      type: 'openai-compatible',
+      baseURL: process.env.LOCAL_LLM_BASE_URL,
+      apiKeyEnv: 'LOCAL_LLM_API_KEY',
+      modelPrefix: process.env.LOCAL_LLM_MODEL_PREFIX || 'local'
+    });
+  }
+
+  if (process.env.AI_PROVIDERS) {
+    try {
+      const configured = JSON.parse(process.env.AI_PROVIDERS);
+      entries.push(...(Array.isArray(configured) ? configured : [configured]));
+    } catch (error) {
+      console.error('❌ AI_PROVIDERS is not valid JSON:', error.message);
+    }
+  }
+
+  return entries;
+};
+
+const loadProviders = () => {
+  // Initialize AI services
+  console.log('🔑 OpenRouter API Key configured:', process.env.OPENROUTER_API_KEY ? 'YES' : 'NO');
+  registerProvider(new OpenRouterService(process.env.OPENROUTER_API_KEY));
+  registerProvider(new HuggingFaceService(process.env.HUGGINGFACE_API_KEY));
+
+  readProviderConfig().forEach(entry => {
+    const AdapterClass = providerTypes[entry.type || 'openai-compatible'];
+    if (!AdapterClass) {
+      console.error(`❌ Unknown provider type "${entry.type}" for ${entry.name}`);
+      return;
+    }
+    if (!entry.name || !entry.modelPrefix) {
+      console.error('❌ Configured providers need a name and a modelPrefix:', entry);
+      return;
+    }
+
+    try {
+      registerProvider(new AdapterClass({
+        ...entry,
+        apiKey: entry.apiKey || (entry.apiKeyEnv ? process.env[entry.apiKeyEnv] : null)
+      }));
+    } catch (error) {
+      console.error(`❌ Failed to configure provider ${entry.name}:`, error.message);
+    }
+  });
+};
+
+const getProvider = (name) => {
+  const adapter = providers.get(name);
+  if (!adapter) {
+    throw new Error('Unsupported AI provider');
+  }
+  return adapter;
+};
+
+// Adapter that owns a `<prefix>:<model>` id, if any
+const findProviderByPrefix = (modelId) => {
+  for (const adapter of providers.values()) {
+    if (adapter.modelPrefix && modelId.startsWith(`${adapter.modelPrefix}:`)) {
+      return adapter;
+    }
+  }
+  return null;
+};
+
+// Provider name for a request: the model's stored provider, a configured prefix, or OpenRouter
+const resolveProvider = (modelId, model = null) => {
+  if (model && model.provider && providers.has(model.provider)) {
+    return model.provider;
+  }
+  const prefixed = findProviderByPrefix(modelId);
+  return prefixed ? prefixed.name : DEFAULT_PROVIDER;
+};
+
+// AIModel-like record for a model served by a configured provider (null for everything else)
+const getConfiguredModel = (modelId) => {
+  const adapter = findProviderByPrefix(modelId);
+  return adapter && typeof adapter.formatModel === 'function'
+    ? adapter.formatModel(adapter.toProviderModelId(modelId))
+    : null;
+};
+
+// Models from configured (non built-in) providers, for the model catalogue
+const listConfiguredModels = async () => {
+  const configured = [...providers.values()].filter(adapter => adapter.modelPrefix);
+  const results = await Promise.allSettled(configured.map(adapter => adapter.listModels()));
+
+  return results.flatMap((result, index) => {
+    if (result.status === 'fulfilled') return result.value;
+    console.warn(`⚠️ ${configured[index].name} model list unavailable:`, result.reason?.message);
+    return [];
+  });
+};
+
+const listProviders = () => [...providers.values()].map(adapter => ({
+  name: adapter.name,
+  modelPrefix: adapter.modelPrefix
+}));
+
+loadProviders();
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  registerProviderType,
+  registerProvider,
+  getProvider,
+  resolveProvider,
+  getConfiguredModel,
+  listConfiguredModels,
+  listProviders
+};
@@ -0,0 +1,138 @@
+// Model leaderboards from the user's verdicts: comparison votes (ComparisonVote) give each model a win rate
+// and an Elo-style rating, and answer ratings (ChatMessage.rating) an average score and thumbs counts.
+// Elo is replayed over the votes in the order they were cast: the winner beats every other model of its
+// comparison, and a tie is a draw between all of them. Models that were never compared have no Elo.
+
+const ChatMessage = require('../models/ChatMessage');
+const ComparisonVote = require('../models/ComparisonVote');
+
+const RATING_CONFIG = {
+  baseRating: 1000,
+  kFactor: 32
+};
+
+// Chance that a model rated `rating` beats one rated `opponentRating`
+const expectedScore = (rating, opponentRating) => 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+const emptyEntry = (model) => ({
+  modelId: model.id,
+  name: model.name || model.id,
+  provider: model.provider || null,
+  elo: RATING_CONFIG.baseRating,
+  votes: 0,
+  wins: 0,
+  losses: 0,
+  ties: 0,
+  ratings: { count: 0, averageScore: null, thumbsUp: 0, thumbsDown: 0 }
+});
+
+// Update entries (a Map by model ID) with one vote. Every pair's result is scored against the ratings from
+// before the vote, so the order of the models within a comparison does not matter.
+const applyVote = (entries, vote) => {
+  const models = [...new Map(vote.models.filter(model => model.id).map(model => [model.id, model])).values()];
+  if (models.length < 2) return;
+
+  models.forEach((model) => {
+    if (!entries.has(model.id)) entries.set(model.id, emptyEntry(model));
+  });
+
+  const before = new Map(models.map(model => [model.id, entries.get(model.id).elo]));
+  const deltas = new Map(models.map(model => [model.id, 0]));
+  const score = (a, b, result) => {
+    const change = RATING_CONFIG.kFactor * (result - expectedScore(before.get(a), before.get(b)));
+    deltas.set(a, deltas.get(a) + change);
+    deltas.set(b, deltas.get(b) - change);
+  };
+
+  const winner = vote.winnerModelId && before.has(vote.winnerModelId) ? vote.winnerModelId : null;
+  if (winner) {
+    models.filter(model => model.id !== winner).forEach(model => score(winner, model.id, 1));
+  } else {
+    models.forEach((model, index) => models.slice(index + 1).forEach(other => score(model.id, other.id, 0.5)));
+  }
+
+  models.forEach((model) => {
+    const entry = entries.get(model.id);
+    entry.elo += deltas.get(model.id);
+    entry.votes += 1;
+    if (!winner) entry.ties += 1;
+    else if (model.id === winner) entry.wins += 1;
+    else entry.losses += 1;
+  });
+};
+
+// Leaderboard rows from votes (oldest first) and per-model rating totals, best Elo first; models that were
+// only rated follow, best average score first
+const buildLeaderboard = (votes = [], ratingTotals = []) => {
+  const entries = new Map();
+  votes.forEach(vote => applyVote(entries, vote));
+
+  ratingTotals.forEach((totals) => {
+    if (!totals.modelId) return;
+    if (!entries.has(totals.modelId)) {
+      entries.set(totals.modelId, emptyEntry({ id: totals.modelId, name: totals.name, provider: totals.provider }));
+    }
+    entries.get(totals.modelId).ratings = {
+      count: totals.count,
+      averageScore: totals.averageScore === null ? null : Math.round(totals.averageScore * 100) / 100,
+      thumbsUp: totals.thumbsUp,
+      thumbsDown: totals.thumbsDown
+    };
+  });
+
+  return [...entries.values()]
+    .map(entry => ({
+      ...entry,
+      elo: entry.votes > 0 ? Math.round(entry.elo) : null,
+      winRate: entry.votes > 0 ? Math.round((entry.wins / entry.votes) * 1000) / 1000 : null
+    }))
+    .sort((a, b) => (b.elo ?? -Infinity) - (a.elo ?? -Infinity)
+      || (b.ratings.averageScore ?? 0) - (a.ratings.averageScore ?? 0)
+      || b.ratings.count - a.ratings.count);
+};
+
+// Leaderboard of the given users' votes and ratings. Options: blind (only votes cast with the names hidden;
+// ratings are always included) and from/to (dates of the votes and ratings).
+const getModelLeaderboard = async (userIds, { blind = false, from, to } = {}) => {
+  const dateRange = {};
+  if (from) dateRange.$gte = new Date(from);
+  if (to) dateRange.$lte = new Date(to);
+  const hasRange = Boolean(from || to);
+
+  const voteFilter = { userId: { $in: userIds } };
+  if (blind) voteFilter.blind = true;
+  if (hasRange) voteFilter.createdAt = dateRange;
+
+  const ratingFilter = { userId: { $in: userIds }, role: 'assistant', 'rating.ratedAt': hasRange ? dateRange : { $ne: null } };
+
+  const [votes, ratingTotals] = await Promise.all([
+    ComparisonVote.find(voteFilter).select('models winnerModelId createdAt').sort({ createdAt: 1 }).lean(),
+    ChatMessage.aggregate([
+      { $match: ratingFilter },
+      {
+        $group: {
+          _id: '$model.id',
+          name: { $first: '$model.name' },
+          provider: { $first: '$model.provider' },
+          count: { $sum: 1 },
+          averageScore: { $avg: '$rating.score' },
+          thumbsUp: { $sum: { $cond: [{ $eq: ['$rating.thumbs', 'up'] }, 1, 0] } },
+          thumbsDown: { $sum: { $cond: [{ $eq: ['$rating.thumbs', 'down'] }, 1, 0] } }
+        }
+      },
+      { $project: { _id: 0, modelId: '$_id', name: 1, provider: 1, count: 1, averageScore: 1, thumbsUp: 1, thumbsDown: 1 } }
+    ])
+  ]);
+
+  return {
+    totalVotes: votes.length,
+    models: buildLeaderboard(votes, ratingTotals)
+  };
+};
+
+module.exports = {
+  RATING_CONFIG,
+  expectedScore,
+  buildLeaderboard,
+  getModelLeaderboard
+};
@@ -0,0 +1,60 @@
+// Chat history search helpers: the words of a query and where they appear in a text, for highlighting the
+// messages and titles MongoDB's text index matched. The index matches word stems, so a term is also
+// highlighted in longer forms of the word ("run" in "running").
+
+const SEARCH_CONFIG = {
+  // Characters of message content returned around the first match
+  snippetLength: 200,
+  // Title matches returned with the first page of results
+  sessionLimit: 10
+};
+
+// Words and quoted phrases of a $text query, lowercased, without negated (-word) terms
+const extractSearchTerms = (query = '') => {
+  const terms = [];
+  for (const match of query.matchAll(/(-?)"([^"]+)"|(-?)(\S+)/g)) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').trim().toLowerCase();
+    if (!negated && term) terms.push(term);
+  }
+  return [...new Set(terms)];
+};
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Single words lose common English endings (and a doubled last consonant) so other forms match as well
+const toStem = (term) => {
+  if (/\s/.test(term)) return term;
+  const stem = term.replace(/(ing|ed|es|s)$/, '').replace(/([^aeiou])\1$/, '$1');
+  return stem.length >= 3 ? stem : term;
+};
+
+// [start, end] ranges in text of words starting with one of the terms, in order
+const findMatches = (text = '', terms = []) => {
+  if (terms.length === 0 || !text) return [];
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(term => escapeRegExp(toStem(term))).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  return [...text.matchAll(pattern)].map(match => [match.index, match.index + match[0].length]);
+};
+
+// An excerpt of text around the first match, with the matches inside it as [start, end] ranges of the excerpt
+const buildSnippet = (text = '', terms = [], length = SEARCH_CONFIG.snippetLength) => {
+  const matches = findMatches(text, terms);
+  const first = matches.length > 0 ? matches[0][0] : 0;
+  const start = Math.max(0, Math.min(first - Math.floor(length / 4), text.length - length));
+  const end = Math.min(text.length, start + length);
+  const offset = start > 0 ? 1 : 0; // the leading ellipsis
+
+  return {
+    snippet: `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    highlights: matches
+      .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+      .map(([matchStart, matchEnd]) => [matchStart - start + offset, matchEnd - start + offset])
+  };
+};
+
+module.exports = {
+  SEARCH_CONFIG,
+  extractSearchTerms,
+  findMatches,
+  buildSnippet
+};
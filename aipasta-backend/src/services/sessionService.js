@@ -0,0 +1,167 @@
+// Device sessions behind short-lived access tokens. Signing in starts an AuthSession and hands out a
+// refresh token (<session id>.<secret>, stored only as a hash) that POST /api/auth/refresh swaps for a new
+// access token and a new refresh token. A refresh token that was already swapped means a copy is in someone
+// else's hands, so the whole session is revoked.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const { AppError } = require('../middleware/errorHandler');
+
+const SESSION_CONFIG = {
+  // Not JWT_EXPIRES_IN: older deployments set that to days, which would defeat short-lived access tokens
+  accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  // Sessions end after this many days without a refresh
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30,
+  // A just-replaced token gets a 409 instead of revoking the session, for tabs that refreshed at once
+  reuseGraceSeconds: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = secret => crypto.createHash('sha256').update(secret).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret, extra] = String(refreshToken || '').split('.');
+  if (extra !== undefined || !secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// "Chrome on Windows" style label for the sessions list
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari']
+  ];
+  const systems = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux']
+  ];
+  const browser = (browsers.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+  const system = (systems.find(([pattern]) => pattern.test(userAgent)) || [])[1];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || (userAgent.split(/[\s/]/)[0] || 'Unknown device');
+};
+
+const clientDetails = (req) => {
+  const userAgent = String(req.get('user-agent') || '').slice(0, 500);
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip };
+};
+
+const sessionError = (message, statusCode, code) => {
+  const error = new AppError(message, statusCode);
+  error.code = code;
+  return error;
+};
+
+// Start a session for a sign-in. twoFactor records that it passed the second step.
+const startSession = async (user, req, { twoFactor = false } = {}) => {
+  const secret = newSecret();
+  const session = await AuthSession.create({
+    userId: user._id,
+    tokenHash: hashToken(secret),
+    twoFactor,
+    ...clientDetails(req),
+    expiresAt: new Date(Date.now() + SESSION_CONFIG.refreshTokenDays * DAY_MS)
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+const revokeSession = (userId, sessionId, reason) => AuthSession.updateOne(
+  { _id: sessionId, userId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+).then(result => result.modifiedCount === 1);
+
+// Revoke every active session of a user, optionally keeping one. Resolves to the number revoked.
+const revokeAllSessions = (userId, reason, { exceptSessionId = null } = {}) => AuthSession.updateMany(
+  { userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+).then(result => result.modifiedCount);
+
+// Swap a refresh token for a new one. Resolves to { session, refreshToken }; rejects with
+// INVALID_REFRESH_TOKEN (401), REFRESH_TOKEN_REUSED (401, session revoked) or REFRESH_TOKEN_ROTATED (409).
+const rotateSession = async (refreshToken, req) => {
+  const invalidErr = sessionError('Your session has ended. Please log in again.', 401, 'INVALID_REFRESH_TOKEN');
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw invalidErr;
+
+  const now = new Date();
+  const session = await AuthSession.findById(parsed.sessionId).select('+tokenHash +previousTokenHash');
+  if (!session || session.revokedAt || session.expiresAt <= now) throw invalidErr;
+
+  const rotatedErr = sessionError('This refresh token was just replaced. Use the newest one.', 409, 'REFRESH_TOKEN_ROTATED');
+  const tokenHash = hashToken(parsed.secret);
+  if (tokenHash !== session.tokenHash) {
+    const withinGrace = session.rotatedAt && now - session.rotatedAt < SESSION_CONFIG.reuseGraceSeconds * 1000;
+    if (tokenHash === session.previousTokenHash && withinGrace) throw rotatedErr;
+
+    await revokeSession(session.userId, session._id, 'reuse-detected');
+    console.warn(`🚨 Refresh token reuse detected; revoked session ${session._id} of user ${session.userId}`);
+    throw sessionError('Your session has ended for security reasons. Please log in again.', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  const secret = newSecret();
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(secret),
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_CONFIG.refreshTokenDays * DAY_MS),
+        ...clientDetails(req)
+      },
+      $inc: { generation: 1 }
+    },
+    { new: true }
+  );
+  // Another request with the same token won the race
+  if (!rotated) throw rotatedErr;
+
+  return { session: rotated, refreshToken: `${rotated._id}.${secret}` };
+};
+
+// Revoke the session a refresh token belongs to (its current or just-replaced token). Used by logout when
+// the access token has already expired.
+const revokeSessionByToken = async (refreshToken, reason) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const session = await AuthSession.findById(parsed.sessionId).select('+tokenHash +previousTokenHash');
+  const tokenHash = hashToken(parsed.secret);
+  if (!session || (tokenHash !== session.tokenHash && tokenHash !== session.previousTokenHash)) return false;
+  return revokeSession(session.userId, session._id, reason);
+};
+
+const isSessionActive = sessionId => AuthSession.exists({
+  _id: sessionId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).then(Boolean);
+
+// Active sessions, most recently used first
+const listSessions = userId => AuthSession.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+  .sort({ lastUsedAt: -1 })
+  .lean();
+
+module.exports = {
+  SESSION_CONFIG,
+  describeDevice,
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeAllSessions,
+  isSessionActive,
+  listSessions
+};
@@ -0,0 +1,112 @@
+// Public read-only links to chat sessions (see models/SharedLink). A link stores a snapshot of the turns it
+// shares; viewers get only questions, answers and the models that gave them.
+
+const crypto = require('crypto');
+const ChatMessage = require('../models/ChatMessage');
+const { getActiveLeafId, loadBranch } = require('./branchService');
+
+const SHARE_CONFIG = {
+  // Longest expiry a link can be given, in days
+  maxExpiryDays: parseInt(process.env.SHARE_MAX_EXPIRY_DAYS, 10) || 365
+};
+
+// 128 random bits, URL-safe
+const createSlug = () => crypto.randomBytes(16).toString('base64url');
+
+const toShareQuestion = msg => ({ content: msg.content, createdAt: msg.createdAt });
+
+const toShareAnswer = msg => ({
+  content: msg.content,
+  model: { id: msg.model?.id, name: msg.model?.name, provider: msg.model?.provider },
+  error: msg.error?.message || undefined,
+  citations: (msg.citations || []).map(({ index, documentName, excerpt, cited }) => ({ index, documentName, excerpt, cited })),
+  createdAt: msg.createdAt
+});
+
+// The turns to share: the one asked by questionId with its shown answers, or every turn of the session's
+// current branch. Resolves to null when questionId is not a question of the session.
+const buildShareTurns = async (session, questionId = null) => {
+  if (questionId) {
+    const [question, answers] = await Promise.all([
+      ChatMessage.findOne({ _id: questionId, sessionId: session.sessionId, role: 'user' }),
+      ChatMessage.find({ sessionId: session.sessionId, role: 'assistant', parentMessageId: questionId, isActive: { $ne: false } })
+        .sort({ createdAt: 1 })
+    ]);
+    if (!question) return null;
+    return [{ question: toShareQuestion(question), answers: answers.map(toShareAnswer) }];
+  }
+
+  const turns = [];
+  for (const msg of await loadBranch(session, await getActiveLeafId(session))) {
+    if (msg.role === 'user') {
+      turns.push({ question: toShareQuestion(msg), answers: [] });
+    } else if (msg.role === 'assistant' && turns.length > 0) {
+      turns[turns.length - 1].answers.push(toShareAnswer(msg));
+    }
+  }
+  return turns;
+};
+
+// A link as its owner sees it
+const formatOwnedLink = link => ({
+  id: link._id,
+  slug: link.slug,
+  title: link.title,
+  kind: link.messageId ? 'turn' : 'session',
+  sessionId: link.sessionId,
+  messageId: link.messageId,
+  hasPassword: Boolean(link.passwordHash),
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  available: link.isAvailable(),
+  viewCount: link.viewCount,
+  forkCount: link.forkCount,
+  turnCount: link.turns.length,
+  createdAt: link.createdAt
+});
+
+// A link as viewers see it
+const formatPublicLink = link => ({
+  slug: link.slug,
+  title: link.title,
+  kind: link.messageId ? 'turn' : 'session',
+  expiresAt: link.expiresAt,
+  createdAt: link.createdAt,
+  turns: link.turns
+});
+
+// The shared turns as a conversation for importService.createConversation (forking into a new session)
+const toForkConversation = link => ({
+  title: link.title,
+  messages: link.turns.flatMap((turn, i) => {
+    const comparisonId = turn.answers.length > 1 ? `turn-${i}` : null;
+    return [
+      {
+        key: `q${i}`,
+        parentKey: i > 0 ? `q${i - 1}` : null,
+        role: 'user',
+        content: turn.question.content,
+        comparisonId,
+        createdAt: turn.question.createdAt
+      },
+      ...turn.answers.map((answer, j) => ({
+        key: `a${i}.${j}`,
+        parentKey: `q${i}`,
+        role: 'assistant',
+        content: answer.content,
+        model: answer.model?.id ? { id: answer.model.id, name: answer.model.name, provider: answer.model.provider } : null,
+        comparisonId,
+        createdAt: answer.createdAt
+      }))
+    ];
+  })
+});
+
+module.exports = {
+  SHARE_CONFIG,
+  createSlug,
+  buildShareTurns,
+  formatOwnedLink,
+  formatPublicLink,
+  toForkConversation
+};
@@ -0,0 +1,335 @@
+// Recurring plans billed through Razorpay subscriptions. Razorpay runs the billing cycle; its subscription
+// webhooks (applySubscriptionEvent) keep User.subscription in step and grant the plan's tokens at every
+// charge. Events are applied from the payload alone - no calls back to Razorpay - so the recorded
+// fixtures in scripts/fixtures/razorpay can be replayed against a local server without a Razorpay account.
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Plan = require('../models/Plan');
+const TokenLedger = require('../models/TokenLedger');
+const { AppError } = require('../middleware/errorHandler');
+const { sendPaymentReceipt } = require('./mailService');
+
+const SUBSCRIPTION_CONFIG = {
+  // Monthly charges Razorpay makes before the subscription completes
+  totalCount: parseInt(process.env.RAZORPAY_SUBSCRIPTION_TOTAL_COUNT, 10) || 120
+};
+
+// Statuses in which Razorpay still bills the subscription (or will once the first charge goes through)
+const LIVE_STATUSES = ['created', 'authenticated', 'active', 'pending', 'paused'];
+
+const subscriptionError = (message, statusCode, code) => {
+  const error = new AppError(message, statusCode);
+  error.code = code;
+  return error;
+};
+
+const fromUnix = seconds => (seconds ? new Date(seconds * 1000) : null);
+
+// Share of the current period left at `at`, and what moving from one plan to another costs for it:
+// the price difference (INR) and the extra tokens granted. Both are 0 for downgrades, which take effect
+// at renewal.
+const prorate = ({ fromPlan, toPlan, periodStart, periodEnd, at = new Date() }) => {
+  const total = periodEnd - periodStart;
+  const left = Math.min(Math.max(periodEnd - at, 0), Math.max(total, 0));
+  const fraction = total > 0 ? left / total : 0;
+  const upgrade = toPlan.priceINR > fromPlan.priceINR;
+  return {
+    upgrade,
+    fraction: Math.round(fraction * 10000) / 10000,
+    amountINR: upgrade ? Math.round((toPlan.priceINR - fromPlan.priceINR) * fraction * 100) / 100 : 0,
+    tokens: upgrade ? Math.max(0, Math.round((toPlan.tokens - fromPlan.tokens) * fraction)) : 0
+  };
+};
+
+// Tokens a renewal drops under the rules of the plan whose period is ending. Subscription tokens count as
+// spent before purchased top-ups, so what is left of the last grant is the smaller of that grant and the
+// paid pool; tokens held for in-flight requests are never dropped.
+const renewalExpiry = (plan, { periodGrant = 0, paidTokens = 0, available = 0 }) => {
+  const unused = Math.max(0, Math.min(periodGrant, paidTokens, available));
+  if (plan.tokenRenewal !== 'rollover') return unused;
+  const kept = plan.maxRolloverTokens == null ? unused : Math.min(unused, plan.maxRolloverTokens);
+  return unused - kept;
+};
+
+// Plan of a Razorpay subscription entity: by its plan_id, else the planId put in its notes at creation
+const resolvePlan = async (entity) => {
+  const plan = entity.plan_id ? await Plan.findOne({ razorpayPlanId: entity.plan_id }) : null;
+  if (plan) return plan;
+  const planId = entity.notes?.planId;
+  return mongoose.isValidObjectId(planId) ? Plan.findById(planId) : null;
+};
+
+// Owner of a subscription: the user it is stored on, else the userId in its notes
+const resolveUser = async (entity) => {
+  const user = await User.findOne({ 'subscription.razorpaySubscriptionId': entity.id });
+  if (user) return user;
+  const userId = entity.notes?.userId;
+  return mongoose.isValidObjectId(userId) ? User.findById(userId) : null;
+};
+
+// Fields that mark a subscription as over (halted, cancelled or completed). The plan stops applying, but
+// tokens already granted stay - what is left of the last grant is the user's to keep.
+const endedSubscriptionFields = (user, status) => ({
+  ...(user.currentPlan && user.subscription.planId && String(user.currentPlan) === String(user.subscription.planId)
+    ? { currentPlan: null }
+    : {}),
+  'subscription.status': status,
+  'subscription.cancelAtPeriodEnd': false,
+  'subscription.scheduledPlanId': null,
+  'subscription.periodGrant': 0
+});
+
+// Mark a subscription as over on the user document. Does not save.
+const endSubscription = (user, status) => {
+  Object.entries(endedSubscriptionFields(user, status)).forEach(([path, value]) => user.set(path, value));
+};
+
+// Filter for users no webhook newer than `at` has been applied to
+const notNewerThan = at => ({
+  $or: [{ 'subscription.lastEventAt': null }, { 'subscription.lastEventAt': { $lte: at } }]
+});
+
+// Drop `amount` tokens from the paid pool, as long as they are free to spend
+const expireTokens = async (userId, amount, idempotencyKey, metadata) => {
+  if (amount <= 0) return 0;
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      'tokens.paidTokens': { $gte: amount },
+      $expr: { $gte: [{ $subtract: ['$tokens.balance', { $ifNull: ['$tokens.reserved', 0] }] }, amount] }
+    },
+    { $inc: { 'tokens.paidTokens': -amount, 'tokens.balance': -amount, credits: -amount } },
+    { new: true }
+  );
+  if (!updated) return 0;
+
+  await TokenLedger.record({
+    userId,
+    type: 'expire',
+    balanceDelta: -amount,
+    pool: 'paid',
+    idempotencyKey,
+    description: 'Unused subscription tokens expired at renewal',
+    metadata
+  });
+  return amount;
+};
+
+// Grant a period's tokens for a subscription charge, once per payment. Tokens left from the period that
+// ended are dropped or rolled over under that period's plan, then the charged plan's tokens are added.
+// A charge that arrives after a newer event (`at` is its event time) is still credited, but leaves the
+// status and current plan as that event set them.
+const applyCharge = async (user, plan, entity, payment, at = null) => {
+  const paymentInfo = {
+    amount: payment.amount / 100,
+    paymentId: payment.id,
+    status: 'completed',
+    method: payment.method
+  };
+
+  // Claim the payment first, so the webhook and the checkout verification credit it once between them
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, 'planHistory.paymentId': { $ne: payment.id } },
+    {
+      $push: {
+        planHistory: {
+          planId: plan._id,
+          tokensReceived: plan.tokens,
+          amountPaid: paymentInfo.amount,
+          paymentId: payment.id,
+          status: 'completed'
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) return { status: 'already_processed' };
+
+  let expired = 0;
+  const endingPlan = claimed.subscription.periodGrant > 0 && claimed.subscription.planId
+    ? await Plan.findById(claimed.subscription.planId)
+    : null;
+  if (endingPlan) {
+    const amount = renewalExpiry(endingPlan, {
+      periodGrant: claimed.subscription.periodGrant,
+      paidTokens: claimed.tokens.paidTokens,
+      available: claimed.tokens.balance - (claimed.tokens.reserved || 0)
+    });
+    expired = await expireTokens(claimed._id, amount, `subscription-expire:${payment.id}`, {
+      planId: endingPlan._id,
+      subscriptionId: entity.id,
+      rule: endingPlan.tokenRenewal
+    });
+  }
+
+  const fresh = await User.findById(user._id);
+  Object.assign(fresh.subscription, {
+    razorpaySubscriptionId: entity.id,
+    planId: plan._id,
+    currentPeriodStart: fromUnix(entity.current_start) || new Date(),
+    expiresAt: fromUnix(entity.current_end) || fresh.subscription.expiresAt,
+    periodGrant: plan.tokens
+  });
+  if (!at || !(fresh.subscription.lastEventAt > at)) {
+    fresh.currentPlan = plan._id;
+    fresh.subscription.status = 'active';
+    if (at) fresh.subscription.lastEventAt = at;
+  }
+  if (fresh.subscription.scheduledPlanId && String(fresh.subscription.scheduledPlanId) === String(plan._id)) {
+    fresh.subscription.scheduledPlanId = null;
+  }
+  await fresh.save();
+  // Credits the tokens atomically; the planHistory entry claimed above is kept
+  await fresh.addTokens(plan.tokens, plan._id, paymentInfo, { description: `${plan.displayName} monthly tokens` });
+
+  await Plan.findByIdAndUpdate(plan._id, { $inc: { totalPurchases: 1, totalRevenue: paymentInfo.amount } });
+  sendPaymentReceipt(fresh, plan, paymentInfo);
+
+  console.log(`🔁 Subscription ${entity.id}: ${plan.tokens} tokens granted to user ${fresh._id}${expired ? `, ${expired} expired` : ''}`);
+  return { status: 'success', tokensAdded: plan.tokens, tokensExpired: expired, newBalance: fresh.tokens.balance };
+};
+
+// A plan change Razorpay has applied. Upgrades grant the extra tokens for the rest of the period straight
+// away; downgrades were scheduled for the renewal, so they only switch the plan.
+const applyPlanChange = async (user, plan, entity, at) => {
+  const fromPlanId = user.subscription.planId;
+  if (!fromPlanId || String(fromPlanId) === String(plan._id)) {
+    return { status: 'unchanged' };
+  }
+
+  // Switching planId is the claim, so a redelivered event grants nothing more
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, 'subscription.planId': fromPlanId },
+    { $set: { 'subscription.planId': plan._id, 'subscription.scheduledPlanId': null, currentPlan: plan._id } },
+    { new: true }
+  );
+  if (!claimed) return { status: 'already_processed' };
+
+  const fromPlan = await Plan.findById(fromPlanId);
+  const proration = fromPlan ? prorate({
+    fromPlan,
+    toPlan: plan,
+    periodStart: fromUnix(entity.current_start) || claimed.subscription.currentPeriodStart,
+    periodEnd: fromUnix(entity.current_end) || claimed.subscription.expiresAt,
+    at
+  }) : { upgrade: false, tokens: 0 };
+
+  if (proration.tokens > 0) {
+    await claimed.addTokens(proration.tokens, plan._id, null, {
+      target: 'paid',
+      idempotencyKey: `subscription-upgrade:${entity.id}:${plan._id}:${entity.current_start}`,
+      description: `Upgrade to ${plan.displayName} (prorated)`
+    });
+    await User.updateOne({ _id: claimed._id }, { $inc: { 'subscription.periodGrant': proration.tokens } });
+  }
+
+  console.log(`🔁 Subscription ${entity.id}: plan changed to ${plan.name}${proration.tokens ? ` (+${proration.tokens} prorated tokens)` : ''}`);
+  return { status: 'success', planId: plan._id, tokensAdded: proration.tokens };
+};
+
+const STATUS_BY_EVENT = {
+  'subscription.authenticated': 'authenticated',
+  'subscription.activated': 'active',
+  'subscription.pending': 'pending',
+  'subscription.halted': 'halted',
+  'subscription.paused': 'paused',
+  'subscription.resumed': 'active',
+  'subscription.cancelled': 'cancelled',
+  'subscription.completed': 'completed'
+};
+
+// Apply a subscription.* webhook payload. Resolves to a result for the webhook log ({ status, ... });
+// throws when the subscription's user or plan cannot be found, so the event is kept for a retry.
+const applySubscriptionEvent = async (payload) => {
+  const event = payload.event;
+  const entity = payload.payload?.subscription?.entity;
+  if (!entity || !entity.id) {
+    throw new Error('Subscription entity missing');
+  }
+
+  const [user, plan] = await Promise.all([resolveUser(entity), resolvePlan(entity)]);
+  if (!user || !plan) {
+    throw new Error('Subscription user or plan not found');
+  }
+
+  // Events for a subscription the user has since replaced change nothing
+  const currentId = user.subscription?.razorpaySubscriptionId;
+  if (currentId && currentId !== entity.id) {
+    return { status: 'ignored', reason: 'superseded' };
+  }
+
+  if (event === 'subscription.charged') {
+    const payment = payload.payload?.payment?.entity;
+    if (!payment || !payment.id) {
+      throw new Error('Payment entity missing');
+    }
+    return applyCharge(user, plan, entity, payment, fromUnix(payload.created_at));
+  }
+
+  if (event === 'subscription.updated') {
+    return applyPlanChange(user, plan, entity, fromUnix(payload.created_at) || new Date());
+  }
+
+  const status = STATUS_BY_EVENT[event];
+  if (!status) {
+    return { status: 'ignored' };
+  }
+
+  const at = fromUnix(payload.created_at);
+  const fields = { 'subscription.razorpaySubscriptionId': entity.id, 'subscription.status': status };
+  if (at) fields['subscription.lastEventAt'] = at;
+  if (entity.current_start) fields['subscription.currentPeriodStart'] = fromUnix(entity.current_start);
+  if (entity.current_end) fields['subscription.expiresAt'] = fromUnix(entity.current_end);
+  if (event === 'subscription.activated' || event === 'subscription.resumed') {
+    const planId = user.subscription.planId || plan._id;
+    fields['subscription.planId'] = planId;
+    fields.currentPlan = planId;
+  }
+  if (['subscription.halted', 'subscription.cancelled', 'subscription.completed'].includes(event)) {
+    Object.assign(fields, endedSubscriptionFields(user, status));
+  }
+
+  // Only if no newer event has been applied, so a late one cannot move the status back
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, ...(at ? notNewerThan(at) : {}) },
+    { $set: fields },
+    { new: true }
+  );
+  if (!updated) {
+    console.log(`🔁 Subscription ${entity.id}: ignoring ${event} older than the last event applied`);
+    return { status: 'ignored', reason: 'stale' };
+  }
+
+  console.log(`🔁 Subscription ${entity.id} for user ${user._id} is now ${status}`);
+  return { status: 'success', subscriptionStatus: status };
+};
+
+// Subscription as returned to its owner (plans populated)
+const formatSubscription = (user) => {
+  const subscription = user.subscription || {};
+  if (!subscription.razorpaySubscriptionId) return null;
+  return {
+    id: subscription.razorpaySubscriptionId,
+    status: subscription.status,
+    plan: subscription.planId,
+    scheduledPlan: subscription.scheduledPlanId,
+    currentPeriodStart: subscription.currentPeriodStart,
+    currentPeriodEnd: subscription.expiresAt,
+    cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+    periodGrant: subscription.periodGrant
+  };
+};
+
+module.exports = {
+  SUBSCRIPTION_CONFIG,
+  LIVE_STATUSES,
+  subscriptionError,
+  prorate,
+  renewalExpiry,
+  resolvePlan,
+  applyCharge,
+  endSubscription,
+  applySubscriptionEvent,
+  formatSubscription
+};
@@ -0,0 +1,94 @@
+// Titles for new chat sessions. Sessions start out titled after the first message; after the first exchange
+// a free model (TITLE_MODEL) is asked for a short title in the background. The call goes straight to the
+// provider and never touches the wallet or the token ledger, and a model with a price is never used, so
+// titles cost the user nothing. Users can turn it off with preferences.autoTitle.
+
+const AIModel = require('../models/AIModel');
+const ChatSession = require('../models/ChatSession');
+const { generateCompletion } = require('./completionService');
+const { resolveProvider, getConfiguredModel } = require('./providerRegistry');
+const { resolveModelType } = require('./pricingService');
+
+const TITLE_CONFIG = {
+  enabled: process.env.AUTO_TITLE !== 'false',
+  model: process.env.TITLE_MODEL || 'mistralai/mistral-7b-instruct:free',
+  maxTokens: 20,
+  // Characters of the question and of the answer sent to the model
+  excerptChars: 1000,
+  maxTitleLength: 80
+};
+
+// The title model's record, or null when it is not free
+const findFreeTitleModel = async () => {
+  const model = getConfiguredModel(TITLE_CONFIG.model) || await AIModel.findOne({ modelId: TITLE_CONFIG.model });
+  return resolveModelType(TITLE_CONFIG.model, model).modelType === 'free' ? (model || {}) : null;
+};
+
+// First line of the model's reply without quotes, a "Title:" prefix or closing punctuation
+const cleanTitle = (text = '') => {
+  const line = text.trim().split('\n')[0]
+    .replace(/^title\s*:\s*/i, '')
+    .replace(/^["'“”‘’*#\s]+|["'“”‘’*\s]+$/g, '')
+    .replace(/[.!?:;,]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return line.slice(0, TITLE_CONFIG.maxTitleLength).trim();
+};
+
+// Ask the title model for a title and store it, unless the session was renamed in the meantime.
+// Resolves to the new title, or null when none was stored.
+const generateSessionTitle = async (session, question, answer) => {
+  const model = await findFreeTitleModel();
+  if (!model) {
+    console.warn(`⚠️ Title model ${TITLE_CONFIG.model} is not free; not generating chat titles`);
+    return null;
+  }
+
+  const result = await generateCompletion(
+    resolveProvider(TITLE_CONFIG.model, model),
+    TITLE_CONFIG.model,
+    [
+      {
+        role: 'system',
+        content: 'Write a title of at most six words for the conversation below, in the language of the conversation. Reply with the title only.'
+      },
+      {
+        role: 'user',
+        content: `User: ${question.slice(0, TITLE_CONFIG.excerptChars)}\n\nAssistant: ${answer.slice(0, TITLE_CONFIG.excerptChars)}`
+      }
+    ],
+    { max_tokens: TITLE_CONFIG.maxTokens, temperature: 0.3 }
+  );
+
+  const title = cleanTitle(result.content);
+  if (!title) return null;
+
+  const { modifiedCount } = await ChatSession.updateOne(
+    { _id: session._id, title: session.title, titleGeneratedAt: null },
+    { title, titleGeneratedAt: new Date() }
+  );
+  if (modifiedCount === 0) return null;
+
+  console.log(`🏷️ Titled session ${session.sessionId} "${title}" with ${TITLE_CONFIG.model}`);
+  return title;
+};
+
+// Title the session in the background once its first question (one without a parent) has an answer.
+// Never throws and never delays the response.
+const scheduleSessionTitle = (user, session, question, answer) => {
+  if (!TITLE_CONFIG.enabled || user?.preferences?.autoTitle === false) return;
+  if (!answer || session.titleGeneratedAt || question.parentMessageId) return;
+
+  setImmediate(() => {
+    generateSessionTitle(session, question.content, answer).catch((error) => {
+      console.warn(`⚠️ Generating a title for session ${session.sessionId} failed:`, error.message);
+    });
+  });
+};
+
+module.exports = {
+  TITLE_CONFIG,
+  cleanTitle,
+  generateSessionTitle,
+  scheduleSessionTitle
+};
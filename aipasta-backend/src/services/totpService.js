@@ -0,0 +1,128 @@
+// Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30 second steps) for two-factor sign-in,
+// and the recovery codes that stand in for the authenticator app. Secrets are stored encrypted with
+// AES-256-GCM under TOTP_ENCRYPTION_KEY (or a key derived from JWT_SECRET); recovery codes only as hashes.
+
+const crypto = require('crypto');
+
+const TOTP_CONFIG = {
+  issuer: process.env.TOTP_ISSUER || 'AI Pasta',
+  digits: 6,
+  stepSeconds: 30,
+  // Steps either side of now that are still accepted, for clock drift
+  window: 1,
+  secretBytes: 20,
+  recoveryCodeCount: 10,
+  // Second-step sign-in attempts allowed before the account's second step locks for lockMinutes
+  maxFailedAttempts: 5,
+  lockMinutes: 15,
+  challengeExpiresIn: '5m'
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (value) => {
+  const bits = value.toUpperCase().replace(/[^A-Z2-7]/g, '')
+    .split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(TOTP_CONFIG.secretBytes));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_CONFIG.stepSeconds);
+
+// The code for one time step (RFC 4226 dynamic truncation)
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_CONFIG.digits).padStart(TOTP_CONFIG.digits, '0');
+};
+
+// Time step the code belongs to, or null. Steps at or before lastUsedStep are refused so a code cannot be
+// replayed within its window.
+const verifyCode = (secret, code, { lastUsedStep = -1, now = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${TOTP_CONFIG.digits}}$`).test(candidate)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -TOTP_CONFIG.window; drift <= TOTP_CONFIG.window; drift += 1) {
+    const expected = generateCode(secret, step + drift);
+    if (step + drift > lastUsedStep && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step + drift;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps import, usually from a QR code
+const buildProvisioningUri = (secret, accountName) => {
+  const label = `${encodeURIComponent(TOTP_CONFIG.issuer)}:${encodeURIComponent(accountName)}`;
+  const params = {
+    secret,
+    issuer: TOTP_CONFIG.issuer,
+    algorithm: 'SHA1',
+    digits: TOTP_CONFIG.digits,
+    period: TOTP_CONFIG.stepSeconds
+  };
+  // encodeURIComponent rather than URLSearchParams: some apps show a "+" for a space literally
+  const query = Object.entries(params).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('&');
+  return `otpauth://totp/${label}?${query}`;
+};
+
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || `totp:${process.env.JWT_SECRET}`)
+  .digest();
+
+// iv.tag.ciphertext, base64url
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes are compared case-insensitively and without the dash
+const normalizeRecoveryCode = code => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashRecoveryCode = code => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Fresh recovery codes: the plain codes to show once, and the hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: TOTP_CONFIG.recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null })) };
+};
+
+module.exports = {
+  TOTP_CONFIG,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildProvisioningUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
@@ -0,0 +1,89 @@
+// Vector index over document chunk embeddings (stored on DocumentChunk.embedding). VECTOR_STORE picks
+// how they are searched:
+//   mongo (default) - cosine similarity computed in-process over the knowledge base's chunks
+//   atlas           - MongoDB Atlas Vector Search ($vectorSearch) with the index VECTOR_SEARCH_INDEX, a vector
+//                     index on embedding.vector with attachmentId and embedding.model as filter fields
+// Both expose save([{ chunkId, vector }], model) and search({ attachmentIds, model, vector, topK }) -> [{ chunk, score }].
+
+const DocumentChunk = require('../models/DocumentChunk');
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+class MongoVectorStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  async save(entries, model) {
+    if (entries.length === 0) return;
+    await DocumentChunk.bulkWrite(entries.map(({ chunkId, vector }) => ({
+      updateOne: {
+        filter: { _id: chunkId },
+        update: { $set: { embedding: { model, vector } } }
+      }
+    })));
+  }
+
+  async search({ attachmentIds, model, vector, topK }) {
+    const chunks = await DocumentChunk.find({ attachmentId: { $in: attachmentIds }, 'embedding.model': model }).lean();
+    return chunks
+      .map(({ embedding, ...chunk }) => ({ chunk, score: cosineSimilarity(vector, embedding.vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+class AtlasVectorStore extends MongoVectorStore {
+  constructor(indexName) {
+    super();
+    this.name = 'atlas';
+    this.indexName = indexName;
+  }
+
+  async search({ attachmentIds, model, vector, topK }) {
+    const results = await DocumentChunk.aggregate([
+      {
+        $vectorSearch: {
+          index: this.indexName,
+          path: 'embedding.vector',
+          queryVector: vector,
+          numCandidates: topK * 20,
+          limit: topK,
+          filter: { attachmentId: { $in: attachmentIds }, 'embedding.model': model }
+        }
+      },
+      {
+        $project: { attachmentId: 1, userId: 1, index: 1, text: 1, tokens: 1, score: { $meta: 'vectorSearchScore' } }
+      }
+    ]);
+    return results.map(({ score, ...chunk }) => ({ chunk, score }));
+  }
+}
+
+let store = null;
+
+const getVectorStore = () => {
+  if (!store) {
+    store = process.env.VECTOR_STORE === 'atlas'
+      ? new AtlasVectorStore(process.env.VECTOR_SEARCH_INDEX || 'document_chunks_vector')
+      : new MongoVectorStore();
+  }
+  return store;
+};
+
+module.exports = {
+  MongoVectorStore,
+  AtlasVectorStore,
+  cosineSimilarity,
+  getVectorStore
+};
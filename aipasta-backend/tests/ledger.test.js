@@ -0,0 +1,118 @@
+// Chat requests hold tokens with a reserve entry and close it once with settle or release; the wallet
+// and the ledger totals must agree after every step.
+
+const { User, TokenLedger, resetAll } = require('./support/memoryModels');
+
+const USER_ID = '64b000000000000000000001';
+
+const wallet = () => User.get(USER_ID).tokens;
+const expectLedgerMatchesWallet = async () => {
+  const totals = await TokenLedger.getTotals(USER_ID);
+  expect(totals.balance).toBe(wallet().balance);
+  expect(totals.reserved).toBe(wallet().reserved);
+};
+
+beforeEach(async () => {
+  resetAll();
+  User.insert({
+    _id: USER_ID,
+    email: 'ledger@example.com',
+    credits: 1000,
+    tokens: { freeTokens: 400, paidTokens: 600, balance: 1000, reserved: 0, totalUsed: 0 },
+    usage: { totalRequests: 0 },
+    stats: { tokensUsed: 0 }
+  });
+  await TokenLedger.record({ userId: USER_ID, type: 'grant', balanceDelta: 1000, idempotencyKey: `signup:${USER_ID}` });
+});
+
+describe('TokenLedger.reserve', () => {
+  it('holds tokens against the available balance', async () => {
+    const { entry } = await TokenLedger.reserve({ userId: USER_ID, amount: 300 });
+
+    expect(entry).toMatchObject({ type: 'reserve', reservedDelta: 300 });
+    expect(wallet()).toMatchObject({ balance: 1000, reserved: 300 });
+    await expectLedgerMatchesWallet();
+  });
+
+  it('refuses a hold the balance cannot cover', async () => {
+    await TokenLedger.reserve({ userId: USER_ID, amount: 800 });
+
+    expect(await TokenLedger.reserve({ userId: USER_ID, amount: 300 })).toBeNull();
+    expect(wallet().reserved).toBe(800);
+    await expectLedgerMatchesWallet();
+  });
+
+  it('holds once per idempotency key', async () => {
+    const first = await TokenLedger.reserve({ userId: USER_ID, amount: 300, idempotencyKey: 'req_1' });
+    const again = await TokenLedger.reserve({ userId: USER_ID, amount: 300, idempotencyKey: 'req_1' });
+
+    expect(again).toMatchObject({ duplicate: true });
+    expect(again.entry.reservationId).toBe(first.entry.reservationId);
+    expect(wallet().reserved).toBe(300);
+  });
+});
+
+describe('TokenLedger.settle', () => {
+  it('charges the preferred pool and drops the hold', async () => {
+    const { entry } = await TokenLedger.reserve({ userId: USER_ID, amount: 300 });
+    const result = await TokenLedger.settle(entry.reservationId, [{ amount: 120, modelType: 'paid' }]);
+
+    expect(result.charged).toBe(120);
+    expect(wallet()).toMatchObject({ freeTokens: 400, paidTokens: 480, balance: 880, reserved: 0, totalUsed: 120 });
+    expect(User.get(USER_ID)).toMatchObject({ credits: 880, usage: { totalRequests: 1 }, stats: { tokensUsed: 120 } });
+    await expectLedgerMatchesWallet();
+  });
+
+  it('falls back to the other pool when the preferred one runs out', async () => {
+    const { entry } = await TokenLedger.reserve({ userId: USER_ID, amount: 700 });
+    await TokenLedger.settle(entry.reservationId, [{ amount: 700, modelType: 'free' }]);
+
+    expect(wallet()).toMatchObject({ freeTokens: 0, paidTokens: 300, balance: 300 });
+    await expectLedgerMatchesWallet();
+  });
+
+  it('never charges more than was held', async () => {
+    const { entry } = await TokenLedger.reserve({ userId: USER_ID, amount: 100 });
+    const result = await TokenLedger.settle(entry.reservationId, [{ amount: 250, modelType: 'paid' }]);
+
+    expect(result.charged).toBe(100);
+    expect(wallet().balance).toBe(900);
+    await expectLedgerMatchesWallet();
+  });
+
+  it('closes a reservation once', async () => {
+    const { entry } = await TokenLedger.reserve({ userId: USER_ID, amount: 300 });
+    await TokenLedger.settle(entry.reservationId, [{ amount: 100, modelType: 'paid' }]);
+
+    expect(await TokenLedger.settle(entry.reservationId, [{ amount: 100, modelType: 'paid' }])).toBeNull();
+    expect(await TokenLedger.release(entry.reservationId)).toBeNull();
+    expect(wallet()).toMatchObject({ balance: 900, reserved: 0 });
+    await expectLedgerMatchesWallet();
+  });
+
+  it('records the part of a charge the wallet could not cover', async () => {
+    const { entry } = await TokenLedger.reserve({ userId: USER_ID, amount: 300 });
+    // Spent elsewhere while the request ran, recorded like any other wallet change
+    await User.updateOne({ _id: USER_ID }, { $inc: { 'tokens.freeTokens': -400, 'tokens.paidTokens': -500, 'tokens.balance': -900 } });
+    await TokenLedger.record({ userId: USER_ID, type: 'deduct', balanceDelta: -900 });
+
+    const result = await TokenLedger.settle(entry.reservationId, [{ amount: 300, modelType: 'paid' }]);
+
+    expect(result.charged).toBe(100);
+    expect(wallet()).toMatchObject({ balance: 0, reserved: 0 });
+    expect(TokenLedger.records.find(e => e.type === 'adjustment')).toMatchObject({ balanceDelta: 200 });
+    await expectLedgerMatchesWallet();
+  });
+});
+
+describe('TokenLedger.release', () => {
+  it('gives the hold back without charging', async () => {
+    const { entry } = await TokenLedger.reserve({ userId: USER_ID, amount: 300 });
+    await TokenLedger.release(entry.reservationId);
+
+    expect(wallet()).toMatchObject({ balance: 1000, reserved: 0 });
+    expect(await TokenLedger.settle(entry.reservationId, [{ amount: 100, modelType: 'paid' }])).toBeNull();
+    expect(wallet().balance).toBe(1000);
+    await expectLedgerMatchesWallet();
+  });
+});
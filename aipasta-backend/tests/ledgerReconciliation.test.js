@@ -0,0 +1,118 @@
+// Wallets that predate the ledger carry a balance it never saw: reconciliation records it as an opening
+// entry instead of correcting it away as drift.
+
+jest.mock('../src/models/User', () => require('./support/memoryModels').User);
+jest.mock('../src/models/TokenLedger', () => require('./support/memoryModels').TokenLedger);
+
+const { User, TokenLedger, resetAll } = require('./support/memoryModels');
+const { reconcileUser, reconcileAll } = require('../src/services/ledgerReconciliation');
+
+const LEDGER_START = new Date('2026-06-01T00:00:00Z');
+const OLD_USER = '64b000000000000000000011';
+const NEW_USER = '64b000000000000000000012';
+const OTHER_USER = '64b000000000000000000013';
+
+const wallet = id => User.get(id).tokens;
+const totals = id => TokenLedger.getTotals(id);
+
+// A chat request made after the ledger was deployed
+const chat = async (userId, amount) => {
+  const { entry } = await TokenLedger.reserve({ userId, amount });
+  await TokenLedger.settle(entry.reservationId, [{ amount, modelType: 'free' }]);
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  resetAll();
+  // The ledger's first entry marks when it started
+  User.insert({ _id: OTHER_USER, createdAt: LEDGER_START, tokens: { freeTokens: 0, paidTokens: 0, balance: 0, reserved: 0 } });
+  TokenLedger.insert({ _id: 'start', userId: OTHER_USER, type: 'grant', balanceDelta: 0, createdAt: LEDGER_START });
+
+  User.insert({
+    _id: OLD_USER,
+    email: 'old@example.com',
+    createdAt: new Date('2025-11-20T00:00:00Z'),
+    credits: 5000,
+    tokens: { freeTokens: 5000, paidTokens: 0, balance: 5000, reserved: 0 }
+  });
+});
+
+describe('opening balances', () => {
+  it('reports a pre-ledger balance as pending, not as drift', async () => {
+    await chat(OLD_USER, 300);
+
+    const report = await reconcileUser(OLD_USER);
+
+    expect(report.openingPending).toBe(5000);
+    expect(report.drift).toEqual({ balance: 0, reserved: 0 });
+    expect(report.inSync).toBe(true);
+    expect(TokenLedger.records.some(e => e.type === 'opening')).toBe(false);
+  });
+
+  it('records the wallet minus what the ledger has seen since, and leaves the wallet alone', async () => {
+    await chat(OLD_USER, 300);
+
+    const report = await reconcileUser(OLD_USER, { fix: true });
+
+    expect(report.openingRecorded).toBe(true);
+    expect(report.adjustments).toEqual([]);
+    expect(TokenLedger.records.find(e => e.type === 'opening')).toMatchObject({ balanceDelta: 5000 });
+    expect(wallet(OLD_USER).balance).toBe(4700);
+    expect((await totals(OLD_USER)).balance).toBe(4700);
+  });
+
+  it('records an opening balance once', async () => {
+    await reconcileUser(OLD_USER, { recordOpening: true });
+    await chat(OLD_USER, 300);
+    const report = await reconcileUser(OLD_USER, { fix: true });
+
+    expect(report.openingRecorded).toBe(false);
+    expect(report.inSync).toBe(true);
+    expect(TokenLedger.records.filter(e => e.type === 'opening')).toHaveLength(1);
+  });
+
+  it('waits while a request is in flight', async () => {
+    // Held in the wallet, but the reserve entry is not written yet
+    await User.reserveTokens(OLD_USER, 200);
+
+    const report = await reconcileUser(OLD_USER, { recordOpening: true });
+
+    expect(report.openingRecorded).toBe(false);
+    expect(report.openingPending).toBe(5000);
+    expect(TokenLedger.records.some(e => e.type === 'opening')).toBe(false);
+  });
+
+  it('does not give users created since the ledger started an opening balance', async () => {
+    User.insert({
+      _id: NEW_USER,
+      email: 'new@example.com',
+      createdAt: new Date('2026-07-01T00:00:00Z'),
+      tokens: { freeTokens: 1000, paidTokens: 0, balance: 1000, reserved: 0 }
+    });
+    await TokenLedger.record({ userId: NEW_USER, type: 'grant', balanceDelta: 900, idempotencyKey: `signup:${NEW_USER}` });
+
+    const report = await reconcileUser(NEW_USER, { fix: true });
+
+    // Real drift is corrected from the ledger
+    expect(report.openingRecorded).toBe(false);
+    expect(report.adjustments).toEqual([{ field: 'balance', amount: -100 }]);
+    expect(wallet(NEW_USER).balance).toBe(900);
+  });
+
+  it('records opening balances across all users without counting them as out of sync', async () => {
+    await chat(OLD_USER, 300);
+
+    const summary = await reconcileAll({ releaseStale: true, recordOpening: true });
+
+    expect(summary).toMatchObject({ checked: 2, outOfSync: 0, openingsRecorded: 1 });
+    expect(wallet(OLD_USER).balance).toBe(4700);
+    expect((await totals(OLD_USER)).balance).toBe(4700);
+  });
+});
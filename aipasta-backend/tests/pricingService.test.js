@@ -0,0 +1,74 @@
+const {
+  PRICING_CONFIG,
+  calculateProviderCost,
+  quoteWalletTokens,
+  quoteRequest
+} = require('../src/services/pricingService');
+
+// $3 / $15 per million tokens, stored per token as OpenRouter reports it
+const sonnet = { pricing: { input: 0.000003, output: 0.000015 } };
+
+describe('calculateProviderCost', () => {
+  it('bills model pricing per token', () => {
+    const cost = calculateProviderCost(sonnet, { promptTokens: 1000, completionTokens: 1000 });
+    expect(cost.inputCost).toBeCloseTo(0.003, 10);
+    expect(cost.outputCost).toBeCloseTo(0.015, 10);
+    expect(cost.usd).toBeCloseTo(0.018, 10);
+    expect(cost.inr).toBeCloseTo(0.018 * PRICING_CONFIG.usdToInr, 10);
+  });
+
+  it('uses the default per-token pricing for paid models missing from the catalogue', () => {
+    const cost = calculateProviderCost(null, { promptTokens: 1000, completionTokens: 1000 }, 'paid');
+    expect(cost.usd).toBeCloseTo(0.003, 10);
+  });
+
+  it('costs nothing for free models', () => {
+    expect(calculateProviderCost(null, { promptTokens: 1000, completionTokens: 1000 }, 'free').usd).toBe(0);
+  });
+});
+
+describe('quoteWalletTokens', () => {
+  it('converts the provider cost plus the platform margin into wallet tokens', () => {
+    // $0.018 × 1.2 / $0.0001
+    const quote = quoteWalletTokens({ model: sonnet, usage: { promptTokens: 1000, completionTokens: 1000 } });
+    expect(quote.tokens).toBe(216);
+    expect(quote.platformMargin).toBe(0.2);
+    expect(quote.planMultiplier).toBe(1);
+  });
+
+  it('rounds fractional charges up', () => {
+    const model = { pricing: { input: 0.000005, output: 0.000005 } };
+    expect(quoteWalletTokens({ model, usage: { promptTokens: 1000, completionTokens: 500 } }).tokens).toBe(90);
+    expect(quoteWalletTokens({ model, usage: { promptTokens: 10, completionTokens: 1 } }).tokens).toBe(1);
+  });
+
+  it('applies the plan multiplier', () => {
+    const usage = { promptTokens: 1000, completionTokens: 1000 };
+    expect(quoteWalletTokens({ model: sonnet, usage, planMultiplier: 0.5 }).tokens).toBe(108);
+  });
+
+  it('bills free models per 1K processed tokens', () => {
+    expect(quoteWalletTokens({ modelType: 'free', usage: { promptTokens: 2000, completionTokens: 500 } }).tokens).toBe(3);
+  });
+
+  it('charges at least the minimum', () => {
+    expect(quoteWalletTokens({ modelType: 'free', usage: { promptTokens: 10, completionTokens: 5 } }).tokens)
+      .toBe(PRICING_CONFIG.minimumCharge);
+    expect(quoteWalletTokens({ modelType: 'free', usage: {} }).tokens).toBe(PRICING_CONFIG.minimumCharge);
+  });
+});
+
+describe('quoteRequest', () => {
+  it('reserves a full max_tokens completion and estimates the expected one', () => {
+    const quote = quoteRequest({ model: sonnet, promptTokens: 1000, completionTokens: 100, maxTokens: 1000 });
+    expect(quote.estimatedTokens).toBe(54);
+    expect(quote.reservedTokens).toBe(216);
+    expect(quote.completionTokens).toBe(100);
+  });
+
+  it('never estimates more completion tokens than max_tokens allows', () => {
+    const quote = quoteRequest({ model: sonnet, promptTokens: 1000, completionTokens: 5000, maxTokens: 1000 });
+    expect(quote.completionTokens).toBe(1000);
+    expect(quote.estimatedTokens).toBe(quote.reservedTokens);
+  });
+});
@@ -0,0 +1,85 @@
+const { prorate, renewalExpiry } = require('../src/services/subscriptionService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const periodStart = new Date('2026-09-01T00:00:00Z');
+const periodEnd = new Date(periodStart.getTime() + 30 * DAY);
+const at = days => new Date(periodStart.getTime() + days * DAY);
+
+const basic = { priceINR: 99, tokens: 100000 };
+const pro = { priceINR: 299, tokens: 300000 };
+
+describe('prorate', () => {
+  it('charges and grants the difference for the rest of the period on an upgrade', () => {
+    expect(prorate({ fromPlan: basic, toPlan: pro, periodStart, periodEnd, at: at(15) })).toEqual({
+      upgrade: true,
+      fraction: 0.5,
+      amountINR: 100,
+      tokens: 100000
+    });
+  });
+
+  it('rounds the amount to paise and the tokens to whole tokens', () => {
+    const result = prorate({ fromPlan: basic, toPlan: pro, periodStart, periodEnd, at: at(20) });
+    expect(result.fraction).toBe(0.3333);
+    expect(result.amountINR).toBe(66.67);
+    expect(result.tokens).toBe(66667);
+  });
+
+  it('leaves downgrades to the renewal', () => {
+    const result = prorate({ fromPlan: pro, toPlan: basic, periodStart, periodEnd, at: at(15) });
+    expect(result).toEqual({ upgrade: false, fraction: 0.5, amountINR: 0, tokens: 0 });
+  });
+
+  it('grants no tokens when the pricier plan has fewer', () => {
+    const result = prorate({ fromPlan: basic, toPlan: { priceINR: 199, tokens: 50000 }, periodStart, periodEnd, at: at(15) });
+    expect(result.upgrade).toBe(true);
+    expect(result.amountINR).toBe(50);
+    expect(result.tokens).toBe(0);
+  });
+
+  it('clamps the remaining share to the period', () => {
+    expect(prorate({ fromPlan: basic, toPlan: pro, periodStart, periodEnd, at: at(-5) }).fraction).toBe(1);
+    expect(prorate({ fromPlan: basic, toPlan: pro, periodStart, periodEnd, at: at(45) })).toMatchObject({
+      fraction: 0,
+      amountINR: 0,
+      tokens: 0
+    });
+  });
+
+  it('treats an empty period as already over', () => {
+    expect(prorate({ fromPlan: basic, toPlan: pro, periodStart, periodEnd: periodStart, at: at(0) }).fraction).toBe(0);
+  });
+});
+
+describe('renewalExpiry', () => {
+  const reset = { tokenRenewal: 'reset' };
+
+  it('drops what is left of the last grant on reset plans', () => {
+    expect(renewalExpiry(reset, { periodGrant: 100000, paidTokens: 60000, available: 70000 })).toBe(60000);
+  });
+
+  it('counts subscription tokens as spent before purchased top-ups', () => {
+    // 100K granted, 20K bought on top and nothing spent: only the grant is dropped
+    expect(renewalExpiry(reset, { periodGrant: 100000, paidTokens: 120000, available: 130000 })).toBe(100000);
+  });
+
+  it('never drops tokens held for in-flight requests', () => {
+    expect(renewalExpiry(reset, { periodGrant: 100000, paidTokens: 60000, available: 45000 })).toBe(45000);
+  });
+
+  it('keeps everything on rollover plans without a cap', () => {
+    const rollover = { tokenRenewal: 'rollover', maxRolloverTokens: null };
+    expect(renewalExpiry(rollover, { periodGrant: 100000, paidTokens: 60000, available: 70000 })).toBe(0);
+  });
+
+  it('drops what is over the cap on capped rollover plans', () => {
+    const rollover = { tokenRenewal: 'rollover', maxRolloverTokens: 50000 };
+    expect(renewalExpiry(rollover, { periodGrant: 200000, paidTokens: 160000, available: 170000 })).toBe(110000);
+    expect(renewalExpiry(rollover, { periodGrant: 200000, paidTokens: 30000, available: 40000 })).toBe(0);
+  });
+
+  it('drops nothing once the grant is spent', () => {
+    expect(renewalExpiry(reset, { periodGrant: 100000, paidTokens: 0, available: 5000 })).toBe(0);
+    expect(renewalExpiry(reset, {})).toBe(0);
+  });
+});
@@ -0,0 +1,268 @@
+// In-memory stand-ins for the mongoose models behind the token wallet and the Razorpay webhooks, so the
+// ledger and recorded webhook events can be exercised without a database. TokenLedger and the User
+// statics are the real ones, run against these stores. Only the query, update and aggregation shapes
+// that code uses are supported.
+
+const mongoose = require('mongoose');
+
+const same = (a, b) => String(a) === String(b);
+const isOperator = value => value !== null && typeof value === 'object' && !(value instanceof Date)
+  && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+// Values at a dotted path, looking into arrays the way MongoDB does
+const valuesAt = (value, keys) => {
+  if (Array.isArray(value)) return value.flatMap(item => valuesAt(item, keys));
+  if (!keys.length) return [value];
+  if (value == null) return [undefined];
+  return valuesAt(value[keys[0]], keys.slice(1));
+};
+
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return valuesAt(doc, expression.slice(1).split('.'))[0];
+  }
+  if (!isOperator(expression)) return expression;
+  const [operator, args] = Object.entries(expression)[0];
+  const values = (Array.isArray(args) ? args : [args]).map(arg => evaluate(doc, arg));
+  switch (operator) {
+    case '$add': return values.reduce((sum, value) => sum + value, 0);
+    case '$subtract': return values[0] - values[1];
+    case '$min': return Math.min(...values);
+    case '$max': return Math.max(...values);
+    case '$ifNull': return values[0] ?? values[1];
+    case '$gte': return values[0] >= values[1];
+    default: throw new Error(`Unsupported expression ${operator}`);
+  }
+};
+
+const matchesCondition = (values, condition) => Object.entries(condition).every(([operator, operand]) => {
+  switch (operator) {
+    case '$ne': return values.every(value => !same(value ?? null, operand));
+    case '$in': return values.some(value => operand.some(option => same(value, option)));
+    case '$gte': return values.some(value => value >= operand);
+    case '$lt': return values.some(value => value < operand);
+    case '$lte': return values.some(value => value <= operand);
+    default: throw new Error(`Unsupported condition ${operator}`);
+  }
+});
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$expr') return evaluate(doc, condition);
+  if (path === '$or') return condition.some(alternative => matches(doc, alternative));
+  const values = valuesAt(doc, path.split('.'));
+  if (condition === null) return values.some(value => value == null);
+  if (isOperator(condition)) return matchesCondition(values, condition);
+  return values.some(value => same(value, condition));
+});
+
+const parentOf = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (object[key] == null) object[key] = {};
+    return object[key];
+  }, doc);
+  return [parent, last];
+};
+
+const setPath = (doc, path, value) => {
+  const [parent, key] = parentOf(doc, path);
+  parent[key] = value;
+};
+
+const applyUpdate = (doc, update) => {
+  // Pipeline: each $set stage reads the document as the previous stage left it
+  if (Array.isArray(update)) {
+    update.forEach((stage) => {
+      const values = Object.entries(stage.$set).map(([path, expression]) => [path, evaluate(doc, expression)]);
+      values.forEach(([path, value]) => setPath(doc, path, value));
+    });
+    return;
+  }
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, value));
+  Object.entries(update.$inc || {}).forEach(([path, value]) => {
+    const [parent, key] = parentOf(doc, path);
+    parent[key] = (parent[key] || 0) + value;
+  });
+  Object.entries(update.$push || {}).forEach(([path, value]) => {
+    const [parent, key] = parentOf(doc, path);
+    const list = parent[key] || (parent[key] = []);
+    if (value && value.$each) {
+      list.splice(value.$position ?? list.length, 0, ...value.$each);
+      if (value.$slice != null) list.splice(value.$slice);
+    } else {
+      list.push(value);
+    }
+  });
+};
+
+// A chainable, awaitable query over the results of `run`
+const query = (run) => {
+  let order = null;
+  const q = {
+    select: () => q,
+    lean: () => q,
+    populate: () => q,
+    sort: (spec) => {
+      order = spec;
+      return q;
+    },
+    exec: () => Promise.resolve(run(order)),
+    then: (resolve, reject) => q.exec().then(resolve, reject),
+    cursor: () => {
+      let items = null;
+      return {
+        next: async () => {
+          items = items || [].concat(await q.exec());
+          return items.shift() ?? null;
+        }
+      };
+    }
+  };
+  return q;
+};
+
+const sortBy = (records, order) => {
+  if (!order) return records;
+  const [[path, direction]] = Object.entries(order);
+  return [...records].sort((a, b) => (valuesAt(a, path.split('.'))[0] - valuesAt(b, path.split('.'))[0]) * direction);
+};
+
+let nextId = 1;
+const newId = () => (nextId++).toString(16).padStart(24, '0');
+
+// A model over an array of plain records. Reads return copies, and save() writes the whole copy back.
+const createModel = ({ statics = {}, methods = {}, unique = [] } = {}) => {
+  const records = [];
+  const proto = Object.create(methods);
+  const hydrate = record => (record ? Object.assign(Object.create(proto), structuredClone(record)) : null);
+  const store = (doc) => {
+    const data = structuredClone({ ...doc });
+    const index = records.findIndex(record => same(record._id, data._id));
+    if (index === -1) records.push(data);
+    else records[index] = data;
+  };
+  const findAll = (filter, order) => sortBy(records.filter(record => matches(record, filter)), order);
+
+  const Model = {
+    records,
+    reset: () => records.splice(0),
+    insert: (...docs) => docs.forEach(doc => store({ createdAt: new Date(), ...doc })),
+    get: id => records.find(record => same(record._id, id)),
+    find: (filter = {}) => query(order => findAll(filter, order).map(hydrate)),
+    findOne: (filter = {}) => query(order => hydrate(findAll(filter, order)[0])),
+    findById: id => Model.findOne({ _id: id }),
+    exists: async filter => (findAll(filter)[0] ? { _id: findAll(filter)[0]._id } : null),
+    distinct: async (path, filter = {}) => [...new Set(findAll(filter).flatMap(record => valuesAt(record, path.split('.'))))],
+    create: async (doc) => {
+      unique.forEach((path) => {
+        if (doc[path] != null && records.some(record => same(record[path], doc[path]))) {
+          throw Object.assign(new Error(`E11000 duplicate key error: ${path}`), { code: 11000 });
+        }
+      });
+      const record = { _id: newId(), createdAt: new Date(), ...doc };
+      store(record);
+      return hydrate(record);
+    },
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      let record = findAll(filter)[0];
+      if (!record) {
+        if (!options.upsert) return null;
+        record = { _id: newId(), ...update.$setOnInsert };
+        Object.entries(filter).forEach(([path, value]) => setPath(record, path, value));
+        records.push(record);
+      }
+      const before = hydrate(record);
+      applyUpdate(record, update);
+      return options.new ? hydrate(record) : before;
+    },
+    findByIdAndUpdate: async (id, update, options) => Model.findOneAndUpdate({ _id: id }, update, options),
+    updateOne: async (filter, update) => {
+      const record = findAll(filter)[0];
+      if (record) applyUpdate(record, update);
+      return { matchedCount: record ? 1 : 0 };
+    },
+    // $match then $group, with $sum accumulators
+    aggregate: async (pipeline) => {
+      let rows = records;
+      pipeline.forEach((stage) => {
+        if (stage.$match) rows = rows.filter(record => matches(record, stage.$match));
+        if (stage.$group) {
+          const { _id: key, ...accumulators } = stage.$group;
+          const groups = new Map();
+          rows.forEach((row) => {
+            const id = evaluate(row, key);
+            const group = groups.get(String(id)) || { _id: id };
+            Object.entries(accumulators).forEach(([field, { $sum }]) => {
+              group[field] = (group[field] || 0) + (evaluate(row, $sum) || 0);
+            });
+            groups.set(String(id), group);
+          });
+          rows = [...groups.values()];
+        }
+      });
+      return rows;
+    }
+  };
+  Object.defineProperty(proto, 'constructor', { value: Model });
+  Object.defineProperty(proto, 'save', {
+    value: async function() {
+      store(this);
+      return this;
+    }
+  });
+  Object.entries(statics).forEach(([name, fn]) => {
+    Model[name] = fn.bind(Model);
+  });
+  return Model;
+};
+
+const actual = path => (typeof jest !== 'undefined' ? jest.requireActual(path) : require(path));
+
+const TokenLedger = createModel({
+  statics: actual('../../src/models/TokenLedger').schema.statics,
+  unique: ['idempotencyKey']
+});
+// The real User model requires TokenLedger, which test files mock with this one: export it first
+module.exports.TokenLedger = TokenLedger;
+
+const User = createModel({
+  statics: actual('../../src/models/User').schema.statics,
+  methods: {
+    // Credits a top-up like User#addTokens (which relies on mongoose document internals), including its
+    // ledger entry. The subscription code claims a payment in planHistory first, after which
+    // User#addTokens credits it unconditionally, so this does too.
+    async addTokens(amount, planId = null, paymentInfo = null, options = {}) {
+      const pool = paymentInfo || options.target === 'paid' ? 'paid' : 'free';
+      const updated = await User.findOneAndUpdate(
+        { _id: this._id },
+        { $inc: { [`tokens.${pool}Tokens`]: amount, 'tokens.balance': amount, credits: amount } },
+        { new: true }
+      );
+      this.tokens = updated.tokens;
+      this.credits = updated.credits;
+      await TokenLedger.record({
+        userId: this._id,
+        type: 'topup',
+        balanceDelta: amount,
+        pool,
+        idempotencyKey: options.idempotencyKey || (paymentInfo && `payment:${paymentInfo.paymentId}`),
+        description: options.description
+      });
+      return this.tokens.balance;
+    }
+  }
+});
+
+const Plan = createModel();
+const WebhookEvent = createModel();
+
+const models = { User, Plan, TokenLedger, WebhookEvent };
+
+// Code that looks models up by name (mongoose.model('User')) gets these too
+const registered = mongoose.model.bind(mongoose);
+mongoose.model = (name, ...rest) => (rest.length === 0 && models[name] ? models[name] : registered(name, ...rest));
+
+const resetAll = () => Object.values(models).forEach(Model => Model.reset());
+
+Object.assign(module.exports, models, { resetAll });
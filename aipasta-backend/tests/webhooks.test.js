@@ -0,0 +1,267 @@
+// Replays the recorded Razorpay subscription events in scripts/fixtures/razorpay through the server's own
+// middleware stack, against in-memory models (see support/memoryModels).
+
+jest.mock('../src/models/User', () => require('./support/memoryModels').User);
+jest.mock('../src/models/Plan', () => require('./support/memoryModels').Plan);
+jest.mock('../src/models/TokenLedger', () => require('./support/memoryModels').TokenLedger);
+jest.mock('../src/models/WebhookEvent', () => require('./support/memoryModels').WebhookEvent);
+jest.mock('../src/services/mailService', () => ({ sendPaymentReceipt: jest.fn() }));
+
+process.env.OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || 'test';
+
+const request = require('supertest');
+const app = require('../src/server');
+const { User, Plan, TokenLedger, WebhookEvent, resetAll } = require('./support/memoryModels');
+const { loadFixture, generateWebhookSignature } = require('../scripts/test-webhooks');
+
+const SECRET = 'whsec_fixture_replay';
+// Ids the fixtures carry in their notes and plan_id
+const USER_ID = '507f191e810c19729de860ea';
+const BASIC_ID = '507f1f77bcf86cd799439011';
+const PRO_ID = '507f1f77bcf86cd799439012';
+const SUBSCRIPTION_ID = 'sub_PjN3xk8AzQm2Lc';
+
+let deliveries = 0;
+// Post a fixture the way Razorpay does; reuse an eventId to simulate a redelivery
+const deliver = (fixture, { eventId = `evt_replay${++deliveries}`, signature } = {}) => {
+  const body = JSON.stringify(loadFixture(fixture));
+  return request(app)
+    .post('/api/webhooks/razorpay')
+    .set('Content-Type', 'application/json')
+    .set('X-Razorpay-Signature', signature || generateWebhookSignature(body, SECRET))
+    .set('X-Razorpay-Event-Id', eventId)
+    .send(body);
+};
+
+const deliverAll = async (...fixtures) => {
+  for (const fixture of fixtures) {
+    const res = await deliver(fixture);
+    expect(res.status).toBe(200);
+  }
+};
+
+const user = () => User.get(USER_ID);
+const spend = amount => User.updateOne(
+  { _id: USER_ID },
+  { $inc: { 'tokens.paidTokens': -amount, 'tokens.balance': -amount, credits: -amount } }
+);
+
+beforeAll(() => {
+  process.env.RAZORPAY_WEBHOOK_SECRET = SECRET;
+  ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  resetAll();
+  Plan.insert(
+    {
+      _id: BASIC_ID,
+      name: 'basic-monthly',
+      displayName: 'Basic Monthly',
+      razorpayPlanId: 'plan_PjMzq1Yb6T0aGd',
+      priceINR: 99,
+      tokens: 100000,
+      tokenRenewal: 'reset',
+      maxRolloverTokens: null
+    },
+    {
+      _id: PRO_ID,
+      name: 'pro-monthly',
+      displayName: 'Pro Monthly',
+      razorpayPlanId: 'plan_PjMzvR4hK2nUaW',
+      priceINR: 299,
+      tokens: 300000,
+      tokenRenewal: 'rollover',
+      maxRolloverTokens: 50000
+    }
+  );
+  User.insert({
+    _id: USER_ID,
+    email: 'test@example.com',
+    currentPlan: null,
+    credits: 10000,
+    tokens: { freeTokens: 10000, paidTokens: 0, balance: 10000, reserved: 0 },
+    subscription: {
+      razorpaySubscriptionId: SUBSCRIPTION_ID,
+      planId: null,
+      scheduledPlanId: null,
+      status: 'created',
+      cancelAtPeriodEnd: false,
+      periodGrant: 0
+    },
+    planHistory: []
+  });
+});
+
+describe('Razorpay subscription webhooks', () => {
+  it('rejects a payload with a bad signature', async () => {
+    const res = await deliver('subscription.charged', { signature: 'not-the-signature' });
+
+    expect(res.status).toBe(400);
+    expect(user().tokens.balance).toBe(10000);
+  });
+
+  it('verifies the signature over the raw body the app-wide parsers leave alone', async () => {
+    // Same JSON, different bytes: a signature over a re-serialized body would accept it
+    const body = JSON.stringify(loadFixture('subscription.activated'), null, 2);
+    const res = await request(app)
+      .post('/api/webhooks/razorpay')
+      .set('Content-Type', 'application/json')
+      .set('X-Razorpay-Signature', generateWebhookSignature(JSON.stringify(JSON.parse(body)), SECRET))
+      .set('X-Razorpay-Event-Id', 'evt_reformatted')
+      .send(body);
+
+    expect(res.status).toBe(400);
+    expect(user().subscription.status).toBe('created');
+
+    const signed = await deliver('subscription.activated');
+    expect(signed.status).toBe(200);
+    expect(user().subscription.status).toBe('active');
+  });
+
+  it('follows a subscription through checkout and its first charge', async () => {
+    await deliverAll('subscription.authenticated');
+    expect(user().subscription.status).toBe('authenticated');
+
+    await deliverAll('subscription.activated');
+    expect(user().subscription.status).toBe('active');
+    expect(String(user().currentPlan)).toBe(BASIC_ID);
+
+    const res = await deliver('subscription.charged');
+    expect(res.body.result).toMatchObject({ status: 'success', tokensAdded: 100000, tokensExpired: 0 });
+    expect(user().tokens).toMatchObject({ freeTokens: 10000, paidTokens: 100000, balance: 110000 });
+    expect(user().subscription).toMatchObject({ status: 'active', periodGrant: 100000 });
+    expect(user().subscription.expiresAt).toEqual(new Date(1790829060 * 1000));
+    expect(user().planHistory.map(entry => entry.paymentId)).toEqual(['pay_PjN4AfT7rZc1Qm']);
+    expect(Plan.get(BASIC_ID)).toMatchObject({ totalPurchases: 1, totalRevenue: 99 });
+  });
+
+  it('skips a redelivered event', async () => {
+    await deliverAll('subscription.activated');
+    await deliver('subscription.charged', { eventId: 'evt_charge' });
+    const res = await deliver('subscription.charged', { eventId: 'evt_charge' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: 'already_processed' });
+    expect(user().tokens.balance).toBe(110000);
+  });
+
+  it('credits a payment once when it arrives under a new event id', async () => {
+    await deliverAll('subscription.activated', 'subscription.charged');
+    const res = await deliver('subscription.charged');
+
+    expect(res.body.result).toEqual({ status: 'already_processed' });
+    expect(user().tokens.balance).toBe(110000);
+    expect(user().planHistory).toHaveLength(1);
+    expect(TokenLedger.records.filter(entry => entry.type === 'topup')).toHaveLength(1);
+  });
+
+  it('grants the prorated difference once on an upgrade', async () => {
+    await deliverAll('subscription.activated', 'subscription.charged');
+    await spend(40000);
+
+    // The change lands halfway through the period
+    const res = await deliver('subscription.updated');
+    expect(res.body.result).toMatchObject({ status: 'success', tokensAdded: 100000 });
+    expect(String(user().subscription.planId)).toBe(PRO_ID);
+    expect(String(user().currentPlan)).toBe(PRO_ID);
+    expect(user().subscription.periodGrant).toBe(200000);
+    expect(user().tokens).toMatchObject({ paidTokens: 160000, balance: 170000 });
+
+    const again = await deliver('subscription.updated');
+    expect(again.body.result.tokensAdded).toBeUndefined();
+    expect(user().tokens.balance).toBe(170000);
+  });
+
+  it('applies the ending plan\'s renewal rule before granting the next period', async () => {
+    await deliverAll('subscription.activated', 'subscription.charged');
+    await spend(40000);
+    await deliverAll('subscription.updated');
+
+    // 160K of the 200K granted this period are left; Pro rolls over at most 50K
+    const res = await deliver('subscription.charged-renewal');
+    expect(res.body.result).toMatchObject({ status: 'success', tokensAdded: 300000, tokensExpired: 110000 });
+    expect(user().tokens).toMatchObject({ freeTokens: 10000, paidTokens: 350000, balance: 360000 });
+    expect(user().subscription.periodGrant).toBe(300000);
+    expect(user().subscription.expiresAt).toEqual(new Date(1793507460 * 1000));
+
+    const again = await deliver('subscription.charged-renewal');
+    expect(again.body.result).toEqual({ status: 'already_processed' });
+    expect(user().tokens.balance).toBe(360000);
+    expect(TokenLedger.records.filter(entry => entry.type === 'expire')).toHaveLength(1);
+  });
+
+  it('tracks pauses, resumes and a failed renewal', async () => {
+    await deliverAll('subscription.activated', 'subscription.charged');
+
+    await deliverAll('subscription.paused');
+    expect(user().subscription.status).toBe('paused');
+    await deliverAll('subscription.resumed');
+    expect(user().subscription.status).toBe('active');
+    expect(String(user().currentPlan)).toBe(BASIC_ID);
+    await deliverAll('subscription.pending');
+    expect(user().subscription.status).toBe('pending');
+  });
+
+  it('ignores a status event older than the last one applied', async () => {
+    await deliverAll('subscription.activated');
+    const res = await deliver('subscription.authenticated');
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toEqual({ status: 'ignored', reason: 'stale' });
+    expect(user().subscription.status).toBe('active');
+    expect(WebhookEvent.records.every(event => event.processed)).toBe(true);
+  });
+
+  it('does not reactivate a halted subscription for a late event', async () => {
+    await deliverAll('subscription.activated', 'subscription.charged', 'subscription.halted');
+    await deliverAll('subscription.resumed');
+
+    expect(user().subscription.status).toBe('halted');
+    expect(user().currentPlan).toBeNull();
+  });
+
+  it('credits a late charge without moving the status back', async () => {
+    await deliverAll('subscription.activated', 'subscription.paused');
+    const res = await deliver('subscription.charged');
+
+    expect(res.body.result).toMatchObject({ status: 'success', tokensAdded: 100000 });
+    expect(user().tokens.balance).toBe(110000);
+    expect(user().subscription.status).toBe('paused');
+  });
+
+  it.each([
+    ['subscription.halted', 'halted'],
+    ['subscription.cancelled', 'cancelled']
+  ])('ends the plan but keeps granted tokens on %s', async (fixture, status) => {
+    await deliverAll('subscription.activated', 'subscription.charged', fixture);
+
+    expect(user().subscription).toMatchObject({ status, periodGrant: 0 });
+    expect(user().currentPlan).toBeNull();
+    expect(user().tokens.balance).toBe(110000);
+  });
+
+  it('ignores events for a subscription the user has replaced', async () => {
+    await User.updateOne({ _id: USER_ID }, { $set: { 'subscription.razorpaySubscriptionId': 'sub_Replacement' } });
+    const res = await deliver('subscription.charged');
+
+    expect(res.body.result).toEqual({ status: 'ignored', reason: 'superseded' });
+    expect(user().tokens.balance).toBe(10000);
+  });
+
+  it('keeps an event it cannot apply so a redelivery can', async () => {
+    User.reset();
+    const failed = await deliver('subscription.activated', { eventId: 'evt_early' });
+    expect(failed.status).toBe(500);
+    expect(WebhookEvent.records[0]).toMatchObject({ eventId: 'evt_early', processed: false, attempts: 1 });
+
+    User.insert({ _id: USER_ID, tokens: { balance: 0 }, subscription: { status: null }, planHistory: [] });
+    const retried = await deliver('subscription.activated', { eventId: 'evt_early' });
+    expect(retried.body.result).toMatchObject({ status: 'success', subscriptionStatus: 'active' });
+    expect(WebhookEvent.records[0].processed).toBe(true);
+  });
+});
@@ -2,8 +2,12 @@
 
 import { useState, memo } from 'react';
 import { motion, AnimatePresence } from 'motion/react';
-import { IconRobot, IconUser, IconCopy, IconCheck, IconChevronDown, IconChevronUp } from '@tabler/icons-react';
+import { IconRobot, IconUser, IconCopy, IconCheck, IconChevronDown, IconChevronUp, IconPin, IconPinFilled, IconPencil, IconRefresh } from '@tabler/icons-react';
 import { SlideUp, FadeIn, TypingAnimation, SkeletonLoader } from '../animations';
+import ResponseCitations from '../../features/chat/components/ResponseCitations';
+import BranchSwitcher from '../../features/chat/components/BranchSwitcher';
+import ResponseRating from '../../features/chat/components/ResponseRating';
+import MessageEditForm from '../../features/chat/components/MessageEditForm';
 
 const PremiumChatMessage = memo(({ 
   message, 
@@ -11,9 +15,14 @@ const PremiumChatMessage = memo(({
   streamingResponses, 
   hasActiveResponses,
   isStreaming = false,
-  delay = 0
+  delay = 0,
+  onTogglePin,
+  onEdit,
+  onRegenerate,
+  onSwitchBranch
 }) => {
   const [imageLoaded, setImageLoaded] = useState({});
+  const [isEditing, setIsEditing] = useState(false);
   const [isExpanded, setIsExpanded] = useState(true);
   const [copiedStates, setCopiedStates] = useState({});
 
@@ -67,6 +76,10 @@ const PremiumChatMessage = memo(({
     );
   }
 
+  // Only messages stored by the backend (ObjectId ids) can be pinned, edited or regenerated
+  const isStored = /^[a-f0-9]{24}$/.test(String(message.id));
+  const canPin = Boolean(onTogglePin) && isStored;
+
   // Determine if message content is long enough for collapse feature
   const isLongMessage = message.content && message.content.length > 500;
   const displayContent = isLongMessage && !isExpanded 
@@ -79,7 +92,7 @@ const PremiumChatMessage = memo(({
       className={`flex ${isUser ? 'justify-end' : 'justify-start'} mb-6 px-4`}
     >
       <motion.div 
-        className={`max-w-[95%] sm:max-w-[80%] rounded-xl shadow-sm border backdrop-blur-sm transition-all duration-300 group ${
+        className={`relative max-w-[95%] sm:max-w-[80%] rounded-xl shadow-sm border backdrop-blur-sm transition-all duration-300 group ${
           isUser 
             ? 'bg-gradient-to-br from-purple-600 to-purple-700 text-white border-purple-500/50 shadow-purple-200/50 dark:shadow-purple-900/30' 
             : 'bg-white/95 dark:bg-neutral-800/95 text-neutral-900 dark:text-neutral-100 border-gray-200/50 dark:border-neutral-700/50 hover:shadow-lg hover:bg-white dark:hover:bg-neutral-800'
@@ -90,6 +103,20 @@ const PremiumChatMessage = memo(({
         }}
         layout
       >
+        {/* Pinned messages are always sent with the conversation history */}
+        {canPin && (
+          <button
+            type="button"
+            onClick={() => onTogglePin(message.id, !message.pinned)}
+            title={message.pinned ? 'Unpin (may be summarized in long chats)' : 'Pin (always kept in the model\'s context)'}
+            className={`absolute -top-2 -right-2 z-10 p-1 rounded-full border shadow-sm bg-white dark:bg-neutral-800 border-gray-200 dark:border-neutral-700 transition-opacity ${
+              message.pinned ? 'opacity-100 text-blue-600 dark:text-blue-400' : 'opacity-0 group-hover:opacity-100 text-neutral-500'
+            }`}
+          >
+            {message.pinned ? <IconPinFilled className="w-3.5 h-3.5" /> : <IconPin className="w-3.5 h-3.5" />}
+          </button>
+        )}
+
         {/* Enhanced model label for AI responses */}
         {!isUser && message.model && (
           <motion.div 
@@ -126,8 +153,16 @@ const PremiumChatMessage = memo(({
         )}
         
         <div className="p-5">
+          {isEditing && (
+            <MessageEditForm
+              initialContent={message.content}
+              onSave={(content) => onEdit(message, content)}
+              onCancel={() => setIsEditing(false)}
+            />
+          )}
+
           {/* Enhanced text content with better typography */}
-          {message.content && (
+          {message.content && !isEditing && (
             <motion.div 
               className="leading-relaxed text-[15px] font-sans"
               initial={{ opacity: 0 }}
@@ -307,6 +342,25 @@ const PremiumChatMessage = memo(({
             )}
           </AnimatePresence>
           
+          {/* Edit a sent question, or flip between its edits */}
+          {isUser && isStored && !isEditing && (onEdit || message.branch?.count > 1) && (
+            <div className="flex items-center justify-end gap-2 mt-3 text-purple-100">
+              <BranchSwitcher branch={message.branch} onSelect={onSwitchBranch} />
+              {onEdit && (
+                <button
+                  type="button"
+                  onClick={() => setIsEditing(true)}
+                  title="Edit and resend (the original stays as another branch)"
+                  className="p-1 rounded hover:bg-white/10 transition-colors"
+                >
+                  <IconPencil className="w-3.5 h-3.5" />
+                </button>
+              )}
+            </div>
+          )}
+
+          {!isUser && <ResponseCitations citations={message.citations} />}
+
           {/* Copy button for non-user messages */}
           {!isUser && message.content && (
             <motion.div 
@@ -348,6 +402,25 @@ const PremiumChatMessage = memo(({
                   )}
                 </AnimatePresence>
               </motion.button>
+
+              {/* Rate or regenerate the answer, or flip between its versions */}
+              {isStored && (
+                <div className="flex items-center gap-2 text-neutral-500 dark:text-neutral-400">
+                  <ResponseRating messageId={message.id} rating={message.rating} />
+                  <BranchSwitcher branch={message.branch} onSelect={onSwitchBranch} />
+                  {onRegenerate && (
+                    <button
+                      type="button"
+                      onClick={() => onRegenerate(message.id)}
+                      title="Regenerate (the current answer stays as another version)"
+                      className="flex items-center gap-1 text-xs sm:text-sm px-3 py-2 sm:px-2 sm:py-1 rounded-md hover:bg-black/5 dark:hover:bg-white/5 hover:text-neutral-700 dark:hover:text-neutral-200 transition-colors"
+                    >
+                      <IconRefresh className="w-3 h-3" />
+                      Regenerate
+                    </button>
+                  )}
+                </div>
+              )}
             </motion.div>
           )}
           
@@ -1,5 +1,6 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { logAuthError } from '../lib/error-logger';
+import { setSessionRefresher } from '../lib/api-client';
 
 const AuthContext = createContext();
 
@@ -21,6 +22,24 @@ async function safeParseResponse(response) {
   }
 }
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+// After a failed refresh (offline, server error, rate limited) wait this long before trying again, doubling up to the max
+const REFRESH_RETRY_MS = 5 * 1000;
+const REFRESH_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// When a JWT expires (milliseconds since the epoch), or null
+const tokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -35,6 +54,77 @@ export const AuthProvider = ({ children }) => {
   const [credits, setCredits] = useState(0);
 
   const API_BASE = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000';
+  const refreshInFlight = useRef(null);
+
+  // Keep the tokens of a sign-in or refresh. Access tokens are short-lived; the refresh token gets new ones.
+  const storeSession = (token, refreshToken) => {
+    localStorage.setItem('authToken', token);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+  };
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    setUser(null);
+    setCredits(0);
+  }, []);
+
+  // Swap the refresh token for a new access token. Concurrent callers share one request, and a token
+  // another tab already swapped is picked up from localStorage. Resolves to true when a fresh access
+  // token is stored.
+  const refreshSession = useCallback(() => {
+    if (refreshInFlight.current) return refreshInFlight.current;
+
+    const attempt = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+
+      try {
+        const response = await fetch(`${API_BASE}/api/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+
+        const data = await safeParseResponse(response);
+        if (response.ok && data.token) {
+          storeSession(data.token, data.refreshToken);
+          return true;
+        }
+
+        // Another tab refreshed at the same moment; its new tokens land in localStorage
+        if (response.status === 409) {
+          await sleep(1000);
+          return localStorage.getItem('refreshToken') !== refreshToken;
+        }
+
+        if (response.status === 401) {
+          // Signed out, expired, or revoked after the refresh token was reused
+          console.warn('Session ended:', data.message);
+          clearSession();
+        }
+        return false;
+      } catch (error) {
+        // Offline: keep the session and try again later
+        console.error('Token refresh error:', error);
+        return false;
+      }
+    })();
+
+    refreshInFlight.current = attempt;
+    attempt.finally(() => {
+      refreshInFlight.current = null;
+    });
+    return attempt;
+  }, [API_BASE, clearSession]);
+
+  // api-client requests refresh an expired access token through the same shared request
+  useEffect(() => {
+    setSessionRefresher(refreshSession);
+    return () => setSessionRefresher(null);
+  }, [refreshSession]);
 
   // Get auth headers with token
   const getAuthHeaders = () => {
@@ -70,8 +160,13 @@ export const AuthProvider = ({ children }) => {
         return { success: false, error: data.message || 'Login failed' };
       }
 
+      // Accounts with two-factor authentication get a challenge instead of a session
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
       // Store token
-      localStorage.setItem('authToken', data.token);
+      storeSession(data.token, data.refreshToken);
       setUser(data.data.user);
       // Check both credits and tokens.balance for backward compatibility
       setCredits(data.data.user.credits || data.data.user.tokens?.balance || 0);
@@ -92,11 +187,40 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Accept a JWT token and user object from external providers (e.g., Google)
-  const loginWithToken = async (token, userObj) => {
+  // Second sign-in step: the challenge token from login plus a code from the authenticator app or a
+  // recovery code
+  const completeTwoFactorLogin = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/auth/login/2fa`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ challengeToken, code, recoveryCode })
+      });
+
+      const data = await safeParseResponse(response);
+
+      if (!response.ok || data.__nonJson) {
+        return { success: false, status: response.status, error: data.message || 'Verification failed' };
+      }
+
+      storeSession(data.token, data.refreshToken);
+      setUser(data.data.user);
+      setCredits(data.data.user.credits || data.data.user.tokens?.balance || 0);
+
+      return { success: true, user: data.data.user, recoveryCodesRemaining: data.data.recoveryCodesRemaining };
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return { success: false, error: error.message || 'Network error occurred' };
+    }
+  };
+
+  // Accept a JWT token, user object and refresh token from external providers (e.g., Google)
+  const loginWithToken = async (token, userObj, refreshToken) => {
     try {
       if (!token) return { success: false, error: 'No token provided' };
-      localStorage.setItem('authToken', token);
+      storeSession(token, refreshToken);
       if (userObj) {
         setUser(userObj);
         setCredits(userObj.credits || userObj.tokens?.balance || 0);
@@ -137,7 +261,7 @@ export const AuthProvider = ({ children }) => {
       }
 
       // Store token
-      localStorage.setItem('authToken', data.token);
+      storeSession(data.token, data.refreshToken);
       setUser(data.data.user);
       // Check both credits and tokens.balance for backward compatibility
       setCredits(data.data.user.credits || data.data.user.tokens?.balance || 0);
@@ -162,15 +286,18 @@ export const AuthProvider = ({ children }) => {
   // Logout function
   const logout = async () => {
     try {
+      // The refresh token lets the server end the session even when the access token has expired
       await fetch(`${API_BASE}/api/auth/logout`, {
         method: 'POST',
-        headers: getAuthHeaders()
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') })
       });
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
       // Clear all user-related localStorage data
       localStorage.removeItem('authToken');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('aipasta-wallet');
       localStorage.removeItem('modelFavoriteGroups');
       
@@ -199,10 +326,22 @@ export const AuthProvider = ({ children }) => {
     }
 
     try {
-      const response = await fetch(`${API_BASE}/api/auth/me`, {
+      // An access token that expired while the app was closed is refreshed first
+      const expiresAt = tokenExpiry(token);
+      if (expiresAt && expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+        await refreshSession();
+      }
+
+      let response = await fetch(`${API_BASE}/api/auth/me`, {
         method: 'GET',
         headers: getAuthHeaders()
       });
+      if (response.status === 401 && await refreshSession()) {
+        response = await fetch(`${API_BASE}/api/auth/me`, {
+          method: 'GET',
+          headers: getAuthHeaders()
+        });
+      }
 
       if (response.ok) {
         const data = await safeParseResponse(response);
@@ -222,19 +361,15 @@ export const AuthProvider = ({ children }) => {
         setCredits(userCredits);
       } else {
         // Token might be invalid
-        localStorage.removeItem('authToken');
-        setUser(null);
-        setCredits(0);
+        clearSession();
       }
     } catch (error) {
       console.error('Get current user error:', error);
-      localStorage.removeItem('authToken');
-      setUser(null);
-      setCredits(0);
+      clearSession();
     } finally {
       setLoading(false);
     }
-  }, [API_BASE]);
+  }, [API_BASE, refreshSession, clearSession]);
 
   // Deduct credits
   const deductCredits = async (amount) => {
@@ -294,6 +429,48 @@ export const AuthProvider = ({ children }) => {
     getCurrentUser();
   }, [getCurrentUser]);
 
+  // Refresh the access token shortly before it expires, and straight away when the tab comes back after
+  // sleeping through the timer. Other tabs may refresh first; their token is picked up from localStorage.
+  const signedIn = Boolean(user);
+  useEffect(() => {
+    if (!signedIn) return undefined;
+
+    let timer = null;
+    let failures = 0;
+    const schedule = () => {
+      clearTimeout(timer);
+      const expiresAt = tokenExpiry(localStorage.getItem('authToken') || '');
+      if (!expiresAt) return;
+      const retryDelay = failures > 0 ? Math.min(REFRESH_RETRY_MS * 2 ** (failures - 1), REFRESH_RETRY_MAX_MS) : 0;
+      timer = setTimeout(check, Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, retryDelay));
+    };
+    const check = async () => {
+      const expiresAt = tokenExpiry(localStorage.getItem('authToken') || '');
+      if (expiresAt && expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+        failures = (await refreshSession()) ? 0 : failures + 1;
+      }
+      schedule();
+    };
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+    const handleStorage = (e) => {
+      if (e.key === 'authToken') {
+        failures = 0;
+        schedule();
+      }
+    };
+
+    schedule();
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [signedIn, refreshSession]);
+
   // Listen for global user updates from API calls (e.g., after chat responses)
   useEffect(() => {
     const handler = (e) => {
@@ -354,11 +531,13 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     loginWithToken,
+    completeTwoFactorLogin,
     logout,
     deductCredits,
     getCredits,
     updateCredits,
     refreshUser: getCurrentUser, // Add function to manually refresh user data
+    refreshSession,
     isAuthenticated: !!user
   };
 
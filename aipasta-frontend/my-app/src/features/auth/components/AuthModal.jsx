@@ -1,11 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { IconEye, IconEyeOff, IconUser, IconMail, IconLock, IconX } from '@tabler/icons-react';
+import { IconEye, IconEyeOff, IconUser, IconMail, IconLock, IconX, IconShieldLock } from '@tabler/icons-react';
 import { useAuth } from '../../../contexts/AuthContext';
 import { useToast } from '../../../shared';
-import { checkBackendHealth } from '../../../lib/api-client';
+import { checkBackendHealth, requestPasswordReset } from '../../../lib/api-client';
 
 const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
-  const [mode, setMode] = useState(initialMode); // 'login', 'register'
+  const [mode, setMode] = useState(initialMode); // 'login', 'register', 'forgot', 'two-factor'
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -17,8 +17,12 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
   const [loading, setLoading] = useState(false);
   const [errorShown, setErrorShown] = useState(false); // Prevent duplicate error toasts
   const [backendOnline, setBackendOnline] = useState(true);
+  // Second sign-in step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
-  const { login, register, loginWithToken } = useAuth();
+  const { login, register, loginWithToken, completeTwoFactorLogin } = useAuth();
   const toast = useToast();
   const [gsiReady, setGsiReady] = useState(null); // null=unknown, true=rendered, false=failed
   
@@ -83,6 +87,16 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
         toast.error('Passwords do not match');
         return false;
       }
+    } else if (mode === 'forgot') {
+      if (!emailRegex.test(formData.email.trim())) {
+        toast.error('Please enter a valid email address');
+        return false;
+      }
+    } else if (mode === 'two-factor') {
+      if (useRecoveryCode ? !twoFactorCode.trim() : !/^\d{6}$/.test(twoFactorCode.replace(/\s+/g, ''))) {
+        toast.error(useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the 6-digit code from your authenticator app');
+        return false;
+      }
     }
     return true;
   };
@@ -98,6 +112,41 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
       return;
     }
 
+    if (mode === 'forgot') {
+      const result = await requestPasswordReset(formData.email.trim());
+      setLoading(false);
+      if (result.success) {
+        toast.success(result.message || 'Check your email for a password reset link');
+        switchMode('login');
+      } else {
+        toast.error(result.error || 'Could not send a reset link. Please try again.');
+      }
+      return;
+    }
+
+    if (mode === 'two-factor') {
+      const result = await completeTwoFactorLogin(challengeToken, useRecoveryCode
+        ? { recoveryCode: twoFactorCode.trim() }
+        : { code: twoFactorCode.replace(/\s+/g, '') });
+      setLoading(false);
+      if (result.success) {
+        toast.success('Login successful!');
+        if (typeof result.recoveryCodesRemaining === 'number' && result.recoveryCodesRemaining <= 3) {
+          toast.warning(`Only ${result.recoveryCodesRemaining} recovery codes left. Generate new ones in Settings.`);
+        }
+        onClose();
+        switchMode('login');
+      } else if (result.status === 401) {
+        // The challenge expired (it lasts a few minutes); start over from the password
+        toast.error('Verification took too long. Please sign in again.');
+        switchMode('login');
+      } else {
+        toast.error(result.error || 'Invalid verification code');
+        setTwoFactorCode('');
+      }
+      return;
+    }
+
     try {
       let result;
 
@@ -107,6 +156,12 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
         result = await register(formData.name, formData.email, formData.password);
       }
 
+      if (result.twoFactorRequired) {
+        startTwoFactor(result.challengeToken);
+        setLoading(false);
+        return;
+      }
+
       if (result.success) {
         toast.success(
           mode === 'login' 
@@ -291,7 +346,11 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
                 }
 
                 const data = await resp.json();
-                await loginWithToken(data.token, data.data?.user);
+                if (data.twoFactorRequired) {
+                  startTwoFactor(data.challengeToken);
+                  return;
+                }
+                await loginWithToken(data.token, data.data?.user, data.refreshToken);
                 toast.success('Logged in with Google');
                 onClose();
               } catch (err) {
@@ -371,13 +430,26 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
 
   const switchMode = (newMode) => {
     setMode(newMode);
-    setFormData({
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setFormData(prev => ({
       name: '',
-      email: '',
+      // Keep the address typed on the login form for a password reset
+      email: newMode === 'forgot' ? prev.email : '',
       password: '',
       confirmPassword: '',
       username: ''
-    });
+    }));
+  };
+
+  // Password (or Google) accepted; ask for the authenticator code
+  const startTwoFactor = (token) => {
+    setMode('two-factor');
+    setChallengeToken(token);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setFormData(prev => ({ ...prev, password: '', confirmPassword: '' }));
   };
 
   return (
@@ -396,10 +468,16 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
           <h2 className="text-2xl font-bold text-neutral-900 dark:text-white mb-2">
             {mode === 'login' && 'Welcome back'}
             {mode === 'register' && 'Create account'}
+            {mode === 'forgot' && 'Reset password'}
+            {mode === 'two-factor' && 'Two-step verification'}
           </h2>
           <p className="text-neutral-600 dark:text-neutral-400">
             {mode === 'login' && 'Sign in to your account'}
             {mode === 'register' && 'Join AI Pasta and get 10,000 free tokens to start'}
+            {mode === 'forgot' && "Enter your email and we'll send you a link to choose a new password"}
+            {mode === 'two-factor' && (useRecoveryCode
+              ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication'
+              : 'Enter the 6-digit code from your authenticator app')}
           </p>
         </div>
 
@@ -416,30 +494,32 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
         )}
 
         {/* Mode Toggle */}
-        <div className="flex bg-white/30 dark:bg-white/10 backdrop-blur-sm border border-white/20 dark:border-white/10 rounded-lg p-1 mb-6">
-          <button
-            type="button"
-            onClick={() => switchMode('login')}
-            className={`flex-1 py-2 px-3 rounded-md text-sm font-medium transition-all duration-200 ${
-              mode === 'login'
-                ? 'bg-white/80 dark:bg-white/20 text-neutral-900 dark:text-white shadow-lg backdrop-blur-sm'
-                : 'text-neutral-600 dark:text-neutral-400 hover:text-neutral-800 dark:hover:text-neutral-200'
-            }`}
-          >
-            Login
-          </button>
-          <button
-            type="button"
-            onClick={() => switchMode('register')}
-            className={`flex-1 py-2 px-3 rounded-md text-sm font-medium transition-all duration-200 ${
-              mode === 'register'
-                ? 'bg-white/80 dark:bg-white/20 text-neutral-900 dark:text-white shadow-lg backdrop-blur-sm'
-                : 'text-neutral-600 dark:text-neutral-400 hover:text-neutral-800 dark:hover:text-neutral-200'
-            }`}
-          >
-            Register
-          </button>
-        </div>
+        {(mode === 'login' || mode === 'register') && (
+          <div className="flex bg-white/30 dark:bg-white/10 backdrop-blur-sm border border-white/20 dark:border-white/10 rounded-lg p-1 mb-6">
+            <button
+              type="button"
+              onClick={() => switchMode('login')}
+              className={`flex-1 py-2 px-3 rounded-md text-sm font-medium transition-all duration-200 ${
+                mode === 'login'
+                  ? 'bg-white/80 dark:bg-white/20 text-neutral-900 dark:text-white shadow-lg backdrop-blur-sm'
+                  : 'text-neutral-600 dark:text-neutral-400 hover:text-neutral-800 dark:hover:text-neutral-200'
+              }`}
+            >
+              Login
+            </button>
+            <button
+              type="button"
+              onClick={() => switchMode('register')}
+              className={`flex-1 py-2 px-3 rounded-md text-sm font-medium transition-all duration-200 ${
+                mode === 'register'
+                  ? 'bg-white/80 dark:bg-white/20 text-neutral-900 dark:text-white shadow-lg backdrop-blur-sm'
+                  : 'text-neutral-600 dark:text-neutral-400 hover:text-neutral-800 dark:hover:text-neutral-200'
+              }`}
+            >
+              Register
+            </button>
+          </div>
+        )}
 
         {/* Form */}
         <form onSubmit={handleSubmit} className="space-y-4">
@@ -458,7 +538,7 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
             </div>
           )}
 
-          {(mode === 'login' || mode === 'register') && (
+          {(mode === 'login' || mode === 'register' || mode === 'forgot') && (
             <div className="relative">
               <IconMail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-neutral-400" size={20} />
               <input
@@ -496,6 +576,51 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
             </div>
           )}
 
+          {mode === 'login' && (
+            <div className="-mt-2 text-right">
+              <button
+                type="button"
+                onClick={() => switchMode('forgot')}
+                className="text-xs text-purple-600 hover:text-purple-700 font-medium"
+              >
+                Forgot password?
+              </button>
+            </div>
+          )}
+
+          {mode === 'two-factor' && (
+            <div>
+              <div className="relative">
+                <IconShieldLock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-neutral-400" size={20} />
+                <input
+                  type="text"
+                  name="twoFactorCode"
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete={useRecoveryCode ? 'off' : 'one-time-code'}
+                  maxLength={useRecoveryCode ? 20 : 7}
+                  autoFocus
+                  required
+                  className="w-full pl-10 pr-4 py-3 border border-white/30 dark:border-white/20 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white/50 dark:bg-white/10 backdrop-blur-sm text-neutral-900 dark:text-white placeholder-neutral-500 dark:placeholder-neutral-400 tracking-widest"
+                />
+              </div>
+              <div className="mt-2 text-right">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setTwoFactorCode('');
+                  }}
+                  className="text-xs text-purple-600 hover:text-purple-700 font-medium"
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+              </div>
+            </div>
+          )}
+
           {mode === 'register' && (
             <div className="relative">
               <IconLock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-neutral-400" size={20} />
@@ -524,6 +649,8 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
             <span>
               {loading ? 'Processing...' : 
                mode === 'login' ? 'Sign In' :
+               mode === 'forgot' ? 'Send Reset Link' :
+               mode === 'two-factor' ? 'Verify' :
                'Create Account'
               }
             </span>
@@ -567,6 +694,30 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
               </button>
             </p>
           )}
+          {mode === 'two-factor' && (
+            <p>
+              Not you?{' '}
+              <button
+                type="button"
+                onClick={() => switchMode('login')}
+                className="text-purple-600 hover:text-purple-700 font-medium"
+              >
+                Back to sign in
+              </button>
+            </p>
+          )}
+          {mode === 'forgot' && (
+            <p>
+              Remembered it?{' '}
+              <button
+                type="button"
+                onClick={() => switchMode('login')}
+                className="text-purple-600 hover:text-purple-700 font-medium"
+              >
+                Back to sign in
+              </button>
+            </p>
+          )}
           {mode === 'register' && (
             <p>
               Already have an account?{' '}
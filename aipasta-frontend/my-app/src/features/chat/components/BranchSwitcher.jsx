@@ -0,0 +1,35 @@
+import React from 'react';
+import { IconChevronLeft, IconChevronRight } from '@tabler/icons-react';
+
+// "‹ 2/3 ›" between the versions of a message: edits of a question or regenerated answers.
+// branch is the { index, count, ids } the backend sends with each message; nothing is shown for a single version.
+const BranchSwitcher = ({ branch, onSelect, disabled = false, className = '' }) => {
+  if (!branch || branch.count < 2 || !onSelect) return null;
+  const { index, count, ids } = branch;
+
+  return (
+    <div className={`inline-flex items-center gap-0.5 text-xs tabular-nums ${className}`}>
+      <button
+        type="button"
+        onClick={() => onSelect(ids[index - 1])}
+        disabled={disabled || index <= 0}
+        title="Previous version"
+        className="p-0.5 rounded hover:bg-black/5 dark:hover:bg-white/10 disabled:opacity-40"
+      >
+        <IconChevronLeft className="w-3.5 h-3.5" />
+      </button>
+      <span>{index + 1}/{count}</span>
+      <button
+        type="button"
+        onClick={() => onSelect(ids[index + 1])}
+        disabled={disabled || index >= count - 1}
+        title="Next version"
+        className="p-0.5 rounded hover:bg-black/5 dark:hover:bg-white/10 disabled:opacity-40"
+      >
+        <IconChevronRight className="w-3.5 h-3.5" />
+      </button>
+    </div>
+  );
+};
+
+export default BranchSwitcher;
@@ -9,6 +9,7 @@ import {
   IconDots,
   IconClock
 } from '@tabler/icons-react';
+import ChatSearch from './ChatSearch';
 
 const ChatHistorySidebar = ({ 
   sessions = [], 
@@ -17,6 +18,8 @@ const ChatHistorySidebar = ({
   onNewChat, 
   onDeleteSession,
   onRenameSession,
+  onSearchResultSelect,
+  models = [],
   isLoading = false 
 }) => {
   const [editingSessionId, setEditingSessionId] = useState(null);
@@ -72,6 +75,12 @@ const ChatHistorySidebar = ({
           <IconPlus size={20} />
           <span>New Chat</span>
         </button>
+        <ChatSearch
+          models={models}
+          onSelectSession={onSessionSelect}
+          onSelectMessage={onSearchResultSelect}
+          className="mt-3"
+        />
       </div>
 
       {/* Sessions List */}
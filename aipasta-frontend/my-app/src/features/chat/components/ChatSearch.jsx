@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { IconSearch, IconX, IconAdjustmentsHorizontal, IconLoader, IconUser, IconRobot } from '@tabler/icons-react';
+import { searchChatHistory } from '../../../lib/api-client';
+
+const EMPTY_FILTERS = { model: '', provider: '', role: '', from: '', to: '', rating: '', minScore: '' };
+
+// Text with the [start, end] ranges the backend matched wrapped in <mark>
+const Highlighted = ({ text = '', ranges = [] }) => {
+  const parts = [];
+  let last = 0;
+  ranges.forEach(([start, end], index) => {
+    if (start < last) return;
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-700/60 text-inherit rounded-sm px-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    last = end;
+  });
+  parts.push(text.slice(last));
+  return <>{parts}</>;
+};
+
+// Date inputs give local days; the range covers the whole of both
+const toDateFilters = ({ from, to, ...filters }) => ({
+  ...filters,
+  from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+  to: to ? new Date(`${to}T23:59:59.999`).toISOString() : ''
+});
+
+// Search box for the chat history: matches message content and chat titles, filtered by model, provider,
+// who wrote it, date and how the user rated the answer. Choosing a message calls onSelectMessage(result) so the chat can open at it.
+const ChatSearch = ({ models = [], onSelectSession, onSelectMessage, className = '' }) => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const providers = useMemo(() => [...new Set(models.map(model => model.provider).filter(Boolean))].sort(), [models]);
+  const activeFilterCount = Object.values(filters).filter(Boolean).length;
+
+  // Search shortly after typing stops; a newer search cancels the one in flight
+  useEffect(() => {
+    const text = query.trim();
+    if (!text) {
+      setResults(null);
+      setError(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      const result = await searchChatHistory(text, { ...toDateFilters(filters), page }, { signal: controller.signal });
+      if (result.aborted) return;
+      setLoading(false);
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      setError(null);
+      setResults(prev => (page > 1 && prev
+        ? { ...result, sessions: prev.sessions, messages: [...prev.messages, ...result.messages] }
+        : result));
+    }, 300);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, filters, page]);
+
+  const updateQuery = (value) => {
+    setQuery(value);
+    setPage(1);
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const clear = () => {
+    updateQuery('');
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const hasResults = results && (results.sessions.length > 0 || results.messages.length > 0);
+
+  return (
+    <div className={`space-y-2 min-w-0 ${className}`}>
+      <div className="flex items-center gap-1 rounded-lg bg-white dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 px-2 min-w-0">
+        <IconSearch className="w-3.5 h-3.5 text-neutral-400 flex-shrink-0" />
+        <input
+          value={query}
+          onChange={(e) => updateQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && clear()}
+          maxLength={200}
+          placeholder="Search chats"
+          className="flex-1 min-w-0 py-1.5 bg-transparent text-xs text-neutral-700 dark:text-neutral-200 outline-none"
+        />
+        {loading && <IconLoader className="w-3.5 h-3.5 animate-spin text-neutral-400 flex-shrink-0" />}
+        {query && (
+          <button type="button" onClick={clear} title="Clear search" className="p-0.5 text-neutral-400 hover:text-neutral-600 flex-shrink-0">
+            <IconX className="w-3.5 h-3.5" />
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => setShowFilters(!showFilters)}
+          title="Filters"
+          className={`p-0.5 flex-shrink-0 ${activeFilterCount > 0 ? 'text-purple-600 dark:text-purple-400' : 'text-neutral-400 hover:text-neutral-600'}`}
+        >
+          <IconAdjustmentsHorizontal className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="grid grid-cols-2 gap-1.5 text-xs">
+          <select
+            value={filters.model}
+            onChange={(e) => updateFilter('model', e.target.value)}
+            className="col-span-2 min-w-0 px-1.5 py-1 rounded border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 text-neutral-700 dark:text-neutral-200"
+          >
+            <option value="">Any model</option>
+            {models.map(model => (
+              <option key={model.modelId || model.id} value={model.modelId || model.id}>{model.name}</option>
+            ))}
+          </select>
+          <select
+            value={filters.provider}
+            onChange={(e) => updateFilter('provider', e.target.value)}
+            className="min-w-0 px-1.5 py-1 rounded border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 text-neutral-700 dark:text-neutral-200"
+          >
+            <option value="">Any provider</option>
+            {providers.map(provider => <option key={provider} value={provider}>{provider}</option>)}
+          </select>
+          <select
+            value={filters.role}
+            onChange={(e) => updateFilter('role', e.target.value)}
+            className="min-w-0 px-1.5 py-1 rounded border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 text-neutral-700 dark:text-neutral-200"
+          >
+            <option value="">Anyone</option>
+            <option value="user">My messages</option>
+            <option value="assistant">Answers</option>
+          </select>
+          <select
+            value={filters.rating}
+            onChange={(e) => updateFilter('rating', e.target.value)}
+            className="min-w-0 px-1.5 py-1 rounded border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 text-neutral-700 dark:text-neutral-200"
+          >
+            <option value="">Any thumbs</option>
+            <option value="up">Thumbs up</option>
+            <option value="down">Thumbs down</option>
+          </select>
+          <select
+            value={filters.minScore}
+            onChange={(e) => updateFilter('minScore', e.target.value)}
+            className="min-w-0 px-1.5 py-1 rounded border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 text-neutral-700 dark:text-neutral-200"
+          >
+            <option value="">Any score</option>
+            {[5, 4, 3, 2].map(score => <option key={score} value={score}>{score === 5 ? '5 stars' : `${score}+ stars`}</option>)}
+          </select>
+          <label className="min-w-0 text-neutral-500 dark:text-neutral-400">
+            From
+            <input
+              type="date"
+              value={filters.from}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className="w-full px-1 py-0.5 rounded border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 text-neutral-700 dark:text-neutral-200"
+            />
+          </label>
+          <label className="min-w-0 text-neutral-500 dark:text-neutral-400">
+            To
+            <input
+              type="date"
+              value={filters.to}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className="w-full px-1 py-0.5 rounded border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 text-neutral-700 dark:text-neutral-200"
+            />
+          </label>
+        </div>
+      )}
+
+      {error && <div className="text-xs text-red-500 px-1">{error}</div>}
+
+      {results && !hasResults && !loading && (
+        <div className="text-xs text-neutral-400 dark:text-neutral-500 p-2 text-center">No matches</div>
+      )}
+
+      {hasResults && (
+        <div className="space-y-1 max-h-80 overflow-y-auto scrollbar-custom min-w-0">
+          {results.sessions.map(session => (
+            <button
+              key={`session-${session.id}`}
+              type="button"
+              onClick={() => onSelectSession?.(session.id)}
+              className="w-full text-left p-2 rounded-lg text-xs bg-white dark:bg-neutral-800 hover:bg-neutral-50 dark:hover:bg-neutral-700 min-w-0"
+            >
+              <div className="font-medium truncate text-neutral-700 dark:text-neutral-200">
+                <Highlighted text={session.title} ranges={session.highlights} />
+              </div>
+              <div className="text-neutral-400 dark:text-neutral-500">Chat title</div>
+            </button>
+          ))}
+
+          {results.messages.map(result => (
+            <button
+              key={result.id}
+              type="button"
+              onClick={() => onSelectMessage?.(result)}
+              className="w-full text-left p-2 rounded-lg text-xs bg-white dark:bg-neutral-800 hover:bg-neutral-50 dark:hover:bg-neutral-700 min-w-0"
+            >
+              <div className="flex items-center gap-1 text-neutral-400 dark:text-neutral-500 min-w-0">
+                {result.role === 'user' ? <IconUser className="w-3 h-3 flex-shrink-0" /> : <IconRobot className="w-3 h-3 flex-shrink-0" />}
+                <span className="truncate">{result.session.title}</span>
+                {result.role !== 'user' && result.model?.name && <span className="truncate">· {result.model.name}</span>}
+              </div>
+              <div className="mt-0.5 text-neutral-600 dark:text-neutral-300 line-clamp-3 break-words">
+                <Highlighted text={result.snippet} ranges={result.highlights} />
+              </div>
+            </button>
+          ))}
+
+          {results.pagination.page < results.pagination.totalPages && (
+            <button
+              type="button"
+              onClick={() => setPage(page + 1)}
+              disabled={loading}
+              className="w-full py-1.5 text-xs text-purple-600 dark:text-purple-400 hover:underline disabled:opacity-50"
+            >
+              More results
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChatSearch;
@@ -0,0 +1,102 @@
+import React, { useState, useRef } from 'react';
+import { IconDownload, IconUpload, IconLoader } from '@tabler/icons-react';
+import { exportChats, importChats } from '../../../lib/api-client';
+
+const FORMATS = [
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'html', label: 'HTML' },
+  { value: 'pdf', label: 'PDF (print-ready HTML)' },
+  { value: 'json', label: 'JSON (can be imported)' }
+];
+
+const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Export the open chat or all chats, and import chats from AI Pasta, ChatGPT or OpenRouter export files.
+// onImported(result) receives the import result with the created sessions.
+const ChatTransfer = ({ sessionId, onImported, className = '' }) => {
+  const [format, setFormat] = useState('markdown');
+  const [busy, setBusy] = useState(null);
+  const [status, setStatus] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleExport = async (scope) => {
+    setBusy(scope);
+    setStatus(null);
+    const result = await exportChats(scope === 'current' ? { sessionId, format } : { format });
+    setBusy(null);
+
+    if (!result.success) {
+      setStatus({ type: 'error', text: result.error });
+      return;
+    }
+    saveFile(result.blob, result.filename);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setBusy('import');
+    setStatus(null);
+    const result = await importChats(file);
+    setBusy(null);
+
+    if (!result.success) {
+      setStatus({ type: 'error', text: result.error });
+      return;
+    }
+    setStatus({
+      type: 'success',
+      text: `Imported ${result.imported} chat${result.imported === 1 ? '' : 's'}${result.skipped ? ` (${result.skipped} skipped)` : ''}`
+    });
+    onImported?.(result);
+  };
+
+  const buttonClass = 'flex-1 flex items-center justify-center gap-1 px-2 py-1.5 rounded-md text-xs font-medium bg-white dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 text-neutral-700 dark:text-neutral-200 hover:bg-neutral-50 dark:hover:bg-neutral-700 disabled:opacity-50 transition-colors';
+
+  return (
+    <div className={`space-y-2 text-xs min-w-0 ${className}`}>
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        className="w-full px-1.5 py-1 rounded border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 text-neutral-700 dark:text-neutral-200"
+      >
+        {FORMATS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+
+      <div className="flex gap-1.5">
+        <button type="button" onClick={() => handleExport('current')} disabled={!sessionId || Boolean(busy)} className={buttonClass}>
+          {busy === 'current' ? <IconLoader className="w-3.5 h-3.5 animate-spin" /> : <IconDownload className="w-3.5 h-3.5" />}
+          This chat
+        </button>
+        <button type="button" onClick={() => handleExport('all')} disabled={Boolean(busy)} className={buttonClass}>
+          {busy === 'all' ? <IconLoader className="w-3.5 h-3.5 animate-spin" /> : <IconDownload className="w-3.5 h-3.5" />}
+          All chats
+        </button>
+      </div>
+
+      <button type="button" onClick={() => fileInputRef.current?.click()} disabled={Boolean(busy)} className={`w-full ${buttonClass}`}>
+        {busy === 'import' ? <IconLoader className="w-3.5 h-3.5 animate-spin" /> : <IconUpload className="w-3.5 h-3.5" />}
+        Import chats
+      </button>
+      <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+      <div className="text-neutral-400 dark:text-neutral-500">
+        AI Pasta JSON, ChatGPT conversations.json or an OpenRouter chat export
+      </div>
+
+      {status && (
+        <div className={status.type === 'error' ? 'text-red-500' : 'text-green-600 dark:text-green-400'}>{status.text}</div>
+      )}
+    </div>
+  );
+};
+
+export default ChatTransfer;
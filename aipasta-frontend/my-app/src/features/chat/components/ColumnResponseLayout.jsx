@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { IconCopy, IconCheck, IconRobot, IconCurrency, IconLoader, IconMaximize, IconMinimize, IconExternalLink, IconX } from '@tabler/icons-react';
 import { formatCurrency } from '../../../lib/wallet';
 import MarkdownRenderer from '../../../shared/components/MarkdownRenderer';
+import ResponseCitations from './ResponseCitations';
 
-const ColumnResponseLayout = ({ responses, timestamp, attachments }) => {
+// blind hides which model wrote each answer (and its cost, which would give it away); answers then carry a blindLabel
+const ColumnResponseLayout = ({ responses, timestamp, attachments, blind = false }) => {
   const [copiedStates, setCopiedStates] = useState({});
   const [expandedCards, setExpandedCards] = useState(new Set([0, 1, 2])); // First 3 cards expanded by default
   const [popupContent, setPopupContent] = useState(null);
@@ -39,7 +41,7 @@ const ColumnResponseLayout = ({ responses, timestamp, attachments }) => {
   };
 
   const handlePopup = (response, index) => {
-    const { provider, modelName } = getProviderInfo(response?.model || '');
+    const { provider, modelName } = describeModel(response);
     setPopupContent({
       response,
       index,
@@ -74,6 +76,10 @@ const ColumnResponseLayout = ({ responses, timestamp, attachments }) => {
     return { provider: provider || 'unknown', modelName: modelName || 'Unknown Model' };
   };
 
+  const describeModel = (response) => (blind
+    ? { provider: 'default', modelName: response?.blindLabel || 'Hidden model' }
+    : getProviderInfo(response?.model || ''));
+
   const getProviderColor = (provider) => {
     const colors = {
       'openai': 'border-green-200 bg-green-50 text-green-800 dark:border-green-800 dark:bg-green-900/20 dark:text-green-300',
@@ -93,7 +99,7 @@ const ColumnResponseLayout = ({ responses, timestamp, attachments }) => {
   if (!responses || responses.length === 0) return null;
 
   const renderResponseCard = (response, index) => {
-    const { provider, modelName } = getProviderInfo(response?.model || '');
+    const { provider, modelName } = describeModel(response);
     const isStreaming = !response?.isComplete && response?.content;
     const isExpanded = expandedCards.has(index);
     const isInFirstThree = index < 3;
@@ -126,7 +132,7 @@ const ColumnResponseLayout = ({ responses, timestamp, attachments }) => {
             </div>
 
             <div className="flex items-center space-x-2">
-              {response?.cost && (
+              {response?.cost && !blind && (
                 <div className="flex items-center space-x-1 text-xs text-gray-600 dark:text-gray-400 bg-white dark:bg-gray-800 px-2 py-1 rounded border">
                   <IconCurrency size={12} />
                   <span className="font-mono">${formatCurrency(response.cost)}</span>
@@ -191,11 +197,14 @@ const ColumnResponseLayout = ({ responses, timestamp, attachments }) => {
                 <p>{response.error}</p>
               </div>
             ) : response?.content ? (
-              <MarkdownRenderer 
-                content={response.content}
-                enableSyntaxHighlighting={true}
-                enableGfm={true}
-              />
+              <>
+                <MarkdownRenderer 
+                  content={response.content}
+                  enableSyntaxHighlighting={true}
+                  enableGfm={true}
+                />
+                <ResponseCitations citations={response.citations} />
+              </>
             ) : (
               <div className="flex items-center justify-center p-4 text-sm text-gray-500">
                 <IconLoader className="w-4 h-4 animate-spin mr-2" />
@@ -269,7 +278,7 @@ const ColumnResponseLayout = ({ responses, timestamp, attachments }) => {
                       <span className="font-semibold">{popupContent.modelName}</span>
                     </div>
                   </div>
-                  {popupContent.response?.cost && (
+                  {popupContent.response?.cost && !blind && (
                     <div className="flex items-center space-x-1 text-sm text-gray-600 dark:text-gray-400 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm px-3 py-1 rounded border border-white/20 dark:border-gray-700/50">
                       <IconCurrency size={14} />
                       <span className="font-mono">${formatCurrency(popupContent.response.cost)}</span>
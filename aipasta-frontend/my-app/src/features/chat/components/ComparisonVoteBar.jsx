@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { IconTrophy, IconScale, IconLoader } from '@tabler/icons-react';
+import { voteOnComparison } from '../../../lib/api-client';
+
+// "Which answer is better?" under a comparison: one button per stored answer and a tie. Voting again replaces
+// the vote. responses carry their display label (the model, or "Model A" while blind); onVoted gets the vote.
+const ComparisonVoteBar = ({ comparisonId, responses, vote, blind = false, onVoted }) => {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleVote = async (winnerMessageId) => {
+    setSaving(true);
+    setError(null);
+    const result = await voteOnComparison(comparisonId, winnerMessageId, blind);
+    setSaving(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    onVoted?.(result.vote);
+  };
+
+  const isChoice = id => Boolean(vote) && String(vote.winnerMessageId) === String(id);
+  const isTie = Boolean(vote) && !vote.winnerMessageId;
+  const buttonClass = active => `flex items-center gap-1 px-2 py-1 rounded-md border transition-colors disabled:opacity-50 ${
+    active
+      ? 'border-purple-400 bg-purple-50 text-purple-700 dark:border-purple-600 dark:bg-purple-900/30 dark:text-purple-300'
+      : 'border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700'
+  }`;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 pl-2 text-xs text-gray-600 dark:text-gray-400">
+      <span className="font-medium">{vote ? 'Your pick:' : 'Which answer is better?'}</span>
+      {responses.map(response => (
+        <button
+          key={response.id}
+          type="button"
+          onClick={() => handleVote(response.id)}
+          disabled={saving}
+          className={buttonClass(isChoice(response.id))}
+        >
+          <IconTrophy className="w-3.5 h-3.5" />
+          <span className="truncate max-w-[10rem]">{response.label}</span>
+        </button>
+      ))}
+      <button type="button" onClick={() => handleVote(null)} disabled={saving} className={buttonClass(isTie)}>
+        <IconScale className="w-3.5 h-3.5" />
+        <span>Tie</span>
+      </button>
+      {saving && <IconLoader className="w-3.5 h-3.5 animate-spin" />}
+      {error && <span className="text-red-500">{error}</span>}
+    </div>
+  );
+};
+
+export default ComparisonVoteBar;
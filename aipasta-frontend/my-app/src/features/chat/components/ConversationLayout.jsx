@@ -1,11 +1,19 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { IconUser, IconRobot, IconCopy, IconCheck, IconExternalLink, IconLoader } from '@tabler/icons-react';
+import { IconUser, IconRobot, IconCopy, IconCheck, IconExternalLink, IconLoader, IconPencil, IconRefresh } from '@tabler/icons-react';
 import MarkdownRenderer from '../../../shared/components/MarkdownRenderer';
 import ColumnResponseLayout from './ColumnResponseLayout';
+import BranchSwitcher from './BranchSwitcher';
+import MessageEditForm from './MessageEditForm';
 import { formatCurrency } from '../../../lib/wallet';
 
-const ConversationLayout = ({ conversationTurns, isLoading, onRetry }) => {
+// Messages stored by the backend (ObjectId ids) can be edited or regenerated
+const isStoredMessage = (message) => /^[a-f0-9]{24}$/.test(String(message?.id));
+
+// onEditMessage(userMessage, content) resends an edited question as a new branch, onRegenerate(responseId)
+// asks the same model again, and onSwitchBranch(messageId) shows another version of a message.
+const ConversationLayout = ({ conversationTurns, isLoading, onRetry, onEditMessage, onRegenerate, onSwitchBranch }) => {
   const [copiedStates, setCopiedStates] = useState({});
+  const [editingId, setEditingId] = useState(null);
   const messagesEndRef = useRef(null);
 
   const scrollToBottom = () => {
@@ -53,9 +61,17 @@ const ConversationLayout = ({ conversationTurns, isLoading, onRetry }) => {
         
         <div className="flex-1 min-w-0">
           <div className="bg-blue-50 dark:bg-blue-900/20 rounded-lg px-4 py-3 mb-2">
-            <div className="prose dark:prose-invert max-w-none">
-              <MarkdownRenderer content={userMessage.content} />
-            </div>
+            {editingId === userMessage.id ? (
+              <MessageEditForm
+                initialContent={userMessage.content}
+                onSave={(content) => onEditMessage(userMessage, content)}
+                onCancel={() => setEditingId(null)}
+              />
+            ) : (
+              <div className="prose dark:prose-invert max-w-none">
+                <MarkdownRenderer content={userMessage.content} />
+              </div>
+            )}
             
             {/* Attachments */}
             {userMessage.attachments && userMessage.attachments.length > 0 && (
@@ -90,12 +106,38 @@ const ConversationLayout = ({ conversationTurns, isLoading, onRetry }) => {
                 <IconCopy size={12} />
               )}
             </button>
+            {onEditMessage && isStoredMessage(userMessage) && (
+              <button
+                onClick={() => setEditingId(userMessage.id)}
+                className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
+                title="Edit and resend (the original stays as another branch)"
+              >
+                <IconPencil size={12} />
+              </button>
+            )}
+            <BranchSwitcher branch={userMessage.branch} onSelect={onSwitchBranch} />
           </div>
         </div>
       </div>
     );
   };
 
+  // Flip between an answer's versions, or ask its model again
+  const renderResponseActions = (response) => (
+    <>
+      <BranchSwitcher branch={response.branch} onSelect={onSwitchBranch} />
+      {onRegenerate && (
+        <button
+          onClick={() => onRegenerate(response.id)}
+          className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
+          title="Regenerate (the current answer stays as another version)"
+        >
+          <IconRefresh size={12} />
+        </button>
+      )}
+    </>
+  );
+
   const renderModelResponses = (modelResponses, turnId) => {
     if (!modelResponses || modelResponses.length === 0) {
       return (
@@ -136,6 +178,14 @@ const ConversationLayout = ({ conversationTurns, isLoading, onRetry }) => {
                 timestamp={turnId}
                 attachments={[]}
               />
+              <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-2 text-xs text-gray-500">
+                {modelResponses.filter(isStoredMessage).map(response => (
+                  <div key={response.id} className="flex items-center gap-1">
+                    <span>{response.model?.name || response.model?.id || 'AI Assistant'}</span>
+                    {renderResponseActions(response)}
+                  </div>
+                ))}
+              </div>
             </div>
           </div>
         </div>
@@ -221,6 +271,7 @@ const ConversationLayout = ({ conversationTurns, isLoading, onRetry }) => {
                 )}
               </button>
             )}
+            {isStoredMessage(response) && renderResponseActions(response)}
           </div>
         </div>
       </div>
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { IconBooks, IconCheck, IconPlus } from '@tabler/icons-react';
+
+// Picks the knowledge base whose passages are retrieved for every model in the chat,
+// and saves the session's ready documents as a new one.
+const KnowledgeBaseSelector = ({
+  knowledgeBases = [],
+  selectedId = null,
+  onSelect,
+  onCreate,
+  sessionDocuments = [],
+  disabled = false
+}) => {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const selected = knowledgeBases.find(knowledgeBase => knowledgeBase._id === selectedId);
+  const readyDocuments = sessionDocuments.filter(document => document.status === 'ready');
+
+  const choose = (knowledgeBaseId) => {
+    setOpen(false);
+    if (knowledgeBaseId !== selectedId) onSelect(knowledgeBaseId);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || creating) return;
+    setCreating(true);
+    const created = await onCreate(name.trim(), readyDocuments.map(document => document.id));
+    setCreating(false);
+    if (created) {
+      setName('');
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        title={selected ? `Knowledge base: ${selected.name}` : 'Answer from a knowledge base'}
+        className={`p-2 rounded-lg transition-colors disabled:opacity-50 ${selected
+          ? 'text-blue-600 dark:text-blue-400 bg-blue-50 dark:bg-blue-900/30'
+          : 'text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800'}`}
+      >
+        <IconBooks className="w-5 h-5" />
+      </button>
+
+      {open && (
+        <div className="absolute bottom-full left-0 mb-2 w-72 z-50 bg-white dark:bg-neutral-900 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg p-2 text-sm">
+          <div className="px-2 pb-1 text-xs font-medium text-gray-500 dark:text-gray-400">Knowledge base</div>
+          <button
+            type="button"
+            onClick={() => choose(null)}
+            className="w-full flex items-center justify-between px-2 py-1.5 rounded hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-700 dark:text-gray-300"
+          >
+            None
+            {!selectedId && <IconCheck className="w-4 h-4" />}
+          </button>
+          {knowledgeBases.map(knowledgeBase => (
+            <button
+              key={knowledgeBase._id}
+              type="button"
+              onClick={() => choose(knowledgeBase._id)}
+              disabled={knowledgeBase.status !== 'ready'}
+              title={knowledgeBase.error || knowledgeBase.description}
+              className="w-full flex items-center justify-between gap-2 px-2 py-1.5 rounded hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-700 dark:text-gray-300 disabled:opacity-50"
+            >
+              <span className="truncate text-left">
+                {knowledgeBase.name}
+                <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">
+                  {knowledgeBase.status === 'ready'
+                    ? `${knowledgeBase.documents.length} doc${knowledgeBase.documents.length === 1 ? '' : 's'}`
+                    : knowledgeBase.status}
+                </span>
+              </span>
+              {knowledgeBase._id === selectedId && <IconCheck className="w-4 h-4 flex-shrink-0" />}
+            </button>
+          ))}
+
+          {readyDocuments.length > 0 && (
+            <form onSubmit={handleCreate} className="mt-2 pt-2 border-t border-gray-200 dark:border-gray-700">
+              <div className="px-2 pb-1 text-xs text-gray-500 dark:text-gray-400">
+                Save this chat&apos;s {readyDocuments.length} document{readyDocuments.length === 1 ? '' : 's'} as a knowledge base
+              </div>
+              <div className="flex items-center gap-1 px-1">
+                <input
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  maxLength={100}
+                  placeholder="Name"
+                  className="flex-1 min-w-0 px-2 py-1 rounded border border-gray-200 dark:border-gray-700 bg-transparent text-gray-800 dark:text-gray-200"
+                />
+                <button
+                  type="submit"
+                  disabled={!name.trim() || creating}
+                  className="p-1.5 rounded bg-blue-600 text-white disabled:opacity-50"
+                  title="Create and use"
+                >
+                  <IconPlus className="w-4 h-4" />
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KnowledgeBaseSelector;
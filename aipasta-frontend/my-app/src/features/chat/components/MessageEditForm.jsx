@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+
+// Inline editor for a sent question. Saving sends the new text as another branch from that point;
+// onSave resolves truthy when it was sent.
+const MessageEditForm = ({ initialContent = '', onSave, onCancel, className = '' }) => {
+  const [content, setContent] = useState(initialContent);
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    if (!content.trim() || content.trim() === initialContent.trim()) return;
+    setSaving(true);
+    const saved = await onSave(content.trim());
+    setSaving(false);
+    if (saved) onCancel();
+  };
+
+  return (
+    <div className={`space-y-2 ${className}`}>
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        rows={Math.min(10, Math.max(2, content.split('\n').length))}
+        maxLength={10000}
+        autoFocus
+        className="w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-neutral-900 text-gray-900 dark:text-gray-100 text-sm"
+      />
+      <div className="flex justify-end gap-2 text-sm">
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={saving}
+          className="px-3 py-1 rounded text-gray-600 dark:text-gray-300 bg-white/80 dark:bg-neutral-800 hover:bg-gray-100 dark:hover:bg-neutral-700"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving || !content.trim() || content.trim() === initialContent.trim()}
+          className="px-3 py-1 rounded bg-purple-600 text-white border border-white/30 disabled:opacity-50"
+        >
+          {saving ? 'Sending...' : 'Save & send'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MessageEditForm;
@@ -334,7 +334,7 @@ const ModelSelectionModal = ({
           {!isFree && (
             <div className="flex items-center gap-1 text-xs">
               <IconCurrency className="w-2.5 h-2.5" />
-              <span>{formatCurrency(model.pricing.input)}/1K</span>
+              <span>{formatCurrency(model.pricing.input * 1000)}/1K</span>
             </div>
           )}
         </div>
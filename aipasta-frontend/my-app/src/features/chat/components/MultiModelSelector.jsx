@@ -83,7 +83,7 @@ const MultiModelSelector = ({ selectedModels = [], onModelsChange, models = [] }
                   {/* Pricing */}
                   <div className="flex items-center gap-1 text-xs text-neutral-500 dark:text-neutral-400">
                     <IconCurrency className="w-3 h-3" />
-                    <span>{formatCurrency(selectedModels[0].pricing.input)}/1K in</span>
+                    <span>{formatCurrency(selectedModels[0].pricing.input * 1000)}/1K in</span>
                   </div>
                 </>
               ) : (
@@ -187,10 +187,10 @@ const MultiModelSelector = ({ selectedModels = [], onModelsChange, models = [] }
                     <div className="flex items-center gap-4 mt-2 text-xs text-neutral-500 dark:text-neutral-400">
                       <div className="flex items-center gap-1">
                         <IconCurrency className="w-3 h-3" />
-                        <span>In: {formatCurrency(model.pricing.input)}/1K</span>
+                        <span>In: {formatCurrency(model.pricing.input * 1000)}/1K</span>
                       </div>
                       <div className="flex items-center gap-1">
-                        <span>Out: {formatCurrency(model.pricing.output)}/1K</span>
+                        <span>Out: {formatCurrency(model.pricing.output * 1000)}/1K</span>
                       </div>
                       {model.pricing.image && (
                         <div className="flex items-center gap-1">
@@ -1,8 +1,23 @@
-import React, { memo, useState, useMemo, useCallback } from 'react';
-import { IconLayoutCards, IconLayoutList, IconLayoutColumns, IconLoader, IconAlertTriangle } from '@tabler/icons-react';
+import React, { memo, useState, useEffect, useMemo, useCallback } from 'react';
+import { IconLayoutCards, IconLayoutList, IconLayoutColumns, IconLoader, IconAlertTriangle, IconRefresh, IconShare, IconEyeOff } from '@tabler/icons-react';
 import StreamingResponseCard from './StreamingResponseCard';
 import TabbedResponseLayout from './TabbedResponseLayout';
 import ColumnResponseLayout from './ColumnResponseLayout';
+import BranchSwitcher from './BranchSwitcher';
+import ResponseRating from './ResponseRating';
+import ComparisonVoteBar from './ComparisonVoteBar';
+
+// Order of the answers in blind mode: a shuffle that stays the same for a comparison (seed) while it streams
+const blindOrder = (length, seed = '') => {
+  let state = [...String(seed)].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7) || 1;
+  const order = Array.from({ length }, (_, index) => index);
+  for (let i = length - 1; i > 0; i--) {
+    state = (state * 1103515245 + 12345) >>> 0;
+    const j = state % (i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+};
 
 const OptimizedMultiResponseContainer = memo(({ 
   responses = [], 
@@ -10,13 +25,36 @@ const OptimizedMultiResponseContainer = memo(({
   attachments = [], 
   showLayoutToggle = true,
   isLoading = false,
-  loadingModelCount = 0
+  loadingModelCount = 0,
+  onRegenerate,
+  onSwitchBranch,
+  onShare,
+  comparisonId = null,
+  vote = null,
+  blindMode = false,
+  onBlindModeChange
 }) => {
   const [layoutMode, setLayoutMode] = useState('columns'); // Default to columns for better multi-model view
   const [expandedCards, setExpandedCards] = useState(new Set([0])); // First card expanded
+  const [currentVote, setCurrentVote] = useState(vote);
+
+  useEffect(() => {
+    setCurrentVote(vote);
+  }, [vote]);
 
-  // Memoize responses to prevent unnecessary re-renders
-  const memoizedResponses = useMemo(() => responses, [responses]);
+  // Blind mode shuffles the answers and hides which model wrote each until the user votes
+  const isBlind = blindMode && responses.length > 1;
+  const namesHidden = isBlind && !currentVote;
+
+  const memoizedResponses = useMemo(() => {
+    const labelled = responses.map(response => ({ ...response, label: response.model }));
+    if (!isBlind) return labelled;
+    return blindOrder(labelled.length, comparisonId || timestamp).map((index, position) => ({
+      ...labelled[index],
+      blindLabel: `Model ${String.fromCharCode(65 + position)}`,
+      label: namesHidden ? `Model ${String.fromCharCode(65 + position)}` : labelled[index].model
+    }));
+  }, [responses, isBlind, namesHidden, comparisonId, timestamp]);
 
   const handleCardToggle = useCallback((index, isExpanded) => {
     setExpandedCards(prev => {
@@ -38,6 +76,14 @@ const OptimizedMultiResponseContainer = memo(({
   );
 
   const hasMoreResponses = memoizedResponses.length > renderLimit && layoutMode === 'cards';
+  // Cards always name the model, so hidden answers are shown in columns instead
+  const effectiveLayout = namesHidden && layoutMode === 'cards' ? 'columns' : layoutMode;
+
+  // Answers stored by the backend (ObjectId ids) can be regenerated and have versions to flip between
+  const storedResponses = useMemo(() =>
+    memoizedResponses.filter(response => /^[a-f0-9]{24}$/.test(String(response.id))),
+    [memoizedResponses]
+  );
 
   const loadMoreResponses = useCallback(() => {
     setRenderLimit(prev => Math.min(prev + 3, memoizedResponses.length));
@@ -76,10 +122,33 @@ const OptimizedMultiResponseContainer = memo(({
               </div>
             </>
           )}
+          {onBlindModeChange && memoizedResponses.length > 1 && (
+            <button
+              onClick={() => onBlindModeChange(!blindMode)}
+              className={`flex items-center space-x-1 px-1.5 py-0.5 rounded text-xs transition-colors ${
+                blindMode ? 'text-purple-600 dark:text-purple-400' : 'text-gray-500 hover:text-purple-600 dark:hover:text-purple-400'
+              }`}
+              title={blindMode ? 'Blind mode is on: model names stay hidden until you vote' : 'Hide model names until you vote'}
+            >
+              <IconEyeOff size={12} />
+              <span>Blind</span>
+            </button>
+          )}
+          {onShare && !isLoading && (
+            <button
+              onClick={onShare}
+              className="flex items-center space-x-1 px-1.5 py-0.5 rounded text-xs text-gray-500 hover:text-purple-600 dark:hover:text-purple-400 transition-colors"
+              title="Share this comparison as a read-only link"
+            >
+              <IconShare size={12} />
+              <span>Share</span>
+            </button>
+          )}
         </div>
 
         {showLayoutToggle && memoizedResponses.length > 1 && (
           <div className="bg-gray-100 dark:bg-gray-700 rounded-lg p-1 flex space-x-1">
+            {!namesHidden && (
             <button
               onClick={() => setLayoutMode('cards')}
               className={`flex items-center space-x-1 px-2 py-1 rounded text-xs font-medium transition-colors ${
@@ -92,10 +161,11 @@ const OptimizedMultiResponseContainer = memo(({
               <IconLayoutCards size={14} />
               <span>Cards</span>
             </button>
+            )}
             <button
               onClick={() => setLayoutMode('tabbed')}
               className={`flex items-center space-x-1 px-2 py-1 rounded text-xs font-medium transition-colors ${
-                layoutMode === 'tabbed'
+                effectiveLayout === 'tabbed'
                   ? 'bg-white dark:bg-gray-600 shadow-sm text-gray-900 dark:text-white'
                   : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
               }`}
@@ -107,7 +177,7 @@ const OptimizedMultiResponseContainer = memo(({
             <button
               onClick={() => setLayoutMode('columns')}
               className={`flex items-center space-x-1 px-2 py-1 rounded text-xs font-medium transition-colors ${
-                layoutMode === 'columns'
+                effectiveLayout === 'columns'
                   ? 'bg-white dark:bg-gray-600 shadow-sm text-gray-900 dark:text-white'
                   : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
               }`}
@@ -121,16 +191,18 @@ const OptimizedMultiResponseContainer = memo(({
       </div>
 
       {/* Render based on layout mode */}
-      {layoutMode === 'tabbed' && memoizedResponses.length > 1 ? (
+      {effectiveLayout === 'tabbed' && memoizedResponses.length > 1 ? (
         <TabbedResponseLayout
           responses={memoizedResponses}
           timestamp={timestamp}
           attachments={attachments}
+          blind={namesHidden}
         />
-      ) : layoutMode === 'columns' && memoizedResponses.length > 1 ? (
+      ) : effectiveLayout === 'columns' && memoizedResponses.length > 1 ? (
         <ColumnResponseLayout
           responses={memoizedResponses}
           attachments={attachments}
+          blind={namesHidden}
         />
       ) : (
         <div className="space-y-3">
@@ -172,6 +244,42 @@ const OptimizedMultiResponseContainer = memo(({
         </div>
       )}
 
+      {/* Vote for the best answer; in blind mode this reveals the models */}
+      {comparisonId && !isLoading && storedResponses.length > 1 && (
+        <ComparisonVoteBar
+          comparisonId={comparisonId}
+          responses={storedResponses}
+          vote={currentVote}
+          blind={namesHidden}
+          onVoted={setCurrentVote}
+        />
+      )}
+
+      {/* Per-model rating, regenerate and version controls */}
+      {storedResponses.length > 0 && !isLoading && (
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-gray-500 dark:text-gray-400">
+          {storedResponses.map(response => (
+            <div key={response.id} className="flex items-center gap-1">
+              <span className="truncate max-w-[10rem]">{response.label}</span>
+              <ResponseRating messageId={response.id} rating={response.rating} />
+              {onRegenerate && (
+                <>
+                  <BranchSwitcher branch={response.branch} onSelect={onSwitchBranch} />
+                  <button
+                    type="button"
+                    onClick={() => onRegenerate(response.id)}
+                    title={`Regenerate ${response.label} (the current answer stays as another version)`}
+                    className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 hover:text-gray-700 dark:hover:text-gray-200"
+                  >
+                    <IconRefresh className="w-3.5 h-3.5" />
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Performance Warning */}
       {memoizedResponses.length > 10 && (
         <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-3">
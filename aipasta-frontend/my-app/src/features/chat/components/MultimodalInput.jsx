@@ -1,24 +1,44 @@
-import React, { useState, useRef } from 'react';
-import { IconPhoto, IconMusic, IconVideo, IconFile, IconX, IconUpload, IconPlayerPlay, IconEye } from '@tabler/icons-react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { IconPhoto, IconMusic, IconVideo, IconFile, IconFileText, IconX, IconUpload } from '@tabler/icons-react';
+import { getSupportedAttachments, isSupportedFile, isDocumentFile } from '../../../utils/attachments';
+import { fetchTokenQuote } from '../../../utils/tokens';
 
 const MultimodalInput = ({ 
   attachedFiles = [], 
   onFilesChange, 
   selectedModel,
+  selectedModels, // All selected models (defaults to selectedModel)
+  sessionDocuments = [], // Documents already in the session's context (GET /api/chat/sessions/:id/documents)
+  onRemoveDocument,
   disabled = false,
   maxFiles = 5,
   maxFileSize = 10 * 1024 * 1024 // 10MB
 }) => {
   const fileInputRef = useRef(null);
   const [dragActive, setDragActive] = useState(false);
+  const [documentQuote, setDocumentQuote] = useState(null);
 
-  const supportedTypes = {
-    image: selectedModel?.capabilities?.image ? ['image/jpeg', 'image/png', 'image/gif', 'image/webp'] : [],
-    audio: selectedModel?.capabilities?.audio ? ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/m4a'] : [],
-    video: selectedModel?.capabilities?.video ? ['video/mp4', 'video/webm', 'video/quicktime'] : []
-  };
+  const models = useMemo(() => selectedModels || (selectedModel ? [selectedModel] : []), [selectedModels, selectedModel]);
+  const supported = getSupportedAttachments(models);
+  const documentTokens = sessionDocuments
+    .filter(document => document.status === 'ready')
+    .reduce((total, document) => total + document.tokens, 0);
+
+  // What including the session's documents adds to each message (prompt tokens only, trimmed per model)
+  useEffect(() => {
+    if (documentTokens === 0 || models.length === 0) {
+      setDocumentQuote(null);
+      return;
+    }
 
-  const allSupportedTypes = [...supportedTypes.image, ...supportedTypes.audio, ...supportedTypes.video];
+    const controller = new AbortController();
+    fetchTokenQuote(models, '', { documentTokens, completionTokens: 0, signal: controller.signal })
+      .then(quote => {
+        if (!controller.signal.aborted) setDocumentQuote(quote);
+      });
+
+    return () => controller.abort();
+  }, [documentTokens, models]);
 
   const handleFileSelect = (files) => {
     const fileArray = Array.from(files);
@@ -27,7 +47,7 @@ const MultimodalInput = ({
 
     fileArray.forEach(file => {
       // Check file type
-      if (!allSupportedTypes.includes(file.type)) {
+      if (!isSupportedFile(file, models)) {
         errors.push(`${file.name}: Unsupported file type`);
         return;
       }
@@ -99,21 +119,15 @@ const MultimodalInput = ({
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
-  const getFileIcon = (type) => {
+  const getFileIcon = (type, name) => {
+    if (isDocumentFile({ name })) return IconFileText;
     if (type.startsWith('image/')) return IconPhoto;
     if (type.startsWith('audio/')) return IconMusic;
     if (type.startsWith('video/')) return IconVideo;
     return IconFile;
   };
 
-  if (!selectedModel?.capabilities || 
-      (!selectedModel.capabilities.image && !selectedModel.capabilities.audio && !selectedModel.capabilities.video)) {
-    return (
-      <div className="text-xs text-neutral-400 dark:text-neutral-500 p-2 text-center">
-        Current model doesn't support file attachments
-      </div>
-    );
-  }
+  const quotedDocumentTokens = documentQuote?.quotes?.reduce((total, quote) => total + (quote.documentTokens || 0), 0);
 
   return (
     <div className="space-y-3">
@@ -133,7 +147,7 @@ const MultimodalInput = ({
           ref={fileInputRef}
           type="file"
           multiple
-          accept={allSupportedTypes.join(',')}
+          accept={supported.accept}
           onChange={handleFileInputChange}
           className="hidden"
           disabled={disabled}
@@ -145,9 +159,9 @@ const MultimodalInput = ({
         </div>
         <div className="text-xs text-neutral-500 dark:text-neutral-500 mt-1">
           Supports: {[
-            selectedModel.capabilities.image && 'Images',
-            selectedModel.capabilities.audio && 'Audio',
-            selectedModel.capabilities.video && 'Video'
+            supported.image && 'Images',
+            supported.audio && 'Audio (MP3, WAV)',
+            'Documents (PDF, DOCX, Markdown, CSV, text, code)'
           ].filter(Boolean).join(', ')}
         </div>
         <div className="text-xs text-neutral-400 dark:text-neutral-600 mt-0.5">
@@ -163,7 +177,7 @@ const MultimodalInput = ({
           </div>
           <div className="space-y-2 max-h-32 overflow-y-auto">
             {attachedFiles.map((fileData) => {
-              const FileIcon = getFileIcon(fileData.type);
+              const FileIcon = getFileIcon(fileData.type, fileData.name);
               return (
                 <div
                   key={fileData.id}
@@ -188,7 +202,7 @@ const MultimodalInput = ({
                       {fileData.name}
                     </div>
                     <div className="text-xs text-neutral-500 dark:text-neutral-400">
-                      {formatFileSize(fileData.size)} • {fileData.type.split('/')[1].toUpperCase()}
+                      {formatFileSize(fileData.size)} • {(fileData.name.split('.').pop() || '').toUpperCase()}
                     </div>
                   </div>
                   
@@ -209,6 +223,55 @@ const MultimodalInput = ({
           </div>
         </div>
       )}
+
+      {/* Session Documents */}
+      {sessionDocuments.length > 0 && (
+        <div className="space-y-2">
+          <div className="flex items-baseline justify-between gap-2">
+            <div className="text-sm font-medium text-neutral-700 dark:text-neutral-300">
+              Documents in this chat ({sessionDocuments.length})
+            </div>
+            {documentQuote && (
+              <div className="text-xs text-neutral-500 dark:text-neutral-400" title="Relevant passages are sent with every message, trimmed to each model's context window">
+                +{documentQuote.totals.estimatedTokens} credits per message ({quotedDocumentTokens.toLocaleString()} tokens)
+              </div>
+            )}
+          </div>
+          <div className="space-y-2 max-h-32 overflow-y-auto">
+            {sessionDocuments.map((document) => (
+              <div
+                key={document.id}
+                className="flex items-center gap-3 p-2 bg-neutral-50 dark:bg-neutral-800 rounded-lg"
+              >
+                <IconFileText className="w-8 h-8 text-neutral-500 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium text-neutral-900 dark:text-neutral-100 truncate">
+                    {document.originalName}
+                  </div>
+                  <div className="text-xs text-neutral-500 dark:text-neutral-400">
+                    {document.status === 'ready'
+                      ? `${document.tokens.toLocaleString()} tokens • ${document.chunkCount} part${document.chunkCount === 1 ? '' : 's'}`
+                      : `Could not read: ${document.error || 'no text found'}`}
+                  </div>
+                </div>
+                {onRemoveDocument && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onRemoveDocument(document.id);
+                    }}
+                    className="p-1 text-neutral-400 hover:text-red-500 transition-colors"
+                    title="Remove from this chat"
+                    disabled={disabled}
+                  >
+                    <IconX className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { IconBooks, IconChevronDown, IconChevronUp } from '@tabler/icons-react';
+
+// Knowledge base passages a response was given with. Sources the answer refers to as [n] come first.
+const ResponseCitations = ({ citations = [] }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!citations || citations.length === 0) return null;
+
+  const ordered = [...citations].sort((a, b) => (b.cited === true) - (a.cited === true) || a.index - b.index);
+  const citedCount = citations.filter(citation => citation.cited).length;
+
+  return (
+    <div className="mt-3 border-t border-gray-200 dark:border-gray-700 pt-2">
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="flex items-center gap-1.5 text-xs font-medium text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100"
+      >
+        <IconBooks className="w-3.5 h-3.5" />
+        <span>
+          {citations.length} source{citations.length === 1 ? '' : 's'}
+          {citedCount > 0 && ` (${citedCount} cited)`}
+        </span>
+        {expanded ? <IconChevronUp className="w-3 h-3" /> : <IconChevronDown className="w-3 h-3" />}
+      </button>
+
+      {expanded && (
+        <ol className="mt-2 space-y-2">
+          {ordered.map(citation => (
+            <li
+              key={`${citation.chunkId}-${citation.index}`}
+              className={`text-xs p-2 rounded border ${citation.cited
+                ? 'border-blue-200 dark:border-blue-800 bg-blue-50 dark:bg-blue-900/20'
+                : 'border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800/50'}`}
+            >
+              <div className="flex items-center justify-between gap-2 font-medium text-gray-800 dark:text-gray-200">
+                <span className="truncate">
+                  [{citation.index}] {citation.documentName}
+                  <span className="font-normal text-gray-500 dark:text-gray-400">
+                    {' '}· part {citation.chunkIndex + 1}{citation.chunkCount ? ` of ${citation.chunkCount}` : ''}
+                  </span>
+                </span>
+                <span className="flex-shrink-0 text-gray-500 dark:text-gray-400" title="Similarity to your message">
+                  {Math.round(citation.score * 100)}%
+                </span>
+              </div>
+              <p className="mt-1 text-gray-600 dark:text-gray-400 line-clamp-3 whitespace-pre-line">
+                {citation.excerpt}
+              </p>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default ResponseCitations;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { IconThumbUp, IconThumbUpFilled, IconThumbDown, IconThumbDownFilled, IconStar, IconStarFilled } from '@tabler/icons-react';
+import { rateChatMessage } from '../../../lib/api-client';
+
+const SCORES = [1, 2, 3, 4, 5];
+
+// Thumbs up/down and a 1-5 score for a stored answer. Clicking the current thumb or score again clears it.
+// rating is the message's { thumbs, score } as the backend sent it; nothing is shown for unsaved answers.
+const ResponseRating = ({ messageId, rating, className = '' }) => {
+  const [current, setCurrent] = useState({ thumbs: rating?.thumbs || null, score: rating?.score || null });
+  const [hoverScore, setHoverScore] = useState(null);
+
+  useEffect(() => {
+    setCurrent({ thumbs: rating?.thumbs || null, score: rating?.score || null });
+  }, [messageId, rating?.thumbs, rating?.score]);
+
+  if (!/^[a-f0-9]{24}$/.test(String(messageId))) return null;
+
+  const save = async (changes) => {
+    const previous = current;
+    setCurrent(prev => ({ ...prev, ...changes }));
+    const result = await rateChatMessage(messageId, changes);
+    if (!result.success) {
+      console.error('Failed to rate answer:', result.error);
+      setCurrent(previous);
+    }
+  };
+
+  const shownScore = hoverScore || current.score || 0;
+
+  return (
+    <div className={`inline-flex items-center gap-1 ${className}`}>
+      <button
+        type="button"
+        onClick={() => save({ thumbs: current.thumbs === 'up' ? null : 'up' })}
+        title="Good answer"
+        className={`p-0.5 rounded hover:bg-black/5 dark:hover:bg-white/10 ${current.thumbs === 'up' ? 'text-green-600 dark:text-green-400' : ''}`}
+      >
+        {current.thumbs === 'up' ? <IconThumbUpFilled className="w-3.5 h-3.5" /> : <IconThumbUp className="w-3.5 h-3.5" />}
+      </button>
+      <button
+        type="button"
+        onClick={() => save({ thumbs: current.thumbs === 'down' ? null : 'down' })}
+        title="Bad answer"
+        className={`p-0.5 rounded hover:bg-black/5 dark:hover:bg-white/10 ${current.thumbs === 'down' ? 'text-red-500' : ''}`}
+      >
+        {current.thumbs === 'down' ? <IconThumbDownFilled className="w-3.5 h-3.5" /> : <IconThumbDown className="w-3.5 h-3.5" />}
+      </button>
+      <div className="flex items-center ml-1" onMouseLeave={() => setHoverScore(null)}>
+        {SCORES.map(score => (
+          <button
+            key={score}
+            type="button"
+            onClick={() => save({ score: current.score === score ? null : score })}
+            onMouseEnter={() => setHoverScore(score)}
+            title={`Rate ${score} of 5`}
+            className={score <= shownScore ? 'text-amber-500' : ''}
+          >
+            {score <= shownScore ? <IconStarFilled className="w-3.5 h-3.5" /> : <IconStar className="w-3.5 h-3.5" />}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ResponseRating;
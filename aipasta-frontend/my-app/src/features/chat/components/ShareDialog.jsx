@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { IconX, IconLink, IconCopy, IconCheck, IconLock, IconLoader, IconBan } from '@tabler/icons-react';
+import { createShareLink, getShareLinks, revokeShareLink } from '../../../lib/api-client';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: '1 day' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' }
+];
+
+const shareUrl = slug => `${typeof window !== 'undefined' ? window.location.origin : ''}/share/${slug}`;
+
+// Publish a chat session, or one turn of it (messageId), as a read-only link, and manage the session's links.
+// Viewers see a copy of the conversation as it is now.
+const ShareDialog = ({ isOpen, onClose, sessionId, messageId = null }) => {
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [password, setPassword] = useState('');
+  const [links, setLinks] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [copiedId, setCopiedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !sessionId) return;
+    setError(null);
+    getShareLinks(sessionId).then((result) => {
+      if (result.success) setLinks(result.links);
+    });
+  }, [isOpen, sessionId]);
+
+  if (!isOpen) return null;
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(link.slug));
+      setCopiedId(link.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (copyError) {
+      console.error('Failed to copy link:', copyError);
+    }
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    setError(null);
+    const result = await createShareLink({
+      sessionId,
+      messageId,
+      password: password || undefined,
+      expiresInDays: expiresInDays ? Number(expiresInDays) : undefined
+    });
+    setCreating(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setPassword('');
+    setLinks(prev => [result.link, ...prev]);
+    handleCopy(result.link);
+  };
+
+  const handleRevoke = async (link) => {
+    const result = await revokeShareLink(link.id);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setLinks(prev => prev.map(item => (item.id === link.id ? result.link : item)));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/30 backdrop-blur-md z-50 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-neutral-900 rounded-2xl shadow-2xl border border-gray-200 dark:border-neutral-700 w-full max-w-md max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-neutral-700">
+          <h2 className="flex items-center gap-2 text-sm font-semibold text-neutral-900 dark:text-neutral-100">
+            <IconLink className="w-4 h-4" />
+            {messageId ? 'Share this comparison' : 'Share this chat'}
+          </h2>
+          <button onClick={onClose} className="p-1 text-neutral-400 hover:text-neutral-600 dark:hover:text-neutral-300">
+            <IconX className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-3 text-sm">
+          <p className="text-xs text-neutral-500 dark:text-neutral-400">
+            Anyone with the link can read {messageId ? 'this question and its answers' : 'the conversation'} as it is now.
+            Your account details are not shown, and messages you send later stay private.
+          </p>
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(e.target.value)}
+              className="px-2 py-1.5 rounded-lg border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 text-xs text-neutral-700 dark:text-neutral-200"
+            >
+              {EXPIRY_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password (optional)"
+              autoComplete="new-password"
+              className="px-2 py-1.5 rounded-lg border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-800 text-xs text-neutral-700 dark:text-neutral-200"
+            />
+          </div>
+          <button
+            onClick={handleCreate}
+            disabled={creating || !sessionId || (password.length > 0 && password.length < 4)}
+            className="w-full flex items-center justify-center gap-1.5 px-3 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white text-xs font-medium disabled:opacity-50 transition-colors"
+          >
+            {creating ? <IconLoader className="w-3.5 h-3.5 animate-spin" /> : <IconLink className="w-3.5 h-3.5" />}
+            Create link and copy it
+          </button>
+          {error && <div className="text-xs text-red-500">{error}</div>}
+        </div>
+
+        {links.length > 0 && (
+          <div className="px-4 pb-4 overflow-y-auto scrollbar-custom">
+            <div className="text-xs font-medium text-neutral-500 dark:text-neutral-400 uppercase tracking-wider mb-2">Links to this chat</div>
+            <ul className="space-y-1.5">
+              {links.map(link => (
+                <li key={link.id} className="flex items-center gap-2 p-2 rounded-lg bg-gray-50 dark:bg-neutral-800 text-xs min-w-0">
+                  <div className="flex-1 min-w-0">
+                    <div className={`truncate font-mono ${link.available ? 'text-neutral-700 dark:text-neutral-200' : 'text-neutral-400 line-through'}`}>
+                      /share/{link.slug}
+                    </div>
+                    <div className="flex items-center gap-1 text-neutral-400 dark:text-neutral-500">
+                      {link.hasPassword && <IconLock className="w-3 h-3" />}
+                      <span>{link.kind === 'turn' ? 'One turn' : `${link.turnCount} turns`}</span>
+                      <span>· {link.viewCount} views</span>
+                      {link.revokedAt && <span>· revoked</span>}
+                      {!link.revokedAt && link.expiresAt && (
+                        <span>· {link.available ? 'expires' : 'expired'} {new Date(link.expiresAt).toLocaleDateString()}</span>
+                      )}
+                    </div>
+                  </div>
+                  {link.available && (
+                    <>
+                      <button onClick={() => handleCopy(link)} title="Copy link" className="p-1 text-neutral-400 hover:text-neutral-600 dark:hover:text-neutral-300">
+                        {copiedId === link.id ? <IconCheck className="w-3.5 h-3.5 text-green-500" /> : <IconCopy className="w-3.5 h-3.5" />}
+                      </button>
+                      <button onClick={() => handleRevoke(link)} title="Revoke link" className="p-1 text-neutral-400 hover:text-red-500">
+                        <IconBan className="w-3.5 h-3.5" />
+                      </button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
@@ -1,5 +1,6 @@
 import React, { useRef } from 'react';
-import { IconPaperclip, IconX, IconPhoto, IconMusic, IconVideo, IconFile } from '@tabler/icons-react';
+import { IconPaperclip, IconX, IconPhoto, IconMusic, IconVideo, IconFile, IconFileText } from '@tabler/icons-react';
+import { getSupportedAttachments, isSupportedFile, isDocumentFile } from '../../../utils/attachments';
 
 const SimpleUploadButton = ({ 
   attachedFiles = [], 
@@ -11,29 +12,8 @@ const SimpleUploadButton = ({
 }) => {
   const fileInputRef = useRef(null);
 
-  // Get supported types from all selected models
-  const getSupportedTypes = () => {
-    const allTypes = new Set();
-    
-    selectedModels.forEach(model => {
-      if (model?.capabilities?.image) {
-        ['image/jpeg', 'image/png', 'image/gif', 'image/webp'].forEach(type => allTypes.add(type));
-      }
-      if (model?.capabilities?.audio) {
-        ['audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/m4a'].forEach(type => allTypes.add(type));
-      }
-      if (model?.capabilities?.video) {
-        ['video/mp4', 'video/webm', 'video/quicktime'].forEach(type => allTypes.add(type));
-      }
-    });
-    
-    return Array.from(allTypes);
-  };
-
-  const supportedTypes = getSupportedTypes();
-  const hasMultimodalModels = selectedModels.some(model => 
-    model?.capabilities?.image || model?.capabilities?.audio || model?.capabilities?.video
-  );
+  // Images and audio need a model that can read them; documents work with any model
+  const supported = getSupportedAttachments(selectedModels);
 
   const handleFileSelect = (files) => {
     const fileArray = Array.from(files);
@@ -42,7 +22,7 @@ const SimpleUploadButton = ({
 
     fileArray.forEach(file => {
       // Check file type
-      if (!supportedTypes.includes(file.type)) {
+      if (!isSupportedFile(file, selectedModels)) {
         errors.push(`${file.name}: Unsupported file type`);
         return;
       }
@@ -97,15 +77,16 @@ const SimpleUploadButton = ({
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
-  const getFileIcon = (type) => {
+  const getFileIcon = (type, name) => {
+    if (isDocumentFile({ name })) return IconFileText;
     if (type.startsWith('image/')) return IconPhoto;
     if (type.startsWith('audio/')) return IconMusic;
     if (type.startsWith('video/')) return IconVideo;
     return IconFile;
   };
 
-  if (!hasMultimodalModels) {
-    return null; // Don't show upload button if no multimodal models selected
+  if (selectedModels.length === 0) {
+    return null; // Nothing to attach files for until a model is selected
   }
 
   return (
@@ -114,7 +95,7 @@ const SimpleUploadButton = ({
       <button
         type="button"
         onClick={() => fileInputRef.current?.click()}
-        disabled={disabled || !hasMultimodalModels}
+        disabled={disabled}
         className="p-2 text-neutral-500 hover:text-purple-600 hover:bg-neutral-100 dark:hover:bg-neutral-700 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
         title="Attach files"
       >
@@ -125,7 +106,7 @@ const SimpleUploadButton = ({
         ref={fileInputRef}
         type="file"
         multiple
-        accept={supportedTypes.join(',')}
+        accept={supported.accept}
         onChange={handleFileInputChange}
         className="hidden"
         disabled={disabled}
@@ -141,7 +122,7 @@ const SimpleUploadButton = ({
           {/* Quick preview of attached files */}
           <div className="flex items-center gap-1">
             {attachedFiles.slice(0, 3).map((fileData) => {
-              const FileIcon = getFileIcon(fileData.type);
+              const FileIcon = getFileIcon(fileData.type, fileData.name);
               return (
                 <div
                   key={fileData.id}
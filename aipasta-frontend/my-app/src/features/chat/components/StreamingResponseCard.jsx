@@ -2,6 +2,7 @@ import React, { memo, useState, useEffect, useRef } from 'react';
 import { IconChevronDown, IconChevronUp, IconCopy, IconCheck, IconLoader, IconRobot } from '@tabler/icons-react';
 import { formatCurrency } from '../../../lib/wallet';
 import MarkdownRenderer from '../../../shared/components/MarkdownRenderer';
+import ResponseCitations from './ResponseCitations';
 
 // Virtualized content component with Markdown support
 const VirtualizedContent = memo(({ content, maxHeight = 400, className = "" }) => {
@@ -230,6 +231,7 @@ const StreamingResponseCard = memo(({
                     <span>Generating response...</span>
                   </div>
                 )}
+                <ResponseCitations citations={response.citations} />
               </div>
             ) : (
               <div className="flex items-center justify-center p-4 text-sm text-gray-500">
@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import { IconPrompt, IconCheck, IconTrash, IconShare, IconDeviceFloppy, IconX } from '@tabler/icons-react';
+
+const SETTING_FIELDS = [
+  { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.1 },
+  { key: 'topP', label: 'Top P', min: 0, max: 1, step: 0.05 },
+  { key: 'maxTokens', label: 'Max tokens', min: 1, max: 4000, step: 1 }
+];
+
+// Empty inputs are sent as null so the backend defaults apply
+const toSettings = (values) => Object.fromEntries(SETTING_FIELDS.map(({ key }) => [
+  key,
+  values[key] === '' || values[key] == null ? null : Number(values[key])
+]));
+
+const toInputs = (settings = {}) => Object.fromEntries(SETTING_FIELDS.map(({ key }) => [key, settings?.[key] ?? '']));
+
+// Sets the chat's system prompt, from the saved prompt library or typed in, and its default
+// generation options. Saved prompts can have {{variables}} and be shared with teammates, or added to the
+// library of the team workspace the app is in (inWorkspace).
+const SystemPromptPicker = ({
+  prompts = [],
+  systemPrompt = null,
+  settings = {},
+  onApply,
+  onSavePrompt,
+  onDeletePrompt,
+  onSharePrompt,
+  inWorkspace = false,
+  disabled = false
+}) => {
+  const [open, setOpen] = useState(false);
+  const [selected, setSelected] = useState(null); // library prompt being filled in
+  const [variables, setVariables] = useState({});
+  const [customText, setCustomText] = useState('');
+  const [settingInputs, setSettingInputs] = useState(toInputs(settings));
+  const [saveName, setSaveName] = useState('');
+  const [saveToWorkspace, setSaveToWorkspace] = useState(false);
+  const [shareEmails, setShareEmails] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const activePrompt = prompts.find(prompt => prompt._id === systemPrompt?.promptId);
+
+  const toggle = () => {
+    if (!open) {
+      setSelected(null);
+      setCustomText(systemPrompt && !systemPrompt.promptId ? systemPrompt.content : '');
+      setSettingInputs(toInputs(settings));
+    }
+    setOpen(!open);
+  };
+
+  const choosePrompt = (prompt) => {
+    setSelected(prompt);
+    setVariables(Object.fromEntries(prompt.variables.map(name => [name, prompt.defaults?.[name] || ''])));
+    setSettingInputs(toInputs({ ...settings, ...prompt.options }));
+    setShareEmails(prompt.isOwner ? (prompt.sharedWith || []).map(user => user.email).join(', ') : '');
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    const done = await action();
+    setBusy(false);
+    return done;
+  };
+
+  const apply = async (updates) => {
+    const applied = await run(() => onApply({ ...updates, settings: toSettings(settingInputs) }));
+    if (applied) setOpen(false);
+  };
+
+  const handleSave = async () => {
+    if (!saveName.trim() || !customText.trim()) return;
+    const saved = await run(() => onSavePrompt({
+      name: saveName.trim(),
+      content: customText,
+      options: toSettings(settingInputs),
+      shareWithWorkspace: inWorkspace && saveToWorkspace
+    }));
+    if (saved) setSaveName('');
+  };
+
+  const handleShare = async () => {
+    const emails = shareEmails.split(/[\s,]+/).filter(Boolean);
+    await run(() => onSharePrompt(selected._id, emails));
+  };
+
+  const handleDelete = async () => {
+    const deleted = await run(() => onDeletePrompt(selected._id));
+    if (deleted) setSelected(null);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={toggle}
+        disabled={disabled}
+        title={systemPrompt ? `System prompt: ${activePrompt?.name || 'custom'}` : 'Set a system prompt'}
+        className={`p-2 rounded-lg transition-colors disabled:opacity-50 ${systemPrompt
+          ? 'text-purple-600 dark:text-purple-400 bg-purple-50 dark:bg-purple-900/30'
+          : 'text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-800'}`}
+      >
+        <IconPrompt className="w-5 h-5" />
+      </button>
+
+      {open && (
+        <div className="absolute bottom-full left-0 mb-2 w-96 max-w-[90vw] max-h-[70vh] overflow-y-auto z-50 bg-white dark:bg-neutral-900 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg p-3 text-sm space-y-3">
+          <div className="flex items-center justify-between">
+            <span className="text-xs font-medium text-gray-500 dark:text-gray-400">
+              {systemPrompt ? `Using: ${activePrompt?.name || 'custom prompt'}` : 'No system prompt'}
+            </span>
+            {systemPrompt && (
+              <button
+                type="button"
+                onClick={() => apply({ systemPrompt: null })}
+                disabled={busy}
+                className="flex items-center gap-1 text-xs text-gray-500 hover:text-red-600"
+              >
+                <IconX className="w-3 h-3" /> Clear
+              </button>
+            )}
+          </div>
+
+          {selected ? (
+            <div className="space-y-2">
+              <div className="font-medium text-gray-800 dark:text-gray-200">{selected.name}</div>
+              <p className="text-xs text-gray-600 dark:text-gray-400 whitespace-pre-line line-clamp-4">{selected.content}</p>
+              {selected.variables.map(name => (
+                <label key={name} className="block">
+                  <span className="text-xs text-gray-500 dark:text-gray-400">{name}</span>
+                  <input
+                    value={variables[name] || ''}
+                    onChange={(e) => setVariables(prev => ({ ...prev, [name]: e.target.value }))}
+                    className="w-full px-2 py-1 rounded border border-gray-200 dark:border-gray-700 bg-transparent text-gray-800 dark:text-gray-200"
+                  />
+                </label>
+              ))}
+              {selected.isOwner && (
+                <div className="flex items-center gap-1">
+                  <input
+                    value={shareEmails}
+                    onChange={(e) => setShareEmails(e.target.value)}
+                    placeholder="Share with (emails)"
+                    className="flex-1 min-w-0 px-2 py-1 rounded border border-gray-200 dark:border-gray-700 bg-transparent text-gray-800 dark:text-gray-200"
+                  />
+                  <button type="button" onClick={handleShare} disabled={busy} title="Share" className="p-1.5 rounded hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-600 dark:text-gray-300">
+                    <IconShare className="w-4 h-4" />
+                  </button>
+                  <button type="button" onClick={handleDelete} disabled={busy} title="Delete prompt" className="p-1.5 rounded hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-600 dark:text-gray-300 hover:text-red-600">
+                    <IconTrash className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="space-y-1">
+              {prompts.length === 0 && (
+                <div className="text-xs text-gray-500 dark:text-gray-400">No saved prompts yet. Write one below and save it.</div>
+              )}
+              {prompts.map(prompt => (
+                <button
+                  key={prompt._id}
+                  type="button"
+                  onClick={() => choosePrompt(prompt)}
+                  className="w-full flex items-center justify-between gap-2 px-2 py-1.5 rounded hover:bg-gray-100 dark:hover:bg-gray-800 text-left text-gray-700 dark:text-gray-300"
+                >
+                  <span className="truncate">
+                    {prompt.name}
+                    {prompt.workspace ? (
+                      <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">workspace</span>
+                    ) : !prompt.isOwner && prompt.owner && (
+                      <span className="ml-1 text-xs text-gray-500 dark:text-gray-400">shared by {prompt.owner.name}</span>
+                    )}
+                  </span>
+                  {prompt._id === systemPrompt?.promptId && <IconCheck className="w-4 h-4 flex-shrink-0" />}
+                </button>
+              ))}
+
+              <textarea
+                value={customText}
+                onChange={(e) => setCustomText(e.target.value)}
+                rows={4}
+                maxLength={20000}
+                placeholder="Or write a system prompt. Saved prompts can use {{variables}}, filled in when applied."
+                className="w-full mt-2 px-2 py-1 rounded border border-gray-200 dark:border-gray-700 bg-transparent text-gray-800 dark:text-gray-200"
+              />
+              {customText.trim() && (
+                <div className="flex items-center gap-1">
+                  <input
+                    value={saveName}
+                    onChange={(e) => setSaveName(e.target.value)}
+                    maxLength={100}
+                    placeholder="Name to save it to your library"
+                    className="flex-1 min-w-0 px-2 py-1 rounded border border-gray-200 dark:border-gray-700 bg-transparent text-gray-800 dark:text-gray-200"
+                  />
+                  <button type="button" onClick={handleSave} disabled={busy || !saveName.trim()} title="Save prompt" className="p-1.5 rounded hover:bg-gray-100 dark:hover:bg-gray-800 text-gray-600 dark:text-gray-300 disabled:opacity-50">
+                    <IconDeviceFloppy className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+              {customText.trim() && inWorkspace && (
+                <label className="flex items-center gap-2 text-xs text-gray-600 dark:text-gray-400 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={saveToWorkspace}
+                    onChange={(e) => setSaveToWorkspace(e.target.checked)}
+                    className="accent-purple-600"
+                  />
+                  Add to the workspace library
+                </label>
+              )}
+            </div>
+          )}
+
+          <div className="grid grid-cols-3 gap-2">
+            {SETTING_FIELDS.map(({ key, label, min, max, step }) => (
+              <label key={key} className="block">
+                <span className="text-xs text-gray-500 dark:text-gray-400">{label}</span>
+                <input
+                  type="number"
+                  min={min}
+                  max={max}
+                  step={step}
+                  value={settingInputs[key]}
+                  onChange={(e) => setSettingInputs(prev => ({ ...prev, [key]: e.target.value }))}
+                  placeholder="Default"
+                  className="w-full px-2 py-1 rounded border border-gray-200 dark:border-gray-700 bg-transparent text-gray-800 dark:text-gray-200"
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-2">
+            {selected && (
+              <button type="button" onClick={() => setSelected(null)} className="px-3 py-1 rounded text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800">
+                Back
+              </button>
+            )}
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => apply(selected
+                ? { promptId: selected._id, variables }
+                : (customText.trim() ? { systemPrompt: customText } : {}))}
+              className="px-3 py-1 rounded bg-purple-600 text-white disabled:opacity-50"
+            >
+              Apply
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SystemPromptPicker;
@@ -2,8 +2,10 @@ import React, { useState } from 'react';
 import { IconCopy, IconCheck, IconRobot, IconCurrency, IconLoader } from '@tabler/icons-react';
 import { formatCurrency, formatTokens } from '../../../lib/wallet';
 import MarkdownRenderer from '../../../shared/components/MarkdownRenderer';
+import ResponseCitations from './ResponseCitations';
 
-const TabbedResponseLayout = ({ responses, timestamp, attachments }) => {
+// blind hides which model wrote each answer (and its cost, which would give it away); answers then carry a blindLabel
+const TabbedResponseLayout = ({ responses, timestamp, attachments, blind = false }) => {
   const [activeTab, setActiveTab] = useState(0);
   const [copiedStates, setCopiedStates] = useState({});
 
@@ -25,6 +27,10 @@ const TabbedResponseLayout = ({ responses, timestamp, attachments }) => {
     return { provider: provider || 'unknown', modelName: modelName || 'Unknown Model' };
   };
 
+  const describeModel = (response) => (blind
+    ? { provider: 'default', modelName: response?.blindLabel || 'Hidden model' }
+    : getProviderInfo(response?.model || ''));
+
   const getProviderColor = (provider) => {
     const colors = {
       'openai': 'border-green-200 bg-green-50 text-green-800 dark:border-green-800 dark:bg-green-900/20 dark:text-green-300',
@@ -73,7 +79,7 @@ const TabbedResponseLayout = ({ responses, timestamp, attachments }) => {
   if (!responses || responses.length === 0) return null;
 
   const activeResponse = responses[activeTab];
-  const { provider, modelName } = getProviderInfo(activeResponse?.model || '');
+  const { provider, modelName } = describeModel(activeResponse);
   const isStreaming = !activeResponse?.isComplete && activeResponse?.content;
 
   return (
@@ -82,7 +88,7 @@ const TabbedResponseLayout = ({ responses, timestamp, attachments }) => {
       <div className="border-b border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/50">
         <div className="flex overflow-x-auto scrollbar-hide">
           {responses.map((response, index) => {
-            const { provider, modelName } = getProviderInfo(response?.model || '');
+            const { provider, modelName } = describeModel(response);
             const isTabActive = activeTab === index;
             const isTabStreaming = !response?.isComplete && response?.content;
             
@@ -105,11 +111,13 @@ const TabbedResponseLayout = ({ responses, timestamp, attachments }) => {
                     <span className="truncate max-w-32 font-medium">
                       {modelName}
                     </span>
-                    <span className="text-xs opacity-75 font-normal">
-                      {provider}
-                    </span>
+                    {!blind && (
+                      <span className="text-xs opacity-75 font-normal">
+                        {provider}
+                      </span>
+                    )}
                   </div>
-                  {response?.cost && (
+                  {response?.cost && !blind && (
                     <span className="text-xs opacity-75 font-mono">
                       {typeof response.cost === 'number' ? formatTokens(response.cost) : `$${formatCurrency(response.cost)}`}
                     </span>
@@ -134,7 +142,7 @@ const TabbedResponseLayout = ({ responses, timestamp, attachments }) => {
                 <div className={`px-3 py-1.5 text-sm font-medium rounded-lg border ${getProviderColor(provider)}`}>
                   <div className="flex items-center space-x-2">
                     <span className="font-semibold">{modelName}</span>
-                    <span className="text-xs opacity-75">via {provider}</span>
+                    {!blind && <span className="text-xs opacity-75">via {provider}</span>}
                   </div>
                 </div>
                 {isStreaming && (
@@ -151,7 +159,7 @@ const TabbedResponseLayout = ({ responses, timestamp, attachments }) => {
               </div>
               
               <div className="flex items-center space-x-2">
-                {activeResponse.cost && (
+                {activeResponse.cost && !blind && (
                   <div className="flex items-center space-x-1 text-sm text-gray-600 dark:text-gray-400 bg-gray-100 dark:bg-gray-700 px-2 py-1 rounded-lg">
                     <IconCurrency size={14} />
                     <span className="font-mono font-medium">{typeof activeResponse.cost === 'number' ? formatTokens(activeResponse.cost) : `$${formatCurrency(activeResponse.cost)}`}</span>
@@ -201,12 +209,15 @@ const TabbedResponseLayout = ({ responses, timestamp, attachments }) => {
             <div className="border border-gray-200 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900">
               <div className="max-h-[500px] overflow-y-auto p-4">
                 {activeResponse.content ? (
-                  <MarkdownRenderer 
-                    content={activeResponse.content}
-                    className="prose-sm max-w-none"
-                    enableSyntaxHighlighting={true}
-                    enableGfm={true}
-                  />
+                  <>
+                    <MarkdownRenderer 
+                      content={activeResponse.content}
+                      className="prose-sm max-w-none"
+                      enableSyntaxHighlighting={true}
+                      enableGfm={true}
+                    />
+                    <ResponseCitations citations={activeResponse.citations} />
+                  </>
                 ) : activeResponse.error ? (
                   <div className="text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 p-3 rounded-lg">
                     <p className="font-medium">Error:</p>
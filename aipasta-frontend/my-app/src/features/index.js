@@ -17,5 +17,14 @@ export { default as TabbedResponseLayout } from './chat/components/TabbedRespons
 export { default as ModelSelectionModal } from './chat/components/ModelSelectionModal';
 export { default as MultiModelSelector } from './chat/components/MultiModelSelector';
 export { default as MultimodalInput } from './chat/components/MultimodalInput';
+export { default as KnowledgeBaseSelector } from './chat/components/KnowledgeBaseSelector';
+export { default as SystemPromptPicker } from './chat/components/SystemPromptPicker';
+export { default as BranchSwitcher } from './chat/components/BranchSwitcher';
+export { default as ResponseRating } from './chat/components/ResponseRating';
+export { default as ComparisonVoteBar } from './chat/components/ComparisonVoteBar';
+export { default as MessageEditForm } from './chat/components/MessageEditForm';
+export { default as ChatSearch } from './chat/components/ChatSearch';
+export { default as ChatTransfer } from './chat/components/ChatTransfer';
+export { default as ShareDialog } from './chat/components/ShareDialog';
 export { PlaceholdersAndVanishInput } from './chat/components/PlaceholdersAndVanishInput';
 export { default as SimpleUploadButton } from './chat/components/SimpleUploadButton';
\ No newline at end of file
@@ -90,6 +90,27 @@ export const useStreamingResponses = () => {
     });
   }, []);
 
+  // Attach the knowledge base sources a response was given with (it may already be completed)
+  const setResponseCitations = useCallback((responseId, citations = []) => {
+    const withCitations = (prev) => {
+      const current = prev.get(responseId);
+      return current ? new Map(prev.set(responseId, { ...current, citations })) : prev;
+    };
+    setActiveResponses(withCitations);
+    setCompletedResponses(withCitations);
+  }, []);
+
+  // Link a response to what the backend stored: { comparisonId } once a comparison starts, { messageId } once
+  // its answer is saved (it may already be completed)
+  const setResponseMessage = useCallback((responseId, details) => {
+    const withDetails = (prev) => {
+      const current = prev.get(responseId);
+      return current ? new Map(prev.set(responseId, { ...current, ...details })) : prev;
+    };
+    setActiveResponses(withDetails);
+    setCompletedResponses(withDetails);
+  }, []);
+
   // Get all responses (active + completed) for rendering
   const allResponses = useMemo(() => {
     const combined = new Map([...completedResponses, ...activeResponses]);
@@ -113,6 +134,8 @@ export const useStreamingResponses = () => {
     initializeResponse,
     updateResponse,
     setResponseError,
+    setResponseCitations,
+    setResponseMessage,
     clearResponses,
     hasActiveResponses: activeResponses.size > 0,
     totalResponses: activeResponses.size + completedResponses.size
@@ -120,10 +143,11 @@ export const useStreamingResponses = () => {
 };
 
 /**
- * Simulates streaming API call to AI model
- * In production, this would connect to actual streaming endpoints
+ * Streams a response from an AI model through the backend's SSE chat endpoint
+ * attachmentIds are ids of files already uploaded with uploadAttachments
+ * onChunk receives each delta as it arrives, then a final empty chunk with isComplete=true
  */
-export const streamModelResponse = async (model, userInput, files, onChunk, onComplete, onError, sessionId = null, isLocalSession = true) => {
+export const streamModelResponse = async (model, userInput, attachmentIds, onChunk, onComplete, onError, sessionId = null, isLocalSession = true) => {
   try {
     // Validate model ID before proceeding
     const modelId = model.modelId || model.id;
@@ -136,16 +160,19 @@ export const streamModelResponse = async (model, userInput, files, onChunk, onCo
 
     // Always use backend API to avoid redundant calls and ensure proper session management
     try {
-      console.log('Using backend API call with sessionId:', sessionId);
-      const { sendChatMessage } = await import('../lib/api-client');
+      console.log('Using backend streaming API with sessionId:', sessionId);
+      const { streamChatMessage } = await import('../lib/api-client');
       
-      const response = await sendChatMessage({
+      let streamedChars = 0;
+      const response = await streamChatMessage({
         message: userInput,
         modelId: modelId,
         sessionId: sessionId || 'local_fallback',
-        options: {
-          temperature: 0.7,
-          max_tokens: 1000
+        attachments: attachmentIds || []
+      }, {
+        onDelta: (delta) => {
+          streamedChars += delta.length;
+          onChunk(delta, false);
         }
       });
 
@@ -227,13 +254,13 @@ export const streamModelResponse = async (model, userInput, files, onChunk, onCo
         return;
       }
 
-      // Send the full response at once (can be enhanced later for actual streaming)
-      const aiResponse = response.data?.aiMessage?.content || 'No response generated';
-      console.log('Backend API response received, content length:', aiResponse.length);
-      
-      // Send the complete response as a single chunk to avoid duplication issues
-      onChunk(aiResponse, true);
-      console.log('Response sent as single chunk, content:', aiResponse.substring(0, 100) + '...');
+      // Deltas were already appended as they arrived; only fill in content if the stream carried none
+      if (streamedChars === 0) {
+        onChunk(response.data?.aiMessage?.content || 'No response generated', true);
+      } else {
+        onChunk('', true);
+      }
+      console.log('Backend stream completed, content length:', streamedChars);
       
       onComplete(response);
       return;
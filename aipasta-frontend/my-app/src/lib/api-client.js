@@ -96,6 +96,26 @@ const getAuthToken = () => {
   return null;
 };
 
+const WORKSPACE_STORAGE_KEY = 'activeWorkspaceId';
+
+// Team workspace the app is working in, or null for the personal workspace
+export function getActiveWorkspaceId() {
+  if (typeof window === 'undefined') return null;
+  return localStorage.getItem(WORKSPACE_STORAGE_KEY);
+}
+
+// Switch workspace (null for personal). Chats, folders, prompts and billing follow the X-Workspace-Id header,
+// so callers reload the page afterwards.
+export function setActiveWorkspaceId(organizationId) {
+  if (typeof window === 'undefined') return;
+  if (organizationId) {
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, organizationId);
+  } else {
+    localStorage.removeItem(WORKSPACE_STORAGE_KEY);
+  }
+  clearChatSessionsCache();
+}
+
 const getAuthHeaders = () => {
   const headers = {
     'Content-Type': 'application/json'
@@ -106,6 +126,11 @@ const getAuthHeaders = () => {
   if (token) {
     headers['Authorization'] = `Bearer ${token}`;
   }
+
+  const workspaceId = getActiveWorkspaceId();
+  if (token && workspaceId) {
+    headers['X-Workspace-Id'] = workspaceId;
+  }
   
   // Add client fingerprint for Razorpay if available
   if (typeof window !== 'undefined' && window.navigator) {
@@ -115,6 +140,23 @@ const getAuthHeaders = () => {
   return headers;
 };
 
+// Set by AuthContext: swaps the refresh token for a new access token, resolving to true once one is stored
+let sessionRefresher = null;
+
+export function setSessionRefresher(refresh) {
+  sessionRefresher = refresh;
+}
+
+// fetch() for signed-in requests. An expired access token (401) is refreshed once and the request retried
+// with the new one, the same way AuthContext loads the current user.
+async function authFetch(url, init = {}) {
+  const response = await fetch(url, init);
+  if (response.status !== 401 || !sessionRefresher || !getAuthToken() || !(await sessionRefresher())) {
+    return response;
+  }
+  return fetch(url, { ...init, headers: { ...init.headers, Authorization: `Bearer ${getAuthToken()}` } });
+}
+
 export async function fetchModels(options = {}) {
   try {
     // Build the URL robustly. If API_BASE is set and absolute, use it as the base.
@@ -146,7 +188,7 @@ export async function fetchModels(options = {}) {
 
     console.log('Fetching models from:', url.toString());
 
-    const response = await fetch(url.toString(), {
+    const response = await authFetch(url.toString(), {
       method: 'GET',
       headers: getAuthHeaders()
     });
@@ -222,14 +264,16 @@ export async function fetchModels(options = {}) {
   }
 }
 
-export async function createChatSession(userId = null, title = null, modelId = null) {
+// sessionOptions: knowledgeBaseId, systemPrompt or promptId + variables, settings (see updateSessionOptions)
+export async function createChatSession(userId = null, title = null, modelId = null, sessionOptions = {}) {
   try {
-    const response = await fetch(`${API_BASE}/api/chat/sessions`, {
+    const response = await authFetch(`${API_BASE}/api/chat/sessions`, {
       method: 'POST',
       headers: getAuthHeaders(),
       body: JSON.stringify({
         title,
-        modelId // Send only title and modelId, userId comes from auth token
+        modelId, // userId comes from auth token
+        ...sessionOptions
       })
     });
     
@@ -308,33 +352,37 @@ export function clearChatSessionsCache() {
   console.log('🗑️ Cleared chat sessions cache');
 }
 
-export async function getChatSessions() {
+// filters: folderId ('none' for sessions outside folders), tag, pinned, archived.
+// Only the unfiltered list (the sidebar's) is cached.
+export async function getChatSessions(filters = {}) {
   const now = Date.now();
+  const cacheable = Object.keys(filters).length === 0;
   
   // Return cached data if still valid
-  if (chatSessionsApiCache.data && 
+  if (cacheable && chatSessionsApiCache.data && 
       now - chatSessionsApiCache.timestamp < CHAT_SESSIONS_CACHE_DURATION) {
     console.log('🚀 Returning cached chat sessions from API client');
     return chatSessionsApiCache.data;
   }
   
   // If there's already a pending request, wait for it
-  if (chatSessionsApiCache.promise) {
+  if (cacheable && chatSessionsApiCache.promise) {
     console.log('⏳ Waiting for existing chat sessions request...');
     return await chatSessionsApiCache.promise;
   }
   
   try {
-    const url = `${API_BASE}/api/chat/sessions`;
+    const url = `${API_BASE}/api/chat/sessions?${new URLSearchParams({ limit: '100', ...filters })}`;
     console.log('Fetching chat sessions from:', url);
     
-    // Store the promise to prevent concurrent requests
-    chatSessionsApiCache.promise = fetch(url, {
+    const request = authFetch(url, {
       method: 'GET',
       headers: getAuthHeaders()
     });
+    // Store the promise to prevent concurrent requests
+    if (cacheable) chatSessionsApiCache.promise = request;
     
-    const response = await chatSessionsApiCache.promise;
+    const response = await request;
 
     console.log('Chat sessions response status:', response.status);
 
@@ -366,16 +414,18 @@ export async function getChatSessions() {
     const sessions = data.data?.sessions || data.sessions || data || [];
     
     // Cache the successful result
-    chatSessionsApiCache = {
-      data: sessions,
-      timestamp: now,
-      promise: null
-    };
+    if (cacheable) {
+      chatSessionsApiCache = {
+        data: sessions,
+        timestamp: now,
+        promise: null
+      };
+    }
     
     return sessions;
   } catch (error) {
     // Clear the promise on error
-    chatSessionsApiCache.promise = null;
+    if (cacheable) chatSessionsApiCache.promise = null;
     console.error('Error fetching chat sessions:', error);
     throw error;
   }
@@ -383,7 +433,7 @@ export async function getChatSessions() {
 
 export async function getChatSession(sessionId, page = 1, limit = 50) {
   try {
-    const response = await fetch(`${API_BASE}/api/chat/sessions/${sessionId}?page=${page}&limit=${limit}`, {
+    const response = await authFetch(`${API_BASE}/api/chat/sessions/${sessionId}?page=${page}&limit=${limit}`, {
       method: 'GET',
       headers: getAuthHeaders()
     });
@@ -424,6 +474,7 @@ export async function getChatSession(sessionId, page = 1, limit = 50) {
     return {
       session: data.data.session,
       messages: data.data.messages,
+      votes: data.data.votes || [],
       pagination: data.data.pagination
     };
   } catch (error) {
@@ -438,6 +489,85 @@ export async function getChatSession(sessionId, page = 1, limit = 50) {
   }
 }
 
+// Map a failed /api/chat response to the { success: false, error, type } shape used by the chat UI
+function buildChatErrorResult(response, errorData) {
+  switch (response.status) {
+    case 400:
+      return { 
+        success: false, 
+        error: errorData.message || 'Invalid request. Please check your input.',
+        type: 'VALIDATION_ERROR'
+      };
+    case 401:
+      return { 
+        success: false, 
+        error: 'Please log in to continue.',
+        type: 'AUTHENTICATION_REQUIRED'
+      };
+    case 402:
+      return { 
+        success: false, 
+        error: errorData.message || 'Insufficient tokens for this request.',
+        type: 'INSUFFICIENT_TOKENS'
+      };
+    case 403:
+      // Backend may provide structured PAYWALL info
+      if (errorData && errorData.code === 'PAYWALL') {
+        return {
+          success: false,
+          error: errorData.message || 'Access denied - model requires a paid plan.',
+          type: 'PAYWALL',
+          requiredPlan: errorData.requiredPlan || 'pro'
+        };
+      }
+      return { 
+        success: false, 
+        error: errorData.message || 'Insufficient credits or access denied.',
+        type: 'INSUFFICIENT_CREDITS'
+      };
+    case 404:
+      return { 
+        success: false, 
+        error: 'AI model not found. Please select a different model.',
+        type: 'MODEL_NOT_FOUND'
+      };
+    case 429:
+      return { 
+        success: false, 
+        error: 'Rate limit exceeded. Please wait a moment and try again.',
+        type: 'RATE_LIMIT_EXCEEDED'
+      };
+    case 500:
+      return { 
+        success: false, 
+        error: errorData.message || 'An unexpected server error occurred. Please try again.',
+        type: 'SERVER_ERROR'
+      };
+    case 502:
+    case 503:
+      // Backend may include structured provider errors
+      if (errorData && errorData.code === 'PROVIDER_ERROR') {
+        return {
+          success: false,
+          error: errorData.message || 'AI provider temporarily unavailable',
+          type: 'PROVIDER_ERROR',
+          provider: errorData.provider || null
+        };
+      }
+      return { 
+        success: false, 
+        error: 'Server is temporarily unavailable. Please try again in a moment.',
+        type: 'SERVER_ERROR'
+      };
+    default:
+      return { 
+        success: false, 
+        error: errorData.message || `Request failed: ${response.status} ${response.statusText}`,
+        type: 'UNKNOWN_ERROR'
+      };
+  }
+}
+
 export async function sendChatMessage(messageOrOptions, modelId, sessionId) {
   startTimer('sendChatMessage');
   
@@ -467,7 +597,7 @@ export async function sendChatMessage(messageOrOptions, modelId, sessionId) {
   }
   
   try {
-    const response = await fetch(`${API_BASE}/api/chat`, {
+    const response = await authFetch(`${API_BASE}/api/chat`, {
       method: 'POST',
       headers: getAuthHeaders(),
       body: JSON.stringify({
@@ -506,82 +636,7 @@ export async function sendChatMessage(messageOrOptions, modelId, sessionId) {
         body: errorData
       });
       
-      // Handle different error types with user-friendly messages
-      switch (response.status) {
-        case 400:
-          return { 
-            success: false, 
-            error: errorData.message || 'Invalid request. Please check your input.',
-            type: 'VALIDATION_ERROR'
-          };
-        case 401:
-          return { 
-            success: false, 
-            error: 'Please log in to continue.',
-            type: 'AUTHENTICATION_REQUIRED'
-          };
-        case 402:
-          return { 
-            success: false, 
-            error: errorData.message || 'Insufficient tokens for this request.',
-            type: 'INSUFFICIENT_TOKENS'
-          };
-        case 403:
-          // Backend may provide structured PAYWALL info
-          if (errorData && errorData.code === 'PAYWALL') {
-            return {
-              success: false,
-              error: errorData.message || 'Access denied - model requires a paid plan.',
-              type: 'PAYWALL',
-              requiredPlan: errorData.requiredPlan || 'pro'
-            };
-          }
-          return { 
-            success: false, 
-            error: errorData.message || 'Insufficient credits or access denied.',
-            type: 'INSUFFICIENT_CREDITS'
-          };
-        case 404:
-          return { 
-            success: false, 
-            error: 'AI model not found. Please select a different model.',
-            type: 'MODEL_NOT_FOUND'
-          };
-        case 429:
-          return { 
-            success: false, 
-            error: 'Rate limit exceeded. Please wait a moment and try again.',
-            type: 'RATE_LIMIT_EXCEEDED'
-          };
-        case 500:
-          return { 
-            success: false, 
-            error: errorData.message || 'An unexpected server error occurred. Please try again.',
-            type: 'SERVER_ERROR'
-          };
-        case 502:
-        case 503:
-          // Backend may include structured provider errors
-          if (errorData && errorData.code === 'PROVIDER_ERROR') {
-            return {
-              success: false,
-              error: errorData.message || 'AI provider temporarily unavailable',
-              type: 'PROVIDER_ERROR',
-              provider: errorData.provider || null
-            };
-          }
-          return { 
-            success: false, 
-            error: 'Server is temporarily unavailable. Please try again in a moment.',
-            type: 'SERVER_ERROR'
-          };
-        default:
-          return { 
-            success: false, 
-            error: errorData.message || `Request failed: ${response.status} ${response.statusText}`,
-            type: 'UNKNOWN_ERROR'
-          };
-      }
+      return buildChatErrorResult(response, errorData);
     }
 
   const data = await safeParseResponse(response);
@@ -630,6 +685,1418 @@ export async function sendChatMessage(messageOrOptions, modelId, sessionId) {
   }
 }
 
+/**
+ * Read a Server-Sent Events response body, calling handleEvent(event, data) for each JSON event
+ */
+async function readEventStream(response, handleEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // SSE events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let dataText = '';
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataText += line.slice(5).trim();
+      }
+      if (!dataText) continue;
+
+      try {
+        handleEvent(event, JSON.parse(dataText));
+      } catch (parseErr) {
+        console.warn('Skipping malformed stream event:', dataText.substring(0, 100));
+      }
+    }
+  }
+}
+
+// Stream a chat message from the backend over Server-Sent Events.
+// onDelta(text) is called for every chunk; resolves with the same shape as sendChatMessage:
+// { success: true, data } once the backend sends `done`, or { success: false, error, type }.
+// parentMessageId sends the message as an edit continuing from that user message (null: the first turn).
+export async function streamChatMessage({ message, modelId, sessionId = null, parentMessageId, options = {}, attachments = [] }, { onStart, onDelta, signal } = {}) {
+  if (!message || typeof message !== 'string') {
+    throw new Error('Message is required and must be a string');
+  }
+
+  if (!modelId) {
+    throw new Error('Model ID is required');
+  }
+
+  startTimer('streamChatMessage');
+
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat`, {
+      method: 'POST',
+      headers: {
+        ...getAuthHeaders(),
+        'Accept': 'text/event-stream'
+      },
+      body: JSON.stringify({
+        message,
+        modelId,
+        sessionId,
+        parentMessageId,
+        options,
+        attachments,
+        stream: true
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const parsed = await safeParseResponse(response);
+      const errorData = parsed.__nonJson ? { message: parsed.text } : parsed;
+
+      try {
+        const returnedUser = parsed?.data?.user || parsed?.user;
+        if (returnedUser && typeof window !== 'undefined') {
+          window.dispatchEvent(new CustomEvent('aiPasta:userUpdated', { detail: returnedUser }));
+        }
+      } catch (e) {
+        // non-fatal
+      }
+
+      await logAPIError('/api/chat', new Error(`HTTP ${response.status}: ${errorData.message || response.statusText}`), {
+        message: message.substring(0, 100),
+        modelId,
+        sessionId,
+        status: response.status,
+        stream: true
+      });
+
+      endTimer('streamChatMessage');
+      return buildChatErrorResult(response, errorData);
+    }
+
+    let result = null;
+    const handleEvent = (event, data) => {
+      switch (event) {
+        case 'start':
+          if (onStart) onStart(data);
+          break;
+        case 'delta':
+          if (onDelta && data?.content) onDelta(data.content);
+          break;
+        case 'done':
+          result = { success: true, data };
+          try {
+            if (data?.user && typeof window !== 'undefined') {
+              window.dispatchEvent(new CustomEvent('aiPasta:userUpdated', { detail: data.user }));
+            }
+          } catch (e) {
+            // non-fatal
+          }
+          break;
+        case 'error':
+          result = {
+            success: false,
+            error: data?.message || 'The response stream failed.',
+            type: data?.code || 'STREAM_ERROR',
+            provider: data?.provider || null
+          };
+          break;
+        default:
+          break;
+      }
+    };
+
+    await readEventStream(response, handleEvent);
+
+    endTimer('streamChatMessage');
+    return result || {
+      success: false,
+      error: 'The response stream ended unexpectedly. Please try again.',
+      type: 'STREAM_INTERRUPTED'
+    };
+  } catch (error) {
+    endTimer('streamChatMessage');
+
+    if (error.name === 'AbortError') {
+      return { success: false, error: 'Request cancelled', type: 'CANCELLED' };
+    }
+
+    await logAPIError('/api/chat', error, {
+      message: message.substring(0, 100),
+      modelId,
+      sessionId,
+      errorName: error.name,
+      stream: true
+    });
+
+    console.error('Error streaming chat message:', error);
+
+    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      return {
+        success: false,
+        error: 'Network error. Please check your internet connection and try again.',
+        type: 'NETWORK_ERROR'
+      };
+    }
+
+    return {
+      success: false,
+      error: 'An unexpected error occurred. Please try again.',
+      type: 'UNKNOWN_ERROR'
+    };
+  }
+}
+
+// Send one message to several models at once via POST /api/chat/compare (streamed).
+// onDelta(modelId, text) fires for every chunk and onResult(result) as each model finishes;
+// resolves with { success: true, data: { results, ... } } or { success: false, error, type }.
+export async function streamModelComparison({ message, modelIds, sessionId = null, parentMessageId, options = {}, attachments = [] }, { onStart, onDelta, onResult, signal } = {}) {
+  if (!message || typeof message !== 'string') {
+    throw new Error('Message is required and must be a string');
+  }
+
+  if (!Array.isArray(modelIds) || modelIds.length === 0) {
+    throw new Error('At least one model ID is required');
+  }
+
+  startTimer('streamModelComparison');
+
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/compare`, {
+      method: 'POST',
+      headers: {
+        ...getAuthHeaders(),
+        'Accept': 'text/event-stream'
+      },
+      body: JSON.stringify({
+        message,
+        modelIds,
+        sessionId,
+        parentMessageId,
+        options,
+        attachments,
+        stream: true
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const parsed = await safeParseResponse(response);
+      const errorData = parsed.__nonJson ? { message: parsed.text } : parsed;
+
+      await logAPIError('/api/chat/compare', new Error(`HTTP ${response.status}: ${errorData.message || response.statusText}`), {
+        message: message.substring(0, 100),
+        modelIds,
+        sessionId,
+        status: response.status
+      });
+
+      endTimer('streamModelComparison');
+      return buildChatErrorResult(response, errorData);
+    }
+
+    let result = null;
+    await readEventStream(response, (event, data) => {
+      switch (event) {
+        case 'start':
+          if (onStart) onStart(data);
+          break;
+        case 'delta':
+          if (onDelta && data?.modelId && data?.content) onDelta(data.modelId, data.content);
+          break;
+        case 'result':
+          if (onResult) onResult(data);
+          break;
+        case 'done':
+          result = { success: true, data };
+          try {
+            if (data?.user && typeof window !== 'undefined') {
+              window.dispatchEvent(new CustomEvent('aiPasta:userUpdated', { detail: data.user }));
+            }
+          } catch (e) {
+            // non-fatal
+          }
+          break;
+        case 'error':
+          result = {
+            success: false,
+            error: data?.message || 'The comparison stream failed.',
+            type: data?.code || 'STREAM_ERROR'
+          };
+          break;
+        default:
+          break;
+      }
+    });
+
+    endTimer('streamModelComparison');
+    return result || {
+      success: false,
+      error: 'The response stream ended unexpectedly. Please try again.',
+      type: 'STREAM_INTERRUPTED'
+    };
+  } catch (error) {
+    endTimer('streamModelComparison');
+
+    if (error.name === 'AbortError') {
+      return { success: false, error: 'Request cancelled', type: 'CANCELLED' };
+    }
+
+    await logAPIError('/api/chat/compare', error, {
+      message: message.substring(0, 100),
+      modelIds,
+      sessionId,
+      errorName: error.name
+    });
+
+    console.error('Error streaming model comparison:', error);
+
+    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      return {
+        success: false,
+        error: 'Network error. Please check your internet connection and try again.',
+        type: 'NETWORK_ERROR'
+      };
+    }
+
+    return {
+      success: false,
+      error: 'An unexpected error occurred. Please try again.',
+      type: 'UNKNOWN_ERROR'
+    };
+  }
+}
+
+// Upload files to attach to the next chat message (POST /api/attachments, multipart).
+// Resolves with { success: true, attachments } (pass their ids as `attachments` when sending) or { success: false, error }.
+export async function uploadAttachments(files) {
+  try {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    // Let the browser set the multipart Content-Type (with its boundary)
+    const headers = getAuthHeaders();
+    delete headers['Content-Type'];
+    const response = await authFetch(`${API_BASE}/api/attachments`, {
+      method: 'POST',
+      headers,
+      body: formData
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to upload attachments: ${response.statusText}` };
+    }
+
+    return { success: true, attachments: parsed.data.attachments };
+  } catch (error) {
+    console.error('Error uploading attachments:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Quote the wallet tokens a request will cost on each model (same formula the backend charges with).
+// Resolves with { success: true, data: { quotes, totals, pricing } } or { success: false, error }.
+// documentTokens are the session's document tokens; each model's quote includes what fits its context window.
+export async function getTokenQuote({ modelIds, message = '', maxTokens, completionTokens, imageCount = 0, documentTokens = 0 }, { signal } = {}) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/models/quote`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({
+        modelIds,
+        message,
+        maxTokens,
+        completionTokens,
+        imageCount,
+        documentTokens
+      }),
+      signal
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to fetch token quote: ${response.statusText}` };
+    }
+
+    return { success: true, data: parsed.data };
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.warn('Error fetching token quote:', error?.message || error);
+    }
+    return { success: false, error: error.message };
+  }
+}
+
+// Documents used as context in a chat session.
+// Resolves with { success: true, documents, totalTokens } or { success: false, error }.
+export async function getSessionDocuments(sessionId) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/sessions/${sessionId}/documents`, {
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to load session documents: ${response.statusText}` };
+    }
+
+    return { success: true, documents: parsed.data.documents, totalTokens: parsed.data.totalTokens };
+  } catch (error) {
+    console.error('Error loading session documents:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Stop using a document as context in a chat session (the upload itself is kept)
+export async function removeSessionDocument(sessionId, attachmentId) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/sessions/${sessionId}/documents/${attachmentId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to remove document: ${response.statusText}` };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error removing session document:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Search message content and chat titles. filters: { model, provider, role, from, to, rating, minScore, page, limit }.
+// Resolves with { success: true, sessions, messages, pagination } or { success: false, error }; each result
+// carries highlights as [start, end] ranges of its title or snippet.
+export async function searchChatHistory(query, filters = {}, { signal } = {}) {
+  try {
+    const params = new URLSearchParams({ q: query });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') params.set(key, value);
+    });
+
+    const response = await authFetch(`${API_BASE}/api/chat/search?${params}`, {
+      headers: getAuthHeaders(),
+      signal
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Search failed: ${response.statusText}` };
+    }
+
+    const { sessions, messages, pagination } = parsed.data;
+    return { success: true, sessions, messages, pagination };
+  } catch (error) {
+    if (error.name === 'AbortError') return { success: false, aborted: true };
+    console.error('Error searching chat history:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Change several chat sessions at once. changes: folderId (null takes them out of their folder),
+// addTags, removeTags, pinned, archived. Resolves with { success: true, sessions } or { success: false, error }.
+export async function updateChatSessions(sessionIds, changes) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/sessions`, {
+      method: 'PATCH',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ sessionIds, ...changes })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to update chats: ${response.statusText}` };
+    }
+
+    clearChatSessionsCache();
+    return { success: true, sessions: parsed.data.sessions };
+  } catch (error) {
+    console.error('Error updating chat sessions:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Delete several chat sessions. Resolves with { success: true, deleted } (the ids) or { success: false, error }.
+export async function deleteChatSessions(sessionIds) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/sessions`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ sessionIds })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to delete chats: ${response.statusText}` };
+    }
+
+    clearChatSessionsCache();
+    return { success: true, deleted: parsed.data.deleted };
+  } catch (error) {
+    console.error('Error deleting chat sessions:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Chat folders. Resolves with { success: true, folders } or { success: false, error }.
+export async function getChatFolders() {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/folders`, {
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to load folders: ${response.statusText}` };
+    }
+
+    return { success: true, folders: parsed.data.folders };
+  } catch (error) {
+    console.error('Error loading chat folders:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Create a chat folder, or rename one when folderId is given.
+// Resolves with { success: true, folder } or { success: false, error }.
+export async function saveChatFolder(name, folderId = null) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/folders${folderId ? `/${folderId}` : ''}`, {
+      method: folderId ? 'PATCH' : 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ name })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to save folder: ${response.statusText}` };
+    }
+
+    return { success: true, folder: parsed.data.folder };
+  } catch (error) {
+    console.error('Error saving chat folder:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Delete a chat folder; its chats stay, outside any folder.
+// Resolves with { success: true } or { success: false, error }.
+export async function deleteChatFolder(folderId) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/folders/${folderId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to delete folder: ${response.statusText}` };
+    }
+
+    clearChatSessionsCache();
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting chat folder:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Download chats as a file: one session (sessionId), some (sessionIds) or all of them.
+// format is json (re-importable, every branch), markdown, html or pdf (print-ready HTML).
+// Resolves with { success: true, blob, filename } or { success: false, error }.
+export async function exportChats({ sessionId, sessionIds, format = 'json' } = {}) {
+  try {
+    const params = new URLSearchParams({ format });
+    if (!sessionId && sessionIds?.length) params.set('sessionIds', sessionIds.join(','));
+    const path = sessionId ? `/api/chat/sessions/${sessionId}/export` : '/api/chat/export';
+
+    const response = await authFetch(`${API_BASE}${path}?${params}`, {
+      headers: getAuthHeaders()
+    });
+
+    if (!response.ok) {
+      const parsed = await safeParseResponse(response);
+      return { success: false, error: parsed?.message || `Failed to export chats: ${response.statusText}` };
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `aipasta-export.${format === 'markdown' ? 'md' : format === 'json' ? 'json' : 'html'}`;
+    return { success: true, blob: await response.blob(), filename };
+  } catch (error) {
+    console.error('Error exporting chats:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Import an AI Pasta JSON export, ChatGPT conversations.json or OpenRouter chat export as new chats.
+// Resolves with { success: true, source, imported, skipped, sessions } or { success: false, error }.
+export async function importChats(file) {
+  try {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    // Let the browser set the multipart Content-Type (with its boundary)
+    const headers = getAuthHeaders();
+    delete headers['Content-Type'];
+    const response = await authFetch(`${API_BASE}/api/chat/import`, {
+      method: 'POST',
+      headers,
+      body: formData
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to import chats: ${response.statusText}` };
+    }
+
+    clearChatSessionsCache();
+    return { success: true, ...parsed.data };
+  } catch (error) {
+    console.error('Error importing chats:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Share a session, or one turn of it (messageId), as a read-only link.
+// Resolves with { success: true, link } (link.slug goes in /share/:slug) or { success: false, error }.
+export async function createShareLink({ sessionId, messageId, title, password, expiresInDays }) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/shares`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ sessionId, messageId, title, password, expiresInDays })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to create link: ${response.statusText}` };
+    }
+
+    return { success: true, link: parsed.data.link };
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// The user's share links, optionally only those of one session.
+// Resolves with { success: true, links } or { success: false, error }.
+export async function getShareLinks(sessionId) {
+  try {
+    const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+    const response = await authFetch(`${API_BASE}/api/shares${query}`, {
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to load links: ${response.statusText}` };
+    }
+
+    return { success: true, links: parsed.data.links };
+  } catch (error) {
+    console.error('Error loading share links:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Revoke a share link. Resolves with { success: true, link } or { success: false, error }.
+export async function revokeShareLink(shareId) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/shares/${shareId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to revoke link: ${response.statusText}` };
+    }
+
+    return { success: true, link: parsed.data.link };
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+const shareHeaders = (password) => {
+  const headers = getAuthHeaders();
+  if (password) headers['X-Share-Password'] = password;
+  return headers;
+};
+
+// A shared conversation (no account needed).
+// Resolves with { success: true, share } or { success: false, error, status } (401 asks for the password;
+// 404 and 410 links cannot be opened).
+export async function getSharedConversation(slug, password) {
+  try {
+    const response = await fetch(`${API_BASE}/api/shares/public/${encodeURIComponent(slug)}`, {
+      headers: shareHeaders(password)
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to open link: ${response.statusText}`, status: response.status };
+    }
+
+    return { success: true, share: parsed.data.share };
+  } catch (error) {
+    console.error('Error opening shared conversation:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Copy a shared conversation into the signed-in user's chats.
+// Resolves with { success: true, session } or { success: false, error }.
+export async function forkSharedConversation(slug, password) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/shares/public/${encodeURIComponent(slug)}/fork`, {
+      method: 'POST',
+      headers: shareHeaders(password)
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to copy the conversation: ${response.statusText}` };
+    }
+
+    clearChatSessionsCache();
+    return { success: true, session: parsed.data.session };
+  } catch (error) {
+    console.error('Error copying shared conversation:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// The user's knowledge bases.
+// Resolves with { success: true, knowledgeBases } or { success: false, error }.
+export async function getKnowledgeBases() {
+  try {
+    const response = await authFetch(`${API_BASE}/api/knowledge-bases`, {
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to load knowledge bases: ${response.statusText}` };
+    }
+
+    return { success: true, knowledgeBases: parsed.data.knowledgeBases };
+  } catch (error) {
+    console.error('Error loading knowledge bases:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Create a knowledge base from uploaded documents; the backend embeds them before responding.
+// Resolves with { success: true, knowledgeBase } or { success: false, error }.
+export async function createKnowledgeBase({ name, description, attachmentIds = [] }) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/knowledge-bases`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ name, description, attachmentIds })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to create knowledge base: ${response.statusText}` };
+    }
+
+    return { success: true, knowledgeBase: parsed.data.knowledgeBase };
+  } catch (error) {
+    console.error('Error creating knowledge base:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Update a chat session's options: knowledgeBaseId, systemPrompt (text) or promptId + variables
+// (a library prompt), and settings { temperature, maxTokens, topP }. null clears an option.
+// Resolves with { success: true, session } or { success: false, error }.
+export async function updateSessionOptions(sessionId, updates) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/sessions/${sessionId}`, {
+      method: 'PATCH',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(updates)
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to update chat session: ${response.statusText}` };
+    }
+
+    return { success: true, session: parsed.data.session };
+  } catch (error) {
+    console.error('Error updating session options:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Attach a knowledge base to a chat session, or detach it with null
+export function setSessionKnowledgeBase(sessionId, knowledgeBaseId) {
+  return updateSessionOptions(sessionId, { knowledgeBaseId });
+}
+
+// Update the user's preferences (theme, language, autoTitle, lowBalanceEmails).
+// Resolves with { success: true, user } or { success: false, error }.
+export async function updateUserPreferences(preferences) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/user/profile`, {
+      method: 'PATCH',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ preferences })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to save preferences: ${response.statusText}` };
+    }
+
+    return { success: true, user: parsed.data.user };
+  } catch (error) {
+    console.error('Error saving preferences:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Email a password reset link. The backend answers the same whether or not the account exists.
+// Resolves with { success: true, message } or { success: false, error }.
+export async function requestPasswordReset(email) {
+  try {
+    const response = await fetch(`${API_BASE}/api/auth/forgot-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to request a password reset: ${response.statusText}` };
+    }
+
+    return { success: true, message: parsed.message };
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Set a new password with the token from a reset email. The response signs the user in.
+// Resolves with { success: true, token, user } or { success: false, error }.
+export async function resetPassword(resetToken, password) {
+  try {
+    const response = await fetch(`${API_BASE}/api/auth/reset-password/${encodeURIComponent(resetToken)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to reset the password: ${response.statusText}` };
+    }
+
+    return { success: true, token: parsed.token, refreshToken: parsed.refreshToken, user: parsed.data.user };
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Email the signed-in user a new verification link.
+// Resolves with { success: true, message } or { success: false, error, status }.
+export async function sendVerificationEmail() {
+  try {
+    const response = await authFetch(`${API_BASE}/api/auth/verify-email`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to send the verification email: ${response.statusText}`, status: response.status };
+    }
+
+    return { success: true, message: parsed.message };
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Confirm an email address with the token from a verification email (no sign-in needed).
+// Resolves with { success: true, email, emailVerifiedAt } or { success: false, error }.
+export async function verifyEmail(verificationToken) {
+  try {
+    const response = await fetch(`${API_BASE}/api/auth/verify-email/${encodeURIComponent(verificationToken)}`, {
+      method: 'POST'
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to verify the email address: ${response.statusText}` };
+    }
+
+    return { success: true, email: parsed.data.email, emailVerifiedAt: parsed.data.emailVerifiedAt };
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Two-factor authentication status: { enabled, enabledAt, recoveryCodesRemaining, required }.
+// Resolves with { success: true, twoFactor } or { success: false, error }.
+export async function getTwoFactorStatus() {
+  try {
+    const response = await authFetch(`${API_BASE}/api/auth/2fa`, {
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to load two-factor settings: ${response.statusText}` };
+    }
+
+    return { success: true, twoFactor: parsed.data };
+  } catch (error) {
+    console.error('Error loading two-factor settings:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// POST to one of the /api/auth/2fa endpoints and hand back the parsed body
+async function postTwoFactor(path, body, failureMessage) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/auth/2fa${path}`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(body || {})
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `${failureMessage}: ${response.statusText}` };
+    }
+
+    return { success: true, parsed };
+  } catch (error) {
+    console.error(`${failureMessage}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Start two-factor setup. Resolves with { success: true, secret, otpauthUrl } or { success: false, error }.
+export async function setupTwoFactor() {
+  const result = await postTwoFactor('/setup', null, 'Failed to start two-factor setup');
+  if (!result.success) return result;
+  return { success: true, secret: result.parsed.data.secret, otpauthUrl: result.parsed.data.otpauthUrl };
+}
+
+// Confirm setup with a code from the authenticator app. The response carries new session tokens and the
+// recovery codes. Resolves with { success: true, token, refreshToken, user, recoveryCodes } or { success: false, error }.
+export async function enableTwoFactor(code) {
+  const result = await postTwoFactor('/enable', { code }, 'Failed to turn on two-factor authentication');
+  if (!result.success) return result;
+  const { token, refreshToken, data } = result.parsed;
+  return { success: true, token, refreshToken, user: data.user, recoveryCodes: data.recoveryCodes };
+}
+
+// Turn two-factor authentication off with the password (if the account has one) and a code or recovery code.
+// Resolves with { success: true } or { success: false, error }.
+export async function disableTwoFactor({ password, code, recoveryCode }) {
+  const result = await postTwoFactor('/disable', { password, code, recoveryCode }, 'Failed to turn off two-factor authentication');
+  return result.success ? { success: true } : result;
+}
+
+// Replace the recovery codes. Resolves with { success: true, recoveryCodes } or { success: false, error }.
+export async function regenerateRecoveryCodes(code) {
+  const result = await postTwoFactor('/recovery-codes', { code }, 'Failed to generate recovery codes');
+  if (!result.success) return result;
+  return { success: true, recoveryCodes: result.parsed.data.recoveryCodes };
+}
+
+// Signed-in devices, most recently used first; `current` marks this one.
+// Resolves with { success: true, sessions } or { success: false, error }.
+export async function getSessions() {
+  try {
+    const response = await authFetch(`${API_BASE}/api/auth/sessions`, {
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to load sessions: ${response.statusText}` };
+    }
+
+    return { success: true, sessions: parsed.data.sessions };
+  } catch (error) {
+    console.error('Error loading sessions:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Sign one device out, or every device (this one included) when sessionId is omitted.
+// Resolves with { success: true } or { success: false, error }.
+export async function revokeSession(sessionId) {
+  try {
+    const path = sessionId ? `/api/auth/sessions/${encodeURIComponent(sessionId)}` : '/api/auth/sessions';
+    const response = await authFetch(`${API_BASE}${path}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to sign out: ${response.statusText}` };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error signing out session:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Call one of the /api/organizations endpoints and hand back the parsed body
+async function requestOrganizations(path, { method = 'GET', body } = {}, failureMessage) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/organizations${path}`, {
+      method,
+      headers: getAuthHeaders(),
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, status: response.status, error: parsed?.message || `${failureMessage}: ${response.statusText}` };
+    }
+
+    return { success: true, parsed };
+  } catch (error) {
+    console.error(`${failureMessage}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Workspaces the user belongs to, with their role. Resolves with { success: true, organizations } or { success: false, error }.
+export async function getOrganizations() {
+  const result = await requestOrganizations('', {}, 'Failed to load workspaces');
+  if (!result.success) return result;
+  return { success: true, organizations: result.parsed.data.organizations };
+}
+
+// Resolves with { success: true, organization } or { success: false, error }.
+export async function createOrganization({ name, defaultMonthlyTokenCap }) {
+  const result = await requestOrganizations('', { method: 'POST', body: { name, defaultMonthlyTokenCap } }, 'Failed to create workspace');
+  if (!result.success) return result;
+  return { success: true, organization: result.parsed.data.organization };
+}
+
+// A workspace with its members. Resolves with { success: true, organization, members } or { success: false, status, error }.
+export async function getOrganization(organizationId) {
+  const result = await requestOrganizations(`/${encodeURIComponent(organizationId)}`, {}, 'Failed to load workspace');
+  if (!result.success) return result;
+  return { success: true, organization: result.parsed.data.organization, members: result.parsed.data.members };
+}
+
+// Rename a workspace or change the cap new members get. Resolves with { success: true, organization } or { success: false, error }.
+export async function updateOrganization(organizationId, updates) {
+  const result = await requestOrganizations(`/${encodeURIComponent(organizationId)}`, { method: 'PATCH', body: updates }, 'Failed to update workspace');
+  if (!result.success) return result;
+  return { success: true, organization: result.parsed.data.organization };
+}
+
+// Resolves with { success: true } or { success: false, error }.
+export async function deleteOrganization(organizationId) {
+  const result = await requestOrganizations(`/${encodeURIComponent(organizationId)}`, { method: 'DELETE' }, 'Failed to delete workspace');
+  return result.success ? { success: true } : result;
+}
+
+// Pending invitations (owners and admins). Resolves with { success: true, invitations } or { success: false, error }.
+export async function getOrganizationInvitations(organizationId) {
+  const result = await requestOrganizations(`/${encodeURIComponent(organizationId)}/invitations`, {}, 'Failed to load invitations');
+  if (!result.success) return result;
+  return { success: true, invitations: result.parsed.data.invitations };
+}
+
+// Email an invitation. Resolves with { success: true, invitation, message } or { success: false, error }.
+export async function inviteToOrganization(organizationId, { email, role }) {
+  const result = await requestOrganizations(`/${encodeURIComponent(organizationId)}/invitations`, { method: 'POST', body: { email, role } }, 'Failed to send invitation');
+  if (!result.success) return result;
+  return { success: true, invitation: result.parsed.data.invitation, message: result.parsed.message };
+}
+
+// Resolves with { success: true } or { success: false, error }.
+export async function revokeOrganizationInvitation(organizationId, inviteId) {
+  const result = await requestOrganizations(
+    `/${encodeURIComponent(organizationId)}/invitations/${encodeURIComponent(inviteId)}`,
+    { method: 'DELETE' },
+    'Failed to revoke invitation'
+  );
+  return result.success ? { success: true } : result;
+}
+
+// Change a member's role or monthlyTokenCap (null for no cap). Resolves with { success: true, member } or { success: false, error }.
+export async function updateOrganizationMember(organizationId, userId, updates) {
+  const result = await requestOrganizations(
+    `/${encodeURIComponent(organizationId)}/members/${encodeURIComponent(userId)}`,
+    { method: 'PATCH', body: updates },
+    'Failed to update member'
+  );
+  if (!result.success) return result;
+  return { success: true, member: result.parsed.data.member };
+}
+
+// Remove a member, or leave the workspace with your own id. Resolves with { success: true } or { success: false, error }.
+export async function removeOrganizationMember(organizationId, userId) {
+  const result = await requestOrganizations(
+    `/${encodeURIComponent(organizationId)}/members/${encodeURIComponent(userId)}`,
+    { method: 'DELETE' },
+    'Failed to remove member'
+  );
+  return result.success ? { success: true } : result;
+}
+
+// Who invited whom to which workspace (no sign-in needed). Resolves with { success: true, invitation } or { success: false, error }.
+export async function getOrganizationInvitation(inviteToken) {
+  const result = await requestOrganizations(`/invitations/${encodeURIComponent(inviteToken)}`, {}, 'Failed to load invitation');
+  if (!result.success) return result;
+  return { success: true, invitation: result.parsed.data.invitation };
+}
+
+// Resolves with { success: true, organization } or { success: false, status, error }.
+export async function acceptOrganizationInvitation(inviteToken) {
+  const result = await requestOrganizations(`/invitations/${encodeURIComponent(inviteToken)}/accept`, { method: 'POST' }, 'Failed to accept invitation');
+  if (!result.success) return result;
+  return { success: true, organization: result.parsed.data.organization };
+}
+
+// Call one of the /api/plans/subscription endpoints (and POST /api/plans/:id/subscribe) and hand back the parsed body
+async function requestSubscription(path, { method = 'GET', body } = {}, failureMessage) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/plans${path}`, {
+      method,
+      headers: getAuthHeaders(),
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, status: response.status, error: parsed?.message || `${failureMessage}: ${response.statusText}` };
+    }
+
+    return { success: true, parsed };
+  } catch (error) {
+    console.error(`${failureMessage}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+// The user's monthly subscription, or null. Resolves with { success: true, subscription } or { success: false, error }.
+export async function getSubscription() {
+  const result = await requestSubscription('/subscription', {}, 'Failed to load subscription');
+  if (!result.success) return result;
+  return { success: true, subscription: result.parsed.data.subscription };
+}
+
+// Start a subscription to a recurring plan; open Razorpay Checkout with the returned subscriptionId.
+// Resolves with { success: true, subscriptionId, razorpayKey, shortUrl } or { success: false, status, error }.
+export async function subscribeToPlan(planId) {
+  const result = await requestSubscription(`/${encodeURIComponent(planId)}/subscribe`, { method: 'POST' }, 'Failed to start subscription');
+  if (!result.success) return result;
+  return { success: true, ...result.parsed.data };
+}
+
+// Confirm the Checkout response for a subscription's first payment.
+// Resolves with { success: true, message, tokensAdded, tokens, subscription } or { success: false, error }.
+export async function verifySubscription(checkoutResponse) {
+  const result = await requestSubscription('/subscription/verify', { method: 'POST', body: checkoutResponse }, 'Failed to verify subscription');
+  if (!result.success) return result;
+  return { success: true, message: result.parsed.message, ...result.parsed.data };
+}
+
+// What switching to another plan costs now and when it applies. Resolves with { success: true, quote } or { success: false, error }.
+export async function getSubscriptionQuote(planId) {
+  const result = await requestSubscription(`/subscription/quote/${encodeURIComponent(planId)}`, {}, 'Failed to price plan change');
+  if (!result.success) return result;
+  return { success: true, quote: result.parsed.data.quote };
+}
+
+// Resolves with { success: true, message, subscription } or { success: false, error }.
+export async function changeSubscriptionPlan(planId) {
+  const result = await requestSubscription('/subscription/change', { method: 'POST', body: { planId } }, 'Failed to change plan');
+  if (!result.success) return result;
+  return { success: true, message: result.parsed.message, subscription: result.parsed.data.subscription };
+}
+
+// Cancels at the end of the paid period unless atPeriodEnd is false.
+// Resolves with { success: true, message, subscription } or { success: false, error }.
+export async function cancelSubscription({ atPeriodEnd = true } = {}) {
+  const result = await requestSubscription('/subscription/cancel', { method: 'POST', body: { atPeriodEnd } }, 'Failed to cancel subscription');
+  if (!result.success) return result;
+  return { success: true, message: result.parsed.message, subscription: result.parsed.data.subscription };
+}
+
+// Resolves with { success: true, message, subscription } or { success: false, error }.
+export async function pauseSubscription() {
+  const result = await requestSubscription('/subscription/pause', { method: 'POST' }, 'Failed to pause subscription');
+  if (!result.success) return result;
+  return { success: true, message: result.parsed.message, subscription: result.parsed.data.subscription };
+}
+
+// Resolves with { success: true, message, subscription } or { success: false, error }.
+export async function resumeSubscription() {
+  const result = await requestSubscription('/subscription/resume', { method: 'POST' }, 'Failed to resume subscription');
+  if (!result.success) return result;
+  return { success: true, message: result.parsed.message, subscription: result.parsed.data.subscription };
+}
+
+// Saved prompts: the user's own, those shared with them and the current workspace's library.
+// Resolves with { success: true, prompts } or { success: false, error }.
+export async function getPrompts() {
+  try {
+    const response = await authFetch(`${API_BASE}/api/user/prompts`, {
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to load prompts: ${response.statusText}` };
+    }
+
+    return { success: true, prompts: parsed.data.prompts };
+  } catch (error) {
+    console.error('Error loading prompts:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Save a prompt ({ name, content, description, defaults, options }) to the library
+export async function createPrompt(prompt) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/user/prompts`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(prompt)
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to save prompt: ${response.statusText}` };
+    }
+
+    return { success: true, prompt: parsed.data.prompt };
+  } catch (error) {
+    console.error('Error saving prompt:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+export async function deletePrompt(promptId) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/user/prompts/${promptId}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to delete prompt: ${response.statusText}` };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting prompt:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Share a prompt with teammates by email; replaces who it is shared with ([] stops sharing)
+export async function sharePrompt(promptId, emails) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/user/prompts/${promptId}/share`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ emails })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to share prompt: ${response.statusText}` };
+    }
+
+    return { success: true, prompt: parsed.data.prompt };
+  } catch (error) {
+    console.error('Error sharing prompt:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// A library prompt with its variables filled in. Resolves with { success: true, content, missing }.
+export async function renderPrompt(promptId, variables = {}) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/user/prompts/${promptId}/render`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ variables })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to render prompt: ${response.statusText}` };
+    }
+
+    return { success: true, content: parsed.data.content, missing: parsed.data.missing };
+  } catch (error) {
+    console.error('Error rendering prompt:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Pin a message so it is always sent with the conversation history (or unpin it)
+export async function pinChatMessage(messageId, pinned) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/messages/${messageId}`, {
+      method: 'PATCH',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ pinned })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to update message: ${response.statusText}` };
+    }
+
+    return { success: true, pinned: parsed.data.message.pinned };
+  } catch (error) {
+    console.error('Error pinning message:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Ask an answer's model again; the earlier answer is kept as another version
+export async function regenerateChatMessage(messageId, options = {}) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/messages/${messageId}/regenerate`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ options })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to regenerate: ${response.statusText}` };
+    }
+
+    return { success: true, data: parsed.data };
+  } catch (error) {
+    console.error('Error regenerating message:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Show the branch through a message (another edit of a question or version of an answer)
+export async function activateChatMessage(messageId) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/messages/${messageId}/activate`, {
+      method: 'POST',
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to switch branch: ${response.statusText}` };
+    }
+
+    return { success: true, activeMessageId: parsed.data.session.activeMessageId };
+  } catch (error) {
+    console.error('Error switching branch:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Rate an answer. rating: { thumbs: 'up' | 'down' | null, score: 1-5 | null }; null clears either.
+// Resolves with { success: true, rating } or { success: false, error }.
+export async function rateChatMessage(messageId, rating) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/messages/${messageId}/rating`, {
+      method: 'PUT',
+      headers: getAuthHeaders(),
+      body: JSON.stringify(rating)
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to rate answer: ${response.statusText}` };
+    }
+
+    return { success: true, rating: parsed.data.message.rating };
+  } catch (error) {
+    console.error('Error rating message:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Vote for the best answer of a comparison (winnerMessageId null for a tie). The vote names the models,
+// so blind comparisons can be revealed. Resolves with { success: true, vote } or { success: false, error }.
+export async function voteOnComparison(comparisonId, winnerMessageId, blind = false) {
+  try {
+    const response = await authFetch(`${API_BASE}/api/chat/comparisons/${comparisonId}/vote`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body: JSON.stringify({ winnerMessageId, blind })
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to record vote: ${response.statusText}` };
+    }
+
+    return { success: true, vote: parsed.data.vote };
+  } catch (error) {
+    console.error('Error voting on comparison:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Per-model leaderboard from the user's votes and ratings. filters: { blind, from, to }.
+// Resolves with { success: true, totalVotes, models } or { success: false, error }.
+export async function getModelLeaderboard(filters = {}) {
+  try {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '' && value !== false) params.set(key, value);
+    });
+
+    const response = await authFetch(`${API_BASE}/api/chat/stats/models${params.toString() ? `?${params}` : ''}`, {
+      headers: getAuthHeaders()
+    });
+
+    const parsed = await safeParseResponse(response);
+    if (!response.ok || parsed.__nonJson) {
+      return { success: false, error: parsed?.message || `Failed to load leaderboard: ${response.statusText}` };
+    }
+
+    const { totalVotes, models } = parsed.data;
+    return { success: true, totalVotes, models };
+  } catch (error) {
+    console.error('Error loading model leaderboard:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 export const authAPI = {
   isLoggedIn: () => !!getAuthToken()
 };
@@ -637,7 +2104,7 @@ export const authAPI = {
 // Enhanced chat management functions
 export async function updateChatSession(sessionId, updates) {
   try {
-    const response = await fetch(`${API_BASE}/api/chat/sessions`, {
+    const response = await authFetch(`${API_BASE}/api/chat/sessions`, {
       method: 'PUT',
       headers: getAuthHeaders(),
       body: JSON.stringify({
@@ -663,7 +2130,7 @@ export async function getChatMessages(sessionId, limit = 50) {
     params.append('sessionId', sessionId);
     params.append('limit', limit.toString());
     
-    const response = await fetch(`${API_BASE}/api/chat/messages?${params}`, {
+    const response = await authFetch(`${API_BASE}/api/chat/messages?${params}`, {
       method: 'GET',
       headers: getAuthHeaders()
     });
@@ -692,7 +2159,7 @@ export async function getChatMessages(sessionId, limit = 50) {
 
 export async function sendChatMessageNew(sessionId, content, models, userId = null, attachments = []) {
   try {
-    const response = await fetch(`${API_BASE}/api/chat/messages`, {
+    const response = await authFetch(`${API_BASE}/api/chat/messages`, {
       method: 'POST',
       headers: getAuthHeaders(),
       body: JSON.stringify({
@@ -717,7 +2184,7 @@ export async function sendChatMessageNew(sessionId, content, models, userId = nu
 
 export async function deleteChatSession(sessionId) {
   try {
-    const response = await fetch(`${API_BASE}/api/chat/sessions/${sessionId}`, {
+    const response = await authFetch(`${API_BASE}/api/chat/sessions/${sessionId}`, {
       method: 'DELETE',
       headers: getAuthHeaders()
     });
@@ -82,35 +82,6 @@ export class OpenRouterAPI {
       }))
       .sort((a, b) => a.name.localeCompare(b.name));
   }
-
-  async createChatCompletion(model, messages, options = {}) {
-    try {
-      const response = await fetch(`${this.baseURL}/chat/completions`, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({
-          model: model,
-          messages: messages,
-          stream: options.stream || false,
-          max_tokens: options.max_tokens || 1000,
-          temperature: options.temperature || 0.7,
-          top_p: options.top_p || 1,
-          ...options
-        })
-      });
-
-      if (!response.ok) {
-        const parsedErr = await safeParseResponseServer(response);
-        const errMsg = parsedErr.__nonJson ? parsedErr.text : (parsedErr.error?.message || JSON.stringify(parsedErr));
-        throw new Error(`OpenRouter chat error: ${errMsg || response.statusText}`);
-      }
-
-      return response;
-    } catch (error) {
-      console.error('OpenRouter chat error:', error);
-      throw error;
-    }
-  }
 }
 
 // Hugging Face API utilities
@@ -193,41 +164,6 @@ export class HuggingFaceAPI {
       }))
       .sort((a, b) => (b.metadata.downloads || 0) - (a.metadata.downloads || 0)); // Sort by popularity
   }
-
-  async createTextGeneration(model, inputs, options = {}) {
-    try {
-      const response = await fetch(`${this.inferenceURL}/models/${model}`, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({
-          inputs: inputs,
-          parameters: {
-            max_new_tokens: options.max_tokens || 500,
-            temperature: options.temperature || 0.7,
-            top_p: options.top_p || 0.9,
-            do_sample: true,
-            return_full_text: false,
-            ...options.parameters
-          },
-          options: {
-            wait_for_model: true,
-            use_cache: false
-          }
-        })
-      });
-
-      if (!response.ok) {
-        const parsedErr = await safeParseResponseServer(response);
-        const errText = parsedErr.__nonJson ? parsedErr.text : JSON.stringify(parsedErr);
-        throw new Error(`HuggingFace inference error: ${errText}`);
-      }
-
-      return safeParseResponseServer(response);
-    } catch (error) {
-      console.error('HuggingFace generation error:', error);
-      throw error;
-    }
-  }
 }
 
 // Rate limiting utilities
@@ -0,0 +1,315 @@
+// Minimal QR code encoder (ISO/IEC 18004): byte mode, error correction level M, versions 1-10 (up to 213
+// bytes), which is plenty for otpauth:// URIs. Returns the module matrix as rows of booleans (true = dark),
+// without the quiet zone.
+
+const MAX_VERSION = 10;
+// Indexed by version (index 0 unused), level M
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const LEVEL_M_FORMAT_BITS = 0;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules available for data and error correction once the function patterns are placed
+const getNumRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const getNumDataCodewords = version => Math.floor(getNumRawDataModules(version) / 8)
+  - ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+
+const getAlignmentPositions = (version) => {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = size - 7; positions.length < numAlign; pos -= step) positions.splice(1, 0, pos);
+  return positions;
+};
+
+// Reed-Solomon over GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree - 1).fill(0).concat([1]);
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+// Split the data into blocks, append each block's error correction and interleave them
+const addEccAndInterleave = (data, version) => {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(blockEccLen);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i += 1) {
+    const blockData = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += blockData.length;
+    const ecc = reedSolomonRemainder(blockData, divisor);
+    if (i < numShortBlocks) blockData.push(0);
+    blocks.push(blockData.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, j) => {
+      // Short blocks were padded by one byte to line up; skip it
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+// Byte-mode segment, terminator and padding, as codewords
+const encodeData = (bytes, version) => {
+  const capacityBits = getNumDataCodewords(version) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) bits.push(getBit(value, i) ? 1 : 0);
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  x => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.drawFunctionPatterns();
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i += 1) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy += 1) {
+        for (let dx = -4; dx <= 4; dx += 1) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+
+    const positions = getAlignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+      // Not on top of the finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }));
+
+    // Reserve the format areas now; drawFormatBits fills them in once the mask is known
+    this.drawFormatBits(0);
+    this.drawVersionBits();
+  }
+
+  drawFormatBits(mask) {
+    const { size } = this;
+    const data = (LEVEL_M_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i += 1) this.setFunctionModule(8, i, getBit(bits, i));
+    this.setFunctionModule(8, 7, getBit(bits, 6));
+    this.setFunctionModule(8, 8, getBit(bits, 7));
+    this.setFunctionModule(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i += 1) this.setFunctionModule(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i += 1) this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i += 1) this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+    this.setFunctionModule(8, size - 8, true);
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) return;
+    let remainder = this.version;
+    for (let i = 0; i < 12; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (this.version << 12) | remainder;
+    for (let i = 0; i < 18; i += 1) {
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, getBit(bits, i));
+      this.setFunctionModule(b, a, getBit(bits, i));
+    }
+  }
+
+  // Codeword bits in the zigzag order, two columns at a time from the bottom right
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert += 1) {
+        for (let j = 0; j < 2; j += 1) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i += 1;
+          }
+        }
+      }
+    }
+  }
+
+  // Applying a mask twice undoes it
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y += 1) {
+      for (let x = 0; x < this.size; x += 1) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  // Penalty score of the current modules (lower scans more reliably)
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const lines = [
+      ...modules,
+      ...modules.map((_, x) => modules.map(row => row[x]))
+    ];
+
+    lines.forEach((line) => {
+      // Runs of five or more modules of one colour
+      let run = 1;
+      for (let i = 1; i <= size; i += 1) {
+        if (i < size && line[i] === line[i - 1]) {
+          run += 1;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      // Patterns that look like a finder: dark-light-dark-dark-dark-light-dark next to four light modules
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      score += 40 * ((text.match(/(?=10111010000)/g) || []).length + (text.match(/(?=00001011101)/g) || []).length);
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (modules[y][x]) dark += 1;
+        // 2x2 blocks of one colour
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+        }
+      }
+    }
+    // Balance of dark and light modules
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+export const encodeQrCode = (text) => {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  while (version <= MAX_VERSION && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > getNumDataCodewords(version) * 8) {
+    version += 1;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+  }
+
+  const matrix = new QrMatrix(version);
+  matrix.drawCodewords(addEccAndInterleave(encodeData(bytes, version), version));
+
+  // Keep the mask with the lowest penalty
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  MASKS.forEach((_, mask) => {
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const score = matrix.penalty();
+    if (score < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = score;
+    }
+    matrix.applyMask(mask);
+  });
+  matrix.applyMask(bestMask);
+  matrix.drawFormatBits(bestMask);
+
+  return matrix.modules;
+};
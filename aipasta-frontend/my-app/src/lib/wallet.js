@@ -116,8 +116,9 @@ export const tokensToCurrency = (tokens) => {
 // Calculate text cost (returns both currency and token estimates)
 export const calculateTextCost = (model, inputText, estimatedOutputTokens = 100) => {
   const inputTokens = calculateTokenCount(inputText);
-  const inputCostUsd = (inputTokens * (model.pricing.input || 0)) / 1000;
-  const outputCostUsd = (estimatedOutputTokens * (model.pricing.output || 0)) / 1000;
+  // Model pricing is USD per token
+  const inputCostUsd = inputTokens * (model.pricing.input || 0);
+  const outputCostUsd = estimatedOutputTokens * (model.pricing.output || 0);
   const totalCostUsd = inputCostUsd + outputCostUsd;
   const totalCostTokens = currencyToTokens(totalCostUsd);
 
@@ -133,8 +134,8 @@ export const calculateTextCost = (model, inputText, estimatedOutputTokens = 100)
 
 // Calculate actual cost after response completion with real token counts
 export const calculateActualTextCost = (model, inputTokens, outputTokens) => {
-  const inputCostUsd = (inputTokens * (model.pricing.input || 0)) / 1000;
-  const outputCostUsd = (outputTokens * (model.pricing.output || 0)) / 1000;
+  const inputCostUsd = inputTokens * (model.pricing.input || 0);
+  const outputCostUsd = outputTokens * (model.pricing.output || 0);
   const totalCostUsd = inputCostUsd + outputCostUsd;
   const totalCostTokens = currencyToTokens(totalCostUsd);
 
@@ -1,23 +1,9 @@
-// API endpoint for streaming chat responses from multiple AI models
-import { OpenRouterAPI, HuggingFaceAPI, rateLimiter } from '../../lib/api-providers';
+// API endpoint for chat completions from any AI model.
+// Provider routing and billing live in the backend (services/providerRegistry.js); this route relays
+// OpenAI-format requests to its /v1/chat/completions gateway with the caller's credentials.
+import { rateLimiter } from '../../lib/api-providers';
 
-// Local helper: safely parse a fetch Response (server-side) to avoid throwing on HTML/error pages
-async function safeParseResponseServer(response) {
-  try {
-    const text = await response.text();
-    const contentType = response.headers.get('content-type') || '';
-    if (contentType.toLowerCase().includes('application/json')) {
-      try { return JSON.parse(text); } catch (e) { return { __nonJson: true, text }; }
-    }
-    const trimmed = (text || '').trim();
-    if (trimmed.startsWith('<!DOCTYPE') || trimmed.toLowerCase().startsWith('<html') || trimmed.startsWith('<div')) {
-      return { __nonJson: true, html: true, text };
-    }
-    try { return JSON.parse(text); } catch (e) { return { __nonJson: true, text }; }
-  } catch (err) {
-    return { __nonJson: true, text: String(err) };
-  }
-}
+const API_BASE = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000';
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -28,8 +14,8 @@ export default async function handler(req, res) {
   // Rate limiting
   const clientIp = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
   if (!rateLimiter.isAllowed(clientIp)) {
-    return res.status(429).json({ 
-      error: 'Too many requests', 
+    return res.status(429).json({
+      error: 'Too many requests',
       retryAfter: 60,
       remaining: rateLimiter.getRemainingRequests(clientIp)
     });
@@ -40,216 +26,55 @@ export default async function handler(req, res) {
 
     // Validate required fields
     if (!model || !messages || !Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: model and messages are required' 
+      return res.status(400).json({
+        error: 'Missing required fields: model and messages are required'
       });
     }
 
-    // Determine provider and route request
-    if (model.includes('/') || model.startsWith('openrouter:')) {
-      return await handleOpenRouterRequest(req, res, model, messages, stream, options);
-    } else {
-      return await handleHuggingFaceRequest(req, res, model, messages, stream, options);
-    }
-
-  } catch (error) {
-    console.error('Chat API error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      details: error.message 
-    });
-  }
-}
+    const headers = { 'Content-Type': 'application/json' };
+    if (req.headers.authorization) headers.Authorization = req.headers.authorization;
+    if (req.headers['x-api-key']) headers['X-API-Key'] = req.headers['x-api-key'];
 
-async function handleOpenRouterRequest(req, res, model, messages, stream, options) {
-  const api = new OpenRouterAPI(process.env.OPENROUTER_API_KEY);
-  
-  try {
-    // Clean model ID (remove openrouter: prefix if present)
-    const cleanModelId = model.replace('openrouter:', '');
-    
-    const response = await api.createChatCompletion(cleanModelId, messages, {
-      ...options,
-      stream
+    const response = await fetch(new URL('/v1/chat/completions', API_BASE).toString(), {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        ...options,
+        // Older clients prefixed OpenRouter ids with "openrouter:"
+        model: model.replace(/^openrouter:/, ''),
+        messages,
+        stream
+      })
     });
 
-    if (stream) {
-      // Set headers for streaming response
+    if (stream && response.ok) {
       res.writeHead(200, {
-        'Content-Type': 'text/plain; charset=utf-8',
+        'Content-Type': 'text/event-stream; charset=utf-8',
         'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Cache-Control'
+        'Connection': 'keep-alive'
       });
 
-      // Create readable stream and pipe to response
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-
       try {
-        while (true) {
-          const { done, value } = await reader.read();
-          
-          if (done) {
-            res.write('data: [DONE]\n\n');
-            break;
-          }
-          
-          const chunk = decoder.decode(value, { stream: true });
-          const lines = chunk.split('\n');
-          
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              res.write(line + '\n\n');
-            }
-          }
+        for await (const chunk of response.body) {
+          res.write(chunk);
         }
       } catch (streamError) {
         console.error('Streaming error:', streamError);
-        res.write(`data: {"error": "${streamError.message}"}\n\n`);
+        res.write(`data: ${JSON.stringify({ error: streamError.message })}\n\n`);
       } finally {
         res.end();
       }
-    } else {
-      // Non-streaming response
-      const data = await safeParseResponseServer(response);
-      
-      // Calculate token usage and cost
-      const usage = data.usage || {};
-      const modelPricing = await getModelPricing(cleanModelId);
-      const cost = calculateCost(usage, modelPricing);
-      
-      res.status(200).json({
-        ...data,
-        cost,
-        provider: 'OpenRouter',
-        model: cleanModelId
-      });
+      return;
     }
-    
-  } catch (error) {
-    console.error('OpenRouter request error:', error);
-    res.status(500).json({ 
-      error: 'OpenRouter API error',
-      details: error.message 
-    });
-  }
-}
 
-async function handleHuggingFaceRequest(req, res, model, messages, stream, options) {
-  const api = new HuggingFaceAPI(process.env.HUGGINGFACE_API_KEY);
-  
-  try {
-    // Convert messages to single prompt for HuggingFace
-    const prompt = messages
-      .map(msg => `${msg.role === 'user' ? 'Human' : 'Assistant'}: ${msg.content}`)
-      .join('\n') + '\nAssistant:';
-    
-    if (stream) {
-      // HuggingFace doesn't support streaming, so we'll simulate it
-      res.writeHead(200, {
-        'Content-Type': 'text/plain; charset=utf-8',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Cache-Control'
-      });
+    const data = await response.json().catch(() => ({ error: { message: response.statusText } }));
+    res.status(response.status).json(data);
 
-      const result = await api.createTextGeneration(model, prompt, options);
-      const text = Array.isArray(result) ? result[0]?.generated_text || '' : result.generated_text || '';
-      
-      // Simulate streaming by sending chunks
-      const chunks = text.split(' ');
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i] + (i < chunks.length - 1 ? ' ' : '');
-        const delta = {
-          id: `hf-${Date.now()}`,
-          object: 'chat.completion.chunk',
-          created: Math.floor(Date.now() / 1000),
-          model: model,
-          choices: [{
-            index: 0,
-            delta: { content: chunk },
-            finish_reason: i === chunks.length - 1 ? 'stop' : null
-          }]
-        };
-        
-        res.write(`data: ${JSON.stringify(delta)}\n\n`);
-        
-        // Add small delay to simulate streaming
-        await new Promise(resolve => setTimeout(resolve, 50));
-      }
-      
-      res.write('data: [DONE]\n\n');
-      res.end();
-      
-    } else {
-      // Non-streaming response
-      const result = await api.createTextGeneration(model, prompt, options);
-      const text = Array.isArray(result) ? result[0]?.generated_text || '' : result.generated_text || '';
-      
-      // Clean up the response (remove the prompt part)
-      const cleanText = text.replace(prompt, '').trim();
-      
-      const response = {
-        id: `hf-${Date.now()}`,
-        object: 'chat.completion',
-        created: Math.floor(Date.now() / 1000),
-        model: model,
-        provider: 'Hugging Face',
-        choices: [{
-          index: 0,
-          message: {
-            role: 'assistant',
-            content: cleanText
-          },
-          finish_reason: 'stop'
-        }],
-        usage: {
-          prompt_tokens: Math.ceil(prompt.length / 4),
-          completion_tokens: Math.ceil(cleanText.length / 4),
-          total_tokens: Math.ceil((prompt.length + cleanText.length) / 4)
-        },
-        cost: 0 // HuggingFace is free
-      };
-      
-      res.status(200).json(response);
-    }
-    
   } catch (error) {
-    console.error('HuggingFace request error:', error);
-    res.status(500).json({ 
-      error: 'HuggingFace API error',
-      details: error.message 
+    console.error('Chat API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      details: error.message
     });
   }
 }
-
-// Helper function to get model pricing
-async function getModelPricing(modelId) {
-  // This would ideally come from the cached models data
-  // For now, return default pricing structure
-  return {
-    input: 0.001,
-    output: 0.002,
-    image: 0.005
-  };
-}
-
-// Helper function to calculate cost
-function calculateCost(usage, pricing) {
-  const inputTokens = usage.prompt_tokens || 0;
-  const outputTokens = usage.completion_tokens || 0;
-  
-  const inputCost = (inputTokens * pricing.input) / 1000;
-  const outputCost = (outputTokens * pricing.output) / 1000;
-  
-  return {
-    inputTokens,
-    outputTokens,
-    inputCost,
-    outputCost,
-    totalCost: inputCost + outputCost
-  };
-}
\ No newline at end of file
@@ -2,8 +2,8 @@ import { useState, useRef, useEffect, useMemo, useCallback, lazy, Suspense } fro
 import Head from 'next/head';
 import { useRouter } from 'next/router';
 import { useAuth } from '../contexts/AuthContext';
-import { AuthModal, UserCreditsDisplay, MultiResponseContainer, ModelSelectionModal, SimpleUploadButton, PlaceholdersAndVanishInput } from '../features';
-import { ToastProvider, useToast, Sidebar, SidebarBody, SidebarLink, SidebarProvider, SidebarFooter } from '../shared';
+import { AuthModal, UserCreditsDisplay, MultiResponseContainer, ModelSelectionModal, SimpleUploadButton, MultimodalInput, KnowledgeBaseSelector, SystemPromptPicker, ChatSearch, ChatTransfer, ShareDialog, PlaceholdersAndVanishInput } from '../features';
+import { ToastProvider, useToast, Sidebar, SidebarBody, SidebarLink, SidebarProvider, SidebarFooter, SidebarHistory, WorkspaceSwitcher } from '../shared';
 import ThemeToggle from '../components/ui/working-theme-toggle';
 import PremiumChatMessage from '../components/chat/PremiumChatMessage';
 
@@ -11,14 +11,37 @@ import PremiumChatMessage from '../components/chat/PremiumChatMessage';
 const SettingsModal = lazy(() => import('../shared/components/SettingsModal'));
 const PlansModal = lazy(() => import('../shared/components/PlansModal'));
 import { SlideUp, FadeIn, StaggerContainer, StaggerItem, PremiumButton, SkeletonLoader } from '../components/animations';
-import { IconBrain, IconRobot, IconSend, IconSettings, IconChevronDown, IconPhoto, IconMusic, IconCurrency, IconEye, IconVideo, IconFile, IconAlertTriangle, IconChevronUp, IconPinned, IconPin, IconTrash, IconLogout, IconMenu2, IconSun, IconMoon } from '@tabler/icons-react';
+import { IconBrain, IconRobot, IconSend, IconSettings, IconChevronDown, IconPhoto, IconMusic, IconCurrency, IconEye, IconVideo, IconFile, IconAlertTriangle, IconChevronUp, IconPinned, IconPin, IconLogout, IconMenu2, IconSun, IconMoon, IconTransfer } from '@tabler/icons-react';
 import { useStreamingResponses, streamModelResponse } from '../hooks/useStreamingResponses';
-import { getChatSessions, createChatSession, getChatSession, sendChatMessage, deleteChatSession, checkBackendHealth, retryBackendConnection, clearChatSessionsCache } from '../lib/api-client';
+import { getChatSessions, createChatSession, getChatSession, sendChatMessage, deleteChatSessions, updateChatSessions, getChatFolders, saveChatFolder, deleteChatFolder, checkBackendHealth, retryBackendConnection, clearChatSessionsCache, streamModelComparison, uploadAttachments, getSessionDocuments, removeSessionDocument, getKnowledgeBases, createKnowledgeBase, setSessionKnowledgeBase, pinChatMessage, regenerateChatMessage, activateChatMessage, streamChatMessage, updateSessionOptions, getPrompts, createPrompt, deletePrompt, sharePrompt, renderPrompt, getActiveWorkspaceId } from '../lib/api-client';
 import { AI_MODELS, AI_CHAT_PLACEHOLDERS } from '../constants/models';
-import { calculateTokensNeeded, hasSufficientTokens, getTokenRequirements } from '../utils/tokens';
+import { calculateTokensNeeded, hasSufficientTokens, getTokenRequirements, fetchTokenQuote } from '../utils/tokens';
+
+// Convert backend messages (the session's current branch) to frontend format, oldest first
+const formatSessionMessages = (messages) => messages
+  .map(msg => ({
+    id: msg._id || msg.id,
+    content: msg.content,
+    isUser: msg.role === 'user',
+    timestamp: msg.createdAt || msg.timestamp,
+    model: msg.role !== 'user' && msg.model ? {
+      name: msg.model.name || 'AI Assistant',
+      provider: msg.model.provider || 'Unknown'
+    } : undefined,
+    citations: msg.citations,
+    pinned: msg.pinned,
+    parentMessageId: msg.parentMessageId,
+    branch: msg.branch,
+    comparisonId: msg.comparisonId,
+    rating: msg.role === 'assistant' ? msg.rating : undefined
+  }))
+  .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+// The user's votes on a session's comparisons, by comparisonId
+const toVoteMap = (votes = []) => Object.fromEntries(votes.map(vote => [vote.comparisonId, vote]));
 
 // Enhanced chat message component with premium animations
-const ChatMessage = ({ message, isUser, streamingResponses, hasActiveResponses, delay = 0 }) => {
+const ChatMessage = ({ message, isUser, streamingResponses, hasActiveResponses, delay = 0, onTogglePin, onEdit, onRegenerate, onSwitchBranch }) => {
   return (
     <PremiumChatMessage
       message={message}
@@ -26,6 +49,10 @@ const ChatMessage = ({ message, isUser, streamingResponses, hasActiveResponses,
       streamingResponses={streamingResponses}
       hasActiveResponses={hasActiveResponses}
       delay={delay}
+      onTogglePin={onTogglePin}
+      onEdit={onEdit}
+      onRegenerate={onRegenerate}
+      onSwitchBranch={onSwitchBranch}
     />
   );
 };
@@ -48,23 +75,268 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
   const [tokensUsed, setTokensUsed] = useState(0);
   const [tokenBreakdown, setTokenBreakdown] = useState({ input: 0, output: 0 });
 
-  // Helper to derive a coarse token cost per model and memoized total for UI
-  const getModelTokenCost = (model) => {
-    if (!model) return 10; // unknown model -> conservative cost
-    const pricing = model.pricing || {};
-    const hasPricing = typeof pricing.input !== 'undefined' || typeof pricing.output !== 'undefined' || typeof pricing.image !== 'undefined';
-    if (hasPricing) {
-      const input = typeof pricing.input === 'number' ? pricing.input : 0;
-      const output = typeof pricing.output === 'number' ? pricing.output : 0;
-      if (input === 0 && output === 0) return 1;
-      return 10;
+  // Documents in the current session's context; their passages are billed with every message
+  const [sessionDocuments, setSessionDocuments] = useState([]);
+  const documentTokens = useMemo(() => sessionDocuments
+    .filter(document => document.status === 'ready')
+    .reduce((total, document) => total + document.tokens, 0), [sessionDocuments]);
+
+  // Reload after each send too, since documents attached to a message join the session
+  useEffect(() => {
+    if (!currentSessionId) {
+      setSessionDocuments([]);
+      return;
+    }
+    if (isSubmitting) return;
+
+    let cancelled = false;
+    getSessionDocuments(currentSessionId).then(result => {
+      if (!cancelled && result.success) setSessionDocuments(result.documents);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentSessionId, isSubmitting]);
+
+  // Knowledge base the chat answers from; kept for a new chat until its session is created
+  const [knowledgeBases, setKnowledgeBases] = useState([]);
+  const [knowledgeBaseId, setKnowledgeBaseId] = useState(null);
+
+  useEffect(() => {
+    getKnowledgeBases().then(result => {
+      if (result.success) setKnowledgeBases(result.knowledgeBases);
+    });
+  }, []);
+
+  // System prompt and default options of the chat; for a new chat they are sent when its session is created
+  const [prompts, setPrompts] = useState([]);
+  const [systemPrompt, setSystemPrompt] = useState(null);
+  const [sessionSettings, setSessionSettings] = useState({});
+  const [pendingSessionOptions, setPendingSessionOptions] = useState({});
+
+  useEffect(() => {
+    getPrompts().then(result => {
+      if (result.success) setPrompts(result.prompts);
+    });
+  }, []);
+
+  const handleApplySystemPrompt = async (updates) => {
+    if (currentSessionId) {
+      const result = await updateSessionOptions(currentSessionId, updates);
+      if (!result.success) {
+        toast.error(result.error);
+        return false;
+      }
+      setSystemPrompt(result.session.systemPrompt?.content ? result.session.systemPrompt : null);
+      setSessionSettings(result.session.settings || {});
+      return true;
+    }
+
+    // No session yet: check the variables now so the first message does not fail
+    let content = updates.systemPrompt;
+    if (updates.promptId) {
+      const rendered = await renderPrompt(updates.promptId, updates.variables);
+      if (!rendered.success || rendered.missing.length > 0) {
+        toast.error(rendered.error || `Fill in the prompt's variables: ${rendered.missing.join(', ')}`);
+        return false;
+      }
+      content = rendered.content;
+    }
+    if (content !== undefined) setSystemPrompt(content ? { content, promptId: updates.promptId } : null);
+    setSessionSettings(updates.settings || {});
+    setPendingSessionOptions(prev => {
+      // A newly chosen prompt replaces the earlier one, whether it was typed or from the library
+      const base = { ...prev };
+      if ('promptId' in updates || 'systemPrompt' in updates) {
+        ['promptId', 'variables', 'systemPrompt'].forEach(key => delete base[key]);
+      }
+      return { ...base, ...updates };
+    });
+    return true;
+  };
+
+  const handleSavePrompt = async (prompt) => {
+    const result = await createPrompt(prompt);
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
+    }
+    setPrompts(prev => [result.prompt, ...prev]);
+    toast.success(`Saved "${result.prompt.name}" to your prompts`);
+    return true;
+  };
+
+  const handleDeletePrompt = async (promptId) => {
+    const result = await deletePrompt(promptId);
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
+    }
+    setPrompts(prev => prev.filter(prompt => prompt._id !== promptId));
+    return true;
+  };
+
+  const handleSharePrompt = async (promptId, emails) => {
+    const result = await sharePrompt(promptId, emails);
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
+    }
+    setPrompts(prev => prev.map(prompt => (prompt._id === promptId ? result.prompt : prompt)));
+    toast.success(emails.length > 0 ? `Shared with ${emails.length} teammate${emails.length === 1 ? '' : 's'}` : 'Prompt is no longer shared');
+    return true;
+  };
+
+  const handleSelectKnowledgeBase = async (id) => {
+    if (currentSessionId) {
+      const result = await setSessionKnowledgeBase(currentSessionId, id);
+      if (!result.success) {
+        toast.error(result.error);
+        return;
+      }
+    }
+    setKnowledgeBaseId(id);
+  };
+
+  const handleCreateKnowledgeBase = async (name, attachmentIds) => {
+    const result = await createKnowledgeBase({ name, attachmentIds });
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
+    }
+    setKnowledgeBases(prev => [result.knowledgeBase, ...prev]);
+    if (result.knowledgeBase.status === 'ready') {
+      await handleSelectKnowledgeBase(result.knowledgeBase._id);
+    } else {
+      toast.error(`Knowledge base could not be indexed: ${result.knowledgeBase.error}`);
+    }
+    return true;
+  };
+
+  // Votes on the current session's comparisons, and whether comparisons hide the models until a vote
+  // (remembered in this browser)
+  const [comparisonVotes, setComparisonVotes] = useState({});
+  const [blindMode, setBlindMode] = useState(false);
+
+  useEffect(() => {
+    setBlindMode(localStorage.getItem('aipasta-blind-mode') === 'true');
+  }, []);
+
+  const handleBlindModeChange = (enabled) => {
+    setBlindMode(enabled);
+    localStorage.setItem('aipasta-blind-mode', String(enabled));
+  };
+
+  const handleTogglePin = async (messageId, pinned) => {
+    const result = await pinChatMessage(messageId, pinned);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    setMessages(prev => prev.map(msg => (msg.id === messageId ? { ...msg, pinned } : msg)));
+  };
+
+  // Show the session's current branch again after it changed on the backend
+  const reloadBranch = async () => {
+    const sessionData = await getChatSession(currentSessionId);
+    if (sessionData?.messages) {
+      setMessages(formatSessionMessages(sessionData.messages));
+      setComparisonVotes(toVoteMap(sessionData.votes));
+    }
+  };
+
+  // Resend an edited question to the selected models; the original stays as another branch
+  const handleEditMessage = async (message, content) => {
+    if (isSubmitting || !currentSessionId) return false;
+    const modelIds = selectedModels.map(model => model.modelId || model.id);
+    if (modelIds.length === 0) {
+      toast.error('Select a model to answer the edited message');
+      return false;
+    }
+
+    setIsSubmitting(true);
+    const request = { message: content, sessionId: currentSessionId, parentMessageId: message.parentMessageId ?? null };
+    const result = modelIds.length > 1
+      ? await streamModelComparison({ ...request, modelIds })
+      : await streamChatMessage({ ...request, modelId: modelIds[0] });
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      toast.error(`Failed to send the edited message: ${result.error}`);
+      return false;
+    }
+    await reloadBranch();
+    return true;
+  };
+
+  // Ask an answer's model again; the earlier answer stays as another version
+  const handleRegenerate = async (messageId) => {
+    if (isSubmitting) return;
+    setIsSubmitting(true);
+    const result = await regenerateChatMessage(messageId);
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      toast.error(`Failed to regenerate: ${result.error}`);
+      return;
+    }
+    await reloadBranch();
+  };
+
+  const handleSwitchBranch = async (messageId) => {
+    if (isSubmitting) return;
+    const result = await activateChatMessage(messageId);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    await reloadBranch();
+  };
+
+  // Open the chat of a search result on the branch that contains it and scroll to the message
+  const [scrollTarget, setScrollTarget] = useState(null);
+  const handleSearchResultSelect = async (result) => {
+    const activated = await activateChatMessage(result.id);
+    if (!activated.success) {
+      toast.error(activated.error);
+      return;
     }
-    if (model.isPaid === true || model.paid === true) return 10;
-    if (model.free === true) return 1;
-    return 10;
+    await handleLoadChat(result.session.id);
+    setScrollTarget(result.id);
   };
 
-  const tokensNeeded = useMemo(() => selectedModels.reduce((total, model) => total + getModelTokenCost(model), 0), [selectedModels]);
+  const handleRemoveDocument = async (attachmentId) => {
+    const result = await removeSessionDocument(currentSessionId, attachmentId);
+    if (result.success) {
+      setSessionDocuments(prev => prev.filter(document => document.id !== attachmentId));
+    }
+  };
+
+  // Backend quote for the current selection and input (same formula the backend charges with)
+  const [tokenQuote, setTokenQuote] = useState(null);
+  const tokensNeeded = useMemo(() => calculateTokensNeeded(selectedModels, tokenQuote), [selectedModels, tokenQuote]);
+
+  // Refresh the quote shortly after the selection, input or attachments change
+  useEffect(() => {
+    if (selectedModels.length === 0) {
+      setTokenQuote(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      const imageCount = attachedFiles.filter(file => file.type?.startsWith('image/')).length;
+      const quote = await fetchTokenQuote(selectedModels, inputValue, { imageCount, documentTokens, signal: controller.signal });
+      if (!controller.signal.aborted) setTokenQuote(quote);
+    }, 400);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [selectedModels, inputValue, attachedFiles, documentTokens]);
+
   const [showModelModal, setShowModelModal] = useState(false);
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   const [walletTokens, setWalletTokens] = useState(null);
@@ -93,6 +365,8 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
     initializeResponse,
     updateResponse,
     setResponseError,
+    setResponseCitations,
+    setResponseMessage,
     clearResponses,
     hasActiveResponses,
     totalResponses
@@ -119,8 +393,10 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
         ? new Date(userMessages[index + 1].timestamp).getTime() 
         : Date.now();
       
-      // Find AI responses that come after this user message and before the next one
+      // Find AI responses to this user message (stored ones name it; a regenerated answer can be newer than
+      // later turns), otherwise those that come after it and before the next one
       const relatedAiResponses = aiMessages.filter(aiMsg => {
+        if (aiMsg.parentMessageId) return aiMsg.parentMessageId === userMsg.id;
         const aiTimestamp = new Date(aiMsg.timestamp).getTime();
         return aiTimestamp > userTimestamp && aiTimestamp < nextUserTimestamp;
       });
@@ -167,11 +443,17 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
                 timestamp: msg.timestamp,
                 isComplete: true,
                 cost: msg.cost,
-                error: msg.error
+                error: msg.error,
+                citations: msg.citations,
+                branch: msg.branch,
+                rating: msg.rating
               })),
               timestamp: turn.aiResponses[0].timestamp,
               hasActiveResponses: false,
-              loadingStates: new Map()
+              loadingStates: new Map(),
+              // Stored questions can be shared with their answers
+              questionId: /^[a-f\d]{24}$/i.test(turn.userMessage.id || '') ? turn.userMessage.id : null,
+              comparisonId: turn.userMessage.comparisonId || turn.aiResponses[0].comparisonId || null
             },
             timestamp: turn.timestamp + 1 // Ensure AI responses come right after user message
           });
@@ -195,10 +477,12 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
       flow.push({
         type: 'responses',
         data: {
-          responses: allResponses,
+          // Answers the backend has saved go by their message id, so they can be rated and voted on
+          responses: allResponses.map(response => (response.messageId ? { ...response, id: response.messageId } : response)),
           timestamp: new Date(baseTimestamp).toISOString(),
           hasActiveResponses,
-          loadingStates
+          loadingStates,
+          comparisonId: allResponses[0]?.comparisonId || null
         },
         timestamp: baseTimestamp
       });
@@ -208,6 +492,12 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
     return flow.sort((a, b) => a.timestamp - b.timestamp);
   }, [messages, allResponses, hasActiveResponses, loadingStates]);
 
+  // Give a live answer the id the backend stored it under, whether or not it was already moved to messages
+  const linkStoredAnswer = useCallback((responseId, messageId, comparisonId) => {
+    setResponseMessage(responseId, { messageId, comparisonId });
+    setMessages(prev => prev.map(msg => (msg.id === `ai_${responseId}` ? { ...msg, id: messageId, comparisonId } : msg)));
+  }, [setResponseMessage]);
+
   // Convert completed responses to permanent messages
   const saveCompletedResponses = useCallback(() => {
     const completedResponses = allResponses.filter(response => response.isComplete);
@@ -217,7 +507,8 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
     // Create response messages but preserve multi-response structure
     // Build messages with stable ids based on the response.id to allow reliable dedupe
     const responseMessages = completedResponses.map(response => ({
-      id: `ai_${response.id}`,
+      id: response.messageId || `ai_${response.id}`,
+      comparisonId: response.comparisonId,
       content: response.content,
       isUser: false,
       timestamp: response.timestamp || new Date().toISOString(),
@@ -226,7 +517,8 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
         provider: response.provider
       },
       cost: response.cost,
-      error: response.error
+      error: response.error,
+      citations: response.citations
     }));
 
     // Clear streaming responses first so the UI doesn't show both streaming blobs and saved messages
@@ -489,31 +781,119 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
     loadChatSessions();
   }, [isAuthenticated, authLoading, updateBackendStatus, toast]);
 
-  // Handle deleting chat sessions
-  const handleDeleteSession = async (sessionId) => {
-    if (!window.confirm('Are you sure you want to delete this conversation? This action cannot be undone.')) {
-      return;
+  // Session (and optionally the question of one turn) being shared as a read-only link
+  const [shareTarget, setShareTarget] = useState(null);
+
+  // Show chats created by an import at the top of the history
+  const [showTransfer, setShowTransfer] = useState(false);
+  const handleChatsImported = (result) => {
+    chatSessionsCache.current = { data: null, timestamp: 0, loading: false };
+    setChatSessions(prev => [...result.sessions, ...prev]);
+    toast.success(`Imported ${result.imported} chat${result.imported === 1 ? '' : 's'}`);
+  };
+
+  // Handle deleting chat sessions (one from its row, or a selection); resolves to whether they were deleted
+  const handleDeleteSessions = async (sessionIds) => {
+    const message = sessionIds.length === 1
+      ? 'Are you sure you want to delete this conversation? This action cannot be undone.'
+      : `Are you sure you want to delete ${sessionIds.length} conversations? This action cannot be undone.`;
+    if (!window.confirm(message)) {
+      return false;
     }
-    
+
+    const localIds = new Set(chatSessions.filter(session => session.isLocal).map(session => session._id));
+    const remoteIds = sessionIds.filter(id => !localIds.has(id));
+    const result = remoteIds.length > 0 ? await deleteChatSessions(remoteIds) : { success: true };
+    if (!result.success) {
+      console.error('Failed to delete chat sessions:', result.error);
+      toast.error('Failed to delete chat. Please try again.');
+      return false;
+    }
+
+    // Clear cache and update local state
+    const deleted = new Set(sessionIds);
+    chatSessionsCache.current = { data: null, timestamp: 0, loading: false };
+    setChatSessions(prev => prev.filter(session => !deleted.has(session._id)));
+    setArchivedSessions(prev => prev.filter(session => !deleted.has(session._id)));
+
+    // If we deleted the current session, clear the chat
+    if (deleted.has(currentSessionId)) {
+      setCurrentSessionId(null);
+      setMessages([]);
+    }
+
+    toast.success(sessionIds.length === 1 ? 'Chat deleted successfully' : `Deleted ${sessionIds.length} chats`);
+    return true;
+  };
+
+  // Folders, and the archived chats (loaded when the sidebar switches to them)
+  const [chatFolders, setChatFolders] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [archivedSessions, setArchivedSessions] = useState([]);
+
+  useEffect(() => {
+    if (!isAuthenticated || authLoading) return;
+    getChatFolders().then((result) => {
+      if (result.success) setChatFolders(result.folders);
+    });
+  }, [isAuthenticated, authLoading]);
+
+  const handleShowArchivedChange = async (show) => {
+    setShowArchived(show);
+    if (!show) return;
     try {
-      await deleteChatSession(sessionId);
-      
-      // Clear cache and update local state
-      clearChatSessionsCache();
-      chatSessionsCache.current = { data: null, timestamp: 0, loading: false };
-      setChatSessions(prev => prev.filter(session => session._id !== sessionId));
-      
-      // If we deleted the current session, clear the chat
-      if (currentSessionId === sessionId) {
-        setCurrentSessionId(null);
-        setMessages([]);
-      }
-      
-      toast.success('Chat deleted successfully');
+      setArchivedSessions(await getChatSessions({ archived: 'true' }));
     } catch (error) {
-      console.error('Failed to delete chat session:', error);
-      toast.error('Failed to delete chat. Please try again.');
+      toast.error('Could not load archived chats');
+    }
+  };
+
+  // Move, tag, pin or archive chats; sessions move between the chat and archive lists as needed
+  const handleSessionsUpdate = async (sessionIds, changes) => {
+    const result = await updateChatSessions(sessionIds, changes);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+
+    const updated = new Map(result.sessions.map(session => [session._id, session]));
+    const merge = (list, archived) => {
+      const kept = list
+        .filter(session => !updated.has(session._id) || Boolean(updated.get(session._id).archived) === archived)
+        .map(session => updated.get(session._id) || session);
+      const added = result.sessions.filter(session => Boolean(session.archived) === archived && !list.some(item => item._id === session._id));
+      return [...added, ...kept];
+    };
+    chatSessionsCache.current = { data: null, timestamp: 0, loading: false };
+    setChatSessions(prev => merge(prev, false));
+    setArchivedSessions(prev => merge(prev, true));
+  };
+
+  // Create a folder, or rename one; resolves to whether it was saved
+  const handleFolderSave = async (name, folderId) => {
+    const result = await saveChatFolder(name, folderId);
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
     }
+    setChatFolders(prev => (folderId
+      ? prev.map(folder => (folder._id === folderId ? result.folder : folder))
+      : [...prev, result.folder]
+    ).sort((a, b) => a.name.localeCompare(b.name)));
+    return true;
+  };
+
+  const handleFolderDelete = async (folderId) => {
+    if (!window.confirm('Delete this folder? Its chats are kept.')) return;
+    const result = await deleteChatFolder(folderId);
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    chatSessionsCache.current = { data: null, timestamp: 0, loading: false };
+    setChatFolders(prev => prev.filter(folder => folder._id !== folderId));
+    setChatSessions(prev => prev.map(session => (session.folderId === folderId ? { ...session, folderId: null } : session)));
+    setArchivedSessions(prev => prev.map(session => (session.folderId === folderId ? { ...session, folderId: null } : session)));
   };
 
   // Auto scroll to bottom when new messages are added (throttled)
@@ -533,6 +913,38 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
     };
   }, [messages, totalResponses]);
 
+  // Scroll to a message picked from the search results instead of the bottom, and mark it briefly
+  useEffect(() => {
+    if (!scrollTarget) return undefined;
+    const element = document.querySelector(`[data-message-id="${scrollTarget}"], [data-message-ids~="${scrollTarget}"]`);
+    if (!element) return undefined;
+
+    clearTimeout(scrollToBottom.current);
+    const timer = setTimeout(() => {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      element.classList.add('ring-2', 'ring-purple-400', 'rounded-xl');
+      setTimeout(() => element.classList.remove('ring-2', 'ring-purple-400', 'rounded-xl'), 2000);
+      setScrollTarget(null);
+    }, 150);
+    return () => clearTimeout(timer);
+  }, [messages, scrollTarget]);
+
+  // Pick up the title the backend gives a new chat after its first answer, checking a few times
+  const watchSessionTitle = (sessionId, initialTitle, delays = [8000, 20000, 45000]) => {
+    const [delay, ...later] = delays;
+    if (delay === undefined) return;
+    setTimeout(async () => {
+      const { session } = await getChatSession(sessionId, 1, 1);
+      if (!session) return;
+      if (session.title && session.title !== initialTitle) {
+        chatSessionsCache.current = { data: null, timestamp: 0, loading: false };
+        setChatSessions(prev => prev.map(item => (item._id === sessionId ? { ...item, title: session.title } : item)));
+      } else {
+        watchSessionTitle(sessionId, initialTitle, later);
+      }
+    }, delay);
+  };
+
   // Enhanced message sending with session management and direct OpenRouter
   const sendMessage = async () => {
     if ((!inputValue.trim() && attachedFiles.length === 0) || selectedModels.length === 0 || isSubmitting) return;
@@ -583,32 +995,19 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
       return;
     }
 
-    // Calculate tokens needed based on selected models
-      // NOTE: use a helper so we can handle missing pricing metadata robustly
-      const getModelTokenCost = (model) => {
-        if (!model) return 10; // unknown model -> conservative cost
-        const pricing = model.pricing || {};
-        const hasPricing = typeof pricing.input !== 'undefined' || typeof pricing.output !== 'undefined' || typeof pricing.image !== 'undefined';
-        if (hasPricing) {
-          const input = typeof pricing.input === 'number' ? pricing.input : 0;
-          const output = typeof pricing.output === 'number' ? pricing.output : 0;
-          // If both input and output pricing are zero, treat as free (low cost)
-          if (input === 0 && output === 0) return 1;
-          return 10; // paid model - coarse bucket (10 tokens)
-        }
-
-        // If model explicitly marks paid/free use that
-        if (model.isPaid === true || model.paid === true) return 10;
-        if (model.free === true) return 1;
-
-        // Fallback: if we can't determine pricing, assume paid (conservative)
-        return 10;
-      };
-
-      const tokensNeeded = selectedModels.reduce((total, model) => total + getModelTokenCost(model), 0);
+    // Quote the exact request so the check matches what the backend will hold and charge
+    const requestQuote = await fetchTokenQuote(selectedModels, inputValue, {
+      imageCount: attachedFiles.filter(file => file.type?.startsWith('image/')).length,
+      documentTokens
+    });
+    const requiredTokens = calculateTokensNeeded(selectedModels, requestQuote);
+    const getQuotedTokens = (model) => {
+      const modelQuote = requestQuote?.quotes?.find(q => q.modelId === (model.modelId || model.id));
+      return modelQuote ? modelQuote.estimatedTokens : 1;
+    };
     
-    if (tokensNeeded > credits) {
-      toast.error(`Not enough credits. Need ${tokensNeeded} credits, but you only have ${credits}.`);
+    if (requiredTokens > credits) {
+      toast.error(`Not enough credits. This request may use up to ${requiredTokens} credits, but you only have ${credits}.`);
       return;
     }
 
@@ -620,7 +1019,7 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
     // Create model requests from selected models
     const modelRequests = selectedModels.map(model => ({
       model,
-      cost: { totalCost: model.pricing?.input > 0 ? 10 : 1 } // Token cost
+      cost: { totalCost: getQuotedTokens(model) } // Estimated token cost
     }));
     
     // Check if we have any valid models to process
@@ -641,11 +1040,12 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
       const firstModelId = selectedModels.length > 0 ? selectedModels[0].id : null;
       
       try {
-        const sessionResult = await createChatSession(null, title, firstModelId);
+        const sessionResult = await createChatSession(null, title, firstModelId, { knowledgeBaseId, ...pendingSessionOptions });
         
         if (sessionResult?.success && sessionResult.session) {
           sessionId = sessionResult.session.id || sessionResult.session._id;
           setCurrentSessionId(sessionId);
+          setPendingSessionOptions({});
           
           // Clear cache to ensure fresh data on next load
           clearChatSessionsCache();
@@ -653,6 +1053,9 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
           
           setChatSessions(prev => [sessionResult.session, ...prev]);
           console.log('Created new session with title:', title);
+          if (user?.preferences?.autoTitle !== false && !sessionResult.session.isLocal) {
+            watchSessionTitle(sessionId, sessionResult.session.title);
+          }
         } else {
           console.log('Failed to create session, continuing without session storage');
         }
@@ -673,9 +1076,22 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
       }
     }
 
-    const currentInput = inputValue;
+    // A message is required by the backend; files sent on their own get a default prompt
+    const currentInput = inputValue.trim() ? inputValue : 'Describe the attached files.';
     const currentFiles = attachedFiles;
 
+    // Upload attachments first; the chat request refers to them by id
+    let attachmentIds = [];
+    if (currentFiles.length > 0) {
+      const upload = await uploadAttachments(currentFiles.map(fileData => fileData.file));
+      if (!upload.success) {
+        toast.error(upload.error || 'Failed to upload attachments');
+        setIsSubmitting(false);
+        return;
+      }
+      attachmentIds = upload.attachments.map(attachment => attachment._id);
+    }
+
     // Add user message to state immediately with basic deduplication
     const userMessage = {
       id: `msg-${Date.now()}`,
@@ -703,6 +1119,90 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
     setInputValue('');
     setAttachedFiles([]);
 
+    // Several models: let the backend fan out in one request so tokens are reserved for the whole batch
+    if (selectedModels.length > 1) {
+      const batchStartedAt = Date.now();
+      const responseIds = new Map();
+      selectedModels.forEach((model, index) => {
+        const responseId = `response-${batchStartedAt}-${index}`;
+        responseIds.set(model.modelId || model.id, responseId);
+        initializeResponse(responseId, {
+          model: `${model.provider}/${model.name}`,
+          provider: model.provider,
+          tokens: getQuotedTokens(model)
+        });
+      });
+
+      const finished = new Set();
+      try {
+        const comparison = await streamModelComparison({
+          message: currentInput,
+          modelIds: [...responseIds.keys()],
+          sessionId,
+          attachments: attachmentIds
+        }, {
+          onStart: (start) => {
+            responseIds.forEach(responseId => setResponseMessage(responseId, { comparisonId: start.comparisonId }));
+          },
+          onDelta: (modelId, delta) => {
+            const responseId = responseIds.get(modelId);
+            if (responseId) updateResponse(responseId, delta, false);
+          },
+          onResult: (result) => {
+            const responseId = responseIds.get(result.modelId);
+            if (!responseId) return;
+            finished.add(responseId);
+
+            if (result.citations?.length) setResponseCitations(responseId, result.citations);
+            if (result.status === 'completed') {
+              updateResponse(responseId, '', true);
+            } else {
+              setResponseError(responseId, result.error || { message: `Response ${result.status}` });
+            }
+
+            const inputTokens = result.usage?.promptTokens || 0;
+            const outputTokens = result.usage?.completionTokens || 0;
+            if (inputTokens + outputTokens > 0) {
+              setTokensUsed(prev => prev + inputTokens + outputTokens);
+              setTokenBreakdown(prev => ({ input: prev.input + inputTokens, output: prev.output + outputTokens }));
+            }
+          }
+        });
+
+        if (comparison.success) {
+          const results = comparison.data?.results || [];
+          results.forEach((result) => {
+            const responseId = responseIds.get(result.modelId);
+            if (responseId && result.message?.id) linkStoredAnswer(responseId, result.message.id, comparison.data.comparisonId);
+          });
+          const successful = results.filter(r => r.status === 'completed').length;
+          const failed = results.length - successful;
+          if (successful > 0) {
+            toast.success(`${successful} response${successful === 1 ? '' : 's'} completed${failed > 0 ? ` (${failed} failed)` : ''}`);
+          } else {
+            toast.error('All responses failed');
+          }
+        } else {
+          if (comparison.type === 'NETWORK_ERROR') {
+            handleBackendOffline();
+          }
+          responseIds.forEach(responseId => {
+            if (!finished.has(responseId)) setResponseError(responseId, { message: comparison.error });
+          });
+          toast.error(`Failed to compare models: ${comparison.error}`);
+        }
+      } catch (error) {
+        console.error('Unexpected error in model comparison:', error);
+        responseIds.forEach(responseId => {
+          if (!finished.has(responseId)) setResponseError(responseId, error);
+        });
+        toast.error('Unexpected error occurred');
+      } finally {
+        setIsSubmitting(false);
+      }
+      return;
+    }
+
     // Start streaming responses from all models in parallel
     const streamPromises = selectedModels.map(async (model, index) => {
       const responseId = `response-${Date.now()}-${index}`;
@@ -712,7 +1212,7 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
         initializeResponse(responseId, {
           model: `${model.provider}/${model.name}`,
           provider: model.provider,
-          tokens: model.pricing?.input > 0 ? 10 : 1 // Token cost instead of cost
+          tokens: getQuotedTokens(model) // Estimated token cost
         });
 
         // Use backend API through streamModelResponse (no direct OpenRouter calls)
@@ -720,7 +1220,7 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
           await streamModelResponse(
             model, 
             currentInput, 
-            currentFiles, 
+            attachmentIds, 
             (chunk, isComplete) => {
               updateResponse(responseId, chunk, isComplete);
             },
@@ -731,6 +1231,9 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
               // a trailing empty chunk which could race with the last chunk and
               // produce duplicated text.
 
+              const citations = finalResponse?.data?.aiMessage?.citations;
+              if (citations?.length) setResponseCitations(responseId, citations);
+
               // Extract token usage if available and accumulate
               try {
                 const maybe = finalResponse?.data || finalResponse || {};
@@ -871,6 +1374,10 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
     setAttachedFiles([]);
     setError(null);
     setCurrentSessionId(null); // Clear session ID so new session will be created on first message
+    setKnowledgeBaseId(null);
+    setSystemPrompt(null);
+    setSessionSettings({});
+    setPendingSessionOptions({});
     
     console.log('Started new chat - session will be created on first message');
   };
@@ -888,6 +1395,7 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
     // Switch session ID first for immediate UI feedback
     setCurrentSessionId(sessionId);
     setMessages([]); // Clear current messages
+    setComparisonVotes({});
     clearResponses(); // Clear existing responses
     setError(null); // Clear any previous errors
     
@@ -896,27 +1404,20 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
       const sessionData = await getChatSession(sessionId);
       console.log('📨 Session data received:', sessionData);
       
+      if (sessionData?.session) {
+        setKnowledgeBaseId(sessionData.session.knowledgeBaseId || null);
+        setSystemPrompt(sessionData.session.systemPrompt?.content ? sessionData.session.systemPrompt : null);
+        setSessionSettings(sessionData.session.settings || {});
+        setPendingSessionOptions({});
+      }
+
       if (sessionData?.session && sessionData?.messages) {
-        // Convert backend messages to frontend format
-        const formattedMessages = sessionData.messages.map(msg => ({
-          id: msg._id || msg.id,
-          content: msg.content,
-          isUser: msg.role === 'user',
-          timestamp: msg.createdAt || msg.timestamp,
-          model: msg.role !== 'user' && msg.model ? {
-            name: msg.model.name || 'AI Assistant',
-            provider: msg.model.provider || 'Unknown'
-          } : undefined
-        }));
-        
-        // Sort messages chronologically
-        const sortedMessages = formattedMessages.sort((a, b) => 
-          new Date(a.timestamp) - new Date(b.timestamp)
-        );
+        const sortedMessages = formatSessionMessages(sessionData.messages);
         
         // Replace messages entirely when loading a chat session
         // This prevents duplicates and ensures we show only the session's messages
         setMessages(sortedMessages);
+        setComparisonVotes(toVoteMap(sessionData.votes));
         
         console.log(`Loaded ${sortedMessages.length} messages for session ${sessionId}`);
         toast.info(`Loaded conversation with ${sortedMessages.length} messages`);
@@ -930,6 +1431,16 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
     }
   };
 
+  // Open the chat named in ?session= (after copying a shared conversation)
+  const loadChatRef = useRef(handleLoadChat);
+  loadChatRef.current = handleLoadChat;
+  useEffect(() => {
+    const { session } = router.query;
+    if (!router.isReady || !session || !isAuthenticated) return;
+    loadChatRef.current(String(session));
+    router.replace('/chat', undefined, { shallow: true });
+  }, [router, isAuthenticated]);
+
   useEffect(() => {
     adjustTextareaHeight();
   }, [inputValue]);
@@ -1027,6 +1538,13 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
         onModelsChange={setSelectedModels}
       />
 
+      <ShareDialog
+        isOpen={Boolean(shareTarget)}
+        onClose={() => setShareTarget(null)}
+        sessionId={shareTarget?.sessionId}
+        messageId={shareTarget?.messageId}
+      />
+
       {/* Auth Modal */}
       <AuthModal
         isOpen={showAuthModal}
@@ -1140,29 +1658,48 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
                   <div className="text-xs font-medium text-neutral-500 dark:text-neutral-400 uppercase tracking-wider truncate">
                     Recent Chats
                   </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                  <button
+                    onClick={() => setShowTransfer(!showTransfer)}
+                    title="Export or import chats"
+                    className={`p-1 rounded-md transition-colors ${showTransfer ? 'text-purple-600 dark:text-purple-400 bg-purple-50 dark:bg-purple-900/20' : 'text-neutral-400 hover:text-neutral-600 dark:hover:text-neutral-300'}`}
+                  >
+                    <IconTransfer className="w-3.5 h-3.5" />
+                  </button>
                   <button
                     onClick={handleNewChat}
                     className="text-xs text-purple-600 hover:text-purple-700 dark:text-purple-400 dark:hover:text-purple-300 font-medium px-2 py-1 rounded-md hover:bg-purple-50 dark:hover:bg-purple-900/20 transition-colors flex-shrink-0"
                   >
                     New Chat
                   </button>
+                  </div>
                 </div>
+
+                {showTransfer && (
+                  <ChatTransfer
+                    sessionId={currentSessionId}
+                    onImported={handleChatsImported}
+                    className="mb-3 flex-shrink-0"
+                  />
+                )}
+
+                <ChatSearch
+                  models={models}
+                  onSelectSession={handleLoadChat}
+                  onSelectMessage={handleSearchResultSelect}
+                  className="mb-3 flex-shrink-0"
+                />
                 
                 <div className="overflow-hidden rounded-lg bg-gray-50 dark:bg-neutral-700 p-2 min-w-0 flex-1 flex flex-col relative">
                   {chatSessionsLoading ? (
                     <div className="text-xs text-neutral-400 dark:text-neutral-500 p-3 text-center">
                       Loading chats...
                     </div>
-                  ) : chatSessions.length === 0 ? (
-                    <div className="text-xs text-neutral-400 dark:text-neutral-500 p-3 text-center">
-                      No chat history yet
-                    </div>
                   ) : (
                     <>
-                      <div className="space-y-0.5 flex-1 overflow-y-auto overflow-x-hidden scrollbar-custom min-w-0">
                       {/* Show "New Chat" placeholder when no session is active */}
-                      {!currentSessionId && (
-                        <div className="grid grid-cols-[1fr] items-center group rounded-lg transition-all shadow-sm min-w-0 bg-purple-100 dark:bg-purple-900/30 border border-purple-200 dark:border-purple-800">
+                      {!currentSessionId && !showArchived && (
+                        <div className="grid grid-cols-[1fr] items-center group rounded-lg transition-all shadow-sm min-w-0 mb-1 flex-shrink-0 bg-purple-100 dark:bg-purple-900/30 border border-purple-200 dark:border-purple-800">
                           <div className="text-left p-2 text-xs transition-colors min-w-0 w-full">
                             <div className="font-medium truncate min-w-0 text-xs text-purple-700 dark:text-purple-300">
                               New Chat
@@ -1173,44 +1710,19 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
                           </div>
                         </div>
                       )}
-                      {chatSessions.map((session) => (
-                        <div
-                          key={session._id}
-                          className={`grid grid-cols-[1fr_auto] items-center group rounded-lg transition-all shadow-sm min-w-0 ${
-                            currentSessionId === session._id
-                              ? 'bg-purple-100 dark:bg-purple-900/30 border border-purple-200 dark:border-purple-800'
-                              : 'bg-white dark:bg-neutral-800 hover:bg-neutral-50 dark:hover:bg-neutral-700 border border-transparent hover:border-gray-200 dark:hover:border-neutral-700'
-                          }`}
-                        >
-                          <button
-                            onClick={() => handleLoadChat(session._id)}
-                            className="text-left p-3 sm:p-2 text-xs transition-colors min-w-0 w-full touch-target"
-                          >
-                            <div className={`font-medium truncate min-w-0 text-xs ${
-                              currentSessionId === session._id
-                                ? 'text-purple-700 dark:text-purple-300'
-                                : 'text-neutral-600 dark:text-neutral-400'
-                            }`}>
-                              {session.title}
-                              {session.isLocal && (
-                                <span className="text-orange-500 text-xs ml-1" title="Local session">●</span>
-                              )}
-                            </div>
-                            <div className="text-neutral-400 dark:text-neutral-500 mt-0.5 truncate text-xs opacity-75">
-                              {new Date(session.createdAt).toLocaleDateString()}
-                              {session.isLocal && <span className="ml-1 text-orange-400">(Local)</span>}
-                            </div>
-                          </button>
-                          <button
-                            onClick={() => handleDeleteSession(session._id)}
-                            className="opacity-0 group-hover:opacity-100 p-1.5 text-neutral-400 hover:text-red-500 transition-all rounded-md hover:bg-red-50 dark:hover:bg-red-900/20 flex-shrink-0"
-                            title="Delete chat"
-                          >
-                            <IconTrash className="w-3 h-3" />
-                          </button>
-                        </div>
-                      ))}
-                      </div>
+                      <SidebarHistory
+                        chatSessions={showArchived ? archivedSessions : chatSessions}
+                        folders={chatFolders}
+                        currentSessionId={currentSessionId}
+                        onSessionSelect={handleLoadChat}
+                        onSessionShare={(sessionId) => setShareTarget({ sessionId })}
+                        onSessionsUpdate={handleSessionsUpdate}
+                        onSessionsDelete={handleDeleteSessions}
+                        onFolderSave={handleFolderSave}
+                        onFolderDelete={handleFolderDelete}
+                        showArchived={showArchived}
+                        onShowArchivedChange={handleShowArchivedChange}
+                      />
                       {/* Subtle fade indicator for scrollable content */}
                       {chatSessions.length > 8 && (
                         <div className="absolute bottom-0 left-0 right-0 h-4 bg-gradient-to-t from-gray-50 dark:from-neutral-700 to-transparent pointer-events-none rounded-b-lg"></div>
@@ -1225,6 +1737,8 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
                 <SidebarFooter className="px-0">
                   {/* Combined Theme & Logout Container - matches Recent Chats styling */}
                   <div className="bg-white dark:bg-neutral-800 rounded-lg shadow-sm border border-gray-200 dark:border-neutral-700 p-3 space-y-2">
+                    {/* Workspace (only for members of a team workspace) */}
+                    <WorkspaceSwitcher />
                     {/* Theme Toggle */}
                     <div className="flex items-center p-2 rounded-lg hover:bg-gray-50 dark:hover:bg-neutral-700 transition-colors">
                       <ThemeToggle size="sm" />
@@ -1378,26 +1892,41 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
                   const message = item.data;
                   return (
                     <StaggerItem key={message.id}>
+                      <div data-message-id={message.id}>
                       <ChatMessage
                         message={message}
                         isUser={message.isUser}
                         streamingResponses={[]} // Individual messages don't need streaming responses
                         hasActiveResponses={false}
                         delay={index * 0.05} // Subtle stagger delay
+                        onTogglePin={handleTogglePin}
+                        onEdit={handleEditMessage}
+                        onRegenerate={handleRegenerate}
+                        onSwitchBranch={handleSwitchBranch}
                       />
+                      </div>
                     </StaggerItem>
                   );
                 } else if (item.type === 'responses') {
                   const responseData = item.data;
                   return (
                     <StaggerItem key={`responses-${index}`}>
-                      <div className="mb-6">
+                      <div className="mb-6" data-message-ids={responseData.responses.map(response => response.id).join(' ')}>
                         <MultiResponseContainer
                           responses={responseData.responses}
                           timestamp={responseData.timestamp}
                           attachments={[]}
                           isLoading={responseData.hasActiveResponses}
                           loadingModelCount={Array.from(responseData.loadingStates.values()).filter(Boolean).length}
+                          onRegenerate={responseData.hasActiveResponses ? undefined : handleRegenerate}
+                          onSwitchBranch={handleSwitchBranch}
+                          onShare={currentSessionId && responseData.questionId
+                            ? () => setShareTarget({ sessionId: currentSessionId, messageId: responseData.questionId })
+                            : undefined}
+                          comparisonId={responseData.comparisonId}
+                          vote={comparisonVotes[responseData.comparisonId] || null}
+                          blindMode={blindMode}
+                          onBlindModeChange={handleBlindModeChange}
                         />
                       </div>
                     </StaggerItem>
@@ -1444,10 +1973,6 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
               {/* Insufficient Tokens for Current Request Warning */}
               {isAuthenticated && isClient && credits > 0 && selectedModels.length > 0 && (
                 (() => {
-                  const tokensNeeded = selectedModels.reduce((total, model) => {
-                    const isPaidModel = model.pricing && (model.pricing.input > 0 || model.pricing.output > 0);
-                    return total + (isPaidModel ? 10 : 1);
-                  }, 0);
                   return tokensNeeded > credits ? (
                     <SlideUp delay={0.1}>
                       <div className="flex items-center gap-3 p-4 bg-orange-100/80 dark:bg-orange-900/40 backdrop-blur-sm border border-orange-200/50 dark:border-orange-800/50 rounded-xl shadow-lg">
@@ -1474,32 +1999,76 @@ function ChatPageContent({ open, setOpen, locked, setLocked, hasFirstMessageSent
               </FadeIn>
             )}
 
+            {/* Attached files and the session's documents, with what the documents add to each message */}
+            {(attachedFiles.length > 0 || sessionDocuments.length > 0) && (
+              <div className="flex justify-center mb-2">
+                <div className="w-full max-w-6xl bg-white/90 dark:bg-neutral-900/90 backdrop-blur-xl rounded-xl border border-white/40 dark:border-neutral-600/40 p-2 sm:p-3">
+                  <MultimodalInput
+                    attachedFiles={attachedFiles}
+                    onFilesChange={setAttachedFiles}
+                    selectedModels={selectedModels}
+                    sessionDocuments={sessionDocuments}
+                    onRemoveDocument={handleRemoveDocument}
+                    disabled={isSubmitting}
+                  />
+                </div>
+              </div>
+            )}
+
             {/* Mobile-First Enhanced Input Card */}
             <div className="flex justify-center">
               <div className="relative w-full max-w-6xl bg-white/90 dark:bg-neutral-900/90 backdrop-blur-xl rounded-xl sm:rounded-2xl shadow-lg sm:shadow-2xl border border-white/40 dark:border-neutral-600/40 p-2 sm:p-3 transition-all duration-300 hover:shadow-xl sm:hover:shadow-3xl hover:bg-white/95 dark:hover:bg-neutral-900/95">
                 <div 
+                  className="flex items-center gap-2"
                   style={{ 
                     opacity: isSubmitting || selectedModels.length === 0 || (isClient && credits <= 0) ? 0.5 : 1, 
                     pointerEvents: isSubmitting || selectedModels.length === 0 || (isClient && credits <= 0) ? 'none' : 'auto' 
                   }}
                 >
-                  <PlaceholdersAndVanishInput
-                    placeholders={selectedModels.length === 0 
-                      ? ["Select models to start chatting..."] 
-                      : AI_CHAT_PLACEHOLDERS
-                    }
-                    onChange={(e) => {
-                      setInputValue(e.target.value);
-                    }}
-                    onSubmit={(e) => {
-                      if ((inputValue.trim() || attachedFiles.length > 0) && !isSubmitting && selectedModels.length > 0 && !(isClient && credits <= 0)) {
-                        sendMessage();
-                        // The component will clear its own value after the vanish animation
-                        // We need to clear our local state too
-                        setTimeout(() => setInputValue(''), 100);
-                      }
-                    }}
+                  <SimpleUploadButton
+                    attachedFiles={attachedFiles}
+                    onFilesChange={setAttachedFiles}
+                    selectedModels={selectedModels}
+                    disabled={isSubmitting}
+                  />
+                  <SystemPromptPicker
+                    prompts={prompts}
+                    systemPrompt={systemPrompt}
+                    settings={sessionSettings}
+                    onApply={handleApplySystemPrompt}
+                    onSavePrompt={handleSavePrompt}
+                    onDeletePrompt={handleDeletePrompt}
+                    onSharePrompt={handleSharePrompt}
+                    inWorkspace={Boolean(getActiveWorkspaceId())}
+                    disabled={isSubmitting}
                   />
+                  <KnowledgeBaseSelector
+                    knowledgeBases={knowledgeBases}
+                    selectedId={knowledgeBaseId}
+                    onSelect={handleSelectKnowledgeBase}
+                    onCreate={handleCreateKnowledgeBase}
+                    sessionDocuments={sessionDocuments}
+                    disabled={isSubmitting}
+                  />
+                  <div className="flex-1 min-w-0">
+                    <PlaceholdersAndVanishInput
+                      placeholders={selectedModels.length === 0 
+                        ? ["Select models to start chatting..."] 
+                        : AI_CHAT_PLACEHOLDERS
+                      }
+                      onChange={(e) => {
+                        setInputValue(e.target.value);
+                      }}
+                      onSubmit={(e) => {
+                        if ((inputValue.trim() || attachedFiles.length > 0) && !isSubmitting && selectedModels.length > 0 && !(isClient && credits <= 0)) {
+                          sendMessage();
+                          // The component will clear its own value after the vanish animation
+                          // We need to clear our local state too
+                          setTimeout(() => setInputValue(''), 100);
+                        }
+                      }}
+                    />
+                  </div>
                 </div>
                 
                 {/* Enhanced Loading overlay */}
@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { IconLoader, IconBuildingCommunity, IconMailOff } from '@tabler/icons-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { getOrganizationInvitation, acceptOrganizationInvitation, setActiveWorkspaceId } from '../../lib/api-client';
+
+// Landing page of the link in workspace invitation emails (/invite/:token). Shows who invited the user to
+// which workspace; joining needs an account signed in with the invited email, and switches to the workspace.
+export default function InvitePage() {
+  const router = useRouter();
+  const { token } = router.query;
+  const { isAuthenticated, user } = useAuth();
+
+  const [invitation, setInvitation] = useState(null);
+  const [state, setState] = useState('loading'); // loading | ready | failed
+  const [error, setError] = useState(null);
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+    getOrganizationInvitation(token).then((result) => {
+      if (result.success) {
+        setInvitation(result.invitation);
+        setState('ready');
+      } else {
+        setError(result.error);
+        setState('failed');
+      }
+    });
+  }, [token]);
+
+  const handleAccept = async () => {
+    setAccepting(true);
+    setError(null);
+    const result = await acceptOrganizationInvitation(token);
+    if (!result.success) {
+      setAccepting(false);
+      setError(result.error);
+      return;
+    }
+    setActiveWorkspaceId(result.organization._id);
+    router.push('/chat');
+  };
+
+  const wrongAccount = isAuthenticated && invitation && user?.email && user.email.toLowerCase() !== invitation.email;
+
+  return (
+    <>
+      <Head>
+        <title>Workspace invitation · AI Pasta</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50 dark:bg-neutral-900 flex items-center justify-center px-4">
+        <div className="max-w-sm w-full p-6 rounded-2xl bg-white dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 text-center space-y-3">
+          {state === 'loading' && (
+            <div className="flex justify-center py-6 text-neutral-400">
+              <IconLoader className="w-6 h-6 animate-spin" />
+            </div>
+          )}
+
+          {state === 'ready' && (
+            <>
+              <IconBuildingCommunity className="w-8 h-8 mx-auto text-purple-600 dark:text-purple-400" />
+              <h1 className="text-lg font-semibold text-neutral-900 dark:text-neutral-100">Join {invitation.workspaceName}</h1>
+              <p className="text-sm text-neutral-600 dark:text-neutral-400">
+                {invitation.invitedBy || 'A teammate'} invited {invitation.email} to join as {invitation.role === 'admin' ? 'an admin' : 'a member'}.
+                Members share the workspace&apos;s tokens, folders and prompts.
+              </p>
+              {!isAuthenticated && (
+                <p className="text-sm text-neutral-600 dark:text-neutral-400">
+                  Sign in to AI Pasta as {invitation.email}, then open this link again.
+                </p>
+              )}
+              {wrongAccount && (
+                <p className="text-sm text-amber-600 dark:text-amber-400">
+                  You are signed in as {user.email}. Sign in as {invitation.email} to accept.
+                </p>
+              )}
+              {isAuthenticated && !wrongAccount && (
+                <button
+                  onClick={handleAccept}
+                  disabled={accepting}
+                  className="inline-block px-4 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white text-sm font-medium disabled:opacity-50"
+                >
+                  {accepting ? 'Joining…' : 'Join workspace'}
+                </button>
+              )}
+              {error && <p className="text-sm text-red-500">{error}</p>}
+            </>
+          )}
+
+          {state === 'failed' && (
+            <>
+              <IconMailOff className="w-8 h-8 mx-auto text-neutral-400" />
+              <h1 className="text-lg font-semibold text-neutral-900 dark:text-neutral-100">Invitation unavailable</h1>
+              <p className="text-sm text-neutral-600 dark:text-neutral-400">
+                {error || 'This link is not valid.'} Ask a workspace admin for a new invitation.
+              </p>
+            </>
+          )}
+
+          {state !== 'loading' && (!isAuthenticated || state === 'failed' || wrongAccount) && (
+            <Link href="/chat" className="inline-block px-4 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white text-sm font-medium">
+              Go to AI Pasta
+            </Link>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
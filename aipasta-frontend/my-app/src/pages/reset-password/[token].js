@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { IconLock, IconLoader, IconEye, IconEyeOff } from '@tabler/icons-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { resetPassword } from '../../lib/api-client';
+
+// Same rule the backend applies to new passwords
+const PASSWORD_RULE = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+
+// Landing page of the link in password reset emails (/reset-password/:token). A successful reset signs the
+// user in and opens the chat.
+export default function ResetPasswordPage() {
+  const router = useRouter();
+  const { token } = router.query;
+  const { loginWithToken } = useAuth();
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!PASSWORD_RULE.test(password)) {
+      setError('Use at least 8 characters with an uppercase letter, a lowercase letter, a number and one of @$!%*?&');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    const result = await resetPassword(token, password);
+    if (!result.success) {
+      setSaving(false);
+      setError(result.error);
+      return;
+    }
+    await loginWithToken(result.token, result.user, result.refreshToken);
+    router.push('/chat');
+  };
+
+  const inputClass = 'w-full pl-9 pr-3 py-2 rounded-lg border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-900 text-sm text-neutral-800 dark:text-neutral-100';
+
+  return (
+    <>
+      <Head>
+        <title>Reset password · AI Pasta</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50 dark:bg-neutral-900 flex items-center justify-center px-4">
+        <form onSubmit={handleSubmit} className="max-w-sm w-full p-6 rounded-2xl bg-white dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 space-y-3">
+          <h1 className="text-lg font-semibold text-neutral-900 dark:text-neutral-100">Choose a new password</h1>
+          <div className="relative">
+            <IconLock className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-neutral-400" />
+            <input
+              type={showPassword ? 'text' : 'password'}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoFocus
+              autoComplete="new-password"
+              placeholder="New password"
+              className={inputClass}
+            />
+            <button
+              type="button"
+              onClick={() => setShowPassword(!showPassword)}
+              className="absolute right-3 top-1/2 -translate-y-1/2 text-neutral-400 hover:text-neutral-600 dark:hover:text-neutral-300"
+            >
+              {showPassword ? <IconEyeOff className="w-4 h-4" /> : <IconEye className="w-4 h-4" />}
+            </button>
+          </div>
+          <div className="relative">
+            <IconLock className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-neutral-400" />
+            <input
+              type={showPassword ? 'text' : 'password'}
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              autoComplete="new-password"
+              placeholder="Confirm new password"
+              className={inputClass}
+            />
+          </div>
+          {error && <div className="text-xs text-red-500">{error}</div>}
+          <button
+            type="submit"
+            disabled={saving || !token}
+            className="w-full flex items-center justify-center gap-2 px-3 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white text-sm font-medium disabled:opacity-50"
+          >
+            {saving && <IconLoader className="w-4 h-4 animate-spin" />}
+            Reset password
+          </button>
+          <div className="text-center text-xs text-neutral-500 dark:text-neutral-400">
+            Link expired? <Link href="/chat" className="text-purple-600 hover:text-purple-700 font-medium">Ask for a new one</Link> from the sign-in form.
+          </div>
+        </form>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,177 @@
+import { useState, useEffect, useCallback } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { IconLock, IconLoader, IconGitFork, IconUser, IconRobot, IconLinkOff } from '@tabler/icons-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { ColumnResponseLayout } from '../../features';
+import ResponseCitations from '../../features/chat/components/ResponseCitations';
+import { MarkdownRenderer } from '../../shared';
+import { getSharedConversation, forkSharedConversation } from '../../lib/api-client';
+
+const toColumnResponses = answers => answers.map(answer => ({
+  content: answer.content,
+  model: answer.model?.id || answer.model?.name || 'unknown/Unknown',
+  provider: answer.model?.provider,
+  isComplete: true,
+  error: answer.error,
+  citations: answer.citations
+}));
+
+// Read-only view of a shared conversation (/share/:slug). Signed-in viewers can copy it into their own chats.
+export default function SharedConversationPage() {
+  const router = useRouter();
+  const { slug } = router.query;
+  const { isAuthenticated } = useAuth();
+
+  const [share, setShare] = useState(null);
+  const [state, setState] = useState('loading'); // loading | password | ready | unavailable
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [forking, setForking] = useState(false);
+
+  const load = useCallback(async (withPassword) => {
+    const result = await getSharedConversation(slug, withPassword);
+    if (result.success) {
+      setShare(result.share);
+      setState('ready');
+      setError(null);
+    } else if (result.status === 401) {
+      setState('password');
+      setError(withPassword ? result.error : null);
+    } else {
+      setState('unavailable');
+      setError(result.error);
+    }
+  }, [slug]);
+
+  useEffect(() => {
+    if (slug) load();
+  }, [slug, load]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (!password) return;
+    setState('loading');
+    await load(password);
+  };
+
+  const handleFork = async () => {
+    setForking(true);
+    const result = await forkSharedConversation(slug, password || undefined);
+    setForking(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    router.push(`/chat?session=${result.session._id}`);
+  };
+
+  return (
+    <>
+      <Head>
+        <title>{share?.title ? `${share.title} · AI Pasta` : 'Shared conversation · AI Pasta'}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50 dark:bg-neutral-900">
+        <header className="sticky top-0 z-10 bg-white/80 dark:bg-neutral-900/80 backdrop-blur-sm border-b border-gray-200 dark:border-neutral-700">
+          <div className="max-w-6xl mx-auto px-4 h-14 flex items-center justify-between gap-4">
+            <Link href="/" className="text-sm font-bold text-neutral-900 dark:text-neutral-100 flex-shrink-0">AI Pasta</Link>
+            {share && (
+              <h1 className="flex-1 min-w-0 truncate text-sm font-medium text-neutral-700 dark:text-neutral-300">{share.title}</h1>
+            )}
+            {state === 'ready' && (isAuthenticated ? (
+              <button
+                onClick={handleFork}
+                disabled={forking}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-purple-600 hover:bg-purple-700 text-white text-xs font-medium disabled:opacity-50 flex-shrink-0"
+              >
+                {forking ? <IconLoader className="w-3.5 h-3.5 animate-spin" /> : <IconGitFork className="w-3.5 h-3.5" />}
+                Copy to my chats
+              </button>
+            ) : (
+              <Link href="/chat" className="px-3 py-1.5 rounded-lg bg-purple-600 hover:bg-purple-700 text-white text-xs font-medium flex-shrink-0">
+                Sign in to continue this chat
+              </Link>
+            ))}
+          </div>
+        </header>
+
+        <main className="max-w-6xl mx-auto px-4 py-6">
+          {state === 'loading' && (
+            <div className="flex justify-center py-20 text-neutral-400">
+              <IconLoader className="w-6 h-6 animate-spin" />
+            </div>
+          )}
+
+          {state === 'password' && (
+            <form onSubmit={handleUnlock} className="max-w-sm mx-auto mt-16 p-6 rounded-2xl bg-white dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 space-y-3">
+              <div className="flex items-center gap-2 text-sm font-medium text-neutral-800 dark:text-neutral-100">
+                <IconLock className="w-4 h-4" />
+                This conversation is password protected
+              </div>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoFocus
+                placeholder="Password"
+                className="w-full px-3 py-2 rounded-lg border border-gray-200 dark:border-neutral-700 bg-white dark:bg-neutral-900 text-sm text-neutral-800 dark:text-neutral-100"
+              />
+              {error && <div className="text-xs text-red-500">{error}</div>}
+              <button type="submit" className="w-full px-3 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white text-sm font-medium">
+                Open
+              </button>
+            </form>
+          )}
+
+          {state === 'unavailable' && (
+            <div className="max-w-sm mx-auto mt-16 text-center space-y-2 text-neutral-500 dark:text-neutral-400">
+              <IconLinkOff className="w-8 h-8 mx-auto" />
+              <div className="text-sm">{error || 'This link is not available'}</div>
+            </div>
+          )}
+
+          {state === 'ready' && share && (
+            <div className="space-y-8">
+              {error && <div className="text-xs text-red-500">{error}</div>}
+              {share.turns.map((turn, index) => (
+                <section key={index} className="space-y-3">
+                  <div className="flex justify-end">
+                    <div className="max-w-3xl rounded-2xl bg-purple-50 dark:bg-purple-900/20 border border-purple-100 dark:border-purple-800 px-4 py-3">
+                      <div className="flex items-center gap-1 mb-1 text-xs text-neutral-500 dark:text-neutral-400">
+                        <IconUser className="w-3 h-3" />
+                        {turn.question.createdAt && new Date(turn.question.createdAt).toLocaleString()}
+                      </div>
+                      <MarkdownRenderer content={turn.question.content} />
+                    </div>
+                  </div>
+
+                  {turn.answers.length > 1 ? (
+                    <ColumnResponseLayout
+                      responses={toColumnResponses(turn.answers)}
+                      timestamp={turn.question.createdAt}
+                      attachments={[]}
+                    />
+                  ) : turn.answers.map((answer, answerIndex) => (
+                    <div key={answerIndex} className="max-w-3xl rounded-2xl bg-white dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 px-4 py-3">
+                      <div className="flex items-center gap-1 mb-1 text-xs font-medium text-neutral-500 dark:text-neutral-400">
+                        <IconRobot className="w-3 h-3" />
+                        {answer.model?.name || answer.model?.id || 'Assistant'}
+                      </div>
+                      {answer.error && !answer.content
+                        ? <div className="text-sm text-red-500">{answer.error}</div>
+                        : <MarkdownRenderer content={answer.content} />}
+                      <ResponseCitations citations={answer.citations} />
+                    </div>
+                  ))}
+                </section>
+              ))}
+            </div>
+          )}
+        </main>
+      </div>
+    </>
+  );
+}
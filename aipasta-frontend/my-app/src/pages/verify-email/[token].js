@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { IconLoader, IconMailCheck, IconMailOff } from '@tabler/icons-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { verifyEmail } from '../../lib/api-client';
+
+// Landing page of the link in verification emails (/verify-email/:token). Works whether or not the user is
+// signed in on this device; a signed-in user's profile is refreshed so Settings shows the address as verified.
+export default function VerifyEmailPage() {
+  const router = useRouter();
+  const { token } = router.query;
+  const { isAuthenticated, refreshUser } = useAuth();
+
+  const [state, setState] = useState('loading'); // loading | verified | failed
+  const [result, setResult] = useState(null);
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    // Links are single use, so only ask once even when the effect runs twice
+    requested.current = true;
+    verifyEmail(token).then((response) => {
+      setResult(response);
+      setState(response.success ? 'verified' : 'failed');
+    });
+  }, [token]);
+
+  useEffect(() => {
+    if (state === 'verified' && isAuthenticated) refreshUser();
+  }, [state, isAuthenticated, refreshUser]);
+
+  return (
+    <>
+      <Head>
+        <title>Verify email · AI Pasta</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="min-h-screen bg-gray-50 dark:bg-neutral-900 flex items-center justify-center px-4">
+        <div className="max-w-sm w-full p-6 rounded-2xl bg-white dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 text-center space-y-3">
+          {state === 'loading' && (
+            <div className="flex justify-center py-6 text-neutral-400">
+              <IconLoader className="w-6 h-6 animate-spin" />
+            </div>
+          )}
+
+          {state === 'verified' && (
+            <>
+              <IconMailCheck className="w-8 h-8 mx-auto text-green-600 dark:text-green-400" />
+              <h1 className="text-lg font-semibold text-neutral-900 dark:text-neutral-100">Email verified</h1>
+              <p className="text-sm text-neutral-600 dark:text-neutral-400">
+                {result?.email ? `${result.email} is confirmed.` : 'Your email address is confirmed.'}
+              </p>
+            </>
+          )}
+
+          {state === 'failed' && (
+            <>
+              <IconMailOff className="w-8 h-8 mx-auto text-neutral-400" />
+              <h1 className="text-lg font-semibold text-neutral-900 dark:text-neutral-100">Could not verify your email</h1>
+              <p className="text-sm text-neutral-600 dark:text-neutral-400">
+                {result?.error || 'This link is not valid.'} You can send a new link from Settings.
+              </p>
+            </>
+          )}
+
+          {state !== 'loading' && (
+            <Link href="/chat" className="inline-block px-4 py-2 rounded-lg bg-purple-600 hover:bg-purple-700 text-white text-sm font-medium">
+              Go to AI Pasta
+            </Link>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,6 +1,7 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { IconCurrency, IconPhoto, IconMusic, IconAlertTriangle, IconInfoCircle } from '@tabler/icons-react';
 import { formatCurrency, formatTokens } from '../../lib/wallet';
+import { fetchTokenQuote } from '../../utils/tokens';
 
 const CostEstimation = ({ 
   model, 
@@ -9,30 +10,44 @@ const CostEstimation = ({
   showDetailed = false,
   className = '' 
 }) => {
+  const [quote, setQuote] = useState(null);
+
+  const imageCount = model?.capabilities?.image
+    ? attachedFiles.filter(file => file.type.startsWith('image/')).length
+    : 0;
+
+  // Token amounts come from the backend quote so they match what will be charged
+  useEffect(() => {
+    if (!model) return undefined;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      const result = await fetchTokenQuote([model], inputText, { imageCount, signal: controller.signal });
+      if (!controller.signal.aborted) setQuote(result);
+    }, 400);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [model, inputText, imageCount]);
+
   if (!model || !model.pricing) {
     return null;
   }
 
-  // Calculate text costs
-  const inputTokens = Math.ceil(inputText.length / 4); // ~4 chars per token
-  const estimatedOutputTokens = 150; // Reasonable default
-  const textInputCost = (inputTokens / 1000) * (model.pricing.input || 0);
-  const textOutputCost = (estimatedOutputTokens / 1000) * (model.pricing.output || 0);
-  const textTotalCost = textInputCost + textOutputCost;
-  // Token estimate (convert USD cost to tokens when possible)
-  const estimatedTokenTotal = Math.ceil((textTotalCost) / 0.001); // TOKEN_VALUE_USD = 0.001
-
-  // Calculate multimodal costs
-  let imageCost = 0;
+  const modelQuote = quote?.quotes?.[0] || null;
+  const inputTokens = modelQuote ? modelQuote.promptTokens : Math.ceil(inputText.length / 4); // ~4 chars per token
+  const estimatedOutputTokens = modelQuote ? modelQuote.completionTokens : 150;
+  const textInputCost = modelQuote ? modelQuote.cost.inputCost : inputTokens * (model.pricing.input || 0);
+  const textOutputCost = modelQuote ? modelQuote.cost.outputCost : estimatedOutputTokens * (model.pricing.output || 0);
+  const imageCost = modelQuote ? modelQuote.cost.imageCost : imageCount * (model.pricing.image || 0);
+
+  // Audio is not billed by the quote yet; show its provider cost for reference only
   let audioCost = 0;
-  let imageCount = 0;
   let audioDuration = 0;
-
   attachedFiles.forEach(file => {
-    if (file.type.startsWith('image/') && model.capabilities.image) {
-      imageCost += model.pricing.image || 0;
-      imageCount += 1;
-    } else if (file.type.startsWith('audio/') && model.capabilities.audio) {
+    if (file.type.startsWith('audio/') && model.capabilities.audio) {
       // Rough estimation: 2MB per minute of audio
       const minutes = Math.max(1, Math.ceil(file.size / (1024 * 1024 * 2)));
       audioCost += minutes * (model.pricing.audio || 0);
@@ -40,7 +55,8 @@ const CostEstimation = ({
     }
   });
 
-  const totalEstimatedCost = textTotalCost + imageCost + audioCost;
+  const totalEstimatedCost = textInputCost + textOutputCost + imageCost + audioCost;
+  const estimatedTokenTotal = modelQuote ? modelQuote.estimatedTokens : null;
 
   if (showDetailed) {
     return (
@@ -59,7 +75,7 @@ const CostEstimation = ({
               Input ({inputTokens.toLocaleString()} tokens)
             </span>
             <span className="font-medium text-neutral-900 dark:text-neutral-100">
-              {formatTokens( Math.ceil((textInputCost) / 0.001) )}
+              {formatCurrency(textInputCost)}
             </span>
           </div>
           
@@ -68,7 +84,7 @@ const CostEstimation = ({
               Output (~{estimatedOutputTokens.toLocaleString()} tokens)
             </span>
             <span className="font-medium text-neutral-900 dark:text-neutral-100">
-              {formatTokens( Math.ceil((textOutputCost) / 0.001) )}
+              {formatCurrency(textOutputCost)}
             </span>
           </div>
 
@@ -80,7 +96,7 @@ const CostEstimation = ({
                 Images ({imageCount})
               </span>
               <span className="font-medium text-neutral-900 dark:text-neutral-100">
-                {formatTokens( Math.ceil((imageCost) / 0.001) )}
+                {formatCurrency(imageCost)}
               </span>
             </div>
           )}
@@ -93,7 +109,7 @@ const CostEstimation = ({
                 Audio (~{audioDuration}min)
               </span>
               <span className="font-medium text-neutral-900 dark:text-neutral-100">
-                {formatTokens( Math.ceil((audioCost) / 0.001) )}
+                {formatCurrency(audioCost)}
               </span>
             </div>
           )}
@@ -107,7 +123,7 @@ const CostEstimation = ({
               Total Estimated Cost
             </span>
             <span className="text-purple-600 dark:text-purple-400">
-              {formatTokens( Math.ceil((totalEstimatedCost) / 0.001) )}
+              {estimatedTokenTotal !== null ? formatTokens(estimatedTokenTotal) : '…'}
             </span>
           </div>
         </div>
@@ -138,7 +154,7 @@ const CostEstimation = ({
         Est. cost:
       </span>
       <span className="font-medium text-purple-600 dark:text-purple-400">
-        {formatTokens( Math.ceil((totalEstimatedCost) / 0.001) )}
+        {estimatedTokenTotal !== null ? formatTokens(estimatedTokenTotal) : '…'}
       </span>
       {totalEstimatedCost > 0.01 && (
         <IconInfoCircle className="w-4 h-4 text-neutral-400" title="This is a rough estimate. Actual costs may vary." />
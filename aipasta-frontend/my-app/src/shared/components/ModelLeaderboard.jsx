@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { IconTrophy, IconLoader, IconThumbUp, IconThumbDown } from '@tabler/icons-react';
+import { getModelLeaderboard } from '../../lib/api-client';
+
+const formatPercent = value => (value === null ? '–' : `${Math.round(value * 100)}%`);
+
+// The user's models ranked by an Elo-style rating from their comparison votes, with win rates and the
+// ratings they gave single answers. Optionally counts only votes cast in blind mode.
+const ModelLeaderboard = ({ className = '' }) => {
+  const [blindOnly, setBlindOnly] = useState(false);
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    getModelLeaderboard({ blind: blindOnly }).then((result) => {
+      if (cancelled) return;
+      setLoading(false);
+      if (result.success) {
+        setLeaderboard(result);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [blindOnly]);
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-sm font-medium text-neutral-800 dark:text-neutral-100 flex items-center gap-2">
+          <IconTrophy className="w-4 h-4 text-purple-600" /> Model Leaderboard
+        </h3>
+        <label className="flex items-center gap-1.5 text-xs text-neutral-600 dark:text-neutral-400 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={blindOnly}
+            onChange={(e) => setBlindOnly(e.target.checked)}
+            className="accent-purple-600"
+          />
+          Blind votes only
+        </label>
+      </div>
+      <p className="text-xs text-neutral-600 dark:text-neutral-400 mb-2">
+        From your votes on comparisons{leaderboard ? ` (${leaderboard.totalVotes})` : ''} and the answers you rated.
+      </p>
+
+      {loading && !leaderboard && (
+        <div className="flex justify-center py-4 text-neutral-400">
+          <IconLoader className="w-4 h-4 animate-spin" />
+        </div>
+      )}
+      {error && <div className="text-xs text-red-500">{error}</div>}
+      {leaderboard && leaderboard.models.length === 0 && (
+        <div className="text-xs text-neutral-500 dark:text-neutral-400 py-2">
+          Vote for the best answer of a comparison, or rate an answer, to start your leaderboard.
+        </div>
+      )}
+
+      {leaderboard && leaderboard.models.length > 0 && (
+        <div className={`overflow-x-auto scrollbar-custom ${loading ? 'opacity-60' : ''}`}>
+          <table className="w-full text-xs text-left">
+            <thead className="text-neutral-500 dark:text-neutral-400">
+              <tr className="border-b border-neutral-200 dark:border-neutral-600">
+                <th className="py-1.5 pr-2 font-medium">#</th>
+                <th className="py-1.5 pr-2 font-medium">Model</th>
+                <th className="py-1.5 pr-2 font-medium text-right">Elo</th>
+                <th className="py-1.5 pr-2 font-medium text-right">W / L / T</th>
+                <th className="py-1.5 pr-2 font-medium text-right">Win rate</th>
+                <th className="py-1.5 pr-2 font-medium text-right">Avg score</th>
+                <th className="py-1.5 font-medium text-right">Thumbs</th>
+              </tr>
+            </thead>
+            <tbody className="text-neutral-800 dark:text-neutral-100 tabular-nums">
+              {leaderboard.models.map((model, index) => (
+                <tr key={model.modelId} className="border-b border-neutral-100 dark:border-neutral-700 last:border-0">
+                  <td className="py-1.5 pr-2 text-neutral-500">{index + 1}</td>
+                  <td className="py-1.5 pr-2 min-w-0">
+                    <div className="truncate max-w-[16rem] font-medium">{model.name}</div>
+                    {model.provider && <div className="text-neutral-500 dark:text-neutral-400">{model.provider}</div>}
+                  </td>
+                  <td className="py-1.5 pr-2 text-right font-medium">{model.elo ?? '–'}</td>
+                  <td className="py-1.5 pr-2 text-right">{model.votes > 0 ? `${model.wins} / ${model.losses} / ${model.ties}` : '–'}</td>
+                  <td className="py-1.5 pr-2 text-right">{formatPercent(model.winRate)}</td>
+                  <td className="py-1.5 pr-2 text-right">
+                    {model.ratings.averageScore === null ? '–' : `${model.ratings.averageScore.toFixed(1)} ★`}
+                  </td>
+                  <td className="py-1.5 text-right whitespace-nowrap">
+                    <span className="inline-flex items-center gap-0.5 mr-2"><IconThumbUp className="w-3 h-3" />{model.ratings.thumbsUp}</span>
+                    <span className="inline-flex items-center gap-0.5"><IconThumbDown className="w-3 h-3" />{model.ratings.thumbsDown}</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelLeaderboard;
@@ -1,7 +1,46 @@
 import React, { useState, useEffect } from 'react';
-import { buildApiUrl } from '../../lib/api-client.js';
+import {
+  buildApiUrl,
+  getOrganizations,
+  getActiveWorkspaceId,
+  getSubscription,
+  subscribeToPlan,
+  verifySubscription,
+  getSubscriptionQuote,
+  changeSubscriptionPlan,
+  cancelSubscription,
+  pauseSubscription,
+  resumeSubscription
+} from '../../lib/api-client.js';
 import { useAuth } from '../../contexts/AuthContext.js';
-import { IconCurrency, IconCheck, IconStar, IconBolt, IconShield, IconRocket, IconX } from '@tabler/icons-react';
+import { IconCurrency, IconCheck, IconStar, IconBolt, IconShield, IconRocket, IconX, IconRepeat } from '@tabler/icons-react';
+
+// Subscription statuses in which the user is subscribed (a 'created' one never finished checkout)
+const SUBSCRIBED_STATUSES = ['authenticated', 'active', 'pending', 'paused'];
+
+const SUBSCRIPTION_STATUS_LABELS = {
+  authenticated: 'Starting',
+  active: 'Active',
+  pending: 'Payment retrying',
+  paused: 'Paused',
+  halted: 'Stopped after failed payments',
+  cancelled: 'Cancelled',
+  completed: 'Completed',
+  expired: 'Expired'
+};
+
+const formatDate = value => (value ? new Date(value).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' }) : '');
+
+// Load Razorpay Checkout on first use
+const loadRazorpayScript = () => new Promise((resolve, reject) => {
+  if (window.Razorpay) return resolve();
+  const s = document.createElement('script');
+  s.src = 'https://checkout.razorpay.com/v1/checkout.js';
+  s.async = true;
+  s.onload = resolve;
+  s.onerror = () => reject(new Error('Failed to load Razorpay script'));
+  document.body.appendChild(s);
+});
 
 const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
   const [plans, setPlans] = useState([]);
@@ -9,14 +48,40 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
   const [error, setError] = useState(null);
   const [selectedPlan, setSelectedPlan] = useState(null);
   const [purchasing, setPurchasing] = useState(false);
+  // Active team workspace the user can buy for (owners and admins), and whether this purchase is for it
+  const [workspace, setWorkspace] = useState(null);
+  const [buyForWorkspace, setBuyForWorkspace] = useState(false);
+  // Monthly subscription (plans with a razorpayPlanId are billed monthly instead of bought once)
+  const [subscription, setSubscription] = useState(null);
+  const [subscriptionBusy, setSubscriptionBusy] = useState(false);
   const { user } = useAuth();
 
   useEffect(() => {
     if (isOpen) {
       loadPlans();
+      loadWorkspace();
+      loadSubscription();
     }
   }, [isOpen]);
 
+  const loadSubscription = async () => {
+    const result = await getSubscription();
+    if (result.success) setSubscription(result.subscription);
+  };
+
+  const isSubscribed = Boolean(subscription && SUBSCRIBED_STATUSES.includes(subscription.status));
+
+  const loadWorkspace = async () => {
+    const activeId = getActiveWorkspaceId();
+    if (!activeId) return;
+    const result = await getOrganizations();
+    const organization = result.success && result.organizations.find(entry => entry._id === activeId);
+    if (organization && ['owner', 'admin'].includes(organization.role)) {
+      setWorkspace(organization);
+      setBuyForWorkspace(true);
+    }
+  };
+
   // Local safe JSON parser: read text, detect HTML/dev-overlay, and attempt JSON.parse
   const safeParseResponse = async (response) => {
     const text = await response.text();
@@ -57,7 +122,95 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
     }
   };
 
+  // First payment of a monthly plan: Razorpay Checkout for the subscription, then verify it to get the first month's tokens
+  const handleSubscribe = async (plan) => {
+    try {
+      setPurchasing(true);
+      const started = await subscribeToPlan(plan._id);
+      if (!started.success) throw new Error(started.error);
+
+      await loadRazorpayScript();
+      const rzp = new window.Razorpay({
+        key: started.razorpayKey,
+        subscription_id: started.subscriptionId,
+        name: 'AI Pasta',
+        description: `${plan.displayName} (monthly)`,
+        handler: async function (response) {
+          const verified = await verifySubscription({
+            razorpay_payment_id: response.razorpay_payment_id,
+            razorpay_subscription_id: response.razorpay_subscription_id,
+            razorpay_signature: response.razorpay_signature
+          });
+          if (!verified.success) {
+            // The subscription.charged webhook still grants the tokens
+            alert('Payment received, but confirming it failed. Your tokens will be credited shortly.');
+            loadSubscription();
+            return;
+          }
+          setSubscription(verified.subscription);
+          if (onPlanSelect) onPlanSelect(verified);
+          alert(`Subscribed to ${plan.displayName} — ${plan.tokens.toLocaleString()} tokens credited. They renew every month.`);
+          onClose();
+        },
+        prefill: {
+          name: user?.name || '',
+          email: user?.email || '',
+          contact: user?.phone || ''
+        },
+        theme: {
+          color: '#6D28D9'
+        }
+      });
+      rzp.open();
+    } catch (err) {
+      console.error('Subscription error:', err);
+      alert(`Error: ${err.message || 'Could not start the subscription. Please try again.'}`);
+    } finally {
+      setPurchasing(false);
+    }
+  };
+
+  // Switch the subscription to another monthly plan after showing what it costs
+  const handleChangePlan = async (plan) => {
+    setSubscriptionBusy(true);
+    try {
+      const priced = await getSubscriptionQuote(plan._id);
+      if (!priced.success) throw new Error(priced.error);
+      const { quote } = priced;
+      const message = quote.upgrade
+        ? `Upgrade to ${plan.displayName} now? You pay ₹${quote.amountINR} for the rest of this period and get ${quote.tokens.toLocaleString()} extra tokens right away. After that it renews at ₹${plan.priceINR}/month.`
+        : `Switch to ${plan.displayName} at your next renewal (${formatDate(quote.effectiveAt)})? Nothing changes until then.`;
+      if (!window.confirm(message)) return;
+
+      const changed = await changeSubscriptionPlan(plan._id);
+      if (!changed.success) throw new Error(changed.error);
+      setSubscription(changed.subscription);
+      alert(changed.message);
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    } finally {
+      setSubscriptionBusy(false);
+    }
+  };
+
+  const handleSubscriptionAction = async (action, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+    setSubscriptionBusy(true);
+    const result = await action();
+    setSubscriptionBusy(false);
+    if (!result.success) {
+      alert(`Error: ${result.error}`);
+      return;
+    }
+    setSubscription(result.subscription);
+  };
+
   const handlePurchase = async (plan) => {
+    if (plan.razorpayPlanId) {
+      return isSubscribed ? handleChangePlan(plan) : handleSubscribe(plan);
+    }
+    const organizationId = buyForWorkspace && workspace ? workspace._id : undefined;
+    const creditedTo = organizationId ? ` to ${workspace.name}` : '';
     try {
       setPurchasing(true);
       // For free plans, fallback to mock purchase endpoint which credits tokens server-side
@@ -69,13 +222,13 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${localStorage.getItem('authToken')}`
           },
-          body: JSON.stringify({ paymentMethod: 'mock' })
+          body: JSON.stringify({ paymentMethod: 'mock', organizationId })
         });
         const result = await safeParseResponse(response);
         if (result && result.__nonJson) throw new Error('Non-JSON response from purchase endpoint');
         if (result.status === 'success') {
           if (onPlanSelect) onPlanSelect(result.data);
-          alert(`Successfully activated ${plan.displayName}!${plan.tokens > 0 ? ` You received ${plan.tokens.toLocaleString()} tokens.` : ''}`);
+          alert(`Successfully activated ${plan.displayName}${creditedTo}!${plan.tokens > 0 ? ` ${plan.tokens.toLocaleString()} tokens added.` : ''}`);
           onClose();
           return;
         }
@@ -89,7 +242,8 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('authToken')}`
-        }
+        },
+        body: JSON.stringify({ organizationId })
       });
       const createResult = await safeParseResponse(createRes);
       if (createResult && createResult.__nonJson) throw new Error('Non-JSON response from create-order');
@@ -97,16 +251,7 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
 
       const { orderId, amount, currency, razorpayKey } = createResult.data;
 
-      // Load Razorpay script dynamically
-      await new Promise((resolve, reject) => {
-        if (window.Razorpay) return resolve();
-        const s = document.createElement('script');
-        s.src = 'https://checkout.razorpay.com/v1/checkout.js';
-        s.async = true;
-        s.onload = resolve;
-        s.onerror = () => reject(new Error('Failed to load Razorpay script'));
-        document.body.appendChild(s);
-      });
+      await loadRazorpayScript();
 
       const options = {
         key: razorpayKey,
@@ -161,7 +306,7 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
             if (verifyResult.status === 'success') {
               console.log('✅ Payment verification successful:', verifyResult);
               if (onPlanSelect) onPlanSelect(verifyResult.data);
-              alert(`Payment successful — ${plan.tokens.toLocaleString()} tokens credited.`);
+              alert(`Payment successful — ${plan.tokens.toLocaleString()} tokens credited${creditedTo}.`);
               onClose();
             } else {
               throw new Error(verifyResult.message || 'Verification failed');
@@ -309,8 +454,100 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
               </button>
             </div>
           ) : (
+            <>
+            {subscription && subscription.status !== 'created' && (
+              <div className="mb-6 p-4 rounded-xl border border-purple-200 dark:border-purple-800 bg-purple-50 dark:bg-purple-900/20 flex flex-col md:flex-row md:items-center gap-3">
+                <IconRepeat className="w-6 h-6 flex-shrink-0 text-purple-600 dark:text-purple-400" />
+                <div className="flex-1 text-sm text-neutral-700 dark:text-neutral-300">
+                  <div className="font-semibold text-neutral-900 dark:text-neutral-100">
+                    {subscription.plan?.displayName || 'Monthly plan'} · {SUBSCRIPTION_STATUS_LABELS[subscription.status] || subscription.status}
+                  </div>
+                  {isSubscribed && subscription.currentPeriodEnd && (
+                    <div>
+                      {subscription.cancelAtPeriodEnd
+                        ? `Ends on ${formatDate(subscription.currentPeriodEnd)}. Your tokens stay after that.`
+                        : subscription.status === 'paused'
+                        ? 'Billing is paused. Tokens you already have stay usable.'
+                        : `Renews on ${formatDate(subscription.currentPeriodEnd)} with ${(subscription.scheduledPlan?.tokens ?? subscription.plan?.tokens ?? 0).toLocaleString()} tokens.`}
+                    </div>
+                  )}
+                  {isSubscribed && subscription.plan?.tokenRenewal && (
+                    <div className="text-xs text-neutral-500">
+                      {subscription.plan.tokenRenewal === 'rollover'
+                        ? `Unused tokens roll over${subscription.plan.maxRolloverTokens != null ? ` (up to ${formatTokens(subscription.plan.maxRolloverTokens)})` : ''}.`
+                        : 'Unused monthly tokens reset at renewal.'}
+                    </div>
+                  )}
+                  {subscription.scheduledPlan && (
+                    <div>Switching to {subscription.scheduledPlan.displayName} at the next renewal.</div>
+                  )}
+                  {!isSubscribed && (
+                    <div>Your tokens stay usable. Subscribe again below any time.</div>
+                  )}
+                </div>
+                {isSubscribed && (
+                  <div className="flex flex-wrap gap-2">
+                    {subscription.scheduledPlan && subscription.plan && (
+                      <button
+                        onClick={() => handleSubscriptionAction(() => changeSubscriptionPlan(subscription.plan._id))}
+                        disabled={subscriptionBusy}
+                        className="px-3 py-1.5 rounded-lg text-sm border border-neutral-300 dark:border-neutral-600 hover:bg-white dark:hover:bg-neutral-700 disabled:opacity-50"
+                      >
+                        Keep {subscription.plan.displayName}
+                      </button>
+                    )}
+                    {subscription.status === 'active' && (
+                      <button
+                        onClick={() => handleSubscriptionAction(pauseSubscription, 'Pause billing? You keep your tokens, but no new monthly tokens arrive until you resume.')}
+                        disabled={subscriptionBusy}
+                        className="px-3 py-1.5 rounded-lg text-sm border border-neutral-300 dark:border-neutral-600 hover:bg-white dark:hover:bg-neutral-700 disabled:opacity-50"
+                      >
+                        Pause
+                      </button>
+                    )}
+                    {subscription.status === 'paused' && (
+                      <button
+                        onClick={() => handleSubscriptionAction(resumeSubscription)}
+                        disabled={subscriptionBusy}
+                        className="px-3 py-1.5 rounded-lg text-sm bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50"
+                      >
+                        Resume
+                      </button>
+                    )}
+                    {!subscription.cancelAtPeriodEnd && (
+                      <button
+                        onClick={() => handleSubscriptionAction(
+                          cancelSubscription,
+                          subscription.status === 'active'
+                            ? `Cancel your subscription? It stays active until ${formatDate(subscription.currentPeriodEnd)} and is not renewed.`
+                            : 'Cancel your subscription now?'
+                        )}
+                        disabled={subscriptionBusy}
+                        className="px-3 py-1.5 rounded-lg text-sm text-red-600 border border-red-200 dark:border-red-800 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+                      >
+                        Cancel subscription
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+            {workspace && (
+              <div className="mb-6 flex items-center justify-center gap-2 text-sm text-neutral-700 dark:text-neutral-300">
+                <span>Buy for</span>
+                <select
+                  value={buyForWorkspace ? 'workspace' : 'personal'}
+                  onChange={(e) => setBuyForWorkspace(e.target.value === 'workspace')}
+                  className="px-2 py-1 rounded-lg border border-neutral-300 dark:border-neutral-600 bg-white dark:bg-neutral-700"
+                >
+                  <option value="workspace">{workspace.name} (shared by {workspace.memberCount} {workspace.memberCount === 1 ? 'member' : 'members'})</option>
+                  <option value="personal">Just me</option>
+                </select>
+              </div>
+            )}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-              {plans.map((plan) => {
+              {/* Monthly plans are personal: workspaces buy one-time packs */}
+              {plans.filter(plan => !(buyForWorkspace && workspace && plan.razorpayPlanId)).map((plan) => {
                 const color = getPlanColor(plan.modelType);
                 const isPocketPack = plan.name === 'pocket-pack';
                 const isProEssential = plan.modelType === 'paid';
@@ -319,6 +556,7 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
                 const savings = getSavingsPercent(plan.priceINR, highestPrice);
                 const urgencyText = getUrgencyText(plan.name);
                 const socialProof = getSocialProof(plan.name);
+                const isCurrentSubscription = isSubscribed && String(subscription.plan?._id) === String(plan._id);
                 
                 return (
                   <div
@@ -392,6 +630,9 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
                             }`}>
                               ₹{plan.priceINR}
                             </span>
+                            {plan.razorpayPlanId && (
+                              <span className="ml-1 text-sm text-neutral-500">/month</span>
+                            )}
                           </div>
                           
                           {/* Daily cost psychology */}
@@ -401,7 +642,7 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
                           
                           {/* Token value */}
                           <div className="text-xs text-neutral-500">
-                            {formatTokens(plan.tokens)} tokens included
+                            {formatTokens(plan.tokens)} tokens {plan.razorpayPlanId ? 'every month' : 'included'}
                           </div>
                           
                           {/* Pocket Pack special messaging */}
@@ -438,7 +679,7 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
                     {/* Purchase button with psychology */}
                     <button
                       onClick={() => handlePurchase(plan)}
-                      disabled={purchasing}
+                      disabled={purchasing || isCurrentSubscription || (plan.razorpayPlanId && subscriptionBusy)}
                       className={`w-full py-4 px-4 rounded-xl font-bold text-lg transition-all duration-200 transform hover:scale-105 active:scale-95 shadow-lg hover:shadow-xl ${
                         isPocketPack
                           ? 'bg-gradient-to-r from-orange-500 to-red-500 hover:from-orange-600 hover:to-red-600 text-white animate-pulse'
@@ -452,6 +693,14 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
                           <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-current mr-2"></div>
                           Processing...
                         </div>
+                      ) : isCurrentSubscription ? (
+                        <span className="flex items-center justify-center">
+                          ✅ Your Plan
+                        </span>
+                      ) : plan.razorpayPlanId ? (
+                        <span className="flex items-center justify-center">
+                          {isSubscribed ? '🔁 Switch Plan' : '🔁 Subscribe Monthly'}
+                        </span>
                       ) : plan.priceINR === 0 ? (
                         <span className="flex items-center justify-center">
                           🚀 Start Free Journey
@@ -500,6 +749,7 @@ const PlansModal = ({ isOpen, onClose, onPlanSelect }) => {
                 );
               })}
             </div>
+            </>
           )}
         </div>
 
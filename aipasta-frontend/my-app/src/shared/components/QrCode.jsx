@@ -0,0 +1,33 @@
+import React, { useMemo } from 'react';
+import { encodeQrCode } from '../../lib/qrCode';
+
+const QUIET_ZONE = 4;
+
+// A QR code for value as an SVG, one path for all dark modules. Always black on white so scanners can read
+// it in dark mode too.
+const QrCode = ({ value, size = 176, className = '' }) => {
+  const modules = useMemo(() => (value ? encodeQrCode(value) : null), [value]);
+  if (!modules) return null;
+
+  const dimension = modules.length + QUIET_ZONE * 2;
+  const path = modules
+    .flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z` : '')))
+    .join('');
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox={`0 0 ${dimension} ${dimension}`}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label="QR code"
+      className={className}
+    >
+      <rect width={dimension} height={dimension} fill="#ffffff" />
+      <path d={path} fill="#000000" />
+    </svg>
+  );
+};
+
+export default QrCode;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { IconDevices, IconLoader } from '@tabler/icons-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { getSessions, revokeSession } from '../../lib/api-client';
+
+const formatLastActive = (value) => {
+  const minutes = Math.floor((Date.now() - new Date(value).getTime()) / 60000);
+  if (minutes < 1) return 'Active now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`;
+  return new Date(value).toLocaleDateString();
+};
+
+// Devices signed in to the account, with per-device sign-out and "sign out everywhere"
+const SessionsSettings = ({ className = '' }) => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState(null);
+  // Id of the session being signed out, or 'all'
+  const [signingOut, setSigningOut] = useState(null);
+
+  const loadSessions = async () => {
+    const result = await getSessions();
+    if (result.success) {
+      setSessions(result.sessions);
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleSignOut = async (session) => {
+    setSigningOut(session.id);
+    const result = await revokeSession(session.id);
+    setSigningOut(null);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    if (session.current) {
+      await logout();
+      return;
+    }
+    setSessions(prev => prev.filter(entry => entry.id !== session.id));
+  };
+
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    setSigningOut('all');
+    const result = await revokeSession();
+    if (!result.success) {
+      setSigningOut(null);
+      setError(result.error);
+      return;
+    }
+    await logout();
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-sm font-medium text-neutral-800 dark:text-neutral-100 flex items-center gap-2">
+          <IconDevices className="w-4 h-4 text-purple-600" /> Sessions
+        </h3>
+        {sessions && sessions.length > 0 && (
+          <button
+            onClick={handleSignOutEverywhere}
+            disabled={Boolean(signingOut)}
+            className="px-2 py-0.5 text-xs rounded border border-red-300 text-red-600 dark:border-red-700 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+          >
+            {signingOut === 'all' ? 'Signing out…' : 'Sign out everywhere'}
+          </button>
+        )}
+      </div>
+      <p className="text-xs text-neutral-600 dark:text-neutral-400 mb-2">
+        Devices signed in to your account.
+      </p>
+
+      {!sessions && !error && (
+        <div className="flex justify-center py-2 text-neutral-400">
+          <IconLoader className="w-4 h-4 animate-spin" />
+        </div>
+      )}
+      {sessions && sessions.length === 0 && (
+        <div className="text-xs text-neutral-500 dark:text-neutral-400">
+          No device sessions yet. Sign in again to see this device here.
+        </div>
+      )}
+      {sessions && sessions.length > 0 && (
+        <ul className="space-y-1.5">
+          {sessions.map(session => (
+            <li key={session.id} className="flex items-center justify-between gap-2 text-sm">
+              <div className="min-w-0">
+                <div className="font-medium text-neutral-900 dark:text-neutral-100 truncate" title={session.userAgent}>
+                  {session.device || 'Unknown device'}
+                  {session.current && (
+                    <span className="ml-1.5 px-1.5 py-0.5 rounded-full text-[10px] bg-purple-100 text-purple-700 dark:bg-purple-900/30 dark:text-purple-300">
+                      This device
+                    </span>
+                  )}
+                </div>
+                <div className="text-xs text-neutral-500 dark:text-neutral-400">
+                  {[session.ip, formatLastActive(session.lastUsedAt)].filter(Boolean).join(' · ')}
+                </div>
+              </div>
+              <button
+                onClick={() => handleSignOut(session)}
+                disabled={Boolean(signingOut)}
+                className="flex-shrink-0 px-2 py-0.5 text-xs rounded border border-neutral-300 dark:border-neutral-600 text-neutral-700 dark:text-neutral-300 hover:bg-white/40 dark:hover:bg-gray-700/40 disabled:opacity-50"
+              >
+                {signingOut === session.id ? 'Signing out…' : 'Sign out'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <div className="mt-2 text-xs text-red-500">{error}</div>}
+    </div>
+  );
+};
+
+export default SessionsSettings;
@@ -1,7 +1,12 @@
 import React, { useState } from 'react';
-import { IconX, IconUser, IconWallet, IconRefresh } from '@tabler/icons-react';
+import { IconX, IconUser, IconWallet, IconRefresh, IconMailCheck } from '@tabler/icons-react';
 import WalletDisplay from './WalletDisplay';
+import ModelLeaderboard from './ModelLeaderboard';
+import TwoFactorSettings from './TwoFactorSettings';
+import SessionsSettings from './SessionsSettings';
+import WorkspaceSettings from './WorkspaceSettings';
 import { useAuth } from '../../contexts/AuthContext';
+import { updateUserPreferences, sendVerificationEmail } from '../../lib/api-client';
 
 const SettingsModal = ({ isOpen, onClose, onUpgradeClick }) => {
   if (!isOpen) return null;
@@ -9,6 +14,25 @@ const SettingsModal = ({ isOpen, onClose, onUpgradeClick }) => {
   // Pull authoritative user snapshot from AuthContext so wallet UI shows server values
   const { user, refreshUser, credits } = useAuth();
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [savingPreference, setSavingPreference] = useState(false);
+  const [verification, setVerification] = useState({ sending: false, message: null, error: null });
+
+  const handlePreferenceChange = async (changes) => {
+    setSavingPreference(true);
+    const result = await updateUserPreferences(changes);
+    if (result.success) {
+      await refreshUser();
+    } else {
+      console.error('❌ Failed to save preference:', result.error);
+    }
+    setSavingPreference(false);
+  };
+
+  const handleSendVerification = async () => {
+    setVerification({ sending: true, message: null, error: null });
+    const result = await sendVerificationEmail();
+    setVerification({ sending: false, message: result.success ? result.message : null, error: result.success ? null : result.error });
+  };
 
   const handleRefreshUser = async () => {
     setIsRefreshing(true);
@@ -151,6 +175,29 @@ const SettingsModal = ({ isOpen, onClose, onUpgradeClick }) => {
                       {user?.email || 'N/A'}
                     </span>
                   </div>
+                  {user && (
+                    <div className="flex justify-between items-center text-sm">
+                      <span className="text-neutral-600 dark:text-neutral-400">Email status:</span>
+                      {user.emailVerifiedAt ? (
+                        <span className="inline-flex items-center gap-1 text-xs font-medium text-green-600 dark:text-green-400">
+                          <IconMailCheck className="w-3.5 h-3.5" /> Verified
+                        </span>
+                      ) : (
+                        <button
+                          onClick={handleSendVerification}
+                          disabled={verification.sending || Boolean(verification.message)}
+                          className="px-2 py-0.5 text-xs rounded-full border border-amber-300 text-amber-700 dark:border-amber-600 dark:text-amber-400 hover:bg-amber-50 dark:hover:bg-amber-900/20 disabled:opacity-60"
+                        >
+                          {verification.sending ? 'Sending…' : 'Not verified · Send link'}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  {(verification.message || verification.error) && (
+                    <div className={`text-xs ${verification.error ? 'text-red-500' : 'text-neutral-500 dark:text-neutral-400'}`}>
+                      {verification.error || `${verification.message}. Open the link in it to finish.`}
+                    </div>
+                  )}
                   <div className="flex justify-between text-sm">
                     <span className="text-neutral-600 dark:text-neutral-400">Role:</span>
                     <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${
@@ -290,6 +337,53 @@ const SettingsModal = ({ isOpen, onClose, onUpgradeClick }) => {
                 </div>
               </div>
 
+              {/* Chats */}
+              <div className="p-3 rounded-lg bg-white/40 dark:bg-gray-700/40 border border-white/10">
+                <h3 className="text-sm font-medium text-neutral-800 dark:text-neutral-100">Chats</h3>
+                <label className="mt-2 flex items-start gap-2 text-sm text-neutral-600 dark:text-neutral-400 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={user?.preferences?.autoTitle !== false}
+                    disabled={savingPreference || !user}
+                    onChange={(e) => handlePreferenceChange({ autoTitle: e.target.checked })}
+                    className="mt-0.5 accent-purple-600"
+                  />
+                  <span>
+                    Name new chats automatically
+                    <span className="block text-xs text-neutral-500 dark:text-neutral-400">
+                      A free model suggests a title after the first answer. It never uses your tokens.
+                    </span>
+                  </span>
+                </label>
+              </div>
+
+              {/* Email */}
+              <div className="p-3 rounded-lg bg-white/40 dark:bg-gray-700/40 border border-white/10">
+                <h3 className="text-sm font-medium text-neutral-800 dark:text-neutral-100">Email</h3>
+                <label className="mt-2 flex items-start gap-2 text-sm text-neutral-600 dark:text-neutral-400 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={user?.preferences?.lowBalanceEmails !== false}
+                    disabled={savingPreference || !user}
+                    onChange={(e) => handlePreferenceChange({ lowBalanceEmails: e.target.checked })}
+                    className="mt-0.5 accent-purple-600"
+                  />
+                  <span>
+                    Warn me when my tokens run low
+                    <span className="block text-xs text-neutral-500 dark:text-neutral-400">
+                      One email when your balance drops below the warning level. Receipts are always sent.
+                    </span>
+                  </span>
+                </label>
+              </div>
+
+              {/* Security */}
+              <TwoFactorSettings className="p-3 rounded-lg bg-white/40 dark:bg-gray-700/40 border border-white/10" />
+              <SessionsSettings className="p-3 rounded-lg bg-white/40 dark:bg-gray-700/40 border border-white/10" />
+
+              {/* Team workspaces */}
+              <WorkspaceSettings className="p-3 rounded-lg bg-white/40 dark:bg-gray-700/40 border border-white/10" onUpgradeClick={onUpgradeClick} />
+
               {/* Appearance */}
               <div className="p-3 rounded-lg bg-white/40 dark:bg-gray-700/40 border border-white/10">
                 <h3 className="text-sm font-medium text-neutral-800 dark:text-neutral-100">Appearance</h3>
@@ -301,6 +395,9 @@ const SettingsModal = ({ isOpen, onClose, onUpgradeClick }) => {
                 </div>
               </div>
             </div>
+
+            {/* Model Leaderboard */}
+            <ModelLeaderboard className="lg:col-span-2 p-3 rounded-lg bg-white/40 dark:bg-gray-700/40 border border-white/10" />
             </div>
           </div>
         </div>
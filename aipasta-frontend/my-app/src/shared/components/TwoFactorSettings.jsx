@@ -0,0 +1,279 @@
+import React, { useState, useEffect } from 'react';
+import { IconShieldLock, IconLoader, IconCopy, IconCheck } from '@tabler/icons-react';
+import QrCode from './QrCode';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../../lib/api-client';
+
+const inputClass = 'w-full px-2.5 py-1.5 text-sm rounded border border-white/30 dark:border-white/20 bg-white/60 dark:bg-white/10 text-neutral-900 dark:text-white placeholder-neutral-500 dark:placeholder-neutral-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+const primaryButtonClass = 'px-3 py-1 text-xs bg-purple-600 hover:bg-purple-700 text-white rounded disabled:opacity-50';
+const secondaryButtonClass = 'px-3 py-1 text-xs rounded border border-neutral-300 dark:border-neutral-600 text-neutral-700 dark:text-neutral-300 hover:bg-white/40 dark:hover:bg-gray-700/40 disabled:opacity-50';
+
+// Two-factor authentication with an authenticator app: setup from a QR code, recovery codes shown once,
+// regenerating them, and turning it off. Admin accounts must keep it on.
+const TwoFactorSettings = ({ className = '' }) => {
+  const { loginWithToken, refreshUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  // null, 'setup', 'disable' or 'regenerate'
+  const [step, setStep] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const loadStatus = async () => {
+    const result = await getTwoFactorStatus();
+    if (result.success) {
+      setStatus(result.twoFactor);
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetForm = () => {
+    setStep(null);
+    setSetup(null);
+    setCode('');
+    setPassword('');
+    setError(null);
+  };
+
+  const handleStartSetup = async () => {
+    setBusy(true);
+    setRecoveryCodes(null);
+    const result = await setupTwoFactor();
+    setBusy(false);
+    if (result.success) {
+      setSetup({ secret: result.secret, otpauthUrl: result.otpauthUrl });
+      setStep('setup');
+      setError(null);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    const result = await enableTwoFactor(code.replace(/\s+/g, ''));
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    // The new session token counts as having passed the second step
+    await loginWithToken(result.token, result.user, result.refreshToken);
+    resetForm();
+    setRecoveryCodes(result.recoveryCodes);
+    await loadStatus();
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    const trimmed = code.trim();
+    const result = await disableTwoFactor(/^\d{6}$/.test(trimmed.replace(/\s+/g, ''))
+      ? { password, code: trimmed.replace(/\s+/g, '') }
+      : { password, recoveryCode: trimmed });
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    resetForm();
+    setRecoveryCodes(null);
+    await Promise.all([loadStatus(), refreshUser()]);
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    const result = await regenerateRecoveryCodes(code.replace(/\s+/g, ''));
+    setBusy(false);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    resetForm();
+    setRecoveryCodes(result.recoveryCodes);
+    await loadStatus();
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy recovery codes:', err);
+    }
+  };
+
+  const codeInput = (placeholder) => (
+    <input
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder={placeholder}
+      inputMode={step === 'disable' ? 'text' : 'numeric'}
+      autoComplete="one-time-code"
+      required
+      className={inputClass}
+    />
+  );
+
+  const formButtons = (label) => (
+    <div className="flex gap-2">
+      <button type="submit" disabled={busy} className={primaryButtonClass}>
+        {busy ? 'Working…' : label}
+      </button>
+      <button type="button" onClick={resetForm} disabled={busy} className={secondaryButtonClass}>
+        Cancel
+      </button>
+    </div>
+  );
+
+  return (
+    <div className={className}>
+      <h3 className="text-sm font-medium text-neutral-800 dark:text-neutral-100 flex items-center gap-2">
+        <IconShieldLock className="w-4 h-4 text-purple-600" /> Two-Factor Authentication
+      </h3>
+      <p className="text-xs text-neutral-600 dark:text-neutral-400 mb-2">
+        Ask for a code from an authenticator app when you sign in.
+      </p>
+
+      {!status && !error && (
+        <div className="flex justify-center py-2 text-neutral-400">
+          <IconLoader className="w-4 h-4 animate-spin" />
+        </div>
+      )}
+
+      {status && !step && (
+        <div className="space-y-2">
+          <div className="flex justify-between items-center text-sm">
+            <span className="text-neutral-600 dark:text-neutral-400">Status:</span>
+            {status.enabled ? (
+              <span className="text-xs font-medium text-green-600 dark:text-green-400">
+                On{status.enabledAt ? ` since ${new Date(status.enabledAt).toLocaleDateString()}` : ''}
+              </span>
+            ) : (
+              <span className="text-xs font-medium text-neutral-500 dark:text-neutral-400">Off</span>
+            )}
+          </div>
+          {status.enabled && (
+            <div className="flex justify-between text-sm">
+              <span className="text-neutral-600 dark:text-neutral-400">Recovery codes left:</span>
+              <span className={`font-medium ${status.recoveryCodesRemaining <= 3 ? 'text-amber-600 dark:text-amber-400' : 'text-neutral-900 dark:text-neutral-100'}`}>
+                {status.recoveryCodesRemaining}
+              </span>
+            </div>
+          )}
+          {status.required && (
+            <div className="text-xs text-neutral-500 dark:text-neutral-400">
+              Admin accounts must use two-factor authentication.
+            </div>
+          )}
+          <div className="flex flex-wrap gap-2 pt-1">
+            {!status.enabled && (
+              <button onClick={handleStartSetup} disabled={busy} className={primaryButtonClass}>
+                {busy ? 'Starting…' : 'Set up'}
+              </button>
+            )}
+            {status.enabled && (
+              <button onClick={() => { setRecoveryCodes(null); setStep('regenerate'); }} className={secondaryButtonClass}>
+                New recovery codes
+              </button>
+            )}
+            {status.enabled && !status.required && (
+              <button onClick={() => { setRecoveryCodes(null); setStep('disable'); }} className={secondaryButtonClass}>
+                Turn off
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {step === 'setup' && setup && (
+        <form onSubmit={handleEnable} className="space-y-2">
+          <p className="text-xs text-neutral-600 dark:text-neutral-400">
+            Scan the code with your authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <div className="flex justify-center">
+            <QrCode value={setup.otpauthUrl} size={160} className="rounded" />
+          </div>
+          <div className="text-xs text-neutral-500 dark:text-neutral-400">
+            Can&apos;t scan it? Enter this key instead:
+            <code className="block mt-0.5 font-mono text-neutral-800 dark:text-neutral-200 break-all select-all">
+              {setup.secret.replace(/(.{4})/g, '$1 ').trim()}
+            </code>
+          </div>
+          {codeInput('123456')}
+          {formButtons('Turn on')}
+        </form>
+      )}
+
+      {step === 'disable' && (
+        <form onSubmit={handleDisable} className="space-y-2">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Current password (if you have one)"
+            autoComplete="current-password"
+            className={inputClass}
+          />
+          {codeInput('Authenticator or recovery code')}
+          {formButtons('Turn off')}
+        </form>
+      )}
+
+      {step === 'regenerate' && (
+        <form onSubmit={handleRegenerate} className="space-y-2">
+          <p className="text-xs text-neutral-600 dark:text-neutral-400">
+            Your old recovery codes stop working once new ones are generated.
+          </p>
+          {codeInput('Code from your authenticator app')}
+          {formButtons('Generate')}
+        </form>
+      )}
+
+      {recoveryCodes && (
+        <div className="mt-3 p-2.5 rounded bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-700">
+          <div className="flex items-center justify-between mb-1.5">
+            <span className="text-xs font-medium text-amber-800 dark:text-amber-300">Save your recovery codes</span>
+            <button onClick={handleCopyCodes} className="flex items-center gap-1 text-xs text-amber-800 dark:text-amber-300 hover:underline">
+              {copied ? <IconCheck className="w-3 h-3" /> : <IconCopy className="w-3 h-3" />}
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-1 font-mono text-xs text-neutral-800 dark:text-neutral-200">
+            {recoveryCodes.map(recoveryCode => <span key={recoveryCode}>{recoveryCode}</span>)}
+          </div>
+          <p className="mt-1.5 text-xs text-amber-700 dark:text-amber-400">
+            Each code signs you in once without your authenticator app. They won&apos;t be shown again.
+          </p>
+          <button onClick={() => setRecoveryCodes(null)} className="mt-1.5 text-xs text-amber-800 dark:text-amber-300 hover:underline">
+            I&apos;ve saved them
+          </button>
+        </div>
+      )}
+
+      {error && <div className="mt-2 text-xs text-red-500">{error}</div>}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,319 @@
+import React, { useState, useEffect } from 'react';
+import { IconBuildingCommunity, IconLoader, IconUserPlus, IconTrash } from '@tabler/icons-react';
+import { useAuth } from '../../contexts/AuthContext';
+import {
+  getOrganizations,
+  createOrganization,
+  getOrganization,
+  deleteOrganization,
+  getOrganizationInvitations,
+  inviteToOrganization,
+  revokeOrganizationInvitation,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  getActiveWorkspaceId,
+  setActiveWorkspaceId
+} from '../../lib/api-client';
+
+const ROLE_LABELS = { owner: 'Owner', admin: 'Admin', member: 'Member' };
+
+const canManage = organization => ['owner', 'admin'].includes(organization?.role);
+
+// Empty input means no cap
+const toCap = value => (value === '' || value == null ? null : Math.max(0, parseInt(value, 10) || 0));
+
+const formatAllowance = allowance => (allowance
+  ? `${allowance.used.toLocaleString()}${allowance.cap == null ? '' : ` / ${allowance.cap.toLocaleString()}`} tokens this month`
+  : '');
+
+// Team workspaces: create one, and for the active workspace see its shared balance and members. Owners and
+// admins also invite people, set monthly token caps and change roles; everyone can leave.
+const WorkspaceSettings = ({ className = '', onUpgradeClick }) => {
+  const { user } = useAuth();
+  const activeId = getActiveWorkspaceId();
+  const [organizations, setOrganizations] = useState(null);
+  const [details, setDetails] = useState(null); // { organization, members } of the active workspace
+  const [invitations, setInvitations] = useState([]);
+  const [newName, setNewName] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'member' });
+  const [capInputs, setCapInputs] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadDetails = async () => {
+    if (!activeId) return;
+    const result = await getOrganization(activeId);
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setDetails({ organization: result.organization, members: result.members });
+    setCapInputs(Object.fromEntries(result.members.map(member => [member.userId, member.monthlyTokenCap ?? ''])));
+    if (canManage(result.organization)) {
+      const invites = await getOrganizationInvitations(activeId);
+      if (invites.success) setInvitations(invites.invitations);
+    }
+  };
+
+  useEffect(() => {
+    getOrganizations().then((result) => {
+      if (result.success) setOrganizations(result.organizations);
+      else setError(result.error);
+    });
+    loadDetails();
+  }, []);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    const result = await action();
+    setBusy(false);
+    if (!result.success) setError(result.error);
+    return result;
+  };
+
+  const switchTo = (organizationId) => {
+    setActiveWorkspaceId(organizationId);
+    window.location.reload();
+  };
+
+  const handleCreate = async () => {
+    if (!newName.trim()) return;
+    const result = await run(() => createOrganization({ name: newName.trim() }));
+    if (result.success) switchTo(result.organization._id);
+  };
+
+  const handleInvite = async () => {
+    if (!invite.email.trim()) return;
+    const result = await run(() => inviteToOrganization(activeId, { email: invite.email.trim(), role: invite.role }));
+    if (!result.success) return;
+    setInvite({ email: '', role: 'member' });
+    setMessage(result.message);
+    setInvitations(prev => [result.invitation, ...prev.filter(entry => entry.email !== result.invitation.email)]);
+  };
+
+  const handleRevoke = async (inviteId) => {
+    const result = await run(() => revokeOrganizationInvitation(activeId, inviteId));
+    if (result.success) setInvitations(prev => prev.filter(entry => entry._id !== inviteId));
+  };
+
+  const handleMemberUpdate = async (member, updates) => {
+    if (updates.role === 'owner' && !window.confirm(`Make ${member.name} the owner? You will become an admin.`)) return;
+    const result = await run(() => updateOrganizationMember(activeId, member.userId, updates));
+    if (result.success) await loadDetails();
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.name} from ${details.organization.name}?`)) return;
+    const result = await run(() => removeOrganizationMember(activeId, member.userId));
+    if (result.success) await loadDetails();
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave ${details.organization.name}? Your unfiled chats move back to your personal workspace.`)) return;
+    const result = await run(() => removeOrganizationMember(activeId, user?._id || user?.id));
+    if (result.success) switchTo(null);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${details.organization.name}? Its remaining tokens are lost and its shared folders are deleted.`)) return;
+    const result = await run(() => deleteOrganization(activeId));
+    if (result.success) switchTo(null);
+  };
+
+  const organization = details?.organization;
+  const managing = canManage(organization);
+
+  return (
+    <div className={className}>
+      <h3 className="text-sm font-medium text-neutral-800 dark:text-neutral-100 flex items-center gap-2">
+        <IconBuildingCommunity className="w-4 h-4 text-purple-600" /> Workspaces
+      </h3>
+      <p className="text-xs text-neutral-600 dark:text-neutral-400 mb-2">
+        Team workspaces share one token balance, folders and prompts. Switch workspace from the sidebar.
+      </p>
+
+      {!organizations && !error && (
+        <div className="flex justify-center py-2 text-neutral-400">
+          <IconLoader className="w-4 h-4 animate-spin" />
+        </div>
+      )}
+
+      {organizations && (
+        <ul className="space-y-1 mb-2">
+          <li className="flex items-center justify-between gap-2 text-sm">
+            <span className="text-neutral-900 dark:text-neutral-100">Personal</span>
+            {activeId ? (
+              <button onClick={() => switchTo(null)} className="px-2 py-0.5 text-xs rounded border border-neutral-300 dark:border-neutral-600 text-neutral-700 dark:text-neutral-300 hover:bg-white/40 dark:hover:bg-gray-700/40">
+                Switch
+              </button>
+            ) : (
+              <span className="text-xs text-purple-600 dark:text-purple-400">Active</span>
+            )}
+          </li>
+          {organizations.map(entry => (
+            <li key={entry._id} className="flex items-center justify-between gap-2 text-sm">
+              <span className="min-w-0 truncate text-neutral-900 dark:text-neutral-100">
+                {entry.name}
+                <span className="ml-1.5 text-xs text-neutral-500 dark:text-neutral-400">
+                  {ROLE_LABELS[entry.role]} · {entry.memberCount} {entry.memberCount === 1 ? 'member' : 'members'}
+                </span>
+              </span>
+              {entry._id === activeId ? (
+                <span className="text-xs text-purple-600 dark:text-purple-400">Active</span>
+              ) : (
+                <button onClick={() => switchTo(entry._id)} className="flex-shrink-0 px-2 py-0.5 text-xs rounded border border-neutral-300 dark:border-neutral-600 text-neutral-700 dark:text-neutral-300 hover:bg-white/40 dark:hover:bg-gray-700/40">
+                  Switch
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex items-center gap-1 mb-3">
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          maxLength={60}
+          placeholder="New workspace name"
+          className="flex-1 min-w-0 px-2 py-1 text-sm rounded border border-neutral-300 dark:border-neutral-600 bg-transparent text-neutral-900 dark:text-neutral-100"
+        />
+        <button
+          onClick={handleCreate}
+          disabled={busy || !newName.trim()}
+          className="px-2 py-1 text-xs rounded bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50"
+        >
+          Create
+        </button>
+      </div>
+
+      {organization && (
+        <div className="space-y-3 pt-2 border-t border-white/10">
+          <div className="flex items-center justify-between gap-2 text-sm">
+            <div>
+              <div className="font-medium text-neutral-900 dark:text-neutral-100">{organization.name}</div>
+              <div className="text-xs text-neutral-500 dark:text-neutral-400">
+                {organization.tokens.balance.toLocaleString()} shared tokens
+                {organization.currentPlan ? ` · ${organization.currentPlan.name}` : ''}
+                {organization.allowance && ` · you: ${formatAllowance(organization.allowance)}`}
+              </div>
+            </div>
+            {managing && onUpgradeClick && (
+              <button onClick={onUpgradeClick} className="flex-shrink-0 px-2 py-0.5 text-xs rounded bg-purple-600 hover:bg-purple-700 text-white">
+                Buy tokens
+              </button>
+            )}
+          </div>
+
+          <div>
+            <div className="text-xs font-medium text-neutral-700 dark:text-neutral-300 mb-1">Members</div>
+            <ul className="space-y-1.5">
+              {details.members.map(member => (
+                <li key={member.userId} className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                  <div className="min-w-0">
+                    <div className="truncate text-neutral-900 dark:text-neutral-100" title={member.email}>{member.name}</div>
+                    {member.allowance && (
+                      <div className="text-xs text-neutral-500 dark:text-neutral-400">{formatAllowance(member.allowance)}</div>
+                    )}
+                  </div>
+                  {managing && member.role !== 'owner' ? (
+                    <div className="flex items-center gap-1">
+                      <input
+                        type="number"
+                        min={0}
+                        value={capInputs[member.userId] ?? ''}
+                        onChange={(e) => setCapInputs(prev => ({ ...prev, [member.userId]: e.target.value }))}
+                        onBlur={() => {
+                          const cap = toCap(capInputs[member.userId]);
+                          if (cap !== member.monthlyTokenCap) handleMemberUpdate(member, { monthlyTokenCap: cap });
+                        }}
+                        placeholder="No cap"
+                        title="Monthly token cap"
+                        className="w-24 px-1.5 py-0.5 text-xs rounded border border-neutral-300 dark:border-neutral-600 bg-transparent text-neutral-900 dark:text-neutral-100"
+                      />
+                      <select
+                        value={member.role}
+                        disabled={busy}
+                        onChange={(e) => handleMemberUpdate(member, { role: e.target.value })}
+                        className="px-1 py-0.5 text-xs rounded border border-neutral-300 dark:border-neutral-600 bg-transparent text-neutral-700 dark:text-neutral-300"
+                      >
+                        <option value="member">Member</option>
+                        {(organization.role === 'owner' || member.role === 'admin') && <option value="admin">Admin</option>}
+                        {organization.role === 'owner' && <option value="owner">Owner</option>}
+                      </select>
+                      <button onClick={() => handleRemove(member)} disabled={busy} title="Remove" className="p-1 rounded text-neutral-500 hover:text-red-600 disabled:opacity-50">
+                        <IconTrash className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                  ) : (
+                    <span className="text-xs text-neutral-500 dark:text-neutral-400">{ROLE_LABELS[member.role]}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {managing && (
+            <div>
+              <div className="text-xs font-medium text-neutral-700 dark:text-neutral-300 mb-1">Invite</div>
+              <div className="flex items-center gap-1">
+                <input
+                  type="email"
+                  value={invite.email}
+                  onChange={(e) => setInvite(prev => ({ ...prev, email: e.target.value }))}
+                  placeholder="Email address"
+                  className="flex-1 min-w-0 px-2 py-1 text-sm rounded border border-neutral-300 dark:border-neutral-600 bg-transparent text-neutral-900 dark:text-neutral-100"
+                />
+                <select
+                  value={invite.role}
+                  onChange={(e) => setInvite(prev => ({ ...prev, role: e.target.value }))}
+                  className="px-1 py-1 text-xs rounded border border-neutral-300 dark:border-neutral-600 bg-transparent text-neutral-700 dark:text-neutral-300"
+                >
+                  <option value="member">Member</option>
+                  {organization.role === 'owner' && <option value="admin">Admin</option>}
+                </select>
+                <button onClick={handleInvite} disabled={busy || !invite.email.trim()} title="Send invitation" className="p-1.5 rounded bg-purple-600 hover:bg-purple-700 text-white disabled:opacity-50">
+                  <IconUserPlus className="w-4 h-4" />
+                </button>
+              </div>
+              {invitations.length > 0 && (
+                <ul className="mt-1.5 space-y-1">
+                  {invitations.map(entry => (
+                    <li key={entry._id} className="flex items-center justify-between gap-2 text-xs text-neutral-600 dark:text-neutral-400">
+                      <span className="truncate">
+                        {entry.email} · {ROLE_LABELS[entry.role]} · expires {new Date(entry.expiresAt).toLocaleDateString()}
+                      </span>
+                      <button onClick={() => handleRevoke(entry._id)} disabled={busy} className="flex-shrink-0 hover:text-red-600 disabled:opacity-50">
+                        Revoke
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            {organization.role === 'owner' ? (
+              <button onClick={handleDelete} disabled={busy} className="px-2 py-0.5 text-xs rounded border border-red-300 text-red-600 dark:border-red-700 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50">
+                Delete workspace
+              </button>
+            ) : (
+              <button onClick={handleLeave} disabled={busy} className="px-2 py-0.5 text-xs rounded border border-red-300 text-red-600 dark:border-red-700 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50">
+                Leave workspace
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {message && <div className="mt-2 text-xs text-green-600 dark:text-green-400">{message}</div>}
+      {error && <div className="mt-2 text-xs text-red-500">{error}</div>}
+    </div>
+  );
+};
+
+export default WorkspaceSettings;
@@ -0,0 +1,52 @@
+import React, { useState, useEffect } from 'react';
+import { IconBuildingCommunity } from '@tabler/icons-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { getOrganizations, getActiveWorkspaceId, setActiveWorkspaceId } from '../../lib/api-client';
+
+// Switches between the personal workspace and the team workspaces the user belongs to. Chats, folders,
+// prompts and billing all follow the active workspace, so switching reloads the page. Hidden until the
+// user belongs to a team workspace.
+const WorkspaceSwitcher = ({ className = '' }) => {
+  const { isAuthenticated } = useAuth();
+  const [organizations, setOrganizations] = useState([]);
+  const activeId = getActiveWorkspaceId();
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    getOrganizations().then((result) => {
+      if (!result.success) return;
+      setOrganizations(result.organizations);
+      // The stored workspace was deleted or the user was removed from it: fall back to personal
+      if (activeId && !result.organizations.some(organization => organization._id === activeId)) {
+        setActiveWorkspaceId(null);
+        window.location.reload();
+      }
+    });
+  }, [isAuthenticated, activeId]);
+
+  if (!isAuthenticated || organizations.length === 0) return null;
+
+  const handleChange = (event) => {
+    setActiveWorkspaceId(event.target.value || null);
+    window.location.reload();
+  };
+
+  return (
+    <label className={`flex items-center gap-2 p-2 rounded-lg hover:bg-gray-50 dark:hover:bg-neutral-700 transition-colors ${className}`}>
+      <IconBuildingCommunity className="w-5 h-5 flex-shrink-0 text-neutral-700 dark:text-neutral-200" />
+      <select
+        value={activeId || ''}
+        onChange={handleChange}
+        title="Workspace"
+        className="flex-1 min-w-0 bg-transparent text-sm font-medium text-neutral-700 dark:text-neutral-200 focus:outline-none"
+      >
+        <option value="">Personal</option>
+        {organizations.map(organization => (
+          <option key={organization._id} value={organization._id}>{organization.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default WorkspaceSwitcher;
@@ -18,4 +18,10 @@ export { default as WalletDisplay } from './components/WalletDisplay';
 export { default as CostEstimation } from './components/CostEstimation';
 export { default as PlansModal } from './components/PlansModal';
 export { default as SettingsModal } from './components/SettingsModal';
+export { default as ModelLeaderboard } from './components/ModelLeaderboard';
+export { default as QrCode } from './components/QrCode';
+export { default as TwoFactorSettings } from './components/TwoFactorSettings';
+export { default as SessionsSettings } from './components/SessionsSettings';
+export { default as WorkspaceSettings } from './components/WorkspaceSettings';
+export { default as WorkspaceSwitcher } from './components/WorkspaceSwitcher';
 export { default as BackendStatus } from './components/BackendStatus';
\ No newline at end of file
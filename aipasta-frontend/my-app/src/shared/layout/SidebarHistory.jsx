@@ -1,171 +1,469 @@
 /**
- * SidebarHistory - Chat history management component
+ * SidebarHistory - Chat history grouped into pinned chats, folders and date buckets,
+ * with tags, archiving, bulk actions and drag-and-drop into folders. In a team workspace, folders are
+ * shared and teammates' chats filed in them are listed read-only.
  */
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import { motion } from 'motion/react';
-import { IconMessage, IconTrash, IconPin, IconPinned } from '@tabler/icons-react';
+import {
+  IconTrash, IconPin, IconPinned, IconShare, IconArchive, IconArchiveOff, IconFolder, IconFolderPlus,
+  IconChevronRight, IconChevronDown, IconPencil, IconTag, IconCheckbox, IconX, IconUsers
+} from '@tabler/icons-react';
 import { useSidebar } from './Sidebar';
 import { cn } from '../../lib/utils';
 
-export const SidebarHistory = ({ 
-  chatSessions = [], 
-  currentSessionId, 
-  onSessionSelect, 
-  onSessionDelete,
-  onSessionPin,
-  pinnedSessions = [],
-  className 
+const DRAG_TYPE = 'application/x-aipasta-sessions';
+const DAY = 24 * 60 * 60 * 1000;
+
+const activityDate = session => new Date(session.lastMessageAt || session.updatedAt || session.createdAt);
+
+// Today, Yesterday, Previous 7 days, Previous 30 days, then month and year
+const dateBucket = (date, now = new Date()) => {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const time = date.getTime();
+  if (time >= startOfToday) return 'Today';
+  if (time >= startOfToday - DAY) return 'Yesterday';
+  if (time >= startOfToday - 7 * DAY) return 'Previous 7 days';
+  if (time >= startOfToday - 30 * DAY) return 'Previous 30 days';
+  return date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+};
+
+// [[label, sessions]] newest first; sessions keep their order within a bucket
+const groupByDate = (sessions) => {
+  const groups = new Map();
+  [...sessions].sort((a, b) => activityDate(b) - activityDate(a)).forEach((session) => {
+    const label = dateBucket(activityDate(session));
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(session);
+  });
+  return [...groups];
+};
+
+export const SidebarHistory = ({
+  chatSessions = [],
+  folders = [],
+  currentSessionId,
+  onSessionSelect,
+  onSessionShare,
+  onSessionsUpdate,
+  onSessionsDelete,
+  onFolderSave,
+  onFolderDelete,
+  showArchived = false,
+  onShowArchivedChange,
+  className
 }) => {
   const { open, animate } = useSidebar();
+  const [selecting, setSelecting] = useState(false);
+  const [selected, setSelected] = useState(() => new Set());
+  const [tagFilter, setTagFilter] = useState(null);
+  const [tagInput, setTagInput] = useState('');
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [dropTarget, setDropTarget] = useState(null);
+  // { folderId (null for a new folder), name } while a folder name is being edited
+  const [folderEdit, setFolderEdit] = useState(null);
 
-  const handleSessionClick = (sessionId) => {
-    if (onSessionSelect) {
-      onSessionSelect(sessionId);
-    }
+  const tags = useMemo(() => {
+    const counts = new Map();
+    chatSessions.forEach(session => (session.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).map(([tag]) => tag);
+  }, [chatSessions]);
+
+  const visibleSessions = tagFilter
+    ? chatSessions.filter(session => (session.tags || []).includes(tagFilter))
+    : chatSessions;
+  const folderIds = new Set(folders.map(folder => folder._id));
+  const pinnedChats = showArchived ? [] : visibleSessions.filter(session => session.pinned);
+  const inFolder = folderId => visibleSessions.filter(session => !session.pinned && session.folderId === folderId);
+  const unfiledChats = showArchived
+    ? visibleSessions
+    : visibleSessions.filter(session => !session.pinned && !folderIds.has(session.folderId));
+
+  const selectedIds = [...selected].filter(id => chatSessions.some(session => session._id === id));
+
+  const toggleSelected = (sessionId) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(sessionId)) next.delete(sessionId);
+      else next.add(sessionId);
+      return next;
+    });
   };
 
-  const handleDeleteClick = (e, sessionId) => {
-    e.stopPropagation();
-    if (onSessionDelete) {
-      onSessionDelete(sessionId);
-    }
+  const stopSelecting = () => {
+    setSelecting(false);
+    setSelected(new Set());
+    setTagInput('');
+  };
+
+  const toggleCollapsed = (folderId) => {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(folderId)) next.delete(folderId);
+      else next.add(folderId);
+      return next;
+    });
+  };
+
+  const updateSessions = (sessionIds, changes) => {
+    if (onSessionsUpdate && sessionIds.length > 0) onSessionsUpdate(sessionIds, changes);
   };
 
-  const handlePinClick = (e, sessionId) => {
+  const handleAction = (e, action) => {
     e.stopPropagation();
-    if (onSessionPin) {
-      onSessionPin(sessionId);
+    action();
+  };
+
+  const handleBulkTag = (e) => {
+    e.preventDefault();
+    const tag = tagInput.trim().toLowerCase();
+    if (!tag) return;
+    updateSessions(selectedIds, { addTags: [tag] });
+    setTagInput('');
+  };
+
+  const handleBulkDelete = async () => {
+    if (onSessionsDelete && (await onSessionsDelete(selectedIds))) stopSelecting();
+  };
+
+  const handleFolderSubmit = async (e) => {
+    e.preventDefault();
+    const name = folderEdit.name.trim();
+    if (!name) {
+      setFolderEdit(null);
+      return;
     }
+    if (onFolderSave && (await onFolderSave(name, folderEdit.folderId))) setFolderEdit(null);
   };
 
-  const isPinned = (sessionId) => pinnedSessions.includes(sessionId);
-  const pinnedChats = chatSessions.filter(session => isPinned(session.id));
-  const regularChats = chatSessions.filter(session => !isPinned(session.id));
-
-  const renderSessionItem = (session) => (
-    <div
-      key={session.id}
-      onClick={() => handleSessionClick(session.id)}
-      className={cn(
-        "flex items-center p-2 rounded-md cursor-pointer transition-colors group/session",
-        currentSessionId === session.id
-          ? "bg-purple-50 dark:bg-purple-900/20 text-purple-700 dark:text-purple-300"
-          : "text-neutral-600 dark:text-neutral-300 hover:bg-neutral-50 dark:hover:bg-neutral-800 hover:text-neutral-800 dark:hover:text-neutral-100"
-      )}
-    >
-      <div className="flex-shrink-0">
-        <IconMessage className="w-4 h-4" />
-      </div>
-      
-      <motion.div
-        animate={{
-          display: animate ? (open ? "flex" : "none") : "flex",
-          opacity: animate ? (open ? 1 : 0) : 1,
-        }}
-        className="ml-3 flex-1 flex items-center justify-between min-w-0"
+  // Dragging a selected chat moves the whole selection
+  const handleDragStart = (e, session) => {
+    const ids = selected.has(session._id) ? selectedIds : [session._id];
+    e.dataTransfer.setData(DRAG_TYPE, JSON.stringify(ids));
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  // Drop targets: a folder id, 'none' (out of folders) or 'pinned'
+  const dropProps = target => ({
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes(DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      if (dropTarget !== target) setDropTarget(target);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(null);
+      let ids;
+      try {
+        ids = JSON.parse(e.dataTransfer.getData(DRAG_TYPE) || '[]');
+      } catch {
+        return;
+      }
+      if (target === 'pinned') updateSessions(ids, { pinned: true });
+      else updateSessions(ids, { folderId: target === 'none' ? null : target, pinned: false });
+    }
+  });
+
+  const dropHighlight = target => (dropTarget === target ? 'ring-2 ring-purple-400 dark:ring-purple-500 rounded-lg' : '');
+
+  const renderSessionItem = (session) => {
+    const isCurrent = currentSessionId === session._id;
+    return (
+      <div
+        key={session._id}
+        draggable={!session.isLocal && !session.readOnly && !showArchived}
+        onDragStart={(e) => handleDragStart(e, session)}
+        className={cn(
+          'grid grid-cols-[auto_1fr_auto] items-center group rounded-lg transition-all shadow-sm min-w-0',
+          isCurrent
+            ? 'bg-purple-100 dark:bg-purple-900/30 border border-purple-200 dark:border-purple-800'
+            : 'bg-white dark:bg-neutral-800 hover:bg-neutral-50 dark:hover:bg-neutral-700 border border-transparent hover:border-gray-200 dark:hover:border-neutral-700'
+        )}
       >
-        <span className="text-sm font-medium truncate">
-          {session.title || 'New Chat'}
-        </span>
-        
-        <div className="flex items-center gap-1 opacity-0 group-hover/session:opacity-100 transition-opacity">
-          <button
-            onClick={(e) => handlePinClick(e, session.id)}
-            className="p-1 hover:bg-neutral-200 dark:hover:bg-neutral-700 rounded"
-          >
-            {isPinned(session.id) ? (
-              <IconPinned className="w-3 h-3 text-purple-500" />
-            ) : (
-              <IconPin className="w-3 h-3" />
+        {selecting && !session.isLocal && !session.readOnly ? (
+          <input
+            type="checkbox"
+            checked={selected.has(session._id)}
+            onChange={() => toggleSelected(session._id)}
+            className="ml-2 accent-purple-600"
+            aria-label={`Select ${session.title || 'chat'}`}
+          />
+        ) : <span />}
+        <button
+          onClick={() => (selecting && !session.isLocal && !session.readOnly ? toggleSelected(session._id) : onSessionSelect?.(session._id))}
+          className="text-left p-3 sm:p-2 text-xs transition-colors min-w-0 w-full touch-target"
+        >
+          <div className={cn(
+            'font-medium truncate min-w-0 text-xs',
+            isCurrent ? 'text-purple-700 dark:text-purple-300' : 'text-neutral-600 dark:text-neutral-400'
+          )}>
+            {session.title || 'New Chat'}
+            {session.isLocal && (
+              <span className="text-orange-500 text-xs ml-1" title="Local session">●</span>
             )}
-          </button>
-          
-          <button
-            onClick={(e) => handleDeleteClick(e, session.id)}
-            className="p-1 hover:bg-red-100 dark:hover:bg-red-900/20 rounded"
-          >
-            <IconTrash className="w-3 h-3 text-red-500" />
-          </button>
-        </div>
-      </motion.div>
+          </div>
+          <div className="flex items-center gap-1 text-neutral-400 dark:text-neutral-500 mt-0.5 text-xs opacity-75 min-w-0">
+            <span className="flex-shrink-0">{activityDate(session).toLocaleDateString()}</span>
+            {session.isLocal && <span className="text-orange-400">(Local)</span>}
+            {session.readOnly && <span className="flex-shrink-0">(View only)</span>}
+            {(session.tags || []).map(tag => (
+              <span key={tag} className="truncate px-1 rounded bg-neutral-100 dark:bg-neutral-700 text-neutral-500 dark:text-neutral-400">
+                #{tag}
+              </span>
+            ))}
+          </div>
+        </button>
+        {!selecting && !session.readOnly && (
+          <div className="flex items-center flex-shrink-0 opacity-0 group-hover:opacity-100 transition-opacity">
+            {!session.isLocal && !showArchived && (
+              <button
+                onClick={(e) => handleAction(e, () => updateSessions([session._id], { pinned: !session.pinned }))}
+                className="p-1.5 text-neutral-400 hover:text-purple-500 rounded-md hover:bg-purple-50 dark:hover:bg-purple-900/20"
+                title={session.pinned ? 'Unpin chat' : 'Pin chat'}
+              >
+                {session.pinned ? <IconPinned className="w-3 h-3 text-purple-500" /> : <IconPin className="w-3 h-3" />}
+              </button>
+            )}
+            {!session.isLocal && (
+              <button
+                onClick={(e) => handleAction(e, () => updateSessions([session._id], { archived: !showArchived }))}
+                className="p-1.5 text-neutral-400 hover:text-purple-500 rounded-md hover:bg-purple-50 dark:hover:bg-purple-900/20"
+                title={showArchived ? 'Restore chat' : 'Archive chat'}
+              >
+                {showArchived ? <IconArchiveOff className="w-3 h-3" /> : <IconArchive className="w-3 h-3" />}
+              </button>
+            )}
+            {onSessionShare && !session.isLocal && (
+              <button
+                onClick={(e) => handleAction(e, () => onSessionShare(session._id))}
+                className="p-1.5 text-neutral-400 hover:text-purple-500 rounded-md hover:bg-purple-50 dark:hover:bg-purple-900/20"
+                title="Share chat"
+              >
+                <IconShare className="w-3 h-3" />
+              </button>
+            )}
+            <button
+              onClick={(e) => handleAction(e, () => onSessionsDelete?.([session._id]))}
+              className="p-1.5 text-neutral-400 hover:text-red-500 rounded-md hover:bg-red-50 dark:hover:bg-red-900/20"
+              title="Delete chat"
+            >
+              <IconTrash className="w-3 h-3" />
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderDateGroups = sessions => groupByDate(sessions).map(([label, group]) => (
+    <div key={label} className="space-y-0.5">
+      <div className="px-2 pt-2 pb-1 text-[10px] font-medium uppercase tracking-wider text-neutral-400 dark:text-neutral-500">
+        {label}
+      </div>
+      {group.map(renderSessionItem)}
     </div>
+  ));
+
+  const renderFolderForm = () => (
+    <form onSubmit={handleFolderSubmit} className="flex items-center gap-1 px-1 py-1">
+      <IconFolder className="w-3.5 h-3.5 text-neutral-400 flex-shrink-0" />
+      <input
+        autoFocus
+        value={folderEdit.name}
+        onChange={(e) => setFolderEdit({ ...folderEdit, name: e.target.value })}
+        onBlur={() => setFolderEdit(null)}
+        onKeyDown={(e) => e.key === 'Escape' && setFolderEdit(null)}
+        maxLength={50}
+        placeholder="Folder name"
+        className="flex-1 min-w-0 px-2 py-1 rounded-md border border-gray-200 dark:border-neutral-600 bg-white dark:bg-neutral-800 text-xs text-neutral-700 dark:text-neutral-200"
+      />
+    </form>
   );
 
+  const headerButton = 'p-1 rounded-md transition-colors text-neutral-400 hover:text-neutral-600 dark:hover:text-neutral-300';
+
   return (
-    <div className={cn("flex-1 overflow-hidden", className)}>
-      <motion.div
-        animate={{
-          display: animate ? (open ? "block" : "none") : "block",
-          opacity: animate ? (open ? 1 : 0) : 1,
-        }}
-        className="mb-3"
-      >
-        <h3 className="text-xs font-medium text-neutral-500 dark:text-neutral-400 uppercase tracking-wider px-2">
-          Chat History
-        </h3>
-      </motion.div>
+    <motion.div
+      animate={{
+        display: animate ? (open ? 'flex' : 'none') : 'flex',
+        opacity: animate ? (open ? 1 : 0) : 1,
+      }}
+      className={cn('flex-1 flex flex-col min-h-0 min-w-0', className)}
+    >
+      {/* Toolbar */}
+      <div className="flex items-center justify-between gap-1 mb-1 flex-shrink-0">
+        <button
+          onClick={() => onShowArchivedChange?.(!showArchived)}
+          className={cn(
+            'flex items-center gap-1 px-2 py-0.5 rounded-md text-[11px] transition-colors',
+            showArchived ? 'text-purple-600 dark:text-purple-400 bg-purple-50 dark:bg-purple-900/20' : 'text-neutral-400 hover:text-neutral-600 dark:hover:text-neutral-300'
+          )}
+        >
+          <IconArchive className="w-3 h-3" />
+          {showArchived ? 'Archived chats' : 'Archive'}
+        </button>
+        <div className="flex items-center gap-0.5">
+          {!showArchived && (
+            <button onClick={() => setFolderEdit({ folderId: null, name: '' })} title="New folder" className={headerButton}>
+              <IconFolderPlus className="w-3.5 h-3.5" />
+            </button>
+          )}
+          <button
+            onClick={() => (selecting ? stopSelecting() : setSelecting(true))}
+            title={selecting ? 'Done' : 'Select chats'}
+            className={cn(headerButton, selecting && 'text-purple-600 dark:text-purple-400')}
+          >
+            {selecting ? <IconX className="w-3.5 h-3.5" /> : <IconCheckbox className="w-3.5 h-3.5" />}
+          </button>
+        </div>
+      </div>
 
-      <div className="flex-1 overflow-y-auto space-y-1">
-        {/* Pinned Sessions */}
-        {pinnedChats.length > 0 && (
-          <>
-            <motion.div
-              animate={{
-                display: animate ? (open ? "block" : "none") : "block",
-                opacity: animate ? (open ? 1 : 0) : 1,
-              }}
-              className="px-2 py-1"
+      {/* Tag filter */}
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-1 flex-shrink-0">
+          {tags.map(tag => (
+            <button
+              key={tag}
+              onClick={() => setTagFilter(tagFilter === tag ? null : tag)}
+              className={cn(
+                'px-1.5 py-0.5 rounded text-[11px] transition-colors',
+                tagFilter === tag
+                  ? 'bg-purple-600 text-white'
+                  : 'bg-white dark:bg-neutral-800 text-neutral-500 dark:text-neutral-400 hover:text-neutral-700 dark:hover:text-neutral-200'
+              )}
             >
-              <div className="text-xs text-neutral-400 dark:text-neutral-500 flex items-center gap-1">
-                <IconPinned className="w-3 h-3" />
-                Pinned
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Bulk actions */}
+      {selecting && (
+        <div className="mb-1 p-2 rounded-lg bg-white dark:bg-neutral-800 border border-gray-200 dark:border-neutral-700 space-y-1.5 flex-shrink-0 text-xs">
+          <div className="text-neutral-500 dark:text-neutral-400">
+            {selectedIds.length === 0 ? 'Select chats, or drag them onto a folder' : `${selectedIds.length} selected`}
+          </div>
+          {selectedIds.length > 0 && (
+            <>
+              {!showArchived && (
+                <select
+                  value=""
+                  onChange={(e) => updateSessions(selectedIds, { folderId: e.target.value === 'none' ? null : e.target.value })}
+                  className="w-full px-2 py-1 rounded-md border border-gray-200 dark:border-neutral-600 bg-white dark:bg-neutral-800 text-neutral-700 dark:text-neutral-200"
+                >
+                  <option value="" disabled>Move to…</option>
+                  <option value="none">No folder</option>
+                  {folders.map(folder => <option key={folder._id} value={folder._id}>{folder.name}</option>)}
+                </select>
+              )}
+              <form onSubmit={handleBulkTag} className="flex items-center gap-1">
+                <IconTag className="w-3.5 h-3.5 text-neutral-400 flex-shrink-0" />
+                <input
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  maxLength={30}
+                  list="sidebar-history-tags"
+                  placeholder="Add tag"
+                  className="flex-1 min-w-0 px-2 py-1 rounded-md border border-gray-200 dark:border-neutral-600 bg-white dark:bg-neutral-800 text-neutral-700 dark:text-neutral-200"
+                />
+                <datalist id="sidebar-history-tags">
+                  {tags.map(tag => <option key={tag} value={tag} />)}
+                </datalist>
+              </form>
+              {tagFilter && (
+                <button onClick={() => updateSessions(selectedIds, { removeTags: [tagFilter] })} className="text-neutral-500 hover:text-neutral-700 dark:hover:text-neutral-200">
+                  Remove #{tagFilter}
+                </button>
+              )}
+              <div className="flex items-center gap-1">
+                {!showArchived && (
+                  <button onClick={() => updateSessions(selectedIds, { pinned: true })} title="Pin" className={headerButton}>
+                    <IconPin className="w-3.5 h-3.5" />
+                  </button>
+                )}
+                <button onClick={() => updateSessions(selectedIds, { archived: !showArchived })} title={showArchived ? 'Restore' : 'Archive'} className={headerButton}>
+                  {showArchived ? <IconArchiveOff className="w-3.5 h-3.5" /> : <IconArchive className="w-3.5 h-3.5" />}
+                </button>
+                <button onClick={handleBulkDelete} title="Delete" className="p-1 rounded-md text-neutral-400 hover:text-red-500">
+                  <IconTrash className="w-3.5 h-3.5" />
+                </button>
               </div>
-            </motion.div>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-0.5 flex-1 overflow-y-auto overflow-x-hidden scrollbar-custom min-w-0">
+        {folderEdit?.folderId === null && renderFolderForm()}
+
+        {/* Pinned */}
+        {pinnedChats.length > 0 && (
+          <div {...dropProps('pinned')} className={cn('space-y-0.5 pb-1', dropHighlight('pinned'))}>
+            <div className="flex items-center gap-1 px-2 pt-1 pb-1 text-[10px] font-medium uppercase tracking-wider text-neutral-400 dark:text-neutral-500">
+              <IconPinned className="w-3 h-3" />
+              Pinned
+            </div>
             {pinnedChats.map(renderSessionItem)}
-            
-            {regularChats.length > 0 && (
-              <div className="border-t border-neutral-200 dark:border-neutral-700 my-2" />
-            )}
-          </>
+          </div>
         )}
 
-        {/* Recent Sessions */}
-        {regularChats.length > 0 && (
-          <>
-            <motion.div
-              animate={{
-                display: animate ? (open ? "block" : "none") : "block",
-                opacity: animate ? (open ? 1 : 0) : 1,
-              }}
-              className="px-2 py-1"
-            >
-              <div className="text-xs text-neutral-400 dark:text-neutral-500">
-                Recent
+        {/* Folders */}
+        {!showArchived && folders.map((folder) => {
+          const sessions = inFolder(folder._id);
+          const isCollapsed = collapsed.has(folder._id);
+          if (tagFilter && sessions.length === 0) return null;
+          if (folderEdit?.folderId === folder._id) return <div key={folder._id}>{renderFolderForm()}</div>;
+          return (
+            <div key={folder._id} {...dropProps(folder._id)} className={cn('space-y-0.5', dropHighlight(folder._id))}>
+              <div className="flex items-center group/folder rounded-md hover:bg-white dark:hover:bg-neutral-800">
+                <button
+                  onClick={() => toggleCollapsed(folder._id)}
+                  className="flex-1 flex items-center gap-1 px-1 py-1.5 min-w-0 text-xs font-medium text-neutral-600 dark:text-neutral-300"
+                >
+                  {isCollapsed ? <IconChevronRight className="w-3 h-3 flex-shrink-0" /> : <IconChevronDown className="w-3 h-3 flex-shrink-0" />}
+                  <IconFolder className="w-3.5 h-3.5 flex-shrink-0 text-neutral-400" />
+                  <span className="truncate">{folder.name}</span>
+                  {folder.shared && (
+                    <span title="Shared with the workspace"><IconUsers className="w-3 h-3 flex-shrink-0 text-neutral-400" /></span>
+                  )}
+                  <span className="text-neutral-400 dark:text-neutral-500 font-normal">{sessions.length}</span>
+                </button>
+                {folder.canEdit !== false && (
+                  <div className="flex items-center opacity-0 group-hover/folder:opacity-100 transition-opacity">
+                    <button onClick={() => setFolderEdit({ folderId: folder._id, name: folder.name })} title="Rename folder" className={headerButton}>
+                      <IconPencil className="w-3 h-3" />
+                    </button>
+                    <button onClick={() => onFolderDelete?.(folder._id)} title="Delete folder" className="p-1 rounded-md text-neutral-400 hover:text-red-500">
+                      <IconTrash className="w-3 h-3" />
+                    </button>
+                  </div>
+                )}
               </div>
-            </motion.div>
-            {regularChats.map(renderSessionItem)}
-          </>
-        )}
+              {!isCollapsed && (
+                <div className="pl-3 space-y-0.5">
+                  {sessions.length === 0 ? (
+                    <div className="px-2 py-1 text-[11px] text-neutral-400 dark:text-neutral-500">Drag chats here</div>
+                  ) : sessions.map(renderSessionItem)}
+                </div>
+              )}
+            </div>
+          );
+        })}
 
-        {/* Empty State */}
-        {chatSessions.length === 0 && (
-          <motion.div
-            animate={{
-              display: animate ? (open ? "flex" : "none") : "flex",
-              opacity: animate ? (open ? 1 : 0) : 1,
-            }}
-            className="flex flex-col items-center justify-center py-8 text-center"
-          >
-            <IconMessage className="w-8 h-8 text-neutral-300 dark:text-neutral-600 mb-2" />
-            <p className="text-sm text-neutral-500 dark:text-neutral-400">
-              No chat history yet
-            </p>
-            <p className="text-xs text-neutral-400 dark:text-neutral-500 mt-1">
-              Start a conversation to see it here
-            </p>
-          </motion.div>
-        )}
+        {/* Everything else, by date */}
+        <div {...dropProps('none')} className={cn('min-h-[2rem]', dropHighlight('none'))}>
+          {unfiledChats.length > 0 ? renderDateGroups(unfiledChats) : (
+            <div className="text-xs text-neutral-400 dark:text-neutral-500 p-3 text-center">
+              {showArchived ? 'No archived chats' : tagFilter ? `No chats tagged #${tagFilter}` : folders.length > 0 ? 'No other chats' : 'No chat history yet'}
+            </div>
+          )}
+        </div>
       </div>
-    </div>
+    </motion.div>
   );
-};
\ No newline at end of file
+};
@@ -0,0 +1,56 @@
+/**
+ * Attachment Utility
+ * File types the backend's /api/attachments accepts, and which of them the selected models can take.
+ *
+ * Images and audio are sent to the model and need its image/audio capability. Documents work with
+ * any model: the backend extracts their text and adds the relevant passages to the session context.
+ */
+
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+export const AUDIO_TYPES = ['audio/mpeg', 'audio/wav'];
+
+// Browsers often report no type for Markdown or source files, so documents are matched by extension
+export const DOCUMENT_EXTENSIONS = [
+  '.pdf', '.docx', '.md', '.markdown', '.csv', '.txt', '.json', '.yaml', '.yml', '.xml', '.html', '.css', '.sql', '.sh',
+  '.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.py', '.rb', '.go', '.rs', '.java', '.kt', '.swift', '.c', '.h',
+  '.cpp', '.hpp', '.cs', '.php'
+];
+
+const getExtension = (name = '') => {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot).toLowerCase();
+};
+
+/**
+ * Whether a file is a document (used as session context rather than sent to the model)
+ * @param {File|Object} file - File, or attached file data with a name
+ * @returns {boolean}
+ */
+export const isDocumentFile = (file) => DOCUMENT_EXTENSIONS.includes(getExtension(file?.name));
+
+/**
+ * Attachment types at least one of the models can take (documents always)
+ * @param {Array} models - Selected models
+ * @returns {{ image: boolean, audio: boolean, accept: string }} - accept is for <input type="file">
+ */
+export const getSupportedAttachments = (models = []) => {
+  const image = models.some(model => model?.capabilities?.image);
+  const audio = models.some(model => model?.capabilities?.audio);
+  return {
+    image,
+    audio,
+    accept: [...(image ? IMAGE_TYPES : []), ...(audio ? AUDIO_TYPES : []), ...DOCUMENT_EXTENSIONS].join(',')
+  };
+};
+
+/**
+ * Whether a file can be attached for the given models
+ * @param {File} file - Selected file
+ * @param {Array} models - Selected models
+ * @returns {boolean}
+ */
+export const isSupportedFile = (file, models = []) => {
+  if (isDocumentFile(file)) return true;
+  const { image, audio } = getSupportedAttachments(models);
+  return (image && IMAGE_TYPES.includes(file.type)) || (audio && AUDIO_TYPES.includes(file.type));
+};
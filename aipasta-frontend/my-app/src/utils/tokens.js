@@ -1,30 +1,63 @@
 /**
  * Token Management Utility
  * Handles token calculations, deductions, and validations
+ *
+ * Token costs come from the backend quote endpoint (POST /api/models/quote), which uses the
+ * same pricing formula the backend charges with. The local fallback is only used while a
+ * quote is loading or when the backend is unreachable.
  */
+import { getTokenQuote } from '../lib/api-client';
+
+const getModelId = (model) => model?.modelId || model?.id;
+
+/**
+ * Fetch a token quote for the selected models and message
+ * @param {Array} models - Array of selected models
+ * @param {string} message - Message about to be sent
+ * @param {Object} options - { maxTokens, completionTokens, imageCount, documentTokens, signal }
+ * @returns {Promise<Object|null>} - Quote ({ quotes, totals, pricing }) or null if unavailable
+ */
+export const fetchTokenQuote = async (models, message = '', { maxTokens, completionTokens, imageCount = 0, documentTokens = 0, signal } = {}) => {
+  if (!Array.isArray(models) || models.length === 0) return null;
+
+  const modelIds = models.map(getModelId).filter(Boolean);
+  if (modelIds.length === 0) return null;
+
+  const result = await getTokenQuote({ modelIds, message, maxTokens, completionTokens, imageCount, documentTokens }, { signal });
+  return result.success ? result.data : null;
+};
 
 /**
  * Calculate tokens needed for a set of models
  * @param {Array} models - Array of selected models
+ * @param {Object|null} quote - Quote from fetchTokenQuote (uses the amount held before sending)
  * @returns {number} - Total tokens needed
  */
-export const calculateTokensNeeded = (models) => {
+export const calculateTokensNeeded = (models, quote = null) => {
   if (!Array.isArray(models)) return 0;
+
+  if (quote && Array.isArray(quote.quotes)) {
+    const quotedIds = new Set(quote.quotes.map(q => q.modelId));
+    if (models.every(model => quotedIds.has(getModelId(model)))) {
+      return quote.quotes
+        .filter(q => models.some(model => getModelId(model) === q.modelId))
+        .reduce((total, q) => total + q.reservedTokens, 0);
+    }
+  }
   
-  return models.reduce((total, model) => {
-    const isPaidModel = model.pricing && (model.pricing.input > 0 || model.pricing.output > 0);
-    return total + (isPaidModel ? 10 : 1);
-  }, 0);
+  // Fallback minimum charge per model until a quote is available
+  return models.length;
 };
 
 /**
  * Check if user has sufficient tokens for the request
  * @param {number} userCredits - User's current token balance
  * @param {Array} models - Array of selected models
+ * @param {Object|null} quote - Quote from fetchTokenQuote
  * @returns {boolean} - Whether user has enough tokens
  */
-export const hasSufficientTokens = (userCredits, models) => {
-  const tokensNeeded = calculateTokensNeeded(models);
+export const hasSufficientTokens = (userCredits, models, quote = null) => {
+  const tokensNeeded = calculateTokensNeeded(models, quote);
   return userCredits >= tokensNeeded;
 };
 
@@ -32,14 +65,16 @@ export const hasSufficientTokens = (userCredits, models) => {
  * Get token requirement details for UI display
  * @param {number} userCredits - User's current token balance
  * @param {Array} models - Array of selected models
+ * @param {Object|null} quote - Quote from fetchTokenQuote
  * @returns {Object} - Token requirement details
  */
-export const getTokenRequirements = (userCredits, models) => {
-  const tokensNeeded = calculateTokensNeeded(models);
+export const getTokenRequirements = (userCredits, models, quote = null) => {
+  const tokensNeeded = calculateTokensNeeded(models, quote);
   const hasEnough = userCredits >= tokensNeeded;
   
   return {
     needed: tokensNeeded,
+    estimated: quote?.totals?.estimatedTokens ?? tokensNeeded,
     available: userCredits,
     sufficient: hasEnough,
     deficit: hasEnough ? 0 : tokensNeeded - userCredits
@@ -58,8 +93,9 @@ export const calculateCostEstimation = (models, estimatedTokens = 1000) => {
   
   models.forEach(model => {
     if (model.pricing) {
-      const inputCost = (model.pricing.input || 0) * (estimatedTokens / 1000);
-      const outputCost = (model.pricing.output || 0) * (estimatedTokens / 1000);
+      // Model pricing is USD per token
+      const inputCost = (model.pricing.input || 0) * estimatedTokens;
+      const outputCost = (model.pricing.output || 0) * estimatedTokens;
       const modelTotal = inputCost + outputCost;
       
       totalCost += modelTotal;
@@ -97,9 +133,10 @@ export const formatTokenDisplay = (tokens) => {
  * Validate model selection for token requirements
  * @param {Array} models - Array of selected models
  * @param {number} userCredits - User's current token balance
+ * @param {Object|null} quote - Quote from fetchTokenQuote
  * @returns {Object} - Validation result
  */
-export const validateModelSelection = (models, userCredits) => {
+export const validateModelSelection = (models, userCredits, quote = null) => {
   if (!models || models.length === 0) {
     return {
       valid: false,
@@ -114,7 +151,7 @@ export const validateModelSelection = (models, userCredits) => {
     };
   }
   
-  const requirements = getTokenRequirements(userCredits, models);
+  const requirements = getTokenRequirements(userCredits, models, quote);
   
   if (!requirements.sufficient) {
     return {